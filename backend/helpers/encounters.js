@@ -0,0 +1,396 @@
+import db from '../database.js';
+import { addItems, addGold, removeGold } from './inventory.js';
+import { updateStatistic, trackItemCollected } from './statistics.js';
+import { sendSystemMessage } from '../routes/messages.js';
+import { createWanderingMonster, resolveMonsterFight } from '../routes/combat.js';
+import { getTerrainAt, worldToTile } from '../../shared/world/index.js';
+
+// One encounter roll every this many world units along the route
+const ENCOUNTER_ROLL_DISTANCE = 400;
+
+// A trip never has more encounters than this
+const MAX_ENCOUNTERS_PER_TRIP = 3;
+
+// Encounter chances double at this distance from home (and keep growing further out)
+const HOME_DISTANCE_SCALE = 2000;
+
+// Upper bound for the chance of a single roll (in percent)
+const MAX_ENCOUNTER_CHANCE = 50;
+
+// Wandering merchants: offers stay open this long, at this price factor
+const MERCHANT_OFFER_MINUTES = 30;
+const MERCHANT_PRICE_FACTOR = 0.8;
+const MERCHANT_OFFER_ITEMS = 3;
+const MERCHANT_OFFER_QUANTITY = 5;
+
+export const ENCOUNTER_TYPES = ['ambush', 'cache', 'merchant'];
+
+/**
+ * Thrown when a wandering merchant offer cannot be bought
+ */
+export class EncounterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EncounterError';
+    this.status = status;
+  }
+}
+
+function randomBetween(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// Point at a distance along the route, with the share of travel time (t) at that point
+function pointAtDistance(path, distance) {
+  let walked = 0;
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (walked + length >= distance && length > 0) {
+      const share = (distance - walked) / length;
+      return {
+        x: Math.round(a.x + (b.x - a.x) * share),
+        y: Math.round(a.y + (b.y - a.y) * share),
+        t: a.t + (b.t - a.t) * share
+      };
+    }
+    walked += length;
+  }
+  return null;
+}
+
+// Pick one entry, weighted by its chance
+function pickEntry(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.chance, 0);
+  let roll = Math.random() * total;
+  for (const entry of entries) {
+    roll -= entry.chance;
+    if (roll <= 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Roll the encounters of a trip that just started. Every few hundred units along the route
+ * the encounter table of the terrain there (plus entries for 'any' terrain) gets a chance,
+ * which grows with the distance from home. Encounters happen when the player passes the spot.
+ * @param {number} userId
+ * @param {Object} trip
+ * @param {Array<{x: number, y: number, t: number}>} trip.path - Route waypoints
+ * @param {Date} trip.startTime
+ * @param {Date} trip.endTime
+ * @param {{x: number, y: number}|null} trip.home - Player home (null: no distance bonus)
+ * @returns {Promise<number>} Number of encounters waiting on the route
+ */
+export async function rollTravelEncounters(userId, { path, startTime, endTime, home }) {
+  // Leftovers of an earlier trip can no longer happen
+  await cancelPendingEncounters(userId);
+
+  const entries = await db.all('SELECT * FROM encounter_tables WHERE is_active = 1 AND chance > 0');
+  if (entries.length === 0) return 0;
+
+  const duration = endTime.getTime() - startTime.getTime();
+  let count = 0;
+
+  for (let distance = ENCOUNTER_ROLL_DISTANCE; count < MAX_ENCOUNTERS_PER_TRIP; distance += ENCOUNTER_ROLL_DISTANCE) {
+    const point = pointAtDistance(path, distance);
+    if (!point) break;
+
+    const terrain = getTerrainAt(worldToTile(point.x), worldToTile(point.y));
+    const homeDistance = home ? Math.hypot(point.x - home.x, point.y - home.y) : 0;
+    const candidates = entries.filter(entry =>
+      (entry.terrain === 'any' || entry.terrain === terrain) && homeDistance >= entry.min_home_distance
+    );
+    if (candidates.length === 0) continue;
+
+    const baseChance = candidates.reduce((sum, entry) => sum + entry.chance, 0);
+    const chance = Math.min(MAX_ENCOUNTER_CHANCE, baseChance * (1 + homeDistance / HOME_DISTANCE_SCALE));
+    if (Math.random() * 100 >= chance) continue;
+
+    const entry = pickEntry(candidates);
+    const triggerAt = new Date(startTime.getTime() + duration * point.t);
+    await db.run(`
+      INSERT INTO travel_encounters (user_id, encounter_table_id, encounter_type, terrain, world_x, world_y, trigger_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [userId, entry.id, entry.encounter_type, terrain, point.x, point.y, triggerAt.toISOString()]);
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Drop encounters the player will no longer reach (trip cancelled or interrupted)
+ * @param {number} userId
+ */
+export async function cancelPendingEncounters(userId) {
+  await db.run(`
+    UPDATE travel_encounters SET status = 'cancelled', resolved_at = ?
+    WHERE user_id = ? AND status = 'pending'
+  `, [new Date().toISOString(), userId]);
+}
+
+// The resolvers get the encounter joined with its table entry
+async function resolveAmbush(userId, encounter) {
+  const monsterType = await db.get('SELECT min_level, max_level FROM monster_types WHERE id = ?', [encounter.monster_type_id]);
+  if (!monsterType) return null;
+
+  const level = randomBetween(encounter.min_level || monsterType.min_level, encounter.max_level || monsterType.max_level);
+  const monster = await createWanderingMonster(encounter.monster_type_id, level);
+  monster.world_x = encounter.world_x;
+  monster.world_y = encounter.world_y;
+
+  const { result, rewards } = await resolveMonsterFight(userId, monster, null, {
+    intro: `🏹 **Überfall!** Auf deiner Reise bei (${encounter.world_x}, ${encounter.world_y}) hat dich ein Monster angegriffen.`
+  });
+  const messages = {
+    attacker: `🏹 Überfall von ${monster.display_name} (Lv.${level}) abgewehrt!`,
+    draw: `🏹 Du bist ${monster.display_name} (Lv.${level}) gerade noch entkommen.`,
+    defender: `💀 ${monster.display_name} (Lv.${level}) hat dich überfallen - deine Reise endet hier.`
+  };
+
+  return {
+    message: messages[result.winner],
+    interrupts: result.winner === 'defender',
+    result: {
+      monster: monster.display_name,
+      level,
+      winner: result.winner,
+      damageTaken: result.attackerDamageDealt,
+      goldGained: rewards.goldGained,
+      expGained: rewards.expGained,
+      lootItems: rewards.lootItems
+    }
+  };
+}
+
+async function resolveCache(userId, encounter) {
+  const found = [];
+  let gold = 0;
+
+  if (encounter.item_id) {
+    const item = await db.get('SELECT id, display_name, name FROM items WHERE id = ?', [encounter.item_id]);
+    if (item) {
+      const quantity = randomBetween(encounter.min_quantity || 1, Math.max(encounter.min_quantity || 1, encounter.max_quantity || 1));
+      await addItems(userId, [{ item_id: item.id, quantity }]);
+      await trackItemCollected(userId, item.id, item.name, quantity);
+      found.push({ item_id: item.id, name: item.display_name, quantity });
+    }
+  }
+
+  if (encounter.gold_max > 0) {
+    gold = randomBetween(encounter.gold_min || 0, encounter.gold_max);
+    if (gold > 0) {
+      await addGold(userId, gold);
+      await updateStatistic(userId, 'gold_earned', gold);
+    }
+  }
+
+  if (found.length === 0 && gold === 0) return null;
+
+  const lines = [
+    ...found.map(f => `• ${f.quantity}x ${f.name}`),
+    ...(gold > 0 ? [`• 💰 ${gold} Gold`] : [])
+  ];
+  await sendSystemMessage(
+    userId,
+    '📦 Versteck gefunden',
+    `Auf deiner Reise bei (${encounter.world_x}, ${encounter.world_y}) hast du ein verstecktes Lager entdeckt:\n\n${lines.join('\n')}`,
+    'travel',
+    encounter.id
+  );
+
+  return {
+    message: `📦 Versteck gefunden: ${lines.map(l => l.slice(2)).join(', ')}`,
+    result: { items: found, gold }
+  };
+}
+
+async function resolveMerchant(userId, encounter) {
+  const merchant = await db.get('SELECT id, display_name FROM npc_types WHERE id = ?', [encounter.npc_type_id]);
+  if (!merchant) return null;
+
+  const shopItems = await db.all(`
+    SELECT nsi.item_id, nsi.buy_price, i.display_name
+    FROM npc_shop_items nsi
+    JOIN items i ON nsi.item_id = i.id
+    WHERE nsi.npc_type_id = ? AND nsi.buy_price IS NOT NULL
+    ORDER BY RANDOM()
+    LIMIT ?
+  `, [merchant.id, MERCHANT_OFFER_ITEMS]);
+  if (shopItems.length === 0) return null;
+
+  const offers = shopItems.map(item => ({
+    item_id: item.item_id,
+    name: item.display_name,
+    price: Math.max(1, Math.floor(item.buy_price * MERCHANT_PRICE_FACTOR)),
+    remaining: MERCHANT_OFFER_QUANTITY
+  }));
+  const expiresAt = new Date(Date.now() + MERCHANT_OFFER_MINUTES * 60000);
+
+  await sendSystemMessage(
+    userId,
+    `🧳 ${merchant.display_name} unterwegs`,
+    `Auf deiner Reise bei (${encounter.world_x}, ${encounter.world_y}) triffst du einen wandernden Händler. ` +
+    `Für ${MERCHANT_OFFER_MINUTES} Minuten verkauft er dir günstiger:\n\n` +
+    offers.map(o => `• ${o.name} für ${o.price} Gold (max. ${o.remaining}x)`).join('\n') +
+    '\n\nKaufen kannst du auf der Karte.',
+    'travel',
+    encounter.id
+  );
+
+  return {
+    message: `🧳 Ein wandernder Händler (${merchant.display_name}) bietet dir Waren an`,
+    expiresAt,
+    result: { merchant: merchant.display_name, offers }
+  };
+}
+
+const RESOLVERS = {
+  ambush: resolveAmbush,
+  cache: resolveCache,
+  merchant: resolveMerchant
+};
+
+/**
+ * Resolve the encounters the player has reached by now (called when the travel status
+ * is polled or the trip completes). An ambush that is lost ends the trip at its spot.
+ * @param {number} userId
+ * @param {Date} [now]
+ * @returns {Promise<{encounters: Object[], interruptedAt: {x: number, y: number}|null}>}
+ */
+export async function resolveDueEncounters(userId, now = new Date()) {
+  const due = await db.all(`
+    SELECT te.*, et.monster_type_id, et.min_level, et.max_level, et.item_id, et.min_quantity,
+           et.max_quantity, et.gold_min, et.gold_max, et.npc_type_id
+    FROM travel_encounters te
+    LEFT JOIN encounter_tables et ON te.encounter_table_id = et.id
+    WHERE te.user_id = ? AND te.status = 'pending' AND te.trigger_at <= ?
+    ORDER BY te.trigger_at
+  `, [userId, now.toISOString()]);
+
+  const encounters = [];
+  let interruptedAt = null;
+
+  for (const encounter of due) {
+    const outcome = await db.transaction(async () => {
+      // Claim the encounter first: an overlapping call (status poll and trip completion)
+      // may have resolved it since it was read, and it must only pay out once
+      const claimed = await db.run(`
+        UPDATE travel_encounters SET status = 'resolved', resolved_at = ? WHERE id = ? AND status = 'pending'
+      `, [now.toISOString(), encounter.id]);
+      if (claimed.changes === 0) return null;
+
+      const resolver = RESOLVERS[encounter.encounter_type];
+      const resolved = resolver ? await resolver(userId, encounter) : null;
+
+      // Entries that were deleted or point to removed content pass without effect
+      await db.run(`
+        UPDATE travel_encounters SET result = ?, message = ?, expires_at = ?
+        WHERE id = ?
+      `, [
+        resolved ? JSON.stringify(resolved.result) : null,
+        resolved?.message || null,
+        resolved?.expiresAt?.toISOString() || null,
+        encounter.id
+      ]);
+      return resolved;
+    });
+
+    if (!outcome) continue;
+    encounters.push({
+      id: encounter.id,
+      type: encounter.encounter_type,
+      world_x: encounter.world_x,
+      world_y: encounter.world_y,
+      message: outcome.message,
+      result: outcome.result
+    });
+
+    if (outcome.interrupts) {
+      interruptedAt = { x: encounter.world_x, y: encounter.world_y };
+      await cancelPendingEncounters(userId);
+      break;
+    }
+  }
+
+  return { encounters, interruptedAt };
+}
+
+/**
+ * Encounter log of a player and the wandering merchant offers that are still open
+ * @param {number} userId
+ * @param {number} [limit=20]
+ * @returns {Promise<{encounters: Object[], merchants: Object[]}>}
+ */
+export async function getEncounterLog(userId, limit = 20) {
+  const rows = await db.all(`
+    SELECT id, encounter_type, terrain, world_x, world_y, message, result, expires_at, resolved_at
+    FROM travel_encounters
+    WHERE user_id = ? AND status = 'resolved' AND message IS NOT NULL
+    ORDER BY resolved_at DESC, id DESC
+    LIMIT ?
+  `, [userId, limit]);
+
+  const now = new Date().toISOString();
+  const encounters = rows.map(row => ({ ...row, result: row.result ? JSON.parse(row.result) : null }));
+  const merchants = encounters
+    .filter(e => e.encounter_type === 'merchant' && e.expires_at > now && e.result?.offers.some(o => o.remaining > 0))
+    .map(e => ({ id: e.id, merchant: e.result.merchant, offers: e.result.offers, expires_at: e.expires_at }));
+
+  return { encounters, merchants };
+}
+
+/**
+ * Buy from a wandering merchant the player met on a trip
+ * @param {number} userId
+ * @param {number} encounterId
+ * @param {number} itemId
+ * @param {number} quantity
+ * @returns {Promise<{name: string, quantity: number, totalCost: number}>}
+ * @throws {EncounterError|InventoryError} InventoryError if the player lacks the gold
+ */
+export async function buyFromWanderingMerchant(userId, encounterId, itemId, quantity) {
+  return db.transaction(async () => {
+    const encounter = await db.get(`
+      SELECT * FROM travel_encounters
+      WHERE id = ? AND user_id = ? AND encounter_type = 'merchant' AND status = 'resolved'
+    `, [encounterId, userId]);
+    if (!encounter || !encounter.result) {
+      throw new EncounterError('Händler nicht gefunden', 404);
+    }
+    if (!encounter.expires_at || new Date(encounter.expires_at) <= new Date()) {
+      throw new EncounterError('Der Händler ist bereits weitergezogen');
+    }
+
+    const result = JSON.parse(encounter.result);
+    const offer = result.offers.find(o => o.item_id === itemId);
+    if (!offer) {
+      throw new EncounterError('Dieses Item bietet der Händler nicht an');
+    }
+    if (offer.remaining < quantity) {
+      throw new EncounterError(`Der Händler hat nur noch ${offer.remaining}x ${offer.name}`);
+    }
+
+    const totalCost = offer.price * quantity;
+    await removeGold(userId, totalCost);
+    await addItems(userId, [{ item_id: itemId, quantity }]);
+    await updateStatistic(userId, 'gold_spent', totalCost);
+
+    offer.remaining -= quantity;
+    await db.run('UPDATE travel_encounters SET result = ? WHERE id = ?', [JSON.stringify(result), encounterId]);
+
+    return { name: offer.name, quantity, totalCost };
+  });
+}
+
+export default {
+  ENCOUNTER_TYPES,
+  EncounterError,
+  rollTravelEncounters,
+  cancelPendingEncounters,
+  resolveDueEncounters,
+  getEncounterLog,
+  buyFromWanderingMerchant
+};
@@ -0,0 +1,124 @@
+import db from '../database.js';
+
+// One skill per resource node category
+export const GATHERING_SKILLS = {
+  mining: { display_name: 'Bergbau', icon: '⛏️' },
+  woodcutting: { display_name: 'Holzfällen', icon: '🪓' },
+  herbalism: { display_name: 'Kräuterkunde', icon: '🌿' }
+};
+
+export const MAX_SKILL_LEVEL = 50;
+// Gathering gets 2% faster per level above 1
+const SPEED_BONUS_PER_LEVEL = 0.02;
+// Rare drops get 0.5 percentage points likelier per level above 1 (same scale as tool_types.rare_drop_bonus)
+const RARE_DROP_BONUS_PER_LEVEL = 0.005;
+
+/**
+ * Experience needed to get from a level to the next (same curve as the professions)
+ * @param {number} level
+ * @returns {number}
+ */
+export function getExperienceForNextLevel(level) {
+  return level * 100;
+}
+
+/**
+ * Bonuses a skill level gives when gathering
+ * @param {number} level
+ * @returns {{speed_bonus: number, rare_drop_bonus: number}} speed_bonus multiplies like a tool's
+ *   speed_bonus, rare_drop_bonus adds to a tool's rare_drop_bonus
+ */
+export function getSkillBonuses(level) {
+  const levelsAboveFirst = Math.min(level, MAX_SKILL_LEVEL) - 1;
+  return {
+    speed_bonus: 1 + levelsAboveFirst * SPEED_BONUS_PER_LEVEL,
+    rare_drop_bonus: levelsAboveFirst * RARE_DROP_BONUS_PER_LEVEL
+  };
+}
+
+/**
+ * Level of one of the user's gathering skills
+ * @param {number} userId
+ * @param {string} skill - Resource node category
+ * @returns {Promise<number>} 1 if the user never gathered in that category
+ */
+export async function getSkillLevel(userId, skill) {
+  const row = await db.get('SELECT level FROM gathering_skills WHERE user_id = ? AND skill = ?', [userId, skill]);
+  return row?.level || 1;
+}
+
+/**
+ * All gathering skills of a user with progress and bonuses
+ * @param {number} userId
+ * @returns {Promise<Object[]>} skill, display_name, icon, level, experience, exp_for_next_level,
+ *   progress_percent, speed_bonus and rare_drop_bonus
+ */
+export async function getGatheringSkills(userId) {
+  const rows = await db.all('SELECT skill, level, experience FROM gathering_skills WHERE user_id = ?', [userId]);
+
+  return Object.entries(GATHERING_SKILLS).map(([skill, info]) => {
+    const row = rows.find(r => r.skill === skill) || { level: 1, experience: 0 };
+    const maxed = row.level >= MAX_SKILL_LEVEL;
+    const expForNextLevel = maxed ? null : getExperienceForNextLevel(row.level);
+    return {
+      skill,
+      ...info,
+      level: row.level,
+      experience: row.experience,
+      exp_for_next_level: expForNextLevel,
+      progress_percent: maxed ? 100 : Math.min(100, Math.floor((row.experience / expForNextLevel) * 100)),
+      ...getSkillBonuses(row.level)
+    };
+  });
+}
+
+/**
+ * Give a user experience in a gathering skill and level it up
+ * @param {number} userId
+ * @param {string} skill - Resource node category
+ * @param {number} amount
+ * @returns {Promise<{skill: string, display_name: string, experience_gained: number, level: number, experience: number, levels_gained: number}>}
+ */
+export async function addSkillExperience(userId, skill, amount) {
+  if (!GATHERING_SKILLS[skill]) {
+    throw new Error(`Unbekannte Sammelfertigkeit: ${skill}`);
+  }
+
+  const row = await db.get('SELECT level, experience FROM gathering_skills WHERE user_id = ? AND skill = ?', [userId, skill]);
+  const startLevel = row?.level || 1;
+  let level = startLevel;
+  let experience = (row?.experience || 0) + Math.max(0, amount);
+
+  while (level < MAX_SKILL_LEVEL && experience >= getExperienceForNextLevel(level)) {
+    experience -= getExperienceForNextLevel(level);
+    level++;
+  }
+  if (level >= MAX_SKILL_LEVEL) {
+    experience = 0;
+  }
+
+  await db.run(`
+    INSERT INTO gathering_skills (user_id, skill, level, experience)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id, skill) DO UPDATE SET level = excluded.level, experience = excluded.experience
+  `, [userId, skill, level, experience]);
+
+  return {
+    skill,
+    display_name: GATHERING_SKILLS[skill].display_name,
+    experience_gained: amount,
+    level,
+    experience,
+    levels_gained: level - startLevel
+  };
+}
+
+export default {
+  GATHERING_SKILLS,
+  MAX_SKILL_LEVEL,
+  getExperienceForNextLevel,
+  getSkillBonuses,
+  getSkillLevel,
+  getGatheringSkills,
+  addSkillExperience
+};
@@ -0,0 +1,559 @@
+import db from '../database.js';
+import { sendSystemMessage } from '../routes/messages.js';
+import { addItems, addGold } from './inventory.js';
+import { updateStatistic } from './statistics.js';
+import { getPartyMembership, getPartyMemberIds } from './parties.js';
+
+// Groups a quest can be shared with. Each scope resolves the player's group and its members.
+const GROUP_SCOPES = {
+  guild: {
+    label: 'Gilde',
+    async getGroup(userId) {
+      const membership = await db.get(`
+        SELECT gm.guild_id, gm.role, g.name, g.tag
+        FROM guild_members gm
+        JOIN guilds g ON gm.guild_id = g.id
+        WHERE gm.user_id = ?
+      `, [userId]);
+      if (!membership) return null;
+      return {
+        groupId: membership.guild_id,
+        name: `[${membership.tag}] ${membership.name}`,
+        canManage: membership.role === 'leader' || membership.role === 'officer'
+      };
+    },
+    async getMemberIds(groupId) {
+      const members = await db.all('SELECT user_id FROM guild_members WHERE guild_id = ?', [groupId]);
+      return members.map(member => member.user_id);
+    }
+  },
+  party: {
+    label: 'Gruppe',
+    async getGroup(userId) {
+      const membership = await getPartyMembership(userId);
+      if (!membership) return null;
+      const leader = await db.get('SELECT username FROM users WHERE id = ?', [membership.leader_id]);
+      return {
+        groupId: membership.party_id,
+        name: `Gruppe von ${leader?.username || 'Unbekannt'}`,
+        canManage: membership.leader_id === userId
+      };
+    },
+    getMemberIds: getPartyMemberIds
+  }
+};
+
+// 'user' = personal quest in user_quests, all others are shared by a group
+export const QUEST_SCOPES = ['user', ...Object.keys(GROUP_SCOPES)];
+
+// equal: every contributing member gets the same share
+// proportional: share follows the progress a member added to the objectives
+export const REWARD_SPLITS = ['equal', 'proportional'];
+
+/**
+ * Thrown when a group quest cannot be started, claimed or abandoned
+ */
+export class GroupQuestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GroupQuestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Group of a player for a quest scope
+ * @param {number} userId
+ * @param {string} scope - Group scope (e.g. 'guild')
+ * @returns {Promise<{groupId: number, name: string, canManage: boolean}|null>}
+ */
+export async function getQuestGroup(userId, scope) {
+  const config = GROUP_SCOPES[scope];
+  if (!config) return null;
+  return config.getGroup(userId);
+}
+
+// Group of the player, or an error if the player has none
+async function requireGroup(userId, scope) {
+  const group = await getQuestGroup(userId, scope);
+  if (!group) {
+    throw new GroupQuestError(`Diese Quest gehört zu einer ${GROUP_SCOPES[scope]?.label || 'Gruppe'} - du bist in keiner`, 403);
+  }
+  return group;
+}
+
+// Latest run of a quest by a group
+async function getLatestRun(questId, scope, groupId) {
+  return db.get(
+    'SELECT * FROM group_quests WHERE quest_id = ? AND scope = ? AND group_id = ? ORDER BY id DESC LIMIT 1',
+    [questId, scope, groupId]
+  );
+}
+
+// Tell every member of a group (except the acting one) what happened
+async function notifyGroup(scope, groupId, subject, content, exceptUserId = null) {
+  const memberIds = await GROUP_SCOPES[scope].getMemberIds(groupId);
+  for (const memberId of memberIds) {
+    if (memberId === exceptUserId) continue;
+    await sendSystemMessage(memberId, subject, content, 'system', groupId);
+  }
+}
+
+/**
+ * Give a player quest rewards. Used for personal quests and the shares of group quests.
+ * @param {number} userId
+ * @param {{gold?: number, experience?: number, itemId?: number, itemQuantity?: number}} rewards
+ * @returns {Promise<Object[]>} Granted rewards in the format the quest UI shows
+ */
+export async function grantQuestRewards(userId, { gold = 0, experience = 0, itemId = null, itemQuantity = 0 }) {
+  const rewards = [];
+
+  if (gold > 0) {
+    await addGold(userId, gold);
+    await updateStatistic(userId, 'gold_earned', gold);
+    rewards.push({ type: 'gold', amount: gold });
+  }
+
+  if (experience > 0) {
+    const playerStats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
+    let newExp = (playerStats?.experience || 0) + experience;
+    let newLevel = playerStats?.level || 1;
+    const expForNextLevel = newLevel * 100;
+
+    if (newExp >= expForNextLevel) {
+      newLevel++;
+      newExp -= expForNextLevel;
+    }
+
+    await db.run('UPDATE player_stats SET experience = ?, level = ? WHERE user_id = ?',
+      [newExp, newLevel, userId]);
+    rewards.push({ type: 'experience', amount: experience });
+  }
+
+  if (itemId && itemQuantity > 0) {
+    await addItems(userId, [{ item_id: itemId, quantity: itemQuantity }]);
+
+    const item = await db.get('SELECT display_name FROM items WHERE id = ?', [itemId]);
+    rewards.push({ type: 'item', amount: itemQuantity, name: item?.display_name || 'Item' });
+  }
+
+  return rewards;
+}
+
+/**
+ * Split a whole-number reward by weight (largest remainder, so nothing gets lost)
+ * @param {number} total
+ * @param {number[]} weights
+ * @returns {number[]}
+ */
+export function splitReward(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!total || weightSum <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => total * weight / weightSum);
+  const shares = exact.map(Math.floor);
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  let rest = total - shares.reduce((sum, share) => sum + share, 0);
+  for (let i = 0; rest > 0; i++, rest--) {
+    shares[order[i % order.length].index]++;
+  }
+  return shares;
+}
+
+/**
+ * Members who contributed to a group quest run with their weight for the reward split
+ * @param {Object} run - group_quests row
+ * @param {string} rewardSplit - 'equal' or 'proportional'
+ * @returns {Promise<Object[]>} [{ user_id, username, amount, share }] with share in percent
+ */
+export async function getContributions(run, rewardSplit) {
+  const rows = await db.all(`
+    SELECT gqc.user_id, u.username, gqc.amount, qo.required_amount
+    FROM group_quest_contributions gqc
+    JOIN quest_objectives qo ON gqc.objective_id = qo.id
+    LEFT JOIN users u ON gqc.user_id = u.id
+    WHERE gqc.group_quest_id = ? AND gqc.amount > 0
+    ORDER BY gqc.user_id
+  `, [run.id]);
+
+  const byUser = new Map();
+  for (const row of rows) {
+    const entry = byUser.get(row.user_id) || { user_id: row.user_id, username: row.username, amount: 0, weight: 0 };
+    entry.amount += row.amount;
+    // Each objective counts the same, no matter how large its required amount is
+    entry.weight += row.amount / Math.max(1, row.required_amount);
+    byUser.set(row.user_id, entry);
+  }
+
+  const contributors = [...byUser.values()];
+  if (rewardSplit !== 'proportional') {
+    contributors.forEach(entry => { entry.weight = 1; });
+  }
+
+  const weightSum = contributors.reduce((sum, entry) => sum + entry.weight, 0);
+  return contributors.map(entry => ({
+    ...entry,
+    share: weightSum > 0 ? Math.round(entry.weight / weightSum * 1000) / 10 : 0
+  }));
+}
+
+/**
+ * Start a group quest for the player's group (leader/officer only)
+ * @param {Object} quest - quests row
+ * @param {number} userId
+ * @returns {Promise<Object>} The new group_quests row
+ * @throws {GroupQuestError}
+ */
+export async function startGroupQuest(quest, userId) {
+  const group = await requireGroup(userId, quest.scope);
+  if (!group.canManage) {
+    throw new GroupQuestError('Nur Anführer und Offiziere können Gruppenquests starten', 403);
+  }
+
+  const userStats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+  if ((userStats?.level || 1) < quest.min_level) {
+    throw new GroupQuestError(`Du musst mindestens Level ${quest.min_level} sein!`);
+  }
+
+  return db.transaction(async () => {
+    if (quest.prerequisite_quest_id) {
+      const prereq = await db.get(
+        "SELECT id FROM group_quests WHERE quest_id = ? AND scope = ? AND group_id = ? AND status = 'claimed'",
+        [quest.prerequisite_quest_id, quest.scope, group.groupId]
+      );
+      if (!prereq) {
+        throw new GroupQuestError('Ihr müsst zuerst die Vorquest abschließen!');
+      }
+    }
+
+    const latest = await getLatestRun(quest.id, quest.scope, group.groupId);
+    if (latest?.status === 'active') {
+      throw new GroupQuestError('Quest bereits aktiv!');
+    }
+    if (latest?.status === 'completed') {
+      throw new GroupQuestError('Quest bereits abgeschlossen! Holt euch die Belohnung ab.');
+    }
+    if (latest?.status === 'claimed') {
+      if (!quest.is_repeatable) {
+        throw new GroupQuestError('Quest bereits abgeschlossen!');
+      }
+      const availableAt = new Date(`${latest.claimed_at.replace(' ', 'T')}Z`).getTime() + (quest.cooldown_hours || 0) * 3600000;
+      if (availableAt > Date.now()) {
+        const hours = Math.ceil((availableAt - Date.now()) / 3600000);
+        throw new GroupQuestError(`Quest erst in ${hours} Stunde(n) wieder verfügbar`);
+      }
+    }
+
+    const result = await db.run(
+      "INSERT INTO group_quests (quest_id, scope, group_id, status, started_by) VALUES (?, ?, ?, 'active', ?)",
+      [quest.id, quest.scope, group.groupId, userId]
+    );
+
+    const objectives = await db.all('SELECT id FROM quest_objectives WHERE quest_id = ?', [quest.id]);
+    for (const objective of objectives) {
+      await db.run(
+        'INSERT INTO group_quest_progress (group_quest_id, objective_id) VALUES (?, ?)',
+        [result.lastID, objective.id]
+      );
+    }
+
+    await notifyGroup(
+      quest.scope,
+      group.groupId,
+      `📜 Neue Gruppenquest: ${quest.display_name}`,
+      `${group.name} hat die Quest "${quest.display_name}" gestartet. Jeder Beitrag zählt - die Belohnung wird unter allen Helfern aufgeteilt.`,
+      userId
+    );
+
+    return db.get('SELECT * FROM group_quests WHERE id = ?', [result.lastID]);
+  });
+}
+
+// Mark the run as completed once every objective is done
+async function checkGroupQuestCompletion(run) {
+  const incomplete = await db.get(`
+    SELECT COUNT(*) as count
+    FROM quest_objectives qo
+    LEFT JOIN group_quest_progress gqp ON qo.id = gqp.objective_id AND gqp.group_quest_id = ?
+    WHERE qo.quest_id = ? AND (gqp.is_completed IS NULL OR gqp.is_completed = 0)
+  `, [run.id, run.quest_id]);
+  if (incomplete.count > 0) return false;
+
+  const result = await db.run(
+    "UPDATE group_quests SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'",
+    [run.id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Add a player's progress to the active group quests of all their groups.
+ * Called by helpers/statistics.js next to the personal quest progress.
+ * @param {number} userId
+ * @param {string} objectiveType - Quest objective type (see OBJECTIVE_TYPES in routes/quests.js)
+ * @param {number} amount
+ * @param {number|null} [targetId] - Specific target, or null for objectives without target
+ */
+export async function addGroupQuestProgress(userId, objectiveType, amount, targetId = null) {
+  if (!amount || amount <= 0) return;
+
+  try {
+    for (const scope of Object.keys(GROUP_SCOPES)) {
+      const group = await getQuestGroup(userId, scope);
+      if (!group) continue;
+
+      const completedRuns = [];
+      await db.transaction(async () => {
+        const objectives = await db.all(`
+          SELECT qo.id, qo.required_amount, gq.id as group_quest_id, gq.quest_id,
+                 COALESCE(gqp.current_amount, 0) as current_amount
+          FROM group_quests gq
+          JOIN quest_objectives qo ON qo.quest_id = gq.quest_id
+          LEFT JOIN group_quest_progress gqp ON gqp.group_quest_id = gq.id AND gqp.objective_id = qo.id
+          WHERE gq.scope = ? AND gq.group_id = ? AND gq.status = 'active'
+            AND qo.objective_type = ?
+            AND ((? IS NULL AND qo.target_id IS NULL) OR qo.target_id = ?)
+            AND (gqp.is_completed IS NULL OR gqp.is_completed = 0)
+        `, [scope, group.groupId, objectiveType, targetId, targetId]);
+
+        for (const objective of objectives) {
+          // Only progress up to the required amount counts as contribution
+          const counted = Math.min(amount, objective.required_amount - objective.current_amount);
+          if (counted <= 0) continue;
+          const isCompleted = objective.current_amount + counted >= objective.required_amount ? 1 : 0;
+
+          await db.run(`
+            INSERT INTO group_quest_progress (group_quest_id, objective_id, current_amount, is_completed)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(group_quest_id, objective_id) DO UPDATE SET
+              current_amount = current_amount + ?, is_completed = ?
+          `, [objective.group_quest_id, objective.id, counted, isCompleted, counted, isCompleted]);
+
+          await db.run(`
+            INSERT INTO group_quest_contributions (group_quest_id, objective_id, user_id, amount)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(group_quest_id, objective_id, user_id) DO UPDATE SET amount = amount + ?
+          `, [objective.group_quest_id, objective.id, userId, counted, counted]);
+
+          if (isCompleted) {
+            const run = { id: objective.group_quest_id, quest_id: objective.quest_id };
+            if (await checkGroupQuestCompletion(run)) {
+              completedRuns.push(run);
+            }
+          }
+        }
+      });
+
+      for (const run of completedRuns) {
+        const quest = await db.get('SELECT display_name FROM quests WHERE id = ?', [run.quest_id]);
+        await notifyGroup(
+          scope,
+          group.groupId,
+          `✅ Gruppenquest abgeschlossen: ${quest?.display_name}`,
+          `${group.name} hat alle Ziele der Quest "${quest?.display_name}" erreicht. Die Belohnung kann jetzt abgeholt werden.`
+        );
+      }
+    }
+  } catch (error) {
+    console.error('Error updating group quest progress:', error);
+  }
+}
+
+/**
+ * Group quests of all the player's groups with the current run, progress and contributions
+ * @param {number} userId
+ * @returns {Promise<Object[]>} [{ scope, label, groupId, name, canManage, quests }]
+ */
+export async function getGroupQuests(userId) {
+  const userStats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+  const userLevel = userStats?.level || 1;
+  const groups = [];
+
+  for (const [scope, config] of Object.entries(GROUP_SCOPES)) {
+    const group = await config.getGroup(userId);
+    if (!group) continue;
+
+    const quests = await db.all(`
+      SELECT q.*,
+        i.display_name as reward_item_name,
+        i.image_path as reward_item_image,
+        pq.display_name as prerequisite_name
+      FROM quests q
+      LEFT JOIN items i ON q.reward_item_id = i.id
+      LEFT JOIN quests pq ON q.prerequisite_quest_id = pq.id
+      WHERE q.is_active = 1 AND q.scope = ? AND q.min_level <= ?
+      ORDER BY q.sort_order, q.category, q.id
+    `, [scope, userLevel]);
+
+    for (const quest of quests) {
+      const run = await getLatestRun(quest.id, scope, group.groupId);
+      quest.group_status = run?.status || null;
+      quest.started_at = run?.started_at || null;
+      quest.completed_at = run?.completed_at || null;
+      quest.claimed_at = run?.claimed_at || null;
+
+      quest.objectives = await db.all(`
+        SELECT qo.*,
+          COALESCE(gqp.current_amount, 0) as current_amount,
+          COALESCE(gqp.is_completed, 0) as is_completed
+        FROM quest_objectives qo
+        LEFT JOIN group_quest_progress gqp ON qo.id = gqp.objective_id AND gqp.group_quest_id = ?
+        WHERE qo.quest_id = ?
+        ORDER BY qo.sort_order
+      `, [run?.id || 0, quest.id]);
+      quest.total_objectives = quest.objectives.length;
+      quest.completed_objectives = quest.objectives.filter(o => o.is_completed).length;
+
+      quest.contributions = run ? await getContributions(run, quest.reward_split) : [];
+
+      if (quest.prerequisite_quest_id) {
+        const prereq = await db.get(
+          "SELECT id FROM group_quests WHERE quest_id = ? AND scope = ? AND group_id = ? AND status = 'claimed'",
+          [quest.prerequisite_quest_id, scope, group.groupId]
+        );
+        quest.prerequisite_completed = !!prereq;
+      } else {
+        quest.prerequisite_completed = true;
+      }
+    }
+
+    groups.push({ scope, label: config.label, ...group, quests });
+  }
+
+  return groups;
+}
+
+/**
+ * Claim a completed group quest: splits the rewards between the contributing members
+ * @param {Object} quest - quests row
+ * @param {number} userId - Claiming member (any member of the group)
+ * @returns {Promise<{rewards: Object[], distribution: Object[]}>} Own rewards and every member's share
+ * @throws {GroupQuestError}
+ */
+export async function claimGroupQuest(quest, userId) {
+  const group = await requireGroup(userId, quest.scope);
+
+  const distribution = await db.transaction(async () => {
+    const run = await getLatestRun(quest.id, quest.scope, group.groupId);
+    if (!run) {
+      throw new GroupQuestError('Quest nicht gestartet!');
+    }
+    if (run.status !== 'completed') {
+      throw new GroupQuestError(run.status === 'claimed' ? 'Belohnung bereits abgeholt!' : 'Quest noch nicht abgeschlossen!');
+    }
+
+    let contributors = await getContributions(run, quest.reward_split);
+    if (contributors.length === 0) {
+      // Nothing tracked (e.g. objectives removed by an admin): the claiming member gets everything
+      const user = await db.get('SELECT username FROM users WHERE id = ?', [userId]);
+      contributors = [{ user_id: userId, username: user?.username, amount: 0, weight: 1, share: 100 }];
+    }
+
+    const weights = contributors.map(entry => entry.weight);
+    const goldShares = splitReward(quest.reward_gold || 0, weights);
+    const expShares = splitReward(quest.reward_experience || 0, weights);
+    const itemShares = quest.reward_item_id ? splitReward(quest.reward_item_quantity || 1, weights) : weights.map(() => 0);
+
+    const result = [];
+    for (let i = 0; i < contributors.length; i++) {
+      const rewards = await grantQuestRewards(contributors[i].user_id, {
+        gold: goldShares[i],
+        experience: expShares[i],
+        itemId: quest.reward_item_id,
+        itemQuantity: itemShares[i]
+      });
+      await updateStatistic(contributors[i].user_id, 'quests_completed', 1);
+      result.push({
+        user_id: contributors[i].user_id,
+        username: contributors[i].username,
+        share: contributors[i].share,
+        rewards
+      });
+    }
+
+    await db.run(
+      "UPDATE group_quests SET status = 'claimed', claimed_at = CURRENT_TIMESTAMP, claimed_by = ? WHERE id = ?",
+      [userId, run.id]
+    );
+
+    return result;
+  });
+
+  const describe = rewards => rewards.map(reward => {
+    if (reward.type === 'gold') return `${reward.amount} Gold`;
+    if (reward.type === 'experience') return `${reward.amount} EP`;
+    return `${reward.amount}x ${reward.name}`;
+  }).join(', ') || 'nichts';
+
+  for (const entry of distribution) {
+    if (entry.user_id === userId) continue;
+    await sendSystemMessage(
+      entry.user_id,
+      `🎁 Belohnung für ${quest.display_name}`,
+      `Die Gruppenquest "${quest.display_name}" von ${group.name} wurde abgeholt. Dein Anteil (${entry.share} %): ${describe(entry.rewards)}.`,
+      'system',
+      group.groupId
+    );
+  }
+
+  return {
+    rewards: distribution.find(entry => entry.user_id === userId)?.rewards || [],
+    distribution
+  };
+}
+
+/**
+ * Abandon the active run of a group quest (leader/officer only). Progress is lost.
+ * @param {Object} quest - quests row
+ * @param {number} userId
+ * @throws {GroupQuestError}
+ */
+export async function abandonGroupQuest(quest, userId) {
+  const group = await requireGroup(userId, quest.scope);
+  if (!group.canManage) {
+    throw new GroupQuestError('Nur Anführer und Offiziere können Gruppenquests abbrechen', 403);
+  }
+
+  await db.transaction(async () => {
+    const run = await getLatestRun(quest.id, quest.scope, group.groupId);
+    if (!run || run.status !== 'active') {
+      throw new GroupQuestError('Quest nicht aktiv!');
+    }
+
+    await db.run('DELETE FROM group_quest_contributions WHERE group_quest_id = ?', [run.id]);
+    await db.run('DELETE FROM group_quest_progress WHERE group_quest_id = ?', [run.id]);
+    await db.run('DELETE FROM group_quests WHERE id = ?', [run.id]);
+  });
+}
+
+/**
+ * Remove all runs of a quest (used when an admin deletes it)
+ * @param {number} questId
+ */
+export async function deleteGroupQuestRuns(questId) {
+  const runs = await db.all('SELECT id FROM group_quests WHERE quest_id = ?', [questId]);
+  for (const run of runs) {
+    await db.run('DELETE FROM group_quest_contributions WHERE group_quest_id = ?', [run.id]);
+    await db.run('DELETE FROM group_quest_progress WHERE group_quest_id = ?', [run.id]);
+  }
+  await db.run('DELETE FROM group_quests WHERE quest_id = ?', [questId]);
+}
+
+export default {
+  QUEST_SCOPES,
+  REWARD_SPLITS,
+  GroupQuestError,
+  getQuestGroup,
+  grantQuestRewards,
+  splitReward,
+  getContributions,
+  startGroupQuest,
+  addGroupQuestProgress,
+  getGroupQuests,
+  claimGroupQuest,
+  abandonGroupQuest,
+  deleteGroupQuestRuns
+};
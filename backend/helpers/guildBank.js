@@ -0,0 +1,347 @@
+import db from '../database.js';
+import { addItems, removeItems, addGold, removeGold } from './inventory.js';
+
+// Withdrawals per rolling 24 hours, used until the leader sets own limits.
+// The leader can always withdraw without limit.
+export const DEFAULT_WITHDRAWAL_LIMITS = {
+  officer: { daily_gold: 1000, daily_items: 200 },
+  member: { daily_gold: 100, daily_items: 20 }
+};
+
+const LIMITED_ROLES = Object.keys(DEFAULT_WITHDRAWAL_LIMITS);
+
+/**
+ * Thrown when a bank action is not possible (empty bank, limit reached, ...)
+ */
+export class GuildBankError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GuildBankError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a deposit/withdrawal request
+ * @param {number} gold
+ * @param {Array<{item_id: number, quantity: number}>} items
+ * @returns {{gold: number, items: Array<{item_id: number, quantity: number}>}} Merged item stacks
+ * @throws {GuildBankError} On invalid amounts or an empty request
+ */
+function parseMovement(gold, items) {
+  const goldAmount = parseInt(gold) || 0;
+  if (goldAmount < 0) {
+    throw new GuildBankError('Ungültige Goldmenge');
+  }
+
+  const merged = new Map();
+  for (const item of items || []) {
+    const itemId = parseInt(item.item_id);
+    const quantity = parseInt(item.quantity);
+    if (!itemId || !quantity || quantity <= 0) {
+      throw new GuildBankError('Ungültige Item-Menge');
+    }
+    merged.set(itemId, (merged.get(itemId) || 0) + quantity);
+  }
+
+  if (goldAmount === 0 && merged.size === 0) {
+    throw new GuildBankError('Nichts ausgewählt');
+  }
+
+  return {
+    gold: goldAmount,
+    items: [...merged].map(([item_id, quantity]) => ({ item_id, quantity }))
+  };
+}
+
+async function logTransaction(guildId, userId, type, { itemId = null, quantity = 0, gold = 0, reason = null }) {
+  await db.run(`
+    INSERT INTO guild_bank_transactions (guild_id, user_id, type, item_id, quantity, gold, reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [guildId, userId, type, itemId, quantity, gold, reason]);
+}
+
+/**
+ * Take gold and items out of the bank (no ledger entry)
+ * @throws {GuildBankError} If the bank does not hold enough
+ */
+async function takeFromBank(guildId, gold, items) {
+  if (gold > 0) {
+    const result = await db.run(
+      'UPDATE guilds SET bank_gold = bank_gold - ? WHERE id = ? AND bank_gold >= ?',
+      [gold, guildId, gold]
+    );
+    if (result.changes === 0) {
+      throw new GuildBankError('Nicht genug Gold in der Gildenbank');
+    }
+  }
+
+  for (const item of items) {
+    const result = await db.run(
+      'UPDATE guild_bank_items SET quantity = quantity - ? WHERE guild_id = ? AND item_id = ? AND quantity >= ?',
+      [item.quantity, guildId, item.item_id, item.quantity]
+    );
+    if (result.changes === 0) {
+      const row = await db.get('SELECT display_name FROM items WHERE id = ?', [item.item_id]);
+      throw new GuildBankError(`Nicht genug ${row?.display_name || 'Items'} in der Gildenbank`);
+    }
+  }
+
+  await db.run('DELETE FROM guild_bank_items WHERE guild_id = ? AND quantity <= 0', [guildId]);
+}
+
+/**
+ * Gold and item stacks of a guild bank
+ * @param {number} guildId
+ * @returns {Promise<{gold: number, items: Object[]}>}
+ */
+export async function getBank(guildId) {
+  const guild = await db.get('SELECT bank_gold FROM guilds WHERE id = ?', [guildId]);
+  const items = await db.all(`
+    SELECT gbi.item_id, gbi.quantity, i.name, i.display_name, i.type, i.rarity, i.image_path
+    FROM guild_bank_items gbi
+    JOIN items i ON gbi.item_id = i.id
+    WHERE gbi.guild_id = ? AND gbi.quantity > 0
+    ORDER BY i.type, i.display_name
+  `, [guildId]);
+
+  return { gold: guild?.bank_gold || 0, items };
+}
+
+/**
+ * Withdrawal limits per role, the guild's own values over the defaults
+ * @param {number} guildId
+ * @returns {Promise<Object>} { officer: {daily_gold, daily_items}, member: {...} }
+ */
+export async function getWithdrawalLimits(guildId) {
+  const rows = await db.all(
+    'SELECT role, daily_gold, daily_items FROM guild_bank_limits WHERE guild_id = ?',
+    [guildId]
+  );
+
+  const limits = {};
+  for (const role of LIMITED_ROLES) {
+    const row = rows.find(r => r.role === role);
+    limits[role] = row
+      ? { daily_gold: row.daily_gold, daily_items: row.daily_items }
+      : { ...DEFAULT_WITHDRAWAL_LIMITS[role] };
+  }
+  return limits;
+}
+
+/**
+ * Set the withdrawal limits of one or more roles
+ * @param {number} guildId
+ * @param {Object} limits - { officer: {daily_gold, daily_items}, member: {...} }, missing roles stay unchanged
+ * @throws {GuildBankError} On unknown roles or invalid values
+ */
+export async function setWithdrawalLimits(guildId, limits) {
+  const entries = Object.entries(limits || {});
+  if (entries.length === 0) {
+    throw new GuildBankError('Keine Limits angegeben');
+  }
+
+  for (const [role, limit] of entries) {
+    if (!LIMITED_ROLES.includes(role)) {
+      throw new GuildBankError(`Für die Rolle "${role}" gibt es kein Limit`);
+    }
+    const dailyGold = parseInt(limit?.daily_gold);
+    const dailyItems = parseInt(limit?.daily_items);
+    if (isNaN(dailyGold) || isNaN(dailyItems) || dailyGold < 0 || dailyItems < 0) {
+      throw new GuildBankError('Limits müssen ganze Zahlen ab 0 sein');
+    }
+  }
+
+  await db.transaction(async () => {
+    for (const [role, limit] of entries) {
+      await db.run(`
+        INSERT INTO guild_bank_limits (guild_id, role, daily_gold, daily_items)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(guild_id, role) DO UPDATE SET daily_gold = excluded.daily_gold, daily_items = excluded.daily_items
+      `, [guildId, role, parseInt(limit.daily_gold), parseInt(limit.daily_items)]);
+    }
+  });
+}
+
+/**
+ * What a member withdrew in the last 24 hours
+ * @param {number} guildId
+ * @param {number} userId
+ * @returns {Promise<{gold: number, items: number}>} items = sum of all withdrawn item units
+ */
+export async function getWithdrawnToday(guildId, userId) {
+  const row = await db.get(`
+    SELECT COALESCE(SUM(gold), 0) as gold, COALESCE(SUM(quantity), 0) as items
+    FROM guild_bank_transactions
+    WHERE guild_id = ? AND user_id = ? AND type = 'withdraw' AND created_at > datetime('now', '-1 day')
+  `, [guildId, userId]);
+
+  return { gold: row.gold, items: row.items };
+}
+
+/**
+ * Move gold and items from a member into the guild bank
+ * @param {number} guildId
+ * @param {number} userId
+ * @param {{gold?: number, items?: Array<{item_id: number, quantity: number}>}} deposit
+ * @throws {GuildBankError|InventoryError} If the member does not own enough
+ */
+export async function depositToBank(guildId, userId, { gold, items }) {
+  const movement = parseMovement(gold, items);
+
+  await db.transaction(async () => {
+    if (movement.gold > 0) {
+      await removeGold(userId, movement.gold);
+      await db.run('UPDATE guilds SET bank_gold = bank_gold + ? WHERE id = ?', [movement.gold, guildId]);
+      await logTransaction(guildId, userId, 'deposit', { gold: movement.gold });
+    }
+
+    await removeItems(userId, movement.items);
+    for (const item of movement.items) {
+      await db.run(`
+        INSERT INTO guild_bank_items (guild_id, item_id, quantity)
+        VALUES (?, ?, ?)
+        ON CONFLICT(guild_id, item_id) DO UPDATE SET quantity = quantity + ?
+      `, [guildId, item.item_id, item.quantity, item.quantity]);
+      await logTransaction(guildId, userId, 'deposit', { itemId: item.item_id, quantity: item.quantity });
+    }
+  });
+}
+
+/**
+ * Move gold and items from the guild bank to a member, within the daily limit of the member's role
+ * @param {number} guildId
+ * @param {number} userId
+ * @param {string} role - Guild role of the member
+ * @param {{gold?: number, items?: Array<{item_id: number, quantity: number}>}} withdrawal
+ * @throws {GuildBankError} If the bank does not hold enough or the limit is reached
+ */
+export async function withdrawFromBank(guildId, userId, role, { gold, items }) {
+  const movement = parseMovement(gold, items);
+
+  await db.transaction(async () => {
+    if (role !== 'leader') {
+      const limit = (await getWithdrawalLimits(guildId))[role];
+      const withdrawn = await getWithdrawnToday(guildId, userId);
+      const itemUnits = movement.items.reduce((sum, item) => sum + item.quantity, 0);
+
+      if (movement.gold > 0 && withdrawn.gold + movement.gold > limit.daily_gold) {
+        throw new GuildBankError(
+          `Tageslimit erreicht: noch ${Math.max(0, limit.daily_gold - withdrawn.gold)} Gold verfügbar`
+        );
+      }
+      if (itemUnits > 0 && withdrawn.items + itemUnits > limit.daily_items) {
+        throw new GuildBankError(
+          `Tageslimit erreicht: noch ${Math.max(0, limit.daily_items - withdrawn.items)} Items verfügbar`
+        );
+      }
+    }
+
+    await takeFromBank(guildId, movement.gold, movement.items);
+
+    if (movement.gold > 0) {
+      await addGold(userId, movement.gold);
+      await logTransaction(guildId, userId, 'withdraw', { gold: movement.gold });
+    }
+
+    await addItems(userId, movement.items);
+    for (const item of movement.items) {
+      await logTransaction(guildId, userId, 'withdraw', { itemId: item.item_id, quantity: item.quantity });
+    }
+  });
+}
+
+/**
+ * Resolve a resource list like GUILD_CREATION_REQUIREMENTS.resources to item IDs
+ * @param {Array<{itemName: string, quantity: number}>} resources
+ * @returns {Promise<Array<{item_id: number, display_name: string, quantity: number}>>} Unknown items are skipped
+ */
+export async function resolveResources(resources) {
+  const items = [];
+  for (const resource of resources || []) {
+    const item = await db.get('SELECT id, display_name FROM items WHERE name = ?', [resource.itemName]);
+    if (item) {
+      items.push({ item_id: item.id, display_name: item.display_name, quantity: resource.quantity });
+    }
+  }
+  return items;
+}
+
+/**
+ * Pay a guild upgrade, either from the guild bank or from the member's own inventory
+ * @param {number} guildId
+ * @param {number} userId - Member who triggers the upgrade
+ * @param {{gold?: number, resources?: Array<{itemName: string, quantity: number}>}} cost
+ * @param {{fromBank?: boolean, reason?: string}} options
+ * @throws {GuildBankError|InventoryError} If the bank or the member does not hold enough
+ */
+export async function payGuildCost(guildId, userId, { gold = 0, resources = [] }, { fromBank = false, reason = null } = {}) {
+  const items = (await resolveResources(resources)).map(({ item_id, quantity }) => ({ item_id, quantity }));
+
+  await db.transaction(async () => {
+    if (!fromBank) {
+      await removeGold(userId, gold);
+      await removeItems(userId, items);
+      return;
+    }
+
+    await takeFromBank(guildId, gold, items);
+    if (gold > 0) {
+      await logTransaction(guildId, userId, 'spend', { gold, reason });
+    }
+    for (const item of items) {
+      await logTransaction(guildId, userId, 'spend', { itemId: item.item_id, quantity: item.quantity, reason });
+    }
+  });
+}
+
+/**
+ * Ledger of a guild bank, newest first
+ * @param {number} guildId
+ * @param {number} [limit=100]
+ * @returns {Promise<Object[]>}
+ */
+export async function getBankTransactions(guildId, limit = 100) {
+  return db.all(`
+    SELECT t.id, t.type, t.item_id, t.quantity, t.gold, t.reason, t.created_at,
+           t.user_id, u.username, i.display_name as item_name
+    FROM guild_bank_transactions t
+    LEFT JOIN users u ON t.user_id = u.id
+    LEFT JOIN items i ON t.item_id = i.id
+    WHERE t.guild_id = ?
+    ORDER BY t.created_at DESC, t.id DESC
+    LIMIT ?
+  `, [guildId, limit]);
+}
+
+/**
+ * Pay out the whole bank to the leader and remove it, when the guild is disbanded
+ * @param {number} guildId
+ * @param {number} leaderId
+ */
+export async function closeBank(guildId, leaderId) {
+  await db.transaction(async () => {
+    const bank = await getBank(guildId);
+    await addGold(leaderId, bank.gold);
+    await addItems(leaderId, bank.items);
+
+    await db.run('DELETE FROM guild_bank_items WHERE guild_id = ?', [guildId]);
+    await db.run('DELETE FROM guild_bank_limits WHERE guild_id = ?', [guildId]);
+    await db.run('DELETE FROM guild_bank_transactions WHERE guild_id = ?', [guildId]);
+  });
+}
+
+export default {
+  DEFAULT_WITHDRAWAL_LIMITS,
+  GuildBankError,
+  getBank,
+  getWithdrawalLimits,
+  setWithdrawalLimits,
+  getWithdrawnToday,
+  depositToBank,
+  withdrawFromBank,
+  resolveResources,
+  payGuildCost,
+  getBankTransactions,
+  closeBank
+};
@@ -0,0 +1,283 @@
+import db from '../database.js';
+import { sendSystemMessage } from '../routes/messages.js';
+import { sendDiscordEventNotification } from '../utils/discord.js';
+import { payGuildCost, resolveResources } from './guildBank.js';
+
+// Total guild XP needed for each level (index 0 = level 1)
+export const GUILD_LEVEL_XP = [0, 1000, 3000, 6000, 10000, 16000, 25000, 40000, 60000, 90000];
+
+export const MAX_GUILD_LEVEL = GUILD_LEVEL_XP.length;
+
+// Guild XP per point of a member statistic (see helpers/statistics.js)
+export const GUILD_XP_SOURCES = {
+  quests_completed: 25,
+  monsters_killed: 2,
+  bosses_killed: 20,
+  resources_collected: 1
+};
+
+// Member cap: base value plus a few more slots per level
+const BASE_MEMBER_CAP = 10;
+const MEMBERS_PER_LEVEL = 5;
+
+const DEFAULT_TEMPLATES = {
+  guild_level_up: '🏰 **Gildenaufstieg!**\n\n**[{{tag}}] {{guild}}** hat Stufe {{level}} erreicht!\n👥 Bis zu {{member_cap}} Mitglieder'
+};
+
+/**
+ * Thrown when a perk cannot be activated (level too low, already active, ...)
+ */
+export class GuildLevelError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GuildLevelError';
+    this.status = status;
+  }
+}
+
+/**
+ * Level reached with the given amount of guild XP
+ * @param {number} xp
+ * @returns {number}
+ */
+export function getLevelForXp(xp) {
+  let level = 1;
+  while (level < MAX_GUILD_LEVEL && xp >= GUILD_LEVEL_XP[level]) {
+    level++;
+  }
+  return level;
+}
+
+/**
+ * Maximum number of members of a guild on this level
+ * @param {number} level
+ * @returns {number}
+ */
+export function getMemberCap(level) {
+  return BASE_MEMBER_CAP + (Math.max(1, level) - 1) * MEMBERS_PER_LEVEL;
+}
+
+/**
+ * Level, XP progress and member cap of a guild row
+ * @param {{level: number, xp: number}} guild
+ * @returns {Object}
+ */
+export function getLevelInfo(guild) {
+  const level = guild.level || 1;
+  return {
+    level,
+    xp: guild.xp || 0,
+    level_xp: GUILD_LEVEL_XP[level - 1],
+    next_level_xp: level < MAX_GUILD_LEVEL ? GUILD_LEVEL_XP[level] : null,
+    member_cap: getMemberCap(level)
+  };
+}
+
+/**
+ * Check if a guild has reached its member cap
+ * @param {number} guildId
+ * @returns {Promise<boolean>}
+ */
+export async function isGuildFull(guildId) {
+  const guild = await db.get(`
+    SELECT g.level, (SELECT COUNT(*) FROM guild_members WHERE guild_id = g.id) as member_count
+    FROM guilds g WHERE g.id = ?
+  `, [guildId]);
+  return !!guild && guild.member_count >= getMemberCap(guild.level);
+}
+
+/**
+ * Add XP to a guild and level it up when a threshold is crossed
+ * @param {number} guildId
+ * @param {number} amount
+ * @param {number} [userId] - Member who earned the XP (counted as contribution)
+ * @returns {Promise<number|null>} New level if the guild leveled up, otherwise null
+ */
+export async function addGuildXp(guildId, amount, userId = null) {
+  if (!amount || amount <= 0) return null;
+
+  await db.run('UPDATE guilds SET xp = xp + ? WHERE id = ?', [amount, guildId]);
+  if (userId) {
+    await db.run(
+      'UPDATE guild_members SET xp_contributed = xp_contributed + ? WHERE guild_id = ? AND user_id = ?',
+      [amount, guildId, userId]
+    );
+  }
+
+  const guild = await db.get('SELECT id, name, tag, level, xp FROM guilds WHERE id = ?', [guildId]);
+  if (!guild) return null;
+
+  const newLevel = getLevelForXp(guild.xp);
+  if (newLevel <= guild.level) return null;
+
+  // Only the request that actually raised the level sends the notifications
+  const result = await db.run(
+    'UPDATE guilds SET level = ? WHERE id = ? AND level < ?',
+    [newLevel, guildId, newLevel]
+  );
+  if (result.changes === 0) return null;
+
+  const memberCap = getMemberCap(newLevel);
+  const unlocked = await db.all(
+    'SELECT icon, display_name FROM guild_perks WHERE is_active = 1 AND required_level > ? AND required_level <= ?',
+    [guild.level, newLevel]
+  );
+  const perkText = unlocked.length > 0
+    ? `\n\nNeue Gildenperks: ${unlocked.map(perk => `${perk.icon} ${perk.display_name}`).join(', ')}`
+    : '';
+
+  const members = await db.all('SELECT user_id FROM guild_members WHERE guild_id = ?', [guildId]);
+  for (const member of members) {
+    await sendSystemMessage(
+      member.user_id,
+      `🏰 [${guild.tag}] ${guild.name} ist jetzt Stufe ${newLevel}!`,
+      `Eure Gilde hat Stufe ${newLevel} erreicht. Ab sofort haben bis zu ${memberCap} Mitglieder Platz.${perkText}`,
+      'guild_level',
+      guildId
+    );
+  }
+
+  await sendDiscordEventNotification('guild_level_up', {
+    guild: guild.name,
+    tag: guild.tag,
+    level: newLevel,
+    member_cap: memberCap
+  }, DEFAULT_TEMPLATES.guild_level_up);
+
+  return newLevel;
+}
+
+/**
+ * Give the guild of a player XP for a statistic change. Called by helpers/statistics.js.
+ * @param {number} userId
+ * @param {string} statName - Statistic field name
+ * @param {number} amount - Amount the statistic grew
+ */
+export async function awardGuildXp(userId, statName, amount) {
+  const xpPerPoint = GUILD_XP_SOURCES[statName];
+  if (!xpPerPoint || !amount || amount <= 0) return;
+
+  const membership = await db.get('SELECT guild_id FROM guild_members WHERE user_id = ?', [userId]);
+  if (!membership) return;
+
+  await addGuildXp(membership.guild_id, Math.round(xpPerPoint * amount), userId);
+}
+
+/**
+ * All perks with their state for a guild
+ * @param {number} guildId
+ * @returns {Promise<Object[]>} Perks with unlocked, active_until and the resolved cost
+ */
+export async function getGuildPerks(guildId) {
+  const guild = await db.get('SELECT level FROM guilds WHERE id = ?', [guildId]);
+  const now = new Date().toISOString();
+
+  const perks = await db.all(`
+    SELECT gp.id, gp.name, gp.display_name, gp.description, gp.icon, gp.stacks, gp.required_level,
+           gp.duration_hours, gp.cost_gold, gp.cost_resources,
+           bt.effect_type, bt.effect_value,
+           (SELECT MAX(gpa.expires_at) FROM guild_perk_activations gpa
+            WHERE gpa.guild_id = ? AND gpa.perk_id = gp.id AND gpa.expires_at > ?) as active_until
+    FROM guild_perks gp
+    JOIN buff_types bt ON gp.buff_type_id = bt.id
+    WHERE gp.is_active = 1
+    ORDER BY gp.required_level, gp.display_name
+  `, [guildId, now]);
+
+  for (const perk of perks) {
+    perk.unlocked = (guild?.level || 1) >= perk.required_level;
+    perk.cost_items = await resolveResources(JSON.parse(perk.cost_resources || '[]'));
+    delete perk.cost_resources;
+  }
+  return perks;
+}
+
+/**
+ * Activate an unlocked perk: pays the cost and adds a guild-targeted buff for the perk's duration
+ * @param {number} guildId
+ * @param {number} perkId
+ * @param {number} userId - Activating leader
+ * @param {{fromBank?: boolean}} options - Pay from the guild bank instead of the leader's inventory
+ * @returns {Promise<{perk: Object, expiresAt: string}>}
+ * @throws {GuildLevelError|GuildBankError|InventoryError}
+ */
+export async function activatePerk(guildId, perkId, userId, { fromBank = false } = {}) {
+  const perk = await db.get('SELECT * FROM guild_perks WHERE id = ? AND is_active = 1', [perkId]);
+  if (!perk) {
+    throw new GuildLevelError('Perk nicht gefunden', 404);
+  }
+
+  const guild = await db.get('SELECT level FROM guilds WHERE id = ?', [guildId]);
+  if (!guild || guild.level < perk.required_level) {
+    throw new GuildLevelError(`${perk.display_name} wird erst mit Gildenstufe ${perk.required_level} freigeschaltet`);
+  }
+
+  const expiresAt = new Date(Date.now() + perk.duration_hours * 3600000).toISOString();
+
+  await db.transaction(async () => {
+    const running = await db.get(
+      'SELECT id FROM guild_perk_activations WHERE guild_id = ? AND perk_id = ? AND expires_at > ?',
+      [guildId, perkId, new Date().toISOString()]
+    );
+    if (running) {
+      throw new GuildLevelError(`${perk.display_name} ist bereits aktiv`);
+    }
+
+    await payGuildCost(
+      guildId,
+      userId,
+      { gold: perk.cost_gold, resources: JSON.parse(perk.cost_resources || '[]') },
+      { fromBank, reason: `Perk: ${perk.display_name}` }
+    );
+
+    const buff = await db.run(`
+      INSERT INTO active_buffs (buff_type_id, target_type, target_id, duration_minutes, stacks, created_by, expires_at)
+      VALUES (?, 'guild', ?, ?, ?, ?, ?)
+    `, [perk.buff_type_id, guildId, perk.duration_hours * 60, perk.stacks || 1, userId, expiresAt]);
+
+    await db.run(`
+      INSERT INTO guild_perk_activations (guild_id, perk_id, active_buff_id, activated_by, paid_from, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [guildId, perkId, buff.lastID, userId, fromBank ? 'bank' : 'leader', expiresAt]);
+  });
+
+  return { perk, expiresAt };
+}
+
+/**
+ * Guilds ranked by level and XP
+ * @param {number} [limit=50]
+ * @returns {Promise<Object[]>}
+ */
+export async function getGuildLeaderboard(limit = 50) {
+  const guilds = await db.all(`
+    SELECT g.id, g.name, g.tag, g.level, g.xp, u.username as leader_name,
+           (SELECT COUNT(*) FROM guild_members WHERE guild_id = g.id) as member_count
+    FROM guilds g
+    JOIN users u ON g.leader_id = u.id
+    ORDER BY g.level DESC, g.xp DESC, g.created_at
+    LIMIT ?
+  `, [limit]);
+
+  return guilds.map((guild, index) => ({
+    rank: index + 1,
+    ...guild,
+    member_cap: getMemberCap(guild.level)
+  }));
+}
+
+export default {
+  GUILD_LEVEL_XP,
+  MAX_GUILD_LEVEL,
+  GUILD_XP_SOURCES,
+  GuildLevelError,
+  getLevelForXp,
+  getMemberCap,
+  getLevelInfo,
+  isGuildFull,
+  addGuildXp,
+  awardGuildXp,
+  getGuildPerks,
+  activatePerk,
+  getGuildLeaderboard
+};
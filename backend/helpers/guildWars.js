@@ -0,0 +1,477 @@
+import db from '../database.js';
+import { sendSystemMessage } from '../routes/messages.js';
+import { sendDiscordEventNotification } from '../utils/discord.js';
+
+// Time between the accepted declaration and the first scored kill
+export const WAR_PREPARATION_HOURS = 24;
+
+// Scored war time after the preparation
+export const WAR_DURATION_HOURS = 72;
+
+// Unanswered declarations lapse after this long
+const DECLARATION_EXPIRY_HOURS = 48;
+
+// Points per scored kill
+export const WAR_POINTS = {
+  pvp: 10,
+  monster: 1,
+  boss: 5
+};
+
+const END_REASONS = {
+  time: 'Die Kriegszeit ist abgelaufen',
+  surrender: 'Kapitulation',
+  peace: 'Friedensschluss',
+  disbanded: 'Eine Gilde wurde aufgelöst'
+};
+
+const DEFAULT_TEMPLATES = {
+  guild_war_declared: '⚔️ **Krieg erklärt!**\n\n**{{attacker}}** gegen **{{defender}}**\n\n🛡️ Vorbereitung bis {{starts_at}}\n⏱️ Kriegsende {{ends_at}}',
+  guild_war_ended: '🏳️ **Gildenkrieg beendet!**\n\n**{{attacker}}** {{attacker_score}} : {{defender_score}} **{{defender}}**\n\n🏆 {{winner}}\n_{{reason}}_'
+};
+
+/**
+ * Thrown when a war action is not possible (wrong phase, already at war, ...)
+ */
+export class GuildWarError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GuildWarError';
+    this.status = status;
+  }
+}
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 3600000);
+}
+
+function guildLabel(war, side) {
+  return side === 'attacker'
+    ? `[${war.attacker_tag}] ${war.attacker_name}`
+    : `[${war.defender_tag}] ${war.defender_name}`;
+}
+
+function opponentOf(war, guildId) {
+  return war.attacker_guild_id === guildId ? war.defender_guild_id : war.attacker_guild_id;
+}
+
+/**
+ * War of a guild in preparation or fighting (a guild fights one war at a time)
+ * @param {number} guildId
+ * @returns {Promise<Object|null>}
+ */
+export async function getCurrentWar(guildId) {
+  return await db.get(`
+    SELECT * FROM guild_wars
+    WHERE (attacker_guild_id = ? OR defender_guild_id = ?) AND status IN ('preparing', 'active')
+  `, [guildId, guildId]) || null;
+}
+
+// War in which kills count right now. Goes by the times, so kills score even if the
+// scheduler has not switched the phase yet.
+async function getFightingWar(guildId) {
+  const now = new Date().toISOString();
+  return await db.get(`
+    SELECT * FROM guild_wars
+    WHERE (attacker_guild_id = ? OR defender_guild_id = ?) AND status IN ('preparing', 'active')
+      AND starts_at <= ? AND ends_at > ?
+  `, [guildId, guildId, now, now]) || null;
+}
+
+async function notifyGuild(guildId, subject, content, warId) {
+  const members = await db.all('SELECT user_id FROM guild_members WHERE guild_id = ?', [guildId]);
+  for (const member of members) {
+    await sendSystemMessage(member.user_id, subject, content, 'guild_war', warId);
+  }
+}
+
+async function notifyLeader(guildId, subject, content, warId) {
+  const guild = await db.get('SELECT leader_id FROM guilds WHERE id = ?', [guildId]);
+  if (guild) {
+    await sendSystemMessage(guild.leader_id, subject, content, 'guild_war', warId);
+  }
+}
+
+/**
+ * Declare war on another guild. The war only starts once the other guild accepts.
+ * @param {number} guildId - Declaring guild
+ * @param {number} targetGuildId
+ * @param {number} userId - Declaring leader
+ * @returns {Promise<Object>} The declaration
+ */
+export async function declareWar(guildId, targetGuildId, userId) {
+  if (guildId === targetGuildId) {
+    throw new GuildWarError('Du kannst deiner eigenen Gilde nicht den Krieg erklären');
+  }
+
+  const guild = await db.get('SELECT id, name, tag FROM guilds WHERE id = ?', [guildId]);
+  const target = await db.get('SELECT id, name, tag FROM guilds WHERE id = ?', [targetGuildId]);
+  if (!guild || !target) {
+    throw new GuildWarError('Zielgilde nicht gefunden', 404);
+  }
+
+  const pact = await db.get(`
+    SELECT id FROM guild_pacts
+    WHERE ((guild_1_id = ? AND guild_2_id = ?) OR (guild_1_id = ? AND guild_2_id = ?)) AND status = 'active'
+  `, [guildId, targetGuildId, targetGuildId, guildId]);
+  if (pact) {
+    throw new GuildWarError('Mit dieser Gilde besteht ein Nichtangriffspakt. Beendet zuerst den Pakt.');
+  }
+
+  if (await getCurrentWar(guildId)) {
+    throw new GuildWarError('Deine Gilde befindet sich bereits im Krieg');
+  }
+  if (await getCurrentWar(targetGuildId)) {
+    throw new GuildWarError(`${target.name} befindet sich bereits im Krieg`);
+  }
+
+  const pending = await db.get(`
+    SELECT id FROM guild_wars
+    WHERE ((attacker_guild_id = ? AND defender_guild_id = ?) OR (attacker_guild_id = ? AND defender_guild_id = ?))
+      AND status = 'pending'
+  `, [guildId, targetGuildId, targetGuildId, guildId]);
+  if (pending) {
+    throw new GuildWarError('Zwischen euren Gilden steht bereits eine Kriegserklärung aus');
+  }
+
+  const result = await db.run(`
+    INSERT INTO guild_wars (attacker_guild_id, defender_guild_id, attacker_name, attacker_tag, defender_name, defender_tag, declared_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [guildId, targetGuildId, guild.name, guild.tag, target.name, target.tag, userId]);
+
+  await notifyLeader(
+    targetGuildId,
+    `⚔️ Kriegserklärung von [${guild.tag}] ${guild.name}`,
+    `[${guild.tag}] ${guild.name} erklärt deiner Gilde den Krieg!\n\n` +
+    `Nimmst du an, beginnt der Krieg nach ${WAR_PREPARATION_HOURS} Stunden Vorbereitung und dauert ${WAR_DURATION_HOURS} Stunden. ` +
+    `Punkte gibt es für besiegte Mitglieder der anderen Gilde (${WAR_POINTS.pvp}) und für besiegte Monster (${WAR_POINTS.monster}, Bosse ${WAR_POINTS.boss}).\n\n` +
+    `Die Erklärung verfällt nach ${DECLARATION_EXPIRY_HOURS} Stunden. Antworten kannst du auf der Gildenseite unter „Kriege“.`,
+    result.lastID
+  );
+
+  return { id: result.lastID, target };
+}
+
+/**
+ * Accept or reject a declaration addressed to this guild
+ * @param {number} guildId - Challenged guild
+ * @param {number} warId
+ * @param {number} userId - Answering leader
+ * @param {boolean} accept
+ * @returns {Promise<Object>} The updated war
+ */
+export async function respondToWar(guildId, warId, userId, accept) {
+  const war = await db.get(
+    "SELECT * FROM guild_wars WHERE id = ? AND defender_guild_id = ? AND status = 'pending'",
+    [warId, guildId]
+  );
+  if (!war) {
+    throw new GuildWarError('Kriegserklärung nicht gefunden', 404);
+  }
+
+  if (!accept) {
+    await db.run(`
+      UPDATE guild_wars SET status = 'rejected', responded_by = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [userId, war.id]);
+    await notifyLeader(
+      war.attacker_guild_id,
+      `🕊️ Kriegserklärung abgelehnt`,
+      `${guildLabel(war, 'defender')} hat eure Kriegserklärung abgelehnt.`,
+      war.id
+    );
+    return { ...war, status: 'rejected' };
+  }
+
+  if (await getCurrentWar(war.attacker_guild_id) || await getCurrentWar(guildId)) {
+    throw new GuildWarError('Eine der Gilden befindet sich inzwischen in einem anderen Krieg');
+  }
+
+  const startsAt = hoursFromNow(WAR_PREPARATION_HOURS);
+  const endsAt = new Date(startsAt.getTime() + WAR_DURATION_HOURS * 3600000);
+  await db.run(`
+    UPDATE guild_wars
+    SET status = 'preparing', responded_by = ?, responded_at = CURRENT_TIMESTAMP, starts_at = ?, ends_at = ?
+    WHERE id = ?
+  `, [userId, startsAt.toISOString(), endsAt.toISOString(), war.id]);
+
+  // Other declarations of both guilds are obsolete now
+  await db.run(`
+    UPDATE guild_wars SET status = 'cancelled'
+    WHERE status = 'pending' AND id != ?
+      AND (attacker_guild_id IN (?, ?) OR defender_guild_id IN (?, ?))
+  `, [war.id, war.attacker_guild_id, guildId, war.attacker_guild_id, guildId]);
+
+  const content = `${guildLabel(war, 'attacker')} und ${guildLabel(war, 'defender')} befinden sich im Krieg!\n\n` +
+    `🛡️ Vorbereitung bis: ${startsAt.toLocaleString('de-DE')}\n⏱️ Kriegsende: ${endsAt.toLocaleString('de-DE')}\n\n` +
+    `Jeder Sieg über ein Mitglied der gegnerischen Gilde bringt ${WAR_POINTS.pvp} Punkte, ` +
+    `jedes besiegte Monster ${WAR_POINTS.monster} (Bosse ${WAR_POINTS.boss}).`;
+  await notifyGuild(war.attacker_guild_id, '⚔️ Krieg erklärt!', content, war.id);
+  await notifyGuild(guildId, '⚔️ Krieg erklärt!', content, war.id);
+
+  await sendDiscordEventNotification('guild_war_declared', {
+    attacker: guildLabel(war, 'attacker'),
+    defender: guildLabel(war, 'defender'),
+    starts_at: startsAt.toLocaleString('de-DE'),
+    ends_at: endsAt.toLocaleString('de-DE')
+  }, DEFAULT_TEMPLATES.guild_war_declared);
+
+  return { ...war, status: 'preparing', starts_at: startsAt.toISOString(), ends_at: endsAt.toISOString() };
+}
+
+/**
+ * Withdraw an unanswered declaration
+ * @param {number} guildId - Declaring guild
+ * @param {number} warId
+ */
+export async function withdrawDeclaration(guildId, warId) {
+  const result = await db.run(`
+    UPDATE guild_wars SET status = 'cancelled'
+    WHERE id = ? AND attacker_guild_id = ? AND status = 'pending'
+  `, [warId, guildId]);
+  if (result.changes === 0) {
+    throw new GuildWarError('Kriegserklärung nicht gefunden', 404);
+  }
+}
+
+/**
+ * End a running war, notify both guilds and announce the outcome
+ * @param {Object} war
+ * @param {Object} outcome
+ * @param {number|null} outcome.winnerGuildId - null for a draw
+ * @param {string} outcome.reason - Key of END_REASONS
+ * @returns {Promise<boolean>} false if the war had already ended
+ */
+async function endWar(war, { winnerGuildId, reason }) {
+  const result = await db.run(`
+    UPDATE guild_wars SET status = 'ended', winner_guild_id = ?, end_reason = ?, ended_at = ?
+    WHERE id = ? AND status IN ('preparing', 'active')
+  `, [winnerGuildId, reason, new Date().toISOString(), war.id]);
+  if (result.changes === 0) return false;
+
+  const winner = winnerGuildId === null
+    ? 'Unentschieden'
+    : `Sieger: ${guildLabel(war, winnerGuildId === war.attacker_guild_id ? 'attacker' : 'defender')}`;
+  const score = `${guildLabel(war, 'attacker')} ${war.attacker_score} : ${war.defender_score} ${guildLabel(war, 'defender')}`;
+
+  for (const guildId of [war.attacker_guild_id, war.defender_guild_id]) {
+    const subject = winnerGuildId === null
+      ? '🏳️ Krieg beendet: Unentschieden'
+      : winnerGuildId === guildId ? '🏆 Krieg gewonnen!' : '💀 Krieg verloren';
+    await notifyGuild(guildId, subject, `${score}\n\n${winner}\n${END_REASONS[reason]}.`, war.id);
+  }
+
+  await sendDiscordEventNotification('guild_war_ended', {
+    attacker: guildLabel(war, 'attacker'),
+    defender: guildLabel(war, 'defender'),
+    attacker_score: war.attacker_score,
+    defender_score: war.defender_score,
+    winner,
+    reason: END_REASONS[reason]
+  }, DEFAULT_TEMPLATES.guild_war_ended);
+
+  return true;
+}
+
+/**
+ * Give up a running war, the other guild wins
+ * @param {number} guildId - Surrendering guild
+ * @param {number} warId
+ */
+export async function surrender(guildId, warId) {
+  const war = await getCurrentWar(guildId);
+  if (!war || war.id !== warId) {
+    throw new GuildWarError('Krieg nicht gefunden', 404);
+  }
+  await endWar(war, { winnerGuildId: opponentOf(war, guildId), reason: 'surrender' });
+}
+
+/**
+ * Offer peace. Once both guilds offered it, the war ends without a winner.
+ * @param {number} guildId
+ * @param {number} warId
+ * @returns {Promise<boolean>} true if peace was made
+ */
+export async function offerPeace(guildId, warId) {
+  const war = await getCurrentWar(guildId);
+  if (!war || war.id !== warId) {
+    throw new GuildWarError('Krieg nicht gefunden', 404);
+  }
+  if (war.peace_offered_by === guildId) {
+    throw new GuildWarError('Ihr habt bereits Frieden angeboten');
+  }
+
+  if (war.peace_offered_by === opponentOf(war, guildId)) {
+    await endWar(war, { winnerGuildId: null, reason: 'peace' });
+    return true;
+  }
+
+  await db.run('UPDATE guild_wars SET peace_offered_by = ? WHERE id = ?', [guildId, war.id]);
+  const side = war.attacker_guild_id === guildId ? 'attacker' : 'defender';
+  await notifyLeader(
+    opponentOf(war, guildId),
+    '🕊️ Friedensangebot',
+    `${guildLabel(war, side)} bietet Frieden an. Nimmst du an, endet der Krieg ohne Sieger.`,
+    war.id
+  );
+  return false;
+}
+
+/**
+ * Settle the wars of a guild that is being disbanded: declarations are dropped,
+ * a running war is won by the other guild
+ * @param {number} guildId
+ */
+export async function endWarsOfGuild(guildId) {
+  await db.run(`
+    UPDATE guild_wars SET status = 'cancelled'
+    WHERE status = 'pending' AND (attacker_guild_id = ? OR defender_guild_id = ?)
+  `, [guildId, guildId]);
+
+  const war = await getCurrentWar(guildId);
+  if (war) {
+    await endWar(war, { winnerGuildId: opponentOf(war, guildId), reason: 'disbanded' });
+  }
+}
+
+async function addWarPoints(war, guildId, userId, killType, points, { victimUserId = null, monsterTypeId = null } = {}) {
+  const column = war.attacker_guild_id === guildId ? 'attacker_score' : 'defender_score';
+  await db.run(`UPDATE guild_wars SET ${column} = ${column} + ? WHERE id = ?`, [points, war.id]);
+  await db.run(`
+    INSERT INTO guild_war_kills (war_id, guild_id, user_id, kill_type, victim_user_id, monster_type_id, points)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [war.id, guildId, userId, killType, victimUserId, monsterTypeId, points]);
+}
+
+/**
+ * Score a won PvP fight if winner and loser belong to guilds at war with each other
+ * @param {number} winnerId
+ * @param {number} loserId
+ * @returns {Promise<{points: number, guild: string}|null>} null if no war was affected
+ */
+export async function recordWarPvpKill(winnerId, loserId) {
+  const winnerGuild = await db.get('SELECT guild_id FROM guild_members WHERE user_id = ?', [winnerId]);
+  const loserGuild = await db.get('SELECT guild_id FROM guild_members WHERE user_id = ?', [loserId]);
+  if (!winnerGuild || !loserGuild) return null;
+
+  const war = await getFightingWar(winnerGuild.guild_id);
+  if (!war || opponentOf(war, winnerGuild.guild_id) !== loserGuild.guild_id) return null;
+
+  await addWarPoints(war, winnerGuild.guild_id, winnerId, 'pvp', WAR_POINTS.pvp, { victimUserId: loserId });
+  return {
+    points: WAR_POINTS.pvp,
+    guild: guildLabel(war, war.attacker_guild_id === winnerGuild.guild_id ? 'attacker' : 'defender')
+  };
+}
+
+/**
+ * Score a killed monster for the player's guild if it is at war
+ * @param {number} userId
+ * @param {Object} monster - Needs monster_type_id and is_boss
+ * @returns {Promise<number>} Points scored (0 if not at war)
+ */
+export async function recordWarMonsterKill(userId, monster) {
+  const membership = await db.get('SELECT guild_id FROM guild_members WHERE user_id = ?', [userId]);
+  if (!membership) return 0;
+
+  const war = await getFightingWar(membership.guild_id);
+  if (!war) return 0;
+
+  const points = monster.is_boss ? WAR_POINTS.boss : WAR_POINTS.monster;
+  await addWarPoints(war, membership.guild_id, userId, 'monster', points, { monsterTypeId: monster.monster_type_id });
+  return points;
+}
+
+/**
+ * Wars of a guild (newest first). The running war carries its best fighters per side.
+ * @param {number} guildId
+ * @returns {Promise<Object[]>}
+ */
+export async function getGuildWars(guildId) {
+  const wars = await db.all(`
+    SELECT gw.*, u.username as declared_by_name
+    FROM guild_wars gw
+    LEFT JOIN users u ON gw.declared_by = u.id
+    WHERE gw.attacker_guild_id = ? OR gw.defender_guild_id = ?
+    ORDER BY gw.created_at DESC, gw.id DESC
+    LIMIT 50
+  `, [guildId, guildId]);
+
+  for (const war of wars) {
+    if (!['preparing', 'active', 'ended'].includes(war.status)) continue;
+    war.fighters = await db.all(`
+      SELECT gwk.guild_id, u.username, SUM(gwk.points) as points,
+             SUM(CASE WHEN gwk.kill_type = 'pvp' THEN 1 ELSE 0 END) as pvp_kills,
+             SUM(CASE WHEN gwk.kill_type = 'monster' THEN 1 ELSE 0 END) as monster_kills
+      FROM guild_war_kills gwk
+      JOIN users u ON gwk.user_id = u.id
+      WHERE gwk.war_id = ?
+      GROUP BY gwk.guild_id, gwk.user_id
+      ORDER BY points DESC
+      LIMIT 10
+    `, [war.id]);
+  }
+
+  return wars;
+}
+
+/**
+ * Move wars through their phases: lapse old declarations, start wars after the
+ * preparation and end them when the time is up. Runs periodically.
+ */
+export async function processGuildWars() {
+  try {
+    const now = new Date().toISOString();
+
+    await db.run(`
+      UPDATE guild_wars SET status = 'cancelled'
+      WHERE status = 'pending' AND created_at <= datetime('now', ?)
+    `, [`-${DECLARATION_EXPIRY_HOURS} hours`]);
+
+    const starting = await db.all(
+      "SELECT * FROM guild_wars WHERE status = 'preparing' AND starts_at <= ? AND ends_at > ?",
+      [now, now]
+    );
+    for (const war of starting) {
+      await db.run("UPDATE guild_wars SET status = 'active' WHERE id = ? AND status = 'preparing'", [war.id]);
+      const content = `Die Vorbereitung ist vorbei - ab jetzt zählt jeder Sieg!\n\n` +
+        `${guildLabel(war, 'attacker')} gegen ${guildLabel(war, 'defender')}\n⏱️ Kriegsende: ${new Date(war.ends_at).toLocaleString('de-DE')}`;
+      await notifyGuild(war.attacker_guild_id, '⚔️ Der Krieg beginnt!', content, war.id);
+      await notifyGuild(war.defender_guild_id, '⚔️ Der Krieg beginnt!', content, war.id);
+    }
+
+    const finished = await db.all(
+      "SELECT * FROM guild_wars WHERE status IN ('preparing', 'active') AND ends_at <= ?",
+      [now]
+    );
+    for (const war of finished) {
+      const winnerGuildId = war.attacker_score === war.defender_score
+        ? null
+        : war.attacker_score > war.defender_score ? war.attacker_guild_id : war.defender_guild_id;
+      await endWar(war, { winnerGuildId, reason: 'time' });
+    }
+
+    if (starting.length > 0 || finished.length > 0) {
+      console.log(`[Gildenkriege] ${starting.length} Krieg(e) begonnen, ${finished.length} beendet`);
+    }
+  } catch (error) {
+    console.error('[Gildenkriege] Fehler bei der Kriegs-Prüfung:', error);
+  }
+}
+
+export default {
+  WAR_PREPARATION_HOURS,
+  WAR_DURATION_HOURS,
+  WAR_POINTS,
+  GuildWarError,
+  getCurrentWar,
+  declareWar,
+  respondToWar,
+  withdrawDeclaration,
+  surrender,
+  offerPeace,
+  endWarsOfGuild,
+  recordWarPvpKill,
+  recordWarMonsterKill,
+  getGuildWars,
+  processGuildWars
+};
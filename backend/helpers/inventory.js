@@ -0,0 +1,159 @@
+import db from '../database.js';
+
+/**
+ * Thrown when a player does not own enough of an item or gold.
+ * Any transaction the mutation was part of is rolled back.
+ */
+export class InventoryError extends Error {
+  constructor(message, itemId = null) {
+    super(message);
+    this.name = 'InventoryError';
+    this.itemId = itemId;
+  }
+}
+
+/**
+ * Merge duplicate item entries and drop invalid quantities
+ * @param {Array<{item_id: number, quantity: number}>} items
+ * @returns {Array<{item_id: number, quantity: number}>}
+ */
+export function normalizeItems(items) {
+  const merged = new Map();
+  for (const item of items || []) {
+    const itemId = parseInt(item.item_id);
+    const quantity = parseInt(item.quantity);
+    if (!itemId || !quantity || quantity <= 0) continue;
+    merged.set(itemId, (merged.get(itemId) || 0) + quantity);
+  }
+  return [...merged].map(([item_id, quantity]) => ({ item_id, quantity }));
+}
+
+/**
+ * Get the quantity of an item a user owns
+ * @param {number} userId - The user ID
+ * @param {number} itemId - The item ID
+ * @returns {Promise<number>}
+ */
+export async function getItemQuantity(userId, itemId) {
+  const row = await db.get(
+    'SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?',
+    [userId, itemId]
+  );
+  return row?.quantity || 0;
+}
+
+/**
+ * Check if a user owns all given items
+ * @param {number} userId - The user ID
+ * @param {Array<{item_id: number, quantity: number}>} items
+ * @returns {Promise<boolean>}
+ */
+export async function hasItems(userId, items) {
+  for (const item of normalizeItems(items)) {
+    if (await getItemQuantity(userId, item.item_id) < item.quantity) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Add items to a user's inventory
+ * @param {number} userId - The user ID
+ * @param {Array<{item_id: number, quantity: number}>} items
+ */
+export async function addItems(userId, items) {
+  const normalized = normalizeItems(items);
+  if (normalized.length === 0) return;
+
+  await db.transaction(async () => {
+    for (const item of normalized) {
+      await db.run(`
+        INSERT INTO user_inventory (user_id, item_id, quantity)
+        VALUES (?, ?, ?)
+        ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
+      `, [userId, item.item_id, item.quantity, item.quantity]);
+    }
+  });
+}
+
+/**
+ * Remove items from a user's inventory. Either all items are removed or none.
+ * @param {number} userId - The user ID
+ * @param {Array<{item_id: number, quantity: number}>} items
+ * @throws {InventoryError} If the user does not own enough of an item
+ */
+export async function removeItems(userId, items) {
+  const normalized = normalizeItems(items);
+  if (normalized.length === 0) return;
+
+  await db.transaction(async () => {
+    for (const item of normalized) {
+      const result = await db.run(
+        'UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ? AND quantity >= ?',
+        [item.quantity, userId, item.item_id, item.quantity]
+      );
+      if (result.changes === 0) {
+        throw new InventoryError('Nicht genug Items im Inventar', item.item_id);
+      }
+    }
+
+    await db.run(
+      'DELETE FROM user_inventory WHERE user_id = ? AND quantity <= 0',
+      [userId]
+    );
+  });
+}
+
+/**
+ * Move items from one user to another
+ * @param {number} fromUserId - The user giving the items
+ * @param {number} toUserId - The user receiving the items
+ * @param {Array<{item_id: number, quantity: number}>} items
+ * @throws {InventoryError} If the giving user does not own enough of an item
+ */
+export async function transferItems(fromUserId, toUserId, items) {
+  await db.transaction(async () => {
+    await removeItems(fromUserId, items);
+    await addItems(toUserId, items);
+  });
+}
+
+/**
+ * Add gold to a user
+ * @param {number} userId - The user ID
+ * @param {number} amount - Amount of gold
+ */
+export async function addGold(userId, amount) {
+  if (!amount || amount <= 0) return;
+  await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [amount, userId]);
+}
+
+/**
+ * Remove gold from a user
+ * @param {number} userId - The user ID
+ * @param {number} amount - Amount of gold
+ * @throws {InventoryError} If the user does not have enough gold
+ */
+export async function removeGold(userId, amount) {
+  if (!amount || amount <= 0) return;
+  const result = await db.run(
+    'UPDATE users SET gold = gold - ? WHERE id = ? AND gold >= ?',
+    [amount, userId, amount]
+  );
+  if (result.changes === 0) {
+    throw new InventoryError('Nicht genug Gold');
+  }
+}
+
+export default {
+  InventoryError,
+  normalizeItems,
+  getItemQuantity,
+  hasItems,
+  addItems,
+  removeItems,
+  transferItems,
+  addGold,
+  removeGold
+};
@@ -0,0 +1,534 @@
+import db from '../database.js';
+import { publishToUser } from './realtime.js';
+import { InventoryError } from './inventory.js';
+import { sendSystemMessage } from '../routes/messages.js';
+
+// Job slots every player has
+const BASE_JOB_SLOTS = 1;
+
+// Buildings that grant one additional job slot from the given level on
+const BUILDING_JOB_SLOTS = {
+  lager: 3,
+  werkbank: 5
+};
+
+// Additional job slots for VIP players
+const VIP_JOB_SLOTS = 1;
+
+// Maximum number of follow-up jobs waiting in the queue
+export const MAX_QUEUED_JOBS = 5;
+
+/**
+ * Thrown when a job cannot be started, claimed or cancelled.
+ * details are merged into the JSON error response (e.g. notAtHome, hasActiveJob).
+ */
+export class JobError extends Error {
+  constructor(message, details = {}, status = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.details = details;
+    this.status = status;
+  }
+}
+
+/**
+ * @typedef {Object} JobHandler
+ * @property {string} label - Display name of the job type (e.g. 'Sammel-Auftrag')
+ * @property {string} table - Database table of the jobs (needs a notified_at column)
+ * @property {boolean} requiresHome - Job only progresses while the player is at home
+ * @property {boolean} [exclusive] - Only one unclaimed job of this type at a time (e.g. gathering at a node)
+ * @property {function(number): Promise<Object[]>} list - Unclaimed jobs of a user
+ *   (rows with id, name, started_at, finish_at, paused_at, remaining_seconds)
+ * @property {function(string): Promise<Object[]>} listDue - Finished, unpaused jobs of all users
+ *   without notified_at (rows with id, user_id, name)
+ * @property {function(number, Object): Promise<{job: Object, result: Object}>} start - Validate, pay and create a job
+ * @property {function(number, Object): Promise<Object>} complete - Deliver the results of a finished job
+ * @property {function(Object, number, Date): Promise<void>} [pause] - Store the remaining seconds
+ * @property {function(Object, Date): Promise<void>} [resume] - Continue with a new finish time
+ * @property {function(number, Object): Promise<Object>} [cancel] - Abort an unfinished job
+ * @property {function(number, Object): Promise<string>} [describe] - Name of a queued job, validates its params
+ */
+
+const handlers = new Map();
+
+/**
+ * Register the handler of a job type
+ * @param {string} type - Job type (collection, building, crafting, gathering)
+ * @param {JobHandler} handler
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function getHandler(type) {
+  const handler = handlers.get(type);
+  if (!handler) {
+    throw new JobError('Unbekannte Auftragsart', {}, 404);
+  }
+  return handler;
+}
+
+/**
+ * Check if a user is at home (within 50 units of the Grundstück and not travelling)
+ * @param {number} userId - The user ID
+ * @returns {Promise<boolean>}
+ */
+export async function isUserAtHome(userId) {
+  const user = await db.get('SELECT world_x, world_y, home_x, home_y, travel_end_time FROM users WHERE id = ?', [userId]);
+  if (!user) return false;
+  // The position only changes on arrival, so a running trip counts as away
+  if (user.travel_end_time && new Date(user.travel_end_time) > new Date()) return false;
+  const homeX = user.home_x ?? 0;
+  const homeY = user.home_y ?? 0;
+  const distance = Math.sqrt(
+    Math.pow((user.world_x || 0) - homeX, 2) +
+    Math.pow((user.world_y || 0) - homeY, 2)
+  );
+  return distance <= 50;
+}
+
+/**
+ * Get the number of jobs a user can run at the same time
+ * @param {number} userId - The user ID
+ * @returns {Promise<number>}
+ */
+export async function getJobSlots(userId) {
+  let slots = BASE_JOB_SLOTS;
+
+  const buildings = await db.all(`
+    SELECT b.name, ub.level
+    FROM user_buildings ub
+    JOIN buildings b ON ub.building_id = b.id
+    WHERE ub.user_id = ?
+  `, [userId]);
+
+  for (const building of buildings) {
+    const requiredLevel = BUILDING_JOB_SLOTS[building.name];
+    if (requiredLevel && (building.level || 1) >= requiredLevel) {
+      slots++;
+    }
+  }
+
+  const user = await db.get('SELECT role FROM users WHERE id = ?', [userId]);
+  if (user?.role === 'vip') {
+    slots += VIP_JOB_SLOTS;
+  }
+
+  return slots;
+}
+
+function describeJob(type, handler, row, now) {
+  const isPaused = !!row.paused_at;
+  const finishAt = new Date(row.finish_at);
+  const isReady = !isPaused && now >= finishAt;
+
+  return {
+    ...row,
+    type,
+    label: handler.label,
+    requires_home: handler.requiresHome,
+    is_paused: isPaused,
+    is_ready: isReady,
+    remaining_seconds: isPaused
+      ? (row.remaining_seconds || 0)
+      : Math.max(0, Math.ceil((finishAt - now) / 1000))
+  };
+}
+
+/**
+ * Get all unclaimed jobs of a user across all job types
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object[]>} Jobs with type, is_paused, is_ready and remaining_seconds
+ */
+export async function getOpenJobs(userId) {
+  const now = new Date();
+  const jobs = [];
+
+  for (const [type, handler] of handlers) {
+    const rows = await handler.list(userId);
+    for (const row of rows) {
+      jobs.push(describeJob(type, handler, row, now));
+    }
+  }
+
+  return jobs;
+}
+
+// Jobs that are running or paused occupy a slot, finished ones are just waiting to be claimed
+function countBusySlots(jobs) {
+  return jobs.filter(job => !job.is_ready).length;
+}
+
+// Only as many running jobs as the user has slots, and only one unclaimed job of an exclusive type
+async function checkCanStart(userId, type, handler) {
+  const jobs = await getOpenJobs(userId);
+
+  const sameType = handler.exclusive && jobs.find(job => job.type === type);
+  if (sameType) {
+    throw new JobError(
+      sameType.is_ready
+        ? `Dein ${handler.label} ist fertig. Hole ihn zuerst ab!`
+        : `Du hast bereits einen aktiven ${handler.label}. Schließe ihn zuerst ab!`,
+      { hasActiveJob: true }
+    );
+  }
+
+  const slots = await getJobSlots(userId);
+  if (countBusySlots(jobs) >= slots) {
+    throw new JobError(
+      `Alle Auftragsplätze (${slots}) sind belegt. Warte bis ein Auftrag fertig ist oder reihe ihn in die Warteschlange ein.`,
+      { hasActiveJob: true, slotsFull: true }
+    );
+  }
+}
+
+// Run the due job check right when a job finishes instead of waiting for the next scheduler run
+function scheduleJob(job) {
+  const delay = Math.max(0, new Date(job.finish_at).getTime() - Date.now());
+  const timer = setTimeout(processDueJobs, delay + 500);
+  timer.unref();
+}
+
+/**
+ * Start a job if a slot is available (and the type is free for exclusive types)
+ * @param {number} userId - The user ID
+ * @param {string} type - Job type
+ * @param {Object} params - Type specific parameters (e.g. duration_minutes, recipe_id)
+ * @returns {Promise<Object>} Response of the job type's start handler
+ * @throws {JobError} If the job cannot be started
+ */
+export async function startJob(userId, type, params = {}) {
+  const handler = getHandler(type);
+
+  const { job, result } = await db.transaction(async () => {
+    await checkCanStart(userId, type, handler);
+    return handler.start(userId, params);
+  });
+
+  scheduleJob(job);
+  return result;
+}
+
+/**
+ * Claim a finished job and start queued follow-up jobs
+ * @param {number} userId - The user ID
+ * @param {string} type - Job type
+ * @param {number} jobId - The job ID
+ * @returns {Promise<Object>} Response of the job type's complete handler
+ * @throws {JobError} If the job does not exist or is not finished
+ */
+export async function claimJob(userId, type, jobId) {
+  const handler = getHandler(type);
+
+  const result = await db.transaction(async () => {
+    const job = (await getOpenJobs(userId)).find(j => j.type === type && j.id === jobId);
+    if (!job) {
+      throw new JobError('Auftrag nicht gefunden', {}, 404);
+    }
+
+    if (job.is_paused) {
+      throw new JobError('Auftrag ist pausiert. Geh nach Hause um fortzufahren!', { isPaused: true });
+    }
+
+    if (!job.is_ready) {
+      throw new JobError(`Noch nicht fertig! Noch ${job.remaining_seconds} Sekunden.`, {
+        notReady: true,
+        remaining_seconds: job.remaining_seconds
+      });
+    }
+
+    return handler.complete(userId, job);
+  });
+
+  await processJobQueue(userId);
+  return result;
+}
+
+/**
+ * Cancel an unfinished job
+ * @param {number} userId - The user ID
+ * @param {string} type - Job type
+ * @param {number} jobId - The job ID
+ * @returns {Promise<Object>} Response of the job type's cancel handler
+ * @throws {JobError} If the job does not exist or the type cannot be cancelled
+ */
+export async function cancelJob(userId, type, jobId) {
+  const handler = getHandler(type);
+  if (!handler.cancel) {
+    throw new JobError(`Ein ${handler.label} kann nicht abgebrochen werden`);
+  }
+
+  const job = (await getOpenJobs(userId)).find(j => j.type === type && j.id === jobId);
+  if (!job) {
+    throw new JobError('Auftrag nicht gefunden', {}, 404);
+  }
+
+  const result = await handler.cancel(userId, job);
+  await processJobQueue(userId);
+  return result;
+}
+
+/**
+ * Pause all running jobs that need the player at home (e.g. when starting to travel)
+ * @param {number} userId - The user ID
+ */
+export async function pauseHomeJobs(userId) {
+  const now = new Date();
+
+  for (const job of await getOpenJobs(userId)) {
+    if (!job.requires_home || job.is_paused || job.is_ready) continue;
+    await getHandler(job.type).pause(job, job.remaining_seconds, now);
+  }
+}
+
+/**
+ * Pause home jobs while the player is away and resume them once back home
+ * @param {number} userId - The user ID
+ */
+export async function syncHomeJobs(userId) {
+  const atHome = await isUserAtHome(userId);
+  if (!atHome) {
+    await pauseHomeJobs(userId);
+    return;
+  }
+
+  const now = new Date();
+  for (const job of await getOpenJobs(userId)) {
+    if (!job.requires_home || !job.is_paused) continue;
+
+    const finishAt = new Date(now.getTime() + job.remaining_seconds * 1000);
+    await getHandler(job.type).resume(job, finishAt);
+    scheduleJob({ finish_at: finishAt });
+  }
+}
+
+/**
+ * Get the queued follow-up jobs of a user in start order
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object[]>}
+ */
+export async function getQueuedJobs(userId) {
+  const rows = await db.all(
+    'SELECT id, job_type, name, params, created_at FROM job_queue WHERE user_id = ? ORDER BY id',
+    [userId]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    type: row.job_type,
+    label: handlers.get(row.job_type)?.label || row.job_type,
+    name: row.name,
+    params: JSON.parse(row.params || '{}'),
+    created_at: row.created_at
+  }));
+}
+
+/**
+ * Add a follow-up job to the queue and start it right away if possible
+ * @param {number} userId - The user ID
+ * @param {string} type - Job type
+ * @param {Object} params - Parameters passed to the start handler later
+ * @returns {Promise<Object>} The queue entry
+ * @throws {JobError} If the queue is full or the parameters are invalid
+ */
+export async function enqueueJob(userId, type, params = {}) {
+  const handler = getHandler(type);
+
+  const queued = await db.get('SELECT COUNT(*) as count FROM job_queue WHERE user_id = ?', [userId]);
+  if (queued.count >= MAX_QUEUED_JOBS) {
+    throw new JobError(`Die Warteschlange ist voll (maximal ${MAX_QUEUED_JOBS} Aufträge)`);
+  }
+
+  const name = handler.describe ? await handler.describe(userId, params) : handler.label;
+
+  const result = await db.run(
+    'INSERT INTO job_queue (user_id, job_type, name, params) VALUES (?, ?, ?, ?)',
+    [userId, type, name, JSON.stringify(params)]
+  );
+
+  await processJobQueue(userId);
+
+  return { id: result.lastID, type, label: handler.label, name, params };
+}
+
+/**
+ * Remove a job from the queue
+ * @param {number} userId - The user ID
+ * @param {number} queueId - The queue entry ID
+ * @returns {Promise<boolean>} False if the entry does not exist
+ */
+export async function removeQueuedJob(userId, queueId) {
+  const result = await db.run('DELETE FROM job_queue WHERE id = ? AND user_id = ?', [queueId, userId]);
+  return result.changes > 0;
+}
+
+/**
+ * Start queued jobs in order while slots are free.
+ * Entries wait while their exclusive type or building is busy or the player is away from home;
+ * entries that fail for other reasons (e.g. missing materials) are dropped with a system message.
+ * @param {number} userId - The user ID
+ * @returns {Promise<number>} Number of jobs started
+ */
+export async function processJobQueue(userId) {
+  const queue = await getQueuedJobs(userId);
+  let started = 0;
+
+  for (const entry of queue) {
+    const jobs = await getOpenJobs(userId);
+    if (countBusySlots(jobs) >= await getJobSlots(userId)) break;
+    if (handlers.get(entry.type)?.exclusive && jobs.some(job => job.type === entry.type)) continue;
+
+    try {
+      await startJob(userId, entry.type, entry.params);
+      await db.run('DELETE FROM job_queue WHERE id = ?', [entry.id]);
+      started++;
+    } catch (error) {
+      if (error instanceof JobError && (error.details.notAtHome || error.details.hasActiveJob)) {
+        continue;
+      }
+
+      await db.run('DELETE FROM job_queue WHERE id = ?', [entry.id]);
+      await sendSystemMessage(
+        userId,
+        `${entry.label} konnte nicht gestartet werden`,
+        `Der Auftrag "${entry.name}" wurde aus deiner Warteschlange entfernt: ${error instanceof JobError || error instanceof InventoryError ? error.message : 'Serverfehler'}`,
+        'job'
+      );
+    }
+  }
+
+  return started;
+}
+
+/**
+ * Check if finished jobs of a user are delivered automatically
+ * @param {number} userId - The user ID
+ * @returns {Promise<boolean>}
+ */
+export async function getAutoClaim(userId) {
+  const user = await db.get('SELECT auto_claim_jobs FROM users WHERE id = ?', [userId]);
+  return !!user?.auto_claim_jobs;
+}
+
+/**
+ * Set whether finished jobs of a user are delivered automatically
+ * @param {number} userId - The user ID
+ * @param {boolean} enabled
+ */
+export async function setAutoClaim(userId, enabled) {
+  await db.run('UPDATE users SET auto_claim_jobs = ? WHERE id = ?', [enabled ? 1 : 0, userId]);
+}
+
+// Notify the owner of a finished job, delivering the results first if they chose auto-claim
+async function completeDueJob(type, handler, job) {
+  // notified_at is set exactly once, so the timer and the scheduler never report a job twice
+  const marked = await db.run(
+    `UPDATE ${handler.table} SET notified_at = ? WHERE id = ? AND notified_at IS NULL`,
+    [new Date().toISOString(), job.id]
+  );
+  if (marked.changes === 0) return false;
+
+  const event = { type, id: job.id, name: job.name };
+
+  if (await getAutoClaim(job.user_id)) {
+    try {
+      const result = await claimJob(job.user_id, type, job.id);
+      const items = (result.items || []).map(item => `${item.quantity}x ${item.display_name || item.name}`);
+
+      await sendSystemMessage(
+        job.user_id,
+        `✅ ${handler.label} abgeschlossen`,
+        `${result.message}${items.length > 0 ? `\n\nErhalten: ${items.join(', ')}` : ''}`,
+        'job'
+      );
+      publishToUser(job.user_id, 'job_completed', { ...event, auto_claimed: true, message: result.message });
+      return true;
+    } catch (error) {
+      // Fall back to a normal notification, the player can still claim manually
+      console.error(`[Jobs] Automatisches Abholen von ${type} #${job.id} fehlgeschlagen:`, error.message);
+    }
+  }
+
+  await sendSystemMessage(
+    job.user_id,
+    `✅ ${handler.label} fertig`,
+    `${job.name} ist fertig und kann abgeholt werden.`,
+    'job'
+  );
+  publishToUser(job.user_id, 'job_completed', event);
+
+  // The finished job no longer occupies a slot
+  await processJobQueue(job.user_id);
+  return true;
+}
+
+/**
+ * Notify players about finished jobs (and auto-claim them if enabled).
+ * Runs periodically and on boot; notified_at keeps it restart-safe.
+ * @returns {Promise<number>} Number of jobs processed
+ */
+export async function processDueJobs() {
+  const now = new Date().toISOString();
+  let processed = 0;
+
+  for (const [type, handler] of handlers) {
+    try {
+      for (const job of await handler.listDue(now)) {
+        try {
+          if (await completeDueJob(type, handler, job)) processed++;
+        } catch (error) {
+          console.error(`[Jobs] Fehler beim Abschließen von ${type} #${job.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`[Jobs] Fehler beim Laden fertiger Aufträge (${type}):`, error);
+    }
+  }
+
+  if (processed > 0) {
+    console.log(`[Jobs] ${processed} fertige Aufträge verarbeitet`);
+  }
+  return processed;
+}
+
+/**
+ * Get everything the job overview needs: open jobs, slots and queue
+ * @param {number} userId - The user ID
+ * @returns {Promise<{jobs: Object[], slots: {total: number, used: number}, queue: Object[], auto_claim: boolean}>}
+ */
+export async function getJobOverview(userId) {
+  await syncHomeJobs(userId);
+  await processJobQueue(userId);
+
+  const jobs = await getOpenJobs(userId);
+
+  return {
+    jobs,
+    slots: {
+      total: await getJobSlots(userId),
+      used: countBusySlots(jobs)
+    },
+    queue: await getQueuedJobs(userId),
+    auto_claim: await getAutoClaim(userId)
+  };
+}
+
+export default {
+  registerJobHandler,
+  isUserAtHome,
+  getJobSlots,
+  getOpenJobs,
+  startJob,
+  claimJob,
+  cancelJob,
+  pauseHomeJobs,
+  syncHomeJobs,
+  getQueuedJobs,
+  enqueueJob,
+  removeQueuedJob,
+  processJobQueue,
+  getAutoClaim,
+  setAutoClaim,
+  processDueJobs,
+  getJobOverview
+};
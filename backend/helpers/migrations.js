@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// 001_initial_schema.js -> version '001', name 'initial_schema'
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} version - Zero-padded number from the file name (sort order)
+ * @property {string} name - Rest of the file name
+ * @property {function(Object): Promise<void>} up - Apply the migration
+ * @property {function(Object): Promise<void>} [down] - Revert the migration
+ */
+
+/**
+ * Load all migration files in version order
+ * @returns {Promise<Migration[]>}
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`Migrationsnummer ${version} ist doppelt vergeben (${file})`);
+    }
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} exportiert keine up()-Funktion`);
+    }
+    migrations.push({ version, name, up: module.up, down: module.down });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get every known migration with its state
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object[]>} Rows with version, name, applied_at and status
+ *   ('applied', 'pending' or 'missing' when the file was deleted after applying)
+ */
+export async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const migrations = await loadMigrations();
+  const applied = await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+
+  const rows = migrations.map(m => {
+    const row = applied.find(a => a.version === m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      applied_at: row?.applied_at || null,
+      status: row ? 'applied' : 'pending'
+    };
+  });
+
+  for (const row of applied) {
+    if (!migrations.some(m => m.version === row.version)) {
+      rows.push({ ...row, status: 'missing' });
+    }
+  }
+
+  return rows.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Apply all pending migrations in order. Each migration and its
+ * schema_migrations entry run in one transaction.
+ * @param {Object} db - Database connection
+ * @returns {Promise<string[]>} Applied migrations (e.g. '002_auction_house')
+ */
+export async function migrate(db) {
+  await ensureMigrationsTable(db);
+  const migrations = await loadMigrations();
+  const applied = new Set((await db.all('SELECT version FROM schema_migrations')).map(r => r.version));
+
+  const done = [];
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    const label = `${migration.version}_${migration.name}`;
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`[DB] Migration ${label} angewendet`);
+    done.push(label);
+  }
+  return done;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} db - Database connection
+ * @param {number} steps - Number of migrations to revert
+ * @returns {Promise<string[]>} Reverted migrations, newest first
+ */
+export async function rollback(db, steps = 1) {
+  await ensureMigrationsTable(db);
+  const migrations = await loadMigrations();
+  const applied = await db.all('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+
+  const done = [];
+  for (const { version } of applied) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migrationsdatei für Version ${version} fehlt`);
+    }
+
+    const label = `${migration.version}_${migration.name}`;
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${label} kann nicht zurückgerollt werden`);
+    }
+
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    console.log(`[DB] Migration ${label} zurückgerollt`);
+    done.push(label);
+  }
+  return done;
+}
+
+/**
+ * Check if a table has a column
+ * @param {Object} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>}
+ */
+export async function hasColumn(db, table, column) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.some(c => c.name === column);
+}
+
+/**
+ * Add a column unless it already exists (databases from before the migration system)
+ * @param {Object} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints (e.g. 'INTEGER DEFAULT 0')
+ * @returns {Promise<boolean>} True if the column was added
+ */
+export async function addColumn(db, table, column, definition) {
+  if (await hasColumn(db, table, column)) return false;
+  await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+export default {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  hasColumn,
+  addColumn
+};
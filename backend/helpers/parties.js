@@ -0,0 +1,712 @@
+import db from '../database.js';
+import { sendSystemMessage } from '../routes/messages.js';
+import { addItems } from './inventory.js';
+import { applyRegeneration } from './regeneration.js';
+import { trackItemObtained } from './statistics.js';
+
+export const MAX_PARTY_SIZE = 5;
+
+// Party members up to this distance from the monster join the fight
+export const PARTY_COMBAT_RANGE = 300;
+
+// round_robin: drops go to the fighters in turn
+// need_greed: every fighter chooses need, greed or pass; need beats greed, the highest roll wins
+// leader: the party leader assigns each drop to a fighter
+export const LOOT_RULES = ['round_robin', 'need_greed', 'leader'];
+
+// Time for need/greed choices and for the leader to assign a drop; afterwards it is decided automatically
+export const LOOT_DECISION_MINUTES = 5;
+
+// Extra experience per additional fighter, split between all of them
+export const PARTY_EXP_BONUS = 0.2;
+
+const INVITE_HOURS = 1;
+
+const LOOT_RULE_LABELS = {
+  round_robin: 'Reihum',
+  need_greed: 'Bedarf/Gier',
+  leader: 'Anführer verteilt'
+};
+
+/**
+ * Thrown when a party action is not allowed (not the leader, party full, ...)
+ */
+export class PartyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PartyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Party of a player
+ * @param {number} userId
+ * @returns {Promise<{party_id: number, leader_id: number, loot_rule: string, loot_turn: number}|null>}
+ */
+export async function getPartyMembership(userId) {
+  return db.get(`
+    SELECT pm.party_id, p.leader_id, p.loot_rule, p.loot_turn
+    FROM party_members pm
+    JOIN parties p ON pm.party_id = p.id
+    WHERE pm.user_id = ?
+  `, [userId]);
+}
+
+/**
+ * Member ids of a party in joining order
+ * @param {number} partyId
+ * @returns {Promise<number[]>}
+ */
+export async function getPartyMemberIds(partyId) {
+  const members = await db.all(
+    'SELECT user_id FROM party_members WHERE party_id = ? ORDER BY joined_at, user_id',
+    [partyId]
+  );
+  return members.map(member => member.user_id);
+}
+
+async function getUsername(userId) {
+  const user = await db.get('SELECT username FROM users WHERE id = ?', [userId]);
+  return user?.username || 'Unbekannt';
+}
+
+async function notifyParty(partyId, subject, content, exceptUserId = null) {
+  for (const memberId of await getPartyMemberIds(partyId)) {
+    if (memberId === exceptUserId) continue;
+    await sendSystemMessage(memberId, subject, content, 'party', partyId);
+  }
+}
+
+async function requireLeader(userId) {
+  const membership = await getPartyMembership(userId);
+  if (!membership) {
+    throw new PartyError('Du bist in keiner Gruppe', 404);
+  }
+  if (membership.leader_id !== userId) {
+    throw new PartyError('Nur der Gruppenanführer kann das', 403);
+  }
+  return membership;
+}
+
+// Open drops of a party with the fighters who may get them
+async function getOpenLoot(partyId, userId) {
+  const loot = await db.all(`
+    SELECT pl.id, pl.loot_rule, pl.item_id, pl.quantity, pl.source, pl.created_at, pl.expires_at,
+           i.display_name as item_name, i.image_path, i.rarity,
+           (SELECT choice FROM party_loot_rolls WHERE loot_id = pl.id AND user_id = ?) as my_choice
+    FROM party_loot pl
+    JOIN items i ON pl.item_id = i.id
+    WHERE pl.party_id = ? AND pl.status = 'open'
+    ORDER BY pl.id
+  `, [userId, partyId]);
+
+  for (const entry of loot) {
+    entry.participants = await db.all(`
+      SELECT plr.user_id, u.username, plr.choice IS NOT NULL as decided
+      FROM party_loot_rolls plr
+      JOIN users u ON plr.user_id = u.id
+      WHERE plr.loot_id = ?
+      ORDER BY u.username
+    `, [entry.id]);
+    entry.eligible = entry.participants.some(participant => participant.user_id === userId);
+  }
+  return loot;
+}
+
+/**
+ * The player's party with members, open invites and drops waiting for a decision
+ * @param {number} userId
+ * @returns {Promise<Object|null>}
+ */
+export async function getParty(userId) {
+  const membership = await getPartyMembership(userId);
+  if (!membership) return null;
+
+  const members = await db.all(`
+    SELECT pm.user_id, pm.joined_at, u.username, u.world_x, u.world_y, u.avatar_path,
+           ps.level, ps.current_health, ps.max_health
+    FROM party_members pm
+    JOIN users u ON pm.user_id = u.id
+    LEFT JOIN player_stats ps ON pm.user_id = ps.user_id
+    WHERE pm.party_id = ?
+    ORDER BY pm.joined_at, pm.user_id
+  `, [membership.party_id]);
+
+  for (const member of members) {
+    member.is_leader = member.user_id === membership.leader_id;
+  }
+
+  const invites = await db.all(`
+    SELECT pi.id, pi.invitee_id, u.username, pi.created_at
+    FROM party_invites pi
+    JOIN users u ON pi.invitee_id = u.id
+    WHERE pi.party_id = ? AND pi.created_at > datetime('now', ?)
+    ORDER BY pi.created_at
+  `, [membership.party_id, `-${INVITE_HOURS} hours`]);
+
+  return {
+    id: membership.party_id,
+    leader_id: membership.leader_id,
+    loot_rule: membership.loot_rule,
+    is_leader: membership.leader_id === userId,
+    max_size: MAX_PARTY_SIZE,
+    members,
+    invites,
+    loot: await getOpenLoot(membership.party_id, userId)
+  };
+}
+
+/**
+ * Invitations the player has not answered yet
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+export async function getPendingInvites(userId) {
+  return db.all(`
+    SELECT pi.id, pi.party_id, pi.created_at, u.username as inviter_name,
+           (SELECT COUNT(*) FROM party_members WHERE party_id = pi.party_id) as member_count
+    FROM party_invites pi
+    JOIN users u ON pi.inviter_id = u.id
+    WHERE pi.invitee_id = ? AND pi.created_at > datetime('now', ?)
+    ORDER BY pi.created_at DESC
+  `, [userId, `-${INVITE_HOURS} hours`]);
+}
+
+/**
+ * Invite a player. A player without a party founds one and becomes its leader.
+ * @param {number} userId - Inviting player (must lead the party)
+ * @param {number} targetId - Invited player
+ * @returns {Promise<number>} Party id
+ * @throws {PartyError}
+ */
+export async function invitePlayer(userId, targetId) {
+  if (userId === targetId) {
+    throw new PartyError('Du kannst dich nicht selbst einladen');
+  }
+
+  const target = await db.get("SELECT id, username FROM users WHERE id = ? AND username != 'System'", [targetId]);
+  if (!target) {
+    throw new PartyError('Spieler nicht gefunden', 404);
+  }
+
+  const partyId = await db.transaction(async () => {
+    let membership = await getPartyMembership(userId);
+    if (membership && membership.leader_id !== userId) {
+      throw new PartyError('Nur der Gruppenanführer kann einladen', 403);
+    }
+
+    if (await getPartyMembership(targetId)) {
+      throw new PartyError(`${target.username} ist bereits in einer Gruppe`);
+    }
+
+    if (!membership) {
+      const party = await db.run('INSERT INTO parties (leader_id) VALUES (?)', [userId]);
+      await db.run('INSERT INTO party_members (user_id, party_id) VALUES (?, ?)', [userId, party.lastID]);
+      membership = { party_id: party.lastID };
+    }
+
+    const count = await db.get('SELECT COUNT(*) as count FROM party_members WHERE party_id = ?', [membership.party_id]);
+    if (count.count >= MAX_PARTY_SIZE) {
+      throw new PartyError(`Die Gruppe ist voll (maximal ${MAX_PARTY_SIZE} Mitglieder)`);
+    }
+
+    // Inviting again refreshes the invitation
+    await db.run(`
+      INSERT INTO party_invites (party_id, inviter_id, invitee_id) VALUES (?, ?, ?)
+      ON CONFLICT(party_id, invitee_id) DO UPDATE SET inviter_id = excluded.inviter_id, created_at = CURRENT_TIMESTAMP
+    `, [membership.party_id, userId, targetId]);
+
+    return membership.party_id;
+  });
+
+  const inviterName = await getUsername(userId);
+  await sendSystemMessage(
+    targetId,
+    `👥 Gruppeneinladung von ${inviterName}`,
+    `${inviterName} lädt dich in die eigene Gruppe ein. Du kannst die Einladung auf der Karte im Gruppenfenster annehmen (gültig für ${INVITE_HOURS} Stunde).`,
+    'party',
+    partyId
+  );
+
+  return partyId;
+}
+
+// Take a member out of the party. The next member leads if the leader left, an empty party is closed.
+async function removeMember(partyId, userId) {
+  await db.run('DELETE FROM party_members WHERE user_id = ? AND party_id = ?', [userId, partyId]);
+
+  const remaining = await getPartyMemberIds(partyId);
+  if (remaining.length === 0) {
+    await closeParty(partyId);
+    return null;
+  }
+
+  const party = await db.get('SELECT leader_id FROM parties WHERE id = ?', [partyId]);
+  if (party.leader_id === userId) {
+    await db.run('UPDATE parties SET leader_id = ? WHERE id = ?', [remaining[0], partyId]);
+    return remaining[0];
+  }
+  return null;
+}
+
+// Decide open drops and remove the party with its invites
+async function closeParty(partyId) {
+  const openLoot = await db.all("SELECT * FROM party_loot WHERE party_id = ? AND status = 'open'", [partyId]);
+  for (const loot of openLoot) {
+    await resolveLoot(loot);
+  }
+  await db.run('DELETE FROM party_invites WHERE party_id = ?', [partyId]);
+  await db.run('DELETE FROM parties WHERE id = ?', [partyId]);
+}
+
+/**
+ * Accept an invitation. A player who is alone in a party leaves it automatically.
+ * @param {number} userId
+ * @param {number} inviteId
+ * @returns {Promise<number>} Party id
+ * @throws {PartyError}
+ */
+export async function acceptInvite(userId, inviteId) {
+  const partyId = await db.transaction(async () => {
+    const invite = await db.get(`
+      SELECT * FROM party_invites
+      WHERE id = ? AND invitee_id = ? AND created_at > datetime('now', ?)
+    `, [inviteId, userId, `-${INVITE_HOURS} hours`]);
+    if (!invite) {
+      throw new PartyError('Einladung nicht gefunden oder abgelaufen', 404);
+    }
+
+    const membership = await getPartyMembership(userId);
+    if (membership) {
+      const ownMembers = await getPartyMemberIds(membership.party_id);
+      if (ownMembers.length > 1) {
+        throw new PartyError('Du bist bereits in einer Gruppe - verlasse sie zuerst');
+      }
+      await removeMember(membership.party_id, userId);
+    }
+
+    const party = await db.get('SELECT id FROM parties WHERE id = ?', [invite.party_id]);
+    if (!party) {
+      await db.run('DELETE FROM party_invites WHERE id = ?', [inviteId]);
+      throw new PartyError('Die Gruppe existiert nicht mehr', 404);
+    }
+
+    const count = await db.get('SELECT COUNT(*) as count FROM party_members WHERE party_id = ?', [party.id]);
+    if (count.count >= MAX_PARTY_SIZE) {
+      throw new PartyError('Die Gruppe ist bereits voll');
+    }
+
+    await db.run('INSERT INTO party_members (user_id, party_id) VALUES (?, ?)', [userId, party.id]);
+    await db.run('DELETE FROM party_invites WHERE invitee_id = ?', [userId]);
+    return party.id;
+  });
+
+  const username = await getUsername(userId);
+  await notifyParty(partyId, `👥 ${username} ist der Gruppe beigetreten`, `${username} hat eure Einladung angenommen.`, userId);
+  return partyId;
+}
+
+/**
+ * Decline an invitation
+ * @param {number} userId
+ * @param {number} inviteId
+ * @throws {PartyError}
+ */
+export async function declineInvite(userId, inviteId) {
+  const invite = await db.get('SELECT * FROM party_invites WHERE id = ? AND invitee_id = ?', [inviteId, userId]);
+  if (!invite) {
+    throw new PartyError('Einladung nicht gefunden', 404);
+  }
+
+  await db.run('DELETE FROM party_invites WHERE id = ?', [inviteId]);
+
+  const username = await getUsername(userId);
+  await sendSystemMessage(
+    invite.inviter_id,
+    `👥 ${username} hat abgelehnt`,
+    `${username} hat deine Gruppeneinladung abgelehnt.`,
+    'party',
+    invite.party_id
+  );
+}
+
+/**
+ * Leave the party
+ * @param {number} userId
+ * @throws {PartyError}
+ */
+export async function leaveParty(userId) {
+  const membership = await getPartyMembership(userId);
+  if (!membership) {
+    throw new PartyError('Du bist in keiner Gruppe', 404);
+  }
+
+  const newLeaderId = await db.transaction(() => removeMember(membership.party_id, userId));
+
+  const username = await getUsername(userId);
+  const leaderText = newLeaderId ? ` ${await getUsername(newLeaderId)} führt die Gruppe jetzt an.` : '';
+  await notifyParty(membership.party_id, `👥 ${username} hat die Gruppe verlassen`, `${username} hat die Gruppe verlassen.${leaderText}`);
+}
+
+/**
+ * Remove a member from the party (leader only)
+ * @param {number} leaderId
+ * @param {number} targetId
+ * @throws {PartyError}
+ */
+export async function kickMember(leaderId, targetId) {
+  const membership = await requireLeader(leaderId);
+  if (targetId === leaderId) {
+    throw new PartyError('Du kannst dich nicht selbst entfernen - verlasse die Gruppe stattdessen');
+  }
+
+  const target = await getPartyMembership(targetId);
+  if (!target || target.party_id !== membership.party_id) {
+    throw new PartyError('Spieler ist nicht in deiner Gruppe', 404);
+  }
+
+  await db.transaction(() => removeMember(membership.party_id, targetId));
+
+  const username = await getUsername(targetId);
+  await sendSystemMessage(targetId, '👥 Aus der Gruppe entfernt', 'Der Gruppenanführer hat dich aus der Gruppe entfernt.', 'party', membership.party_id);
+  await notifyParty(membership.party_id, `👥 ${username} wurde entfernt`, `${username} ist nicht mehr in der Gruppe.`, leaderId);
+}
+
+/**
+ * Hand the leadership to another member
+ * @param {number} leaderId
+ * @param {number} targetId
+ * @throws {PartyError}
+ */
+export async function promoteMember(leaderId, targetId) {
+  const membership = await requireLeader(leaderId);
+
+  const target = await getPartyMembership(targetId);
+  if (!target || target.party_id !== membership.party_id || targetId === leaderId) {
+    throw new PartyError('Spieler ist nicht in deiner Gruppe', 404);
+  }
+
+  await db.run('UPDATE parties SET leader_id = ? WHERE id = ?', [targetId, membership.party_id]);
+
+  const username = await getUsername(targetId);
+  await notifyParty(membership.party_id, `👑 ${username} führt die Gruppe`, `${username} ist der neue Gruppenanführer.`, leaderId);
+}
+
+/**
+ * Change how the party's item drops are distributed (leader only)
+ * @param {number} leaderId
+ * @param {string} lootRule - One of LOOT_RULES
+ * @throws {PartyError}
+ */
+export async function setLootRule(leaderId, lootRule) {
+  if (!LOOT_RULES.includes(lootRule)) {
+    throw new PartyError('Ungültige Beuteregel');
+  }
+
+  const membership = await requireLeader(leaderId);
+  await db.run('UPDATE parties SET loot_rule = ? WHERE id = ?', [lootRule, membership.party_id]);
+
+  await notifyParty(
+    membership.party_id,
+    `🎲 Beuteregel: ${LOOT_RULE_LABELS[lootRule]}`,
+    `Beute aus Gruppenkämpfen wird ab jetzt nach der Regel „${LOOT_RULE_LABELS[lootRule]}“ verteilt.`,
+    leaderId
+  );
+}
+
+// Where a player actually is: the travel target once the travel time is over, null while on the way
+function getCurrentPosition(user) {
+  if (user.travel_end_time) {
+    if (new Date(user.travel_end_time) > new Date()) return null;
+    return { x: user.travel_target_x, y: user.travel_target_y };
+  }
+  return { x: user.world_x, y: user.world_y };
+}
+
+/**
+ * Players fighting a monster together: the attacker plus every party member who stands within
+ * PARTY_COMBAT_RANGE of the monster, has health left and is not in an interactive fight
+ * @param {number} userId - Attacking player
+ * @param {{world_x: number, world_y: number}} monster
+ * @returns {Promise<{partyId: number|null, userIds: number[]}>} Attacker first
+ */
+export async function getFightParticipants(userId, monster) {
+  const membership = await getPartyMembership(userId);
+  if (!membership) {
+    return { partyId: null, userIds: [userId] };
+  }
+
+  const members = await db.all(`
+    SELECT u.id, u.world_x, u.world_y, u.travel_target_x, u.travel_target_y, u.travel_end_time
+    FROM party_members pm
+    JOIN users u ON pm.user_id = u.id
+    WHERE pm.party_id = ? AND pm.user_id != ?
+    ORDER BY pm.joined_at, pm.user_id
+  `, [membership.party_id, userId]);
+
+  const userIds = [userId];
+  for (const member of members) {
+    const position = getCurrentPosition(member);
+    if (!position) continue;
+
+    const distance = Math.sqrt(Math.pow(position.x - monster.world_x, 2) + Math.pow(position.y - monster.world_y, 2));
+    if (distance > PARTY_COMBAT_RANGE) continue;
+
+    const stats = await applyRegeneration(member.id);
+    if (!stats || stats.current_health <= 0) continue;
+
+    const inSession = await db.get("SELECT id FROM combat_sessions WHERE user_id = ? AND status = 'active'", [member.id]);
+    if (inSession) continue;
+
+    userIds.push(member.id);
+  }
+
+  return { partyId: membership.party_id, userIds };
+}
+
+async function trackRarity(userId, rarity) {
+  if (rarity && ['legendary', 'epic', 'rare'].includes(rarity)) {
+    await trackItemObtained(userId, rarity);
+  }
+}
+
+/**
+ * Hand out the item drops of a party fight according to the party's loot rule
+ * @param {number} partyId
+ * @param {number[]} userIds - Fighters (attacker first)
+ * @param {Object[]} lootItems - [{ item_id, quantity, name, rarity }]
+ * @param {string} source - Where the drops come from (shown to the members)
+ * @returns {Promise<{byUser: Object<number, Object[]>, pending: Object[], lootRule: string}>}
+ *   Items each fighter received directly and drops waiting for a decision
+ */
+export async function distributePartyLoot(partyId, userIds, lootItems, source) {
+  const party = await db.get('SELECT loot_rule, loot_turn FROM parties WHERE id = ?', [partyId]);
+  const byUser = Object.fromEntries(userIds.map(id => [id, []]));
+  const pending = [];
+
+  if (!party || party.loot_rule === 'round_robin') {
+    let turn = party?.loot_turn || 0;
+    for (const item of lootItems) {
+      const recipientId = userIds[turn % userIds.length];
+      turn++;
+      await addItems(recipientId, [{ item_id: item.item_id, quantity: item.quantity }]);
+      await trackRarity(recipientId, item.rarity);
+      byUser[recipientId].push(item);
+    }
+    if (party) {
+      await db.run('UPDATE parties SET loot_turn = ? WHERE id = ?', [turn, partyId]);
+    }
+    return { byUser, pending, lootRule: 'round_robin' };
+  }
+
+  for (const item of lootItems) {
+    const loot = await db.run(`
+      INSERT INTO party_loot (party_id, loot_rule, item_id, quantity, source, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+    `, [partyId, party.loot_rule, item.item_id, item.quantity, source, `+${LOOT_DECISION_MINUTES} minutes`]);
+
+    for (const userId of userIds) {
+      await db.run('INSERT INTO party_loot_rolls (loot_id, user_id) VALUES (?, ?)', [loot.lastID, userId]);
+    }
+    pending.push({ id: loot.lastID, ...item });
+  }
+
+  return { byUser, pending, lootRule: party.loot_rule };
+}
+
+// Give a drop to the winner and tell every fighter who got it
+async function giveLoot(loot, winnerId, details = '') {
+  const result = await db.run(`
+    UPDATE party_loot SET status = 'assigned', winner_id = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'open'
+  `, [winnerId, loot.id]);
+  if (result.changes === 0) return;
+
+  const item = await db.get('SELECT display_name, rarity FROM items WHERE id = ?', [loot.item_id]);
+  await addItems(winnerId, [{ item_id: loot.item_id, quantity: loot.quantity }]);
+  await trackRarity(winnerId, item?.rarity);
+
+  const winnerName = await getUsername(winnerId);
+  const rolls = await db.all('SELECT user_id FROM party_loot_rolls WHERE loot_id = ?', [loot.id]);
+  for (const roll of rolls) {
+    await sendSystemMessage(
+      roll.user_id,
+      `🎁 ${loot.quantity}x ${item?.display_name || 'Item'} an ${winnerName}`,
+      `Die Beute${loot.source ? ` von ${loot.source}` : ''} (${loot.quantity}x ${item?.display_name || 'Item'}) geht an ${winnerName}.${details}`,
+      'party',
+      loot.party_id
+    );
+  }
+}
+
+// Decide a drop with the choices made so far (need/greed) or hand it to the leader (leader rule)
+async function resolveLoot(loot) {
+  if (loot.loot_rule === 'need_greed') {
+    const rolls = await db.all(`
+      SELECT plr.user_id, plr.choice, plr.roll, u.username
+      FROM party_loot_rolls plr
+      JOIN users u ON plr.user_id = u.id
+      WHERE plr.loot_id = ?
+    `, [loot.id]);
+
+    for (const tier of ['need', 'greed']) {
+      const candidates = rolls.filter(roll => roll.choice === tier).sort((a, b) => b.roll - a.roll);
+      if (candidates.length > 0) {
+        const label = tier === 'need' ? 'Bedarf' : 'Gier';
+        const details = `\n\n${label}: ${candidates.map(roll => `${roll.username} (${roll.roll})`).join(', ')}`;
+        await giveLoot(loot, candidates[0].user_id, details);
+        return;
+      }
+    }
+
+    // Nobody wanted it
+    await db.run(`
+      UPDATE party_loot SET status = 'passed', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'
+    `, [loot.id]);
+    return;
+  }
+
+  // Leader did not decide in time: the leader gets it after fighting along, otherwise the first fighter
+  const party = await db.get('SELECT leader_id FROM parties WHERE id = ?', [loot.party_id]);
+  const fighters = await db.all('SELECT user_id FROM party_loot_rolls WHERE loot_id = ? ORDER BY rowid', [loot.id]);
+  if (fighters.length === 0) return;
+  const winner = fighters.find(fighter => fighter.user_id === party?.leader_id) || fighters[0];
+  await giveLoot(loot, winner.user_id, '\n\n(Nicht rechtzeitig verteilt)');
+}
+
+/**
+ * Choose need, greed or pass for a drop. Decided once every fighter chose.
+ * @param {number} userId
+ * @param {number} lootId
+ * @param {string} choice - 'need', 'greed' or 'pass'
+ * @returns {Promise<{roll: number|null, resolved: boolean}>}
+ * @throws {PartyError}
+ */
+export async function chooseLoot(userId, lootId, choice) {
+  if (!['need', 'greed', 'pass'].includes(choice)) {
+    throw new PartyError('Ungültige Wahl');
+  }
+
+  return db.transaction(async () => {
+    const loot = await db.get("SELECT * FROM party_loot WHERE id = ? AND status = 'open'", [lootId]);
+    if (!loot) {
+      throw new PartyError('Beute nicht gefunden oder bereits verteilt', 404);
+    }
+    if (loot.loot_rule !== 'need_greed') {
+      throw new PartyError('Diese Beute verteilt der Gruppenanführer');
+    }
+
+    const own = await db.get('SELECT choice FROM party_loot_rolls WHERE loot_id = ? AND user_id = ?', [lootId, userId]);
+    if (!own) {
+      throw new PartyError('Du warst an diesem Kampf nicht beteiligt', 403);
+    }
+    if (own.choice) {
+      throw new PartyError('Du hast bereits gewählt');
+    }
+
+    const roll = choice === 'pass' ? null : Math.floor(Math.random() * 100) + 1;
+    await db.run(
+      'UPDATE party_loot_rolls SET choice = ?, roll = ? WHERE loot_id = ? AND user_id = ?',
+      [choice, roll, lootId, userId]
+    );
+
+    const undecided = await db.get(
+      'SELECT COUNT(*) as count FROM party_loot_rolls WHERE loot_id = ? AND choice IS NULL',
+      [lootId]
+    );
+    if (undecided.count === 0) {
+      await resolveLoot(loot);
+    }
+
+    return { roll, resolved: undecided.count === 0 };
+  });
+}
+
+/**
+ * Assign a drop to a fighter (leader rule, leader only)
+ * @param {number} leaderId
+ * @param {number} lootId
+ * @param {number} targetId - Fighter who gets the drop
+ * @throws {PartyError}
+ */
+export async function assignLoot(leaderId, lootId, targetId) {
+  const membership = await requireLeader(leaderId);
+
+  await db.transaction(async () => {
+    const loot = await db.get(
+      "SELECT * FROM party_loot WHERE id = ? AND party_id = ? AND status = 'open'",
+      [lootId, membership.party_id]
+    );
+    if (!loot) {
+      throw new PartyError('Beute nicht gefunden oder bereits verteilt', 404);
+    }
+    if (loot.loot_rule !== 'leader') {
+      throw new PartyError('Über diese Beute wird gewürfelt');
+    }
+
+    const fighter = await db.get('SELECT user_id FROM party_loot_rolls WHERE loot_id = ? AND user_id = ?', [lootId, targetId]);
+    if (!fighter) {
+      throw new PartyError('Nur Teilnehmer des Kampfes können die Beute erhalten');
+    }
+
+    await giveLoot(loot, targetId);
+  });
+}
+
+/**
+ * Decide the drops of one party whose time ran out
+ * @param {number} partyId
+ */
+export async function resolveExpiredPartyLoot(partyId) {
+  const expired = await db.all(
+    "SELECT * FROM party_loot WHERE party_id = ? AND status = 'open' AND expires_at <= datetime('now')",
+    [partyId]
+  );
+  for (const loot of expired) {
+    await db.transaction(() => resolveLoot(loot));
+  }
+}
+
+/**
+ * Decide drops whose time ran out and remove expired invites.
+ * Runs periodically from server.js.
+ */
+export async function processPartyLoot() {
+  try {
+    const expired = await db.all("SELECT * FROM party_loot WHERE status = 'open' AND expires_at <= datetime('now')");
+    for (const loot of expired) {
+      await db.transaction(() => resolveLoot(loot));
+    }
+
+    await db.run("DELETE FROM party_invites WHERE created_at <= datetime('now', ?)", [`-${INVITE_HOURS} hours`]);
+  } catch (error) {
+    console.error('[Gruppen] Fehler beim Verteilen der Beute:', error);
+  }
+}
+
+export default {
+  MAX_PARTY_SIZE,
+  PARTY_COMBAT_RANGE,
+  LOOT_RULES,
+  LOOT_DECISION_MINUTES,
+  PARTY_EXP_BONUS,
+  PartyError,
+  getPartyMembership,
+  getPartyMemberIds,
+  getParty,
+  getPendingInvites,
+  invitePlayer,
+  acceptInvite,
+  declineInvite,
+  leaveParty,
+  kickMember,
+  promoteMember,
+  setLootRule,
+  getFightParticipants,
+  distributePartyLoot,
+  chooseLoot,
+  assignLoot,
+  resolveExpiredPartyLoot,
+  processPartyLoot
+};
@@ -0,0 +1,166 @@
+import db from '../database.js';
+import { addItems, removeItems, getItemQuantity } from './inventory.js';
+
+/**
+ * Thrown when production cannot be collected
+ */
+export class ProductionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProductionError';
+    this.status = status;
+  }
+}
+
+// The user's production buildings with the production row that applies to their level
+async function loadProduction(userId, buildingId = null) {
+  return db.all(`
+    SELECT ub.building_id, ub.level, ub.production_stock, ub.production_updated_at,
+           b.name, b.display_name,
+           bp.output_item_id, bp.output_per_hour, bp.storage_cap, bp.input_item_id, bp.input_quantity,
+           oi.name as output_name, oi.display_name as output_display_name, oi.image_path as output_image_path,
+           ii.name as input_name, ii.display_name as input_display_name, ii.image_path as input_image_path
+    FROM user_buildings ub
+    JOIN buildings b ON ub.building_id = b.id
+    JOIN building_production bp ON bp.building_id = ub.building_id AND bp.level = (
+      SELECT MAX(level) FROM building_production
+      WHERE building_id = ub.building_id AND level <= ub.level
+    )
+    JOIN items oi ON bp.output_item_id = oi.id
+    LEFT JOIN items ii ON bp.input_item_id = ii.id
+    WHERE ub.user_id = ? AND (? IS NULL OR ub.building_id = ?)
+    ORDER BY b.unlock_order, b.id
+  `, [userId, buildingId, buildingId]);
+}
+
+// Produced amount (fractional) at a point in time, never above the storage cap
+function accrue(row, now) {
+  if (!row.production_updated_at) return row.production_stock || 0;
+  const hours = Math.max(0, (now - new Date(row.production_updated_at)) / 3600000);
+  return Math.min(row.storage_cap, (row.production_stock || 0) + hours * row.output_per_hour);
+}
+
+/**
+ * Book the output produced so far with the current rate. Call before a building's level
+ * changes so the time before the upgrade is not paid at the new rate. Also starts the
+ * clock of buildings that have not produced yet.
+ * @param {number} userId
+ * @param {number} buildingId
+ */
+export async function settleProduction(userId, buildingId) {
+  const now = new Date();
+  const [row] = await loadProduction(userId, buildingId);
+  await db.run(`
+    UPDATE user_buildings SET production_stock = ?, production_updated_at = ?
+    WHERE user_id = ? AND building_id = ?
+  `, [row ? accrue(row, now) : 0, now.toISOString(), userId, buildingId]);
+}
+
+/**
+ * Production of all the user's buildings that produce something
+ * @param {number} userId
+ * @returns {Promise<Object[]>} Output item, rate, cap, stored units and the input they need
+ */
+export async function getProductionOverview(userId) {
+  const now = new Date();
+  const rows = await loadProduction(userId);
+
+  return Promise.all(rows.map(async (row) => {
+    if (!row.production_updated_at) {
+      await settleProduction(userId, row.building_id);
+      row.production_updated_at = now.toISOString();
+    }
+
+    const produced = accrue(row, now);
+    const stored = Math.floor(produced);
+    const inputOwned = row.input_item_id ? await getItemQuantity(userId, row.input_item_id) : 0;
+    const collectable = row.input_item_id && row.input_quantity > 0
+      ? Math.min(stored, Math.floor(inputOwned / row.input_quantity))
+      : stored;
+    const hoursUntilFull = row.output_per_hour > 0 ? (row.storage_cap - produced) / row.output_per_hour : null;
+
+    return {
+      building_id: row.building_id,
+      name: row.name,
+      display_name: row.display_name,
+      level: row.level,
+      output: {
+        item_id: row.output_item_id,
+        name: row.output_name,
+        display_name: row.output_display_name,
+        image_path: row.output_image_path
+      },
+      output_per_hour: row.output_per_hour,
+      storage_cap: row.storage_cap,
+      stored,
+      collectable,
+      full_at: hoursUntilFull !== null && hoursUntilFull > 0
+        ? new Date(now.getTime() + hoursUntilFull * 3600000).toISOString()
+        : null,
+      input: row.input_item_id && row.input_quantity > 0 ? {
+        item_id: row.input_item_id,
+        name: row.input_name,
+        display_name: row.input_display_name,
+        image_path: row.input_image_path,
+        quantity: row.input_quantity,
+        owned: inputOwned
+      } : null
+    };
+  }));
+}
+
+/**
+ * Move the stored output of a building into the inventory. Buildings with an input only
+ * hand out as many units as the input in the inventory covers, the rest stays stored.
+ * @param {number} userId
+ * @param {number} buildingId
+ * @returns {Promise<{item: Object, quantity: number, consumed: Object|null}>}
+ * @throws {ProductionError} Nothing stored yet or not enough input
+ */
+export async function collectProduction(userId, buildingId) {
+  return db.transaction(async () => {
+    const [row] = await loadProduction(userId, buildingId);
+    if (!row) {
+      throw new ProductionError('Dieses Gebäude produziert nichts', 404);
+    }
+
+    const now = new Date();
+    const produced = accrue(row, now);
+    let quantity = Math.floor(produced);
+    if (quantity < 1) {
+      throw new ProductionError(`${row.display_name} hat noch nichts produziert`);
+    }
+
+    let consumed = null;
+    if (row.input_item_id && row.input_quantity > 0) {
+      const owned = await getItemQuantity(userId, row.input_item_id);
+      quantity = Math.min(quantity, Math.floor(owned / row.input_quantity));
+      if (quantity < 1) {
+        throw new ProductionError(
+          `Nicht genug ${row.input_display_name} – für jedes Stück ${row.output_display_name} werden ${row.input_quantity} benötigt`
+        );
+      }
+      consumed = { item_id: row.input_item_id, display_name: row.input_display_name, quantity: quantity * row.input_quantity };
+      await removeItems(userId, [{ item_id: row.input_item_id, quantity: consumed.quantity }]);
+    }
+
+    await addItems(userId, [{ item_id: row.output_item_id, quantity }]);
+    await db.run(`
+      UPDATE user_buildings SET production_stock = ?, production_updated_at = ?
+      WHERE user_id = ? AND building_id = ?
+    `, [produced - quantity, now.toISOString(), userId, buildingId]);
+
+    return {
+      item: { item_id: row.output_item_id, name: row.output_name, display_name: row.output_display_name },
+      quantity,
+      consumed
+    };
+  });
+}
+
+export default {
+  ProductionError,
+  settleProduction,
+  getProductionOverview,
+  collectProduction
+};
@@ -0,0 +1,269 @@
+import db from '../database.js';
+
+// Plot size (grid cells per side) by player level, the plot only ever grows
+export const PLOT_TIERS = [
+  { minLevel: 1, size: 8 },
+  { minLevel: 5, size: 10 },
+  { minLevel: 10, size: 12 },
+  { minLevel: 20, size: 14 },
+  { minLevel: 30, size: 16 }
+];
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+// Icons for buildings without a property hotspot
+const BUILDING_ICONS = {
+  hutte: '🏠',
+  werkbank: '🔨',
+  schmiede: '⚒️',
+  saegewerk: '🪚',
+  brunnen: '💧',
+  lager: '📦',
+  steinbruch: '⛏️'
+};
+const DEFAULT_ICON = '🏗️';
+
+/**
+ * Thrown when a building cannot be placed on the plot
+ */
+export class PropertyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PropertyError';
+    this.status = status;
+  }
+}
+
+/**
+ * Plot size for a player level, including the next size step
+ * @param {number} level
+ * @returns {{width: number, height: number, next: Object|null}}
+ */
+export function getPlotSize(level) {
+  const index = PLOT_TIERS.reduce((found, tier, i) => (level >= tier.minLevel ? i : found), 0);
+  const next = PLOT_TIERS[index + 1];
+  return {
+    width: PLOT_TIERS[index].size,
+    height: PLOT_TIERS[index].size,
+    next: next ? { level: next.minLevel, width: next.size, height: next.size } : null
+  };
+}
+
+/**
+ * Grid cells a building covers with the given rotation (90° and 270° swap the sides)
+ * @param {Object} building - Row with grid_width and grid_height
+ * @param {number} rotation
+ * @returns {{width: number, height: number}}
+ */
+export function getFootprint(building, rotation = 0) {
+  const width = Math.max(1, building.grid_width || 1);
+  const height = Math.max(1, building.grid_height || 1);
+  return rotation === 90 || rotation === 270 ? { width: height, height: width } : { width, height };
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function fits(rect, plot) {
+  return rect.x >= 0 && rect.y >= 0 && rect.x + rect.width <= plot.width && rect.y + rect.height <= plot.height;
+}
+
+// The user's buildings with footprint data (placed or not)
+async function loadUserBuildings(userId) {
+  return db.all(`
+    SELECT ub.building_id, ub.level, ub.grid_x, ub.grid_y, ub.rotation, ub.is_stored,
+           b.name, b.display_name, b.description, b.max_level, b.grid_width, b.grid_height,
+           ph.icon, ph.x as preferred_x, ph.y as preferred_y
+    FROM user_buildings ub
+    JOIN buildings b ON ub.building_id = b.id
+    LEFT JOIN property_hotspots ph ON ph.building_name = b.name
+    WHERE ub.user_id = ?
+    ORDER BY b.unlock_order, b.id
+  `, [userId]);
+}
+
+async function loadPlot(userId) {
+  const stats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+  return { level: stats?.level || 1, ...getPlotSize(stats?.level || 1) };
+}
+
+function toRect(building) {
+  const rotation = building.rotation || 0;
+  return { x: building.grid_x, y: building.grid_y, ...getFootprint(building, rotation) };
+}
+
+// First free position for a building: the admin hotspot position first, then row by row
+function findFreeSpot(building, plot, occupied) {
+  const footprint = getFootprint(building, 0);
+  const candidates = [];
+  if (building.preferred_x !== null && building.preferred_x !== undefined) {
+    candidates.push({
+      x: Math.min(plot.width - footprint.width, Math.floor(building.preferred_x / 100 * plot.width)),
+      y: Math.min(plot.height - footprint.height, Math.floor(building.preferred_y / 100 * plot.height))
+    });
+  }
+  for (let y = 0; y + footprint.height <= plot.height; y++) {
+    for (let x = 0; x + footprint.width <= plot.width; x++) {
+      candidates.push({ x, y });
+    }
+  }
+
+  return candidates
+    .map(spot => ({ ...spot, ...footprint }))
+    .find(rect => fits(rect, plot) && !occupied.some(other => overlaps(rect, other))) || null;
+}
+
+/**
+ * Put buildings on the plot that have no valid position yet: newly built ones, buildings from
+ * before the layouts existed and buildings whose footprint an admin changed so that they no
+ * longer fit. Buildings the owner put into storage stay there.
+ * @param {number} userId
+ */
+export async function ensurePlacements(userId) {
+  await db.transaction(async () => {
+    const plot = await loadPlot(userId);
+    const buildings = await loadUserBuildings(userId);
+
+    const occupied = [];
+    const pending = [];
+    for (const building of buildings) {
+      if (building.is_stored) continue;
+      if (building.grid_x === null || building.grid_y === null) {
+        pending.push(building);
+        continue;
+      }
+      const rect = toRect(building);
+      if (fits(rect, plot) && !occupied.some(other => overlaps(rect, other))) {
+        occupied.push(rect);
+      } else {
+        pending.push(building);
+      }
+    }
+
+    for (const building of pending) {
+      // Without a free spot the building stays off the plot and is tried again next time
+      const spot = findFreeSpot(building, plot, occupied);
+      if (spot) {
+        occupied.push(spot);
+      } else if (building.grid_x === null) {
+        continue;
+      }
+      await db.run(`
+        UPDATE user_buildings SET grid_x = ?, grid_y = ?, rotation = 0
+        WHERE user_id = ? AND building_id = ?
+      `, [spot?.x ?? null, spot?.y ?? null, userId, building.building_id]);
+    }
+  });
+}
+
+/**
+ * Layout of a player's plot as stored. Does not write, so other players can view it;
+ * the owner's routes call ensurePlacements() first.
+ * @param {number} userId
+ * @returns {Promise<{plot: Object, background: string, buildings: Object[]}>}
+ *   buildings with their footprint (width/height after rotation) and is_placed
+ */
+export async function getPropertyLayout(userId) {
+  const plot = await loadPlot(userId);
+  const settings = await db.get('SELECT image_path FROM property_settings ORDER BY id DESC LIMIT 1');
+  const buildings = (await loadUserBuildings(userId)).map(building => {
+    const isPlaced = building.grid_x !== null && building.grid_y !== null;
+    const footprint = getFootprint(building, building.rotation || 0);
+    return {
+      building_id: building.building_id,
+      name: building.name,
+      display_name: building.display_name,
+      description: building.description,
+      level: building.level,
+      max_level: building.max_level,
+      icon: building.icon || BUILDING_ICONS[building.name] || DEFAULT_ICON,
+      grid_width: building.grid_width,
+      grid_height: building.grid_height,
+      grid_x: building.grid_x,
+      grid_y: building.grid_y,
+      rotation: building.rotation || 0,
+      width: footprint.width,
+      height: footprint.height,
+      is_placed: isPlaced
+    };
+  });
+
+  return { plot, background: settings?.image_path || null, buildings };
+}
+
+/**
+ * Place, move or rotate one of the user's buildings on the plot
+ * @param {number} userId
+ * @param {number} buildingId
+ * @param {{x: number, y: number, rotation: number}} position
+ * @throws {PropertyError} Outside the plot or colliding with another building
+ */
+export async function placeBuilding(userId, buildingId, { x, y, rotation = 0 }) {
+  const gridX = parseInt(x);
+  const gridY = parseInt(y);
+  const turn = parseInt(rotation) || 0;
+  if (isNaN(gridX) || isNaN(gridY)) {
+    throw new PropertyError('Position erforderlich');
+  }
+  if (!ROTATIONS.includes(turn)) {
+    throw new PropertyError('Ungültige Drehung');
+  }
+
+  await db.transaction(async () => {
+    const buildings = await loadUserBuildings(userId);
+    const building = buildings.find(entry => entry.building_id === buildingId);
+    if (!building) {
+      throw new PropertyError('Gebäude nicht gebaut', 404);
+    }
+
+    const plot = await loadPlot(userId);
+    const rect = { x: gridX, y: gridY, ...getFootprint(building, turn) };
+    if (!fits(rect, plot)) {
+      throw new PropertyError(`${building.display_name} passt dort nicht auf dein Grundstück (${plot.width}×${plot.height} Felder)`);
+    }
+
+    const blocking = buildings.find(other =>
+      other.building_id !== buildingId &&
+      !other.is_stored &&
+      other.grid_x !== null &&
+      other.grid_y !== null &&
+      overlaps(rect, toRect(other))
+    );
+    if (blocking) {
+      throw new PropertyError(`Dort steht bereits: ${blocking.display_name}`);
+    }
+
+    await db.run(`
+      UPDATE user_buildings SET grid_x = ?, grid_y = ?, rotation = ?, is_stored = 0
+      WHERE user_id = ? AND building_id = ?
+    `, [gridX, gridY, turn, userId, buildingId]);
+  });
+}
+
+/**
+ * Take a building off the plot to make room (it keeps working, it is just not shown)
+ * @param {number} userId
+ * @param {number} buildingId
+ */
+export async function storeBuilding(userId, buildingId) {
+  const result = await db.run(`
+    UPDATE user_buildings SET grid_x = NULL, grid_y = NULL, is_stored = 1
+    WHERE user_id = ? AND building_id = ?
+  `, [userId, buildingId]);
+  if (result.changes === 0) {
+    throw new PropertyError('Gebäude nicht gebaut', 404);
+  }
+}
+
+export default {
+  PLOT_TIERS,
+  ROTATIONS,
+  PropertyError,
+  getPlotSize,
+  getFootprint,
+  ensurePlacements,
+  getPropertyLayout,
+  placeBuilding,
+  storeBuilding
+};
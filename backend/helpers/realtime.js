@@ -0,0 +1,109 @@
+// Server-sent events channel: keeps track of open streams and pushes game events to them
+
+// Send a comment line regularly so proxies keep idle streams open
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Largest viewport a client may subscribe to (in world units per axis)
+export const MAX_SUBSCRIPTION_SIZE = 4000;
+
+const clients = new Map();
+let nextClientId = 1;
+
+const heartbeat = setInterval(() => {
+  for (const client of clients.values()) {
+    client.res.write(': ping\n\n');
+  }
+}, HEARTBEAT_INTERVAL_MS);
+heartbeat.unref();
+
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Register an open event stream
+ * @param {number} userId - The authenticated user
+ * @param {import('express').Response} res - The streaming response
+ * @returns {number} Connection ID used for area subscriptions
+ */
+export function addClient(userId, res) {
+  const id = nextClientId++;
+  clients.set(id, { id, userId, res, area: null });
+  return id;
+}
+
+/**
+ * Remove a closed event stream
+ * @param {number} clientId - The connection ID
+ */
+export function removeClient(clientId) {
+  clients.delete(clientId);
+}
+
+/**
+ * Set the map area a connection receives area events for
+ * @param {number} clientId - The connection ID
+ * @param {number} userId - Must own the connection
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} area
+ * @returns {boolean} False if the connection does not exist or belongs to another user
+ */
+export function setClientArea(clientId, userId, area) {
+  const client = clients.get(clientId);
+  if (!client || client.userId !== userId) return false;
+  client.area = area;
+  return true;
+}
+
+/**
+ * Push an event to every open stream of a user
+ * @param {number} userId - The receiving user
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+export function publishToUser(userId, event, data) {
+  for (const client of clients.values()) {
+    if (client.userId === userId) {
+      send(client, event, data);
+    }
+  }
+}
+
+/**
+ * Push an event to every stream subscribed to an area containing one of the points
+ * @param {Array<{x: number, y: number}>} points - World positions the event concerns
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+export function publishToArea(points, event, data) {
+  for (const client of clients.values()) {
+    const area = client.area;
+    if (!area) continue;
+
+    const inside = points.some(p =>
+      p.x >= area.minX && p.x <= area.maxX && p.y >= area.minY && p.y <= area.maxY
+    );
+    if (inside) {
+      send(client, event, data);
+    }
+  }
+}
+
+/**
+ * Push an event to every open stream (world-wide changes)
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+export function publishToAll(event, data) {
+  for (const client of clients.values()) {
+    send(client, event, data);
+  }
+}
+
+export default {
+  addClient,
+  removeClient,
+  setClientArea,
+  publishToUser,
+  publishToArea,
+  publishToAll
+};
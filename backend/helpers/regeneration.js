@@ -0,0 +1,75 @@
+import db from '../database.js';
+import { getBuffMultipliers } from '../routes/buffs.js';
+
+// Base regeneration in percent of max HP per minute
+const BASE_REGEN_PERCENT = 1;
+
+// Additional regeneration in percent of max HP per minute and building level
+const BUILDING_REGEN_BONUS = {
+  hutte: 0.5,
+  brunnen: 0.25
+};
+
+/**
+ * Get the regeneration rate of a user
+ * @param {number} userId - The user ID
+ * @returns {Promise<number>} Percent of max HP regenerated per minute
+ */
+export async function getRegenerationRate(userId) {
+  let rate = BASE_REGEN_PERCENT;
+
+  const buildings = await db.all(`
+    SELECT b.name, ub.level
+    FROM user_buildings ub
+    JOIN buildings b ON ub.building_id = b.id
+    WHERE ub.user_id = ?
+  `, [userId]);
+
+  for (const building of buildings) {
+    rate += (BUILDING_REGEN_BONUS[building.name] || 0) * (building.level || 1);
+  }
+
+  const buffMultipliers = await getBuffMultipliers(userId);
+  return rate * buffMultipliers.regen;
+}
+
+/**
+ * Apply HP regeneration for the time passed since last_healed_at
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object|null>} The updated player_stats row
+ */
+export async function applyRegeneration(userId) {
+  const stats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
+  if (!stats) return null;
+
+  const now = new Date();
+
+  // Regeneration only runs while hurt, so the clock restarts at full health
+  if (!stats.last_healed_at || stats.current_health >= stats.max_health) {
+    await db.run('UPDATE player_stats SET last_healed_at = ? WHERE user_id = ?', [now.toISOString(), userId]);
+    stats.last_healed_at = now.toISOString();
+    return stats;
+  }
+
+  const minutesPassed = (now - new Date(stats.last_healed_at)) / 60000;
+  const rate = await getRegenerationRate(userId);
+  const healed = Math.floor(stats.max_health * rate / 100 * minutesPassed);
+
+  // Keep accumulating until at least 1 HP was regenerated
+  if (healed < 1) return stats;
+
+  const newHealth = Math.min(stats.max_health, stats.current_health + healed);
+  await db.run(
+    'UPDATE player_stats SET current_health = ?, last_healed_at = ? WHERE user_id = ?',
+    [newHealth, now.toISOString(), userId]
+  );
+
+  stats.current_health = newHealth;
+  stats.last_healed_at = now.toISOString();
+  return stats;
+}
+
+export default {
+  getRegenerationRate,
+  applyRegeneration
+};
@@ -1,7 +1,9 @@
 import db from '../database.js';
+import { awardGuildXp } from './guildLevels.js';
+import { addGroupQuestProgress } from './groupQuests.js';
 
 /**
- * Updates user statistics and checks quest progress
+ * Updates user statistics, checks quest progress and gives the player's guild XP
  * @param {number} userId - The user ID
  * @param {string} statName - The statistic field name
  * @param {number} amount - Amount to add (default 1)
@@ -22,6 +24,8 @@ export async function updateStatistic(userId, statName, amount = 1) {
 
     // Check and update quest progress
     await checkQuestProgress(userId, statName, amount);
+
+    await awardGuildXp(userId, statName, amount);
   } catch (error) {
     console.error(`Error updating statistic ${statName}:`, error);
   }
@@ -45,9 +49,10 @@ export async function updateMultipleStats(userId, stats) {
       WHERE user_id = ?
     `, values);
 
-    // Check quest progress for each stat
+    // Check quest progress and guild XP for each stat
     for (const [statName, amount] of Object.entries(stats)) {
       await checkQuestProgress(userId, statName, amount);
+      await awardGuildXp(userId, statName, amount);
     }
   } catch (error) {
     console.error('Error updating multiple statistics:', error);
@@ -97,6 +102,9 @@ async function checkQuestProgress(userId, statName, amount) {
     for (const objective of activeObjectives) {
       await updateQuestObjectiveProgress(userId, objective.quest_id, objective.id, amount);
     }
+
+    // Shared progress of guild quests
+    await addGroupQuestProgress(userId, objectiveType, amount);
   } catch (error) {
     console.error('Error checking quest progress:', error);
   }
@@ -188,6 +196,8 @@ export async function trackKill(userId, monsterTypeId, isBoss = false) {
     for (const objective of activeObjectives) {
       await updateQuestObjectiveProgress(userId, objective.quest_id, objective.id, 1);
     }
+
+    await addGroupQuestProgress(userId, 'kill_specific_monster', 1, monsterTypeId);
   } catch (error) {
     console.error('Error tracking kill:', error);
   }
@@ -238,6 +248,8 @@ export async function trackItemCollected(userId, itemId, itemName, quantity = 1)
     for (const objective of activeObjectives) {
       await updateQuestObjectiveProgress(userId, objective.quest_id, objective.id, quantity);
     }
+
+    await addGroupQuestProgress(userId, 'collect_specific_item', quantity, itemId);
   } catch (error) {
     console.error('Error tracking item collected:', error);
   }
@@ -268,6 +280,8 @@ export async function trackCrafting(userId, itemId, isEquipment = false) {
     for (const objective of activeObjectives) {
       await updateQuestObjectiveProgress(userId, objective.quest_id, objective.id, 1);
     }
+
+    await addGroupQuestProgress(userId, 'craft_specific_item', 1, itemId);
   } catch (error) {
     console.error('Error tracking crafting:', error);
   }
@@ -299,6 +313,8 @@ export async function trackBuilding(userId, buildingId, isUpgrade = false) {
     for (const objective of activeObjectives) {
       await updateQuestObjectiveProgress(userId, objective.quest_id, objective.id, 1);
     }
+
+    await addGroupQuestProgress(userId, 'build_specific_building', 1, buildingId);
   } catch (error) {
     console.error('Error tracking building:', error);
   }
@@ -0,0 +1,225 @@
+import db from '../database.js';
+
+export const PREREQUISITE_TYPES = ['building', 'player_level', 'quest'];
+
+/**
+ * Thrown when a building prerequisite is invalid (e.g. it would create a cycle)
+ */
+export class TechTreeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TechTreeError';
+    this.status = status;
+  }
+}
+
+// All prerequisites with the names of the required building or quest
+async function loadPrerequisites() {
+  return db.all(`
+    SELECT bp.*, rb.display_name as required_building_name, q.display_name as required_quest_name
+    FROM building_prerequisites bp
+    LEFT JOIN buildings rb ON bp.required_building_id = rb.id
+    LEFT JOIN quests q ON bp.required_quest_id = q.id
+    ORDER BY bp.building_id, bp.level, bp.id
+  `);
+}
+
+// What the player has reached so far: level, building levels and claimed quests
+async function loadProgress(userId) {
+  const stats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+  const buildings = await db.all('SELECT building_id, level FROM user_buildings WHERE user_id = ?', [userId]);
+  const quests = await db.all("SELECT quest_id FROM user_quests WHERE user_id = ? AND status = 'claimed'", [userId]);
+  return {
+    level: stats?.level || 1,
+    buildings: new Map(buildings.map(row => [row.building_id, row.level])),
+    quests: new Set(quests.map(row => row.quest_id))
+  };
+}
+
+/**
+ * Readable name of a prerequisite, e.g. "Schmiede Lv. 2"
+ * @param {Object} prerequisite - building_prerequisites row with the joined names
+ * @returns {string}
+ */
+export function describePrerequisite(prerequisite) {
+  if (prerequisite.prerequisite_type === 'building') {
+    return `${prerequisite.required_building_name || 'Unbekanntes Gebäude'} Lv. ${prerequisite.required_level}`;
+  }
+  if (prerequisite.prerequisite_type === 'player_level') {
+    return `Spielerlevel ${prerequisite.required_level}`;
+  }
+  return `Quest „${prerequisite.required_quest_name || 'Unbekannte Quest'}“`;
+}
+
+function isMet(prerequisite, progress) {
+  if (prerequisite.prerequisite_type === 'building') {
+    return (progress.buildings.get(prerequisite.required_building_id) || 0) >= prerequisite.required_level;
+  }
+  if (prerequisite.prerequisite_type === 'player_level') {
+    return progress.level >= prerequisite.required_level;
+  }
+  return progress.quests.has(prerequisite.required_quest_id);
+}
+
+/**
+ * Prerequisites the user is still missing to build a building (level 1) or upgrade it to a level
+ * @param {number} userId
+ * @param {number} buildingId
+ * @param {number} level - The level the building would reach
+ * @returns {Promise<string[]>} Readable names of the missing prerequisites
+ */
+export async function getMissingPrerequisites(userId, buildingId, level) {
+  const prerequisites = (await loadPrerequisites())
+    .filter(prerequisite => prerequisite.building_id === buildingId && prerequisite.level === level);
+  if (prerequisites.length === 0) return [];
+
+  const progress = await loadProgress(userId);
+  return prerequisites
+    .filter(prerequisite => !isMet(prerequisite, progress))
+    .map(describePrerequisite);
+}
+
+/**
+ * Find a dependency cycle between building levels. Every level depends on the level below it
+ * and on the buildings its prerequisites require, so "Schmiede Lv. 2 needs Sägewerk Lv. 1" and
+ * "Sägewerk Lv. 1 needs Schmiede Lv. 1" is fine, while requiring Schmiede Lv. 2 would not be.
+ * @param {Object[]} prerequisites - building_prerequisites rows
+ * @param {Object[]} buildings - Rows with id and display_name
+ * @returns {string[]|null} The levels of the cycle (first one repeated at the end) or null
+ */
+export function findCycle(prerequisites, buildings) {
+  const names = new Map(buildings.map(building => [building.id, building.display_name]));
+  const key = (buildingId, level) => `${buildingId}:${level}`;
+  const label = (nodeKey) => {
+    const [buildingId, level] = nodeKey.split(':').map(Number);
+    return `${names.get(buildingId) || buildingId} Lv. ${level}`;
+  };
+
+  const dependencies = (nodeKey) => {
+    const [buildingId, level] = nodeKey.split(':').map(Number);
+    const result = level > 1 ? [key(buildingId, level - 1)] : [];
+    for (const prerequisite of prerequisites) {
+      if (prerequisite.prerequisite_type === 'building' &&
+          prerequisite.building_id === buildingId &&
+          prerequisite.level === level) {
+        result.push(key(prerequisite.required_building_id, prerequisite.required_level));
+      }
+    }
+    return result;
+  };
+
+  const state = new Map(); // 1 = on the current path, 2 = done
+  const path = [];
+
+  const visit = (nodeKey) => {
+    state.set(nodeKey, 1);
+    path.push(nodeKey);
+    for (const next of dependencies(nodeKey)) {
+      if (state.get(next) === 1) {
+        return [...path.slice(path.indexOf(next)), next].map(label);
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(nodeKey, 2);
+    return null;
+  };
+
+  for (const prerequisite of prerequisites) {
+    const start = key(prerequisite.building_id, prerequisite.level);
+    if (!state.has(start)) {
+      const cycle = visit(start);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a new or changed prerequisite against the existing ones
+ * @param {Object} candidate - building_prerequisites row (id set when an existing row changes)
+ * @throws {TechTreeError} The prerequisite would create a cycle
+ */
+export async function assertNoCycle(candidate) {
+  const prerequisites = (await loadPrerequisites()).filter(prerequisite => prerequisite.id !== candidate.id);
+  const buildings = await db.all('SELECT id, display_name FROM buildings');
+  const cycle = findCycle([...prerequisites, candidate], buildings);
+  if (cycle) {
+    throw new TechTreeError(`Zirkuläre Abhängigkeit: ${cycle.join(' → ')}`);
+  }
+}
+
+/**
+ * The building tech tree with the user's progress
+ * @param {number} userId
+ * @returns {Promise<{nodes: Object[], edges: Object[]}>}
+ *   nodes: buildings with their levels' prerequisites and locked state,
+ *   edges: required building → building for every building prerequisite
+ */
+export async function getTechTree(userId) {
+  const buildings = await db.all(`
+    SELECT id, name, display_name, description, max_level, unlock_order
+    FROM buildings
+    ORDER BY unlock_order, id
+  `);
+  const prerequisites = await loadPrerequisites();
+  const progress = await loadProgress(userId);
+
+  const withState = prerequisites.map(prerequisite => ({
+    id: prerequisite.id,
+    building_id: prerequisite.building_id,
+    level: prerequisite.level,
+    prerequisite_type: prerequisite.prerequisite_type,
+    required_building_id: prerequisite.required_building_id,
+    required_level: prerequisite.required_level,
+    required_quest_id: prerequisite.required_quest_id,
+    label: describePrerequisite(prerequisite),
+    met: isMet(prerequisite, progress)
+  }));
+
+  const nodes = buildings.map(building => {
+    const currentLevel = progress.buildings.get(building.id) || 0;
+    const own = withState.filter(prerequisite => prerequisite.building_id === building.id);
+    const levels = [...new Set(own.map(prerequisite => prerequisite.level))].map(level => {
+      const levelPrerequisites = own.filter(prerequisite => prerequisite.level === level);
+      return { level, prerequisites: levelPrerequisites, unlocked: levelPrerequisites.every(p => p.met) };
+    });
+    const levelUnlocked = (level) => own.every(prerequisite => prerequisite.level !== level || prerequisite.met);
+    const nextLevel = currentLevel < (building.max_level || 5) ? currentLevel + 1 : null;
+
+    return {
+      ...building,
+      current_level: currentLevel,
+      unlocked: currentLevel > 0 || levelUnlocked(1),
+      next_level: nextLevel,
+      next_level_unlocked: nextLevel !== null && levelUnlocked(nextLevel),
+      levels
+    };
+  });
+
+  const edges = withState
+    .filter(prerequisite => prerequisite.prerequisite_type === 'building')
+    .map(prerequisite => ({
+      id: prerequisite.id,
+      from: prerequisite.required_building_id,
+      to: prerequisite.building_id,
+      level: prerequisite.level,
+      required_level: prerequisite.required_level,
+      met: prerequisite.met
+    }));
+
+  return { nodes, edges };
+}
+
+export default {
+  PREREQUISITE_TYPES,
+  TechTreeError,
+  describePrerequisite,
+  getMissingPrerequisites,
+  findCycle,
+  assertNoCycle,
+  getTechTree
+};
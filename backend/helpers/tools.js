@@ -0,0 +1,413 @@
+import db from '../database.js';
+import { addItems, removeItems, getItemQuantity, removeGold } from './inventory.js';
+import { isUserAtHome } from './jobs.js';
+
+export const TOOL_CATEGORIES = ['pickaxe', 'axe', 'sickle'];
+
+// Gold per missing durability point and tool tier when a merchant repairs a tool
+const REPAIR_GOLD_PER_POINT = 1;
+// Share of the recipe ingredients a full repair costs, scaled by the missing durability
+const REPAIR_MATERIAL_SHARE = 0.5;
+// Share of the recipe ingredients salvaging a broken tool returns
+const SALVAGE_SHARE = 0.5;
+// Same range as trading with an NPC
+const MERCHANT_DISTANCE = 100;
+
+/**
+ * Thrown when a tool cannot be crafted, repaired, salvaged or equipped
+ */
+export class ToolError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+  }
+}
+
+// Recipes with the tool they make and the building they need
+async function loadRecipes(recipeId = null) {
+  return db.all(`
+    SELECT tr.*,
+           tt.name, tt.display_name, tt.description, tt.category, tt.tier, tt.icon,
+           tt.speed_bonus, tt.rare_drop_bonus, tt.efficiency_bonus, tt.durability, tt.required_level,
+           b.display_name as building_display_name
+    FROM tool_recipes tr
+    JOIN tool_types tt ON tr.tool_type_id = tt.id
+    LEFT JOIN buildings b ON tr.required_building_id = b.id
+    WHERE tt.is_active = 1 AND (? IS NULL OR tr.id = ?)
+    ORDER BY tt.category, tt.tier
+  `, [recipeId, recipeId]);
+}
+
+async function loadIngredients(recipeId) {
+  return db.all(`
+    SELECT tri.item_id, tri.quantity, i.name, i.display_name, i.image_path
+    FROM tool_recipe_ingredients tri
+    JOIN items i ON tri.item_id = i.id
+    WHERE tri.recipe_id = ?
+  `, [recipeId]);
+}
+
+// The user's tools with their type, oldest first within a category and tier
+async function loadTools(userId, toolId = null) {
+  return db.all(`
+    SELECT ut.*,
+           tt.name, tt.display_name, tt.description, tt.category, tt.tier,
+           tt.speed_bonus, tt.rare_drop_bonus, tt.efficiency_bonus,
+           tt.durability as max_durability, tt.required_level, tt.icon,
+           tr.id as recipe_id
+    FROM user_tools ut
+    JOIN tool_types tt ON ut.tool_type_id = tt.id
+    LEFT JOIN tool_recipes tr ON tr.tool_type_id = tt.id
+    WHERE ut.user_id = ? AND (? IS NULL OR ut.id = ?)
+    ORDER BY tt.category, tt.tier DESC, ut.id
+  `, [userId, toolId, toolId]);
+}
+
+async function getTool(userId, toolId) {
+  const [tool] = await loadTools(userId, toolId);
+  if (!tool) {
+    throw new ToolError('Werkzeug nicht gefunden', 404);
+  }
+  return tool;
+}
+
+// Ingredients scaled by a share, with what the user owns of them
+async function scaleIngredients(userId, ingredients, share, round) {
+  const scaled = [];
+  for (const ingredient of ingredients) {
+    const quantity = round(ingredient.quantity * share);
+    if (quantity <= 0) continue;
+    scaled.push({
+      item_id: ingredient.item_id,
+      name: ingredient.name,
+      display_name: ingredient.display_name,
+      image_path: ingredient.image_path,
+      quantity,
+      owned: await getItemQuantity(userId, ingredient.item_id)
+    });
+  }
+  return scaled;
+}
+
+// Missing items as readable text, e.g. "Holz (benötigt: 3, vorhanden: 1)"
+function describeMissing(materials) {
+  return materials
+    .filter(material => material.owned < material.quantity)
+    .map(material => `${material.display_name} (benötigt: ${material.quantity}, vorhanden: ${material.owned})`);
+}
+
+/**
+ * Why the user cannot use a recipe's crafting station right now
+ * @param {number} userId
+ * @param {Object} recipe - tool_recipes row with building_display_name
+ * @returns {Promise<string|null>} The reason or null if the station is available
+ */
+async function getStationError(userId, recipe) {
+  if (!await isUserAtHome(userId)) {
+    return 'Du musst zu Hause sein! Reise zuerst zu deinem Grundstück.';
+  }
+
+  if (recipe.required_workbench_level > 0) {
+    const workbench = await db.get('SELECT level FROM user_workbench WHERE user_id = ?', [userId]);
+    if (!workbench || workbench.level < recipe.required_workbench_level) {
+      return `Werkbank-Level ${recipe.required_workbench_level} erforderlich (aktuell: ${workbench?.level || 0})`;
+    }
+  }
+
+  if (recipe.required_building_id) {
+    const building = await db.get(
+      'SELECT level FROM user_buildings WHERE user_id = ? AND building_id = ?',
+      [userId, recipe.required_building_id]
+    );
+    const requiredLevel = recipe.required_building_level || 1;
+    if (!building || building.level < requiredLevel) {
+      return `${recipe.building_display_name || 'Gebäude'} Level ${requiredLevel} erforderlich (aktuell: Level ${building?.level || 0})`;
+    }
+  }
+
+  return null;
+}
+
+// Active merchant within trading range of the user, if any
+async function findNearbyMerchant(userId) {
+  const user = await db.get('SELECT world_x, world_y FROM users WHERE id = ?', [userId]);
+  if (!user) return null;
+  return db.get(`
+    SELECT wn.id, nt.display_name
+    FROM world_npcs wn
+    JOIN npc_types nt ON wn.npc_type_id = nt.id
+    WHERE nt.npc_type = 'merchant' AND wn.is_active = 1
+      AND ((wn.world_x - ?) * (wn.world_x - ?) + (wn.world_y - ?) * (wn.world_y - ?)) <= ?
+    LIMIT 1
+  `, [user.world_x, user.world_x, user.world_y, user.world_y, MERCHANT_DISTANCE * MERCHANT_DISTANCE]);
+}
+
+/**
+ * Repair and salvage costs of a tool
+ * @param {number} userId
+ * @param {Object} tool - Row from loadTools
+ * @returns {Promise<{missing: number, gold: number, materials: Object[]|null, salvage: Object[]|null}>}
+ *   materials/salvage are null for tools without a recipe
+ */
+async function getToolCosts(userId, tool) {
+  const missing = Math.max(0, tool.max_durability - tool.current_durability);
+  const ingredients = tool.recipe_id ? await loadIngredients(tool.recipe_id) : null;
+  const missingShare = tool.max_durability > 0 ? missing / tool.max_durability : 0;
+
+  const gold = Math.ceil(missing * tool.tier * REPAIR_GOLD_PER_POINT);
+  if (!ingredients) {
+    return { missing, gold, materials: null, salvage: null };
+  }
+
+  return {
+    missing,
+    gold,
+    materials: missing > 0
+      ? await scaleIngredients(userId, ingredients, missingShare * REPAIR_MATERIAL_SHARE, Math.ceil)
+      : [],
+    salvage: await scaleIngredients(userId, ingredients, SALVAGE_SHARE, Math.floor)
+  };
+}
+
+/**
+ * All tool recipes with what the user still lacks to craft them
+ * @param {number} userId
+ * @returns {Promise<Object[]>} Recipes with tool stats, ingredients (with owned) and can_craft
+ */
+export async function getToolRecipes(userId) {
+  const recipes = await loadRecipes();
+  const stats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+  const user = await db.get('SELECT gold FROM users WHERE id = ?', [userId]);
+  const workbench = await db.get('SELECT level FROM user_workbench WHERE user_id = ?', [userId]);
+  const buildings = new Map(
+    (await db.all('SELECT building_id, level FROM user_buildings WHERE user_id = ?', [userId]))
+      .map(row => [row.building_id, row.level])
+  );
+
+  return Promise.all(recipes.map(async (recipe) => {
+    const ingredients = await scaleIngredients(userId, await loadIngredients(recipe.id), 1, Math.round);
+    const stationMet = (workbench?.level || 0) >= recipe.required_workbench_level &&
+      (!recipe.required_building_id ||
+        (buildings.get(recipe.required_building_id) || 0) >= (recipe.required_building_level || 1));
+    const levelMet = (stats?.level || 1) >= recipe.required_level;
+
+    return {
+      ...recipe,
+      ingredients,
+      station_met: stationMet,
+      level_met: levelMet,
+      can_craft: stationMet && levelMet &&
+        (user?.gold || 0) >= recipe.gold_cost &&
+        ingredients.every(ingredient => ingredient.owned >= ingredient.quantity)
+    };
+  }));
+}
+
+/**
+ * The user's tools with durability, equipped state and repair/salvage costs
+ * @param {number} userId
+ * @returns {Promise<Object[]>}
+ */
+export async function getUserTools(userId) {
+  const tools = await loadTools(userId);
+  return Promise.all(tools.map(async (tool) => {
+    const costs = await getToolCosts(userId, tool);
+    return {
+      ...tool,
+      is_broken: tool.current_durability <= 0,
+      repair: costs.missing > 0 ? { gold: costs.gold, materials: costs.materials } : null,
+      salvage: tool.current_durability <= 0 ? costs.salvage : null
+    };
+  }));
+}
+
+/**
+ * Craft a tool at home. The first tool of a category is equipped right away.
+ * @param {number} userId
+ * @param {number} recipeId
+ * @returns {Promise<{tool: Object, equipped: boolean}>}
+ * @throws {ToolError} Unknown recipe, level too low, station missing or not enough gold/items
+ */
+export async function craftTool(userId, recipeId) {
+  return db.transaction(async () => {
+    const [recipe] = await loadRecipes(recipeId);
+    if (!recipe) {
+      throw new ToolError('Rezept nicht gefunden', 404);
+    }
+
+    const stats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+    if ((stats?.level || 1) < recipe.required_level) {
+      throw new ToolError(`Du brauchst mindestens Level ${recipe.required_level}!`);
+    }
+
+    const stationError = await getStationError(userId, recipe);
+    if (stationError) {
+      throw new ToolError(stationError);
+    }
+
+    const ingredients = await scaleIngredients(userId, await loadIngredients(recipe.id), 1, Math.round);
+    const missing = describeMissing(ingredients);
+    if (missing.length > 0) {
+      throw new ToolError(`Nicht genug ${missing.join(', ')}`);
+    }
+
+    await removeGold(userId, recipe.gold_cost);
+    await removeItems(userId, ingredients);
+
+    const equipped = await db.get(`
+      SELECT ut.id FROM user_tools ut
+      JOIN tool_types tt ON ut.tool_type_id = tt.id
+      WHERE ut.user_id = ? AND tt.category = ? AND ut.is_equipped = 1
+    `, [userId, recipe.category]);
+
+    const result = await db.run(`
+      INSERT INTO user_tools (user_id, tool_type_id, current_durability, is_equipped)
+      VALUES (?, ?, ?, ?)
+    `, [userId, recipe.tool_type_id, recipe.durability, equipped ? 0 : 1]);
+
+    return { tool: await getTool(userId, result.lastID), equipped: !equipped };
+  });
+}
+
+/**
+ * Restore a tool to full durability. Gold repairs need a merchant nearby, material repairs
+ * the station the tool is crafted at. Both cost in proportion to the missing durability.
+ * @param {number} userId
+ * @param {number} toolId
+ * @param {'gold'|'materials'} method
+ * @returns {Promise<{tool: Object, gold: number, materials: Object[]}>} The repaired tool and what it cost
+ * @throws {ToolError} Nothing to repair, wrong place or not enough gold/items
+ */
+export async function repairTool(userId, toolId, method) {
+  if (!['gold', 'materials'].includes(method)) {
+    throw new ToolError('Ungültige Reparaturart');
+  }
+
+  return db.transaction(async () => {
+    const tool = await getTool(userId, toolId);
+    const costs = await getToolCosts(userId, tool);
+    if (costs.missing === 0) {
+      throw new ToolError(`${tool.display_name} ist nicht beschädigt`);
+    }
+
+    let gold = 0;
+    let materials = [];
+    if (method === 'gold') {
+      if (!await findNearbyMerchant(userId)) {
+        throw new ToolError('Für eine Reparatur gegen Gold musst du bei einem Händler sein!');
+      }
+      gold = costs.gold;
+      await removeGold(userId, gold);
+    } else {
+      if (!tool.recipe_id) {
+        throw new ToolError(`${tool.display_name} kann nur gegen Gold repariert werden`);
+      }
+      const [recipe] = await loadRecipes(tool.recipe_id);
+      const stationError = recipe ? await getStationError(userId, recipe) : null;
+      if (stationError) {
+        throw new ToolError(stationError);
+      }
+      const missing = describeMissing(costs.materials);
+      if (missing.length > 0) {
+        throw new ToolError(`Nicht genug ${missing.join(', ')}`);
+      }
+      materials = costs.materials;
+      await removeItems(userId, materials);
+    }
+
+    await db.run('UPDATE user_tools SET current_durability = ? WHERE id = ?', [tool.max_durability, tool.id]);
+
+    return {
+      tool: await getTool(userId, tool.id),
+      gold,
+      materials: materials.map(({ item_id, display_name, quantity }) => ({ item_id, display_name, quantity }))
+    };
+  });
+}
+
+/**
+ * Take a broken tool apart at home and get back part of its recipe ingredients
+ * @param {number} userId
+ * @param {number} toolId
+ * @returns {Promise<{tool: Object, items: Object[]}>} The removed tool and the returned items
+ * @throws {ToolError} Tool not broken, still in use or user not at home
+ */
+export async function salvageTool(userId, toolId) {
+  return db.transaction(async () => {
+    const tool = await getTool(userId, toolId);
+    if (tool.current_durability > 0) {
+      throw new ToolError('Nur kaputte Werkzeuge können zerlegt werden');
+    }
+
+    if (!await isUserAtHome(userId)) {
+      throw new ToolError('Du musst zu Hause sein! Reise zuerst zu deinem Grundstück.');
+    }
+
+    const inUse = await db.get(
+      'SELECT id FROM gathering_jobs WHERE tool_id = ? AND is_completed = 0 AND is_cancelled = 0',
+      [tool.id]
+    );
+    if (inUse) {
+      throw new ToolError('Dieses Werkzeug wird gerade benutzt');
+    }
+
+    const costs = await getToolCosts(userId, tool);
+    const items = (costs.salvage || []).map(({ item_id, display_name, quantity }) => ({ item_id, display_name, quantity }));
+
+    await db.run('DELETE FROM user_tools WHERE id = ?', [tool.id]);
+    await addItems(userId, items);
+
+    return { tool, items };
+  });
+}
+
+/**
+ * Equip a tool, replacing the equipped tool of the same category. Gathering uses the
+ * equipped tool unless another one is chosen.
+ * @param {number} userId
+ * @param {number} toolId
+ * @returns {Promise<Object>} The equipped tool
+ * @throws {ToolError} Unknown or broken tool
+ */
+export async function equipTool(userId, toolId) {
+  return db.transaction(async () => {
+    const tool = await getTool(userId, toolId);
+    if (tool.current_durability <= 0) {
+      throw new ToolError('Dieses Werkzeug ist kaputt!');
+    }
+
+    await db.run(`
+      UPDATE user_tools SET is_equipped = 0
+      WHERE user_id = ? AND tool_type_id IN (SELECT id FROM tool_types WHERE category = ?)
+    `, [userId, tool.category]);
+    await db.run('UPDATE user_tools SET is_equipped = 1 WHERE id = ?', [tool.id]);
+
+    return getTool(userId, tool.id);
+  });
+}
+
+/**
+ * Put an equipped tool away
+ * @param {number} userId
+ * @param {number} toolId
+ * @returns {Promise<Object>} The tool
+ * @throws {ToolError} Unknown tool
+ */
+export async function unequipTool(userId, toolId) {
+  const tool = await getTool(userId, toolId);
+  await db.run('UPDATE user_tools SET is_equipped = 0 WHERE id = ?', [tool.id]);
+  return { ...tool, is_equipped: 0 };
+}
+
+export default {
+  TOOL_CATEGORIES,
+  ToolError,
+  getToolRecipes,
+  getUserTools,
+  craftTool,
+  repairTool,
+  salvageTool,
+  equipTool,
+  unequipTool
+};
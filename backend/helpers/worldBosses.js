@@ -0,0 +1,506 @@
+import db from '../database.js';
+import { sendSystemMessage } from '../routes/messages.js';
+import { getBuffMultipliers } from '../routes/buffs.js';
+import { createWanderingMonster, getMonsterExp, rollMonsterLoot, grantExperience } from '../routes/combat.js';
+import { addItems } from './inventory.js';
+import { publishToArea } from './realtime.js';
+import { splitReward } from './groupQuests.js';
+import { trackKill, trackItemObtained, updateStatistic } from './statistics.js';
+import { sendDiscordEventNotification } from '../utils/discord.js';
+
+// An attack on a world boss lasts at most this many rounds, then the player falls back
+export const WORLD_BOSS_ATTACK_ROUNDS = 5;
+
+// Time between two attacks of the same player on a world boss
+export const WORLD_BOSS_ATTACK_COOLDOWN_SECONDS = 60;
+
+const WEEKDAY_LABELS = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+
+const DEFAULT_TEMPLATES = {
+  world_boss_spawned: '🐉 **Weltboss erschienen!**\n\n**{{boss}}** (Lv.{{level}}) wütet bei ({{x}}, {{y}})!\n⏱️ Verschwindet um {{ends_at}}',
+  world_boss_killed: '🏆 **Weltboss besiegt!**\n\n**{{boss}}** (Lv.{{level}}) wurde von {{participants}} Spielern bezwungen.\n⚔️ Letzter Schlag: {{killer}}\n\n{{top}}'
+};
+
+/**
+ * Thrown when a world boss cannot be attacked or a schedule is invalid
+ */
+export class WorldBossError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorldBossError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a spawn window from the admin form
+ * @param {Object} body
+ * @returns {{schedule?: Object, error?: string}}
+ */
+export function parseSchedule(body) {
+  const toInt = (value) => (value === '' || value === null || value === undefined ? null : parseInt(value));
+
+  const schedule = {
+    monster_type_id: toInt(body.monster_type_id),
+    level: Math.max(1, toInt(body.level) || 1),
+    world_x: toInt(body.world_x),
+    world_y: toInt(body.world_y),
+    health_multiplier: parseFloat(body.health_multiplier) || 20,
+    weekdays: '',
+    start_time: String(body.start_time || '').trim(),
+    duration_minutes: toInt(body.duration_minutes) || 60,
+    is_active: body.is_active === false || body.is_active === 0 ? 0 : 1
+  };
+
+  if (!schedule.monster_type_id) {
+    return { error: 'Monstertyp erforderlich' };
+  }
+  if (schedule.world_x === null || schedule.world_y === null || isNaN(schedule.world_x) || isNaN(schedule.world_y)) {
+    return { error: 'Position erforderlich' };
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.start_time)) {
+    return { error: 'Startzeit im Format HH:MM angeben' };
+  }
+  if (schedule.duration_minutes < 5 || schedule.duration_minutes > 24 * 60) {
+    return { error: 'Dauer muss zwischen 5 Minuten und 24 Stunden liegen' };
+  }
+  if (schedule.health_multiplier < 1) {
+    return { error: 'HP-Multiplikator muss mindestens 1 sein' };
+  }
+
+  const days = Array.isArray(body.weekdays) ? body.weekdays : String(body.weekdays || '').split(',');
+  const weekdays = [...new Set(days.map(day => parseInt(day)).filter(day => day >= 0 && day <= 6))].sort();
+  schedule.weekdays = weekdays.join(',');
+
+  return { schedule };
+}
+
+// Start of the window on the given day (server time) or null if the schedule does not run that day
+function getWindowStartOn(schedule, day) {
+  const weekdays = schedule.weekdays ? schedule.weekdays.split(',').map(Number) : [];
+  if (weekdays.length > 0 && !weekdays.includes(day.getDay())) return null;
+
+  const [hours, minutes] = schedule.start_time.split(':').map(Number);
+  const start = new Date(day);
+  start.setHours(hours, minutes, 0, 0);
+  return start;
+}
+
+/**
+ * The spawn window that is open right now (windows may reach into the next day)
+ * @param {Object} schedule - world_boss_schedules row
+ * @param {Date} [now]
+ * @returns {{start: Date, end: Date}|null}
+ */
+export function getCurrentWindow(schedule, now = new Date()) {
+  for (const offset of [0, -1]) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    const start = getWindowStartOn(schedule, day);
+    if (!start) continue;
+
+    const end = new Date(start.getTime() + schedule.duration_minutes * 60000);
+    if (start <= now && now < end) {
+      return { start, end };
+    }
+  }
+  return null;
+}
+
+/**
+ * Next window start after now
+ * @param {Object} schedule - world_boss_schedules row
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+export function getNextWindowStart(schedule, now = new Date()) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    const start = getWindowStartOn(schedule, day);
+    if (start && start > now) return start;
+  }
+  return null;
+}
+
+/**
+ * Readable weekdays of a schedule ("täglich" or "Mo, Mi, Fr")
+ * @param {string} weekdays
+ * @returns {string}
+ */
+export function formatWeekdays(weekdays) {
+  if (!weekdays) return 'täglich';
+  return weekdays.split(',').map(day => WEEKDAY_LABELS[day]).join(', ');
+}
+
+/**
+ * Put the boss of a schedule on the map
+ * @param {Object} schedule - world_boss_schedules row
+ * @param {Date} windowStart
+ * @param {Date} endsAt
+ * @returns {Promise<number|null>} Spawn id (null if the window already had its boss or it is still on the map)
+ */
+export async function spawnWorldBoss(schedule, windowStart, endsAt) {
+  const monster = await createWanderingMonster(schedule.monster_type_id, schedule.level);
+  if (!monster) return null;
+
+  const maxHealth = Math.floor(monster.maxHealth * schedule.health_multiplier);
+
+  const spawnId = await db.transaction(async () => {
+    const existing = await db.get(
+      "SELECT id FROM world_boss_spawns WHERE schedule_id = ? AND (window_start = ? OR status = 'active')",
+      [schedule.id, windowStart.toISOString()]
+    );
+    if (existing) return null;
+
+    const npc = await db.run(`
+      INSERT INTO world_npcs (monster_type_id, world_x, world_y, level, current_health, is_active, respawn_minutes)
+      VALUES (?, ?, ?, ?, ?, 1, 0)
+    `, [schedule.monster_type_id, schedule.world_x, schedule.world_y, schedule.level, maxHealth]);
+
+    const spawn = await db.run(`
+      INSERT INTO world_boss_spawns (schedule_id, monster_type_id, world_npc_id, level, max_health, reward_multiplier,
+        window_start, spawned_at, ends_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [schedule.id, schedule.monster_type_id, npc.lastID, schedule.level, maxHealth, schedule.health_multiplier,
+      windowStart.toISOString(), new Date().toISOString(), endsAt.toISOString()]);
+
+    return spawn.lastID;
+  });
+  if (!spawnId) return null;
+
+  const spawn = await db.get('SELECT world_npc_id FROM world_boss_spawns WHERE id = ?', [spawnId]);
+  publishToArea([{ x: schedule.world_x, y: schedule.world_y }], 'monster_respawned', {
+    npc_id: spawn.world_npc_id,
+    current_health: maxHealth
+  });
+
+  console.log(`[Weltbosse] ${monster.display_name} (Lv.${schedule.level}) erschienen bei (${schedule.world_x}, ${schedule.world_y})`);
+  await sendDiscordEventNotification('world_boss_spawned', {
+    boss: monster.display_name,
+    level: schedule.level,
+    x: schedule.world_x,
+    y: schedule.world_y,
+    ends_at: endsAt.toLocaleString('de-DE')
+  }, DEFAULT_TEMPLATES.world_boss_spawned);
+
+  return spawnId;
+}
+
+// Take the boss off the map
+async function removeBossNpc(spawn) {
+  const npc = await db.get('SELECT world_x, world_y FROM world_npcs WHERE id = ?', [spawn.world_npc_id]);
+  await db.run('DELETE FROM world_npcs WHERE id = ?', [spawn.world_npc_id]);
+  if (npc) {
+    publishToArea([{ x: npc.world_x, y: npc.world_y }], 'monster_killed', { npc_id: spawn.world_npc_id });
+  }
+}
+
+/**
+ * Damage of every player on a spawn, highest first
+ * @param {number} spawnId
+ * @returns {Promise<Object[]>} [{ user_id, username, damage, attacks, share }] with share in %
+ */
+export async function getSpawnContributions(spawnId) {
+  const rows = await db.all(`
+    SELECT wbd.user_id, u.username, wbd.damage, wbd.attacks, wbd.last_attack_at
+    FROM world_boss_damage wbd
+    JOIN users u ON wbd.user_id = u.id
+    WHERE wbd.spawn_id = ? AND wbd.damage > 0
+    ORDER BY wbd.damage DESC, wbd.last_attack_at
+  `, [spawnId]);
+
+  const total = rows.reduce((sum, row) => sum + row.damage, 0);
+  return rows.map(row => ({ ...row, share: total > 0 ? Math.round(row.damage / total * 1000) / 10 : 0 }));
+}
+
+/**
+ * Active world boss spawn of a map monster
+ * @param {number} worldNpcId
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveWorldBoss(worldNpcId) {
+  return db.get(
+    "SELECT * FROM world_boss_spawns WHERE world_npc_id = ? AND status = 'active'",
+    [worldNpcId]
+  );
+}
+
+// Make sure the player may attack the boss again
+async function checkAttackCooldown(spawn, userId) {
+  const own = await db.get(
+    'SELECT last_attack_at FROM world_boss_damage WHERE spawn_id = ? AND user_id = ?',
+    [spawn.id, userId]
+  );
+  if (!own?.last_attack_at) return;
+
+  const readyAt = new Date(own.last_attack_at).getTime() + WORLD_BOSS_ATTACK_COOLDOWN_SECONDS * 1000;
+  if (readyAt > Date.now()) {
+    const seconds = Math.ceil((readyAt - Date.now()) / 1000);
+    throw new WorldBossError(`Du musst noch ${seconds} Sekunden Kraft sammeln, bevor du erneut angreifst`);
+  }
+}
+
+/**
+ * Book the damage of one attack. The boss loses at most its remaining health.
+ * The attack cooldown is checked in the same transaction, so parallel attacks count only once.
+ * @param {Object} spawn
+ * @param {number} userId
+ * @param {number} damage
+ * @returns {Promise<{damage: number, bossHealth: number, killed: boolean}>}
+ *   killed is true only for the attack that finished the boss
+ * @throws {WorldBossError} If the boss is gone or the player is still on cooldown
+ */
+export async function applyWorldBossDamage(spawn, userId, damage) {
+  return db.transaction(async () => {
+    await checkAttackCooldown(spawn, userId);
+
+    const npc = await db.get('SELECT current_health FROM world_npcs WHERE id = ?', [spawn.world_npc_id]);
+    const current = await db.get("SELECT status FROM world_boss_spawns WHERE id = ?", [spawn.id]);
+    if (!npc || current?.status !== 'active') {
+      throw new WorldBossError('Der Weltboss ist nicht mehr da', 404);
+    }
+
+    const dealt = Math.min(damage, npc.current_health);
+    const bossHealth = npc.current_health - dealt;
+    const now = new Date().toISOString();
+
+    await db.run('UPDATE world_npcs SET current_health = ? WHERE id = ?', [bossHealth, spawn.world_npc_id]);
+    await db.run(`
+      INSERT INTO world_boss_damage (spawn_id, user_id, damage, attacks, last_attack_at) VALUES (?, ?, ?, 1, ?)
+      ON CONFLICT(spawn_id, user_id) DO UPDATE SET
+        damage = damage + excluded.damage, attacks = attacks + 1, last_attack_at = excluded.last_attack_at
+    `, [spawn.id, userId, dealt, now]);
+
+    let killed = false;
+    if (bossHealth <= 0) {
+      const result = await db.run(`
+        UPDATE world_boss_spawns SET status = 'killed', killed_at = ?, killed_by = ? WHERE id = ? AND status = 'active'
+      `, [now, userId, spawn.id]);
+      killed = result.changes > 0;
+    }
+
+    return { damage: dealt, bossHealth, killed };
+  });
+}
+
+// Pick a contributor with a chance proportional to the damage dealt
+function pickByDamage(contributions) {
+  const total = contributions.reduce((sum, entry) => sum + entry.damage, 0);
+  let roll = Math.random() * total;
+  for (const entry of contributions) {
+    roll -= entry.damage;
+    if (roll < 0) return entry;
+  }
+  return contributions[contributions.length - 1];
+}
+
+/**
+ * Hand out the rewards of a killed world boss by damage share:
+ * experience (base experience × reward multiplier) and gold are split proportionally,
+ * the loot table is rolled once per contributor and every item goes to a contributor
+ * drawn with a chance proportional to the damage dealt.
+ * @param {Object} spawn - world_boss_spawns row
+ * @param {Object} monster - Boss from getMonster (display_name, monster_type_id, monsterLevel, is_boss)
+ * @param {number} killerId - Player who dealt the final blow
+ * @returns {Promise<Object<number, Object>>} Rewards per user id ({ rank, share, goldGained, expGained, lootItems, levelUp })
+ */
+export async function finishWorldBoss(spawn, monster, killerId) {
+  const contributions = await getSpawnContributions(spawn.id);
+  const rewards = {};
+  if (contributions.length === 0) {
+    await removeBossNpc(spawn);
+    return rewards;
+  }
+
+  const damages = contributions.map(entry => entry.damage);
+  const expShares = splitReward(Math.floor(getMonsterExp(monster) * spawn.reward_multiplier), damages);
+
+  let goldPool = 0;
+  const lootItems = [];
+  for (let i = 0; i < contributions.length; i++) {
+    const loot = await rollMonsterLoot(monster);
+    goldPool += loot.goldGained;
+    lootItems.push(...loot.lootItems);
+  }
+  const goldShares = splitReward(goldPool, damages);
+
+  for (const [index, entry] of contributions.entries()) {
+    rewards[entry.user_id] = {
+      rank: index + 1,
+      share: entry.share,
+      damage: entry.damage,
+      goldGained: 0,
+      expGained: 0,
+      lootItems: [],
+      levelUp: null
+    };
+  }
+
+  for (const item of lootItems) {
+    rewards[pickByDamage(contributions).user_id].lootItems.push(item);
+  }
+
+  for (const [index, entry] of contributions.entries()) {
+    const reward = rewards[entry.user_id];
+    const buffs = await getBuffMultipliers(entry.user_id);
+    reward.goldGained = Math.floor(goldShares[index] * buffs.gold);
+    reward.expGained = Math.floor(expShares[index] * buffs.exp);
+
+    if (reward.goldGained > 0) {
+      await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [reward.goldGained, entry.user_id]);
+      await updateStatistic(entry.user_id, 'gold_earned', reward.goldGained);
+    }
+    for (const item of reward.lootItems) {
+      await addItems(entry.user_id, [{ item_id: item.item_id, quantity: item.quantity }]);
+      if (item.rarity && ['legendary', 'epic', 'rare'].includes(item.rarity)) {
+        await trackItemObtained(entry.user_id, item.rarity);
+      }
+    }
+    reward.levelUp = await grantExperience(entry.user_id, reward.expGained);
+    await trackKill(entry.user_id, monster.monster_type_id, true);
+
+    const lootText = reward.lootItems.length > 0
+      ? `\n\nBeute:\n${reward.lootItems.map(item => `• ${item.quantity}x ${item.name}`).join('\n')}`
+      : '';
+    const levelUpText = reward.levelUp ? `\n\n🎉 **LEVEL UP!** Du bist jetzt Level ${reward.levelUp.newLevel}!` : '';
+    await sendSystemMessage(
+      entry.user_id,
+      `🐉 Weltboss ${monster.display_name} besiegt!`,
+      `**${monster.display_name}** (Lv.${spawn.level}) wurde von ${contributions.length} Spielern besiegt.\n\n` +
+        `Dein Schaden: ${entry.damage} (${entry.share}%, Platz ${index + 1})` +
+        `\n💰 Gold: +${reward.goldGained}\n✨ EP: +${reward.expGained}${lootText}${levelUpText}`,
+      'combat'
+    );
+  }
+
+  await removeBossNpc(spawn);
+
+  const killer = contributions.find(entry => entry.user_id === killerId);
+  await sendDiscordEventNotification('world_boss_killed', {
+    boss: monster.display_name,
+    level: spawn.level,
+    killer: killer?.username || 'Unbekannt',
+    participants: contributions.length,
+    top: contributions.slice(0, 3)
+      .map((entry, index) => `${['🥇', '🥈', '🥉'][index]} ${entry.username} – ${entry.damage} Schaden (${entry.share}%)`)
+      .join('\n')
+  }, DEFAULT_TEMPLATES.world_boss_killed);
+  console.log(`[Weltbosse] ${monster.display_name} von ${contributions.length} Spielern besiegt`);
+
+  return rewards;
+}
+
+/**
+ * Let bosses whose window ended escape and spawn the bosses of windows that just opened.
+ * Runs periodically from server.js.
+ */
+export async function processWorldBosses() {
+  try {
+    const now = new Date();
+
+    const escaped = await db.all(
+      "SELECT wbs.*, mt.display_name FROM world_boss_spawns wbs JOIN monster_types mt ON wbs.monster_type_id = mt.id WHERE wbs.status = 'active' AND wbs.ends_at <= ?",
+      [now.toISOString()]
+    );
+    for (const spawn of escaped) {
+      const result = await db.run(
+        "UPDATE world_boss_spawns SET status = 'escaped' WHERE id = ? AND status = 'active'",
+        [spawn.id]
+      );
+      if (result.changes === 0) continue;
+
+      await removeBossNpc(spawn);
+      for (const entry of await getSpawnContributions(spawn.id)) {
+        await sendSystemMessage(
+          entry.user_id,
+          `🐉 ${spawn.display_name} ist entkommen`,
+          `Der Weltboss **${spawn.display_name}** konnte nicht rechtzeitig besiegt werden. Dein Schaden: ${entry.damage} (${entry.share}%).`,
+          'combat'
+        );
+      }
+      console.log(`[Weltbosse] ${spawn.display_name} ist entkommen`);
+    }
+
+    const schedules = await db.all('SELECT * FROM world_boss_schedules WHERE is_active = 1');
+    for (const schedule of schedules) {
+      const window = getCurrentWindow(schedule, now);
+      if (window) {
+        await spawnWorldBoss(schedule, window.start, window.end);
+      }
+    }
+  } catch (error) {
+    console.error('[Weltbosse] Fehler bei der Weltboss-Prüfung:', error);
+  }
+}
+
+/**
+ * Bosses on the map with their damage ranking and the next spawn windows
+ * @param {number} userId
+ * @returns {Promise<{active: Object[], upcoming: Object[]}>}
+ */
+export async function getWorldBossOverview(userId) {
+  const active = await db.all(`
+    SELECT wbs.id, wbs.world_npc_id, wbs.level, wbs.max_health, wbs.spawned_at, wbs.ends_at,
+           wn.world_x, wn.world_y, wn.current_health, mt.display_name, mt.image_path
+    FROM world_boss_spawns wbs
+    JOIN world_npcs wn ON wbs.world_npc_id = wn.id
+    JOIN monster_types mt ON wbs.monster_type_id = mt.id
+    WHERE wbs.status = 'active'
+    ORDER BY wbs.ends_at
+  `);
+
+  for (const spawn of active) {
+    const contributions = await getSpawnContributions(spawn.id);
+    spawn.participants = contributions.length;
+    spawn.top = contributions.slice(0, 5);
+    const ownIndex = contributions.findIndex(entry => entry.user_id === userId);
+    spawn.own = ownIndex >= 0 ? { ...contributions[ownIndex], rank: ownIndex + 1 } : null;
+    if (spawn.own?.last_attack_at) {
+      const readyAt = new Date(spawn.own.last_attack_at).getTime() + WORLD_BOSS_ATTACK_COOLDOWN_SECONDS * 1000;
+      spawn.own.ready_at = new Date(readyAt).toISOString();
+    }
+  }
+
+  const schedules = await db.all(`
+    SELECT wbs.*, mt.display_name
+    FROM world_boss_schedules wbs
+    JOIN monster_types mt ON wbs.monster_type_id = mt.id
+    WHERE wbs.is_active = 1
+  `);
+  const activeScheduleIds = new Set(
+    (await db.all("SELECT schedule_id FROM world_boss_spawns WHERE status = 'active'")).map(row => row.schedule_id)
+  );
+
+  const upcoming = schedules
+    .filter(schedule => !activeScheduleIds.has(schedule.id))
+    .map(schedule => ({
+      schedule_id: schedule.id,
+      display_name: schedule.display_name,
+      level: schedule.level,
+      world_x: schedule.world_x,
+      world_y: schedule.world_y,
+      starts_at: getNextWindowStart(schedule)?.toISOString() || null
+    }))
+    .filter(entry => entry.starts_at)
+    .sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+
+  return { active, upcoming };
+}
+
+export default {
+  WORLD_BOSS_ATTACK_ROUNDS,
+  WORLD_BOSS_ATTACK_COOLDOWN_SECONDS,
+  WorldBossError,
+  parseSchedule,
+  getCurrentWindow,
+  getNextWindowStart,
+  formatWeekdays,
+  spawnWorldBoss,
+  getSpawnContributions,
+  getActiveWorldBoss,
+  applyWorldBossDamage,
+  finishWorldBoss,
+  processWorldBosses,
+  getWorldBossOverview
+};
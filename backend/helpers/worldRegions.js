@@ -0,0 +1,403 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db from '../database.js';
+import { parseWangTiles } from '../routes/tileset.js';
+import { publishToAll } from './realtime.js';
+import { TILE_SIZE, TERRAIN_TYPES, worldToTile, setRegions, findOverlappingRegion } from '../../shared/world/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const TILED_MAPS_DIR = path.join(__dirname, '../../world/Tiled');
+
+// The only tileset the map renderer knows
+const TILESET_SOURCE = 'punyworld-overworld-tiles.tsx';
+
+// Tiled stores flip/rotation flags in the upper bits of a gid
+const GID_MASK = 0x1fffffff;
+
+const SPAWN_TYPES = ['npc', 'monster', 'resource', 'home'];
+
+/**
+ * Thrown when a Tiled map cannot be imported (invalid file, overlap, unknown types).
+ */
+export class RegionImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegionImportError';
+  }
+}
+
+/**
+ * Load all imported regions into the shared world module, so terrain checks
+ * (travel, rendering data) see them. Called on start and after every change.
+ * @returns {Promise<number>} Number of regions
+ */
+export async function loadWorldRegions() {
+  const rows = await db.all('SELECT * FROM world_regions ORDER BY id');
+  setRegions(rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    tile_x: row.tile_x,
+    tile_y: row.tile_y,
+    width: row.width,
+    height: row.height,
+    layers: JSON.parse(row.layers),
+    terrain: JSON.parse(row.terrain)
+  })));
+  return rows.length;
+}
+
+/**
+ * List the .tmj files shipped in world/Tiled
+ * @returns {Promise<string[]>}
+ */
+export async function listTiledMaps() {
+  try {
+    const files = await fs.readdir(TILED_MAPS_DIR);
+    return files.filter(file => file.endsWith('.tmj')).sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+async function readTiledMap(file) {
+  if (!/^[\w.-]+\.tmj$/.test(file)) {
+    throw new RegionImportError('Ungültiger Dateiname');
+  }
+  try {
+    return JSON.parse(await fs.readFile(path.join(TILED_MAPS_DIR, file), 'utf-8'));
+  } catch (error) {
+    throw new RegionImportError(`Karte ${file} konnte nicht gelesen werden`);
+  }
+}
+
+// Group layers can nest tile and object layers
+function flattenLayers(layers, visibleOnly = true) {
+  const result = [];
+  for (const layer of layers || []) {
+    if (visibleOnly && layer.visible === false) continue;
+    if (layer.type === 'group') {
+      result.push(...flattenLayers(layer.layers, visibleOnly));
+    } else {
+      result.push(layer);
+    }
+  }
+  return result;
+}
+
+// Tiled 1.9+ calls the object type "class"
+function getObjectType(object) {
+  return (object.class || object.type || '').toLowerCase();
+}
+
+function getObjectProperty(object, name) {
+  return (object.properties || []).find(p => p.name === name)?.value;
+}
+
+/**
+ * Read the tile layers of a map as tileset tile ids (-1 = empty)
+ * @param {Object} map - Parsed .tmj
+ * @returns {number[][]}
+ */
+function readTileLayers(map) {
+  const tilesets = map.tilesets || [];
+  if (tilesets.length !== 1 || !(tilesets[0].source || '').endsWith(TILESET_SOURCE)) {
+    throw new RegionImportError(`Die Karte muss genau das Tileset ${TILESET_SOURCE} verwenden`);
+  }
+  const firstGid = tilesets[0].firstgid;
+  const tileCount = map.width * map.height;
+
+  const layers = flattenLayers(map.layers).filter(layer => layer.type === 'tilelayer');
+  if (layers.length === 0) {
+    throw new RegionImportError('Die Karte enthält keine Kachel-Ebene');
+  }
+
+  return layers.map(layer => {
+    if (!Array.isArray(layer.data) || layer.data.length !== tileCount) {
+      throw new RegionImportError(`Ebene "${layer.name}" muss als CSV/JSON-Array gespeichert sein`);
+    }
+    return layer.data.map(gid => {
+      const id = (gid & GID_MASK) - firstGid;
+      return gid === 0 || id < 0 ? -1 : id;
+    });
+  });
+}
+
+/**
+ * Terrain per tile: the topmost layer with a known terrain wins.
+ * Tile terrains come from the admin mappings, then the Wang tiles of the tileset.
+ */
+async function classifyTerrain(layers, tileCount) {
+  const mappings = await parseWangTiles();
+  const rows = await db.all('SELECT tile_id, terrain FROM tileset_mappings');
+  for (const row of rows) {
+    mappings[row.tile_id] = row.terrain;
+  }
+
+  const terrain = [];
+  for (let i = 0; i < tileCount; i++) {
+    let tileTerrain = 'grass';
+    for (let l = layers.length - 1; l >= 0; l--) {
+      const mapped = mappings[layers[l][i]];
+      if (TERRAIN_TYPES.includes(mapped)) {
+        tileTerrain = mapped;
+        break;
+      }
+    }
+    terrain.push(tileTerrain);
+  }
+  return terrain;
+}
+
+/**
+ * Read the spawn points from the object layers
+ * @returns {{spawns: Object[], warnings: string[]}}
+ */
+function readSpawnPoints(map, tileX, tileY) {
+  const spawns = [];
+  const warnings = [];
+  const scale = TILE_SIZE / map.tilewidth;
+
+  for (const layer of flattenLayers(map.layers).filter(l => l.type === 'objectgroup')) {
+    for (const object of layer.objects || []) {
+      const type = getObjectType(object);
+      if (!SPAWN_TYPES.includes(type)) {
+        warnings.push(`Objekt "${object.name || object.id}" ignoriert (unbekannter Typ "${type}")`);
+        continue;
+      }
+
+      // Points sit on x/y, rectangles are centered, tile objects are anchored bottom left
+      let x = object.x;
+      let y = object.y;
+      if (!object.point) {
+        x += (object.width || 0) / 2;
+        y += object.gid ? -(object.height || 0) / 2 : (object.height || 0) / 2;
+      }
+
+      spawns.push({
+        type,
+        name: object.name || null,
+        object,
+        world_x: Math.round(tileX * TILE_SIZE + x * scale),
+        world_y: Math.round(tileY * TILE_SIZE + y * scale)
+      });
+    }
+  }
+  return { spawns, warnings };
+}
+
+// Create the world entity for a spawn point. Returns the columns to store, or null if skipped.
+async function createSpawnEntity(spawn, warnings) {
+  const { object } = spawn;
+  const label = spawn.name || `#${object.id}`;
+
+  if (spawn.type === 'npc') {
+    const typeName = getObjectProperty(object, 'npc_type') || spawn.name;
+    const npcType = await db.get('SELECT id FROM npc_types WHERE name = ?', [typeName]);
+    if (!npcType) {
+      warnings.push(`NPC ${label}: Händlertyp "${typeName}" nicht gefunden`);
+      return null;
+    }
+    const result = await db.run(
+      'INSERT INTO world_npcs (npc_type_id, world_x, world_y, is_active) VALUES (?, ?, ?, 1)',
+      [npcType.id, spawn.world_x, spawn.world_y]
+    );
+    return { world_npc_id: result.lastID };
+  }
+
+  if (spawn.type === 'monster') {
+    const typeName = getObjectProperty(object, 'monster_type') || spawn.name;
+    const monster = await db.get('SELECT * FROM monster_types WHERE name = ?', [typeName]);
+    if (!monster) {
+      warnings.push(`Monster ${label}: Monstertyp "${typeName}" nicht gefunden`);
+      return null;
+    }
+    const level = parseInt(getObjectProperty(object, 'level')) || monster.min_level;
+    const respawnMinutes = parseInt(getObjectProperty(object, 'respawn_minutes')) || monster.respawn_cooldown || 10;
+    const health = monster.base_health + (level - 1) * monster.health_per_level;
+    const result = await db.run(`
+      INSERT INTO world_npcs (monster_type_id, world_x, world_y, level, current_health, respawn_minutes, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, 1)
+    `, [monster.id, spawn.world_x, spawn.world_y, level, health, respawnMinutes]);
+    return { world_npc_id: result.lastID };
+  }
+
+  if (spawn.type === 'resource') {
+    const typeName = getObjectProperty(object, 'resource_type') || spawn.name;
+    const nodeType = await db.get('SELECT id FROM resource_node_types WHERE name = ?', [typeName]);
+    if (!nodeType) {
+      warnings.push(`Ressource ${label}: Typ "${typeName}" nicht gefunden`);
+      return null;
+    }
+    const amount = parseInt(getObjectProperty(object, 'amount')) || 3;
+    const result = await db.run(`
+      INSERT INTO world_resource_nodes (node_type_id, world_x, world_y, current_amount, max_amount)
+      VALUES (?, ?, ?, ?, ?)
+    `, [nodeType.id, spawn.world_x, spawn.world_y, amount, amount]);
+    return { resource_node_id: result.lastID };
+  }
+
+  // Homes are handed out to newly registered players
+  return {};
+}
+
+/**
+ * Remove a region together with the NPCs and resource nodes it spawned.
+ * Players keep homes that were placed on its home spawns.
+ * @param {number} regionId
+ * @returns {Promise<boolean>} False if the region does not exist
+ */
+async function deleteRegion(regionId) {
+  await db.run(`
+    DELETE FROM world_npcs WHERE id IN (
+      SELECT world_npc_id FROM world_region_spawns WHERE region_id = ? AND world_npc_id IS NOT NULL
+    )
+  `, [regionId]);
+  await db.run(`
+    DELETE FROM world_resource_nodes WHERE id IN (
+      SELECT resource_node_id FROM world_region_spawns WHERE region_id = ? AND resource_node_id IS NOT NULL
+    )
+  `, [regionId]);
+  await db.run('DELETE FROM world_region_spawns WHERE region_id = ?', [regionId]);
+  const result = await db.run('DELETE FROM world_regions WHERE id = ?', [regionId]);
+  return result.changes > 0;
+}
+
+/**
+ * Import a Tiled map (.tmj) as a fixed world region. A region with the same
+ * name is replaced.
+ * @param {Object} options
+ * @param {string} [options.file] - File name in world/Tiled
+ * @param {Object} [options.map] - Already parsed .tmj (e.g. uploaded)
+ * @param {string} [options.name] - Region name (default: file name)
+ * @param {number} options.worldX - World position of the top left corner
+ * @param {number} options.worldY
+ * @param {number} [options.userId] - Importing admin
+ * @returns {Promise<{region: Object, spawns: Object, warnings: string[]}>}
+ * @throws {RegionImportError}
+ */
+export async function importTiledMap({ file, map, name, worldX, worldY, userId = null }) {
+  if (!map) {
+    if (!file) {
+      throw new RegionImportError('Datei oder Kartendaten erforderlich');
+    }
+    map = await readTiledMap(file);
+  }
+  const regionName = (name || file || '').replace(/\.tmj$/, '').trim();
+  if (!regionName) {
+    throw new RegionImportError('Name erforderlich');
+  }
+
+  if (map.infinite) {
+    throw new RegionImportError('Unendliche Karten werden nicht unterstützt');
+  }
+  if (map.orientation && map.orientation !== 'orthogonal') {
+    throw new RegionImportError('Nur orthogonale Karten werden unterstützt');
+  }
+  if (map.tilewidth !== TILE_SIZE || map.tileheight !== TILE_SIZE) {
+    throw new RegionImportError(`Kachelgröße muss ${TILE_SIZE}x${TILE_SIZE} sein`);
+  }
+  if (!(map.width > 0) || !(map.height > 0)) {
+    throw new RegionImportError('Ungültige Kartengröße');
+  }
+
+  const tileX = worldToTile(worldX);
+  const tileY = worldToTile(worldY);
+  const tileCount = map.width * map.height;
+  const layers = readTileLayers(map);
+  const terrain = await classifyTerrain(layers, tileCount);
+  const { spawns, warnings } = readSpawnPoints(map, tileX, tileY);
+
+  const result = await db.transaction(async () => {
+    const existing = await db.get('SELECT id FROM world_regions WHERE name = ?', [regionName]);
+    const overlap = findOverlappingRegion(tileX, tileY, map.width, map.height, existing?.id);
+    if (overlap) {
+      throw new RegionImportError(`Überschneidet sich mit der Region "${overlap.name}"`);
+    }
+    if (existing) {
+      await deleteRegion(existing.id);
+    }
+
+    const insert = await db.run(`
+      INSERT INTO world_regions (name, source_file, tile_x, tile_y, width, height, layers, terrain, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [regionName, file || null, tileX, tileY, map.width, map.height, JSON.stringify(layers), JSON.stringify(terrain), userId]);
+
+    const counts = { npc: 0, monster: 0, resource: 0, home: 0 };
+    for (const spawn of spawns) {
+      const entity = await createSpawnEntity(spawn, warnings);
+      if (!entity) continue;
+      await db.run(`
+        INSERT INTO world_region_spawns (region_id, spawn_type, name, world_x, world_y, world_npc_id, resource_node_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [insert.lastID, spawn.type, spawn.name, spawn.world_x, spawn.world_y, entity.world_npc_id || null, entity.resource_node_id || null]);
+      counts[spawn.type]++;
+    }
+
+    return { id: insert.lastID, replaced: !!existing, counts };
+  });
+
+  await loadWorldRegions();
+  publishToAll('world_regions_changed', { region_id: result.id });
+
+  return {
+    region: {
+      id: result.id,
+      name: regionName,
+      tile_x: tileX,
+      tile_y: tileY,
+      world_x: tileX * TILE_SIZE,
+      world_y: tileY * TILE_SIZE,
+      width: map.width,
+      height: map.height,
+      replaced: result.replaced
+    },
+    spawns: result.counts,
+    warnings
+  };
+}
+
+/**
+ * Remove an imported region
+ * @param {number} regionId
+ * @returns {Promise<boolean>} False if the region does not exist
+ */
+export async function removeWorldRegion(regionId) {
+  const removed = await db.transaction(() => deleteRegion(regionId));
+  if (removed) {
+    await loadWorldRegions();
+    publishToAll('world_regions_changed', { region_id: regionId });
+  }
+  return removed;
+}
+
+/**
+ * Take a free home spawn point of an imported region for a new player
+ * @param {number} userId
+ * @returns {Promise<{world_x: number, world_y: number}|null>}
+ */
+export async function claimHomeSpawn(userId) {
+  return db.transaction(async () => {
+    const spawn = await db.get(`
+      SELECT id, world_x, world_y FROM world_region_spawns
+      WHERE spawn_type = 'home' AND user_id IS NULL
+      ORDER BY id
+      LIMIT 1
+    `);
+    if (!spawn) return null;
+
+    await db.run('UPDATE world_region_spawns SET user_id = ? WHERE id = ?', [userId, spawn.id]);
+    return { world_x: spawn.world_x, world_y: spawn.world_y };
+  });
+}
+
+export default {
+  TILED_MAPS_DIR,
+  RegionImportError,
+  loadWorldRegions,
+  listTiledMaps,
+  importTiledMap,
+  removeWorldRegion,
+  claimHomeSpawn
+};
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import db from './database.js';
+import { MIGRATIONS_DIR, getMigrationStatus, migrate, rollback, loadMigrations } from './helpers/migrations.js';
+import { SEEDS, runSeeds } from './seeds/index.js';
+
+// Datenbank-Migrationen verwalten
+// Verwendung:
+//   node migrate.js status            - Alle Migrationen mit Status anzeigen
+//   node migrate.js up                - Ausstehende Migrationen anwenden
+//   node migrate.js down [anzahl]     - Letzte Migration(en) zurückrollen
+//   node migrate.js seed [name ...]   - Seed-Daten einspielen (alle oder nur die genannten)
+//   node migrate.js create <name>     - Neue, leere Migrationsdatei anlegen
+
+const MIGRATION_TEMPLATE = `// Describe what this migration changes
+export async function up(db) {
+}
+
+export async function down(db) {
+}
+`;
+
+async function showStatus() {
+  const rows = await getMigrationStatus(db);
+  if (rows.length === 0) {
+    console.log('Keine Migrationen gefunden');
+    return;
+  }
+
+  for (const row of rows) {
+    const state = {
+      applied: `angewendet ${row.applied_at}`,
+      pending: 'ausstehend',
+      missing: `angewendet ${row.applied_at}, Datei fehlt!`
+    }[row.status];
+    console.log(`${row.version}_${row.name}  ${state}`);
+  }
+
+  const pending = rows.filter(r => r.status === 'pending').length;
+  console.log(`\n${rows.length - pending} angewendet, ${pending} ausstehend`);
+}
+
+async function createMigration(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Name erforderlich (nur a-z, 0-9 und _), z.B. add_auction_house');
+  }
+
+  const migrations = await loadMigrations();
+  const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+  const file = `${String(last + 1).padStart(3, '0')}_${name}.js`;
+
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, file), MIGRATION_TEMPLATE);
+  console.log(`Migration erstellt: migrations/${file}`);
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'status':
+      await showStatus();
+      break;
+    case 'up': {
+      const applied = await migrate(db);
+      console.log(applied.length > 0 ? `${applied.length} Migration(en) angewendet` : 'Datenbank ist aktuell');
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(args[0] || '1');
+      if (isNaN(steps) || steps < 1) {
+        throw new Error('Anzahl muss eine positive Zahl sein');
+      }
+      const reverted = await rollback(db, steps);
+      console.log(reverted.length > 0 ? `${reverted.length} Migration(en) zurückgerollt` : 'Keine Migration zum Zurückrollen');
+      break;
+    }
+    case 'seed': {
+      const seeds = await runSeeds(db, args.length > 0 ? args : null);
+      console.log(`Seeds eingespielt: ${seeds.join(', ')}`);
+      break;
+    }
+    case 'create':
+      await createMigration(args[0]);
+      break;
+    default:
+      console.log('Unbekannter Befehl. Verfügbar: status, up, down [anzahl], seed [name ...], create <name>');
+      console.log(`Seeds: ${SEEDS.map(s => s.name).join(', ')}`);
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Fehler:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
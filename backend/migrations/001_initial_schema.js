@@ -0,0 +1,1156 @@
+import { addColumn } from '../helpers/migrations.js';
+
+// Baseline: the schema as it was built by initDatabase() before versioned migrations.
+// Databases from that time already have most of it, so tables are created with
+// IF NOT EXISTS and columns are only added when missing.
+// There is no down(): reverting the baseline would drop every table.
+export async function up(db) {
+  // Users table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT DEFAULT 'user' CHECK(role IN ('admin', 'mod', 'vip', 'user')),
+      avatar_path TEXT,
+      world_x INTEGER DEFAULT 0,
+      world_y INTEGER DEFAULT 0,
+      is_activated INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login DATETIME,
+      last_ip TEXT,
+      registration_ip TEXT
+    )
+  `);
+
+  // Add is_activated column to existing users
+  if (await addColumn(db, 'users', 'is_activated', 'INTEGER DEFAULT 1')) {
+    // Set all existing users as activated
+    await db.run(`UPDATE users SET is_activated = 1 WHERE is_activated IS NULL`);
+  }
+
+  // Add IP columns to existing users table
+  await addColumn(db, 'users', 'last_ip', 'TEXT');
+  await addColumn(db, 'users', 'registration_ip', 'TEXT');
+
+  // Activation tokens table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS activation_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add coordinates to existing users if they don't have them
+  await addColumn(db, 'users', 'world_x', 'INTEGER DEFAULT 0');
+  await addColumn(db, 'users', 'world_y', 'INTEGER DEFAULT 0');
+
+  // Items table (erweiterbares System)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('resource', 'tool', 'material', 'upgrade', 'consumable', 'other')),
+      description TEXT,
+      rarity TEXT DEFAULT 'common' CHECK(rarity IN ('common', 'uncommon', 'rare', 'epic', 'legendary')),
+      image_path TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // User inventory
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_inventory (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      UNIQUE(user_id, item_id)
+    )
+  `);
+
+  // Crafting recipes
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS crafting_recipes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      result_item_id INTEGER NOT NULL,
+      result_quantity INTEGER DEFAULT 1,
+      required_workbench_level INTEGER DEFAULT 0,
+      required_building_id INTEGER,
+      required_building_level INTEGER DEFAULT 1,
+      FOREIGN KEY (result_item_id) REFERENCES items(id) ON DELETE CASCADE,
+      FOREIGN KEY (required_building_id) REFERENCES buildings(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Migration: Add building requirement columns to crafting_recipes
+  await addColumn(db, 'crafting_recipes', 'required_building_id', 'INTEGER');
+  await addColumn(db, 'crafting_recipes', 'required_building_level', 'INTEGER DEFAULT 1');
+
+  // Recipe ingredients
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS recipe_ingredients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipe_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      FOREIGN KEY (recipe_id) REFERENCES crafting_recipes(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      UNIQUE(recipe_id, item_id)
+    )
+  `);
+
+  // User workbench (upgradable)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_workbench (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER UNIQUE NOT NULL,
+      level INTEGER DEFAULT 1,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Collection jobs (automatisches Sammeln)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS collection_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      duration_minutes INTEGER NOT NULL,
+      started_at DATETIME NOT NULL,
+      completed_at DATETIME NOT NULL,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'completed', 'claimed', 'paused')),
+      paused_at DATETIME,
+      remaining_seconds INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add pause columns to collection_jobs if not exist
+  await addColumn(db, 'collection_jobs', 'paused_at', 'DATETIME');
+  await addColumn(db, 'collection_jobs', 'remaining_seconds', 'INTEGER');
+
+  // Collection job results
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS collection_job_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      FOREIGN KEY (job_id) REFERENCES collection_jobs(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Groups (Rollen mit Berechtigungen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Permissions (Berechtigungen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS permissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT
+    )
+  `);
+
+  // Group permissions (Welche Berechtigungen hat welche Gruppe)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS group_permissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL,
+      permission_id INTEGER NOT NULL,
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+      UNIQUE(group_id, permission_id)
+    )
+  `);
+
+  // User groups (Welche Gruppen hat ein User)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+      UNIQUE(user_id, group_id)
+    )
+  `);
+
+  // Buildings table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS buildings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      image_path TEXT,
+      position_x INTEGER DEFAULT 0,
+      position_y INTEGER DEFAULT 0,
+      size_width INTEGER DEFAULT 100,
+      size_height INTEGER DEFAULT 100,
+      unlock_order INTEGER DEFAULT 0,
+      max_level INTEGER DEFAULT 3,
+      build_duration_minutes INTEGER DEFAULT 5,
+      upgrade_duration_minutes INTEGER DEFAULT 3,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Building requirements (Ressourcen zum Bauen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS building_requirements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      building_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      level INTEGER DEFAULT 0,
+      requirement_type TEXT DEFAULT 'build' CHECK(requirement_type IN ('build', 'upgrade')),
+      FOREIGN KEY (building_id) REFERENCES buildings(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      UNIQUE(building_id, item_id, level, requirement_type)
+    )
+  `);
+
+  // Building jobs (Bau- und Upgrade-Jobs mit Zeit)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS building_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      building_id INTEGER NOT NULL,
+      job_type TEXT NOT NULL CHECK(job_type IN ('build', 'upgrade')),
+      target_level INTEGER DEFAULT 1,
+      duration_minutes INTEGER NOT NULL,
+      started_at DATETIME NOT NULL,
+      completed_at DATETIME NOT NULL,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'completed', 'claimed', 'paused')),
+      paused_at DATETIME,
+      remaining_seconds INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (building_id) REFERENCES buildings(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add pause columns to building_jobs if not exist
+  await addColumn(db, 'building_jobs', 'paused_at', 'DATETIME');
+  await addColumn(db, 'building_jobs', 'remaining_seconds', 'INTEGER');
+
+  // User buildings (gebaute Gebäude)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_buildings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      building_id INTEGER NOT NULL,
+      level INTEGER DEFAULT 1,
+      built_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (building_id) REFERENCES buildings(id) ON DELETE CASCADE,
+      UNIQUE(user_id, building_id)
+    )
+  `);
+
+  // Property settings (Grundstück-Einstellungen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS property_settings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      image_path TEXT DEFAULT '/buildings/huette1.jpg',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Property hotspots (klickbare Bereiche auf dem Grundstück)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS property_hotspots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      building_name TEXT NOT NULL,
+      x REAL NOT NULL,
+      y REAL NOT NULL,
+      width REAL NOT NULL,
+      height REAL NOT NULL,
+      label TEXT NOT NULL,
+      icon TEXT,
+      description TEXT,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(building_name)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guilds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      tag TEXT UNIQUE NOT NULL,
+      description TEXT,
+      leader_id INTEGER NOT NULL,
+      icon_path TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (leader_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Guild members (Gildenmitglieder)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT DEFAULT 'member' CHECK(role IN ('leader', 'officer', 'member')),
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (guild_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id)
+    )
+  `);
+
+  // Guild applications (Gildenbewerbungen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_applications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      message TEXT,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'rejected')),
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (guild_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(guild_id, user_id)
+    )
+  `);
+
+  // Guild pacts (Nichtangriffspakte zwischen Gilden)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_pacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_1_id INTEGER NOT NULL,
+      guild_2_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'active', 'rejected', 'cancelled')),
+      requested_by INTEGER NOT NULL,
+      responded_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      responded_at DATETIME,
+      FOREIGN KEY (guild_1_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (guild_2_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (responded_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(guild_1_id, guild_2_id)
+    )
+  `);
+
+  // Email templates table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      subject TEXT NOT NULL,
+      html_content TEXT NOT NULL,
+      text_content TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // SMTP configuration table (multiple configs possible, one active)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS smtp_config (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      host TEXT NOT NULL,
+      port INTEGER DEFAULT 587,
+      secure INTEGER DEFAULT 0,
+      username TEXT NOT NULL,
+      password TEXT NOT NULL,
+      from_name TEXT DEFAULT 'Soaria',
+      from_email TEXT NOT NULL,
+      is_active INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Discord webhooks table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS discord_webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      webhook_url TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      event_type TEXT NOT NULL,
+      message_template TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Messages table (Nachrichten-System)
+  // Old databases may still have a CHECK on message_type, see 017_messages_without_type_check
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sender_id INTEGER NOT NULL,
+      recipient_id INTEGER NOT NULL,
+      subject TEXT NOT NULL,
+      content TEXT NOT NULL,
+      is_read INTEGER DEFAULT 0,
+      is_system INTEGER DEFAULT 0,
+      message_type TEXT DEFAULT 'personal',
+      related_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      read_at DATETIME,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Message reports table (Gemeldete Nachrichten)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS message_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      reporter_id INTEGER NOT NULL,
+      reported_user_id INTEGER NOT NULL,
+      reason TEXT,
+      message_content TEXT NOT NULL,
+      message_subject TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'reviewed', 'action_taken', 'dismissed')),
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      admin_notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+      FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reported_user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create index for faster unread message queries
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_messages_recipient_unread 
+    ON messages(recipient_id, is_read)
+  `);
+
+  // Feedback/Bug Reports table
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      type TEXT NOT NULL CHECK(type IN ('bug', 'suggestion', 'other')),
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      page_url TEXT,
+      browser_info TEXT,
+      status TEXT DEFAULT 'new' CHECK(status IN ('new', 'in_progress', 'resolved', 'wont_fix', 'duplicate')),
+      priority TEXT DEFAULT 'normal' CHECK(priority IN ('low', 'normal', 'high', 'critical')),
+      admin_notes TEXT,
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Add gold column to users (Currency system)
+  await addColumn(db, 'users', 'gold', 'INTEGER DEFAULT 100');
+
+  // Add travel destination columns to users (Reisesystem)
+  await addColumn(db, 'users', 'travel_target_x', 'INTEGER');
+  await addColumn(db, 'users', 'travel_target_y', 'INTEGER');
+  await addColumn(db, 'users', 'travel_start_time', 'DATETIME');
+  await addColumn(db, 'users', 'travel_end_time', 'DATETIME');
+
+  // Add home coordinates to users (Grundstück-Position)
+  const addedHome = await addColumn(db, 'users', 'home_x', 'INTEGER');
+  await addColumn(db, 'users', 'home_y', 'INTEGER');
+  if (addedHome) {
+    // Set home position to current world position for existing users who don't have home set
+    await db.run(`UPDATE users SET home_x = world_x, home_y = world_y WHERE home_x IS NULL`);
+  }
+
+  // Add last_activity column for online tracking
+  await addColumn(db, 'users', 'last_activity', 'DATETIME');
+
+  // Monster types table (Monster-Typen für Admin-Verwaltung)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS monster_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      image_path TEXT,
+      is_boss INTEGER DEFAULT 0,
+      min_level INTEGER DEFAULT 1,
+      max_level INTEGER DEFAULT 5,
+      base_health INTEGER DEFAULT 100,
+      base_attack INTEGER DEFAULT 10,
+      base_defense INTEGER DEFAULT 5,
+      health_per_level INTEGER DEFAULT 20,
+      attack_per_level INTEGER DEFAULT 3,
+      defense_per_level INTEGER DEFAULT 2,
+      spawn_weight INTEGER DEFAULT 100,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Add respawn_cooldown column to monster_types
+  if (await addColumn(db, 'monster_types', 'respawn_cooldown', 'INTEGER DEFAULT 10')) {
+    // Set default cooldowns: normal monsters 5-10 min, bosses 60 min
+    await db.run(`UPDATE monster_types SET respawn_cooldown = 5 WHERE is_boss = 0 AND respawn_cooldown IS NULL`);
+    await db.run(`UPDATE monster_types SET respawn_cooldown = 60 WHERE is_boss = 1 AND respawn_cooldown IS NULL`);
+  }
+
+  // Monster loot table (Was Monster droppen können)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS monster_loot (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      monster_type_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      min_quantity INTEGER DEFAULT 1,
+      max_quantity INTEGER DEFAULT 1,
+      drop_chance REAL DEFAULT 0.5,
+      gold_min INTEGER DEFAULT 0,
+      gold_max INTEGER DEFAULT 0,
+      FOREIGN KEY (monster_type_id) REFERENCES monster_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      UNIQUE(monster_type_id, item_id)
+    )
+  `);
+
+  // NPC types table (Händler)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS npc_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      image_path TEXT,
+      npc_type TEXT DEFAULT 'merchant' CHECK(npc_type IN ('merchant', 'quest_giver', 'trainer')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // NPC shop items (Was Händler verkaufen/kaufen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS npc_shop_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      npc_type_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      buy_price INTEGER,
+      sell_price INTEGER,
+      stock INTEGER DEFAULT -1,
+      FOREIGN KEY (npc_type_id) REFERENCES npc_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      UNIQUE(npc_type_id, item_id)
+    )
+  `);
+
+  // World NPCs (Spawned NPCs auf der Karte)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_npcs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      npc_type_id INTEGER,
+      monster_type_id INTEGER,
+      world_x INTEGER NOT NULL,
+      world_y INTEGER NOT NULL,
+      level INTEGER DEFAULT 1,
+      current_health INTEGER,
+      respawn_minutes INTEGER DEFAULT 10,
+      last_killed_at DATETIME,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (npc_type_id) REFERENCES npc_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (monster_type_id) REFERENCES monster_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Player stats (Level, XP, Kampfwerte)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS player_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER UNIQUE NOT NULL,
+      level INTEGER DEFAULT 1,
+      experience INTEGER DEFAULT 0,
+      max_health INTEGER DEFAULT 100,
+      current_health INTEGER DEFAULT 100,
+      base_attack INTEGER DEFAULT 10,
+      base_defense INTEGER DEFAULT 5,
+      last_healed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add last_healed_at column if it doesn't exist
+  await addColumn(db, 'player_stats', 'last_healed_at', 'DATETIME');
+
+  // Add PvP protection column (set after losing a PvP fight)
+  await addColumn(db, 'player_stats', 'pvp_protected_until', 'DATETIME');
+
+  // Equipment types (Ausrüstungstypen)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS equipment_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      slot TEXT NOT NULL CHECK(slot IN ('weapon', 'head', 'chest', 'legs', 'feet', 'hands', 'shield', 'accessory')),
+      image_path TEXT,
+      base_attack INTEGER DEFAULT 0,
+      base_defense INTEGER DEFAULT 0,
+      base_health INTEGER DEFAULT 0,
+      required_level INTEGER DEFAULT 1,
+      rarity TEXT DEFAULT 'common' CHECK(rarity IN ('common', 'uncommon', 'rare', 'epic', 'legendary')),
+      craftable INTEGER DEFAULT 1,
+      craft_recipe_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // User equipment (besitzte Ausrüstung mit Qualität)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_equipment (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      equipment_type_id INTEGER NOT NULL,
+      quality TEXT DEFAULT 'normal' CHECK(quality IN ('poor', 'normal', 'good', 'excellent', 'masterwork', 'legendary')),
+      quality_bonus REAL DEFAULT 1.0,
+      is_equipped INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (equipment_type_id) REFERENCES equipment_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Profession stats (Berufe wie Schmieden)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS profession_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      profession TEXT NOT NULL CHECK(profession IN ('blacksmith', 'leatherworker', 'tailor', 'alchemist')),
+      level INTEGER DEFAULT 1,
+      experience INTEGER DEFAULT 0,
+      UNIQUE(user_id, profession),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Equipment crafting recipes
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS equipment_recipes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      equipment_type_id INTEGER NOT NULL,
+      profession TEXT NOT NULL,
+      required_profession_level INTEGER DEFAULT 1,
+      experience_reward INTEGER DEFAULT 10,
+      craft_time INTEGER DEFAULT 60,
+      FOREIGN KEY (equipment_type_id) REFERENCES equipment_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add craft_time column if not exists
+  await addColumn(db, 'equipment_recipes', 'craft_time', 'INTEGER DEFAULT 60');
+
+  // Active crafting jobs
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS crafting_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      recipe_id INTEGER NOT NULL,
+      quality TEXT DEFAULT 'normal',
+      started_at DATETIME NOT NULL,
+      finish_at DATETIME NOT NULL,
+      paused_at DATETIME,
+      remaining_seconds INTEGER,
+      is_completed INTEGER DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipe_id) REFERENCES equipment_recipes(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Equipment recipe materials
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS equipment_recipe_materials (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipe_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER DEFAULT 1,
+      FOREIGN KEY (recipe_id) REFERENCES equipment_recipes(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Combat log (Kampfprotokoll)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS combat_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      attacker_user_id INTEGER,
+      defender_user_id INTEGER,
+      world_npc_id INTEGER,
+      winner TEXT CHECK(winner IN ('attacker', 'defender', 'draw')),
+      attacker_damage_dealt INTEGER DEFAULT 0,
+      defender_damage_dealt INTEGER DEFAULT 0,
+      gold_gained INTEGER DEFAULT 0,
+      experience_gained INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (attacker_user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (defender_user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (world_npc_id) REFERENCES world_npcs(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Combat sessions (rundenbasierte Kämpfe gegen Monster)
+  // Player stats are fixed when the fight starts, monster HP lives in world_npcs.current_health
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS combat_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      world_npc_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'won', 'lost', 'fled', 'expired')),
+      round INTEGER DEFAULT 0,
+      player_health INTEGER NOT NULL,
+      player_max_health INTEGER NOT NULL,
+      player_attack INTEGER NOT NULL,
+      player_defense INTEGER NOT NULL,
+      equipment_health INTEGER DEFAULT 0,
+      monster_health INTEGER NOT NULL,
+      monster_max_health INTEGER NOT NULL,
+      monster_attack INTEGER NOT NULL,
+      monster_defense INTEGER NOT NULL,
+      damage_dealt INTEGER DEFAULT 0,
+      damage_taken INTEGER DEFAULT 0,
+      log TEXT,
+      last_action_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (world_npc_id) REFERENCES world_npcs(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add heal_amount column to items (usable in interactive combat)
+  await addColumn(db, 'items', 'heal_amount', 'INTEGER DEFAULT 0');
+
+  // Items table needs migration for the 'consumable' item type
+  const itemsTableInfo = await db.get("SELECT sql FROM sqlite_master WHERE type='table' AND name='items'");
+
+  if (itemsTableInfo && !itemsTableInfo.sql.includes('consumable')) {
+    console.log('[DB] Migrating items table to support consumables...');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS items_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        display_name TEXT NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('resource', 'tool', 'material', 'upgrade', 'consumable', 'other')),
+        description TEXT,
+        rarity TEXT DEFAULT 'common' CHECK(rarity IN ('common', 'uncommon', 'rare', 'epic', 'legendary')),
+        image_path TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        heal_amount INTEGER DEFAULT 0
+      )
+    `);
+
+    await db.run(`
+      INSERT INTO items_new (id, name, display_name, type, description, rarity, image_path, created_at, heal_amount)
+      SELECT id, name, display_name, type, description, rarity, image_path, created_at, heal_amount
+      FROM items
+    `);
+
+    await db.run('DROP TABLE items');
+    await db.run('ALTER TABLE items_new RENAME TO items');
+
+    console.log('[DB] Items table migration completed');
+  }
+
+  // Consumables can apply a buff when used
+  await addColumn(db, 'items', 'buff_type_id', 'INTEGER REFERENCES buff_types(id) ON DELETE SET NULL');
+  await addColumn(db, 'items', 'buff_duration_minutes', 'INTEGER DEFAULT 0');
+
+  // User Statistics - tracking all player actions
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_statistics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER UNIQUE NOT NULL,
+      -- Combat stats
+      monsters_killed INTEGER DEFAULT 0,
+      bosses_killed INTEGER DEFAULT 0,
+      players_killed INTEGER DEFAULT 0,
+      deaths INTEGER DEFAULT 0,
+      total_damage_dealt INTEGER DEFAULT 0,
+      total_damage_received INTEGER DEFAULT 0,
+      -- Collection stats
+      resources_collected INTEGER DEFAULT 0,
+      wood_collected INTEGER DEFAULT 0,
+      stone_collected INTEGER DEFAULT 0,
+      iron_ore_collected INTEGER DEFAULT 0,
+      herbs_collected INTEGER DEFAULT 0,
+      -- Crafting stats
+      items_crafted INTEGER DEFAULT 0,
+      equipment_crafted INTEGER DEFAULT 0,
+      -- Building stats
+      buildings_built INTEGER DEFAULT 0,
+      buildings_upgraded INTEGER DEFAULT 0,
+      -- Travel stats
+      distance_traveled INTEGER DEFAULT 0,
+      tiles_walked INTEGER DEFAULT 0,
+      -- Economy stats
+      gold_earned INTEGER DEFAULT 0,
+      gold_spent INTEGER DEFAULT 0,
+      items_sold INTEGER DEFAULT 0,
+      items_bought INTEGER DEFAULT 0,
+      -- Social stats
+      messages_sent INTEGER DEFAULT 0,
+      trades_completed INTEGER DEFAULT 0,
+      -- Time stats
+      collection_time_minutes INTEGER DEFAULT 0,
+      crafting_time_minutes INTEGER DEFAULT 0,
+      -- Misc
+      quests_completed INTEGER DEFAULT 0,
+      achievements_earned INTEGER DEFAULT 0,
+      logins INTEGER DEFAULT 0,
+      -- Rarity items obtained
+      legendary_items_obtained INTEGER DEFAULT 0,
+      epic_items_obtained INTEGER DEFAULT 0,
+      rare_items_obtained INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Add rarity columns if they don't exist (migration)
+  await addColumn(db, 'user_statistics', 'legendary_items_obtained', 'INTEGER DEFAULT 0');
+  await addColumn(db, 'user_statistics', 'epic_items_obtained', 'INTEGER DEFAULT 0');
+  await addColumn(db, 'user_statistics', 'rare_items_obtained', 'INTEGER DEFAULT 0');
+
+  // Quests table - defines available quests
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS quests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      category TEXT DEFAULT 'main' CHECK(category IN ('main', 'side', 'daily', 'weekly', 'achievement')),
+      is_repeatable INTEGER DEFAULT 0,
+      cooldown_hours INTEGER DEFAULT 0,
+      min_level INTEGER DEFAULT 1,
+      prerequisite_quest_id INTEGER,
+      reward_gold INTEGER DEFAULT 0,
+      reward_experience INTEGER DEFAULT 0,
+      reward_item_id INTEGER,
+      reward_item_quantity INTEGER DEFAULT 1,
+      is_active INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prerequisite_quest_id) REFERENCES quests(id) ON DELETE SET NULL,
+      FOREIGN KEY (reward_item_id) REFERENCES items(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Quest objectives - each quest can have multiple objectives
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS quest_objectives (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      quest_id INTEGER NOT NULL,
+      objective_type TEXT NOT NULL,
+      target_id INTEGER,
+      target_name TEXT,
+      required_amount INTEGER DEFAULT 1,
+      description TEXT,
+      sort_order INTEGER DEFAULT 0,
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE
+    )
+  `);
+
+  // User quests - tracks player progress on quests
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_quests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      quest_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'available' CHECK(status IN ('available', 'active', 'completed', 'claimed')),
+      started_at DATETIME,
+      completed_at DATETIME,
+      claimed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE,
+      UNIQUE(user_id, quest_id)
+    )
+  `);
+
+  // User quest progress - tracks progress on each objective
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_quest_progress (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      quest_id INTEGER NOT NULL,
+      objective_id INTEGER NOT NULL,
+      current_amount INTEGER DEFAULT 0,
+      is_completed INTEGER DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE,
+      FOREIGN KEY (objective_id) REFERENCES quest_objectives(id) ON DELETE CASCADE,
+      UNIQUE(user_id, objective_id)
+    )
+  `);
+
+  // Resource Node Types (Stone deposits, Trees, etc.)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS resource_node_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      category TEXT NOT NULL CHECK(category IN ('mining', 'woodcutting', 'herbalism')),
+      icon TEXT DEFAULT '🪨',
+      image_path TEXT,
+      required_tool_type TEXT,
+      base_gather_time INTEGER DEFAULT 30,
+      respawn_minutes INTEGER DEFAULT 30,
+      min_level INTEGER DEFAULT 1,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Tileset mappings (Tile-ID zu Terrain-Typ)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tileset_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tile_id INTEGER UNIQUE NOT NULL,
+      terrain TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Add image_path column if it doesn't exist (migration)
+  await addColumn(db, 'resource_node_types', 'image_path', 'TEXT');
+
+  // Resource Node Drops (what items drop from each node type)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS resource_node_drops (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      node_type_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      drop_chance REAL DEFAULT 100,
+      min_quantity INTEGER DEFAULT 1,
+      max_quantity INTEGER DEFAULT 1,
+      min_tool_tier INTEGER DEFAULT 0,
+      is_rare INTEGER DEFAULT 0,
+      FOREIGN KEY (node_type_id) REFERENCES resource_node_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    )
+  `);
+
+  // World Resource Nodes (actual nodes placed on the map)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_resource_nodes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      node_type_id INTEGER NOT NULL,
+      world_x INTEGER NOT NULL,
+      world_y INTEGER NOT NULL,
+      current_amount INTEGER DEFAULT 3,
+      max_amount INTEGER DEFAULT 3,
+      last_gathered_at DATETIME,
+      depleted_at DATETIME,
+      is_depleted INTEGER DEFAULT 0,
+      FOREIGN KEY (node_type_id) REFERENCES resource_node_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Tool Types (Pickaxes, Axes, etc.)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tool_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      category TEXT NOT NULL CHECK(category IN ('pickaxe', 'axe', 'sickle')),
+      tier INTEGER DEFAULT 1,
+      speed_bonus REAL DEFAULT 1.0,
+      rare_drop_bonus REAL DEFAULT 0,
+      efficiency_bonus REAL DEFAULT 0,
+      durability INTEGER DEFAULT 100,
+      required_level INTEGER DEFAULT 1,
+      icon TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // User Tools (which tools players own)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS user_tools (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      tool_type_id INTEGER NOT NULL,
+      current_durability INTEGER DEFAULT 100,
+      is_equipped INTEGER DEFAULT 0,
+      acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (tool_type_id) REFERENCES tool_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Active Gathering Jobs
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS gathering_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      node_id INTEGER NOT NULL,
+      tool_id INTEGER,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finish_at DATETIME NOT NULL,
+      is_completed INTEGER DEFAULT 0,
+      is_cancelled INTEGER DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (node_id) REFERENCES world_resource_nodes(id) ON DELETE CASCADE,
+      FOREIGN KEY (tool_id) REFERENCES user_tools(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Follow-up jobs that start automatically once a job slot is free
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS job_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      job_type TEXT NOT NULL CHECK(job_type IN ('collection', 'building', 'crafting', 'gathering')),
+      name TEXT,
+      params TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Mark finished jobs the player was already notified about (background job scheduler)
+  for (const table of ['collection_jobs', 'building_jobs', 'crafting_jobs', 'gathering_jobs']) {
+    await addColumn(db, table, 'notified_at', 'DATETIME');
+  }
+
+  // Deliver finished jobs to the inventory without claiming them manually
+  await addColumn(db, 'users', 'auto_claim_jobs', 'INTEGER DEFAULT 0');
+
+  // ============ BUFF SYSTEM ============
+  // Buff types table - defines all possible buffs
+  // effect_type: attack_percent, attack_flat, defense_percent, defense_flat, 
+  //              health_percent, health_flat, speed_percent, exp_percent, 
+  //              gold_percent, gather_speed, craft_speed, damage_reduction
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS buff_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      icon TEXT DEFAULT '✨',
+      effect_type TEXT NOT NULL,
+      effect_value REAL NOT NULL,
+      stackable INTEGER DEFAULT 0,
+      max_stacks INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // target_type: 'all', 'user', 'guild', 'guildless', 'level_min', 'level_max', 'level_range'
+  // target_id: user_id for 'user', guild_id for 'guild', level for level-based, NULL for 'all'/'guildless'
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS active_buffs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      buff_type_id INTEGER NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id INTEGER,
+      duration_minutes INTEGER,
+      stacks INTEGER DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      is_active INTEGER DEFAULT 1,
+      FOREIGN KEY (buff_type_id) REFERENCES buff_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // ============ BUFF EVENTS SYSTEM ============
+  // Event buffs table - scheduled automatic buffs
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS buff_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      buff_type_id INTEGER NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id INTEGER,
+      stacks INTEGER DEFAULT 1,
+      start_date DATE NOT NULL,
+      start_time TIME,
+      end_date DATE NOT NULL,
+      end_time TIME,
+      enabled INTEGER DEFAULT 1,
+      last_triggered DATETIME,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (buff_type_id) REFERENCES buff_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // ============ TRADE SYSTEM ============
+  // Trade offers (Handelsangebote zwischen Spielern)
+  // counter_of_id: ID des Angebots, auf das dieses Gegenangebot antwortet
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS trade_offers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sender_id INTEGER NOT NULL,
+      recipient_id INTEGER NOT NULL,
+      offer_gold INTEGER DEFAULT 0,
+      request_gold INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'declined', 'expired', 'cancelled')),
+      counter_of_id INTEGER,
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (counter_of_id) REFERENCES trade_offers(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Trade offer items - side 'offer' = gibt der Absender, 'request' = verlangt der Absender
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS trade_offer_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      offer_id INTEGER NOT NULL,
+      side TEXT NOT NULL CHECK(side IN ('offer', 'request')),
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      FOREIGN KEY (offer_id) REFERENCES trade_offers(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    CREATE INDEX IF NOT EXISTS idx_trade_offers_status
+    ON trade_offers(status, recipient_id, sender_id)
+  `);
+}
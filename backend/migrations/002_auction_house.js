@@ -0,0 +1,58 @@
+// Player auction house: listings with escrowed goods, bids and the sales log for price history
+export async function up(db) {
+  // Auction listings. Listed goods are taken out of the seller's inventory
+  // (items) or user_equipment (single pieces incl. quality) until the auction ends.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS auction_listings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      seller_id INTEGER NOT NULL,
+      listing_type TEXT NOT NULL CHECK(listing_type IN ('item', 'equipment')),
+      item_id INTEGER,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      equipment_type_id INTEGER,
+      quality TEXT,
+      quality_bonus REAL,
+      starting_price INTEGER,
+      buyout_price INTEGER,
+      current_bid INTEGER,
+      current_bidder_id INTEGER,
+      fee INTEGER NOT NULL DEFAULT 0,
+      duration_hours INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'sold', 'expired', 'cancelled')),
+      buyer_id INTEGER,
+      final_price INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      ended_at DATETIME,
+      FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      FOREIGN KEY (equipment_type_id) REFERENCES equipment_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (current_bidder_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE SET NULL,
+      CHECK(starting_price IS NOT NULL OR buyout_price IS NOT NULL)
+    )
+  `);
+
+  // Bid log (the highest bid's gold stays escrowed until outbid or the auction ends)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS auction_bids (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      listing_id INTEGER NOT NULL,
+      bidder_id INTEGER NOT NULL,
+      amount INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (listing_id) REFERENCES auction_listings(id) ON DELETE CASCADE,
+      FOREIGN KEY (bidder_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_auction_listings_status ON auction_listings(status, expires_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_auction_listings_item ON auction_listings(item_id, status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_auction_listings_equipment ON auction_listings(equipment_type_id, status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_auction_bids_listing ON auction_bids(listing_id)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS auction_bids');
+  await db.run('DROP TABLE IF EXISTS auction_listings');
+}
@@ -0,0 +1,49 @@
+// Imported Tiled maps placed into the world, and the spawn points read from their object layers
+export async function up(db) {
+  // layers/terrain are JSON arrays with one entry per tile (row by row)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_regions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      source_file TEXT,
+      tile_x INTEGER NOT NULL,
+      tile_y INTEGER NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      layers TEXT NOT NULL,
+      terrain TEXT NOT NULL,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Spawned NPCs/resource nodes are removed together with their region,
+  // home spawns remember the player who got the spot
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_region_spawns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      region_id INTEGER NOT NULL,
+      spawn_type TEXT NOT NULL CHECK(spawn_type IN ('npc', 'monster', 'resource', 'home')),
+      name TEXT,
+      world_x INTEGER NOT NULL,
+      world_y INTEGER NOT NULL,
+      world_npc_id INTEGER,
+      resource_node_id INTEGER,
+      user_id INTEGER,
+      FOREIGN KEY (region_id) REFERENCES world_regions(id) ON DELETE CASCADE,
+      FOREIGN KEY (world_npc_id) REFERENCES world_npcs(id) ON DELETE SET NULL,
+      FOREIGN KEY (resource_node_id) REFERENCES world_resource_nodes(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_world_region_spawns_region ON world_region_spawns(region_id, spawn_type)');
+}
+
+export async function down(db) {
+  await db.run('DELETE FROM world_npcs WHERE id IN (SELECT world_npc_id FROM world_region_spawns)');
+  await db.run('DELETE FROM world_resource_nodes WHERE id IN (SELECT resource_node_id FROM world_region_spawns)');
+  await db.run('DROP TABLE IF EXISTS world_region_spawns');
+  await db.run('DROP TABLE IF EXISTS world_regions');
+}
@@ -0,0 +1,12 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Route of the current trip (JSON waypoints from the shared pathfinding)
+export async function up(db) {
+  await addColumn(db, 'users', 'travel_path', 'TEXT');
+}
+
+export async function down(db) {
+  if (await hasColumn(db, 'users', 'travel_path')) {
+    await db.run('ALTER TABLE users DROP COLUMN travel_path');
+  }
+}
@@ -0,0 +1,57 @@
+// Random travel encounters: admin-configured tables per terrain and the per-player encounter log
+export async function up(db) {
+  // One row per possible encounter. chance is the probability in percent per roll
+  // (one roll every few hundred world units of the route) on the given terrain.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS encounter_tables (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      terrain TEXT NOT NULL DEFAULT 'any',
+      encounter_type TEXT NOT NULL CHECK(encounter_type IN ('ambush', 'cache', 'merchant')),
+      chance REAL NOT NULL DEFAULT 2,
+      min_home_distance INTEGER NOT NULL DEFAULT 0,
+      monster_type_id INTEGER,
+      min_level INTEGER,
+      max_level INTEGER,
+      item_id INTEGER,
+      min_quantity INTEGER DEFAULT 1,
+      max_quantity INTEGER DEFAULT 1,
+      gold_min INTEGER DEFAULT 0,
+      gold_max INTEGER DEFAULT 0,
+      npc_type_id INTEGER,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (monster_type_id) REFERENCES monster_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      FOREIGN KEY (npc_type_id) REFERENCES npc_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Encounters are rolled when a trip starts and resolved once the player reaches trigger_at
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS travel_encounters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      encounter_table_id INTEGER,
+      encounter_type TEXT NOT NULL,
+      terrain TEXT,
+      world_x INTEGER NOT NULL,
+      world_y INTEGER NOT NULL,
+      trigger_at DATETIME NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'resolved', 'cancelled')),
+      result TEXT,
+      message TEXT,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (encounter_table_id) REFERENCES encounter_tables(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_travel_encounters_user ON travel_encounters(user_id, status, trigger_at)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS travel_encounters');
+  await db.run('DROP TABLE IF EXISTS encounter_tables');
+}
@@ -0,0 +1,58 @@
+// Guild wars: declarations the challenged guild has to accept, a preparation period,
+// a fixed war duration and the score log (PvP kills and monster kills of the members)
+export async function up(db) {
+  // attacker = declaring guild. Names are kept so the history survives a disbanded guild.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_wars (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      attacker_guild_id INTEGER NOT NULL,
+      defender_guild_id INTEGER NOT NULL,
+      attacker_name TEXT NOT NULL,
+      attacker_tag TEXT NOT NULL,
+      defender_name TEXT NOT NULL,
+      defender_tag TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'rejected', 'cancelled', 'preparing', 'active', 'ended')),
+      declared_by INTEGER NOT NULL,
+      responded_by INTEGER,
+      attacker_score INTEGER NOT NULL DEFAULT 0,
+      defender_score INTEGER NOT NULL DEFAULT 0,
+      peace_offered_by INTEGER,
+      winner_guild_id INTEGER,
+      end_reason TEXT CHECK(end_reason IN ('time', 'surrender', 'peace', 'disbanded')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      responded_at DATETIME,
+      starts_at DATETIME,
+      ends_at DATETIME,
+      ended_at DATETIME,
+      FOREIGN KEY (declared_by) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (responded_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guild_wars_attacker ON guild_wars(attacker_guild_id, status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guild_wars_defender ON guild_wars(defender_guild_id, status)');
+
+  // Every scored kill, for the war report and the best fighters per side
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_war_kills (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      war_id INTEGER NOT NULL,
+      guild_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      kill_type TEXT NOT NULL CHECK(kill_type IN ('pvp', 'monster')),
+      victim_user_id INTEGER,
+      monster_type_id INTEGER,
+      points INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (war_id) REFERENCES guild_wars(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guild_war_kills_war ON guild_war_kills(war_id, guild_id)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS guild_war_kills');
+  await db.run('DROP TABLE IF EXISTS guild_wars');
+}
@@ -0,0 +1,60 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Guild bank: shared gold and items, per-role daily withdrawal limits and the transaction ledger
+export async function up(db) {
+  await addColumn(db, 'guilds', 'bank_gold', 'INTEGER DEFAULT 0');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_bank_items (
+      guild_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (guild_id, item_id),
+      FOREIGN KEY (guild_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Rows only exist for limits the leader changed, the defaults live in helpers/guildBank.js.
+  // The leader can always withdraw without limit.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_bank_limits (
+      guild_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('officer', 'member')),
+      daily_gold INTEGER NOT NULL DEFAULT 0,
+      daily_items INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (guild_id, role),
+      FOREIGN KEY (guild_id) REFERENCES guilds(id) ON DELETE CASCADE
+    )
+  `);
+
+  // One row per movement: either gold (item_id NULL) or an item stack.
+  // spend = paid from the bank for a guild upgrade
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_bank_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id INTEGER NOT NULL,
+      user_id INTEGER,
+      type TEXT NOT NULL CHECK(type IN ('deposit', 'withdraw', 'spend')),
+      item_id INTEGER,
+      quantity INTEGER NOT NULL DEFAULT 0,
+      gold INTEGER NOT NULL DEFAULT 0,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (guild_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guild_bank_transactions_guild ON guild_bank_transactions(guild_id, created_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guild_bank_transactions_user ON guild_bank_transactions(guild_id, user_id, type, created_at)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS guild_bank_transactions');
+  await db.run('DROP TABLE IF EXISTS guild_bank_limits');
+  await db.run('DROP TABLE IF EXISTS guild_bank_items');
+  if (await hasColumn(db, 'guilds', 'bank_gold')) {
+    await db.run('ALTER TABLE guilds DROP COLUMN bank_gold');
+  }
+}
@@ -0,0 +1,62 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Guild levels: XP from member activity, perks the leader activates as guild buffs
+export async function up(db) {
+  await addColumn(db, 'guilds', 'level', 'INTEGER DEFAULT 1');
+  await addColumn(db, 'guilds', 'xp', 'INTEGER DEFAULT 0');
+
+  // XP a member brought into the guild since joining
+  await addColumn(db, 'guild_members', 'xp_contributed', 'INTEGER DEFAULT 0');
+
+  // cost_resources: JSON [{ itemName, quantity }] like GUILD_CREATION_REQUIREMENTS.resources
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_perks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      display_name TEXT NOT NULL,
+      description TEXT,
+      icon TEXT DEFAULT '✨',
+      buff_type_id INTEGER NOT NULL,
+      stacks INTEGER DEFAULT 1,
+      required_level INTEGER NOT NULL DEFAULT 2,
+      duration_hours INTEGER NOT NULL DEFAULT 24,
+      cost_gold INTEGER DEFAULT 0,
+      cost_resources TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (buff_type_id) REFERENCES buff_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Each activation creates a guild-targeted active_buffs row
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS guild_perk_activations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id INTEGER NOT NULL,
+      perk_id INTEGER NOT NULL,
+      active_buff_id INTEGER,
+      activated_by INTEGER,
+      paid_from TEXT NOT NULL DEFAULT 'leader' CHECK(paid_from IN ('bank', 'leader')),
+      activated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY (guild_id) REFERENCES guilds(id) ON DELETE CASCADE,
+      FOREIGN KEY (perk_id) REFERENCES guild_perks(id) ON DELETE CASCADE,
+      FOREIGN KEY (active_buff_id) REFERENCES active_buffs(id) ON DELETE SET NULL,
+      FOREIGN KEY (activated_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guild_perk_activations_guild ON guild_perk_activations(guild_id, expires_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_guilds_level ON guilds(level DESC, xp DESC)');
+}
+
+export async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_guilds_level');
+  await db.run('DROP TABLE IF EXISTS guild_perk_activations');
+  await db.run('DROP TABLE IF EXISTS guild_perks');
+  for (const [table, column] of [['guild_members', 'xp_contributed'], ['guilds', 'xp'], ['guilds', 'level']]) {
+    if (await hasColumn(db, table, column)) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+}
@@ -0,0 +1,70 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Cooperative quests: a quest scope besides the personal one, shared progress per group
+// and the contribution of every member
+export async function up(db) {
+  // scope: 'user' (personal quest) or a group scope, see QUEST_SCOPES in helpers/groupQuests.js
+  await addColumn(db, 'quests', 'scope', "TEXT DEFAULT 'user'");
+  // How the rewards of a group quest are split: 'equal' or 'proportional' to the contribution
+  await addColumn(db, 'quests', 'reward_split', "TEXT DEFAULT 'equal'");
+
+  // One run of a quest by a group (group_id = guild id for scope 'guild')
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS group_quests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      quest_id INTEGER NOT NULL,
+      scope TEXT NOT NULL,
+      group_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'completed', 'claimed')),
+      started_by INTEGER,
+      claimed_by INTEGER,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      claimed_at DATETIME,
+      FOREIGN KEY (quest_id) REFERENCES quests(id) ON DELETE CASCADE,
+      FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (claimed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_group_quests_group ON group_quests(scope, group_id, status)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS group_quest_progress (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_quest_id INTEGER NOT NULL,
+      objective_id INTEGER NOT NULL,
+      current_amount INTEGER DEFAULT 0,
+      is_completed INTEGER DEFAULT 0,
+      FOREIGN KEY (group_quest_id) REFERENCES group_quests(id) ON DELETE CASCADE,
+      FOREIGN KEY (objective_id) REFERENCES quest_objectives(id) ON DELETE CASCADE,
+      UNIQUE(group_quest_id, objective_id)
+    )
+  `);
+
+  // Progress a member added to an objective (only what counted towards the required amount)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS group_quest_contributions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_quest_id INTEGER NOT NULL,
+      objective_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      amount INTEGER DEFAULT 0,
+      FOREIGN KEY (group_quest_id) REFERENCES group_quests(id) ON DELETE CASCADE,
+      FOREIGN KEY (objective_id) REFERENCES quest_objectives(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(group_quest_id, objective_id, user_id)
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS group_quest_contributions');
+  await db.run('DROP TABLE IF EXISTS group_quest_progress');
+  await db.run('DROP TABLE IF EXISTS group_quests');
+  for (const column of ['reward_split', 'scope']) {
+    if (await hasColumn(db, 'quests', column)) {
+      await db.run(`ALTER TABLE quests DROP COLUMN ${column}`);
+    }
+  }
+}
@@ -0,0 +1,93 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Player parties: members, invites and the loot that waits for a need/greed or leader decision
+export async function up(db) {
+  // loot_turn: position of the next member for round robin loot
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS parties (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      leader_id INTEGER NOT NULL,
+      loot_rule TEXT NOT NULL DEFAULT 'round_robin' CHECK(loot_rule IN ('round_robin', 'need_greed', 'leader')),
+      loot_turn INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (leader_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // A player is in at most one party
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS party_members (
+      user_id INTEGER PRIMARY KEY,
+      party_id INTEGER NOT NULL,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (party_id) REFERENCES parties(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_party_members_party ON party_members(party_id)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS party_invites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      party_id INTEGER NOT NULL,
+      inviter_id INTEGER NOT NULL,
+      invitee_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (party_id) REFERENCES parties(id) ON DELETE CASCADE,
+      FOREIGN KEY (inviter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (invitee_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(party_id, invitee_id)
+    )
+  `);
+
+  // Item drops of a party fight that are decided by roll (need_greed) or by the leader
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS party_loot (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      party_id INTEGER NOT NULL,
+      loot_rule TEXT NOT NULL CHECK(loot_rule IN ('need_greed', 'leader')),
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      source TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'assigned', 'passed')),
+      winner_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      resolved_at DATETIME,
+      FOREIGN KEY (party_id) REFERENCES parties(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      FOREIGN KEY (winner_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_party_loot_status ON party_loot(status, expires_at)');
+
+  // One row per fight participant; choice stays NULL until the member decided
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS party_loot_rolls (
+      loot_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      choice TEXT CHECK(choice IN ('need', 'greed', 'pass')),
+      roll INTEGER,
+      PRIMARY KEY (loot_id, user_id),
+      FOREIGN KEY (loot_id) REFERENCES party_loot(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Number of party members that have to fight together (1 = solo is fine)
+  await addColumn(db, 'monster_types', 'min_party_size', 'INTEGER DEFAULT 1');
+  await db.run('UPDATE monster_types SET min_party_size = 2 WHERE is_boss = 1');
+}
+
+export async function down(db) {
+  if (await hasColumn(db, 'monster_types', 'min_party_size')) {
+    await db.run('ALTER TABLE monster_types DROP COLUMN min_party_size');
+  }
+  await db.run('DROP TABLE IF EXISTS party_loot_rolls');
+  await db.run('DROP TABLE IF EXISTS party_loot');
+  await db.run('DROP TABLE IF EXISTS party_invites');
+  await db.run('DROP TABLE IF EXISTS party_members');
+  await db.run('DROP TABLE IF EXISTS parties');
+}
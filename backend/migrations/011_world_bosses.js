@@ -0,0 +1,71 @@
+// World bosses: spawn windows set by admins, the spawns themselves and the damage every player dealt
+export async function up(db) {
+  // weekdays: comma separated days (0 = Sunday ... 6 = Saturday), empty = every day
+  // start_time: 'HH:MM' in server time, the boss stays until it is killed or duration_minutes are over
+  // health_multiplier: boss health compared to a normal monster of the type and level (also scales the experience)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_boss_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      monster_type_id INTEGER NOT NULL,
+      level INTEGER NOT NULL DEFAULT 1,
+      world_x INTEGER NOT NULL,
+      world_y INTEGER NOT NULL,
+      health_multiplier REAL NOT NULL DEFAULT 20,
+      weekdays TEXT NOT NULL DEFAULT '',
+      start_time TEXT NOT NULL,
+      duration_minutes INTEGER NOT NULL DEFAULT 60,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (monster_type_id) REFERENCES monster_types(id) ON DELETE CASCADE
+    )
+  `);
+
+  // One appearance of a boss; window_start keeps a window from spawning the boss twice
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_boss_spawns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id INTEGER,
+      monster_type_id INTEGER NOT NULL,
+      world_npc_id INTEGER,
+      level INTEGER NOT NULL,
+      max_health INTEGER NOT NULL,
+      reward_multiplier REAL NOT NULL DEFAULT 1,
+      status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'killed', 'escaped')),
+      window_start TEXT NOT NULL,
+      spawned_at TEXT NOT NULL,
+      ends_at TEXT NOT NULL,
+      killed_at TEXT,
+      killed_by INTEGER,
+      FOREIGN KEY (schedule_id) REFERENCES world_boss_schedules(id) ON DELETE SET NULL,
+      FOREIGN KEY (monster_type_id) REFERENCES monster_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (killed_by) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE(schedule_id, window_start)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_world_boss_spawns_status ON world_boss_spawns(status, ends_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_world_boss_spawns_npc ON world_boss_spawns(world_npc_id)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS world_boss_damage (
+      spawn_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      damage INTEGER NOT NULL DEFAULT 0,
+      attacks INTEGER NOT NULL DEFAULT 0,
+      last_attack_at TEXT,
+      PRIMARY KEY (spawn_id, user_id),
+      FOREIGN KEY (spawn_id) REFERENCES world_boss_spawns(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(db) {
+  // Bosses still on the map would stay behind as normal monsters
+  if (await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'world_boss_spawns'")) {
+    await db.run("DELETE FROM world_npcs WHERE id IN (SELECT world_npc_id FROM world_boss_spawns WHERE status = 'active')");
+  }
+  await db.run('DROP TABLE IF EXISTS world_boss_damage');
+  await db.run('DROP TABLE IF EXISTS world_boss_spawns');
+  await db.run('DROP TABLE IF EXISTS world_boss_schedules');
+}
@@ -0,0 +1,43 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Per-player property layouts: every building covers grid cells and every built building
+// has its own position and rotation on the owner's plot
+const FOOTPRINTS = {
+  hutte: [3, 3],
+  schmiede: [2, 2],
+  saegewerk: [3, 2],
+  brunnen: [1, 1],
+  lager: [2, 2],
+  werkbank: [2, 1]
+};
+
+export async function up(db) {
+  await addColumn(db, 'buildings', 'grid_width', 'INTEGER DEFAULT 2');
+  await addColumn(db, 'buildings', 'grid_height', 'INTEGER DEFAULT 2');
+
+  for (const [name, [width, height]] of Object.entries(FOOTPRINTS)) {
+    await db.run('UPDATE buildings SET grid_width = ?, grid_height = ? WHERE name = ?', [width, height, name]);
+  }
+
+  // grid_x/grid_y NULL: not on the plot yet (placed automatically unless the owner put it into storage)
+  await addColumn(db, 'user_buildings', 'grid_x', 'INTEGER');
+  await addColumn(db, 'user_buildings', 'grid_y', 'INTEGER');
+  await addColumn(db, 'user_buildings', 'rotation', 'INTEGER DEFAULT 0');
+  await addColumn(db, 'user_buildings', 'is_stored', 'INTEGER DEFAULT 0');
+}
+
+export async function down(db) {
+  const columns = [
+    ['user_buildings', 'is_stored'],
+    ['user_buildings', 'rotation'],
+    ['user_buildings', 'grid_y'],
+    ['user_buildings', 'grid_x'],
+    ['buildings', 'grid_height'],
+    ['buildings', 'grid_width']
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(db, table, column)) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+}
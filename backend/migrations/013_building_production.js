@@ -0,0 +1,36 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Production buildings: output per building level and the stock every player's building has built up
+export async function up(db) {
+  // A row applies from its level up to the next configured level of the same building.
+  // input_item_id/input_quantity: optional input consumed per produced unit when collecting
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS building_production (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      building_id INTEGER NOT NULL,
+      level INTEGER NOT NULL DEFAULT 1,
+      output_item_id INTEGER NOT NULL,
+      output_per_hour REAL NOT NULL DEFAULT 1,
+      storage_cap INTEGER NOT NULL DEFAULT 10,
+      input_item_id INTEGER,
+      input_quantity INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (building_id) REFERENCES buildings(id) ON DELETE CASCADE,
+      FOREIGN KEY (output_item_id) REFERENCES items(id) ON DELETE CASCADE,
+      FOREIGN KEY (input_item_id) REFERENCES items(id) ON DELETE SET NULL,
+      UNIQUE(building_id, level)
+    )
+  `);
+
+  // production_stock: produced but not collected yet (fractional), as of production_updated_at
+  await addColumn(db, 'user_buildings', 'production_stock', 'REAL DEFAULT 0');
+  await addColumn(db, 'user_buildings', 'production_updated_at', 'TEXT');
+}
+
+export async function down(db) {
+  for (const column of ['production_updated_at', 'production_stock']) {
+    if (await hasColumn(db, 'user_buildings', column)) {
+      await db.run(`ALTER TABLE user_buildings DROP COLUMN ${column}`);
+    }
+  }
+  await db.run('DROP TABLE IF EXISTS building_production');
+}
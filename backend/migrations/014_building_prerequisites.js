@@ -0,0 +1,26 @@
+// Building tech tree: what a player needs before building a building (level 1) or upgrading it to a level
+export async function up(db) {
+  // prerequisite_type 'building': required_building_id at required_level or higher
+  // prerequisite_type 'player_level': player level required_level or higher
+  // prerequisite_type 'quest': required_quest_id completed (claimed)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS building_prerequisites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      building_id INTEGER NOT NULL,
+      level INTEGER NOT NULL DEFAULT 1,
+      prerequisite_type TEXT NOT NULL CHECK(prerequisite_type IN ('building', 'player_level', 'quest')),
+      required_building_id INTEGER,
+      required_level INTEGER NOT NULL DEFAULT 1,
+      required_quest_id INTEGER,
+      FOREIGN KEY (building_id) REFERENCES buildings(id) ON DELETE CASCADE,
+      FOREIGN KEY (required_building_id) REFERENCES buildings(id) ON DELETE CASCADE,
+      FOREIGN KEY (required_quest_id) REFERENCES quests(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_building_prerequisites_building ON building_prerequisites(building_id, level)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS building_prerequisites');
+}
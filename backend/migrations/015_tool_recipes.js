@@ -0,0 +1,33 @@
+// Tool crafting: one recipe per tool type, made at the workbench or in a building (e.g. Schmiede)
+export async function up(db) {
+  // The ingredients are also what a material repair costs (in part) and what salvaging returns (in part)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tool_recipes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tool_type_id INTEGER UNIQUE NOT NULL,
+      required_workbench_level INTEGER DEFAULT 0,
+      required_building_id INTEGER,
+      required_building_level INTEGER DEFAULT 1,
+      gold_cost INTEGER DEFAULT 0,
+      FOREIGN KEY (tool_type_id) REFERENCES tool_types(id) ON DELETE CASCADE,
+      FOREIGN KEY (required_building_id) REFERENCES buildings(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tool_recipe_ingredients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipe_id INTEGER NOT NULL,
+      item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      FOREIGN KEY (recipe_id) REFERENCES tool_recipes(id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+      UNIQUE(recipe_id, item_id)
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS tool_recipe_ingredients');
+  await db.run('DROP TABLE IF EXISTS tool_recipes');
+}
@@ -0,0 +1,30 @@
+import { addColumn, hasColumn } from '../helpers/migrations.js';
+
+// Gathering skills: mining, woodcutting and herbalism level up separately from the combat level
+export async function up(db) {
+  // skill matches resource_node_types.category
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS gathering_skills (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      skill TEXT NOT NULL CHECK(skill IN ('mining', 'woodcutting', 'herbalism')),
+      level INTEGER DEFAULT 1,
+      experience INTEGER DEFAULT 0,
+      UNIQUE(user_id, skill),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Skill experience per collect; longer gathering pays more
+  if (!await hasColumn(db, 'resource_node_types', 'experience_reward')) {
+    await addColumn(db, 'resource_node_types', 'experience_reward', 'INTEGER DEFAULT 10');
+    await db.run('UPDATE resource_node_types SET experience_reward = MAX(5, base_gather_time / 2)');
+  }
+}
+
+export async function down(db) {
+  if (await hasColumn(db, 'resource_node_types', 'experience_reward')) {
+    await db.run('ALTER TABLE resource_node_types DROP COLUMN experience_reward');
+  }
+  await db.run('DROP TABLE IF EXISTS gathering_skills');
+}
@@ -0,0 +1,39 @@
+// Databases from before the versioned migrations can still have a messages table with a CHECK
+// on message_type, which rejects the newer message types (trade offers, guild wars, combat, ...).
+// SQLite cannot drop a constraint, so the table is rebuilt without it.
+export async function up(db) {
+  const table = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'messages'");
+  if (!table || !/CHECK\s*\(\s*message_type/i.test(table.sql)) return;
+
+  await db.run(`
+    CREATE TABLE messages_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sender_id INTEGER NOT NULL,
+      recipient_id INTEGER NOT NULL,
+      subject TEXT NOT NULL,
+      content TEXT NOT NULL,
+      is_read INTEGER DEFAULT 0,
+      is_system INTEGER DEFAULT 0,
+      message_type TEXT DEFAULT 'personal',
+      related_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      read_at DATETIME,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.run(`
+    INSERT INTO messages_new (id, sender_id, recipient_id, subject, content, is_read, is_system, message_type, related_id, created_at, read_at)
+    SELECT id, sender_id, recipient_id, subject, content, is_read, is_system, message_type, related_id, created_at, read_at
+    FROM messages
+  `);
+
+  await db.run('DROP TABLE messages');
+  await db.run('ALTER TABLE messages_new RENAME TO messages');
+  // Dropping the old table also dropped its index
+  await db.run('CREATE INDEX IF NOT EXISTS idx_messages_recipient_unread ON messages(recipient_id, is_read)');
+}
+
+// The old list of allowed message types is gone, and the newer types may already be in use
+export async function down() {}
@@ -0,0 +1,22 @@
+// Before the gathering skills, a node's min_level was checked against the combat level.
+// Existing players start each skill at their combat level, capped at the highest min_level of the
+// skill's nodes - they keep access to every node they could gather before, but get no extra bonus.
+const SKILLS = ['mining', 'woodcutting', 'herbalism'];
+const MAX_SKILL_LEVEL = 50;
+
+export async function up(db) {
+  for (const skill of SKILLS) {
+    const row = await db.get('SELECT MAX(min_level) as max_level FROM resource_node_types WHERE category = ?', [skill]);
+    const cap = Math.min(row?.max_level || 1, MAX_SKILL_LEVEL);
+    if (cap <= 1) continue;
+
+    await db.run(`
+      INSERT INTO gathering_skills (user_id, skill, level, experience)
+      SELECT user_id, ?, MIN(level, ?), 0 FROM player_stats WHERE level > 1
+      ON CONFLICT(user_id, skill) DO UPDATE SET level = MAX(level, excluded.level)
+    `, [skill, cap]);
+  }
+}
+
+// Backfilled levels cannot be told apart from levels earned by gathering
+export async function down() {}
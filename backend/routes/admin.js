@@ -2,6 +2,11 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requirePermission } from '../middleware/permissions.js';
+import { addItems } from '../helpers/inventory.js';
+import { RegionImportError, listTiledMaps, importTiledMap, removeWorldRegion } from '../helpers/worldRegions.js';
+import { ENCOUNTER_TYPES } from '../helpers/encounters.js';
+import { parseSchedule, formatWeekdays, getNextWindowStart, spawnWorldBoss } from '../helpers/worldBosses.js';
+import { TERRAIN_TYPES } from '../../shared/world/index.js';
 
 const router = express.Router();
 
@@ -895,11 +900,7 @@ router.post('/users/:userId/inventory', authenticateToken, requirePermission('ma
       return res.status(404).json({ error: 'Item nicht gefunden' });
     }
 
-    await db.run(`
-      INSERT INTO user_inventory (user_id, item_id, quantity)
-      VALUES (?, ?, ?)
-      ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-    `, [userId, itemId, quantity, quantity]);
+    await addItems(userId, [{ item_id: itemId, quantity: quantity }]);
 
     res.json({ message: `${quantity}x ${item.display_name} zu ${user.username}s Inventar hinzugefügt` });
   } catch (error) {
@@ -1396,4 +1397,340 @@ router.delete('/tileset/mappings/:tileId', authenticateToken, requirePermission(
   }
 });
 
+// ============================================================
+// WORLD REGIONS (imported Tiled maps)
+// ============================================================
+
+// Get imported regions and the maps available for import
+router.get('/world-regions', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const regions = await db.all(`
+      SELECT r.id, r.name, r.source_file, r.tile_x, r.tile_y, r.width, r.height, r.created_at,
+             u.username as created_by_name,
+             (SELECT COUNT(*) FROM world_region_spawns s WHERE s.region_id = r.id AND s.spawn_type = 'npc') as npc_count,
+             (SELECT COUNT(*) FROM world_region_spawns s WHERE s.region_id = r.id AND s.spawn_type = 'monster') as monster_count,
+             (SELECT COUNT(*) FROM world_region_spawns s WHERE s.region_id = r.id AND s.spawn_type = 'resource') as resource_count,
+             (SELECT COUNT(*) FROM world_region_spawns s WHERE s.region_id = r.id AND s.spawn_type = 'home') as home_count,
+             (SELECT COUNT(*) FROM world_region_spawns s WHERE s.region_id = r.id AND s.spawn_type = 'home' AND s.user_id IS NOT NULL) as homes_taken
+      FROM world_regions r
+      LEFT JOIN users u ON r.created_by = u.id
+      ORDER BY r.name
+    `);
+    const files = await listTiledMaps();
+    res.json({ regions, files });
+  } catch (error) {
+    console.error('Get world regions error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Import a Tiled map (file from world/Tiled or uploaded .tmj content) at a world position
+router.post('/world-regions', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const { file, map, name, world_x, world_y } = req.body;
+    const worldX = parseInt(world_x);
+    const worldY = parseInt(world_y);
+
+    if (isNaN(worldX) || isNaN(worldY)) {
+      return res.status(400).json({ error: 'world_x und world_y sind erforderlich' });
+    }
+
+    const result = await importTiledMap({ file, map, name, worldX, worldY, userId: req.user.id });
+    res.json({
+      message: result.region.replaced
+        ? `Region "${result.region.name}" neu importiert`
+        : `Region "${result.region.name}" importiert`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof RegionImportError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import world region error:', error);
+    res.status(500).json({ error: 'Serverfehler: ' + error.message });
+  }
+});
+
+// Delete a region with its spawned NPCs and resources
+router.delete('/world-regions/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const removed = await removeWorldRegion(parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: 'Region nicht gefunden' });
+    }
+    res.json({ message: 'Region gelöscht' });
+  } catch (error) {
+    console.error('Delete world region error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// ============================================================
+// TRAVEL ENCOUNTERS
+// ============================================================
+
+// Check an encounter table entry and bring it into column form
+function parseEncounterEntry(body) {
+  const terrain = body.terrain || 'any';
+  if (terrain !== 'any' && !TERRAIN_TYPES.includes(terrain)) {
+    return { error: 'Ungültiger Terrain-Typ' };
+  }
+  if (!ENCOUNTER_TYPES.includes(body.encounter_type)) {
+    return { error: 'Ungültiger Begegnungstyp' };
+  }
+
+  const toInt = (value) => (value === '' || value === null || value === undefined ? null : parseInt(value));
+  const entry = {
+    terrain,
+    encounter_type: body.encounter_type,
+    chance: parseFloat(body.chance),
+    min_home_distance: toInt(body.min_home_distance) || 0,
+    monster_type_id: null,
+    min_level: null,
+    max_level: null,
+    item_id: null,
+    min_quantity: 1,
+    max_quantity: 1,
+    gold_min: 0,
+    gold_max: 0,
+    npc_type_id: null,
+    is_active: body.is_active === false || body.is_active === 0 ? 0 : 1
+  };
+
+  if (isNaN(entry.chance) || entry.chance < 0 || entry.chance > 100) {
+    return { error: 'Chance muss zwischen 0 und 100 liegen' };
+  }
+
+  if (entry.encounter_type === 'ambush') {
+    entry.monster_type_id = toInt(body.monster_type_id);
+    entry.min_level = toInt(body.min_level);
+    entry.max_level = toInt(body.max_level);
+    if (!entry.monster_type_id) {
+      return { error: 'Überfälle brauchen einen Monstertyp' };
+    }
+    if (entry.min_level && entry.max_level && entry.min_level > entry.max_level) {
+      return { error: 'Min-Level darf nicht größer als Max-Level sein' };
+    }
+  } else if (entry.encounter_type === 'cache') {
+    entry.item_id = toInt(body.item_id);
+    entry.min_quantity = Math.max(1, toInt(body.min_quantity) || 1);
+    entry.max_quantity = Math.max(entry.min_quantity, toInt(body.max_quantity) || 1);
+    entry.gold_min = Math.max(0, toInt(body.gold_min) || 0);
+    entry.gold_max = Math.max(entry.gold_min, toInt(body.gold_max) || 0);
+    if (!entry.item_id && entry.gold_max === 0) {
+      return { error: 'Verstecke brauchen ein Item oder Gold' };
+    }
+  } else {
+    entry.npc_type_id = toInt(body.npc_type_id);
+    if (!entry.npc_type_id) {
+      return { error: 'Wandernde Händler brauchen einen Händlertyp' };
+    }
+  }
+
+  return { entry };
+}
+
+const ENCOUNTER_COLUMNS = ['terrain', 'encounter_type', 'chance', 'min_home_distance', 'monster_type_id', 'min_level',
+  'max_level', 'item_id', 'min_quantity', 'max_quantity', 'gold_min', 'gold_max', 'npc_type_id', 'is_active'];
+
+// Get all encounter table entries (with the monsters, items and merchants to choose from)
+router.get('/encounters', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const encounters = await db.all(`
+      SELECT et.*,
+             mt.display_name as monster_name,
+             i.display_name as item_name,
+             nt.display_name as npc_name
+      FROM encounter_tables et
+      LEFT JOIN monster_types mt ON et.monster_type_id = mt.id
+      LEFT JOIN items i ON et.item_id = i.id
+      LEFT JOIN npc_types nt ON et.npc_type_id = nt.id
+      ORDER BY et.terrain, et.encounter_type, et.chance DESC
+    `);
+    const monsterTypes = await db.all('SELECT id, display_name, min_level, max_level FROM monster_types ORDER BY min_level, display_name');
+    const npcTypes = await db.all("SELECT id, display_name FROM npc_types WHERE npc_type = 'merchant' ORDER BY display_name");
+    const items = await db.all('SELECT id, display_name FROM items ORDER BY type, display_name');
+
+    res.json({ encounters, monsterTypes, npcTypes, items, terrains: ['any', ...TERRAIN_TYPES] });
+  } catch (error) {
+    console.error('Get encounters error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Create encounter table entry
+router.post('/encounters', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const { entry, error } = parseEncounterEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.run(`
+      INSERT INTO encounter_tables (${ENCOUNTER_COLUMNS.join(', ')})
+      VALUES (${ENCOUNTER_COLUMNS.map(() => '?').join(', ')})
+    `, ENCOUNTER_COLUMNS.map(column => entry[column]));
+
+    res.json({ message: 'Begegnung erstellt', id: result.lastID });
+  } catch (error) {
+    console.error('Create encounter error:', error);
+    res.status(500).json({ error: 'Serverfehler: ' + error.message });
+  }
+});
+
+// Update encounter table entry
+router.put('/encounters/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const { entry, error } = parseEncounterEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.run(`
+      UPDATE encounter_tables SET ${ENCOUNTER_COLUMNS.map(column => `${column} = ?`).join(', ')}
+      WHERE id = ?
+    `, [...ENCOUNTER_COLUMNS.map(column => entry[column]), req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Begegnung nicht gefunden' });
+    }
+    res.json({ message: 'Begegnung aktualisiert' });
+  } catch (error) {
+    console.error('Update encounter error:', error);
+    res.status(500).json({ error: 'Serverfehler: ' + error.message });
+  }
+});
+
+// Delete encounter table entry (encounters already rolled for running trips pass without effect)
+router.delete('/encounters/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    await db.run('DELETE FROM encounter_tables WHERE id = ?', [req.params.id]);
+    res.json({ message: 'Begegnung gelöscht' });
+  } catch (error) {
+    console.error('Delete encounter error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+const WORLD_BOSS_COLUMNS = ['monster_type_id', 'level', 'world_x', 'world_y', 'health_multiplier', 'weekdays',
+  'start_time', 'duration_minutes', 'is_active'];
+
+// Get world boss spawn windows with the latest spawns
+router.get('/world-bosses', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const schedules = await db.all(`
+      SELECT wbs.*, mt.display_name as monster_name,
+             (SELECT status FROM world_boss_spawns WHERE schedule_id = wbs.id ORDER BY id DESC LIMIT 1) as last_status,
+             (SELECT spawned_at FROM world_boss_spawns WHERE schedule_id = wbs.id ORDER BY id DESC LIMIT 1) as last_spawned_at
+      FROM world_boss_schedules wbs
+      JOIN monster_types mt ON wbs.monster_type_id = mt.id
+      ORDER BY wbs.start_time
+    `);
+    for (const schedule of schedules) {
+      schedule.weekday_label = formatWeekdays(schedule.weekdays);
+      schedule.next_start = getNextWindowStart(schedule)?.toISOString() || null;
+    }
+
+    const spawns = await db.all(`
+      SELECT s.id, s.schedule_id, s.level, s.max_health, s.status, s.spawned_at, s.ends_at, s.killed_at,
+             mt.display_name as monster_name, u.username as killed_by_name,
+             (SELECT COUNT(*) FROM world_boss_damage WHERE spawn_id = s.id AND damage > 0) as participants
+      FROM world_boss_spawns s
+      JOIN monster_types mt ON s.monster_type_id = mt.id
+      LEFT JOIN users u ON s.killed_by = u.id
+      ORDER BY s.id DESC
+      LIMIT 20
+    `);
+    const monsterTypes = await db.all('SELECT id, display_name, min_level, max_level, is_boss FROM monster_types ORDER BY is_boss DESC, min_level, display_name');
+
+    res.json({ schedules, spawns, monsterTypes });
+  } catch (error) {
+    console.error('Get world bosses error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Create world boss spawn window
+router.post('/world-bosses', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.run(`
+      INSERT INTO world_boss_schedules (${WORLD_BOSS_COLUMNS.join(', ')})
+      VALUES (${WORLD_BOSS_COLUMNS.map(() => '?').join(', ')})
+    `, WORLD_BOSS_COLUMNS.map(column => schedule[column]));
+
+    res.json({ message: 'Weltboss-Zeitfenster erstellt', id: result.lastID });
+  } catch (error) {
+    console.error('Create world boss schedule error:', error);
+    res.status(500).json({ error: 'Serverfehler: ' + error.message });
+  }
+});
+
+// Update world boss spawn window (a boss already on the map is not changed)
+router.put('/world-bosses/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.run(`
+      UPDATE world_boss_schedules SET ${WORLD_BOSS_COLUMNS.map(column => `${column} = ?`).join(', ')}
+      WHERE id = ?
+    `, [...WORLD_BOSS_COLUMNS.map(column => schedule[column]), req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Zeitfenster nicht gefunden' });
+    }
+    res.json({ message: 'Weltboss-Zeitfenster aktualisiert' });
+  } catch (error) {
+    console.error('Update world boss schedule error:', error);
+    res.status(500).json({ error: 'Serverfehler: ' + error.message });
+  }
+});
+
+// Delete world boss spawn window (a boss already on the map stays until its window ends)
+router.delete('/world-bosses/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    await db.run('DELETE FROM world_boss_schedules WHERE id = ?', [req.params.id]);
+    await db.run('UPDATE world_boss_spawns SET schedule_id = NULL WHERE schedule_id = ?', [req.params.id]);
+    res.json({ message: 'Weltboss-Zeitfenster gelöscht' });
+  } catch (error) {
+    console.error('Delete world boss schedule error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Spawn the boss of a window right away (for the configured duration)
+router.post('/world-bosses/:id/spawn', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const schedule = await db.get('SELECT * FROM world_boss_schedules WHERE id = ?', [req.params.id]);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Zeitfenster nicht gefunden' });
+    }
+
+    const active = await db.get(
+      "SELECT id FROM world_boss_spawns WHERE schedule_id = ? AND status = 'active'",
+      [schedule.id]
+    );
+    if (active) {
+      return res.status(400).json({ error: 'Dieser Weltboss ist bereits auf der Karte' });
+    }
+
+    const now = new Date();
+    const spawnId = await spawnWorldBoss(schedule, now, new Date(now.getTime() + schedule.duration_minutes * 60000));
+    if (!spawnId) {
+      return res.status(400).json({ error: 'Weltboss konnte nicht erscheinen' });
+    }
+    res.json({ message: 'Weltboss ist erschienen', id: spawnId });
+  } catch (error) {
+    console.error('Spawn world boss error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
 export default router;
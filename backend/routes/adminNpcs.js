@@ -1,6 +1,7 @@
 import express from 'express';
 import db from '../database.js';
 import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { publishToArea } from '../helpers/realtime.js';
 
 const router = express.Router();
 
@@ -52,7 +53,7 @@ router.post('/monsters', authenticateToken, requirePermission('manage_items'), a
     const { 
       name, display_name, description, image_path, is_boss,
       min_level, max_level, base_health, base_attack, base_defense,
-      health_per_level, attack_per_level, defense_per_level, spawn_weight, respawn_cooldown
+      health_per_level, attack_per_level, defense_per_level, spawn_weight, respawn_cooldown, min_party_size
     } = req.body;
 
     if (!name || !display_name) {
@@ -61,17 +62,20 @@ router.post('/monsters', authenticateToken, requirePermission('manage_items'), a
 
     // Default respawn cooldown: 5 min for normal, 60 min for bosses
     const defaultCooldown = is_boss ? 60 : 5;
+    // Bosses need a party of at least 2 unless set otherwise
+    const defaultPartySize = is_boss ? 2 : 1;
 
     const result = await db.run(`
       INSERT INTO monster_types 
       (name, display_name, description, image_path, is_boss, min_level, max_level, 
-       base_health, base_attack, base_defense, health_per_level, attack_per_level, defense_per_level, spawn_weight, respawn_cooldown)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       base_health, base_attack, base_defense, health_per_level, attack_per_level, defense_per_level, spawn_weight, respawn_cooldown,
+       min_party_size)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       name, display_name, description || '', image_path || null, is_boss ? 1 : 0,
       min_level || 1, max_level || 5, base_health || 100, base_attack || 10, base_defense || 5,
       health_per_level || 20, attack_per_level || 3, defense_per_level || 2, spawn_weight || 100,
-      respawn_cooldown || defaultCooldown
+      respawn_cooldown || defaultCooldown, Math.max(1, parseInt(min_party_size) || defaultPartySize)
     ]);
 
     res.json({ message: 'Monster erstellt', id: result.lastID });
@@ -91,7 +95,7 @@ router.put('/monsters/:id', authenticateToken, requirePermission('manage_items')
     const { 
       display_name, description, image_path, is_boss,
       min_level, max_level, base_health, base_attack, base_defense,
-      health_per_level, attack_per_level, defense_per_level, spawn_weight, respawn_cooldown
+      health_per_level, attack_per_level, defense_per_level, spawn_weight, respawn_cooldown, min_party_size
     } = req.body;
 
     await db.run(`
@@ -99,13 +103,13 @@ router.put('/monsters/:id', authenticateToken, requirePermission('manage_items')
         display_name = ?, description = ?, image_path = ?, is_boss = ?,
         min_level = ?, max_level = ?, base_health = ?, base_attack = ?, base_defense = ?,
         health_per_level = ?, attack_per_level = ?, defense_per_level = ?, spawn_weight = ?,
-        respawn_cooldown = ?
+        respawn_cooldown = ?, min_party_size = ?
       WHERE id = ?
     `, [
       display_name, description, image_path || null, is_boss ? 1 : 0,
       min_level, max_level, base_health, base_attack, base_defense,
       health_per_level, attack_per_level, defense_per_level, spawn_weight,
-      respawn_cooldown || (is_boss ? 60 : 5), id
+      respawn_cooldown || (is_boss ? 60 : 5), Math.max(1, parseInt(min_party_size) || (is_boss ? 2 : 1)), id
     ]);
 
     res.json({ message: 'Monster aktualisiert' });
@@ -457,6 +461,10 @@ router.post('/world-npcs/respawn-all', authenticateToken, requirePermission('man
       const maxHealth = monster.base_health + (monster.level - 1) * monster.health_per_level;
       await db.run('UPDATE world_npcs SET is_active = 1, current_health = ?, last_killed_at = NULL WHERE id = ?', 
         [maxHealth, monster.id]);
+      publishToArea([{ x: monster.world_x, y: monster.world_y }], 'monster_respawned', {
+        npc_id: monster.id,
+        current_health: maxHealth
+      });
     }
 
     res.json({ message: `${deadMonsters.length} Monster wiederbelebt` });
@@ -0,0 +1,655 @@
+import express from 'express';
+import db from '../database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { InventoryError, addItems, removeItems, addGold, removeGold } from '../helpers/inventory.js';
+import { updateMultipleStats, updateStatistic } from '../helpers/statistics.js';
+import { QUALITY_NAMES, QUALITY_COLORS } from './equipment.js';
+import { sendSystemMessage } from './messages.js';
+
+const router = express.Router();
+
+// Listing duration in hours -> listing fee (share of the highest asked price)
+const AUCTION_DURATIONS = {
+  12: 0.02,
+  24: 0.03,
+  48: 0.05
+};
+const MIN_LISTING_FEE = 1;
+const MAX_ACTIVE_LISTINGS = 20;
+const MIN_BID_INCREMENT = 0.05; // New bids must beat the current bid by 5%
+const PAGE_SIZE = 20;
+const PRICE_HISTORY_DAYS = 30;
+
+class AuctionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuctionError';
+    this.status = status;
+  }
+}
+
+function handleAuctionError(res, error, context, fallbackMessage) {
+  if (error instanceof AuctionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof InventoryError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+const LISTING_SELECT = `
+  SELECT
+    al.*,
+    COALESCE(i.display_name, et.display_name) as display_name,
+    COALESCE(i.image_path, et.image_path) as image_path,
+    COALESCE(i.rarity, et.rarity) as rarity,
+    i.type as item_type,
+    et.slot,
+    et.base_attack,
+    et.base_defense,
+    et.base_health,
+    et.required_level,
+    seller.username as seller_name,
+    bidder.username as bidder_name,
+    (SELECT COUNT(*) FROM auction_bids ab WHERE ab.listing_id = al.id) as bid_count
+  FROM auction_listings al
+  LEFT JOIN items i ON al.item_id = i.id
+  LEFT JOIN equipment_types et ON al.equipment_type_id = et.id
+  JOIN users seller ON al.seller_id = seller.id
+  LEFT JOIN users bidder ON al.current_bidder_id = bidder.id
+`;
+
+function formatListing(listing) {
+  const formatted = {
+    ...listing,
+    min_bid: listing.starting_price !== null ? getMinimumBid(listing) : null
+  };
+  if (listing.listing_type === 'equipment') {
+    formatted.quality_name = QUALITY_NAMES[listing.quality];
+    formatted.quality_color = QUALITY_COLORS[listing.quality];
+    formatted.actual_attack = Math.floor((listing.base_attack || 0) * listing.quality_bonus);
+    formatted.actual_defense = Math.floor((listing.base_defense || 0) * listing.quality_bonus);
+    formatted.actual_health = Math.floor((listing.base_health || 0) * listing.quality_bonus);
+  }
+  return formatted;
+}
+
+function getListingLabel(listing) {
+  if (listing.listing_type === 'equipment') {
+    return `${listing.display_name} (${QUALITY_NAMES[listing.quality]})`;
+  }
+  return `${listing.quantity}x ${listing.display_name}`;
+}
+
+function getMinimumBid(listing) {
+  if (listing.current_bid) {
+    return Math.max(listing.current_bid + 1, Math.ceil(listing.current_bid * (1 + MIN_BID_INCREMENT)));
+  }
+  return listing.starting_price;
+}
+
+function getListingFee(durationHours, price) {
+  return Math.max(MIN_LISTING_FEE, Math.ceil(price * AUCTION_DURATIONS[durationHours]));
+}
+
+async function getListing(listingId) {
+  const listing = await db.get(`${LISTING_SELECT} WHERE al.id = ?`, [listingId]);
+  return listing ? formatListing(listing) : null;
+}
+
+// Load a listing that can still be bid on or bought
+async function getActiveListing(listingId) {
+  const listing = await getListing(listingId);
+  if (!listing) {
+    throw new AuctionError('Auktion nicht gefunden', 404);
+  }
+  if (listing.status !== 'active' || new Date(listing.expires_at) <= new Date()) {
+    throw new AuctionError('Diese Auktion ist bereits beendet');
+  }
+  return listing;
+}
+
+// Put the escrowed goods of a listing into a user's inventory
+async function deliverListing(listing, userId) {
+  if (listing.listing_type === 'equipment') {
+    await db.run(`
+      INSERT INTO user_equipment (user_id, equipment_type_id, quality, quality_bonus)
+      VALUES (?, ?, ?, ?)
+    `, [userId, listing.equipment_type_id, listing.quality, listing.quality_bonus]);
+  } else {
+    await addItems(userId, [{ item_id: listing.item_id, quantity: listing.quantity }]);
+  }
+}
+
+// Close a listing as sold: the seller gets the gold, the buyer the goods.
+// The buyer's gold must already be taken (buyout or escrowed bid).
+async function completeSale(listing, buyerId, price) {
+  const result = await db.run(`
+    UPDATE auction_listings
+    SET status = 'sold', buyer_id = ?, final_price = ?, ended_at = ?
+    WHERE id = ? AND status = 'active'
+  `, [buyerId, price, new Date().toISOString(), listing.id]);
+  if (result.changes === 0) {
+    throw new AuctionError('Diese Auktion ist bereits beendet');
+  }
+
+  await addGold(listing.seller_id, price);
+  await deliverListing(listing, buyerId);
+}
+
+async function notifySale(listing, buyerId, price, viaBuyout) {
+  const label = getListingLabel(listing);
+  const buyer = await db.get('SELECT username FROM users WHERE id = ?', [buyerId]);
+
+  await updateMultipleStats(listing.seller_id, { gold_earned: price, items_sold: listing.quantity });
+  await updateMultipleStats(buyerId, { gold_spent: price, items_bought: listing.quantity });
+
+  await sendSystemMessage(
+    listing.seller_id,
+    `🔨 Verkauft: ${label}`,
+    `${buyer?.username || 'Ein Spieler'} hat ${label} für ${price} Gold ${viaBuyout ? 'sofort gekauft' : 'ersteigert'}.\n\nDas Gold wurde deinem Konto gutgeschrieben.`,
+    'auction',
+    listing.id
+  );
+
+  if (!viaBuyout) {
+    await sendSystemMessage(
+      buyerId,
+      `🔨 Auktion gewonnen: ${label}`,
+      `Du hast ${label} für ${price} Gold ersteigert.\n\nDie Ware wurde in dein Inventar gelegt.`,
+      'auction',
+      listing.id
+    );
+  }
+}
+
+async function notifyOutbid(listing, bidderId, amount, reason) {
+  await sendSystemMessage(
+    bidderId,
+    `🔨 Überboten: ${getListingLabel(listing)}`,
+    `${reason}\n\nDein Gebot von ${amount} Gold wurde dir zurückerstattet.`,
+    'auction',
+    listing.id
+  );
+}
+
+/**
+ * End all auctions whose time is up. Auctions with bids go to the
+ * highest bidder, all others return their goods to the seller.
+ */
+export async function expireAuctions() {
+  try {
+    const expired = await db.all(`
+      ${LISTING_SELECT}
+      WHERE al.status = 'active' AND al.expires_at <= ?
+    `, [new Date().toISOString()]);
+
+    for (const row of expired) {
+      const listing = formatListing(row);
+      try {
+        if (listing.current_bidder_id) {
+          await db.transaction(() => completeSale(listing, listing.current_bidder_id, listing.current_bid));
+          await notifySale(listing, listing.current_bidder_id, listing.current_bid, false);
+          continue;
+        }
+
+        const returned = await db.transaction(async () => {
+          const result = await db.run(`
+            UPDATE auction_listings SET status = 'expired', ended_at = ?
+            WHERE id = ? AND status = 'active'
+          `, [new Date().toISOString(), listing.id]);
+          if (result.changes === 0) return false;
+          await deliverListing(listing, listing.seller_id);
+          return true;
+        });
+
+        if (returned) {
+          await sendSystemMessage(
+            listing.seller_id,
+            `🔨 Auktion abgelaufen: ${getListingLabel(listing)}`,
+            `Für ${getListingLabel(listing)} hat sich kein Käufer gefunden.\n\nDie Ware wurde in dein Inventar zurückgelegt.`,
+            'auction',
+            listing.id
+          );
+        }
+      } catch (error) {
+        console.error(`[Auktionen] Fehler beim Beenden von Auktion ${listing.id}:`, error);
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`[Auktionen] ${expired.length} Auktion(en) beendet`);
+    }
+  } catch (error) {
+    console.error('[Auktionen] Fehler beim Beenden abgelaufener Auktionen:', error);
+  }
+}
+
+// Get listing durations, fees and limits
+router.get('/settings', authenticateToken, async (req, res) => {
+  try {
+    const active = await db.get(
+      "SELECT COUNT(*) as count FROM auction_listings WHERE seller_id = ? AND status = 'active'",
+      [req.user.id]
+    );
+
+    res.json({
+      durations: Object.entries(AUCTION_DURATIONS).map(([hours, feeRate]) => ({
+        hours: parseInt(hours),
+        fee_percent: feeRate * 100
+      })),
+      min_fee: MIN_LISTING_FEE,
+      min_bid_increment_percent: MIN_BID_INCREMENT * 100,
+      max_active_listings: MAX_ACTIVE_LISTINGS,
+      active_listings: active.count
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Get auction settings', 'Serverfehler');
+  }
+});
+
+// Browse active auctions
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { search, type, sort } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+
+    const conditions = ["al.status = 'active'", 'al.expires_at > ?'];
+    const params = [new Date().toISOString()];
+
+    if (search) {
+      conditions.push('COALESCE(i.display_name, et.display_name) LIKE ?');
+      params.push(`%${search}%`);
+    }
+    if (type === 'item' || type === 'equipment') {
+      conditions.push('al.listing_type = ?');
+      params.push(type);
+    }
+
+    const orderBy = {
+      ending: 'al.expires_at ASC',
+      newest: 'al.created_at DESC',
+      price_asc: 'COALESCE(al.buyout_price, al.current_bid, al.starting_price) ASC',
+      price_desc: 'COALESCE(al.buyout_price, al.current_bid, al.starting_price) DESC'
+    }[sort] || 'al.expires_at ASC';
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const total = await db.get(`
+      SELECT COUNT(*) as count
+      FROM auction_listings al
+      LEFT JOIN items i ON al.item_id = i.id
+      LEFT JOIN equipment_types et ON al.equipment_type_id = et.id
+      ${where}
+    `, params);
+
+    const listings = await db.all(`
+      ${LISTING_SELECT}
+      ${where}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `, [...params, PAGE_SIZE, (page - 1) * PAGE_SIZE]);
+
+    res.json({
+      listings: listings.map(formatListing),
+      page,
+      pages: Math.max(1, Math.ceil(total.count / PAGE_SIZE)),
+      total: total.count
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Get auctions', 'Serverfehler beim Laden der Auktionen');
+  }
+});
+
+// Get own listings and auctions the user has bid on
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const listings = await db.all(`
+      ${LISTING_SELECT}
+      WHERE al.seller_id = ?
+      ORDER BY al.status = 'active' DESC, COALESCE(al.ended_at, al.created_at) DESC
+      LIMIT 50
+    `, [userId]);
+
+    const bids = await db.all(`
+      ${LISTING_SELECT}
+      WHERE al.status = 'active'
+        AND al.id IN (SELECT listing_id FROM auction_bids WHERE bidder_id = ?)
+      ORDER BY al.expires_at ASC
+    `, [userId]);
+
+    res.json({
+      listings: listings.map(formatListing),
+      bids: bids.map(listing => ({
+        ...formatListing(listing),
+        is_highest_bidder: listing.current_bidder_id === userId
+      }))
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Get own auctions', 'Serverfehler beim Laden deiner Auktionen');
+  }
+});
+
+// Get the user's purchases and sales
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const history = await db.all(`
+      SELECT
+        al.id,
+        al.listing_type,
+        al.item_id,
+        al.equipment_type_id,
+        al.quantity,
+        al.quality,
+        al.final_price,
+        al.ended_at,
+        COALESCE(i.display_name, et.display_name) as display_name,
+        COALESCE(i.image_path, et.image_path) as image_path,
+        CASE WHEN al.seller_id = ? THEN 'sold' ELSE 'bought' END as direction,
+        CASE WHEN al.seller_id = ? THEN buyer.username ELSE seller.username END as partner_name
+      FROM auction_listings al
+      LEFT JOIN items i ON al.item_id = i.id
+      LEFT JOIN equipment_types et ON al.equipment_type_id = et.id
+      JOIN users seller ON al.seller_id = seller.id
+      LEFT JOIN users buyer ON al.buyer_id = buyer.id
+      WHERE al.status = 'sold' AND (al.seller_id = ? OR al.buyer_id = ?)
+      ORDER BY al.ended_at DESC
+      LIMIT 100
+    `, [userId, userId, userId, userId]);
+
+    res.json({
+      history: history.map(entry => ({
+        ...entry,
+        quality_name: entry.quality ? QUALITY_NAMES[entry.quality] : null
+      }))
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Get auction history', 'Serverfehler beim Laden des Verlaufs');
+  }
+});
+
+// Get the price history of an item or equipment type (price per piece)
+router.get('/prices', authenticateToken, async (req, res) => {
+  try {
+    const itemId = parseInt(req.query.item_id);
+    const equipmentTypeId = parseInt(req.query.equipment_type_id);
+    if (!itemId && !equipmentTypeId) {
+      return res.status(400).json({ error: 'item_id oder equipment_type_id erforderlich' });
+    }
+
+    const column = itemId ? 'item_id' : 'equipment_type_id';
+    const id = itemId || equipmentTypeId;
+    const since = new Date(Date.now() - PRICE_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const daily = await db.all(`
+      SELECT
+        date(ended_at) as day,
+        COUNT(*) as sales,
+        SUM(quantity) as volume,
+        ROUND(SUM(final_price) * 1.0 / SUM(quantity), 2) as avg_price,
+        ROUND(MIN(final_price * 1.0 / quantity), 2) as min_price,
+        ROUND(MAX(final_price * 1.0 / quantity), 2) as max_price
+      FROM auction_listings
+      WHERE status = 'sold' AND ${column} = ? AND ended_at >= ?
+      GROUP BY date(ended_at)
+      ORDER BY day ASC
+    `, [id, since]);
+
+    const recentSales = await db.all(`
+      SELECT quantity, quality, final_price, ended_at
+      FROM auction_listings
+      WHERE status = 'sold' AND ${column} = ?
+      ORDER BY ended_at DESC
+      LIMIT 10
+    `, [id]);
+
+    const current = await db.get(`
+      SELECT
+        COUNT(*) as active_listings,
+        MIN(buyout_price * 1.0 / quantity) as lowest_buyout
+      FROM auction_listings
+      WHERE status = 'active' AND ${column} = ? AND expires_at > ?
+    `, [id, new Date().toISOString()]);
+
+    const totalVolume = daily.reduce((sum, day) => sum + day.volume, 0);
+    const totalGold = await db.get(`
+      SELECT COALESCE(SUM(final_price), 0) as gold
+      FROM auction_listings
+      WHERE status = 'sold' AND ${column} = ? AND ended_at >= ?
+    `, [id, since]);
+
+    res.json({
+      days: PRICE_HISTORY_DAYS,
+      daily,
+      recent_sales: recentSales,
+      average_price: totalVolume > 0 ? Math.round(totalGold.gold / totalVolume * 100) / 100 : null,
+      active_listings: current.active_listings,
+      lowest_buyout: current.lowest_buyout !== null ? Math.round(current.lowest_buyout * 100) / 100 : null
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Get auction prices', 'Serverfehler beim Laden der Preise');
+  }
+});
+
+// Create a listing (goods are held by the auction house until it ends)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { listing_type, item_id, user_equipment_id } = req.body;
+    const quantity = listing_type === 'equipment' ? 1 : parseInt(req.body.quantity);
+    const startingPrice = req.body.starting_price ? parseInt(req.body.starting_price) : null;
+    const buyoutPrice = req.body.buyout_price ? parseInt(req.body.buyout_price) : null;
+    const durationHours = parseInt(req.body.duration_hours);
+
+    if (listing_type !== 'item' && listing_type !== 'equipment') {
+      return res.status(400).json({ error: 'Ungültiger Auktionstyp' });
+    }
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ error: 'Ungültige Menge' });
+    }
+    if (!AUCTION_DURATIONS[durationHours]) {
+      return res.status(400).json({ error: 'Ungültige Laufzeit' });
+    }
+    if (!startingPrice && !buyoutPrice) {
+      return res.status(400).json({ error: 'Startgebot oder Sofortkaufpreis erforderlich' });
+    }
+    if ((startingPrice !== null && startingPrice < 1) || (buyoutPrice !== null && buyoutPrice < 1)) {
+      return res.status(400).json({ error: 'Preise müssen mindestens 1 Gold betragen' });
+    }
+    if (startingPrice && buyoutPrice && buyoutPrice <= startingPrice) {
+      return res.status(400).json({ error: 'Der Sofortkaufpreis muss über dem Startgebot liegen' });
+    }
+
+    const active = await db.get(
+      "SELECT COUNT(*) as count FROM auction_listings WHERE seller_id = ? AND status = 'active'",
+      [userId]
+    );
+    if (active.count >= MAX_ACTIVE_LISTINGS) {
+      return res.status(400).json({ error: `Du kannst maximal ${MAX_ACTIVE_LISTINGS} Auktionen gleichzeitig haben` });
+    }
+
+    const fee = getListingFee(durationHours, Math.max(startingPrice || 0, buyoutPrice || 0));
+    const expiresAt = new Date(Date.now() + durationHours * 60 * 60 * 1000).toISOString();
+
+    const listingId = await db.transaction(async () => {
+      let goods;
+      if (listing_type === 'equipment') {
+        const equipment = await db.get(
+          'SELECT * FROM user_equipment WHERE id = ? AND user_id = ?',
+          [user_equipment_id, userId]
+        );
+        if (!equipment) {
+          throw new AuctionError('Ausrüstung nicht gefunden', 404);
+        }
+        if (equipment.is_equipped) {
+          throw new AuctionError('Angelegte Ausrüstung kann nicht versteigert werden');
+        }
+        await db.run('DELETE FROM user_equipment WHERE id = ?', [equipment.id]);
+        goods = [null, equipment.equipment_type_id, equipment.quality, equipment.quality_bonus];
+      } else {
+        const item = await db.get('SELECT id FROM items WHERE id = ?', [item_id]);
+        if (!item) {
+          throw new AuctionError('Item nicht gefunden', 404);
+        }
+        await removeItems(userId, [{ item_id: item.id, quantity }]);
+        goods = [item.id, null, null, null];
+      }
+
+      await removeGold(userId, fee);
+
+      const result = await db.run(`
+        INSERT INTO auction_listings (
+          seller_id, listing_type, item_id, equipment_type_id, quality, quality_bonus, quantity,
+          starting_price, buyout_price, fee, duration_hours, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [userId, listing_type, ...goods, quantity, startingPrice, buyoutPrice, fee, durationHours, expiresAt]);
+      return result.lastID;
+    });
+
+    await updateStatistic(userId, 'gold_spent', fee);
+
+    const listing = await getListing(listingId);
+    res.json({
+      message: `${getListingLabel(listing)} wird versteigert (Gebühr: ${fee} Gold)`,
+      listing
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Create auction', 'Serverfehler beim Erstellen der Auktion');
+  }
+});
+
+// Place a bid (the bid is held until the user is outbid or the auction ends)
+router.post('/:id/bid', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const amount = parseInt(req.body.amount);
+
+    let previousBid = null;
+    const listing = await db.transaction(async () => {
+      const listing = await getActiveListing(req.params.id);
+      if (listing.seller_id === userId) {
+        throw new AuctionError('Du kannst nicht auf deine eigene Auktion bieten');
+      }
+      if (listing.starting_price === null) {
+        throw new AuctionError('Diese Auktion ist nur per Sofortkauf erhältlich');
+      }
+      if (!amount || amount < listing.min_bid) {
+        throw new AuctionError(`Das Mindestgebot beträgt ${listing.min_bid} Gold`);
+      }
+      if (listing.buyout_price !== null && amount >= listing.buyout_price) {
+        throw new AuctionError('Dein Gebot erreicht den Sofortkaufpreis - nutze stattdessen den Sofortkauf');
+      }
+
+      // Release the previous highest bid (also when the user raises their own bid)
+      if (listing.current_bidder_id) {
+        await addGold(listing.current_bidder_id, listing.current_bid);
+        if (listing.current_bidder_id !== userId) {
+          previousBid = { bidderId: listing.current_bidder_id, amount: listing.current_bid };
+        }
+      }
+      await removeGold(userId, amount);
+
+      await db.run(
+        'UPDATE auction_listings SET current_bid = ?, current_bidder_id = ? WHERE id = ?',
+        [amount, userId, listing.id]
+      );
+      await db.run(
+        'INSERT INTO auction_bids (listing_id, bidder_id, amount) VALUES (?, ?, ?)',
+        [listing.id, userId, amount]
+      );
+      return listing;
+    });
+
+    if (previousBid) {
+      await notifyOutbid(listing, previousBid.bidderId, previousBid.amount, `Für ${getListingLabel(listing)} wurde ein höheres Gebot abgegeben.`);
+    }
+
+    const user = await db.get('SELECT gold FROM users WHERE id = ?', [userId]);
+    res.json({
+      message: `Gebot über ${amount} Gold für ${getListingLabel(listing)} abgegeben`,
+      listing: await getListing(listing.id),
+      newGold: user.gold
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Auction bid', 'Serverfehler beim Bieten');
+  }
+});
+
+// Buy a listing immediately for its buyout price
+router.post('/:id/buyout', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    let previousBid = null;
+    const listing = await db.transaction(async () => {
+      const listing = await getActiveListing(req.params.id);
+      if (listing.seller_id === userId) {
+        throw new AuctionError('Du kannst deine eigene Auktion nicht kaufen');
+      }
+      if (listing.buyout_price === null) {
+        throw new AuctionError('Diese Auktion hat keinen Sofortkaufpreis');
+      }
+
+      if (listing.current_bidder_id) {
+        await addGold(listing.current_bidder_id, listing.current_bid);
+        if (listing.current_bidder_id !== userId) {
+          previousBid = { bidderId: listing.current_bidder_id, amount: listing.current_bid };
+        }
+      }
+      await removeGold(userId, listing.buyout_price);
+      await completeSale(listing, userId, listing.buyout_price);
+      return listing;
+    });
+
+    await notifySale(listing, userId, listing.buyout_price, true);
+    if (previousBid) {
+      await notifyOutbid(listing, previousBid.bidderId, previousBid.amount, `${getListingLabel(listing)} wurde per Sofortkauf verkauft.`);
+    }
+
+    const user = await db.get('SELECT gold FROM users WHERE id = ?', [userId]);
+    res.json({
+      message: `${getListingLabel(listing)} für ${listing.buyout_price} Gold gekauft!`,
+      newGold: user.gold
+    });
+  } catch (error) {
+    handleAuctionError(res, error, 'Auction buyout', 'Serverfehler beim Sofortkauf');
+  }
+});
+
+// Cancel an own listing without bids (the listing fee is not refunded)
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const listing = await db.transaction(async () => {
+      const listing = await getListing(req.params.id);
+      if (!listing || listing.seller_id !== userId) {
+        throw new AuctionError('Auktion nicht gefunden', 404);
+      }
+      if (listing.status !== 'active') {
+        throw new AuctionError('Diese Auktion ist bereits beendet');
+      }
+      if (listing.current_bidder_id) {
+        throw new AuctionError('Auktionen mit Geboten können nicht abgebrochen werden');
+      }
+
+      await db.run(
+        "UPDATE auction_listings SET status = 'cancelled', ended_at = ? WHERE id = ?",
+        [new Date().toISOString(), listing.id]
+      );
+      await deliverListing(listing, userId);
+      return listing;
+    });
+
+    res.json({ message: `Auktion abgebrochen, ${getListingLabel(listing)} zurück im Inventar` });
+  } catch (error) {
+    handleAuctionError(res, error, 'Cancel auction', 'Serverfehler beim Abbrechen der Auktion');
+  }
+});
+
+export default router;
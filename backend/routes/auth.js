@@ -8,6 +8,7 @@ import { sendActivationEmail, sendPasswordResetEmail } from '../utils/email.js';
 import { sendDiscordRegistrationNotification } from '../utils/discord.js';
 import { updateStatistic, updateQuestObjectiveProgress } from '../helpers/statistics.js';
 import { getClientIP } from '../utils/network.js';
+import { claimHomeSpawn } from '../helpers/worldRegions.js';
 
 const router = express.Router();
 
@@ -100,6 +101,15 @@ router.post('/register', async (req, res) => {
       [username, email, passwordHash, 'user', worldX, worldY, worldX, worldY, registrationIP]
     );
 
+    // Free home spots of imported regions are handed out before random coordinates
+    const homeSpawn = await claimHomeSpawn(result.lastID);
+    if (homeSpawn) {
+      await db.run(
+        'UPDATE users SET world_x = ?, world_y = ?, home_x = ?, home_y = ? WHERE id = ?',
+        [homeSpawn.world_x, homeSpawn.world_y, homeSpawn.world_x, homeSpawn.world_y, result.lastID]
+      );
+    }
+
     // Create initial workbench
     await db.run(
       'INSERT INTO user_workbench (user_id, level) VALUES (?, 1)',
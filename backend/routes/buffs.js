@@ -660,6 +660,9 @@ export async function getBuffMultipliers(userId) {
         case 'craft_speed':
           multipliers.craftSpeed += effectAmount / 100;
           break;
+        case 'regen_percent':
+          multipliers.regen += effectAmount / 100;
+          break;
         case 'all_stats':
           const allBonus = effectAmount / 100;
           multipliers.attack += allBonus;
@@ -691,7 +694,8 @@ function getDefaultMultipliers() {
     exp: 1.0,
     gold: 1.0,
     gatherSpeed: 1.0,
-    craftSpeed: 1.0
+    craftSpeed: 1.0,
+    regen: 1.0
   };
 }
 
@@ -2,6 +2,11 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { trackBuilding } from '../helpers/statistics.js';
+import { InventoryError, removeItems } from '../helpers/inventory.js';
+import { JobError, registerJobHandler, isUserAtHome, startJob } from '../helpers/jobs.js';
+import { PropertyError, ensurePlacements, getPropertyLayout, placeBuilding, storeBuilding } from '../helpers/property.js';
+import { ProductionError, settleProduction, getProductionOverview, collectProduction } from '../helpers/production.js';
+import { getMissingPrerequisites, getTechTree } from '../helpers/techTree.js';
 
 const router = express.Router();
 
@@ -85,266 +90,163 @@ router.get('/my-buildings', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper: Check if user has any active job that is NOT ready to collect
-async function hasActiveJob(userId) {
-  const now = new Date().toISOString();
-  
-  // Check collection jobs - only if not yet completed
-  const collectionJob = await db.get(
-    "SELECT id FROM collection_jobs WHERE user_id = ? AND status IN ('active', 'paused') AND completed_at > ?",
-    [userId, now]
-  );
-  if (collectionJob) return { active: true, type: 'Sammel-Auftrag' };
-  
-  // Check building jobs - only if not yet completed
-  const buildingJob = await db.get(
-    "SELECT id FROM building_jobs WHERE user_id = ? AND status IN ('active', 'paused') AND completed_at > ?",
-    [userId, now]
-  );
-  if (buildingJob) return { active: true, type: 'Bau-/Upgrade-Auftrag' };
-  
-  // Check crafting jobs - only if not yet finished
-  const craftingJob = await db.get(
-    "SELECT id, finish_at, paused_at FROM crafting_jobs WHERE user_id = ? AND is_completed = 0",
-    [userId]
-  );
-  if (craftingJob) {
-    if (craftingJob.paused_at) {
-      return { active: true, type: 'Herstellungs-Auftrag (pausiert)' };
-    }
-    if (new Date(craftingJob.finish_at) > new Date()) {
-      return { active: true, type: 'Herstellungs-Auftrag' };
-    }
+// Get the build or upgrade requirements of a building, including what the user owns
+async function getBuildingRequirements(userId, buildingId, jobType, newLevel) {
+  const buildRequirements = () => db.all(`
+    SELECT 
+      br.item_id,
+      br.quantity,
+      i.display_name,
+      COALESCE(inv.quantity, 0) as user_quantity
+    FROM building_requirements br
+    JOIN items i ON br.item_id = i.id
+    LEFT JOIN user_inventory inv ON i.id = inv.item_id AND inv.user_id = ?
+    WHERE br.building_id = ? AND br.requirement_type = 'build'
+  `, [userId, buildingId]);
+
+  if (jobType === 'build') {
+    return buildRequirements();
   }
-  
-  return { active: false };
-}
 
-// Build a building
-router.post('/build/:buildingId', authenticateToken, async (req, res) => {
-  try {
-    const buildingId = parseInt(req.params.buildingId);
-    
-    // Check if player is at home (their Grundstück)
-    const user = await db.get('SELECT world_x, world_y, home_x, home_y FROM users WHERE id = ?', [req.user.id]);
-    if (!user) {
-      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
-    }
-
-    const homeX = user.home_x ?? user.world_x;
-    const homeY = user.home_y ?? user.world_y;
-    const distanceFromHome = Math.sqrt(Math.pow(user.world_x - homeX, 2) + Math.pow(user.world_y - homeY, 2));
-    if (distanceFromHome > 50) {
-      return res.status(400).json({ 
-        error: 'Du musst zu Hause sein um zu bauen! Reise zuerst zu deinem Grundstück.',
-        notAtHome: true
-      });
-    }
-
-    // Check if building exists
-    const building = await db.get('SELECT * FROM buildings WHERE id = ?', [buildingId]);
-    if (!building) {
-      return res.status(404).json({ error: 'Gebäude nicht gefunden' });
-    }
-
-    // Check if already built
-    const existing = await db.get(
-      'SELECT * FROM user_buildings WHERE user_id = ? AND building_id = ?',
-      [req.user.id, buildingId]
-    );
-    if (existing) {
-      return res.status(400).json({ error: 'Gebäude bereits gebaut' });
-    }
+  // Get upgrade requirements for this level
+  const upgradeRequirements = await db.all(`
+    SELECT 
+      br.item_id,
+      br.quantity,
+      i.display_name,
+      COALESCE(inv.quantity, 0) as user_quantity
+    FROM building_requirements br
+    JOIN items i ON br.item_id = i.id
+    LEFT JOIN user_inventory inv ON i.id = inv.item_id AND inv.user_id = ?
+    WHERE br.building_id = ? 
+      AND br.requirement_type = 'upgrade' 
+      AND (br.level = ? OR br.level = 0)
+  `, [userId, buildingId, newLevel]);
+
+  if (upgradeRequirements.length > 0) {
+    return upgradeRequirements;
+  }
 
-    // Check if user has ANY active job
-    const jobCheck = await hasActiveJob(req.user.id);
-    if (jobCheck.active) {
-      return res.status(400).json({ 
-        error: `Du hast bereits einen aktiven ${jobCheck.type}. Schließe ihn zuerst ab!`,
-        hasActiveJob: true
-      });
-    }
+  // If no specific upgrade requirements, use build requirements * level multiplier (minimum 1)
+  const multiplier = Math.max(1, Math.floor(newLevel * 0.5));
+  return (await buildRequirements()).map(req => ({
+    ...req,
+    quantity: req.quantity * multiplier
+  }));
+}
 
-    // Check requirements (only build requirements)
-    const requirements = await db.all(`
-      SELECT 
-        br.item_id,
-        br.quantity,
-        i.display_name,
-        COALESCE(inv.quantity, 0) as user_quantity
-      FROM building_requirements br
-      JOIN items i ON br.item_id = i.id
-      LEFT JOIN user_inventory inv ON i.id = inv.item_id AND inv.user_id = ?
-      WHERE br.building_id = ? AND br.requirement_type = 'build'
-    `, [req.user.id, buildingId]);
+// Check that a building can be built or upgraded and return the job details
+async function prepareBuildingJob(userId, buildingId, jobType) {
+  const building = await db.get('SELECT * FROM buildings WHERE id = ?', [buildingId]);
+  if (!building) {
+    throw new JobError('Gebäude nicht gefunden', {}, 404);
+  }
 
-    const missing = [];
-    for (const reqItem of requirements) {
-      if (reqItem.user_quantity < reqItem.quantity) {
-        missing.push({
-          item: reqItem.display_name,
-          required: reqItem.quantity,
-          have: reqItem.user_quantity
-        });
-      }
-    }
+  // One build or upgrade per building at a time, the next one starts from the finished level
+  const runningJob = await db.get(
+    "SELECT id FROM building_jobs WHERE user_id = ? AND building_id = ? AND status IN ('active', 'paused')",
+    [userId, buildingId]
+  );
+  if (runningJob) {
+    throw new JobError(`${building.display_name} wird bereits gebaut. Hole den Auftrag zuerst ab!`, { hasActiveJob: true });
+  }
 
-    if (missing.length > 0) {
-      return res.status(400).json({ 
-        error: 'Nicht genug Ressourcen',
-        missing 
-      });
-    }
+  const userBuilding = await db.get(
+    'SELECT * FROM user_buildings WHERE user_id = ? AND building_id = ?',
+    [userId, buildingId]
+  );
 
-    // Deduct resources
-    for (const reqItem of requirements) {
-      await db.run(`
-        UPDATE user_inventory
-        SET quantity = quantity - ?
-        WHERE user_id = ? AND item_id = ?
-      `, [reqItem.quantity, req.user.id, reqItem.item_id]);
-      
-      // Remove item if quantity reaches 0
-      await db.run(`
-        DELETE FROM user_inventory
-        WHERE user_id = ? AND item_id = ? AND quantity <= 0
-      `, [req.user.id, reqItem.item_id]);
+  if (jobType === 'build') {
+    if (userBuilding) {
+      throw new JobError('Gebäude bereits gebaut');
     }
+    return { building, targetLevel: 1, durationMinutes: building.build_duration_minutes || 5 };
+  }
 
-    // Create building job
-    const durationMinutes = building.build_duration_minutes || 5;
-    const startedAt = new Date();
-    const completedAt = new Date(startedAt.getTime() + durationMinutes * 60000);
+  if (!userBuilding) {
+    throw new JobError('Gebäude nicht gefunden oder nicht gebaut', {}, 404);
+  }
 
-    const job = await db.run(`
-      INSERT INTO building_jobs (user_id, building_id, job_type, target_level, duration_minutes, started_at, completed_at, status)
-      VALUES (?, ?, 'build', 1, ?, ?, ?, 'active')
-    `, [req.user.id, buildingId, durationMinutes, startedAt.toISOString(), completedAt.toISOString()]);
-
-    res.json({ 
-      message: `Bau von ${building.display_name} gestartet!`,
-      job: {
-        id: job.lastID,
-        duration_minutes: durationMinutes,
-        completed_at: completedAt.toISOString()
-      }
+  // Check max level (use COALESCE to handle NULL values)
+  const maxLevel = building.max_level || 5;
+  if (userBuilding.level >= maxLevel) {
+    throw new JobError(`Gebäude ist bereits auf maximalem Level (${maxLevel})`, {
+      max_level: maxLevel,
+      current_level: userBuilding.level
     });
-  } catch (error) {
-    console.error('Build building error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Bauen' });
   }
-});
 
-// Upgrade a building
-router.post('/upgrade/:buildingId', authenticateToken, async (req, res) => {
-  try {
-    const buildingId = parseInt(req.params.buildingId);
-    
-    // Check if player is at home (their Grundstück)
-    const user = await db.get('SELECT world_x, world_y, home_x, home_y FROM users WHERE id = ?', [req.user.id]);
-    if (!user) {
-      return res.status(404).json({ error: 'Benutzer nicht gefunden' });
-    }
+  return { building, targetLevel: userBuilding.level + 1, durationMinutes: building.upgrade_duration_minutes || 3 };
+}
 
-    const homeX = user.home_x ?? user.world_x;
-    const homeY = user.home_y ?? user.world_y;
-    const distanceFromHome = Math.sqrt(Math.pow(user.world_x - homeX, 2) + Math.pow(user.world_y - homeY, 2));
-    if (distanceFromHome > 50) {
-      return res.status(400).json({ 
-        error: 'Du musst zu Hause sein um zu upgraden! Reise zuerst zu deinem Grundstück.',
-        notAtHome: true
-      });
-    }
+registerJobHandler('building', {
+  label: 'Bau-/Upgrade-Auftrag',
+  table: 'building_jobs',
+  requiresHome: true,
 
-    // Get building info
-    const building = await db.get('SELECT * FROM buildings WHERE id = ?', [buildingId]);
+  async list(userId) {
+    return db.all(`
+      SELECT 
+        bj.id,
+        b.display_name as name,
+        b.display_name as building_name,
+        bj.building_id,
+        bj.job_type,
+        bj.target_level,
+        bj.duration_minutes,
+        bj.started_at,
+        bj.completed_at as finish_at,
+        bj.status,
+        bj.paused_at,
+        bj.remaining_seconds
+      FROM building_jobs bj
+      JOIN buildings b ON bj.building_id = b.id
+      WHERE bj.user_id = ? AND bj.status IN ('active', 'paused')
+      ORDER BY bj.started_at
+    `, [userId]);
+  },
+
+  async listDue(now) {
+    return db.all(`
+      SELECT bj.id, bj.user_id, b.display_name as name
+      FROM building_jobs bj
+      JOIN buildings b ON bj.building_id = b.id
+      WHERE bj.status = 'active' AND bj.completed_at <= ? AND bj.notified_at IS NULL
+    `, [now]);
+  },
+
+  async describe(userId, params) {
+    const jobType = params.job_type === 'upgrade' ? 'upgrade' : 'build';
+    const building = await db.get('SELECT display_name FROM buildings WHERE id = ?', [params.building_id]);
     if (!building) {
-      return res.status(404).json({ error: 'Gebäude nicht gefunden' });
-    }
-    
-    // Check if building is built
-    const userBuilding = await db.get(
-      'SELECT * FROM user_buildings WHERE user_id = ? AND building_id = ?',
-      [req.user.id, buildingId]
-    );
-    if (!userBuilding) {
-      return res.status(404).json({ error: 'Gebäude nicht gefunden oder nicht gebaut' });
+      throw new JobError('Gebäude nicht gefunden', {}, 404);
     }
+    return jobType === 'build' ? `${building.display_name} bauen` : `${building.display_name} aufwerten`;
+  },
 
-    // Check if user has ANY active job
-    const jobCheck = await hasActiveJob(req.user.id);
-    if (jobCheck.active) {
-      return res.status(400).json({ 
-        error: `Du hast bereits einen aktiven ${jobCheck.type}. Schließe ihn zuerst ab!`,
-        hasActiveJob: true
-      });
-    }
+  async start(userId, params) {
+    const buildingId = parseInt(params.building_id);
+    const jobType = params.job_type === 'upgrade' ? 'upgrade' : 'build';
 
-    // Check max level (use COALESCE to handle NULL values)
-    const maxLevel = building.max_level || 5;
-    if (userBuilding.level >= maxLevel) {
-      return res.status(400).json({ 
-        error: `Gebäude ist bereits auf maximalem Level (${maxLevel})`,
-        max_level: maxLevel,
-        current_level: userBuilding.level
-      });
-    }
-    
-    // Also check if level somehow exceeds max (safety check)
-    if (userBuilding.level > maxLevel) {
-      // Auto-fix: set to max level
-      await db.run(`
-        UPDATE user_buildings
-        SET level = ?
-        WHERE user_id = ? AND building_id = ?
-      `, [maxLevel, req.user.id, buildingId]);
-      return res.status(400).json({ 
-        error: `Gebäude-Level wurde auf maximales Level (${maxLevel}) korrigiert`,
-        max_level: maxLevel,
-        corrected_level: maxLevel
-      });
+    // Check if player is at home (their Grundstück)
+    if (!(await isUserAtHome(userId))) {
+      throw new JobError(
+        jobType === 'build'
+          ? 'Du musst zu Hause sein um zu bauen! Reise zuerst zu deinem Grundstück.'
+          : 'Du musst zu Hause sein um zu upgraden! Reise zuerst zu deinem Grundstück.',
+        { notAtHome: true }
+      );
     }
 
-    const newLevel = userBuilding.level + 1;
-    
-    // Get upgrade requirements for this level
-    const upgradeRequirements = await db.all(`
-      SELECT 
-        br.item_id,
-        br.quantity,
-        i.display_name,
-        COALESCE(inv.quantity, 0) as user_quantity
-      FROM building_requirements br
-      JOIN items i ON br.item_id = i.id
-      LEFT JOIN user_inventory inv ON i.id = inv.item_id AND inv.user_id = ?
-      WHERE br.building_id = ? 
-        AND br.requirement_type = 'upgrade' 
-        AND (br.level = ? OR br.level = 0)
-    `, [req.user.id, buildingId, newLevel]);
-    
-    // If no specific upgrade requirements, use build requirements * level multiplier
-    let requirements = upgradeRequirements;
-    if (requirements.length === 0) {
-      const baseRequirements = await db.all(`
-        SELECT 
-          br.item_id,
-          br.quantity,
-          i.display_name,
-          COALESCE(inv.quantity, 0) as user_quantity
-        FROM building_requirements br
-        JOIN items i ON br.item_id = i.id
-        LEFT JOIN user_inventory inv ON i.id = inv.item_id AND inv.user_id = ?
-        WHERE br.building_id = ? AND br.requirement_type = 'build'
-      `, [req.user.id, buildingId]);
-      
-      // Multiply by level (minimum 1)
-      const multiplier = Math.max(1, Math.floor(newLevel * 0.5));
-      requirements = baseRequirements.map(req => ({
-        ...req,
-        quantity: req.quantity * multiplier
-      }));
+    const { building, targetLevel, durationMinutes } = await prepareBuildingJob(userId, buildingId, jobType);
+
+    const missingPrerequisites = await getMissingPrerequisites(userId, buildingId, targetLevel);
+    if (missingPrerequisites.length > 0) {
+      throw new JobError(`Voraussetzungen fehlen: ${missingPrerequisites.join(', ')}`, { prerequisites: missingPrerequisites });
     }
 
+    const requirements = await getBuildingRequirements(userId, buildingId, jobType, targetLevel);
+
     const missing = [];
     for (const reqItem of requirements) {
       if (reqItem.user_quantity < reqItem.quantity) {
@@ -357,162 +259,53 @@ router.post('/upgrade/:buildingId', authenticateToken, async (req, res) => {
     }
 
     if (missing.length > 0) {
-      return res.status(400).json({ 
-        error: 'Nicht genug Ressourcen für das Upgrade',
-        missing 
-      });
+      throw new JobError(jobType === 'build' ? 'Nicht genug Ressourcen' : 'Nicht genug Ressourcen für das Upgrade', { missing });
     }
 
     // Deduct resources
-    for (const reqItem of requirements) {
-      await db.run(`
-        UPDATE user_inventory
-        SET quantity = quantity - ?
-        WHERE user_id = ? AND item_id = ?
-      `, [reqItem.quantity, req.user.id, reqItem.item_id]);
-      
-      // Remove item if quantity reaches 0
-      await db.run(`
-        DELETE FROM user_inventory
-        WHERE user_id = ? AND item_id = ? AND quantity <= 0
-      `, [req.user.id, reqItem.item_id]);
-    }
-    
-    // Create upgrade job
-    const durationMinutes = building.upgrade_duration_minutes || 3;
+    await removeItems(userId, requirements);
+
+    // Create building job
     const startedAt = new Date();
     const completedAt = new Date(startedAt.getTime() + durationMinutes * 60000);
 
     const job = await db.run(`
       INSERT INTO building_jobs (user_id, building_id, job_type, target_level, duration_minutes, started_at, completed_at, status)
-      VALUES (?, ?, 'upgrade', ?, ?, ?, ?, 'active')
-    `, [req.user.id, buildingId, newLevel, durationMinutes, startedAt.toISOString(), completedAt.toISOString()]);
-
-    res.json({ 
-      message: `Upgrade von ${building.display_name} auf Level ${newLevel} gestartet!`,
-      job: {
-        id: job.lastID,
-        duration_minutes: durationMinutes,
-        completed_at: completedAt.toISOString()
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'active')
+    `, [userId, buildingId, jobType, targetLevel, durationMinutes, startedAt.toISOString(), completedAt.toISOString()]);
+
+    return {
+      job: { id: job.lastID, name: building.display_name, finish_at: completedAt },
+      result: {
+        message: jobType === 'build'
+          ? `Bau von ${building.display_name} gestartet!`
+          : `Upgrade von ${building.display_name} auf Level ${targetLevel} gestartet!`,
+        job: {
+          id: job.lastID,
+          duration_minutes: durationMinutes,
+          completed_at: completedAt.toISOString()
+        }
       }
-    });
-  } catch (error) {
-    console.error('Upgrade building error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Aufwerten' });
-  }
-});
-
-// Helper: Check if user is at home
-async function isUserAtHome(userId) {
-  const user = await db.get('SELECT world_x, world_y, home_x, home_y FROM users WHERE id = ?', [userId]);
-  if (!user) return false;
-  const homeX = user.home_x ?? 0;
-  const homeY = user.home_y ?? 0;
-  const distance = Math.sqrt(
-    Math.pow((user.world_x || 0) - homeX, 2) + 
-    Math.pow((user.world_y || 0) - homeY, 2)
-  );
-  return distance <= 50;
-}
-
-// Get building job status
-router.get('/job/status', authenticateToken, async (req, res) => {
-  try {
-    let job = await db.get(`
-      SELECT 
-        bj.*,
-        b.display_name as building_name
-      FROM building_jobs bj
-      JOIN buildings b ON bj.building_id = b.id
-      WHERE bj.user_id = ? AND bj.status IN ('active', 'paused')
-      ORDER BY bj.started_at DESC
-      LIMIT 1
-    `, [req.user.id]);
-
-    if (!job) {
-      return res.json({ job: null });
-    }
-
-    const now = new Date();
-    const atHome = await isUserAtHome(req.user.id);
-
-    // Resume paused job if user is at home
-    if (job.status === 'paused' && atHome && job.remaining_seconds) {
-      const newCompletedAt = new Date(now.getTime() + job.remaining_seconds * 1000);
-      await db.run(`
-        UPDATE building_jobs 
-        SET status = 'active', paused_at = NULL, remaining_seconds = NULL, completed_at = ?
-        WHERE id = ?
-      `, [newCompletedAt.toISOString(), job.id]);
-      job.status = 'active';
-      job.completed_at = newCompletedAt.toISOString();
-      job.paused_at = null;
-    }
-
-    // Pause active job if user left home
-    if (job.status === 'active' && !atHome) {
-      const completedAt = new Date(job.completed_at);
-      const remainingMs = Math.max(0, completedAt.getTime() - now.getTime());
-      const remainingSeconds = Math.ceil(remainingMs / 1000);
-      await db.run(`
-        UPDATE building_jobs 
-        SET status = 'paused', paused_at = ?, remaining_seconds = ?
-        WHERE id = ?
-      `, [now.toISOString(), remainingSeconds, job.id]);
-      job.status = 'paused';
-      job.paused_at = now.toISOString();
-      job.remaining_seconds = remainingSeconds;
-    }
-
-    const completedAt = new Date(job.completed_at);
-    let isCompleted = false;
-    let timeRemainingSeconds = 0;
-
-    if (job.status === 'paused') {
-      timeRemainingSeconds = job.remaining_seconds;
-    } else {
-      isCompleted = now >= completedAt;
-      timeRemainingSeconds = isCompleted ? 0 : Math.max(0, Math.floor((completedAt - now) / 1000));
-    }
-
-    res.json({
-      job: {
-        ...job,
-        is_completed: isCompleted,
-        is_paused: job.status === 'paused',
-        time_remaining_seconds: timeRemainingSeconds
-      }
-    });
-  } catch (error) {
-    console.error('Get job status error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Laden des Job-Status' });
-  }
-});
+    };
+  },
 
-// Claim completed building job
-router.post('/job/claim', authenticateToken, async (req, res) => {
-  try {
-    const job = await db.get(`
-      SELECT * FROM building_jobs
-      WHERE user_id = ? AND status = 'active'
-      ORDER BY started_at DESC
-      LIMIT 1
-    `, [req.user.id]);
-
-    if (!job) {
-      return res.status(404).json({ error: 'Kein aktiver Job gefunden' });
-    }
+  async pause(job, remainingSeconds, now) {
+    await db.run(`
+      UPDATE building_jobs 
+      SET status = 'paused', paused_at = ?, remaining_seconds = ?
+      WHERE id = ?
+    `, [now.toISOString(), remainingSeconds, job.id]);
+  },
 
-    const now = new Date();
-    const completedAt = new Date(job.completed_at);
-    
-    if (now < completedAt) {
-      return res.status(400).json({ 
-        error: 'Job ist noch nicht fertig',
-        time_remaining_seconds: Math.floor((completedAt - now) / 1000)
-      });
-    }
+  async resume(job, finishAt) {
+    await db.run(`
+      UPDATE building_jobs 
+      SET status = 'active', paused_at = NULL, remaining_seconds = NULL, completed_at = ?
+      WHERE id = ?
+    `, [finishAt.toISOString(), job.id]);
+  },
 
+  async complete(userId, job) {
     const building = await db.get('SELECT * FROM buildings WHERE id = ?', [job.building_id]);
 
     if (job.job_type === 'build') {
@@ -521,14 +314,17 @@ router.post('/job/claim', authenticateToken, async (req, res) => {
         INSERT INTO user_buildings (user_id, building_id, level)
         VALUES (?, ?, 1)
         ON CONFLICT(user_id, building_id) DO NOTHING
-      `, [req.user.id, job.building_id]);
+      `, [userId, job.building_id]);
+      await settleProduction(userId, job.building_id);
     } else if (job.job_type === 'upgrade') {
+      // Output so far still counts at the old level's rate
+      await settleProduction(userId, job.building_id);
       // Upgrade the building
       await db.run(`
         UPDATE user_buildings
         SET level = ?
         WHERE user_id = ? AND building_id = ?
-      `, [job.target_level, req.user.id, job.building_id]);
+      `, [job.target_level, userId, job.building_id]);
     }
 
     // Mark job as claimed
@@ -539,9 +335,9 @@ router.post('/job/claim', authenticateToken, async (req, res) => {
     `, [job.id]);
 
     // Track building statistics
-    await trackBuilding(req.user.id, job.building_id, job.job_type === 'upgrade');
+    await trackBuilding(userId, job.building_id, job.job_type === 'upgrade');
 
-    res.json({
+    return {
       message: job.job_type === 'build' 
         ? `${building.display_name} erfolgreich gebaut!`
         : `${building.display_name} erfolgreich auf Level ${job.target_level} aufgewertet!`,
@@ -551,32 +347,135 @@ router.post('/job/claim', authenticateToken, async (req, res) => {
         display_name: building.display_name
       },
       level: job.job_type === 'upgrade' ? job.target_level : 1
+    };
+  }
+});
+
+// Build a building
+router.post('/build/:buildingId', authenticateToken, async (req, res) => {
+  try {
+    const result = await startJob(req.user.id, 'building', {
+      building_id: parseInt(req.params.buildingId),
+      job_type: 'build'
     });
+    res.json(result);
   } catch (error) {
-    console.error('Claim job error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Abholen' });
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: 'Nicht genug Ressourcen' });
+    }
+    console.error('Build building error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Bauen' });
   }
 });
 
-// Get property settings and hotspots (for property page)
-router.get('/property', authenticateToken, async (req, res) => {
+// Upgrade a building
+router.post('/upgrade/:buildingId', authenticateToken, async (req, res) => {
   try {
-    const settings = await db.get('SELECT * FROM property_settings ORDER BY id DESC LIMIT 1');
-    const hotspots = await db.all('SELECT * FROM property_hotspots ORDER BY sort_order, building_name');
-    
-    console.log('[PROPERTY] Loading for user:', { 
-      settingsCount: settings ? 1 : 0, 
-      hotspotsCount: hotspots?.length || 0 
-    });
-    
-    res.json({ 
-      settings: settings || { image_path: '/buildings/huette1.jpg' },
-      hotspots: hotspots || []
+    const result = await startJob(req.user.id, 'building', {
+      building_id: parseInt(req.params.buildingId),
+      job_type: 'upgrade'
     });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: 'Nicht genug Ressourcen' });
+    }
+    console.error('Upgrade building error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Aufwerten' });
+  }
+});
+
+// Get the building tech tree with the user's locked/unlocked state
+router.get('/tech-tree', authenticateToken, async (req, res) => {
+  try {
+    const techTree = await getTechTree(req.user.id);
+    res.json(techTree);
+  } catch (error) {
+    console.error('Get tech tree error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden des Technologiebaums' });
+  }
+});
+
+// Get the user's own property layout (plot size, placed and unplaced buildings)
+router.get('/property', authenticateToken, async (req, res) => {
+  try {
+    // Newly built buildings get a spot on the plot when the owner looks at it
+    await ensurePlacements(req.user.id);
+    const layout = await getPropertyLayout(req.user.id);
+    res.json(layout);
   } catch (error) {
     console.error('[PROPERTY] Get property error:', error);
     res.status(500).json({ error: 'Serverfehler: ' + error.message });
   }
 });
 
+// Place, move or rotate a built building on the plot
+router.put('/property/buildings/:buildingId', authenticateToken, async (req, res) => {
+  try {
+    await placeBuilding(req.user.id, parseInt(req.params.buildingId), req.body);
+    res.json({ message: 'Gebäude platziert', layout: await getPropertyLayout(req.user.id) });
+  } catch (error) {
+    if (error instanceof PropertyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[PROPERTY] Place building error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Platzieren' });
+  }
+});
+
+// Take a building off the plot to make room
+router.delete('/property/buildings/:buildingId', authenticateToken, async (req, res) => {
+  try {
+    await storeBuilding(req.user.id, parseInt(req.params.buildingId));
+    res.json({ message: 'Gebäude vom Grundstück genommen', layout: await getPropertyLayout(req.user.id) });
+  } catch (error) {
+    if (error instanceof PropertyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[PROPERTY] Store building error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Get the output of the user's production buildings
+router.get('/production', authenticateToken, async (req, res) => {
+  try {
+    const production = await getProductionOverview(req.user.id);
+    res.json({ production });
+  } catch (error) {
+    console.error('[PRODUCTION] Get production error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden der Produktion' });
+  }
+});
+
+// Collect the stored output of a production building
+router.post('/production/:buildingId/collect', authenticateToken, async (req, res) => {
+  try {
+    if (!(await isUserAtHome(req.user.id))) {
+      return res.status(400).json({ error: 'Du musst zu Hause sein um abzuholen! Reise zuerst zu deinem Grundstück.' });
+    }
+
+    const result = await collectProduction(req.user.id, parseInt(req.params.buildingId));
+    res.json({
+      message: result.consumed
+        ? `${result.quantity}x ${result.item.display_name} abgeholt (${result.consumed.quantity}x ${result.consumed.display_name} verarbeitet)`
+        : `${result.quantity}x ${result.item.display_name} abgeholt`,
+      ...result,
+      production: await getProductionOverview(req.user.id)
+    });
+  } catch (error) {
+    if (error instanceof ProductionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[PRODUCTION] Collect error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Abholen' });
+  }
+});
+
 export default router;
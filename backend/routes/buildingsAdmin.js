@@ -2,6 +2,7 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requirePermission } from '../middleware/permissions.js';
+import { PREREQUISITE_TYPES, TechTreeError, assertNoCycle, describePrerequisite } from '../helpers/techTree.js';
 
 const router = express.Router();
 
@@ -22,7 +23,9 @@ router.get('/', authenticateToken, requirePermission('manage_items'), async (req
         b.unlock_order,
         b.max_level,
         b.build_duration_minutes,
-        b.upgrade_duration_minutes
+        b.upgrade_duration_minutes,
+        b.grid_width,
+        b.grid_height
       FROM buildings b
       ORDER BY b.unlock_order
     `);
@@ -63,6 +66,33 @@ router.get('/', authenticateToken, requirePermission('manage_items'), async (req
 
       building.build_requirements = buildRequirements;
       building.upgrade_requirements = upgradeRequirements;
+      building.production = await db.all(`
+        SELECT 
+          bp.*,
+          oi.display_name as output_display_name,
+          ii.display_name as input_display_name
+        FROM building_production bp
+        JOIN items oi ON bp.output_item_id = oi.id
+        LEFT JOIN items ii ON bp.input_item_id = ii.id
+        WHERE bp.building_id = ?
+        ORDER BY bp.level
+      `, [building.id]);
+
+      const prerequisites = await db.all(`
+        SELECT 
+          bp.*,
+          rb.display_name as required_building_name,
+          q.display_name as required_quest_name
+        FROM building_prerequisites bp
+        LEFT JOIN buildings rb ON bp.required_building_id = rb.id
+        LEFT JOIN quests q ON bp.required_quest_id = q.id
+        WHERE bp.building_id = ?
+        ORDER BY bp.level, bp.id
+      `, [building.id]);
+      building.prerequisites = prerequisites.map(prerequisite => ({
+        ...prerequisite,
+        label: describePrerequisite(prerequisite)
+      }));
     }
 
     res.json({ buildings });
@@ -153,6 +183,183 @@ router.delete('/requirements/:requirementId', authenticateToken, requirePermissi
   }
 });
 
+// Add/Update the production of a building from a level on (one row per level)
+router.post('/:buildingId/production', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const buildingId = parseInt(req.params.buildingId);
+    const level = Math.max(1, parseInt(req.body.level) || 1);
+    const outputItemId = parseInt(req.body.output_item_id);
+    const outputPerHour = parseFloat(req.body.output_per_hour);
+    const storageCap = parseInt(req.body.storage_cap);
+    const inputItemId = parseInt(req.body.input_item_id) || null;
+    const inputQuantity = inputItemId ? parseInt(req.body.input_quantity) || 0 : 0;
+
+    if (!outputItemId || !(outputPerHour > 0) || !(storageCap >= 1)) {
+      return res.status(400).json({ error: 'Produkt, Menge pro Stunde (> 0) und Lagergrenze (≥ 1) sind erforderlich' });
+    }
+    if (inputItemId && inputQuantity < 1) {
+      return res.status(400).json({ error: 'Rohstoffmenge pro Einheit muss mindestens 1 sein' });
+    }
+    if (inputItemId === outputItemId) {
+      return res.status(400).json({ error: 'Rohstoff und Produkt müssen verschieden sein' });
+    }
+
+    const building = await db.get('SELECT id FROM buildings WHERE id = ?', [buildingId]);
+    if (!building) {
+      return res.status(404).json({ error: 'Gebäude nicht gefunden' });
+    }
+
+    await db.run(`
+      INSERT INTO building_production (building_id, level, output_item_id, output_per_hour, storage_cap, input_item_id, input_quantity)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(building_id, level)
+      DO UPDATE SET output_item_id = excluded.output_item_id, output_per_hour = excluded.output_per_hour,
+        storage_cap = excluded.storage_cap, input_item_id = excluded.input_item_id, input_quantity = excluded.input_quantity
+    `, [buildingId, level, outputItemId, outputPerHour, storageCap, inputItemId, inputQuantity]);
+
+    res.json({ message: 'Produktion erfolgreich gespeichert' });
+  } catch (error) {
+    console.error('Save production error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Speichern der Produktion' });
+  }
+});
+
+// Delete a production level (MUST be before /:buildingId route to avoid route conflict)
+router.delete('/production/:productionId', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    await db.run('DELETE FROM building_production WHERE id = ?', [parseInt(req.params.productionId)]);
+    res.json({ message: 'Produktion erfolgreich gelöscht' });
+  } catch (error) {
+    console.error('Delete production error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Löschen' });
+  }
+});
+
+// Validate a prerequisite from the request body and check it for cycles
+async function buildPrerequisite(buildingId, body, id = null) {
+  const building = await db.get('SELECT id, max_level FROM buildings WHERE id = ?', [buildingId]);
+  if (!building) {
+    throw new TechTreeError('Gebäude nicht gefunden', 404);
+  }
+
+  const type = body.prerequisite_type;
+  if (!PREREQUISITE_TYPES.includes(type)) {
+    throw new TechTreeError('Ungültiger Voraussetzungstyp');
+  }
+
+  const level = parseInt(body.level) || 1;
+  if (level < 1 || level > (building.max_level || 5)) {
+    throw new TechTreeError(`Level muss zwischen 1 und ${building.max_level || 5} liegen`);
+  }
+
+  const prerequisite = {
+    id,
+    building_id: buildingId,
+    level,
+    prerequisite_type: type,
+    required_building_id: null,
+    required_level: Math.max(1, parseInt(body.required_level) || 1),
+    required_quest_id: null
+  };
+
+  if (type === 'building') {
+    const required = await db.get('SELECT id, max_level FROM buildings WHERE id = ?', [parseInt(body.required_building_id)]);
+    if (!required) {
+      throw new TechTreeError('Benötigtes Gebäude nicht gefunden');
+    }
+    if (required.id === buildingId) {
+      throw new TechTreeError('Ein Gebäude kann sich nicht selbst voraussetzen');
+    }
+    if (prerequisite.required_level > (required.max_level || 5)) {
+      throw new TechTreeError(`Das benötigte Gebäude hat höchstens Level ${required.max_level || 5}`);
+    }
+    prerequisite.required_building_id = required.id;
+    await assertNoCycle(prerequisite);
+  } else if (type === 'quest') {
+    // Only single player quests end up in user_quests
+    const quest = await db.get("SELECT id FROM quests WHERE id = ? AND COALESCE(scope, 'user') = 'user'", [parseInt(body.required_quest_id)]);
+    if (!quest) {
+      throw new TechTreeError('Quest nicht gefunden');
+    }
+    prerequisite.required_quest_id = quest.id;
+    prerequisite.required_level = 1;
+  }
+
+  return prerequisite;
+}
+
+// Add a prerequisite (building level, player level or quest) to a building level
+router.post('/:buildingId/prerequisites', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const prerequisite = await buildPrerequisite(parseInt(req.params.buildingId), req.body);
+
+    await db.run(`
+      INSERT INTO building_prerequisites (building_id, level, prerequisite_type, required_building_id, required_level, required_quest_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      prerequisite.building_id,
+      prerequisite.level,
+      prerequisite.prerequisite_type,
+      prerequisite.required_building_id,
+      prerequisite.required_level,
+      prerequisite.required_quest_id
+    ]);
+
+    res.json({ message: 'Voraussetzung erfolgreich hinzugefügt' });
+  } catch (error) {
+    if (error instanceof TechTreeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Add prerequisite error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Hinzufügen der Voraussetzung' });
+  }
+});
+
+// Update a prerequisite (MUST be before /:buildingId route to avoid route conflict)
+router.put('/prerequisites/:prerequisiteId', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    const prerequisiteId = parseInt(req.params.prerequisiteId);
+    const existing = await db.get('SELECT building_id FROM building_prerequisites WHERE id = ?', [prerequisiteId]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Voraussetzung nicht gefunden' });
+    }
+
+    const prerequisite = await buildPrerequisite(existing.building_id, req.body, prerequisiteId);
+
+    await db.run(`
+      UPDATE building_prerequisites
+      SET level = ?, prerequisite_type = ?, required_building_id = ?, required_level = ?, required_quest_id = ?
+      WHERE id = ?
+    `, [
+      prerequisite.level,
+      prerequisite.prerequisite_type,
+      prerequisite.required_building_id,
+      prerequisite.required_level,
+      prerequisite.required_quest_id,
+      prerequisiteId
+    ]);
+
+    res.json({ message: 'Voraussetzung erfolgreich aktualisiert' });
+  } catch (error) {
+    if (error instanceof TechTreeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update prerequisite error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Aktualisieren' });
+  }
+});
+
+// Delete a prerequisite (MUST be before /:buildingId route to avoid route conflict)
+router.delete('/prerequisites/:prerequisiteId', authenticateToken, requirePermission('manage_items'), async (req, res) => {
+  try {
+    await db.run('DELETE FROM building_prerequisites WHERE id = ?', [parseInt(req.params.prerequisiteId)]);
+    res.json({ message: 'Voraussetzung erfolgreich gelöscht' });
+  } catch (error) {
+    console.error('Delete prerequisite error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Löschen' });
+  }
+});
+
 // Create new building
 router.post('/', authenticateToken, requirePermission('manage_items'), async (req, res) => {
   try {
@@ -164,7 +371,9 @@ router.post('/', authenticateToken, requirePermission('manage_items'), async (re
       max_level,
       build_duration_minutes,
       upgrade_duration_minutes,
-      unlock_order
+      unlock_order,
+      grid_width,
+      grid_height
     } = req.body;
 
     if (!name || !display_name) {
@@ -178,8 +387,8 @@ router.post('/', authenticateToken, requirePermission('manage_items'), async (re
     }
 
     const result = await db.run(`
-      INSERT INTO buildings (name, display_name, description, image_path, max_level, build_duration_minutes, upgrade_duration_minutes, unlock_order)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO buildings (name, display_name, description, image_path, max_level, build_duration_minutes, upgrade_duration_minutes, unlock_order, grid_width, grid_height)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       name, 
       display_name, 
@@ -188,7 +397,9 @@ router.post('/', authenticateToken, requirePermission('manage_items'), async (re
       max_level || 3, 
       build_duration_minutes || 5, 
       upgrade_duration_minutes || 3,
-      unlock_order || 99
+      unlock_order || 99,
+      Math.max(1, parseInt(grid_width) || 2),
+      Math.max(1, parseInt(grid_height) || 2)
     ]);
 
     res.json({ message: 'Gebäude erfolgreich erstellt', buildingId: result.lastID });
@@ -209,9 +420,15 @@ router.put('/:buildingId', authenticateToken, requirePermission('manage_items'),
       display_name,
       description,
       image_path,
-      unlock_order
+      unlock_order,
+      grid_width,
+      grid_height
     } = req.body;
 
+    // Footprint on the players' plots (buildings that no longer fit are moved on the next visit)
+    const gridWidth = grid_width ? Math.max(1, parseInt(grid_width)) : null;
+    const gridHeight = grid_height ? Math.max(1, parseInt(grid_height)) : null;
+
     await db.run(`
       UPDATE buildings
       SET 
@@ -221,9 +438,11 @@ router.put('/:buildingId', authenticateToken, requirePermission('manage_items'),
         display_name = COALESCE(?, display_name),
         description = COALESCE(?, description),
         image_path = COALESCE(?, image_path),
-        unlock_order = COALESCE(?, unlock_order)
+        unlock_order = COALESCE(?, unlock_order),
+        grid_width = COALESCE(?, grid_width),
+        grid_height = COALESCE(?, grid_height)
       WHERE id = ?
-    `, [build_duration_minutes, upgrade_duration_minutes, max_level, display_name, description, image_path, unlock_order, buildingId]);
+    `, [build_duration_minutes, upgrade_duration_minutes, max_level, display_name, description, image_path, unlock_order, gridWidth, gridHeight, buildingId]);
 
     res.json({ message: 'Gebäude erfolgreich aktualisiert' });
   } catch (error) {
@@ -243,8 +462,10 @@ router.delete('/:buildingId', authenticateToken, requirePermission('manage_items
       return res.status(400).json({ error: 'Gebäude kann nicht gelöscht werden, da es von Spielern gebaut wurde' });
     }
 
-    // Delete requirements first
+    // Delete requirements and production first
     await db.run('DELETE FROM building_requirements WHERE building_id = ?', [buildingId]);
+    await db.run('DELETE FROM building_production WHERE building_id = ?', [buildingId]);
+    await db.run('DELETE FROM building_prerequisites WHERE building_id = ? OR required_building_id = ?', [buildingId, buildingId]);
     
     // Delete building
     await db.run('DELETE FROM buildings WHERE id = ?', [buildingId]);
@@ -2,6 +2,8 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { trackItemCollected, updateStatistic } from '../helpers/statistics.js';
+import { addItems } from '../helpers/inventory.js';
+import { JobError, registerJobHandler, isUserAtHome, startJob } from '../helpers/jobs.js';
 
 const router = express.Router();
 
@@ -14,257 +16,115 @@ const RARITY_WEIGHTS = {
   legendary: 3
 };
 
-// Helper: Check if user has any active job that is NOT ready to collect
-async function hasActiveJob(userId) {
-  const now = new Date().toISOString();
-  
-  // Check collection jobs - only if not yet completed
-  const collectionJob = await db.get(
-    "SELECT id FROM collection_jobs WHERE user_id = ? AND status IN ('active', 'paused') AND completed_at > ?",
-    [userId, now]
-  );
-  if (collectionJob) return { active: true, type: 'Sammel-Auftrag' };
-  
-  // Check building jobs - only if not yet completed
-  const buildingJob = await db.get(
-    "SELECT id FROM building_jobs WHERE user_id = ? AND status IN ('active', 'paused') AND completed_at > ?",
-    [userId, now]
-  );
-  if (buildingJob) return { active: true, type: 'Bau-/Upgrade-Auftrag' };
-  
-  // Check crafting jobs - only if not yet finished
-  const craftingJob = await db.get(
-    "SELECT id, finish_at, paused_at FROM crafting_jobs WHERE user_id = ? AND is_completed = 0",
-    [userId]
-  );
-  if (craftingJob) {
-    if (craftingJob.paused_at) {
-      return { active: true, type: 'Herstellungs-Auftrag (pausiert)' };
-    }
-    if (new Date(craftingJob.finish_at) > new Date()) {
-      return { active: true, type: 'Herstellungs-Auftrag' };
-    }
+// Check the requested collection duration
+function validateDuration(durationMinutes) {
+  if (!durationMinutes || durationMinutes < 5 || durationMinutes > 480) {
+    throw new JobError('Dauer muss zwischen 5 Minuten und 8 Stunden (480 Minuten) liegen');
   }
-  
-  return { active: false };
-}
-
-// Helper: Check if user is at home
-async function isUserAtHome(userId) {
-  const user = await db.get('SELECT world_x, world_y, home_x, home_y FROM users WHERE id = ?', [userId]);
-  if (!user) return false;
-  const homeX = user.home_x ?? 0;
-  const homeY = user.home_y ?? 0;
-  const distance = Math.sqrt(
-    Math.pow((user.world_x || 0) - homeX, 2) + 
-    Math.pow((user.world_y || 0) - homeY, 2)
-  );
-  return distance <= 50;
 }
 
-// Start collection job
-router.post('/start', authenticateToken, async (req, res) => {
-  try {
-    const { duration_minutes } = req.body;
-
-    if (!duration_minutes || duration_minutes < 5 || duration_minutes > 480) {
-      return res.status(400).json({ 
-        error: 'Dauer muss zwischen 5 Minuten und 8 Stunden (480 Minuten) liegen' 
-      });
-    }
-
-    // Check if user is at home
-    const atHome = await isUserAtHome(req.user.id);
-    if (!atHome) {
-      return res.status(400).json({ 
-        error: 'Du musst zu Hause sein um Sammeln zu starten! Reise zuerst zu deinem Grundstück.',
-        notAtHome: true
-      });
-    }
-
-    // Check if user has ANY active job
-    const jobCheck = await hasActiveJob(req.user.id);
-    if (jobCheck.active) {
-      return res.status(400).json({ 
-        error: `Du hast bereits einen aktiven ${jobCheck.type}. Schließe ihn zuerst ab!`,
-        hasActiveJob: true
-      });
-    }
-
-    // Calculate completion time
-    const startedAt = new Date();
-    const completedAt = new Date(startedAt.getTime() + duration_minutes * 60 * 1000);
+registerJobHandler('collection', {
+  label: 'Sammel-Auftrag',
+  table: 'collection_jobs',
+  requiresHome: true,
 
-    // Create collection job
-    const result = await db.run(`
-      INSERT INTO collection_jobs (user_id, duration_minutes, started_at, completed_at, status)
-      VALUES (?, ?, ?, ?, 'active')
-    `, [req.user.id, duration_minutes, startedAt.toISOString(), completedAt.toISOString()]);
-
-    res.json({
-      message: `Sammel-Auftrag gestartet! Fertig in ${duration_minutes} Minuten.`,
-      job_id: result.lastID,
-      started_at: startedAt.toISOString(),
-      completed_at: completedAt.toISOString(),
-      duration_minutes
-    });
-  } catch (error) {
-    console.error('Start collection error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Starten des Sammel-Auftrags' });
-  }
-});
-
-// Get active collection job status
-router.get('/status', authenticateToken, async (req, res) => {
-  try {
-    // Check for active OR paused job
-    let job = await db.get(`
+  async list(userId) {
+    return db.all(`
       SELECT 
         id,
+        'Automatisches Sammeln' as name,
         duration_minutes,
         started_at,
-        completed_at,
+        completed_at as finish_at,
         status,
         paused_at,
         remaining_seconds
       FROM collection_jobs
       WHERE user_id = ? AND status IN ('active', 'paused')
-      ORDER BY started_at DESC
-      LIMIT 1
-    `, [req.user.id]);
+      ORDER BY started_at
+    `, [userId]);
+  },
 
-    if (!job) {
-      return res.json({ active: false });
-    }
+  async listDue(now) {
+    return db.all(`
+      SELECT id, user_id, 'Automatisches Sammeln' as name
+      FROM collection_jobs
+      WHERE status = 'active' AND completed_at <= ? AND notified_at IS NULL
+    `, [now]);
+  },
 
-    const now = new Date();
-    const atHome = await isUserAtHome(req.user.id);
+  async describe(userId, params) {
+    validateDuration(params.duration_minutes);
+    return `Automatisches Sammeln (${params.duration_minutes} Minuten)`;
+  },
 
-    // Resume paused job if user is at home
-    if (job.status === 'paused' && atHome && job.remaining_seconds) {
-      const newCompletedAt = new Date(now.getTime() + job.remaining_seconds * 1000);
-      await db.run(`
-        UPDATE collection_jobs 
-        SET status = 'active', paused_at = NULL, remaining_seconds = NULL, completed_at = ?
-        WHERE id = ?
-      `, [newCompletedAt.toISOString(), job.id]);
-      job.status = 'active';
-      job.completed_at = newCompletedAt.toISOString();
-      job.paused_at = null;
-    }
-
-    // Pause active job if user left home
-    if (job.status === 'active' && !atHome) {
-      const completedAt = new Date(job.completed_at);
-      const remainingMs = Math.max(0, completedAt.getTime() - now.getTime());
-      const remainingSeconds = Math.ceil(remainingMs / 1000);
-      await db.run(`
-        UPDATE collection_jobs 
-        SET status = 'paused', paused_at = ?, remaining_seconds = ?
-        WHERE id = ?
-      `, [now.toISOString(), remainingSeconds, job.id]);
-      job.status = 'paused';
-      job.paused_at = now.toISOString();
-      job.remaining_seconds = remainingSeconds;
-    }
+  async start(userId, params) {
+    const durationMinutes = parseInt(params.duration_minutes);
+    validateDuration(durationMinutes);
 
-    const completedAt = new Date(job.completed_at);
-    const startedAt = new Date(job.started_at);
-    
-    let isCompleted = false;
-    let timeRemaining = 0;
-
-    if (job.status === 'paused') {
-      timeRemaining = Math.ceil(job.remaining_seconds / 60);
-    } else {
-      isCompleted = now >= completedAt;
-      timeRemaining = Math.max(0, Math.floor((completedAt - now) / 1000 / 60));
+    // Check if user is at home
+    if (!(await isUserAtHome(userId))) {
+      throw new JobError('Du musst zu Hause sein um Sammeln zu starten! Reise zuerst zu deinem Grundstück.', { notAtHome: true });
     }
 
-    const elapsedMinutes = Math.floor((now - startedAt) / 1000 / 60);
-
-    res.json({
-      active: true,
-      job_id: job.id,
-      duration_minutes: job.duration_minutes,
-      started_at: job.started_at,
-      completed_at: job.completed_at,
-      elapsed_minutes: elapsedMinutes,
-      is_completed: isCompleted,
-      time_remaining_minutes: timeRemaining,
-      is_paused: job.status === 'paused',
-      remaining_seconds: job.remaining_seconds,
-      server_restart_safe: true
-    });
-  } catch (error) {
-    console.error('Get collection status error:', error);
-    res.status(500).json({ error: 'Serverfehler' });
-  }
-});
-
-// Claim collection results
-router.post('/claim', authenticateToken, async (req, res) => {
-  try {
-    // Get active job
-    const job = await db.get(`
-      SELECT id, duration_minutes, completed_at, status
-      FROM collection_jobs
-      WHERE user_id = ? AND status = 'active'
-      ORDER BY started_at DESC
-      LIMIT 1
-    `, [req.user.id]);
-
-    if (!job) {
-      return res.status(400).json({ error: 'Kein aktiver Sammel-Auftrag gefunden' });
-    }
+    // Calculate completion time
+    const startedAt = new Date();
+    const completedAt = new Date(startedAt.getTime() + durationMinutes * 60 * 1000);
 
-    const now = new Date();
-    const completedAt = new Date(job.completed_at);
+    // Create collection job
+    const result = await db.run(`
+      INSERT INTO collection_jobs (user_id, duration_minutes, started_at, completed_at, status)
+      VALUES (?, ?, ?, ?, 'active')
+    `, [userId, durationMinutes, startedAt.toISOString(), completedAt.toISOString()]);
+
+    return {
+      job: { id: result.lastID, name: 'Automatisches Sammeln', finish_at: completedAt },
+      result: {
+        message: `Sammel-Auftrag gestartet! Fertig in ${durationMinutes} Minuten.`,
+        job_id: result.lastID,
+        started_at: startedAt.toISOString(),
+        completed_at: completedAt.toISOString(),
+        duration_minutes: durationMinutes
+      }
+    };
+  },
 
-    if (now < completedAt) {
-      const timeRemaining = Math.ceil((completedAt - now) / 1000 / 60);
-      return res.status(400).json({ 
-        error: `Sammel-Auftrag noch nicht fertig. Noch ${timeRemaining} Minuten.` 
-      });
-    }
+  async pause(job, remainingSeconds, now) {
+    await db.run(`
+      UPDATE collection_jobs 
+      SET status = 'paused', paused_at = ?, remaining_seconds = ?
+      WHERE id = ?
+    `, [now.toISOString(), remainingSeconds, job.id]);
+  },
 
-    // Check if already claimed
-    if (job.status === 'claimed') {
-      return res.status(400).json({ error: 'Sammel-Auftrag wurde bereits abgeholt' });
-    }
+  async resume(job, finishAt) {
+    await db.run(`
+      UPDATE collection_jobs 
+      SET status = 'active', paused_at = NULL, remaining_seconds = NULL, completed_at = ?
+      WHERE id = ?
+    `, [finishAt.toISOString(), job.id]);
+  },
 
+  async complete(userId, job) {
     // Generate collection results
     const durationMinutes = job.duration_minutes || 5; // Fallback if missing
     console.log(`[CLAIM] Starting claim for job ${job.id}, duration: ${durationMinutes} minutes`);
     const results = await generateCollectionResults(job.id, durationMinutes);
 
     console.log(`[CLAIM] Generated ${results.length} result types for job ${job.id}`);
-    console.log(`[CLAIM] Results:`, JSON.stringify(results, null, 2));
 
     if (results.length === 0) {
       console.error('[CLAIM] No results generated! This should not happen.');
-      return res.status(500).json({ error: 'Keine Items generiert. Bitte versuche es erneut.' });
+      throw new JobError('Keine Items generiert. Bitte versuche es erneut.', {}, 500);
     }
 
-    // Add items to inventory
+    // Add items to inventory and save them to the job results
+    await addItems(userId, results);
     for (const result of results) {
-      console.log(`[CLAIM] Adding ${result.quantity}x item ${result.item_id} to inventory for user ${req.user.id}`);
-      try {
-        await db.run(`
-          INSERT INTO user_inventory (user_id, item_id, quantity)
-          VALUES (?, ?, ?)
-          ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-        `, [req.user.id, result.item_id, result.quantity, result.quantity]);
-
-        // Save to job results
-        await db.run(`
-          INSERT INTO collection_job_results (job_id, item_id, quantity)
-          VALUES (?, ?, ?)
-        `, [job.id, result.item_id, result.quantity]);
-        console.log(`[CLAIM] Successfully added item ${result.item_id} to inventory and job results`);
-      } catch (error) {
-        console.error(`[CLAIM] Error adding item ${result.item_id}:`, error);
-      }
+      await db.run(`
+        INSERT INTO collection_job_results (job_id, item_id, quantity)
+        VALUES (?, ?, ?)
+      `, [job.id, result.item_id, result.quantity]);
     }
 
     // Mark job as claimed
@@ -278,10 +138,9 @@ router.post('/claim', authenticateToken, async (req, res) => {
     const itemsWithNames = await Promise.all(
       results.map(async (result) => {
         const item = await db.get('SELECT display_name, name, rarity, image_path FROM items WHERE id = ?', [result.item_id]);
-        console.log(`[CLAIM] Item ${result.item_id} (${item?.display_name}): image_path = ${item?.image_path}`);
         
         // Track the collected items
-        await trackItemCollected(req.user.id, result.item_id, item?.name || '', result.quantity);
+        await trackItemCollected(userId, result.item_id, item?.name || '', result.quantity);
         
         return {
           ...result,
@@ -293,18 +152,27 @@ router.post('/claim', authenticateToken, async (req, res) => {
     );
 
     // Track collection time
-    await updateStatistic(req.user.id, 'collection_time_minutes', job.duration_minutes);
-    
-    console.log(`[CLAIM] Final itemsWithNames:`, JSON.stringify(itemsWithNames, null, 2));
+    await updateStatistic(userId, 'collection_time_minutes', job.duration_minutes);
 
-    res.json({
+    return {
       message: 'Sammel-Auftrag erfolgreich abgeholt!',
       items: itemsWithNames,
       total_items: results.reduce((sum, r) => sum + r.quantity, 0)
-    });
+    };
+  }
+});
+
+// Start collection job (status and claim go through /api/jobs)
+router.post('/start', authenticateToken, async (req, res) => {
+  try {
+    const result = await startJob(req.user.id, 'collection', { duration_minutes: req.body.duration_minutes });
+    res.json(result);
   } catch (error) {
-    console.error('Claim collection error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Abholen' });
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Start collection error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Starten des Sammel-Auftrags' });
   }
 });
 
@@ -2,14 +2,34 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { sendSystemMessage } from './messages.js';
-import { trackKill, updateStatistic, updateMultipleStats } from '../helpers/statistics.js';
+import { trackKill, trackItemObtained, updateStatistic, updateMultipleStats } from '../helpers/statistics.js';
 import { getBuffMultipliers } from './buffs.js';
+import { InventoryError, addItems, removeItems } from '../helpers/inventory.js';
+import { applyRegeneration } from '../helpers/regeneration.js';
+import { publishToArea } from '../helpers/realtime.js';
+import { recordWarMonsterKill } from '../helpers/guildWars.js';
+import { PARTY_EXP_BONUS, getFightParticipants, distributePartyLoot } from '../helpers/parties.js';
+import { splitReward } from '../helpers/groupQuests.js';
+import {
+  WORLD_BOSS_ATTACK_ROUNDS, WORLD_BOSS_ATTACK_COOLDOWN_SECONDS, WorldBossError, getActiveWorldBoss,
+  applyWorldBossDamage, finishWorldBoss, getSpawnContributions
+} from '../helpers/worldBosses.js';
 
 const router = express.Router();
 
 // Maximum interaction distance for combat
 const MAX_COMBAT_DISTANCE = 100;
 
+// A combat round that cannot be played (ended: the fight is over)
+class CombatError extends Error {
+  constructor(message, status = 400, ended = false) {
+    super(message);
+    this.name = 'CombatError';
+    this.status = status;
+    this.ended = ended;
+  }
+}
+
 // Helper to calculate distance between two points
 function getDistance(x1, y1, x2, y2) {
   return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
@@ -42,8 +62,8 @@ function getExpForLevel(level) {
   return Math.floor(100 * Math.pow(1.5, level - 1));
 }
 
-// Calculate combat result
-function calculateCombat(attacker, defender) {
+// Calculate combat result (maxRounds: the fight stops earlier, e.g. for a single attack on a world boss)
+export function calculateCombat(attacker, defender, { maxRounds = 20 } = {}) {
   // Base damage calculation with some randomness
   const attackRoll = Math.random() * 0.4 + 0.8; // 0.8 - 1.2 multiplier
   const defenseRoll = Math.random() * 0.4 + 0.8;
@@ -56,7 +76,6 @@ function calculateCombat(attacker, defender) {
   let attackerHealth = attacker.current_health;
   let defenderHealth = defender.current_health;
   let rounds = 0;
-  const maxRounds = 20;
   
   const combatLog = [];
   
@@ -93,7 +112,557 @@ function calculateCombat(attacker, defender) {
   };
 }
 
-// Attack a monster
+// Quality multipliers for equipment stats
+const QUALITY_MULTIPLIERS = {
+  poor: 0.7, normal: 1.0, good: 1.2, excellent: 1.5, masterwork: 1.8, legendary: 2.5
+};
+
+// Interactive fights end after this many minutes without an action
+const COMBAT_SESSION_TIMEOUT_MINUTES = 5;
+
+// Add the level-scaled combat stats to a monster row (needs the monster_types columns)
+function scaleMonster(monster, level) {
+  monster.monsterLevel = level;
+  monster.maxHealth = monster.base_health + (level - 1) * monster.health_per_level;
+  monster.attack = monster.base_attack + (level - 1) * monster.attack_per_level;
+  monster.defense = monster.base_defense + (level - 1) * monster.defense_per_level;
+  return monster;
+}
+
+/**
+ * A monster that only exists for one fight (e.g. a travel ambush), not placed in world_npcs
+ * @param {number} monsterTypeId
+ * @param {number} level
+ * @returns {Promise<Object|null>} Monster in the shape resolveMonsterFight expects
+ */
+export async function createWanderingMonster(monsterTypeId, level) {
+  const monsterType = await db.get(`
+    SELECT id as monster_type_id, display_name, base_health, health_per_level, base_attack,
+           attack_per_level, base_defense, defense_per_level, is_boss
+    FROM monster_types WHERE id = ?
+  `, [monsterTypeId]);
+  if (!monsterType) return null;
+
+  const monster = scaleMonster({ ...monsterType, id: null }, level);
+  monster.current_health = monster.maxHealth;
+  return monster;
+}
+
+// Load a monster (respawning it if its timer ran out) with its level-scaled stats
+async function getMonster(npcId) {
+  const worldNpc = await db.get(`
+    SELECT 
+      wn.*,
+      mt.display_name,
+      mt.base_health,
+      mt.health_per_level,
+      mt.base_attack,
+      mt.attack_per_level,
+      mt.base_defense,
+      mt.defense_per_level,
+      mt.is_boss,
+      mt.min_party_size
+    FROM world_npcs wn
+    JOIN monster_types mt ON wn.monster_type_id = mt.id
+    WHERE wn.id = ? AND wn.monster_type_id IS NOT NULL
+  `, [npcId]);
+
+  if (!worldNpc) {
+    return { error: 'Monster nicht gefunden', status: 404 };
+  }
+
+  scaleMonster(worldNpc, worldNpc.level || 1);
+
+  // Check if monster is alive
+  if (!worldNpc.is_active) {
+    // Check respawn
+    if (worldNpc.last_killed_at) {
+      const respawnTime = new Date(worldNpc.last_killed_at);
+      respawnTime.setMinutes(respawnTime.getMinutes() + worldNpc.respawn_minutes);
+      if (new Date() < respawnTime) {
+        const minutesLeft = Math.ceil((respawnTime - new Date()) / 60000);
+        return { error: `Monster respawnt in ${minutesLeft} Minuten`, status: 400 };
+      }
+      // Respawn the monster
+      await db.run('UPDATE world_npcs SET is_active = 1, current_health = ? WHERE id = ?', [worldNpc.maxHealth, npcId]);
+      worldNpc.current_health = worldNpc.maxHealth;
+      worldNpc.is_active = 1;
+      publishToArea([{ x: worldNpc.world_x, y: worldNpc.world_y }], 'monster_respawned', {
+        npc_id: worldNpc.id,
+        current_health: worldNpc.maxHealth
+      });
+    }
+  }
+
+  return { monster: worldNpc };
+}
+
+// Player stats including equipment and buffs (also used for PvP in map.js)
+export async function getPlayerCombatStats(userId) {
+  let playerStats = await applyRegeneration(userId);
+  if (!playerStats) {
+    await db.run(`
+      INSERT INTO player_stats (user_id, level, experience, max_health, current_health, base_attack, base_defense)
+      VALUES (?, 1, 0, 100, 100, 10, 5)
+    `, [userId]);
+    playerStats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
+  }
+
+  // Get equipment bonuses
+  const equippedItems = await db.all(`
+    SELECT ue.quality, et.base_attack, et.base_defense, et.base_health
+    FROM user_equipment ue
+    JOIN equipment_types et ON ue.equipment_type_id = et.id
+    WHERE ue.user_id = ? AND ue.is_equipped = 1
+  `, [userId]);
+
+  let equipmentAttack = 0;
+  let equipmentDefense = 0;
+  let equipmentHealth = 0;
+
+  for (const eq of equippedItems) {
+    const multiplier = QUALITY_MULTIPLIERS[eq.quality] || 1.0;
+    equipmentAttack += Math.floor(eq.base_attack * multiplier);
+    equipmentDefense += Math.floor(eq.base_defense * multiplier);
+    equipmentHealth += Math.floor(eq.base_health * multiplier);
+  }
+
+  // Get buff multipliers
+  const buffMultipliers = await getBuffMultipliers(userId);
+
+  // Player total stats = (base + equipment) * buff multipliers
+  const attack = Math.floor((playerStats.base_attack + equipmentAttack) * buffMultipliers.attack + buffMultipliers.attackFlat);
+  const defense = Math.floor((playerStats.base_defense + equipmentDefense) * buffMultipliers.defense + buffMultipliers.defenseFlat);
+  const maxHealth = Math.floor((playerStats.max_health + equipmentHealth) * buffMultipliers.health + buffMultipliers.healthFlat);
+
+  // Calculate effective current health with equipment bonus and buffs
+  // If player is at full base health, they get full equipment bonus
+  // Otherwise, add proportional equipment health bonus
+  let currentHealth;
+  if (playerStats.current_health >= playerStats.max_health) {
+    // Full health = full bonus
+    currentHealth = maxHealth;
+  } else {
+    // Partial health = base current + equipment bonus, scaled by buff
+    currentHealth = Math.floor((playerStats.current_health + equipmentHealth) * buffMultipliers.health + buffMultipliers.healthFlat);
+  }
+
+  return { playerStats, equipmentHealth, buffMultipliers, attack, defense, maxHealth, currentHealth };
+}
+
+// Write effective combat health back as base health
+// Subtract equipment bonus and make sure it stays between 0 and base max_health
+export async function savePlayerHealth(userId, playerStats, effectiveHealth, equipmentHealth) {
+  const newBaseHealth = Math.max(0, Math.min(playerStats.max_health, effectiveHealth - equipmentHealth));
+  // Regeneration starts counting from the end of the fight
+  await db.run('UPDATE player_stats SET current_health = ?, last_healed_at = ? WHERE user_id = ?', [newBaseHealth, new Date().toISOString(), userId]);
+  return newBaseHealth;
+}
+
+// Mark a world monster as killed until its respawn.
+// Returns false if another player killed it first - only one fight may hand out its rewards.
+async function markMonsterKilled(worldNpc) {
+  if (!worldNpc.id) return true;
+  const result = await db.run(`
+    UPDATE world_npcs SET is_active = 0, current_health = 0, last_killed_at = datetime('now') WHERE id = ? AND is_active = 1
+  `, [worldNpc.id]);
+  if (result.changes === 0) return false;
+  publishToArea([{ x: worldNpc.world_x, y: worldNpc.world_y }], 'monster_killed', { npc_id: worldNpc.id });
+  return true;
+}
+
+// Write back the health of a monster that survived the fight (a killed monster stays dead)
+async function saveMonsterHealth(worldNpc, health) {
+  const result = await db.run('UPDATE world_npcs SET current_health = ? WHERE id = ? AND is_active = 1', [health, worldNpc.id]);
+  if (result.changes > 0) {
+    publishToArea([{ x: worldNpc.world_x, y: worldNpc.world_y }], 'monster_damaged', {
+      npc_id: worldNpc.id,
+      current_health: health
+    });
+  }
+}
+
+/**
+ * Experience a monster is worth before buffs
+ * @param {Object} worldNpc - Monster with monsterLevel and is_boss
+ * @returns {number}
+ */
+export function getMonsterExp(worldNpc) {
+  return 10 * worldNpc.monsterLevel * (worldNpc.is_boss ? 5 : 1);
+}
+
+/**
+ * Roll gold and item drops from the monster's loot table (nothing is handed out yet)
+ * @param {Object} worldNpc - Monster with monster_type_id
+ * @param {number} [goldMultiplier]
+ * @returns {Promise<{goldGained: number, lootItems: Object[]}>} Items as { item_id, quantity, name, rarity }
+ */
+export async function rollMonsterLoot(worldNpc, goldMultiplier = 1) {
+  let goldGained = 0;
+  const lootItems = [];
+
+  const lootTable = await db.all(`
+    SELECT * FROM monster_loot WHERE monster_type_id = ?
+  `, [worldNpc.monster_type_id]);
+
+  for (const loot of lootTable) {
+    // Gold (with buff multiplier)
+    if (loot.gold_min > 0 || loot.gold_max > 0) {
+      const baseGold = Math.floor(Math.random() * (loot.gold_max - loot.gold_min + 1)) + loot.gold_min;
+      goldGained += Math.floor(baseGold * goldMultiplier);
+    }
+    
+    // Item drop
+    if (Math.random() < loot.drop_chance) {
+      const qty = Math.floor(Math.random() * (loot.max_quantity - loot.min_quantity + 1)) + loot.min_quantity;
+      
+      const item = await db.get('SELECT display_name, rarity FROM items WHERE id = ?', [loot.item_id]);
+      lootItems.push({ item_id: loot.item_id, quantity: qty, name: item?.display_name || 'Unbekannt', rarity: item?.rarity });
+    }
+  }
+
+  return { goldGained, lootItems };
+}
+
+/**
+ * Add experience and apply a level up (re-reads the stats, health may have changed during the fight)
+ * @param {number} userId
+ * @param {number} expGained
+ * @param {Object} [playerStats] - Fallback if the player has no stats row
+ * @returns {Promise<Object|null>} Level up ({ newLevel, newMaxHealth, newAttack, newDefense }) or null
+ */
+export async function grantExperience(userId, expGained, playerStats = null) {
+  const stats = await db.get('SELECT level, experience FROM player_stats WHERE user_id = ?', [userId]) || playerStats;
+  const currentExp = stats.experience + expGained;
+  const expNeeded = getExpForLevel(stats.level + 1);
+  
+  if (currentExp >= expNeeded) {
+    // Level up!
+    const newLevel = stats.level + 1;
+    const newMaxHealth = 100 + (newLevel - 1) * 20;
+    const newAttack = 10 + (newLevel - 1) * 3;
+    const newDefense = 5 + (newLevel - 1) * 2;
+    
+    await db.run(`
+      UPDATE player_stats 
+      SET level = ?, experience = ?, max_health = ?, current_health = ?, base_attack = ?, base_defense = ?
+      WHERE user_id = ?
+    `, [newLevel, currentExp - expNeeded, newMaxHealth, newMaxHealth, newAttack, newDefense, userId]);
+
+    return {
+      newLevel,
+      newMaxHealth,
+      newAttack,
+      newDefense
+    };
+  }
+
+  await db.run('UPDATE player_stats SET experience = ? WHERE user_id = ?', [currentExp, userId]);
+  return null;
+}
+
+// Mark the monster as killed and hand out gold, loot and experience.
+// Returns null (and hands out nothing) if another player killed the monster first.
+async function grantMonsterRewards(userId, worldNpc, playerStats, buffMultipliers) {
+  if (!(await markMonsterKilled(worldNpc))) {
+    return null;
+  }
+
+  // Calculate rewards with buff multipliers
+  const expGained = Math.floor(getMonsterExp(worldNpc) * buffMultipliers.exp);
+  const { goldGained, lootItems } = await rollMonsterLoot(worldNpc, buffMultipliers.gold);
+
+  for (const item of lootItems) {
+    await addItems(userId, [{ item_id: item.item_id, quantity: item.quantity }]);
+
+    // Track rarity for achievements (legendary, epic, rare)
+    if (item.rarity && ['legendary', 'epic', 'rare'].includes(item.rarity)) {
+      await trackItemObtained(userId, item.rarity);
+    }
+  }
+
+  // Add gold
+  if (goldGained > 0) {
+    await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [goldGained, userId]);
+  }
+
+  const levelUp = await grantExperience(userId, expGained, playerStats);
+
+  return { goldGained, expGained, lootItems, levelUp };
+}
+
+// Log the fight, track statistics and send the combat report
+async function recordMonsterFight(userId, worldNpc, fight) {
+  const { winner, damageDealt, damageTaken, rounds, goldGained, expGained, lootItems, levelUp, intro } = fight;
+
+  // Log combat
+  await db.run(`
+    INSERT INTO combat_log (attacker_user_id, world_npc_id, winner, attacker_damage_dealt, defender_damage_dealt, gold_gained, experience_gained)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [userId, worldNpc.id, winner, damageDealt, damageTaken, goldGained, expGained]);
+
+  // Track statistics
+  await updateMultipleStats(userId, {
+    total_damage_dealt: damageDealt,
+    total_damage_received: damageTaken
+  });
+
+  let warPoints = 0;
+  if (winner === 'attacker') {
+    await trackKill(userId, worldNpc.monster_type_id, worldNpc.is_boss);
+    warPoints = await recordWarMonsterKill(userId, worldNpc);
+    if (goldGained > 0) {
+      await updateStatistic(userId, 'gold_earned', goldGained);
+    }
+  } else {
+    await updateStatistic(userId, 'deaths', 1);
+  }
+
+  // Send combat report message
+  const lootText = lootItems.length > 0 
+    ? `\n\nBeute:\n${lootItems.map(l => `• ${l.quantity}x ${l.name}`).join('\n')}`
+    : '';
+  
+  const goldText = goldGained > 0 ? `\n💰 Gold: +${goldGained}` : '';
+  const expText = expGained > 0 ? `\n✨ EP: +${expGained}` : '';
+  const levelUpText = levelUp ? `\n\n🎉 **LEVEL UP!** Du bist jetzt Level ${levelUp.newLevel}!` : '';
+  const warText = warPoints > 0 ? `\n🏴 Gildenkrieg: +${warPoints} Punkte` : '';
+  const introText = intro ? `${intro}\n\n` : '';
+  
+  const messageContent = introText + (winner === 'attacker'
+    ? `⚔️ Du hast **${worldNpc.display_name}** (Lv.${worldNpc.monsterLevel}) besiegt!\n\nKampf dauerte ${rounds} Runden.\nDu hast ${damageTaken} Schaden erlitten.${goldText}${expText}${warText}${lootText}${levelUpText}`
+    : `💀 Du wurdest von **${worldNpc.display_name}** (Lv.${worldNpc.monsterLevel}) besiegt!\n\nKampf dauerte ${rounds} Runden.\nDu hast ${damageTaken} Schaden erlitten.`);
+
+  await sendSystemMessage(
+    userId,
+    winner === 'attacker' ? '⚔️ Sieg!' : '💀 Niederlage',
+    messageContent,
+    'combat'
+  );
+}
+
+/**
+ * Fight a monster to the end at once (auto-battle): player health, rewards,
+ * combat log, statistics and the combat report message.
+ * Monsters without an id (createWanderingMonster) are not written back to world_npcs.
+ * @param {number} userId
+ * @param {Object} monster - From getMonster or createWanderingMonster
+ * @param {Object} [player] - From getPlayerCombatStats (loaded if omitted)
+ * @param {Object} [options]
+ * @param {string} [options.intro] - Text put in front of the combat report
+ * @returns {Promise<{result: Object, rewards: Object, player: Object}>}
+ */
+export async function resolveMonsterFight(userId, monster, player = null, { intro = null } = {}) {
+  if (!player) {
+    player = await getPlayerCombatStats(userId);
+  }
+
+  const attacker = {
+    attack: player.attack,
+    defense: player.defense,
+    current_health: player.currentHealth,
+    max_health: player.maxHealth
+  };
+
+  const defender = {
+    attack: monster.attack,
+    defense: monster.defense,
+    current_health: monster.current_health || monster.maxHealth,
+    max_health: monster.maxHealth
+  };
+
+  const result = calculateCombat(attacker, defender);
+
+  // Update player health
+  await savePlayerHealth(userId, player.playerStats, result.attackerHealth, player.equipmentHealth);
+
+  let rewards = { goldGained: 0, expGained: 0, lootItems: [], levelUp: null };
+
+  if (result.winner === 'attacker') {
+    // Monster defeated! (no rewards if another player killed it in the meantime)
+    rewards = await grantMonsterRewards(userId, monster, player.playerStats, player.buffMultipliers) || rewards;
+    result.levelUp = rewards.levelUp;
+  } else if (monster.id) {
+    await saveMonsterHealth(monster, result.defenderHealth);
+  }
+
+  await recordMonsterFight(userId, monster, {
+    winner: result.winner,
+    damageDealt: result.defenderDamageDealt,
+    damageTaken: result.attackerDamageDealt,
+    rounds: result.rounds,
+    intro,
+    ...rewards
+  });
+
+  return { result, rewards, player };
+}
+
+// Party fight: the members fight as one with summed attack and health and their average defense.
+// Health left and damage dealt are split by each member's share, experience (with a bonus per extra
+// member) and gold equally, items by the party's loot rule.
+async function resolvePartyFight(partyId, userIds, monster, attackerStats) {
+  const members = [];
+  for (const memberId of userIds) {
+    const stats = memberId === userIds[0] ? attackerStats : await getPlayerCombatStats(memberId);
+    const user = await db.get('SELECT username FROM users WHERE id = ?', [memberId]);
+    members.push({ userId: memberId, username: user?.username || 'Unbekannt', stats });
+  }
+
+  const totalHealth = members.reduce((sum, member) => sum + member.stats.currentHealth, 0);
+  const attacker = {
+    attack: members.reduce((sum, member) => sum + member.stats.attack, 0),
+    defense: Math.floor(members.reduce((sum, member) => sum + member.stats.defense, 0) / members.length),
+    current_health: totalHealth,
+    max_health: members.reduce((sum, member) => sum + member.stats.maxHealth, 0)
+  };
+
+  const defender = {
+    attack: monster.attack,
+    defense: monster.defense,
+    current_health: monster.current_health || monster.maxHealth,
+    max_health: monster.maxHealth
+  };
+
+  const result = calculateCombat(attacker, defender);
+
+  const damageShares = splitReward(result.defenderDamageDealt, members.map(member => member.stats.attack));
+  for (const [index, member] of members.entries()) {
+    member.health = Math.floor(result.attackerHealth * member.stats.currentHealth / totalHealth);
+    member.damageDealt = damageShares[index];
+    member.damageTaken = member.stats.currentHealth - member.health;
+    member.goldGained = 0;
+    member.expGained = 0;
+    member.lootItems = [];
+    member.levelUp = null;
+    await savePlayerHealth(member.userId, member.stats.playerStats, member.health, member.stats.equipmentHealth);
+  }
+
+  let pendingLoot = [];
+  let lootRule = null;
+
+  // Nothing to hand out if another player killed the monster in the meantime
+  if (result.winner === 'attacker' && await markMonsterKilled(monster)) {
+    const expShare = getMonsterExp(monster) * (1 + PARTY_EXP_BONUS * (members.length - 1)) / members.length;
+    const { goldGained, lootItems } = await rollMonsterLoot(monster);
+    const goldShares = splitReward(goldGained, members.map(() => 1));
+
+    for (const [index, member] of members.entries()) {
+      const { buffMultipliers, playerStats } = member.stats;
+      member.goldGained = Math.floor(goldShares[index] * buffMultipliers.gold);
+      member.expGained = Math.floor(expShare * buffMultipliers.exp);
+      if (member.goldGained > 0) {
+        await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [member.goldGained, member.userId]);
+      }
+      member.levelUp = await grantExperience(member.userId, member.expGained, playerStats);
+    }
+
+    const loot = await distributePartyLoot(partyId, userIds, lootItems, monster.display_name);
+    for (const member of members) {
+      member.lootItems = loot.byUser[member.userId];
+    }
+    pendingLoot = loot.pending;
+    lootRule = loot.lootRule;
+  } else if (result.winner !== 'attacker' && monster.id) {
+    await saveMonsterHealth(monster, result.defenderHealth);
+  }
+
+  const pendingText = pendingLoot.length > 0
+    ? `\n🎲 ${pendingLoot.length} Beutestück(e) warten auf eure Entscheidung (Gruppenfenster auf der Karte).`
+    : '';
+
+  for (const member of members) {
+    const others = members.filter(other => other.userId !== member.userId).map(other => other.username);
+    await recordMonsterFight(member.userId, monster, {
+      winner: result.winner,
+      damageDealt: member.damageDealt,
+      damageTaken: member.damageTaken,
+      rounds: result.rounds,
+      goldGained: member.goldGained,
+      expGained: member.expGained,
+      lootItems: member.lootItems,
+      levelUp: member.levelUp,
+      intro: `👥 Gruppenkampf mit ${others.join(', ')}${pendingText}`
+    });
+  }
+
+  return { result, members, pendingLoot, lootRule };
+}
+
+// One attack on a world boss: a few rounds, the damage is booked on the boss spawn and the
+// boss keeps its health for the next attacker. The attack that kills it hands out the rewards.
+async function resolveWorldBossAttack(userId, spawn, monster, player) {
+  const result = calculateCombat({
+    attack: player.attack,
+    defense: player.defense,
+    current_health: player.currentHealth,
+    max_health: player.maxHealth
+  }, {
+    attack: monster.attack,
+    defense: monster.defense,
+    current_health: monster.current_health,
+    max_health: spawn.max_health
+  }, { maxRounds: WORLD_BOSS_ATTACK_ROUNDS });
+
+  const { damage, bossHealth, killed } = await applyWorldBossDamage(spawn, userId, result.defenderDamageDealt);
+  const damageTaken = result.attackerDamageDealt;
+  await savePlayerHealth(userId, player.playerStats, result.attackerHealth, player.equipmentHealth);
+
+  if (!killed) {
+    publishToArea([{ x: monster.world_x, y: monster.world_y }], 'monster_damaged', {
+      npc_id: monster.id,
+      current_health: bossHealth
+    });
+  }
+
+  const rewards = killed ? (await finishWorldBoss(spawn, monster, userId))[userId] : null;
+  const winner = killed ? 'attacker' : result.attackerHealth <= 0 ? 'defender' : 'draw';
+
+  await db.run(`
+    INSERT INTO combat_log (attacker_user_id, world_npc_id, winner, attacker_damage_dealt, defender_damage_dealt, gold_gained, experience_gained)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [userId, monster.id, winner, damage, damageTaken, rewards?.goldGained || 0, rewards?.expGained || 0]);
+
+  await updateMultipleStats(userId, {
+    total_damage_dealt: damage,
+    total_damage_received: damageTaken
+  });
+  if (result.attackerHealth <= 0) {
+    await updateStatistic(userId, 'deaths', 1);
+  }
+
+  const contributions = await getSpawnContributions(spawn.id);
+  const ownIndex = contributions.findIndex(entry => entry.user_id === userId);
+
+  return {
+    result: winner,
+    playerHealth: result.attackerHealth,
+    playerMaxHealth: player.maxHealth,
+    monsterHealth: bossHealth,
+    monsterMaxHealth: spawn.max_health,
+    damageDealt: damage,
+    damageTaken,
+    rounds: result.rounds,
+    goldGained: rewards?.goldGained || 0,
+    expGained: rewards?.expGained || 0,
+    lootItems: rewards?.lootItems || [],
+    levelUp: rewards?.levelUp || null,
+    monsterName: monster.display_name,
+    monsterLevel: monster.monsterLevel,
+    worldBoss: {
+      spawnId: spawn.id,
+      killed,
+      totalDamage: contributions[ownIndex]?.damage || 0,
+      share: contributions[ownIndex]?.share || 0,
+      rank: ownIndex + 1,
+      participants: contributions.length,
+      endsAt: spawn.ends_at,
+      cooldownSeconds: WORLD_BOSS_ATTACK_COOLDOWN_SECONDS
+    }
+  };
+}
+
+// Attack a monster (auto-battle: the whole fight is resolved at once)
 router.post('/monster/:npcId', authenticateToken, async (req, res) => {
   try {
     const { npcId } = req.params;
@@ -105,280 +674,385 @@ router.post('/monster/:npcId', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: proximityCheck.error, tooFar: true });
     }
 
-    // Get monster
-    const worldNpc = await db.get(`
-      SELECT 
-        wn.*,
-        mt.display_name,
-        mt.base_health,
-        mt.health_per_level,
-        mt.base_attack,
-        mt.attack_per_level,
-        mt.base_defense,
-        mt.defense_per_level,
-        mt.is_boss
-      FROM world_npcs wn
-      JOIN monster_types mt ON wn.monster_type_id = mt.id
-      WHERE wn.id = ? AND wn.monster_type_id IS NOT NULL
-    `, [npcId]);
+    if (await getActiveCombatSession(userId)) {
+      return res.status(400).json({ error: 'Du befindest dich bereits in einem Kampf' });
+    }
 
+    // Get monster
+    const { monster: worldNpc, error, status } = await getMonster(npcId);
     if (!worldNpc) {
-      return res.status(404).json({ error: 'Monster nicht gefunden' });
+      return res.status(status).json({ error });
+    }
+
+    // Get player stats
+    const player = await getPlayerCombatStats(userId);
+
+    if (player.playerStats.current_health <= 0) {
+      return res.status(400).json({ error: 'Du musst dich erst erholen! Deine HP sind zu niedrig.' });
+    }
+
+    // World bosses are attacked alone and keep their health between attacks
+    const worldBoss = await getActiveWorldBoss(worldNpc.id);
+    if (worldBoss) {
+      return res.json(await resolveWorldBossAttack(userId, worldBoss, worldNpc, player));
     }
 
-    // Check if monster is alive
-    if (!worldNpc.is_active) {
-      // Check respawn
-      if (worldNpc.last_killed_at) {
-        const respawnTime = new Date(worldNpc.last_killed_at);
-        respawnTime.setMinutes(respawnTime.getMinutes() + worldNpc.respawn_minutes);
-        if (new Date() < respawnTime) {
-          const minutesLeft = Math.ceil((respawnTime - new Date()) / 60000);
-          return res.status(400).json({ error: `Monster respawnt in ${minutesLeft} Minuten` });
+    // Party members close to the monster fight along
+    const { partyId, userIds } = await getFightParticipants(userId, worldNpc);
+    const minPartySize = worldNpc.min_party_size || 1;
+    if (userIds.length < minPartySize) {
+      return res.status(400).json({
+        error: `Für ${worldNpc.display_name} braucht ihr mindestens ${minPartySize} Gruppenmitglieder in der Nähe`,
+        partyRequired: minPartySize
+      });
+    }
+
+    if (userIds.length > 1) {
+      const fight = await resolvePartyFight(partyId, userIds, worldNpc, player);
+      const own = fight.members[0];
+
+      return res.json({
+        result: fight.result.winner,
+        playerHealth: own.health,
+        playerMaxHealth: player.maxHealth,
+        monsterHealth: fight.result.defenderHealth,
+        monsterMaxHealth: worldNpc.maxHealth,
+        damageDealt: own.damageDealt,
+        damageTaken: own.damageTaken,
+        rounds: fight.result.rounds,
+        goldGained: own.goldGained,
+        expGained: own.expGained,
+        lootItems: own.lootItems,
+        levelUp: own.levelUp,
+        monsterName: worldNpc.display_name,
+        monsterLevel: worldNpc.monsterLevel,
+        party: {
+          lootRule: fight.lootRule,
+          pendingLoot: fight.pendingLoot,
+          members: fight.members.map(member => ({
+            userId: member.userId,
+            username: member.username,
+            damageDealt: member.damageDealt,
+            damageTaken: member.damageTaken,
+            health: member.health,
+            maxHealth: member.stats.maxHealth,
+            goldGained: member.goldGained,
+            expGained: member.expGained,
+            lootItems: member.lootItems,
+            levelUp: member.levelUp
+          }))
         }
-        // Respawn the monster
-        const maxHealth = worldNpc.base_health + (worldNpc.level - 1) * worldNpc.health_per_level;
-        await db.run('UPDATE world_npcs SET is_active = 1, current_health = ? WHERE id = ?', [maxHealth, npcId]);
-        worldNpc.current_health = maxHealth;
-        worldNpc.is_active = 1;
-      }
+      });
     }
 
-    // Get player stats
-    let playerStats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
-    if (!playerStats) {
-      await db.run(`
-        INSERT INTO player_stats (user_id, level, experience, max_health, current_health, base_attack, base_defense)
-        VALUES (?, 1, 0, 100, 100, 10, 5)
-      `, [userId]);
-      playerStats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
+    // Fight!
+    const { result, rewards } = await resolveMonsterFight(userId, worldNpc, player);
+
+    res.json({
+      result: result.winner,
+      playerHealth: result.attackerHealth,
+      playerMaxHealth: player.maxHealth,
+      monsterHealth: result.defenderHealth,
+      monsterMaxHealth: worldNpc.maxHealth,
+      damageDealt: result.defenderDamageDealt,
+      damageTaken: result.attackerDamageDealt,
+      rounds: result.rounds,
+      goldGained: rewards.goldGained,
+      expGained: rewards.expGained,
+      lootItems: rewards.lootItems,
+      levelUp: result.levelUp,
+      monsterName: worldNpc.display_name,
+      monsterLevel: worldNpc.monsterLevel
+    });
+  } catch (error) {
+    if (error instanceof WorldBossError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Combat error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Kampf' });
+  }
+});
 
-    if (playerStats.current_health <= 0) {
-      return res.status(400).json({ error: 'Du musst dich erst erholen! Deine HP sind zu niedrig.' });
+// ============ INTERACTIVE COMBAT ============
+
+// End sessions that had no action within the timeout (the player simply leaves the fight)
+export async function expireCombatSessions() {
+  try {
+    const result = await db.run(`
+      UPDATE combat_sessions SET status = 'expired', ended_at = datetime('now')
+      WHERE status = 'active' AND datetime(last_action_at) <= datetime('now', ?)
+    `, [`-${COMBAT_SESSION_TIMEOUT_MINUTES} minutes`]);
+    if (result.changes > 0) {
+      console.log(`[Combat] ${result.changes} Kampf-Session(s) wegen Inaktivität beendet`);
     }
+  } catch (error) {
+    console.error('[Combat] Fehler beim Beenden abgelaufener Kämpfe:', error);
+  }
+}
 
-    // Get equipment bonuses
-    const QUALITY_MULTIPLIERS = {
-      poor: 0.7, normal: 1.0, good: 1.2, excellent: 1.5, masterwork: 1.8, legendary: 2.5
-    };
-    
-    const equippedItems = await db.all(`
-      SELECT ue.quality, et.base_attack, et.base_defense, et.base_health
-      FROM user_equipment ue
-      JOIN equipment_types et ON ue.equipment_type_id = et.id
-      WHERE ue.user_id = ? AND ue.is_equipped = 1
-    `, [userId]);
+async function getActiveCombatSession(userId) {
+  await expireCombatSessions();
+  return db.get(`
+    SELECT * FROM combat_sessions WHERE user_id = ? AND status = 'active'
+  `, [userId]);
+}
+
+// Items with a heal effect the player can use during a fight
+async function getCombatConsumables(userId) {
+  return db.all(`
+    SELECT ui.item_id, ui.quantity, i.display_name, i.image_path, i.heal_amount
+    FROM user_inventory ui
+    JOIN items i ON ui.item_id = i.id
+    WHERE ui.user_id = ? AND ui.quantity > 0 AND i.heal_amount > 0
+    ORDER BY i.display_name
+  `, [userId]);
+}
+
+// Session state as sent to the client
+async function formatCombatSession(session) {
+  const monster = await db.get(`
+    SELECT mt.display_name, mt.is_boss, wn.level
+    FROM world_npcs wn
+    JOIN monster_types mt ON wn.monster_type_id = mt.id
+    WHERE wn.id = ?
+  `, [session.world_npc_id]);
+
+  const expiresAt = new Date(new Date(session.last_action_at.replace(' ', 'T') + 'Z').getTime() + COMBAT_SESSION_TIMEOUT_MINUTES * 60000);
+
+  return {
+    id: session.id,
+    status: session.status,
+    npcId: session.world_npc_id,
+    monsterName: monster?.display_name || 'Unbekannt',
+    monsterLevel: monster?.level || 1,
+    isBoss: !!monster?.is_boss,
+    monsterHealth: session.monster_health,
+    monsterMaxHealth: session.monster_max_health,
+    playerHealth: session.player_health,
+    playerMaxHealth: session.player_max_health,
+    round: session.round,
+    log: JSON.parse(session.log || '[]'),
+    expiresAt: expiresAt.toISOString(),
+    consumables: await getCombatConsumables(session.user_id)
+  };
+}
+
+// Get my running fight
+router.get('/session', authenticateToken, async (req, res) => {
+  try {
+    const session = await getActiveCombatSession(req.user.id);
+    res.json({ session: session ? await formatCombatSession(session) : null });
+  } catch (error) {
+    console.error('Get combat session error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Start an interactive fight against a monster
+router.post('/monster/:npcId/session', authenticateToken, async (req, res) => {
+  try {
+    const { npcId } = req.params;
+    const userId = req.user.id;
 
-    let equipmentAttack = 0;
-    let equipmentDefense = 0;
-    let equipmentHealth = 0;
+    const proximityCheck = await checkPlayerNearNpc(userId, npcId);
+    if (!proximityCheck.isNear) {
+      return res.status(400).json({ error: proximityCheck.error, tooFar: true });
+    }
 
-    for (const eq of equippedItems) {
-      const multiplier = QUALITY_MULTIPLIERS[eq.quality] || 1.0;
-      equipmentAttack += Math.floor(eq.base_attack * multiplier);
-      equipmentDefense += Math.floor(eq.base_defense * multiplier);
-      equipmentHealth += Math.floor(eq.base_health * multiplier);
+    if (await getActiveCombatSession(userId)) {
+      return res.status(400).json({ error: 'Du befindest dich bereits in einem Kampf' });
     }
 
-    // Calculate monster stats
-    const monsterLevel = worldNpc.level || 1;
-    const monsterMaxHealth = worldNpc.base_health + (monsterLevel - 1) * worldNpc.health_per_level;
-    const monsterAttack = worldNpc.base_attack + (monsterLevel - 1) * worldNpc.attack_per_level;
-    const monsterDefense = worldNpc.base_defense + (monsterLevel - 1) * worldNpc.defense_per_level;
+    const { monster: worldNpc, error, status } = await getMonster(npcId);
+    if (!worldNpc) {
+      return res.status(status).json({ error });
+    }
 
-    // Get buff multipliers
-    const buffMultipliers = await getBuffMultipliers(userId);
+    if (await getActiveWorldBoss(worldNpc.id)) {
+      return res.status(400).json({ error: 'Weltbosse werden nur im Automatikkampf angegriffen' });
+    }
 
-    // Player total stats = (base + equipment) * buff multipliers
-    const playerTotalAttack = Math.floor((playerStats.base_attack + equipmentAttack) * buffMultipliers.attack + buffMultipliers.attackFlat);
-    const playerTotalDefense = Math.floor((playerStats.base_defense + equipmentDefense) * buffMultipliers.defense + buffMultipliers.defenseFlat);
-    const playerMaxHealthWithEquipment = Math.floor((playerStats.max_health + equipmentHealth) * buffMultipliers.health + buffMultipliers.healthFlat);
-    
-    // Calculate effective current health with equipment bonus and buffs
-    // If player is at full base health, they get full equipment bonus
-    // Otherwise, add proportional equipment health bonus
-    let effectiveCurrentHealth;
-    if (playerStats.current_health >= playerStats.max_health) {
-      // Full health = full bonus
-      effectiveCurrentHealth = playerMaxHealthWithEquipment;
-    } else {
-      // Partial health = base current + equipment bonus, scaled by buff
-      effectiveCurrentHealth = Math.floor((playerStats.current_health + equipmentHealth) * buffMultipliers.health + buffMultipliers.healthFlat);
+    // Party-only monsters are fought together in the auto-battle
+    if ((worldNpc.min_party_size || 1) > 1) {
+      return res.status(400).json({ error: `${worldNpc.display_name} kann nur als Gruppe bekämpft werden`, partyRequired: worldNpc.min_party_size });
     }
 
-    const attacker = {
-      attack: playerTotalAttack,
-      defense: playerTotalDefense,
-      current_health: effectiveCurrentHealth,
-      max_health: playerMaxHealthWithEquipment
-    };
+    const player = await getPlayerCombatStats(userId);
+    if (player.playerStats.current_health <= 0) {
+      return res.status(400).json({ error: 'Du musst dich erst erholen! Deine HP sind zu niedrig.' });
+    }
 
-    const defender = {
-      attack: monsterAttack,
-      defense: monsterDefense,
-      current_health: worldNpc.current_health || monsterMaxHealth,
-      max_health: monsterMaxHealth
-    };
+    const result = await db.run(`
+      INSERT INTO combat_sessions (user_id, world_npc_id, player_health, player_max_health, player_attack, player_defense, equipment_health,
+        monster_health, monster_max_health, monster_attack, monster_defense, log)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '[]')
+    `, [userId, npcId, player.currentHealth, player.maxHealth, player.attack, player.defense, player.equipmentHealth,
+      worldNpc.current_health || worldNpc.maxHealth, worldNpc.maxHealth, worldNpc.attack, worldNpc.defense]);
 
-    // Fight!
-    const result = calculateCombat(attacker, defender);
+    const session = await db.get('SELECT * FROM combat_sessions WHERE id = ?', [result.lastID]);
 
-    // Update player health - subtract equipment bonus to get base health
-    // Make sure it doesn't go below 0 or above base max_health
-    const newBaseHealth = Math.max(0, Math.min(playerStats.max_health, result.attackerHealth - equipmentHealth));
-    await db.run('UPDATE player_stats SET current_health = ? WHERE user_id = ?', 
-      [newBaseHealth, userId]);
+    res.json({
+      message: `Kampf gegen ${worldNpc.display_name} begonnen!`,
+      session: await formatCombatSession(session)
+    });
+  } catch (error) {
+    console.error('Start combat session error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Kampf' });
+  }
+});
+
+// Play one round: attack, defend, item or flee
+router.post('/session/action', authenticateToken, async (req, res) => {
+  try {
+    const { action, item_id } = req.body;
+    const userId = req.user.id;
+
+    if (!['attack', 'defend', 'item', 'flee'].includes(action)) {
+      return res.status(400).json({ error: 'Ungültige Aktion' });
+    }
+
+    const session = await getActiveCombatSession(userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Kein laufender Kampf' });
+    }
 
-    let goldGained = 0;
-    let expGained = 0;
-    const lootItems = [];
+    const { monster: worldNpc } = await getMonster(session.world_npc_id);
 
-    if (result.winner === 'attacker') {
-      // Monster defeated!
+    // Monster HP is shared with other players, so always read the current value
+    if (!worldNpc || !worldNpc.is_active || worldNpc.current_health <= 0) {
       await db.run(`
-        UPDATE world_npcs SET is_active = 0, current_health = 0, last_killed_at = datetime('now') WHERE id = ?
-      `, [npcId]);
+        UPDATE combat_sessions SET status = 'expired', ended_at = datetime('now') WHERE id = ?
+      `, [session.id]);
+      return res.status(400).json({ error: 'Das Monster wurde bereits besiegt', ended: true });
+    }
 
-      // Calculate rewards with buff multipliers
-      expGained = Math.floor(10 * monsterLevel * (worldNpc.is_boss ? 5 : 1) * buffMultipliers.exp);
-      
-      // Get loot
-      const lootTable = await db.all(`
-        SELECT * FROM monster_loot WHERE monster_type_id = ?
-      `, [worldNpc.monster_type_id]);
-
-      for (const loot of lootTable) {
-        // Gold (with buff multiplier)
-        if (loot.gold_min > 0 || loot.gold_max > 0) {
-          const baseGold = Math.floor(Math.random() * (loot.gold_max - loot.gold_min + 1)) + loot.gold_min;
-          goldGained += Math.floor(baseGold * buffMultipliers.gold);
-        }
-        
-        // Item drop
-        if (Math.random() < loot.drop_chance) {
-          const qty = Math.floor(Math.random() * (loot.max_quantity - loot.min_quantity + 1)) + loot.min_quantity;
-          
-          const item = await db.get('SELECT display_name, rarity FROM items WHERE id = ?', [loot.item_id]);
-          lootItems.push({ item_id: loot.item_id, quantity: qty, name: item?.display_name || 'Unbekannt' });
-          
-          // Add to inventory
-          await db.run(`
-            INSERT INTO user_inventory (user_id, item_id, quantity)
-            VALUES (?, ?, ?)
-            ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-          `, [userId, loot.item_id, qty, qty]);
-
-          // Track rarity for achievements (legendary, epic, rare)
-          if (item?.rarity && ['legendary', 'epic', 'rare'].includes(item.rarity)) {
-            const { trackItemObtained } = await import('../helpers/statistics.js');
-            await trackItemObtained(userId, item.rarity);
-          }
-        }
-      }
+    let playerHealth = session.player_health;
+    let monsterHealth = worldNpc.current_health;
+    const round = session.round + 1;
+    const log = JSON.parse(session.log || '[]');
+    let damageToMonster = 0;
+    let monsterAttacks = true;
+    let defending = false;
+    let fled = false;
+    let usedItem = null;
 
-      // Add gold
-      if (goldGained > 0) {
-        await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [goldGained, userId]);
+    if (action === 'attack') {
+      const attackRoll = Math.random() * 0.4 + 0.8;
+      damageToMonster = Math.max(1, Math.floor(session.player_attack * attackRoll - session.monster_defense / 2));
+      monsterHealth = Math.max(0, monsterHealth - damageToMonster);
+      log.push({ round, action: 'attacker_hit', damage: damageToMonster });
+    } else if (action === 'defend') {
+      defending = true;
+      log.push({ round, action: 'defend' });
+    } else if (action === 'item') {
+      const item = await db.get('SELECT id, display_name, heal_amount FROM items WHERE id = ?', [item_id]);
+      if (!item || !(item.heal_amount > 0)) {
+        return res.status(400).json({ error: 'Dieses Item kann im Kampf nicht benutzt werden' });
       }
+      usedItem = item;
+      const healed = Math.min(item.heal_amount, session.player_max_health - playerHealth);
+      playerHealth += healed;
+      log.push({ round, action: 'item', item: item.display_name, heal: healed });
+    } else if (action === 'flee') {
+      const player = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
+      const fleeChance = Math.min(0.9, Math.max(0.2, 0.5 + ((player?.level || 1) - worldNpc.monsterLevel) * 0.05));
+      fled = Math.random() < fleeChance;
+      monsterAttacks = !fled;
+      log.push({ round, action: fled ? 'flee' : 'flee_failed' });
+    }
 
-      // Add experience
-      const currentExp = playerStats.experience + expGained;
-      const expNeeded = getExpForLevel(playerStats.level + 1);
-      
-      if (currentExp >= expNeeded) {
-        // Level up!
-        const newLevel = playerStats.level + 1;
-        const newMaxHealth = 100 + (newLevel - 1) * 20;
-        const newAttack = 10 + (newLevel - 1) * 3;
-        const newDefense = 5 + (newLevel - 1) * 2;
-        
-        await db.run(`
-          UPDATE player_stats 
-          SET level = ?, experience = ?, max_health = ?, current_health = ?, base_attack = ?, base_defense = ?
-          WHERE user_id = ?
-        `, [newLevel, currentExp - expNeeded, newMaxHealth, newMaxHealth, newAttack, newDefense, userId]);
-
-        result.levelUp = {
-          newLevel,
-          newMaxHealth,
-          newAttack,
-          newDefense
-        };
-      } else {
-        await db.run('UPDATE player_stats SET experience = ? WHERE user_id = ?', [currentExp, userId]);
+    // Monster counter-attacks if still alive
+    let damageToPlayer = 0;
+    if (monsterAttacks && monsterHealth > 0) {
+      const defenseRoll = Math.random() * 0.4 + 0.8;
+      damageToPlayer = Math.max(1, Math.floor(session.monster_attack * defenseRoll - session.player_defense / 2));
+      if (defending) {
+        damageToPlayer = Math.max(1, Math.floor(damageToPlayer / 2));
       }
-    } else {
-      // Update monster health
-      await db.run('UPDATE world_npcs SET current_health = ? WHERE id = ?', [result.defenderHealth, npcId]);
+      playerHealth = Math.max(0, playerHealth - damageToPlayer);
+      log.push({ round, action: 'defender_hit', damage: damageToPlayer });
     }
 
-    // Log combat
-    await db.run(`
-      INSERT INTO combat_log (attacker_user_id, world_npc_id, winner, attacker_damage_dealt, defender_damage_dealt, gold_gained, experience_gained)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [userId, npcId, result.winner, result.defenderDamageDealt, result.attackerDamageDealt, goldGained, expGained]);
-
-    // Track statistics
-    await updateMultipleStats(userId, {
-      total_damage_dealt: result.defenderDamageDealt,
-      total_damage_received: result.attackerDamageDealt
-    });
+    let status = 'active';
+    if (monsterHealth <= 0) status = 'won';
+    else if (playerHealth <= 0) status = 'lost';
+    else if (fled) status = 'fled';
+
+    const damageDealt = session.damage_dealt + damageToMonster;
+    const damageTaken = session.damage_taken + damageToPlayer;
 
-    if (result.winner === 'attacker') {
-      await trackKill(userId, worldNpc.monster_type_id, worldNpc.is_boss);
-      if (goldGained > 0) {
-        await updateStatistic(userId, 'gold_earned', goldGained);
+    let rewards = { goldGained: 0, expGained: 0, lootItems: [], levelUp: null };
+
+    // Persist the round, both sides and the kill at once. The round check stops a second request for
+    // the same round (double click), the kill check another player who killed the monster meanwhile.
+    try {
+      await db.transaction(async () => {
+        const roundUpdate = await db.run(`
+          UPDATE combat_sessions 
+          SET player_health = ?, monster_health = ?, round = ?, damage_dealt = ?, damage_taken = ?, log = ?, status = ?,
+              last_action_at = datetime('now'), ended_at = CASE WHEN ? = 'active' THEN NULL ELSE datetime('now') END
+          WHERE id = ? AND status = 'active' AND round = ?
+        `, [playerHealth, monsterHealth, round, damageDealt, damageTaken, JSON.stringify(log), status, status, session.id, session.round]);
+        if (roundUpdate.changes === 0) {
+          throw new CombatError('Diese Runde wurde bereits gespielt', 409);
+        }
+
+        if (usedItem) {
+          await removeItems(userId, [{ item_id: usedItem.id, quantity: 1 }]);
+        }
+
+        const playerStats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
+        await savePlayerHealth(userId, playerStats, playerHealth, session.equipment_health);
+
+        if (status === 'won') {
+          const buffMultipliers = await getBuffMultipliers(userId);
+          rewards = await grantMonsterRewards(userId, worldNpc, playerStats, buffMultipliers);
+          if (!rewards) {
+            throw new CombatError('Das Monster wurde bereits besiegt', 400, true);
+          }
+        } else {
+          await saveMonsterHealth(worldNpc, monsterHealth);
+        }
+
+        if (status === 'won' || status === 'lost') {
+          await recordMonsterFight(userId, worldNpc, {
+            winner: status === 'won' ? 'attacker' : 'defender',
+            damageDealt,
+            damageTaken,
+            rounds: round,
+            ...rewards
+          });
+        }
+      });
+    } catch (error) {
+      if (error instanceof InventoryError) {
+        return res.status(400).json({ error: 'Du hast dieses Item nicht mehr' });
       }
-    } else {
-      await updateStatistic(userId, 'deaths', 1);
+      if (!(error instanceof CombatError)) {
+        throw error;
+      }
+      if (error.ended) {
+        await db.run(`
+          UPDATE combat_sessions SET status = 'expired', ended_at = datetime('now') WHERE id = ? AND status = 'active'
+        `, [session.id]);
+      }
+      return res.status(error.status).json({ error: error.message, ended: error.ended });
     }
 
-    // Send combat report message
-    const user = await db.get('SELECT username FROM users WHERE id = ?', [userId]);
-    const lootText = lootItems.length > 0 
-      ? `\n\nBeute:\n${lootItems.map(l => `• ${l.quantity}x ${l.name}`).join('\n')}`
-      : '';
-    
-    const goldText = goldGained > 0 ? `\n💰 Gold: +${goldGained}` : '';
-    const expText = expGained > 0 ? `\n✨ EP: +${expGained}` : '';
-    const levelUpText = result.levelUp ? `\n\n🎉 **LEVEL UP!** Du bist jetzt Level ${result.levelUp.newLevel}!` : '';
-    
-    const messageContent = result.winner === 'attacker'
-      ? `⚔️ Du hast **${worldNpc.display_name}** (Lv.${monsterLevel}) besiegt!\n\nKampf dauerte ${result.rounds} Runden.\nDu hast ${result.attackerDamageDealt} Schaden erlitten.${goldText}${expText}${lootText}${levelUpText}`
-      : `💀 Du wurdest von **${worldNpc.display_name}** (Lv.${monsterLevel}) besiegt!\n\nKampf dauerte ${result.rounds} Runden.\nDu hast ${result.attackerDamageDealt} Schaden erlitten.`;
-
-    await sendSystemMessage(
-      userId,
-      result.winner === 'attacker' ? '⚔️ Sieg!' : '💀 Niederlage',
-      messageContent,
-      'combat'
-    );
+    const updated = await db.get('SELECT * FROM combat_sessions WHERE id = ?', [session.id]);
 
     res.json({
-      result: result.winner,
-      playerHealth: result.attackerHealth,
-      playerMaxHealth: playerMaxHealthWithEquipment,
-      monsterHealth: result.defenderHealth,
-      monsterMaxHealth,
-      damageDealt: result.defenderDamageDealt,
-      damageTaken: result.attackerDamageDealt,
-      rounds: result.rounds,
-      goldGained,
-      expGained,
-      lootItems,
-      levelUp: result.levelUp,
-      monsterName: worldNpc.display_name,
-      monsterLevel
+      session: await formatCombatSession(updated),
+      damageDealt: damageToMonster,
+      damageTaken: damageToPlayer,
+      ...rewards
     });
   } catch (error) {
-    console.error('Combat error:', error);
+    console.error('Combat action error:', error);
     res.status(500).json({ error: 'Serverfehler beim Kampf' });
   }
 });
 
-// Note: Healing is now automatic when player is at home (checked in /npcs/player/stats)
-
 // Get combat history
 router.get('/history', authenticateToken, async (req, res) => {
   try {
@@ -3,6 +3,7 @@ import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requirePermission } from '../middleware/permissions.js';
 import { trackCrafting } from '../helpers/statistics.js';
+import { InventoryError, addItems, removeItems } from '../helpers/inventory.js';
 
 const router = express.Router();
 
@@ -148,27 +149,11 @@ router.post('/craft', authenticateToken, async (req, res) => {
       }
     }
 
-    // Remove ingredients from inventory
-    for (const ingredient of ingredients) {
-      await db.run(`
-        UPDATE user_inventory 
-        SET quantity = quantity - ? 
-        WHERE user_id = ? AND item_id = ?
-      `, [ingredient.quantity, req.user.id, ingredient.item_id]);
-
-      // Remove if quantity reaches 0
-      await db.run(`
-        DELETE FROM user_inventory 
-        WHERE user_id = ? AND item_id = ? AND quantity <= 0
-      `, [req.user.id, ingredient.item_id]);
-    }
-
-    // Add result to inventory
-    await db.run(`
-      INSERT INTO user_inventory (user_id, item_id, quantity)
-      VALUES (?, ?, ?)
-      ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-    `, [req.user.id, recipe.result_item_id, recipe.result_quantity, recipe.result_quantity]);
+    // Swap ingredients for the result in one transaction
+    await db.transaction(async () => {
+      await removeItems(req.user.id, ingredients);
+      await addItems(req.user.id, [{ item_id: recipe.result_item_id, quantity: recipe.result_quantity }]);
+    });
 
     const resultItem = await db.get('SELECT display_name FROM items WHERE id = ?', [recipe.result_item_id]);
 
@@ -179,6 +164,9 @@ router.post('/craft', authenticateToken, async (req, res) => {
       message: `${recipe.result_quantity}x ${resultItem.display_name} erfolgreich gecraftet`
     });
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Craft error:', error);
     res.status(500).json({ error: 'Serverfehler beim Craften' });
   }
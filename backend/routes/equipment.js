@@ -3,6 +3,8 @@ import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requirePermission } from '../middleware/permissions.js';
 import { trackCrafting, updateStatistic } from '../helpers/statistics.js';
+import { InventoryError, removeItems } from '../helpers/inventory.js';
+import { JobError, registerJobHandler, isUserAtHome, startJob } from '../helpers/jobs.js';
 
 const router = express.Router();
 
@@ -16,7 +18,7 @@ const QUALITY_MULTIPLIERS = {
   legendary: 2.5
 };
 
-const QUALITY_NAMES = {
+export const QUALITY_NAMES = {
   poor: 'Minderwertig',
   normal: 'Normal',
   good: 'Gut',
@@ -25,7 +27,7 @@ const QUALITY_NAMES = {
   legendary: 'Legendär'
 };
 
-const QUALITY_COLORS = {
+export const QUALITY_COLORS = {
   poor: '#9d9d9d',
   normal: '#ffffff',
   good: '#1eff00',
@@ -501,56 +503,6 @@ router.get('/recipes', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper: Check if user is at home
-async function isUserAtHome(userId) {
-  const user = await db.get('SELECT world_x, world_y, home_x, home_y FROM users WHERE id = ?', [userId]);
-  const homeX = user.home_x ?? 0;
-  const homeY = user.home_y ?? 0;
-  const distance = Math.sqrt(
-    Math.pow((user.world_x || 0) - homeX, 2) + 
-    Math.pow((user.world_y || 0) - homeY, 2)
-  );
-  return distance <= 50;
-}
-
-// Helper: Check if user has any active job that is NOT ready to collect
-async function hasActiveJob(userId) {
-  const now = new Date().toISOString();
-  
-  // Check collection jobs - only if not yet completed
-  const collectionJob = await db.get(
-    "SELECT id FROM collection_jobs WHERE user_id = ? AND status IN ('active', 'paused') AND completed_at > ?",
-    [userId, now]
-  );
-  if (collectionJob) return { active: true, type: 'Sammel-Auftrag' };
-  
-  // Check building jobs - only if not yet completed
-  const buildingJob = await db.get(
-    "SELECT id FROM building_jobs WHERE user_id = ? AND status IN ('active', 'paused') AND completed_at > ?",
-    [userId, now]
-  );
-  if (buildingJob) return { active: true, type: 'Bau-/Upgrade-Auftrag' };
-  
-  // Check crafting jobs - only if not yet finished (finish_at in future and not paused)
-  const craftingJob = await db.get(
-    "SELECT id, finish_at, paused_at FROM crafting_jobs WHERE user_id = ? AND is_completed = 0",
-    [userId]
-  );
-  if (craftingJob) {
-    // If paused, it's still "active" (blocking)
-    if (craftingJob.paused_at) {
-      return { active: true, type: 'Herstellungs-Auftrag (pausiert)' };
-    }
-    // If not finished yet, it's still "active"
-    if (new Date(craftingJob.finish_at) > new Date()) {
-      return { active: true, type: 'Herstellungs-Auftrag' };
-    }
-    // If finished (finish_at <= now), don't count as active - ready to collect!
-  }
-  
-  return { active: false };
-}
-
 // Helper: Calculate quality based on profession level and forge level
 function calculateQuality(professionLevel, forgeLevel) {
   const skillBonus = professionLevel * 5;
@@ -567,16 +519,29 @@ function calculateQuality(professionLevel, forgeLevel) {
   else return 'poor';
 }
 
-// Get active crafting job
-router.get('/crafting', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    const job = await db.get(`
+// Get a recipe together with the equipment it creates
+async function getRecipe(recipeId) {
+  return db.get(`
+    SELECT er.*, et.display_name, et.id as equipment_type_id
+    FROM equipment_recipes er
+    JOIN equipment_types et ON er.equipment_type_id = et.id
+    WHERE er.id = ?
+  `, [recipeId]);
+}
+
+registerJobHandler('crafting', {
+  label: 'Herstellungs-Auftrag',
+  table: 'crafting_jobs',
+  requiresHome: true,
+
+  async list(userId) {
+    return db.all(`
       SELECT 
         cj.*,
+        et.display_name as name,
         er.experience_reward,
         er.profession,
+        er.equipment_type_id,
         et.display_name,
         et.image_path,
         et.slot
@@ -584,121 +549,136 @@ router.get('/crafting', authenticateToken, async (req, res) => {
       JOIN equipment_recipes er ON cj.recipe_id = er.id
       JOIN equipment_types et ON er.equipment_type_id = et.id
       WHERE cj.user_id = ? AND cj.is_completed = 0
+      ORDER BY cj.started_at
     `, [userId]);
-    
-    if (!job) {
-      return res.json({ crafting: null });
+  },
+
+  async listDue(now) {
+    return db.all(`
+      SELECT cj.id, cj.user_id, et.display_name as name
+      FROM crafting_jobs cj
+      JOIN equipment_recipes er ON cj.recipe_id = er.id
+      JOIN equipment_types et ON er.equipment_type_id = et.id
+      WHERE cj.is_completed = 0 AND cj.paused_at IS NULL AND cj.finish_at <= ? AND cj.notified_at IS NULL
+    `, [now]);
+  },
+
+  async describe(userId, params) {
+    const recipe = await getRecipe(params.recipe_id);
+    if (!recipe) {
+      throw new JobError('Rezept nicht gefunden', {}, 404);
     }
-    
-    // Check if user is at home to determine pause state
-    const atHome = await isUserAtHome(userId);
-    const now = new Date();
-    
-    if (job.paused_at && atHome) {
-      // User returned home - resume crafting
-      const remainingMs = job.remaining_seconds * 1000;
-      const newFinishAt = new Date(now.getTime() + remainingMs);
-      
-      await db.run(`
-        UPDATE crafting_jobs 
-        SET paused_at = NULL, remaining_seconds = NULL, finish_at = ?
-        WHERE id = ?
-      `, [newFinishAt.toISOString(), job.id]);
-      
-      job.paused_at = null;
-      job.finish_at = newFinishAt.toISOString();
-    } else if (!job.paused_at && !atHome) {
-      // User left home - pause crafting
-      const finishAt = new Date(job.finish_at);
-      const remainingMs = Math.max(0, finishAt.getTime() - now.getTime());
-      const remainingSeconds = Math.ceil(remainingMs / 1000);
-      
-      await db.run(`
-        UPDATE crafting_jobs 
-        SET paused_at = ?, remaining_seconds = ?
-        WHERE id = ?
-      `, [now.toISOString(), remainingSeconds, job.id]);
-      
-      job.paused_at = now.toISOString();
-      job.remaining_seconds = remainingSeconds;
+    return recipe.display_name;
+  },
+
+  async start(userId, params) {
+    const recipeId = params.recipe_id;
+
+    // Check if player is at home
+    if (!(await isUserAtHome(userId))) {
+      throw new JobError('Du musst zu Hause sein um Ausrüstung zu schmieden!', { notAtHome: true });
     }
-    
-    // Calculate remaining time
-    let remainingSeconds;
-    if (job.paused_at) {
-      remainingSeconds = job.remaining_seconds;
-    } else {
-      const finishAt = new Date(job.finish_at);
-      remainingSeconds = Math.max(0, Math.ceil((finishAt.getTime() - now.getTime()) / 1000));
+
+    // Get the recipe
+    const recipe = await getRecipe(recipeId);
+    if (!recipe) {
+      throw new JobError('Rezept nicht gefunden', {}, 404);
     }
-    
-    // Check if finished
-    if (remainingSeconds <= 0 && !job.paused_at) {
-      return res.json({ 
-        crafting: { ...job, is_ready: true, remaining_seconds: 0 }
-      });
+
+    // Check profession level
+    let professionStats = await db.get(
+      'SELECT * FROM profession_stats WHERE user_id = ? AND profession = ?',
+      [userId, recipe.profession]
+    );
+
+    if (!professionStats) {
+      await db.run(`
+        INSERT INTO profession_stats (user_id, profession, level, experience)
+        VALUES (?, ?, 1, 0)
+      `, [userId, recipe.profession]);
+      professionStats = { level: 1, experience: 0 };
     }
-    
-    res.json({ 
-      crafting: {
-        ...job,
-        remaining_seconds: remainingSeconds,
-        is_paused: !!job.paused_at,
-        is_ready: false
-      }
-    });
-  } catch (error) {
-    console.error('Get crafting job error:', error);
-    res.status(500).json({ error: 'Serverfehler' });
-  }
-});
 
-// IMPORTANT: Static routes must come BEFORE parameterized routes!
-// /craft/collect and /craft/cancel must be defined before /craft/:recipeId
+    if (professionStats.level < recipe.required_profession_level) {
+      throw new JobError(`Du brauchst ${recipe.profession === 'blacksmith' ? 'Schmied' : recipe.profession} Level ${recipe.required_profession_level}`);
+    }
 
-// Collect finished crafted item
-router.post('/craft/collect', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
+    // Check materials
+    const materials = await db.all(`
+      SELECT erm.*, i.display_name as item_name
+      FROM equipment_recipe_materials erm
+      JOIN items i ON erm.item_id = i.id
+      WHERE erm.recipe_id = ?
+    `, [recipeId]);
 
-    // Get the active job
-    const job = await db.get(`
-      SELECT 
-        cj.*,
-        er.experience_reward,
-        er.profession,
-        er.equipment_type_id,
-        et.display_name
-      FROM crafting_jobs cj
-      JOIN equipment_recipes er ON cj.recipe_id = er.id
-      JOIN equipment_types et ON er.equipment_type_id = et.id
-      WHERE cj.user_id = ? AND cj.is_completed = 0
+    for (const mat of materials) {
+      const inventory = await db.get(
+        'SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?',
+        [userId, mat.item_id]
+      );
+      
+      if (!inventory || inventory.quantity < mat.quantity) {
+        throw new JobError(`Nicht genug ${mat.item_name} (${inventory?.quantity || 0}/${mat.quantity})`);
+      }
+    }
+
+    // Remove materials from inventory
+    await removeItems(userId, materials);
+
+    // Get forge level for quality calculation
+    const forge = await db.get(`
+      SELECT ub.level 
+      FROM user_buildings ub
+      JOIN buildings b ON ub.building_id = b.id
+      WHERE ub.user_id = ? AND b.name = 'schmiede'
     `, [userId]);
+    const forgeLevel = forge?.level || 1;
 
-    if (!job) {
-      return res.status(404).json({ error: 'Kein aktiver Herstellungsauftrag' });
-    }
+    // Pre-calculate quality (determined at start)
+    const quality = calculateQuality(professionStats.level, forgeLevel);
 
-    // Check if finished (and not paused)
-    if (job.paused_at) {
-      return res.status(400).json({ 
-        error: 'Herstellung ist pausiert. Geh nach Hause um fortzufahren!',
-        isPaused: true
-      });
-    }
+    // Calculate craft time (base time from recipe, reduced by profession level)
+    const baseCraftTime = recipe.craft_time || 60; // seconds
+    const timeReduction = Math.min(0.5, professionStats.level * 0.02); // Up to 50% reduction
+    const actualCraftTime = Math.ceil(baseCraftTime * (1 - timeReduction));
 
     const now = new Date();
-    const finishAt = new Date(job.finish_at);
-    
-    if (now < finishAt) {
-      const remainingSeconds = Math.ceil((finishAt.getTime() - now.getTime()) / 1000);
-      return res.status(400).json({ 
-        error: `Noch nicht fertig! Noch ${remainingSeconds} Sekunden.`,
-        notReady: true,
-        remaining_seconds: remainingSeconds
-      });
-    }
+    const finishAt = new Date(now.getTime() + actualCraftTime * 1000);
 
+    // Create crafting job
+    const job = await db.run(`
+      INSERT INTO crafting_jobs (user_id, recipe_id, quality, started_at, finish_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, recipeId, quality, now.toISOString(), finishAt.toISOString()]);
+
+    return {
+      job: { id: job.lastID, name: recipe.display_name, finish_at: finishAt },
+      result: {
+        message: `Herstellung von ${recipe.display_name} gestartet!`,
+        craft_time: actualCraftTime,
+        finish_at: finishAt.toISOString(),
+        quality_preview: QUALITY_NAMES[quality] // Show quality preview
+      }
+    };
+  },
+
+  async pause(job, remainingSeconds, now) {
+    await db.run(`
+      UPDATE crafting_jobs 
+      SET paused_at = ?, remaining_seconds = ?
+      WHERE id = ?
+    `, [now.toISOString(), remainingSeconds, job.id]);
+  },
+
+  async resume(job, finishAt) {
+    await db.run(`
+      UPDATE crafting_jobs 
+      SET paused_at = NULL, remaining_seconds = NULL, finish_at = ?
+      WHERE id = ?
+    `, [finishAt.toISOString(), job.id]);
+  },
+
+  async complete(userId, job) {
     // Create the equipment
     await db.run(`
       INSERT INTO user_equipment (user_id, equipment_type_id, quality, quality_bonus)
@@ -751,7 +731,7 @@ router.post('/craft/collect', authenticateToken, async (req, res) => {
       await trackItemObtained(userId, effectiveRarity);
     }
 
-    res.json({
+    return {
       message: `${job.display_name} (${QUALITY_NAMES[job.quality]}) hergestellt!`,
       quality: job.quality,
       quality_name: QUALITY_NAMES[job.quality],
@@ -760,159 +740,31 @@ router.post('/craft/collect', authenticateToken, async (req, res) => {
       profession_level: newLevel,
       profession_exp: newExp,
       leveled_up: leveledUp
-    });
-  } catch (error) {
-    console.error('Collect craft error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Abholen' });
-  }
-});
-
-// Cancel crafting (lose materials)
-router.delete('/craft/cancel', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    const job = await db.get(`
-      SELECT cj.*, et.display_name
-      FROM crafting_jobs cj
-      JOIN equipment_recipes er ON cj.recipe_id = er.id
-      JOIN equipment_types et ON er.equipment_type_id = et.id
-      WHERE cj.user_id = ? AND cj.is_completed = 0
-    `, [userId]);
-
-    if (!job) {
-      return res.status(404).json({ error: 'Kein aktiver Herstellungsauftrag zum Abbrechen' });
-    }
+    };
+  },
 
+  // Cancelling loses the materials
+  async cancel(userId, job) {
     await db.run('DELETE FROM crafting_jobs WHERE id = ?', [job.id]);
 
-    res.json({
+    return {
       message: `Herstellung von ${job.display_name} abgebrochen. Materialien verloren.`
-    });
-  } catch (error) {
-    console.error('Cancel craft error:', error);
-    res.status(500).json({ error: 'Serverfehler beim Abbrechen' });
+    };
   }
 });
 
-// Start crafting (creates a timed job) - MUST be after /craft/collect and /craft/cancel
+// Start crafting (creates a timed job, status and collecting go through /api/jobs)
 router.post('/craft/:recipeId', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { recipeId } = req.params;
-
-    // Check if user has ANY active job
-    const jobCheck = await hasActiveJob(userId);
-    if (jobCheck.active) {
-      return res.status(400).json({ 
-        error: `Du hast bereits einen aktiven ${jobCheck.type}. Schließe ihn zuerst ab!`,
-        hasActiveJob: true
-      });
-    }
-
-    // Check if player is at home
-    const atHome = await isUserAtHome(userId);
-    if (!atHome) {
-      return res.status(400).json({ 
-        error: 'Du musst zu Hause sein um Ausrüstung zu schmieden!',
-        notAtHome: true
-      });
-    }
-
-    // Get the recipe
-    const recipe = await db.get(`
-      SELECT er.*, et.display_name, et.id as equipment_type_id
-      FROM equipment_recipes er
-      JOIN equipment_types et ON er.equipment_type_id = et.id
-      WHERE er.id = ?
-    `, [recipeId]);
-
-    if (!recipe) {
-      return res.status(404).json({ error: 'Rezept nicht gefunden' });
-    }
-
-    // Check profession level
-    let professionStats = await db.get(
-      'SELECT * FROM profession_stats WHERE user_id = ? AND profession = ?',
-      [userId, recipe.profession]
-    );
-
-    if (!professionStats) {
-      await db.run(`
-        INSERT INTO profession_stats (user_id, profession, level, experience)
-        VALUES (?, ?, 1, 0)
-      `, [userId, recipe.profession]);
-      professionStats = { level: 1, experience: 0 };
-    }
-
-    if (professionStats.level < recipe.required_profession_level) {
-      return res.status(400).json({ 
-        error: `Du brauchst ${recipe.profession === 'blacksmith' ? 'Schmied' : recipe.profession} Level ${recipe.required_profession_level}` 
-      });
-    }
-
-    // Check materials
-    const materials = await db.all(`
-      SELECT erm.*, i.display_name as item_name
-      FROM equipment_recipe_materials erm
-      JOIN items i ON erm.item_id = i.id
-      WHERE erm.recipe_id = ?
-    `, [recipeId]);
-
-    for (const mat of materials) {
-      const inventory = await db.get(
-        'SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?',
-        [userId, mat.item_id]
-      );
-      
-      if (!inventory || inventory.quantity < mat.quantity) {
-        return res.status(400).json({ 
-          error: `Nicht genug ${mat.item_name} (${inventory?.quantity || 0}/${mat.quantity})` 
-        });
-      }
+    const result = await startJob(req.user.id, 'crafting', { recipe_id: parseInt(req.params.recipeId) });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
-
-    // Remove materials from inventory
-    for (const mat of materials) {
-      await db.run(`
-        UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ?
-      `, [mat.quantity, userId, mat.item_id]);
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
     }
-    await db.run('DELETE FROM user_inventory WHERE quantity <= 0');
-
-    // Get forge level for quality calculation
-    const forge = await db.get(`
-      SELECT ub.level 
-      FROM user_buildings ub
-      JOIN buildings b ON ub.building_id = b.id
-      WHERE ub.user_id = ? AND b.name = 'schmiede'
-    `, [userId]);
-    const forgeLevel = forge?.level || 1;
-
-    // Pre-calculate quality (determined at start)
-    const quality = calculateQuality(professionStats.level, forgeLevel);
-
-    // Calculate craft time (base time from recipe, reduced by profession level)
-    const baseCraftTime = recipe.craft_time || 60; // seconds
-    const timeReduction = Math.min(0.5, professionStats.level * 0.02); // Up to 50% reduction
-    const actualCraftTime = Math.ceil(baseCraftTime * (1 - timeReduction));
-
-    const now = new Date();
-    const finishAt = new Date(now.getTime() + actualCraftTime * 1000);
-
-    // Create crafting job
-    await db.run(`
-      INSERT INTO crafting_jobs (user_id, recipe_id, quality, started_at, finish_at)
-      VALUES (?, ?, ?, ?, ?)
-    `, [userId, recipeId, quality, now.toISOString(), finishAt.toISOString()]);
-
-    res.json({
-      message: `Herstellung von ${recipe.display_name} gestartet!`,
-      craft_time: actualCraftTime,
-      finish_at: finishAt.toISOString(),
-      quality_preview: QUALITY_NAMES[quality] // Show quality preview
-    });
-  } catch (error) {
     console.error('Start craft error:', error);
     res.status(500).json({ error: 'Serverfehler beim Starten der Herstellung' });
   }
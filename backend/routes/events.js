@@ -0,0 +1,64 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { authenticateToken } from '../middleware/auth.js';
+import { addClient, removeClient, setClientArea, MAX_SUBSCRIPTION_SIZE } from '../helpers/realtime.js';
+
+const router = express.Router();
+
+// Open the event stream (EventSource cannot send headers, so the token comes as query parameter)
+router.get('/stream', (req, res) => {
+  const token = req.query.token;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Kein Token bereitgestellt' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      return res.status(403).json({ error: 'Ungültiger Token' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.flushHeaders();
+
+    const clientId = addClient(user.id, res);
+    res.write(`event: connected\ndata: ${JSON.stringify({ connection_id: clientId })}\n\n`);
+
+    req.on('close', () => {
+      removeClient(clientId);
+    });
+  });
+});
+
+// Subscribe a connection to the map area around the viewport
+router.post('/subscribe', authenticateToken, (req, res) => {
+  const { connection_id, min_x, min_y, max_x, max_y } = req.body;
+  const area = {
+    minX: parseFloat(min_x),
+    minY: parseFloat(min_y),
+    maxX: parseFloat(max_x),
+    maxY: parseFloat(max_y)
+  };
+
+  if (!connection_id || Object.values(area).some(v => isNaN(v))) {
+    return res.status(400).json({ error: 'Verbindungs-ID und Bereich erforderlich' });
+  }
+
+  if (area.maxX < area.minX || area.maxY < area.minY ||
+      area.maxX - area.minX > MAX_SUBSCRIPTION_SIZE || area.maxY - area.minY > MAX_SUBSCRIPTION_SIZE) {
+    return res.status(400).json({ error: 'Ungültiger Bereich' });
+  }
+
+  if (!setClientArea(parseInt(connection_id), req.user.id, area)) {
+    return res.status(404).json({ error: 'Verbindung nicht gefunden' });
+  }
+
+  res.json({ message: 'Bereich abonniert' });
+});
+
+export default router;
@@ -2,6 +2,19 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { sendSystemMessage } from './messages.js';
+import { InventoryError, removeItems } from '../helpers/inventory.js';
+import {
+  GuildWarError, WAR_PREPARATION_HOURS, WAR_DURATION_HOURS, WAR_POINTS,
+  getCurrentWar, declareWar, respondToWar, withdrawDeclaration, surrender, offerPeace, endWarsOfGuild, getGuildWars
+} from '../helpers/guildWars.js';
+import {
+  GuildBankError, getBank, getWithdrawalLimits, setWithdrawalLimits, getWithdrawnToday,
+  depositToBank, withdrawFromBank, getBankTransactions, closeBank, payGuildCost, resolveResources
+} from '../helpers/guildBank.js';
+import {
+  GuildLevelError, GUILD_XP_SOURCES, GUILD_LEVEL_XP, MAX_GUILD_LEVEL,
+  getLevelInfo, getMemberCap, isGuildFull, getGuildPerks, activatePerk, addGuildXp, getGuildLeaderboard
+} from '../helpers/guildLevels.js';
 
 const router = express.Router();
 
@@ -16,6 +29,7 @@ router.get('/', authenticateToken, async (req, res) => {
         g.description,
         g.icon_path,
         g.created_at,
+        g.level,
         u.username as leader_name,
         u.id as leader_id,
         (SELECT COUNT(*) FROM guild_members WHERE guild_id = g.id) as member_count
@@ -24,7 +38,9 @@ router.get('/', authenticateToken, async (req, res) => {
       ORDER BY member_count DESC, g.name
     `);
 
-    res.json({ guilds });
+    res.json({
+      guilds: guilds.map(guild => ({ ...guild, member_cap: getMemberCap(guild.level) }))
+    });
   } catch (error) {
     console.error('Get guilds error:', error);
     res.status(500).json({ error: 'Serverfehler beim Laden der Gilden' });
@@ -41,6 +57,16 @@ const GUILD_CREATION_REQUIREMENTS = {
   minAccountAgeDays: 1, // Account must be at least 1 day old
 };
 
+// Guild upgrade: the creation resources again, times the current guild level, for guild XP
+const GUILD_UPGRADE_XP = 500;
+
+function getGuildUpgradeCost(level) {
+  return GUILD_CREATION_REQUIREMENTS.resources.map(resource => ({
+    itemName: resource.itemName,
+    quantity: resource.quantity * level
+  }));
+}
+
 // Get guild creation requirements (public) - MUST BE BEFORE /:guildId route!
 router.get('/requirements/create', authenticateToken, async (req, res) => {
   try {
@@ -112,6 +138,17 @@ router.get('/requirements/create', authenticateToken, async (req, res) => {
   }
 });
 
+// Guild leaderboard by level and XP - MUST BE BEFORE /:guildId route!
+router.get('/leaderboard', authenticateToken, async (req, res) => {
+  try {
+    const guilds = await getGuildLeaderboard();
+    res.json({ guilds });
+  } catch (error) {
+    console.error('Get guild leaderboard error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden der Bestenliste' });
+  }
+});
+
 // Get user's guild - MUST BE BEFORE /:guildId route!
 router.get('/my/guild', authenticateToken, async (req, res) => {
   try {
@@ -208,6 +245,7 @@ router.get('/:guildId', authenticateToken, async (req, res) => {
         gm.id as membership_id,
         gm.role,
         gm.joined_at,
+        gm.xp_contributed,
         u.id,
         u.username,
         u.avatar_path,
@@ -248,6 +286,7 @@ router.get('/:guildId', authenticateToken, async (req, res) => {
       guild, 
       members, 
       pacts,
+      levelInfo: getLevelInfo(guild),
       userRole: userMembership?.role || null,
       isMember: !!userMembership
     });
@@ -333,34 +372,29 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     }
 
-    // Deduct resources
-    for (const reqItem of GUILD_CREATION_REQUIREMENTS.resources) {
-      const item = await db.get('SELECT id FROM items WHERE name = ?', [reqItem.itemName]);
-      if (!item) continue;
-
-      await db.run(
-        'UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ?',
-        [reqItem.quantity, req.user.id, item.id]
-      );
+    const result = await db.transaction(async () => {
+      // Deduct resources
+      const cost = [];
+      for (const reqItem of GUILD_CREATION_REQUIREMENTS.resources) {
+        const item = await db.get('SELECT id FROM items WHERE name = ?', [reqItem.itemName]);
+        if (item) cost.push({ item_id: item.id, quantity: reqItem.quantity });
+      }
+      await removeItems(req.user.id, cost);
 
-      // Remove if quantity is 0
-      await db.run(
-        'DELETE FROM user_inventory WHERE user_id = ? AND item_id = ? AND quantity <= 0',
-        [req.user.id, item.id]
-      );
-    }
+      // Create guild
+      const guild = await db.run(`
+        INSERT INTO guilds (name, tag, description, leader_id)
+        VALUES (?, ?, ?, ?)
+      `, [name, tag.toUpperCase(), description || null, req.user.id]);
 
-    // Create guild
-    const result = await db.run(`
-      INSERT INTO guilds (name, tag, description, leader_id)
-      VALUES (?, ?, ?, ?)
-    `, [name, tag.toUpperCase(), description || null, req.user.id]);
+      // Add leader as member
+      await db.run(`
+        INSERT INTO guild_members (guild_id, user_id, role)
+        VALUES (?, ?, 'leader')
+      `, [guild.lastID, req.user.id]);
 
-    // Add leader as member
-    await db.run(`
-      INSERT INTO guild_members (guild_id, user_id, role)
-      VALUES (?, ?, 'leader')
-    `, [result.lastID, req.user.id]);
+      return guild;
+    });
 
     res.json({ 
       message: 'Gilde erfolgreich erstellt',
@@ -371,6 +405,9 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: 'Nicht genug Ressourcen für die Gildengründung' });
+    }
     console.error('Create guild error:', error);
     res.status(500).json({ error: 'Serverfehler beim Erstellen der Gilde' });
   }
@@ -420,9 +457,15 @@ router.delete('/:guildId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Nur der Gildenleiter kann die Gilde auflösen' });
     }
 
+    // A running war is lost by disbanding, the bank goes to the leader
+    await endWarsOfGuild(parseInt(guildId));
+    await closeBank(parseInt(guildId), req.user.id);
+    await db.run(`
+      UPDATE active_buffs SET is_active = 0 WHERE target_type = 'guild' AND target_id = ?
+    `, [guildId]);
     await db.run('DELETE FROM guilds WHERE id = ?', [guildId]);
 
-    res.json({ message: 'Gilde aufgelöst' });
+    res.json({ message: 'Gilde aufgelöst. Der Inhalt der Gildenbank wurde dir gutgeschrieben.' });
   } catch (error) {
     console.error('Delete guild error:', error);
     res.status(500).json({ error: 'Serverfehler beim Löschen der Gilde' });
@@ -461,6 +504,10 @@ router.post('/:guildId/apply', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Du hast bereits eine ausstehende Bewerbung' });
     }
 
+    if (await isGuildFull(guildId)) {
+      return res.status(400).json({ error: 'Die Gilde hat keinen freien Platz mehr' });
+    }
+
     // Create application
     const result = await db.run(`
       INSERT INTO guild_applications (guild_id, user_id, message)
@@ -558,6 +605,11 @@ router.put('/:guildId/applications/:applicationId', authenticateToken, async (re
       return res.status(404).json({ error: 'Bewerbung nicht gefunden oder bereits bearbeitet' });
     }
 
+    // Member cap grows with the guild level
+    if (status === 'accepted' && await isGuildFull(guildId)) {
+      return res.status(400).json({ error: 'Die Gilde ist voll. Steigt eine Stufe auf, um mehr Mitglieder aufzunehmen.' });
+    }
+
     // Update application
     await db.run(`
       UPDATE guild_applications 
@@ -801,6 +853,12 @@ router.post('/:guildId/pacts', authenticateToken, async (req, res) => {
       WHERE (guild_1_id = ? AND guild_2_id = ?) OR (guild_1_id = ? AND guild_2_id = ?)
     `, [guildId, targetGuildId, targetGuildId, guildId]);
 
+    // No pact with the guild you are at war with
+    const war = await getCurrentWar(parseInt(guildId));
+    if (war && [war.attacker_guild_id, war.defender_guild_id].includes(parseInt(targetGuildId))) {
+      return res.status(400).json({ error: 'Ihr befindet euch mit dieser Gilde im Krieg. Schließt zuerst Frieden.' });
+    }
+
     if (existingPact) {
       if (existingPact.status === 'active') {
         return res.status(400).json({ error: 'Ein Pakt besteht bereits' });
@@ -935,4 +993,390 @@ router.delete('/:guildId/pacts/:pactId', authenticateToken, async (req, res) =>
   }
 });
 
+// === WAR ROUTES ===
+
+// Get wars of a guild (running war, open declarations and history)
+router.get('/:guildId/wars', authenticateToken, async (req, res) => {
+  try {
+    const wars = await getGuildWars(parseInt(req.params.guildId));
+
+    res.json({
+      wars,
+      settings: {
+        preparation_hours: WAR_PREPARATION_HOURS,
+        duration_hours: WAR_DURATION_HOURS,
+        points: WAR_POINTS
+      }
+    });
+  } catch (error) {
+    console.error('Get guild wars error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden der Kriege' });
+  }
+});
+
+// Declare war on another guild (leader only, the other guild has to accept)
+router.post('/:guildId/wars', authenticateToken, async (req, res) => {
+  try {
+    const { guildId } = req.params;
+    const { targetGuildId } = req.body;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann Krieg erklären' });
+    }
+
+    const { target } = await declareWar(parseInt(guildId), parseInt(targetGuildId), req.user.id);
+
+    res.json({ message: `Kriegserklärung an ${target.name} gesendet` });
+  } catch (error) {
+    if (error instanceof GuildWarError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Declare war error:', error);
+    res.status(500).json({ error: 'Serverfehler bei der Kriegserklärung' });
+  }
+});
+
+// Respond to a declaration of war (leader only)
+router.put('/:guildId/wars/:warId', authenticateToken, async (req, res) => {
+  try {
+    const { guildId, warId } = req.params;
+    const { status } = req.body;
+
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Ungültiger Status' });
+    }
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann Kriegserklärungen beantworten' });
+    }
+
+    const war = await respondToWar(parseInt(guildId), parseInt(warId), req.user.id, status === 'accepted');
+
+    res.json({
+      message: status === 'accepted'
+        ? `Der Krieg ist erklärt! Er beginnt am ${new Date(war.starts_at).toLocaleString('de-DE')}.`
+        : 'Kriegserklärung abgelehnt',
+      war
+    });
+  } catch (error) {
+    if (error instanceof GuildWarError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Respond to war error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Beantworten der Kriegserklärung' });
+  }
+});
+
+// Withdraw an unanswered declaration (leader only)
+router.delete('/:guildId/wars/:warId', authenticateToken, async (req, res) => {
+  try {
+    const { guildId, warId } = req.params;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann Kriegserklärungen zurückziehen' });
+    }
+
+    await withdrawDeclaration(parseInt(guildId), parseInt(warId));
+
+    res.json({ message: 'Kriegserklärung zurückgezogen' });
+  } catch (error) {
+    if (error instanceof GuildWarError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Withdraw war error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Zurückziehen der Kriegserklärung' });
+  }
+});
+
+// Surrender, the other guild wins (leader only)
+router.post('/:guildId/wars/:warId/surrender', authenticateToken, async (req, res) => {
+  try {
+    const { guildId, warId } = req.params;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann kapitulieren' });
+    }
+
+    await surrender(parseInt(guildId), parseInt(warId));
+
+    res.json({ message: 'Deine Gilde hat kapituliert' });
+  } catch (error) {
+    if (error instanceof GuildWarError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Surrender error:', error);
+    res.status(500).json({ error: 'Serverfehler bei der Kapitulation' });
+  }
+});
+
+// Offer peace or accept the other guild's offer (leader only)
+router.post('/:guildId/wars/:warId/peace', authenticateToken, async (req, res) => {
+  try {
+    const { guildId, warId } = req.params;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann Frieden schließen' });
+    }
+
+    const peaceMade = await offerPeace(parseInt(guildId), parseInt(warId));
+
+    res.json({
+      message: peaceMade ? 'Frieden geschlossen! Der Krieg endet ohne Sieger.' : 'Friedensangebot gesendet',
+      peaceMade
+    });
+  } catch (error) {
+    if (error instanceof GuildWarError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Offer peace error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Friedensangebot' });
+  }
+});
+
+// === BANK ROUTES ===
+
+// Get bank contents, limits, own usage and ledger (members only)
+router.get('/:guildId/bank', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership) {
+      return res.status(403).json({ error: 'Nur Mitglieder können die Gildenbank sehen' });
+    }
+
+    const bank = await getBank(guildId);
+    const limits = await getWithdrawalLimits(guildId);
+
+    res.json({
+      gold: bank.gold,
+      items: bank.items,
+      limits,
+      role: membership.role,
+      withdrawnToday: await getWithdrawnToday(guildId, req.user.id),
+      transactions: await getBankTransactions(guildId)
+    });
+  } catch (error) {
+    console.error('Get guild bank error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden der Gildenbank' });
+  }
+});
+
+// Deposit gold and items (members only)
+router.post('/:guildId/bank/deposit', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+    const { gold, items } = req.body;
+
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership) {
+      return res.status(403).json({ error: 'Nur Mitglieder können einzahlen' });
+    }
+
+    await depositToBank(guildId, req.user.id, { gold, items });
+
+    res.json({ message: 'In die Gildenbank eingezahlt' });
+  } catch (error) {
+    if (error instanceof GuildBankError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Guild bank deposit error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Einzahlen' });
+  }
+});
+
+// Withdraw gold and items (members only, within the daily limit of the role)
+router.post('/:guildId/bank/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+    const { gold, items } = req.body;
+
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership) {
+      return res.status(403).json({ error: 'Nur Mitglieder können abheben' });
+    }
+
+    await withdrawFromBank(guildId, req.user.id, membership.role, { gold, items });
+
+    res.json({ message: 'Aus der Gildenbank abgehoben' });
+  } catch (error) {
+    if (error instanceof GuildBankError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Guild bank withdraw error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Abheben' });
+  }
+});
+
+// Set daily withdrawal limits per role (leader only)
+router.put('/:guildId/bank/limits', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+    const { limits } = req.body;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann die Limits ändern' });
+    }
+
+    await setWithdrawalLimits(guildId, limits);
+
+    res.json({ message: 'Limits gespeichert', limits: await getWithdrawalLimits(guildId) });
+  } catch (error) {
+    if (error instanceof GuildBankError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Set guild bank limits error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Speichern der Limits' });
+  }
+});
+
+// === LEVEL & PERK ROUTES ===
+
+// Get level progress, XP sources and perks of a guild
+router.get('/:guildId/perks', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+
+    const guild = await db.get('SELECT level, xp FROM guilds WHERE id = ?', [guildId]);
+    if (!guild) {
+      return res.status(404).json({ error: 'Gilde nicht gefunden' });
+    }
+
+    res.json({
+      levelInfo: getLevelInfo(guild),
+      levels: GUILD_LEVEL_XP,
+      xpSources: GUILD_XP_SOURCES,
+      perks: await getGuildPerks(guildId),
+      upgrade: guild.level < MAX_GUILD_LEVEL
+        ? { xp: GUILD_UPGRADE_XP, cost_items: await resolveResources(getGuildUpgradeCost(guild.level)) }
+        : null
+    });
+  } catch (error) {
+    console.error('Get guild perks error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden der Gildenperks' });
+  }
+});
+
+// Activate an unlocked perk (leader only, paid from the bank or the leader's inventory)
+router.post('/:guildId/perks/:perkId/activate', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+    const { fromBank } = req.body;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann Perks aktivieren' });
+    }
+
+    const { perk, expiresAt } = await activatePerk(guildId, parseInt(req.params.perkId), req.user.id, { fromBank: !!fromBank });
+
+    res.json({
+      message: `${perk.icon} ${perk.display_name} ist bis ${new Date(expiresAt).toLocaleString('de-DE')} aktiv`,
+      expiresAt
+    });
+  } catch (error) {
+    if (error instanceof GuildLevelError || error instanceof GuildBankError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Activate guild perk error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Aktivieren des Perks' });
+  }
+});
+
+// Upgrade the guild with resources for guild XP (leader only, paid from the bank or the leader's inventory)
+router.post('/:guildId/upgrade', authenticateToken, async (req, res) => {
+  try {
+    const guildId = parseInt(req.params.guildId);
+    const { fromBank } = req.body;
+
+    // Check if user is leader
+    const membership = await db.get(`
+      SELECT role FROM guild_members WHERE guild_id = ? AND user_id = ?
+    `, [guildId, req.user.id]);
+
+    if (!membership || membership.role !== 'leader') {
+      return res.status(403).json({ error: 'Nur der Gildenleiter kann die Gilde ausbauen' });
+    }
+
+    const newLevel = await db.transaction(async () => {
+      // Read the level inside the transaction, the cost depends on it
+      const guild = await db.get('SELECT level FROM guilds WHERE id = ?', [guildId]);
+      if (guild.level >= MAX_GUILD_LEVEL) {
+        throw new GuildLevelError('Die Gilde hat bereits die höchste Stufe erreicht');
+      }
+
+      await payGuildCost(guildId, req.user.id, { resources: getGuildUpgradeCost(guild.level) }, {
+        fromBank: !!fromBank,
+        reason: 'Gildenausbau'
+      });
+      return addGuildXp(guildId, GUILD_UPGRADE_XP, req.user.id);
+    });
+
+    res.json({
+      message: newLevel
+        ? `Gilde ausgebaut: +${GUILD_UPGRADE_XP} EP, die Gilde ist jetzt Stufe ${newLevel}!`
+        : `Gilde ausgebaut: +${GUILD_UPGRADE_XP} EP`,
+      newLevel
+    });
+  } catch (error) {
+    if (error instanceof GuildLevelError || error instanceof GuildBankError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Upgrade guild error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Ausbauen der Gilde' });
+  }
+});
+
 export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { InventoryError, addItems, removeItems } from '../helpers/inventory.js';
+import { applyRegeneration } from '../helpers/regeneration.js';
 
 const router = express.Router();
 
@@ -16,9 +18,14 @@ router.get('/', authenticateToken, async (req, res) => {
         i.type,
         i.rarity,
         i.description,
-        i.image_path
+        i.image_path,
+        i.heal_amount,
+        i.buff_duration_minutes,
+        bt.display_name as buff_name,
+        bt.icon as buff_icon
       FROM user_inventory ui
       JOIN items i ON ui.item_id = i.id
+      LEFT JOIN buff_types bt ON i.buff_type_id = bt.id
       WHERE ui.user_id = ? AND ui.quantity > 0
       ORDER BY i.type, i.name
     `, [req.user.id]);
@@ -46,11 +53,7 @@ router.post('/add', authenticateToken, async (req, res) => {
     }
 
     // Add or update inventory
-    await db.run(`
-      INSERT INTO user_inventory (user_id, item_id, quantity)
-      VALUES (?, ?, ?)
-      ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-    `, [req.user.id, item_id, quantity, quantity]);
+    await addItems(req.user.id, [{ item_id: item_id, quantity: quantity }]);
 
     const updated = await db.get(
       'SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?',
@@ -84,11 +87,7 @@ router.post('/collect', authenticateToken, async (req, res) => {
     }
 
     // Add to inventory
-    await db.run(`
-      INSERT INTO user_inventory (user_id, item_id, quantity)
-      VALUES (?, ?, ?)
-      ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-    `, [req.user.id, item.id, quantity, quantity]);
+    await addItems(req.user.id, [{ item_id: item.id, quantity: quantity }]);
 
     const updated = await db.get(`
       SELECT ui.quantity, i.display_name
@@ -107,4 +106,86 @@ router.post('/collect', authenticateToken, async (req, res) => {
   }
 });
 
+// Use a consumable (heals and/or applies a buff)
+router.post('/use/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const item = await db.get(`
+      SELECT i.*, bt.display_name as buff_name, bt.icon as buff_icon
+      FROM items i
+      LEFT JOIN buff_types bt ON i.buff_type_id = bt.id
+      WHERE i.id = ?
+    `, [itemId]);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item nicht gefunden' });
+    }
+
+    if (item.type !== 'consumable') {
+      return res.status(400).json({ error: 'Dieses Item kann nicht benutzt werden' });
+    }
+
+    const stats = await applyRegeneration(req.user.id);
+    if (item.heal_amount > 0 && !item.buff_type_id && stats && stats.current_health >= stats.max_health) {
+      return res.status(400).json({ error: 'Du hast bereits volle HP' });
+    }
+
+    let healed = 0;
+    let newHealth = stats?.current_health ?? null;
+    let buffExpiresAt = null;
+
+    await db.transaction(async () => {
+      await removeItems(req.user.id, [{ item_id: item.id, quantity: 1 }]);
+
+      if (item.heal_amount > 0 && stats) {
+        await db.run(
+          'UPDATE player_stats SET current_health = MIN(max_health, current_health + ?) WHERE user_id = ?',
+          [item.heal_amount, req.user.id]
+        );
+        const updated = await db.get('SELECT current_health FROM player_stats WHERE user_id = ?', [req.user.id]);
+        healed = updated.current_health - stats.current_health;
+        newHealth = updated.current_health;
+      }
+
+      if (item.buff_type_id && item.buff_duration_minutes > 0) {
+        buffExpiresAt = new Date(Date.now() + item.buff_duration_minutes * 60000).toISOString();
+
+        // Using the same consumable again refreshes the duration
+        const existingBuff = await db.get(`
+          SELECT id FROM active_buffs
+          WHERE buff_type_id = ? AND target_type = 'user' AND target_id = ? AND is_active = 1
+        `, [item.buff_type_id, req.user.id]);
+
+        if (existingBuff) {
+          await db.run('UPDATE active_buffs SET expires_at = ? WHERE id = ?', [buffExpiresAt, existingBuff.id]);
+        } else {
+          await db.run(`
+            INSERT INTO active_buffs (buff_type_id, target_type, target_id, duration_minutes, stacks, created_by, expires_at)
+            VALUES (?, 'user', ?, ?, 1, ?, ?)
+          `, [item.buff_type_id, req.user.id, item.buff_duration_minutes, req.user.id, buffExpiresAt]);
+        }
+      }
+    });
+
+    const effects = [];
+    if (healed > 0) effects.push(`+${healed} HP`);
+    if (buffExpiresAt) effects.push(`${item.buff_icon || '✨'} ${item.buff_name} für ${item.buff_duration_minutes} Minuten`);
+
+    res.json({
+      message: `${item.display_name} benutzt${effects.length > 0 ? ': ' + effects.join(', ') : ''}`,
+      healed,
+      current_health: newHealth,
+      max_health: stats?.max_health ?? null,
+      buff_expires_at: buffExpiresAt
+    });
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: 'Du besitzt dieses Item nicht' });
+    }
+    console.error('Use item error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
 export default router;
@@ -33,15 +33,15 @@ router.get('/:id', async (req, res) => {
 // Create new item (requires manage_items permission)
 router.post('/', authenticateToken, requirePermission('manage_items'), async (req, res) => {
   try {
-    const { name, display_name, type, description, rarity, image_path } = req.body;
+    const { name, display_name, type, description, rarity, image_path, heal_amount, buff_type_id, buff_duration_minutes } = req.body;
 
     if (!name || !display_name || !type) {
       return res.status(400).json({ error: 'Name, Display-Name und Typ sind erforderlich' });
     }
 
     const result = await db.run(
-      'INSERT INTO items (name, display_name, type, description, rarity, image_path) VALUES (?, ?, ?, ?, ?, ?)',
-      [name, display_name, type, description || null, rarity || 'common', image_path || null]
+      'INSERT INTO items (name, display_name, type, description, rarity, image_path, heal_amount, buff_type_id, buff_duration_minutes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, display_name, type, description || null, rarity || 'common', image_path || null, heal_amount || 0, buff_type_id || null, buff_duration_minutes || 0]
     );
 
     const item = await db.get('SELECT * FROM items WHERE id = ?', [result.lastID]);
@@ -56,13 +56,14 @@ router.post('/', authenticateToken, requirePermission('manage_items'), async (re
 router.put('/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { display_name, type, description, rarity, image_path } = req.body;
+    const { display_name, type, description, rarity, image_path, heal_amount, buff_type_id, buff_duration_minutes } = req.body;
 
     await db.run(`
       UPDATE items 
-      SET display_name = ?, type = ?, description = ?, rarity = ?, image_path = ?
+      SET display_name = ?, type = ?, description = ?, rarity = ?, image_path = ?,
+          heal_amount = ?, buff_type_id = ?, buff_duration_minutes = ?
       WHERE id = ?
-    `, [display_name, type, description || null, rarity || 'common', image_path || null, id]);
+    `, [display_name, type, description || null, rarity || 'common', image_path || null, heal_amount || 0, buff_type_id || null, buff_duration_minutes || 0, id]);
 
     const item = await db.get('SELECT * FROM items WHERE id = ?', [id]);
     if (!item) {
@@ -0,0 +1,108 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { InventoryError } from '../helpers/inventory.js';
+import {
+  JobError,
+  getJobOverview,
+  claimJob,
+  cancelJob,
+  enqueueJob,
+  removeQueuedJob,
+  setAutoClaim
+} from '../helpers/jobs.js';
+
+const router = express.Router();
+
+function handleJobError(res, error, context, fallbackMessage) {
+  if (error instanceof JobError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  if (error instanceof InventoryError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Get all open jobs, job slots and the queue (pauses/resumes home jobs and starts queued jobs)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const overview = await getJobOverview(req.user.id);
+    res.json(overview);
+  } catch (error) {
+    handleJobError(res, error, 'Get jobs', 'Serverfehler beim Laden der Aufträge');
+  }
+});
+
+// Toggle automatic delivery of finished jobs to the inventory
+router.put('/settings', authenticateToken, async (req, res) => {
+  try {
+    const { auto_claim } = req.body;
+
+    if (typeof auto_claim !== 'boolean') {
+      return res.status(400).json({ error: 'auto_claim muss true oder false sein' });
+    }
+
+    await setAutoClaim(req.user.id, auto_claim);
+    res.json({
+      message: auto_claim
+        ? 'Fertige Aufträge werden automatisch abgeholt'
+        : 'Fertige Aufträge müssen manuell abgeholt werden',
+      auto_claim
+    });
+  } catch (error) {
+    handleJobError(res, error, 'Update job settings', 'Serverfehler beim Speichern der Einstellung');
+  }
+});
+
+// Add a follow-up job to the queue
+router.post('/queue', authenticateToken, async (req, res) => {
+  try {
+    const { type, params } = req.body;
+
+    if (!type) {
+      return res.status(400).json({ error: 'Auftragsart erforderlich' });
+    }
+
+    const entry = await enqueueJob(req.user.id, type, params || {});
+    res.json({ message: `${entry.name} wurde in die Warteschlange eingereiht`, entry });
+  } catch (error) {
+    handleJobError(res, error, 'Queue job', 'Serverfehler beim Einreihen des Auftrags');
+  }
+});
+
+// Remove a job from the queue
+router.delete('/queue/:queueId', authenticateToken, async (req, res) => {
+  try {
+    const removed = await removeQueuedJob(req.user.id, parseInt(req.params.queueId));
+    if (!removed) {
+      return res.status(404).json({ error: 'Auftrag nicht in der Warteschlange gefunden' });
+    }
+
+    res.json({ message: 'Auftrag aus der Warteschlange entfernt' });
+  } catch (error) {
+    handleJobError(res, error, 'Remove queued job', 'Serverfehler');
+  }
+});
+
+// Claim a finished job
+router.post('/:type/:jobId/claim', authenticateToken, async (req, res) => {
+  try {
+    const result = await claimJob(req.user.id, req.params.type, parseInt(req.params.jobId));
+    res.json(result);
+  } catch (error) {
+    handleJobError(res, error, 'Claim job', 'Serverfehler beim Abholen');
+  }
+});
+
+// Cancel an unfinished job
+router.post('/:type/:jobId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const result = await cancelJob(req.user.id, req.params.type, parseInt(req.params.jobId));
+    res.json(result);
+  } catch (error) {
+    handleJobError(res, error, 'Cancel job', 'Serverfehler beim Abbrechen');
+  }
+});
+
+export default router;
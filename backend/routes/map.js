@@ -2,8 +2,16 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { sendSystemMessage } from './messages.js';
-import { trackTravel } from '../helpers/statistics.js';
+import { trackTravel, updateStatistic, updateMultipleStats } from '../helpers/statistics.js';
 import { getBuffMultipliers } from './buffs.js';
+import { calculateCombat, getPlayerCombatStats, savePlayerHealth } from './combat.js';
+import { InventoryError, normalizeItems, hasItems, addItems, removeItems, transferItems, addGold, removeGold } from '../helpers/inventory.js';
+import { publishToArea } from '../helpers/realtime.js';
+import { pauseHomeJobs, syncHomeJobs } from '../helpers/jobs.js';
+import { getWorldBossOverview } from '../helpers/worldBosses.js';
+import { EncounterError, rollTravelEncounters, resolveDueEncounters, cancelPendingEncounters, getEncounterLog, buyFromWanderingMerchant } from '../helpers/encounters.js';
+import { recordWarPvpKill } from '../helpers/guildWars.js';
+import { isWaterAt, isWalkableAt, getRegions, findPath, getPositionOnPath, getPathLength } from '../../shared/world/index.js';
 
 const router = express.Router();
 
@@ -138,88 +146,43 @@ router.get('/players/nearby', authenticateToken, async (req, res) => {
   }
 });
 
-// Terrain generation functions (same as frontend for validation)
-function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
-  return x - Math.floor(x);
+// Travel speed on grass: units per minute. Roads, forest, boats etc. scale it
+// through the terrain costs of the shared pathfinding (TERRAIN_MOVE_COSTS).
+const TRAVEL_SPEED_LAND = 50;
+
+// Plan a trip along the terrain (with optional speed multiplier from buffs).
+// Returns null if there is no way to the target.
+function planTravel(fromX, fromY, toX, toY, hasBoat, speedMultiplier = 1.0) {
+  const route = findPath(fromX, fromY, toX, toY, { hasBoat });
+  if (!route) return null;
+
+  const speed = TRAVEL_SPEED_LAND * speedMultiplier;
+  return {
+    path: route.waypoints,
+    distance: Math.round(route.distance),
+    travelMinutes: Math.max(1, Math.ceil(route.cost / speed)) // Minimum 1 minute
+  };
 }
 
-function smoothstep(t) {
-  return t * t * t * (t * (t * 6 - 15) + 10);
-}
-
-function gradientNoise(x, y, seed = 0) {
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const x1 = x0 + 1;
-  const y1 = y0 + 1;
-  
-  const fx = x - x0;
-  const fy = y - y0;
-  
-  const sx = smoothstep(fx);
-  const sy = smoothstep(fy);
-  
-  const n00 = seededRandom(x0 * 374761393 + y0 * 668265263 + seed);
-  const n10 = seededRandom(x1 * 374761393 + y0 * 668265263 + seed);
-  const n01 = seededRandom(x0 * 374761393 + y1 * 668265263 + seed);
-  const n11 = seededRandom(x1 * 374761393 + y1 * 668265263 + seed);
-  
-  const nx0 = n00 * (1 - sx) + n10 * sx;
-  const nx1 = n01 * (1 - sx) + n11 * sx;
-  
-  return nx0 * (1 - sy) + nx1 * sy;
-}
-
-function fractalNoise(x, y, octaves = 4, persistence = 0.5, scale = 0.01, seed = 0) {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = scale;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * gradientNoise(x * frequency, y * frequency, seed + i * 1000);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= 2;
+// Route of a running trip; trips started before routes were stored go in a straight line
+function getTravelPath(user) {
+  if (user.travel_path) {
+    return JSON.parse(user.travel_path);
   }
-  
-  return value / maxValue;
+  return [
+    { x: user.world_x, y: user.world_y, t: 0 },
+    { x: user.travel_target_x, y: user.travel_target_y, t: 1 }
+  ];
 }
 
-function isWaterAt(worldX, worldY) {
-  const continent = fractalNoise(worldX, worldY, 4, 0.5, 0.002, 0);
-  const elevation = fractalNoise(worldX, worldY, 5, 0.5, 0.006, 10000);
-  const height = continent * 0.5 + elevation * 0.5;
-  
-  // Ocean - only at very low continent values
-  if (continent < 0.2) return true;
-  
-  // Small lakes - rare
-  if (height < 0.28 && continent > 0.25 && continent < 0.35 && elevation < 0.3) return true;
-  
-  // Rivers - thin winding paths
-  const riverBase = fractalNoise(worldX, worldY, 3, 0.6, 0.003, 77777);
-  const riverWind = Math.sin(worldX * 0.004 + riverBase * 3) * 0.5 + 
-                    Math.cos(worldY * 0.004 + riverBase * 3) * 0.5;
-  const riverValue = Math.abs(riverWind + fractalNoise(worldX, worldY, 2, 0.5, 0.008, 88888) * 0.2);
-  
-  if (riverValue < 0.04 && height > 0.35 && height < 0.7 && continent > 0.3) return true;
-  
-  return false;
-}
-
-// Update player coordinates (for future movement system)
-// Travel speed: units per minute
-const TRAVEL_SPEED_LAND = 50;  // 50 units per minute on land
-const TRAVEL_SPEED_WATER = 80; // 80 units per minute with boat (faster)
-
-// Calculate travel time in minutes (with optional speed multiplier from buffs)
-function calculateTravelTime(fromX, fromY, toX, toY, hasBoat, targetIsWater, speedMultiplier = 1.0) {
-  const distance = Math.sqrt(Math.pow(toX - fromX, 2) + Math.pow(toY - fromY, 2));
-  const baseSpeed = targetIsWater && hasBoat ? TRAVEL_SPEED_WATER : TRAVEL_SPEED_LAND;
-  const speed = baseSpeed * speedMultiplier;
-  return Math.max(1, Math.ceil(distance / speed)); // Minimum 1 minute
+// Whether the player owns a boat (needed to cross water)
+async function userHasBoat(userId) {
+  const boat = await db.get(`
+    SELECT ui.quantity FROM user_inventory ui
+    JOIN items i ON ui.item_id = i.id
+    WHERE ui.user_id = ? AND i.name = 'boot' AND ui.quantity > 0
+  `, [userId]);
+  return !!boat;
 }
 
 // Format minutes to readable time
@@ -235,11 +198,38 @@ function formatTravelTime(minutes) {
   return `${hours} Std. ${mins} Min.`;
 }
 
+// Push a position change (travel start, arrival or cancel) to everyone watching either end
+function publishPlayerMoved(userId, from, to, travel = null) {
+  publishToArea([from, to], 'player_moved', {
+    user_id: userId,
+    world_x: travel ? from.x : to.x,
+    world_y: travel ? from.y : to.y,
+    travel
+  });
+}
+
+// End a trip early at a position on the route (cancelled or lost an ambush)
+async function stopTravel(userId, user, position) {
+  await db.run(`
+    UPDATE users 
+    SET world_x = ?,
+        world_y = ?,
+        travel_target_x = NULL,
+        travel_target_y = NULL,
+        travel_start_time = NULL,
+        travel_end_time = NULL,
+        travel_path = NULL
+    WHERE id = ?
+  `, [position.x, position.y, userId]);
+
+  publishPlayerMoved(userId, { x: user.world_x, y: user.world_y }, position);
+}
+
 // Get current travel status
 router.get('/travel/status', authenticateToken, async (req, res) => {
   try {
     const user = await db.get(`
-      SELECT world_x, world_y, travel_target_x, travel_target_y, travel_start_time, travel_end_time
+      SELECT world_x, world_y, travel_target_x, travel_target_y, travel_start_time, travel_end_time, travel_path
       FROM users WHERE id = ?
     `, [req.user.id]);
 
@@ -251,13 +241,24 @@ router.get('/travel/status', authenticateToken, async (req, res) => {
     if (user.travel_end_time) {
       const now = new Date();
       const endTime = new Date(user.travel_end_time);
+
+      // Encounters passed so far (a lost ambush ends the trip at its spot)
+      const { encounters, interruptedAt } = await resolveDueEncounters(req.user.id, now);
+      if (interruptedAt) {
+        await stopTravel(req.user.id, user, interruptedAt);
+        return res.json({
+          traveling: false,
+          ambushed: true,
+          world_x: interruptedAt.x,
+          world_y: interruptedAt.y,
+          encounters,
+          message: 'Du wurdest unterwegs überfallen und musst die Reise abbrechen!'
+        });
+      }
       
       if (now >= endTime) {
-        // Calculate distance traveled
-        const distanceTraveled = Math.sqrt(
-          Math.pow(user.travel_target_x - user.world_x, 2) + 
-          Math.pow(user.travel_target_y - user.world_y, 2)
-        );
+        // Distance traveled along the route
+        const distanceTraveled = getPathLength(getTravelPath(user));
 
         // Travel complete - update position
         await db.run(`
@@ -267,18 +268,25 @@ router.get('/travel/status', authenticateToken, async (req, res) => {
               travel_target_x = NULL,
               travel_target_y = NULL,
               travel_start_time = NULL,
-              travel_end_time = NULL
+              travel_end_time = NULL,
+              travel_path = NULL
           WHERE id = ?
         `, [req.user.id]);
 
         // Track travel statistics
         await trackTravel(req.user.id, distanceTraveled);
 
+        publishPlayerMoved(req.user.id, { x: user.world_x, y: user.world_y }, { x: user.travel_target_x, y: user.travel_target_y });
+
+        // Jobs paused for the trip continue once the player is back home
+        await syncHomeJobs(req.user.id);
+
         return res.json({
           traveling: false,
           arrived: true,
           world_x: user.travel_target_x,
           world_y: user.travel_target_y,
+          encounters,
           message: 'Du bist angekommen!'
         });
       } else {
@@ -293,11 +301,13 @@ router.get('/travel/status', authenticateToken, async (req, res) => {
           traveling: true,
           from: { x: user.world_x, y: user.world_y },
           to: { x: user.travel_target_x, y: user.travel_target_y },
+          path: getTravelPath(user),
           startTime: user.travel_start_time,
           endTime: user.travel_end_time,
           remainingMinutes,
           remainingTime: formatTravelTime(remainingMinutes),
-          progress
+          progress,
+          encounters
         });
       }
     }
@@ -317,7 +327,7 @@ router.get('/travel/status', authenticateToken, async (req, res) => {
 router.post('/travel/cancel', authenticateToken, async (req, res) => {
   try {
     const user = await db.get(`
-      SELECT world_x, world_y, travel_target_x, travel_target_y, travel_start_time, travel_end_time
+      SELECT world_x, world_y, travel_target_x, travel_target_y, travel_start_time, travel_end_time, travel_path
       FROM users WHERE id = ?
     `, [req.user.id]);
 
@@ -325,6 +335,20 @@ router.post('/travel/cancel', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Du bist gerade nicht unterwegs' });
     }
 
+    // Encounters already passed still happen
+    const { encounters, interruptedAt } = await resolveDueEncounters(req.user.id);
+    if (interruptedAt) {
+      await stopTravel(req.user.id, user, interruptedAt);
+      return res.json({
+        message: 'Du wurdest unterwegs überfallen und musst die Reise abbrechen!',
+        ambushed: true,
+        new_x: interruptedAt.x,
+        new_y: interruptedAt.y,
+        encounters
+      });
+    }
+    await cancelPendingEncounters(req.user.id);
+
     // Calculate current position based on travel progress
     const now = Date.now();
     const startTime = new Date(user.travel_start_time).getTime();
@@ -333,31 +357,17 @@ router.post('/travel/cancel', authenticateToken, async (req, res) => {
     const elapsed = now - startTime;
     const progress = Math.min(1, Math.max(0, elapsed / totalDuration));
 
-    // Interpolate position
-    const startX = user.world_x;
-    const startY = user.world_y;
-    const targetX = user.travel_target_x;
-    const targetY = user.travel_target_y;
-    
-    const currentX = Math.round(startX + (targetX - startX) * progress);
-    const currentY = Math.round(startY + (targetY - startY) * progress);
-
-    // Cancel travel and update position to current progress
-    await db.run(`
-      UPDATE users 
-      SET world_x = ?,
-          world_y = ?,
-          travel_target_x = NULL,
-          travel_target_y = NULL,
-          travel_start_time = NULL,
-          travel_end_time = NULL
-      WHERE id = ?
-    `, [currentX, currentY, req.user.id]);
+    // Cancel travel and update position to current progress along the route
+    const position = getPositionOnPath(getTravelPath(user), progress);
+    const currentX = Math.round(position.x);
+    const currentY = Math.round(position.y);
+    await stopTravel(req.user.id, user, { x: currentX, y: currentY });
 
     res.json({ 
       message: 'Reise abgebrochen.',
       new_x: currentX,
-      new_y: currentY
+      new_y: currentY,
+      encounters
     });
   } catch (error) {
     console.error('Cancel travel error:', error);
@@ -384,7 +394,7 @@ router.put('/coordinates', authenticateToken, async (req, res) => {
 
     // Get current user data
     const user = await db.get(`
-      SELECT world_x, world_y, travel_end_time
+      SELECT world_x, world_y, home_x, home_y, travel_end_time
       FROM users WHERE id = ?
     `, [req.user.id]);
 
@@ -400,62 +410,9 @@ router.put('/coordinates', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check for active jobs that will be paused
-    const activeCollectionJob = await db.get(`
-      SELECT id, completed_at FROM collection_jobs 
-      WHERE user_id = ? AND status = 'active'
-    `, [req.user.id]);
-
-    const activeBuildingJob = await db.get(`
-      SELECT id, completed_at FROM building_jobs 
-      WHERE user_id = ? AND status = 'active'
-    `, [req.user.id]);
-
-    const activeCraftingJob = await db.get(`
-      SELECT id, finish_at, paused_at, remaining_seconds FROM crafting_jobs 
-      WHERE user_id = ? AND is_completed = 0
-    `, [req.user.id]);
-
-    // Pause collection job if active
-    if (activeCollectionJob) {
-      const now = new Date();
-      const completedAt = new Date(activeCollectionJob.completed_at);
-      const remainingMs = Math.max(0, completedAt.getTime() - now.getTime());
-      const remainingSeconds = Math.ceil(remainingMs / 1000);
-      
-      await db.run(`
-        UPDATE collection_jobs 
-        SET status = 'paused', paused_at = ?, remaining_seconds = ?
-        WHERE id = ?
-      `, [now.toISOString(), remainingSeconds, activeCollectionJob.id]);
-    }
-
-    // Pause building job if active
-    if (activeBuildingJob) {
-      const now = new Date();
-      const completedAt = new Date(activeBuildingJob.completed_at);
-      const remainingMs = Math.max(0, completedAt.getTime() - now.getTime());
-      const remainingSeconds = Math.ceil(remainingMs / 1000);
-      
-      await db.run(`
-        UPDATE building_jobs 
-        SET status = 'paused', paused_at = ?, remaining_seconds = ?
-        WHERE id = ?
-      `, [now.toISOString(), remainingSeconds, activeBuildingJob.id]);
-    }
-
-    // Pause crafting job if active (and not already paused)
-    if (activeCraftingJob && !activeCraftingJob.paused_at) {
-      const now = new Date();
-      const finishAt = new Date(activeCraftingJob.finish_at);
-      const remainingMs = Math.max(0, finishAt.getTime() - now.getTime());
-      const remainingSeconds = Math.ceil(remainingMs / 1000);
-      
-      await db.run(`
-        UPDATE crafting_jobs 
-        SET paused_at = ?, remaining_seconds = ?
-        WHERE id = ?
-      `, [now.toISOString(), remainingSeconds, activeCraftingJob.id]);
+    // Impassable terrain (e.g. cliffs in imported regions)
+    if (!isWalkableAt(targetX, targetY)) {
+      return res.status(400).json({ error: 'Dort kommst du nicht hin!', blocked: true });
     }
 
     // Check if already at target
@@ -467,11 +424,7 @@ router.put('/coordinates', authenticateToken, async (req, res) => {
     const targetIsWater = isWaterAt(targetX, targetY);
     
     // Check if player has a boat
-    const hasBoat = await db.get(`
-      SELECT ui.quantity FROM user_inventory ui
-      JOIN items i ON ui.item_id = i.id
-      WHERE ui.user_id = ? AND i.name = 'boot' AND ui.quantity > 0
-    `, [req.user.id]);
+    const hasBoat = await userHasBoat(req.user.id);
     
     if (targetIsWater && !hasBoat) {
       return res.status(400).json({ 
@@ -483,40 +436,59 @@ router.put('/coordinates', authenticateToken, async (req, res) => {
     // Get buff multipliers for travel speed
     const buffMultipliers = await getBuffMultipliers(req.user.id);
 
-    // Calculate travel time with speed buff
-    const travelMinutes = calculateTravelTime(
-      user.world_x, user.world_y, 
-      targetX, targetY, 
-      !!hasBoat, targetIsWater,
-      buffMultipliers.speed
-    );
+    // Route around water and cliffs, travel time with speed buff
+    const trip = planTravel(user.world_x, user.world_y, targetX, targetY, hasBoat, buffMultipliers.speed);
+    if (!trip) {
+      return res.status(400).json({
+        error: hasBoat
+          ? 'Kein Weg dorthin gefunden! Ist das Ziel sehr weit, reise in Etappen.'
+          : 'Kein Weg dorthin gefunden! Mit einem Boot könntest du übers Wasser fahren, bei sehr weiten Zielen reise in Etappen.',
+        noPath: true
+      });
+    }
+    const { path, distance, travelMinutes } = trip;
 
     const now = new Date();
     const endTime = new Date(now.getTime() + travelMinutes * 60000);
 
+    // Jobs at home pause while traveling (only once the trip is certain to start)
+    await pauseHomeJobs(req.user.id);
+
     // Set travel destination
     await db.run(`
       UPDATE users 
       SET travel_target_x = ?,
           travel_target_y = ?,
           travel_start_time = ?,
-          travel_end_time = ?
+          travel_end_time = ?,
+          travel_path = ?
       WHERE id = ?
-    `, [targetX, targetY, now.toISOString(), endTime.toISOString(), req.user.id]);
+    `, [targetX, targetY, now.toISOString(), endTime.toISOString(), JSON.stringify(path), req.user.id]);
 
-    const distance = Math.round(Math.sqrt(
-      Math.pow(targetX - user.world_x, 2) + 
-      Math.pow(targetY - user.world_y, 2)
-    ));
+    await rollTravelEncounters(req.user.id, {
+      path,
+      startTime: now,
+      endTime,
+      home: user.home_x !== null ? { x: user.home_x, y: user.home_y } : null
+    });
+
+    publishPlayerMoved(req.user.id, { x: user.world_x, y: user.world_y }, { x: targetX, y: targetY }, {
+      to: { x: targetX, y: targetY },
+      path,
+      startTime: now.toISOString(),
+      endTime: endTime.toISOString()
+    });
 
     res.json({ 
       message: `Du machst dich auf den Weg! Reisezeit: ${formatTravelTime(travelMinutes)}`,
       traveling: true,
       from: { x: user.world_x, y: user.world_y },
       to: { x: targetX, y: targetY },
+      path,
       distance,
       travelMinutes,
       travelTime: formatTravelTime(travelMinutes),
+      startTime: now.toISOString(),
       endTime: endTime.toISOString(),
       onWater: targetIsWater
     });
@@ -559,8 +531,13 @@ router.post('/travel/home', authenticateToken, async (req, res) => {
     // Get buff multipliers for travel speed
     const buffMultipliers = await getBuffMultipliers(req.user.id);
 
-    // Calculate travel time to home with speed buff
-    const travelMinutes = calculateTravelTime(user.world_x, user.world_y, homeX, homeY, false, false, buffMultipliers.speed);
+    // Route home with speed buff
+    const hasBoat = await userHasBoat(req.user.id);
+    const trip = planTravel(user.world_x, user.world_y, homeX, homeY, hasBoat, buffMultipliers.speed);
+    if (!trip) {
+      return res.status(400).json({ error: 'Kein Weg nach Hause gefunden! Reise in Etappen.', noPath: true });
+    }
+    const { path, distance, travelMinutes } = trip;
 
     const now = new Date();
     const endTime = new Date(now.getTime() + travelMinutes * 60000);
@@ -571,20 +548,30 @@ router.post('/travel/home', authenticateToken, async (req, res) => {
       SET travel_target_x = ?,
           travel_target_y = ?,
           travel_start_time = ?,
-          travel_end_time = ?
+          travel_end_time = ?,
+          travel_path = ?
       WHERE id = ?
-    `, [homeX, homeY, now.toISOString(), endTime.toISOString(), req.user.id]);
+    `, [homeX, homeY, now.toISOString(), endTime.toISOString(), JSON.stringify(path), req.user.id]);
 
-    const distance = Math.round(distanceFromHome);
+    await rollTravelEncounters(req.user.id, { path, startTime: now, endTime, home: { x: homeX, y: homeY } });
+
+    publishPlayerMoved(req.user.id, { x: user.world_x, y: user.world_y }, { x: homeX, y: homeY }, {
+      to: { x: homeX, y: homeY },
+      path,
+      startTime: now.toISOString(),
+      endTime: endTime.toISOString()
+    });
 
     res.json({ 
       message: `Du machst dich auf den Heimweg! Reisezeit: ${formatTravelTime(travelMinutes)}`,
       traveling: true,
       from: { x: user.world_x, y: user.world_y },
       to: { x: homeX, y: homeY },
+      path,
       distance,
       travelMinutes,
       travelTime: formatTravelTime(travelMinutes),
+      startTime: now.toISOString(),
       endTime: endTime.toISOString()
     });
   } catch (error) {
@@ -593,6 +580,57 @@ router.post('/travel/home', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the travel encounter log and open wandering merchant offers
+router.get('/encounters', authenticateToken, async (req, res) => {
+  try {
+    const { encounters, merchants } = await getEncounterLog(req.user.id);
+    res.json({ encounters, merchants });
+  } catch (error) {
+    console.error('Get encounters error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// World bosses on the map (with damage ranking) and the next spawn windows
+router.get('/world-bosses', authenticateToken, async (req, res) => {
+  try {
+    const { active, upcoming } = await getWorldBossOverview(req.user.id);
+    res.json({ active, upcoming });
+  } catch (error) {
+    console.error('Get world bosses error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Buy from a wandering merchant met on the way
+router.post('/encounters/:id/buy', authenticateToken, async (req, res) => {
+  try {
+    const itemId = parseInt(req.body.item_id);
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (!itemId || quantity < 1) {
+      return res.status(400).json({ error: 'Ungültige Anfrage' });
+    }
+
+    const purchase = await buyFromWanderingMerchant(req.user.id, parseInt(req.params.id), itemId, quantity);
+    res.json({ message: `${purchase.quantity}x ${purchase.name} für ${purchase.totalCost} Gold gekauft!` });
+  } catch (error) {
+    if (error instanceof EncounterError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Wandering merchant buy error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Kaufen' });
+  }
+});
+
+// PvP: players below this level can neither attack nor be attacked
+const PVP_MIN_LEVEL = 5;
+// Losers of a PvP fight cannot be attacked again for this long
+const PVP_PROTECTION_MINUTES = 30;
+
 // Attack another player
 router.post('/attack', authenticateToken, async (req, res) => {
   try {
@@ -662,84 +700,140 @@ router.post('/attack', authenticateToken, async (req, res) => {
       }
     }
 
-    // Simple attack system - steal random items
-    const targetInventory = await db.all(`
-      SELECT ui.item_id, ui.quantity, i.display_name, i.name
-      FROM user_inventory ui
-      JOIN items i ON ui.item_id = i.id
-      WHERE ui.user_id = ? AND ui.quantity > 0
-      ORDER BY RANDOM()
-      LIMIT 3
-    `, [target_user_id]);
+    // PvP protection for low-level and freshly defeated players
+    const attackerPlayer = await getPlayerCombatStats(req.user.id);
+    const targetPlayer = await getPlayerCombatStats(target_user_id);
 
-    // Get attacker username for messages
-    const attackerUser = await db.get('SELECT username FROM users WHERE id = ?', [req.user.id]);
-    const attackTime = new Date().toLocaleString('de-DE');
+    if (attackerPlayer.playerStats.level < PVP_MIN_LEVEL) {
+      return res.status(400).json({ error: `Du kannst erst ab Level ${PVP_MIN_LEVEL} andere Spieler angreifen` });
+    }
 
-    if (targetInventory.length === 0) {
-      // Send notification to target (even if no items stolen)
-      await sendSystemMessage(
-        target_user_id,
-        `⚔️ Angriffsversuch!`,
-        `${attackerUser.username} hat versucht dich anzugreifen!\n\n📅 Zeitpunkt: ${attackTime}\n📍 Position des Angreifers: (${attacker.world_x}, ${attacker.world_y})\n\nDu hattest keine Items, die gestohlen werden konnten.`,
-        'attack_received',
-        req.user.id
-      );
-
-      // Send notification to attacker
-      await sendSystemMessage(
-        req.user.id,
-        `⚔️ Angriff fehlgeschlagen`,
-        `Dein Angriff auf ${target.username} war erfolglos!\n\n📅 Zeitpunkt: ${attackTime}\n📍 Position: (${target.world_x}, ${target.world_y})\n\n${target.username} hatte keine Items, die du stehlen konntest.`,
-        'attack_sent',
-        target_user_id
-      );
-
-      return res.json({ 
-        message: `Du hast ${target.username} angegriffen, aber er hatte keine Items!`,
-        stolen_items: []
-      });
+    if (targetPlayer.playerStats.level < PVP_MIN_LEVEL) {
+      return res.status(400).json({ error: `${target.username} steht unter Anfängerschutz (unter Level ${PVP_MIN_LEVEL})`, protected: true });
     }
 
-    // Steal random items (10-30% of quantity)
+    if (targetPlayer.playerStats.pvp_protected_until && new Date(targetPlayer.playerStats.pvp_protected_until) > new Date()) {
+      const minutesLeft = Math.ceil((new Date(targetPlayer.playerStats.pvp_protected_until) - new Date()) / 60000);
+      return res.status(400).json({ error: `${target.username} steht noch ${minutesLeft} Minuten unter Schutz`, protected: true });
+    }
+
+    if (attackerPlayer.playerStats.current_health <= 0) {
+      return res.status(400).json({ error: 'Du musst dich erst erholen! Deine HP sind zu niedrig.' });
+    }
+
+    if (targetPlayer.playerStats.current_health <= 0) {
+      return res.status(400).json({ error: `${target.username} ist bereits kampfunfähig` });
+    }
+
+    // Attacking ends your own protection
+    await db.run('UPDATE player_stats SET pvp_protected_until = NULL WHERE user_id = ?', [req.user.id]);
+
+    // Fight!
+    const result = calculateCombat(
+      { attack: attackerPlayer.attack, defense: attackerPlayer.defense, current_health: attackerPlayer.currentHealth, max_health: attackerPlayer.maxHealth },
+      { attack: targetPlayer.attack, defense: targetPlayer.defense, current_health: targetPlayer.currentHealth, max_health: targetPlayer.maxHealth }
+    );
+
+    // Both sides keep their damage
+    await savePlayerHealth(req.user.id, attackerPlayer.playerStats, result.attackerHealth, attackerPlayer.equipmentHealth);
+    await savePlayerHealth(target_user_id, targetPlayer.playerStats, result.defenderHealth, targetPlayer.equipmentHealth);
+
+    // Loot only if the attacker wins: steal random items (10-30% of quantity)
     const stolenItems = [];
-    for (const item of targetInventory) {
-      const stealAmount = Math.max(1, Math.floor(item.quantity * (0.1 + Math.random() * 0.2)));
-      const actualSteal = Math.min(stealAmount, item.quantity);
-
-      // Remove from target
-      await db.run(
-        'UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ?',
-        [actualSteal, target_user_id, item.item_id]
-      );
-
-      // Add to attacker
-      await db.run(`
-        INSERT INTO user_inventory (user_id, item_id, quantity)
-        VALUES (?, ?, ?)
-        ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-      `, [req.user.id, item.item_id, actualSteal, actualSteal]);
-
-      // Remove if quantity is 0
-      await db.run(
-        'DELETE FROM user_inventory WHERE user_id = ? AND item_id = ? AND quantity <= 0',
-        [target_user_id, item.item_id]
-      );
-
-      stolenItems.push({
-        name: item.display_name,
-        quantity: actualSteal
-      });
+    if (result.winner === 'attacker') {
+      const targetInventory = await db.all(`
+        SELECT ui.item_id, ui.quantity, i.display_name, i.name
+        FROM user_inventory ui
+        JOIN items i ON ui.item_id = i.id
+        WHERE ui.user_id = ? AND ui.quantity > 0
+        ORDER BY RANDOM()
+        LIMIT 3
+      `, [target_user_id]);
+
+      for (const item of targetInventory) {
+        const stealAmount = Math.max(1, Math.floor(item.quantity * (0.1 + Math.random() * 0.2)));
+        const actualSteal = Math.min(stealAmount, item.quantity);
+
+        // Move from target to attacker
+        try {
+          await transferItems(target_user_id, req.user.id, [{ item_id: item.item_id, quantity: actualSteal }]);
+        } catch (error) {
+          if (error instanceof InventoryError) continue;
+          throw error;
+        }
+
+        stolenItems.push({
+          name: item.display_name,
+          quantity: actualSteal
+        });
+      }
+    }
+
+    // Log combat
+    await db.run(`
+      INSERT INTO combat_log (attacker_user_id, defender_user_id, winner, attacker_damage_dealt, defender_damage_dealt)
+      VALUES (?, ?, ?, ?, ?)
+    `, [req.user.id, target_user_id, result.winner, result.defenderDamageDealt, result.attackerDamageDealt]);
+
+    // Track statistics and protect the loser
+    await updateMultipleStats(req.user.id, {
+      total_damage_dealt: result.defenderDamageDealt,
+      total_damage_received: result.attackerDamageDealt
+    });
+    await updateMultipleStats(target_user_id, {
+      total_damage_dealt: result.attackerDamageDealt,
+      total_damage_received: result.defenderDamageDealt
+    });
+
+    let warScore = null;
+    if (result.winner !== 'draw') {
+      const winnerId = result.winner === 'attacker' ? req.user.id : target_user_id;
+      const loserId = result.winner === 'attacker' ? target_user_id : req.user.id;
+      await updateStatistic(winnerId, 'players_killed', 1);
+      await updateStatistic(loserId, 'deaths', 1);
+
+      const protectedUntil = new Date(Date.now() + PVP_PROTECTION_MINUTES * 60000).toISOString();
+      await db.run('UPDATE player_stats SET pvp_protected_until = ? WHERE user_id = ?', [protectedUntil, loserId]);
+
+      // Kills between guilds at war count for the war score
+      warScore = await recordWarPvpKill(winnerId, loserId);
+    }
+
+    // Get attacker username for messages
+    const attackerUser = await db.get('SELECT username FROM users WHERE id = ?', [req.user.id]);
+    const attackTime = new Date().toLocaleString('de-DE');
+    const fightText = `⚔️ Runden: ${result.rounds}\n💥 Schaden von ${attackerUser.username}: ${result.defenderDamageDealt}\n💥 Schaden von ${target.username}: ${result.attackerDamageDealt}`;
+    const stolenItemsList = stolenItems.length > 0
+      ? stolenItems.map(i => `• ${i.quantity}x ${i.name}`).join('\n')
+      : '- Nichts';
+    const warText = warScore ? `\n\n🏴 Gildenkrieg: +${warScore.points} Punkte für ${warScore.guild}` : '';
+
+    let targetSubject, targetText, attackerSubject, attackerText, message;
+    if (result.winner === 'attacker') {
+      targetSubject = '⚔️ Du wurdest überfallen!';
+      targetText = `${attackerUser.username} hat dich im Kampf besiegt und beraubt!\n\n🎒 Gestohlene Items:\n${stolenItemsList}\n\n🛡️ Du stehst jetzt ${PVP_PROTECTION_MINUTES} Minuten unter Schutz.`;
+      attackerSubject = '⚔️ Überfall erfolgreich!';
+      attackerText = `Du hast ${target.username} im Kampf besiegt!\n\n🎒 Erbeutete Items:\n${stolenItemsList}`;
+      message = `Du hast ${target.username} besiegt${stolenItems.length > 0 ? ' und Items erbeutet' : ''}!`;
+    } else if (result.winner === 'defender') {
+      targetSubject = '🛡️ Angriff abgewehrt!';
+      targetText = `${attackerUser.username} hat dich angegriffen, aber du hast den Kampf gewonnen!`;
+      attackerSubject = '💀 Angriff gescheitert';
+      attackerText = `${target.username} hat sich erfolgreich verteidigt und dich besiegt.\n\n🛡️ Du stehst jetzt ${PVP_PROTECTION_MINUTES} Minuten unter Schutz.`;
+      message = `${target.username} hat deinen Angriff abgewehrt!`;
+    } else {
+      targetSubject = '⚔️ Unentschieden';
+      targetText = `${attackerUser.username} hat dich angegriffen. Der Kampf endete unentschieden.`;
+      attackerSubject = '⚔️ Unentschieden';
+      attackerText = `Dein Kampf gegen ${target.username} endete unentschieden.`;
+      message = `Der Kampf gegen ${target.username} endete unentschieden.`;
     }
 
-    // Format stolen items list
-    const stolenItemsList = stolenItems.map(i => `• ${i.quantity}x ${i.name}`).join('\n');
-    
     // Send attack notification to TARGET (victim)
     await sendSystemMessage(
       target_user_id,
-      `⚔️ Du wurdest überfallen!`,
-      `${attackerUser.username} hat dich angegriffen und beraubt!\n\n📅 Zeitpunkt: ${attackTime}\n📍 Position des Angreifers: (${attacker.world_x}, ${attacker.world_y})\n\n🎒 Gestohlene Items:\n${stolenItemsList}`,
+      targetSubject,
+      `${targetText}\n\n📅 Zeitpunkt: ${attackTime}\n📍 Position des Angreifers: (${attacker.world_x}, ${attacker.world_y})\n\n${fightText}${warText}`,
       'attack_received',
       req.user.id
     );
@@ -747,15 +841,26 @@ router.post('/attack', authenticateToken, async (req, res) => {
     // Send attack notification to ATTACKER (confirmation)
     await sendSystemMessage(
       req.user.id,
-      `⚔️ Überfall erfolgreich!`,
-      `Dein Angriff auf ${target.username} war erfolgreich!\n\n📅 Zeitpunkt: ${attackTime}\n📍 Position: (${target.world_x}, ${target.world_y})\n\n🎒 Erbeutete Items:\n${stolenItemsList}`,
+      attackerSubject,
+      `${attackerText}\n\n📅 Zeitpunkt: ${attackTime}\n📍 Position: (${target.world_x}, ${target.world_y})\n\n${fightText}${warText}`,
       'attack_sent',
       target_user_id
     );
 
     res.json({
-      message: `Du hast ${target.username} erfolgreich angegriffen und Items erbeutet!`,
-      stolen_items: stolenItems
+      message,
+      result: result.winner,
+      rounds: result.rounds,
+      damageDealt: result.defenderDamageDealt,
+      damageTaken: result.attackerDamageDealt,
+      playerHealth: result.attackerHealth,
+      playerMaxHealth: attackerPlayer.maxHealth,
+      targetHealth: result.defenderHealth,
+      targetMaxHealth: targetPlayer.maxHealth,
+      targetName: target.username,
+      targetLevel: targetPlayer.playerStats.level,
+      stolen_items: stolenItems,
+      war_score: warScore
     });
   } catch (error) {
     console.error('Attack error:', error);
@@ -766,7 +871,7 @@ router.post('/attack', authenticateToken, async (req, res) => {
 // Trade with another player
 router.post('/trade/initiate', authenticateToken, async (req, res) => {
   try {
-    const { target_user_id } = req.body;
+    const { target_user_id, offer_id } = req.body;
 
     if (!target_user_id) {
       return res.status(400).json({ error: 'Ziel-Spieler-ID erforderlich' });
@@ -776,14 +881,23 @@ router.post('/trade/initiate', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Du kannst nicht mit dir selbst handeln' });
     }
 
+    // Answering an open offer from this player works from any distance
+    let openOffer = null;
+    if (offer_id) {
+      openOffer = await db.get(`
+        SELECT id FROM trade_offers
+        WHERE id = ? AND sender_id = ? AND recipient_id = ? AND status = 'pending'
+      `, [offer_id, target_user_id, req.user.id]);
+    }
+
     // Check distance (max 50 units)
     const attacker = await db.get(
-      'SELECT world_x, world_y FROM users WHERE id = ?',
+      'SELECT world_x, world_y, gold FROM users WHERE id = ?',
       [req.user.id]
     );
 
     const target = await db.get(
-      'SELECT id, username, world_x, world_y FROM users WHERE id = ?',
+      'SELECT id, username, world_x, world_y, gold FROM users WHERE id = ?',
       [target_user_id]
     );
 
@@ -796,7 +910,7 @@ router.post('/trade/initiate', authenticateToken, async (req, res) => {
       Math.pow(attacker.world_y - target.world_y, 2)
     );
 
-    if (distance > 50) {
+    if (!openOffer && distance > 50) {
       return res.status(400).json({ error: 'Ziel ist zu weit entfernt (Max: 50 Einheiten)' });
     }
 
@@ -821,7 +935,10 @@ router.post('/trade/initiate', authenticateToken, async (req, res) => {
       message: `Handel mit ${target.username} initiiert`,
       my_inventory: myInventory,
       target_inventory: targetInventory,
-      target_username: target.username
+      target_username: target.username,
+      target_user_id: target.id,
+      my_gold: attacker.gold || 0,
+      target_gold: target.gold || 0
     });
   } catch (error) {
     console.error('Trade initiate error:', error);
@@ -829,10 +946,152 @@ router.post('/trade/initiate', authenticateToken, async (req, res) => {
   }
 });
 
-// Execute trade
-router.post('/trade/execute', authenticateToken, async (req, res) => {
+// ============ TRADE OFFERS ============
+
+const TRADE_MAX_DISTANCE = 50;
+const TRADE_OFFER_EXPIRY_HOURS = 24;
+
+function normalizeTradeGold(gold) {
+  const amount = parseInt(gold) || 0;
+  return amount > 0 ? amount : 0;
+}
+
+// Mark pending offers past their expiry as expired
+async function expireTradeOffers() {
+  await db.run(`
+    UPDATE trade_offers SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+    WHERE status = 'pending' AND datetime(expires_at) <= datetime('now')
+  `);
+}
+
+// Check that a player owns the given items and gold
+async function checkTradeSide(userId, items, gold) {
+  if (!(await hasItems(userId, items))) {
+    return false;
+  }
+
+  if (gold > 0) {
+    const user = await db.get('SELECT gold FROM users WHERE id = ?', [userId]);
+    if (!user || (user.gold || 0) < gold) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Load an offer with its item lines
+async function getTradeOffer(offerId) {
+  const offer = await db.get(`
+    SELECT o.*, s.username as sender_name, r.username as recipient_name
+    FROM trade_offers o
+    JOIN users s ON o.sender_id = s.id
+    JOIN users r ON o.recipient_id = r.id
+    WHERE o.id = ?
+  `, [offerId]);
+
+  if (!offer) return null;
+
+  const items = await db.all(`
+    SELECT toi.side, toi.item_id, toi.quantity, i.name, i.display_name, i.image_path
+    FROM trade_offer_items toi
+    JOIN items i ON toi.item_id = i.id
+    WHERE toi.offer_id = ?
+    ORDER BY i.display_name
+  `, [offerId]);
+
+  offer.offer_items = items.filter(i => i.side === 'offer');
+  offer.request_items = items.filter(i => i.side === 'request');
+  return offer;
+}
+
+function formatTradeLines(items, gold) {
+  const lines = items.map(item => `${item.quantity}x ${item.display_name}`);
+  if (gold > 0) lines.push(`${gold} Gold`);
+  return lines.length > 0 ? lines.join('\n') : '- Nichts';
+}
+
+// Create a pending offer and notify the recipient
+async function createTradeOffer(senderId, recipientId, offerItems, requestItems, offerGold, requestGold, counterOfId = null) {
+  const expiresAt = new Date(Date.now() + TRADE_OFFER_EXPIRY_HOURS * 3600000).toISOString();
+
+  const result = await db.run(`
+    INSERT INTO trade_offers (sender_id, recipient_id, offer_gold, request_gold, counter_of_id, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [senderId, recipientId, offerGold, requestGold, counterOfId, expiresAt]);
+
+  for (const item of offerItems) {
+    await db.run(
+      'INSERT INTO trade_offer_items (offer_id, side, item_id, quantity) VALUES (?, ?, ?, ?)',
+      [result.lastID, 'offer', item.item_id, item.quantity]
+    );
+  }
+  for (const item of requestItems) {
+    await db.run(
+      'INSERT INTO trade_offer_items (offer_id, side, item_id, quantity) VALUES (?, ?, ?, ?)',
+      [result.lastID, 'request', item.item_id, item.quantity]
+    );
+  }
+
+  const offer = await getTradeOffer(result.lastID);
+
+  await sendSystemMessage(
+    recipientId,
+    counterOfId ? `🔄 Gegenangebot von ${offer.sender_name}` : `📨 Handelsangebot von ${offer.sender_name}`,
+    `${offer.sender_name} möchte mit dir handeln!\n\n📦 Du erhältst:\n${formatTradeLines(offer.offer_items, offer.offer_gold)}\n\n📤 Du gibst:\n${formatTradeLines(offer.request_items, offer.request_gold)}\n\nDas Angebot ist ${TRADE_OFFER_EXPIRY_HOURS} Stunden gültig. Nimm es auf der Karte oder hier in den Nachrichten an oder lehne es ab.`,
+    'trade_offer',
+    offer.id
+  );
+
+  return offer;
+}
+
+// Move items and gold of an accepted offer in one transaction.
+// Returns an error message if either side no longer has what was agreed.
+async function settleTradeOffer(offer) {
+  try {
+    await db.transaction(async () => {
+      // Re-validate both sides inside the transaction
+      if (!(await checkTradeSide(offer.sender_id, offer.offer_items, offer.offer_gold))) {
+        throw new InventoryError(`${offer.sender_name} hat nicht mehr genug Items oder Gold`);
+      }
+      if (!(await checkTradeSide(offer.recipient_id, offer.request_items, offer.request_gold))) {
+        throw new InventoryError(`${offer.recipient_name} hat nicht mehr genug Items oder Gold`);
+      }
+
+      await removeItems(offer.sender_id, offer.offer_items);
+      await removeItems(offer.recipient_id, offer.request_items);
+      await removeGold(offer.sender_id, offer.offer_gold);
+      await removeGold(offer.recipient_id, offer.request_gold);
+
+      await addItems(offer.recipient_id, offer.offer_items);
+      await addItems(offer.sender_id, offer.request_items);
+      await addGold(offer.recipient_id, offer.offer_gold);
+      await addGold(offer.sender_id, offer.request_gold);
+
+      const result = await db.run(`
+        UPDATE trade_offers SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `, [offer.id]);
+      if (result.changes === 0) {
+        throw new InventoryError('Dieses Angebot ist nicht mehr offen');
+      }
+    });
+    return null;
+  } catch (error) {
+    if (error instanceof InventoryError) return error.message;
+    throw error;
+  }
+}
+
+// Propose a trade to a nearby player
+router.post('/trade/offers', authenticateToken, async (req, res) => {
   try {
-    const { target_user_id, my_items, target_items } = req.body;
+    const { target_user_id } = req.body;
+    const myItems = normalizeItems(req.body.my_items);
+    const targetItems = normalizeItems(req.body.target_items);
+    const myGold = normalizeTradeGold(req.body.my_gold);
+    const targetGold = normalizeTradeGold(req.body.target_gold);
 
     if (!target_user_id) {
       return res.status(400).json({ error: 'Ziel-Spieler-ID erforderlich' });
@@ -842,141 +1101,249 @@ router.post('/trade/execute', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Du kannst nicht mit dir selbst handeln' });
     }
 
-    // Validate items
-    if (!Array.isArray(my_items) || !Array.isArray(target_items)) {
-      return res.status(400).json({ error: 'Ungültige Handelsdaten' });
+    if (myItems.length === 0 && targetItems.length === 0 && myGold === 0 && targetGold === 0) {
+      return res.status(400).json({ error: 'Das Angebot ist leer' });
     }
 
-    // Check distance
-    const attacker = await db.get(
-      'SELECT world_x, world_y FROM users WHERE id = ?',
-      [req.user.id]
-    );
-
-    const target = await db.get(
-      'SELECT id, username FROM users WHERE id = ?',
-      [target_user_id]
-    );
+    const me = await db.get('SELECT world_x, world_y FROM users WHERE id = ?', [req.user.id]);
+    const target = await db.get('SELECT id, username, world_x, world_y FROM users WHERE id = ?', [target_user_id]);
 
-    if (!attacker || !target) {
+    if (!me || !target) {
       return res.status(404).json({ error: 'Spieler nicht gefunden' });
     }
 
     const distance = Math.sqrt(
-      Math.pow(attacker.world_x - target.world_x, 2) +
-      Math.pow(attacker.world_y - target.world_y, 2)
+      Math.pow(me.world_x - target.world_x, 2) +
+      Math.pow(me.world_y - target.world_y, 2)
     );
 
-    if (distance > 50) {
-      return res.status(400).json({ error: 'Ziel ist zu weit entfernt' });
+    if (distance > TRADE_MAX_DISTANCE) {
+      return res.status(400).json({ error: `Ziel ist zu weit entfernt (Max: ${TRADE_MAX_DISTANCE} Einheiten)` });
     }
 
-    // Verify items exist and quantities are correct
-    for (const item of my_items) {
-      const inventory = await db.get(
-        'SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?',
-        [req.user.id, item.item_id]
-      );
+    if (!(await checkTradeSide(req.user.id, myItems, myGold))) {
+      return res.status(400).json({ error: 'Nicht genug Items oder Gold im Inventar' });
+    }
 
-      if (!inventory || inventory.quantity < item.quantity) {
-        return res.status(400).json({ error: 'Nicht genug Items im Inventar' });
-      }
+    if (!(await checkTradeSide(target.id, targetItems, targetGold))) {
+      return res.status(400).json({ error: 'Ziel hat nicht genug Items oder Gold' });
     }
 
-    for (const item of target_items) {
-      const inventory = await db.get(
-        'SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?',
-        [target_user_id, item.item_id]
-      );
+    const offer = await createTradeOffer(req.user.id, target.id, myItems, targetItems, myGold, targetGold);
+
+    res.json({
+      message: `Handelsangebot an ${target.username} gesendet`,
+      offer
+    });
+  } catch (error) {
+    console.error('Trade offer error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Erstellen des Angebots' });
+  }
+});
 
-      if (!inventory || inventory.quantity < item.quantity) {
-        return res.status(400).json({ error: 'Ziel hat nicht genug Items' });
+// List my open trade offers
+router.get('/trade/offers', authenticateToken, async (req, res) => {
+  try {
+    await expireTradeOffers();
+
+    const rows = await db.all(`
+      SELECT id FROM trade_offers
+      WHERE status = 'pending' AND (sender_id = ? OR recipient_id = ?)
+      ORDER BY created_at DESC
+    `, [req.user.id, req.user.id]);
+
+    const incoming = [];
+    const outgoing = [];
+    for (const row of rows) {
+      const offer = await getTradeOffer(row.id);
+      if (offer.recipient_id === req.user.id) {
+        incoming.push(offer);
+      } else {
+        outgoing.push(offer);
       }
     }
 
-    // Execute trade - remove items from both
-    for (const item of my_items) {
-      await db.run(
-        'UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ?',
-        [item.quantity, req.user.id, item.item_id]
-      );
-      await db.run(
-        'DELETE FROM user_inventory WHERE user_id = ? AND item_id = ? AND quantity <= 0',
-        [req.user.id, item.item_id]
-      );
+    res.json({ incoming, outgoing });
+  } catch (error) {
+    console.error('Get trade offers error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Get a single trade offer
+router.get('/trade/offers/:offerId', authenticateToken, async (req, res) => {
+  try {
+    await expireTradeOffers();
+
+    const offer = await getTradeOffer(req.params.offerId);
+    if (!offer || (offer.sender_id !== req.user.id && offer.recipient_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Angebot nicht gefunden' });
+    }
+
+    res.json({ offer });
+  } catch (error) {
+    console.error('Get trade offer error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Counter an incoming offer (declines it and sends a new one back)
+router.post('/trade/offers/:offerId/counter', authenticateToken, async (req, res) => {
+  try {
+    await expireTradeOffers();
+
+    const original = await getTradeOffer(req.params.offerId);
+    if (!original || original.recipient_id !== req.user.id) {
+      return res.status(404).json({ error: 'Angebot nicht gefunden' });
+    }
+
+    if (original.status !== 'pending') {
+      return res.status(400).json({ error: 'Dieses Angebot ist nicht mehr offen' });
     }
 
-    for (const item of target_items) {
-      await db.run(
-        'UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ?',
-        [item.quantity, target_user_id, item.item_id]
-      );
-      await db.run(
-        'DELETE FROM user_inventory WHERE user_id = ? AND item_id = ? AND quantity <= 0',
-        [target_user_id, item.item_id]
-      );
+    const myItems = normalizeItems(req.body.my_items);
+    const targetItems = normalizeItems(req.body.target_items);
+    const myGold = normalizeTradeGold(req.body.my_gold);
+    const targetGold = normalizeTradeGold(req.body.target_gold);
+
+    if (myItems.length === 0 && targetItems.length === 0 && myGold === 0 && targetGold === 0) {
+      return res.status(400).json({ error: 'Das Angebot ist leer' });
     }
 
-    // Add items to both
-    for (const item of my_items) {
-      await db.run(`
-        INSERT INTO user_inventory (user_id, item_id, quantity)
-        VALUES (?, ?, ?)
-        ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-      `, [target_user_id, item.item_id, item.quantity, item.quantity]);
+    if (!(await checkTradeSide(req.user.id, myItems, myGold))) {
+      return res.status(400).json({ error: 'Nicht genug Items oder Gold im Inventar' });
     }
 
-    for (const item of target_items) {
-      await db.run(`
-        INSERT INTO user_inventory (user_id, item_id, quantity)
-        VALUES (?, ?, ?)
-        ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-      `, [req.user.id, item.item_id, item.quantity, item.quantity]);
+    if (!(await checkTradeSide(original.sender_id, targetItems, targetGold))) {
+      return res.status(400).json({ error: 'Ziel hat nicht genug Items oder Gold' });
     }
 
-    // Get item names for messages
-    const myItemNames = [];
-    for (const item of my_items) {
-      const itemData = await db.get('SELECT display_name FROM items WHERE id = ?', [item.item_id]);
-      if (itemData) myItemNames.push(`${item.quantity}x ${itemData.display_name}`);
+    // Decline and counter at once: the original is only declined if the counter is sent,
+    // and not at all if it was accepted or withdrawn in the meantime
+    const offer = await db.transaction(async () => {
+      const result = await db.run(`
+        UPDATE trade_offers SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `, [original.id]);
+      if (result.changes === 0) return null;
+
+      return createTradeOffer(req.user.id, original.sender_id, myItems, targetItems, myGold, targetGold, original.id);
+    });
+
+    if (!offer) {
+      return res.status(400).json({ error: 'Dieses Angebot ist nicht mehr offen' });
     }
-    
-    const targetItemNames = [];
-    for (const item of target_items) {
-      const itemData = await db.get('SELECT display_name FROM items WHERE id = ?', [item.item_id]);
-      if (itemData) targetItemNames.push(`${item.quantity}x ${itemData.display_name}`);
+
+    res.json({
+      message: `Gegenangebot an ${original.sender_name} gesendet`,
+      offer
+    });
+  } catch (error) {
+    console.error('Trade counter error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Erstellen des Gegenangebots' });
+  }
+});
+
+// Accept an incoming offer
+router.post('/trade/offers/:offerId/accept', authenticateToken, async (req, res) => {
+  try {
+    await expireTradeOffers();
+
+    const offer = await getTradeOffer(req.params.offerId);
+    if (!offer || offer.recipient_id !== req.user.id) {
+      return res.status(404).json({ error: 'Angebot nicht gefunden' });
     }
 
-    // Get current user's username
-    const currentUser = await db.get('SELECT username FROM users WHERE id = ?', [req.user.id]);
+    if (offer.status !== 'pending') {
+      return res.status(400).json({ error: 'Dieses Angebot ist nicht mehr offen' });
+    }
+
+    const settleError = await settleTradeOffer(offer);
+    if (settleError) {
+      return res.status(400).json({ error: settleError });
+    }
+
+    await updateStatistic(offer.sender_id, 'trades_completed', 1);
+    await updateStatistic(offer.recipient_id, 'trades_completed', 1);
 
-    // Send trade notification to target (the other player)
     await sendSystemMessage(
-      target_user_id,
+      offer.sender_id,
       `🤝 Handel abgeschlossen`,
-      `Du hast mit ${currentUser.username} gehandelt!\n\n📦 Du hast erhalten:\n${myItemNames.length > 0 ? myItemNames.join('\n') : '- Nichts'}\n\n📤 Du hast gegeben:\n${targetItemNames.length > 0 ? targetItemNames.join('\n') : '- Nichts'}`,
-      'trade_received',
-      req.user.id
+      `${offer.recipient_name} hat dein Angebot angenommen!\n\n📦 Du hast erhalten:\n${formatTradeLines(offer.request_items, offer.request_gold)}\n\n📤 Du hast gegeben:\n${formatTradeLines(offer.offer_items, offer.offer_gold)}`,
+      'trade_sent',
+      offer.id
     );
 
-    // Send confirmation to the initiator
     await sendSystemMessage(
-      req.user.id,
+      offer.recipient_id,
       `🤝 Handel abgeschlossen`,
-      `Du hast mit ${target.username} gehandelt!\n\n📦 Du hast erhalten:\n${targetItemNames.length > 0 ? targetItemNames.join('\n') : '- Nichts'}\n\n📤 Du hast gegeben:\n${myItemNames.length > 0 ? myItemNames.join('\n') : '- Nichts'}`,
-      'trade_sent',
-      target_user_id
+      `Du hast mit ${offer.sender_name} gehandelt!\n\n📦 Du hast erhalten:\n${formatTradeLines(offer.offer_items, offer.offer_gold)}\n\n📤 Du hast gegeben:\n${formatTradeLines(offer.request_items, offer.request_gold)}`,
+      'trade_received',
+      offer.id
     );
 
     res.json({
-      message: `Handel mit ${target.username} erfolgreich abgeschlossen!`
+      message: `Handel mit ${offer.sender_name} erfolgreich abgeschlossen!`
     });
   } catch (error) {
-    console.error('Trade execute error:', error);
+    console.error('Trade accept error:', error);
     res.status(500).json({ error: 'Serverfehler beim Ausführen des Handels' });
   }
 });
 
+// Decline an incoming offer
+router.post('/trade/offers/:offerId/decline', authenticateToken, async (req, res) => {
+  try {
+    await expireTradeOffers();
+
+    const offer = await getTradeOffer(req.params.offerId);
+    if (!offer || offer.recipient_id !== req.user.id) {
+      return res.status(404).json({ error: 'Angebot nicht gefunden' });
+    }
+
+    const result = await db.run(`
+      UPDATE trade_offers SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [offer.id]);
+
+    if (result.changes === 0) {
+      return res.status(400).json({ error: 'Dieses Angebot ist nicht mehr offen' });
+    }
+
+    await sendSystemMessage(
+      offer.sender_id,
+      `❌ Handelsangebot abgelehnt`,
+      `${offer.recipient_name} hat dein Handelsangebot abgelehnt.`,
+      'trade_sent',
+      offer.id
+    );
+
+    res.json({ message: 'Angebot abgelehnt' });
+  } catch (error) {
+    console.error('Trade decline error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Withdraw one of my own offers
+router.post('/trade/offers/:offerId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.run(`
+      UPDATE trade_offers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND sender_id = ? AND status = 'pending'
+    `, [req.params.offerId, req.user.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Kein offenes Angebot gefunden' });
+    }
+
+    res.json({ message: 'Angebot zurückgezogen' });
+  } catch (error) {
+    console.error('Trade cancel error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
 // Get tile mappings (public, for map rendering)
 router.get('/tileset/mappings', async (req, res) => {
   try {
@@ -992,53 +1359,12 @@ router.get('/tileset/mappings', async (req, res) => {
   }
 });
 
-// Check for active jobs that would be paused when traveling
-router.get('/active-jobs', authenticateToken, async (req, res) => {
+// Get imported world regions (tile layers and terrain, for map rendering)
+router.get('/regions', authenticateToken, async (req, res) => {
   try {
-    const activeJobs = [];
-
-    // Check gathering_jobs (resource gathering)
-    const gatheringJob = await db.get(`
-      SELECT gj.id, rnt.display_name 
-      FROM gathering_jobs gj
-      JOIN world_resource_nodes wrn ON gj.node_id = wrn.id
-      JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
-      WHERE gj.user_id = ? AND gj.is_completed = 0 AND gj.is_cancelled = 0
-    `, [req.user.id]);
-    if (gatheringJob) {
-      activeJobs.push({ type: 'gathering', name: `Sammeln: ${gatheringJob.display_name}`, id: gatheringJob.id });
-    }
-
-    const collectionJob = await db.get(`
-      SELECT id, completed_at FROM collection_jobs 
-      WHERE user_id = ? AND status = 'active'
-    `, [req.user.id]);
-    if (collectionJob) {
-      activeJobs.push({ type: 'collection', name: 'Sammeln (alt)' });
-    }
-
-    const buildingJob = await db.get(`
-      SELECT bj.id, b.display_name FROM building_jobs bj
-      JOIN buildings b ON bj.building_id = b.id
-      WHERE bj.user_id = ? AND bj.status = 'active'
-    `, [req.user.id]);
-    if (buildingJob) {
-      activeJobs.push({ type: 'building', name: `Bauen: ${buildingJob.display_name}` });
-    }
-
-    const craftingJob = await db.get(`
-      SELECT cj.id, et.display_name FROM crafting_jobs cj
-      JOIN equipment_recipes er ON cj.recipe_id = er.id
-      JOIN equipment_types et ON er.equipment_type_id = et.id
-      WHERE cj.user_id = ? AND cj.is_completed = 0 AND cj.paused_at IS NULL
-    `, [req.user.id]);
-    if (craftingJob) {
-      activeJobs.push({ type: 'crafting', name: `Herstellen: ${craftingJob.display_name}` });
-    }
-
-    res.json({ activeJobs, hasActiveJobs: activeJobs.length > 0 });
+    res.json({ regions: getRegions() });
   } catch (error) {
-    console.error('Check active jobs error:', error);
+    console.error('Get world regions error:', error);
     res.status(500).json({ error: 'Serverfehler' });
   }
 });
@@ -2,6 +2,7 @@ import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { updateStatistic } from '../helpers/statistics.js';
+import { publishToUser } from '../helpers/realtime.js';
 
 const router = express.Router();
 
@@ -253,6 +254,13 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Track message sent
     await updateStatistic(req.user.id, 'messages_sent', 1);
+
+    publishToUser(recipient.id, 'message_new', {
+      id: result.lastID,
+      subject: processedSubject,
+      message_type: 'personal',
+      sender_name: req.user.username
+    });
     
     res.status(201).json({ 
       message: 'Nachricht gesendet',
@@ -385,7 +393,7 @@ export async function sendSystemMessage(recipientId, subject, content, messageTy
     const processedContent = convertEmojis(content);
     
     // Validate message type - fallback to 'system' if invalid for older databases
-    const validTypes = ['personal', 'guild_application', 'guild_accepted', 'guild_rejected', 'trade_received', 'trade_sent', 'attack_received', 'attack_sent', 'combat', 'system'];
+    const validTypes = ['personal', 'guild_application', 'guild_accepted', 'guild_rejected', 'guild_war', 'guild_level', 'party', 'trade_offer', 'trade_received', 'trade_sent', 'attack_received', 'attack_sent', 'combat', 'job', 'auction', 'travel', 'system'];
     const finalMessageType = validTypes.includes(messageType) ? messageType : 'system';
     
     const result = await db.run(`
@@ -394,6 +402,12 @@ export async function sendSystemMessage(recipientId, subject, content, messageTy
     `, [systemUser.id, recipientId, processedSubject, processedContent, finalMessageType, relatedId]);
     
     console.log(`[MESSAGE] Message sent successfully, ID: ${result.lastID}`);
+    publishToUser(recipientId, 'message_new', {
+      id: result.lastID,
+      subject: processedSubject,
+      message_type: finalMessageType,
+      related_id: relatedId
+    });
     return true;
   } catch (error) {
     console.error('[MESSAGE] Error sending system message:', error);
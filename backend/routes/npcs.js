@@ -1,6 +1,8 @@
 import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { InventoryError, addItems, removeItems, addGold, removeGold } from '../helpers/inventory.js';
+import { applyRegeneration, getRegenerationRate } from '../helpers/regeneration.js';
 
 const router = express.Router();
 
@@ -61,10 +63,15 @@ router.get('/world', authenticateToken, async (req, res) => {
         mt.attack_per_level,
         mt.base_defense,
         mt.defense_per_level,
-        mt.is_boss
+        mt.is_boss,
+        mt.min_party_size,
+        wbs.id as world_boss_spawn_id,
+        wbs.max_health as world_boss_max_health,
+        wbs.ends_at as world_boss_ends_at
       FROM world_npcs wn
       LEFT JOIN npc_types nt ON wn.npc_type_id = nt.id
       LEFT JOIN monster_types mt ON wn.monster_type_id = mt.id
+      LEFT JOIN world_boss_spawns wbs ON wbs.world_npc_id = wn.id AND wbs.status = 'active'
       WHERE wn.is_active = 1 
          OR (wn.last_killed_at IS NOT NULL 
              AND datetime(wn.last_killed_at, '+' || wn.respawn_minutes || ' minutes') <= datetime('now'))
@@ -76,7 +83,8 @@ router.get('/world', authenticateToken, async (req, res) => {
         const level = npc.level || 1;
         return {
           ...npc,
-          max_health: npc.base_health + (level - 1) * (npc.health_per_level || 0),
+          // World bosses have their own (much larger) health pool
+          max_health: npc.world_boss_max_health || npc.base_health + (level - 1) * (npc.health_per_level || 0),
           attack: npc.base_attack + (level - 1) * (npc.attack_per_level || 0),
           defense: npc.base_defense + (level - 1) * (npc.defense_per_level || 0),
         };
@@ -113,10 +121,15 @@ router.get('/:npcId', authenticateToken, async (req, res) => {
         mt.attack_per_level,
         mt.base_defense,
         mt.defense_per_level,
-        mt.is_boss
+        mt.is_boss,
+        mt.min_party_size,
+        wbs.id as world_boss_spawn_id,
+        wbs.max_health as world_boss_max_health,
+        wbs.ends_at as world_boss_ends_at
       FROM world_npcs wn
       LEFT JOIN npc_types nt ON wn.npc_type_id = nt.id
       LEFT JOIN monster_types mt ON wn.monster_type_id = mt.id
+      LEFT JOIN world_boss_spawns wbs ON wbs.world_npc_id = wn.id AND wbs.status = 'active'
       WHERE wn.id = ?
     `, [npcId]);
 
@@ -165,7 +178,7 @@ router.get('/:npcId', authenticateToken, async (req, res) => {
     // Calculate stats for monsters
     if (npc.entity_type === 'monster' || npc.entity_type === 'boss') {
       const level = npc.level || 1;
-      npc.max_health = npc.base_health + (level - 1) * (npc.health_per_level || 0);
+      npc.max_health = npc.world_boss_max_health || npc.base_health + (level - 1) * (npc.health_per_level || 0);
       npc.attack = npc.base_attack + (level - 1) * (npc.attack_per_level || 0);
       npc.defense = npc.base_defense + (level - 1) * (npc.defense_per_level || 0);
     }
@@ -237,28 +250,30 @@ router.post('/:npcId/buy', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: `Nicht genug Gold (benötigt: ${totalCost}, vorhanden: ${user.gold})` });
     }
 
-    // Deduct gold
-    await db.run('UPDATE users SET gold = gold - ? WHERE id = ?', [totalCost, userId]);
-
-    // Add item to inventory
-    await db.run(`
-      INSERT INTO user_inventory (user_id, item_id, quantity)
-      VALUES (?, ?, ?)
-      ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-    `, [userId, itemId, quantity, quantity]);
-
-    // Update stock if limited
-    if (shopItem.stock !== -1) {
-      await db.run(`
-        UPDATE npc_shop_items SET stock = stock - ? WHERE id = ?
-      `, [quantity, shopItem.id]);
-    }
+    await db.transaction(async () => {
+      // Deduct gold and add item to inventory
+      await removeGold(userId, totalCost);
+      await addItems(userId, [{ item_id: itemId, quantity }]);
+
+      // Update stock if limited
+      if (shopItem.stock !== -1) {
+        const stockUpdate = await db.run(`
+          UPDATE npc_shop_items SET stock = stock - ? WHERE id = ? AND stock >= ?
+        `, [quantity, shopItem.id, quantity]);
+        if (stockUpdate.changes === 0) {
+          throw new InventoryError('Nicht genug Vorrat');
+        }
+      }
+    });
 
     res.json({ 
       message: `${quantity}x ${shopItem.item_display_name} für ${totalCost} Gold gekauft!`,
       newGold: user.gold - totalCost
     });
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Buy error:', error);
     res.status(500).json({ error: 'Serverfehler beim Kaufen' });
   }
@@ -317,16 +332,11 @@ router.post('/:npcId/sell', authenticateToken, async (req, res) => {
 
     const totalGold = shopItem.sell_price * quantity;
 
-    // Add gold
-    await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [totalGold, userId]);
-
-    // Remove items from inventory
-    await db.run(`
-      UPDATE user_inventory SET quantity = quantity - ? WHERE user_id = ? AND item_id = ?
-    `, [quantity, userId, itemId]);
-
-    // Clean up zero quantity items
-    await db.run('DELETE FROM user_inventory WHERE quantity <= 0');
+    // Remove items from inventory and pay out gold
+    await db.transaction(async () => {
+      await removeItems(userId, [{ item_id: itemId, quantity }]);
+      await addGold(userId, totalGold);
+    });
 
     const user = await db.get('SELECT gold FROM users WHERE id = ?', [userId]);
 
@@ -335,6 +345,9 @@ router.post('/:npcId/sell', authenticateToken, async (req, res) => {
       newGold: user.gold
     });
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Sell error:', error);
     res.status(500).json({ error: 'Serverfehler beim Verkaufen' });
   }
@@ -345,7 +358,7 @@ router.get('/player/stats', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    let stats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
+    let stats = await applyRegeneration(userId);
     
     if (!stats) {
       // Create default stats
@@ -369,12 +382,20 @@ router.get('/player/stats', authenticateToken, async (req, res) => {
       
       if (distance <= 50) {
         // Player is at home - heal to full
-        await db.run('UPDATE player_stats SET current_health = max_health WHERE user_id = ?', [userId]);
+        await db.run('UPDATE player_stats SET current_health = max_health, last_healed_at = ? WHERE user_id = ?', [new Date().toISOString(), userId]);
         stats.current_health = stats.max_health;
       }
     }
 
-    res.json({ stats: { ...stats, gold: user.gold } });
+    const regenPercent = await getRegenerationRate(userId);
+
+    res.json({
+      stats: {
+        ...stats,
+        gold: user.gold,
+        regen_per_minute: Math.round(stats.max_health * regenPercent) / 100
+      }
+    });
   } catch (error) {
     console.error('Get player stats error:', error);
     res.status(500).json({ error: 'Serverfehler' });
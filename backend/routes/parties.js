@@ -0,0 +1,137 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  PartyError, LOOT_RULES, getParty, getPendingInvites, getPartyMembership, resolveExpiredPartyLoot,
+  invitePlayer, acceptInvite, declineInvite, leaveParty, kickMember, promoteMember, setLootRule, chooseLoot, assignLoot
+} from '../helpers/parties.js';
+
+const router = express.Router();
+
+// Answer party errors with their status, everything else is a server error
+function handleError(res, error, label, message) {
+  if (error instanceof PartyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Get my party (members, open invites, loot waiting for a decision) and my invitations
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    // Decide the own party's loot whose time ran out before showing it, the rest is left to the scheduler
+    const membership = await getPartyMembership(req.user.id);
+    if (membership) {
+      await resolveExpiredPartyLoot(membership.party_id);
+    }
+
+    res.json({
+      party: await getParty(req.user.id),
+      invites: await getPendingInvites(req.user.id),
+      lootRules: LOOT_RULES
+    });
+  } catch (error) {
+    handleError(res, error, 'Get party', 'Serverfehler');
+  }
+});
+
+// Invite a player (founds a party if I have none)
+router.post('/invite', authenticateToken, async (req, res) => {
+  try {
+    const targetId = parseInt(req.body.userId);
+    if (!targetId) {
+      return res.status(400).json({ error: 'Spieler erforderlich' });
+    }
+
+    await invitePlayer(req.user.id, targetId);
+    res.json({ message: 'Einladung verschickt' });
+  } catch (error) {
+    handleError(res, error, 'Party invite', 'Serverfehler beim Einladen');
+  }
+});
+
+// Accept an invitation
+router.post('/invites/:inviteId/accept', authenticateToken, async (req, res) => {
+  try {
+    await acceptInvite(req.user.id, parseInt(req.params.inviteId));
+    res.json({ message: 'Du bist der Gruppe beigetreten' });
+  } catch (error) {
+    handleError(res, error, 'Accept party invite', 'Serverfehler beim Beitreten');
+  }
+});
+
+// Decline an invitation
+router.post('/invites/:inviteId/decline', authenticateToken, async (req, res) => {
+  try {
+    await declineInvite(req.user.id, parseInt(req.params.inviteId));
+    res.json({ message: 'Einladung abgelehnt' });
+  } catch (error) {
+    handleError(res, error, 'Decline party invite', 'Serverfehler');
+  }
+});
+
+// Leave my party
+router.post('/leave', authenticateToken, async (req, res) => {
+  try {
+    await leaveParty(req.user.id);
+    res.json({ message: 'Du hast die Gruppe verlassen' });
+  } catch (error) {
+    handleError(res, error, 'Leave party', 'Serverfehler beim Verlassen');
+  }
+});
+
+// Remove a member (leader only)
+router.post('/kick/:userId', authenticateToken, async (req, res) => {
+  try {
+    await kickMember(req.user.id, parseInt(req.params.userId));
+    res.json({ message: 'Mitglied entfernt' });
+  } catch (error) {
+    handleError(res, error, 'Kick party member', 'Serverfehler');
+  }
+});
+
+// Make another member the leader (leader only)
+router.post('/leader/:userId', authenticateToken, async (req, res) => {
+  try {
+    await promoteMember(req.user.id, parseInt(req.params.userId));
+    res.json({ message: 'Neuer Gruppenanführer ernannt' });
+  } catch (error) {
+    handleError(res, error, 'Promote party member', 'Serverfehler');
+  }
+});
+
+// Change the loot rule (leader only)
+router.put('/loot-rule', authenticateToken, async (req, res) => {
+  try {
+    await setLootRule(req.user.id, req.body.rule);
+    res.json({ message: 'Beuteregel geändert' });
+  } catch (error) {
+    handleError(res, error, 'Set party loot rule', 'Serverfehler');
+  }
+});
+
+// Need, greed or pass on a drop (need/greed rule)
+router.post('/loot/:lootId/roll', authenticateToken, async (req, res) => {
+  try {
+    const { roll, resolved } = await chooseLoot(req.user.id, parseInt(req.params.lootId), req.body.choice);
+    res.json({
+      message: roll ? `Du hast eine ${roll} gewürfelt` : 'Du verzichtest',
+      roll,
+      resolved
+    });
+  } catch (error) {
+    handleError(res, error, 'Party loot roll', 'Serverfehler beim Würfeln');
+  }
+});
+
+// Give a drop to a fighter (leader rule, leader only)
+router.post('/loot/:lootId/assign', authenticateToken, async (req, res) => {
+  try {
+    await assignLoot(req.user.id, parseInt(req.params.lootId), parseInt(req.body.userId));
+    res.json({ message: 'Beute verteilt' });
+  } catch (error) {
+    handleError(res, error, 'Assign party loot', 'Serverfehler beim Verteilen');
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { getPropertyLayout } from '../helpers/property.js';
 
 const router = express.Router();
 
@@ -129,6 +130,26 @@ router.get('/profile/:username', async (req, res) => {
   }
 });
 
+// Get the property layout of a player (read-only, NO AUTH REQUIRED like the profile)
+router.get('/profile/:username/property', async (req, res) => {
+  try {
+    const player = await db.get(`
+      SELECT id FROM users
+      WHERE LOWER(username) = LOWER(?) AND is_activated = 1 AND username != 'System'
+    `, [req.params.username]);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Spieler nicht gefunden' });
+    }
+
+    const { plot, background, buildings } = await getPropertyLayout(player.id);
+    res.json({ plot, background, buildings: buildings.filter(building => building.is_placed) });
+  } catch (error) {
+    console.error('Get player property error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Laden des Grundstücks' });
+  }
+});
+
 // Get single player profile by ID (public)
 router.get('/:playerId', authenticateToken, async (req, res) => {
   try {
@@ -4,6 +4,10 @@ import { authenticateToken } from '../middleware/auth.js';
 import { requirePermission } from '../middleware/permissions.js';
 import { updateStatistic } from '../helpers/statistics.js';
 import { sendDiscordWebhook } from '../utils/discord.js';
+import {
+  QUEST_SCOPES, REWARD_SPLITS, GroupQuestError,
+  grantQuestRewards, getGroupQuests, startGroupQuest, claimGroupQuest, abandonGroupQuest, deleteGroupQuestRuns
+} from '../helpers/groupQuests.js';
 
 const router = express.Router();
 
@@ -175,7 +179,7 @@ router.get('/', authenticateToken, async (req, res) => {
       LEFT JOIN user_quests uq ON q.id = uq.quest_id AND uq.user_id = ?
       LEFT JOIN items i ON q.reward_item_id = i.id
       LEFT JOIN quests pq ON q.prerequisite_quest_id = pq.id
-      WHERE q.is_active = 1 AND q.min_level <= ?
+      WHERE q.is_active = 1 AND q.min_level <= ? AND COALESCE(q.scope, 'user') = 'user'
       ORDER BY q.sort_order, q.category, q.id
     `, [userId, userLevel]);
 
@@ -214,6 +218,17 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the quests of the player's guild with shared progress - MUST be before /:questId routes!
+router.get('/group', authenticateToken, async (req, res) => {
+  try {
+    const groups = await getGroupQuests(req.user.id);
+    res.json({ groups });
+  } catch (error) {
+    console.error('Get group quests error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
 // Get single quest details
 router.get('/:questId', authenticateToken, async (req, res) => {
   try {
@@ -271,6 +286,12 @@ router.post('/:questId/accept', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Quest nicht gefunden' });
     }
 
+    // Group quests are started once for the whole group
+    if (quest.scope && quest.scope !== 'user') {
+      await startGroupQuest(quest, userId);
+      return res.json({ message: `Quest "${quest.display_name}" für alle gestartet!` });
+    }
+
     // Check level requirement
     const userStats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
     if ((userStats?.level || 1) < quest.min_level) {
@@ -369,6 +390,9 @@ router.post('/:questId/accept', authenticateToken, async (req, res) => {
     const progressMsg = anyProgress ? ' (Fortschritt übernommen!)' : '';
     res.json({ message: `Quest "${quest.display_name}" angenommen!${progressMsg}` });
   } catch (error) {
+    if (error instanceof GroupQuestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Accept quest error:', error);
     res.status(500).json({ error: 'Serverfehler' });
   }
@@ -380,6 +404,21 @@ router.post('/:questId/claim', authenticateToken, async (req, res) => {
     const { questId } = req.params;
     const userId = req.user.id;
 
+    const quest = await db.get('SELECT * FROM quests WHERE id = ?', [questId]);
+    if (!quest) {
+      return res.status(404).json({ error: 'Quest nicht gefunden' });
+    }
+
+    // Group quests split the rewards between all contributing members
+    if (quest.scope && quest.scope !== 'user') {
+      const { rewards, distribution } = await claimGroupQuest(quest, userId);
+      return res.json({
+        message: `Quest "${quest.display_name}" abgeschlossen! Die Belohnung wurde aufgeteilt.`,
+        rewards,
+        distribution
+      });
+    }
+
     // Check quest status
     const userQuest = await db.get(
       'SELECT status FROM user_quests WHERE user_id = ? AND quest_id = ?',
@@ -394,50 +433,12 @@ router.post('/:questId/claim', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Quest noch nicht abgeschlossen!' });
     }
 
-    // Get quest rewards
-    const quest = await db.get('SELECT * FROM quests WHERE id = ?', [questId]);
-    
-    const rewards = [];
-
-    // Gold reward
-    if (quest.reward_gold > 0) {
-      await db.run('UPDATE users SET gold = gold + ? WHERE id = ?', [quest.reward_gold, userId]);
-      await updateStatistic(userId, 'gold_earned', quest.reward_gold);
-      rewards.push({ type: 'gold', amount: quest.reward_gold });
-    }
-
-    // Experience reward
-    if (quest.reward_experience > 0) {
-      const playerStats = await db.get('SELECT * FROM player_stats WHERE user_id = ?', [userId]);
-      let newExp = (playerStats?.experience || 0) + quest.reward_experience;
-      let newLevel = playerStats?.level || 1;
-      const expForNextLevel = newLevel * 100;
-
-      if (newExp >= expForNextLevel) {
-        newLevel++;
-        newExp -= expForNextLevel;
-      }
-
-      await db.run('UPDATE player_stats SET experience = ?, level = ? WHERE user_id = ?', 
-        [newExp, newLevel, userId]);
-      rewards.push({ type: 'experience', amount: quest.reward_experience });
-    }
-
-    // Item reward
-    if (quest.reward_item_id) {
-      await db.run(`
-        INSERT INTO user_inventory (user_id, item_id, quantity)
-        VALUES (?, ?, ?)
-        ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-      `, [userId, quest.reward_item_id, quest.reward_item_quantity, quest.reward_item_quantity]);
-      
-      const item = await db.get('SELECT display_name FROM items WHERE id = ?', [quest.reward_item_id]);
-      rewards.push({ 
-        type: 'item', 
-        amount: quest.reward_item_quantity,
-        name: item?.display_name || 'Item'
-      });
-    }
+    const rewards = await grantQuestRewards(userId, {
+      gold: quest.reward_gold,
+      experience: quest.reward_experience,
+      itemId: quest.reward_item_id,
+      itemQuantity: quest.reward_item_quantity
+    });
 
     // Mark as claimed
     await db.run(`
@@ -480,6 +481,9 @@ router.post('/:questId/claim', authenticateToken, async (req, res) => {
       rewards
     });
   } catch (error) {
+    if (error instanceof GroupQuestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Claim quest error:', error);
     res.status(500).json({ error: 'Serverfehler' });
   }
@@ -491,6 +495,12 @@ router.post('/:questId/abandon', authenticateToken, async (req, res) => {
     const { questId } = req.params;
     const userId = req.user.id;
 
+    const quest = await db.get('SELECT * FROM quests WHERE id = ?', [questId]);
+    if (quest?.scope && quest.scope !== 'user') {
+      await abandonGroupQuest(quest, userId);
+      return res.json({ message: 'Gruppenquest abgebrochen' });
+    }
+
     // Check if quest has daily_login objective (can't be abandoned)
     const hasDailyLogin = await db.get(`
       SELECT 1 FROM quest_objectives WHERE quest_id = ? AND objective_type = 'daily_login'
@@ -516,6 +526,9 @@ router.post('/:questId/abandon', authenticateToken, async (req, res) => {
 
     res.json({ message: 'Quest abgebrochen' });
   } catch (error) {
+    if (error instanceof GroupQuestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Abandon quest error:', error);
     res.status(500).json({ error: 'Serverfehler' });
   }
@@ -528,7 +541,8 @@ router.get('/admin/all', authenticateToken, requirePermission('manage_items'), a
   try {
     const quests = await db.all(`
       SELECT q.*, i.display_name as reward_item_name,
-        (SELECT COUNT(*) FROM user_quests uq WHERE uq.quest_id = q.id AND uq.status = 'claimed') as completions
+        (SELECT COUNT(*) FROM user_quests uq WHERE uq.quest_id = q.id AND uq.status = 'claimed') +
+        (SELECT COUNT(*) FROM group_quests gq WHERE gq.quest_id = q.id AND gq.status = 'claimed') as completions
       FROM quests q
       LEFT JOIN items i ON q.reward_item_id = i.id
       ORDER BY q.sort_order, q.id
@@ -538,7 +552,7 @@ router.get('/admin/all', authenticateToken, requirePermission('manage_items'), a
       quest.objectives = await db.all('SELECT * FROM quest_objectives WHERE quest_id = ? ORDER BY sort_order', [quest.id]);
     }
 
-    res.json({ quests });
+    res.json({ quests, scopes: QUEST_SCOPES, rewardSplits: REWARD_SPLITS });
   } catch (error) {
     console.error('Admin get quests error:', error);
     res.status(500).json({ error: 'Serverfehler' });
@@ -552,25 +566,33 @@ router.post('/admin', authenticateToken, requirePermission('manage_items'), asyn
       name, display_name, description, category,
       is_repeatable, cooldown_hours, min_level, prerequisite_quest_id,
       reward_gold, reward_experience, reward_item_id, reward_item_quantity,
-      objectives, sort_order
+      objectives, sort_order, scope, reward_split
     } = req.body;
 
     if (!name || !display_name) {
       return res.status(400).json({ error: 'Name und Anzeigename sind erforderlich' });
     }
 
+    if (scope && !QUEST_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Ungültiger Quest-Typ' });
+    }
+
+    if (reward_split && !REWARD_SPLITS.includes(reward_split)) {
+      return res.status(400).json({ error: 'Ungültige Belohnungsaufteilung' });
+    }
+
     const result = await db.run(`
       INSERT INTO quests (
         name, display_name, description, category,
         is_repeatable, cooldown_hours, min_level, prerequisite_quest_id,
         reward_gold, reward_experience, reward_item_id, reward_item_quantity,
-        sort_order
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        sort_order, scope, reward_split
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       name, display_name, description || null, category || 'side',
       is_repeatable ? 1 : 0, cooldown_hours || 0, min_level || 1, prerequisite_quest_id || null,
       reward_gold || 0, reward_experience || 0, reward_item_id || null, reward_item_quantity || 1,
-      sort_order || 0
+      sort_order || 0, scope || 'user', reward_split || 'equal'
     ]);
 
     const questId = result.lastID;
@@ -603,21 +625,41 @@ router.put('/admin/:id', authenticateToken, requirePermission('manage_items'), a
       display_name, description, category, is_active,
       is_repeatable, cooldown_hours, min_level, prerequisite_quest_id,
       reward_gold, reward_experience, reward_item_id, reward_item_quantity,
-      objectives, sort_order
+      objectives, sort_order, scope, reward_split
     } = req.body;
 
+    if (scope && !QUEST_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Ungültiger Quest-Typ' });
+    }
+
+    if (reward_split && !REWARD_SPLITS.includes(reward_split)) {
+      return res.status(400).json({ error: 'Ungültige Belohnungsaufteilung' });
+    }
+
+    // Switching between personal and group quest would orphan running progress
+    const current = await db.get('SELECT scope FROM quests WHERE id = ?', [id]);
+    if (scope && current && scope !== (current.scope || 'user')) {
+      const running = await db.get(`
+        SELECT (SELECT COUNT(*) FROM user_quests WHERE quest_id = ? AND status IN ('active', 'completed')) +
+               (SELECT COUNT(*) FROM group_quests WHERE quest_id = ? AND status IN ('active', 'completed')) as count
+      `, [id, id]);
+      if (running.count > 0) {
+        return res.status(400).json({ error: 'Der Quest-Typ kann nicht geändert werden, solange die Quest läuft' });
+      }
+    }
+
     await db.run(`
       UPDATE quests SET 
         display_name = ?, description = ?, category = ?, is_active = ?,
         is_repeatable = ?, cooldown_hours = ?, min_level = ?, prerequisite_quest_id = ?,
         reward_gold = ?, reward_experience = ?, reward_item_id = ?, reward_item_quantity = ?,
-        sort_order = ?
+        sort_order = ?, scope = COALESCE(?, scope), reward_split = COALESCE(?, reward_split)
       WHERE id = ?
     `, [
       display_name, description || null, category || 'side', is_active ? 1 : 0,
       is_repeatable ? 1 : 0, cooldown_hours || 0, min_level || 1, prerequisite_quest_id || null,
       reward_gold || 0, reward_experience || 0, reward_item_id || null, reward_item_quantity || 1,
-      sort_order || 0, id
+      sort_order || 0, scope || null, reward_split || null, id
     ]);
 
     // Update objectives
@@ -649,6 +691,7 @@ router.delete('/admin/:id', authenticateToken, requirePermission('manage_items')
     // Delete related data first (cascades should handle it, but being explicit)
     await db.run('DELETE FROM user_quest_progress WHERE quest_id = ?', [id]);
     await db.run('DELETE FROM user_quests WHERE quest_id = ?', [id]);
+    await deleteGroupQuestRuns(id);
     await db.run('DELETE FROM quest_objectives WHERE quest_id = ?', [id]);
     await db.run('DELETE FROM quests WHERE id = ?', [id]);
 
@@ -3,6 +3,16 @@ import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requirePermission } from '../middleware/permissions.js';
 import { trackItemCollected, updateStatistic } from '../helpers/statistics.js';
+import { InventoryError, addItems } from '../helpers/inventory.js';
+import { publishToArea } from '../helpers/realtime.js';
+import { JobError, registerJobHandler, startJob } from '../helpers/jobs.js';
+import {
+  TOOL_CATEGORIES, ToolError, getToolRecipes, getUserTools,
+  craftTool, repairTool, salvageTool, equipTool, unequipTool
+} from '../helpers/tools.js';
+import {
+  GATHERING_SKILLS, getSkillBonuses, getSkillLevel, getGatheringSkills, addSkillExperience
+} from '../helpers/gatheringSkills.js';
 
 const router = express.Router();
 
@@ -101,7 +111,8 @@ router.get('/nodes/:nodeId', authenticateToken, async (req, res) => {
         rnt.required_tool_type,
         rnt.base_gather_time,
         rnt.respawn_minutes,
-        rnt.min_level
+        rnt.min_level,
+        rnt.experience_reward
       FROM world_resource_nodes wrn
       JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
       WHERE wrn.id = ?
@@ -124,7 +135,7 @@ router.get('/nodes/:nodeId', authenticateToken, async (req, res) => {
       ORDER BY rnd.is_rare, rnd.drop_chance DESC
     `, [node.node_type_id]);
 
-    // Get user's tools for this category
+    // Get user's usable tools for this category (the one gathering uses first)
     const toolCategory = node.required_tool_type;
     const userTools = await db.all(`
       SELECT 
@@ -135,11 +146,12 @@ router.get('/nodes/:nodeId', authenticateToken, async (req, res) => {
         tt.speed_bonus,
         tt.rare_drop_bonus,
         tt.efficiency_bonus,
+        tt.durability,
         tt.icon
       FROM user_tools ut
       JOIN tool_types tt ON ut.tool_type_id = tt.id
       WHERE ut.user_id = ? AND tt.category = ? AND ut.current_durability > 0
-      ORDER BY tt.tier DESC
+      ORDER BY ut.is_equipped DESC, tt.tier DESC
     `, [userId, toolCategory]);
 
     // Get user position for distance calc
@@ -155,10 +167,18 @@ router.get('/nodes/:nodeId', authenticateToken, async (req, res) => {
       WHERE user_id = ? AND is_completed = 0 AND is_cancelled = 0
     `, [userId]);
 
+    // min_level is checked against the skill of the node's category
+    const skillLevel = await getSkillLevel(userId, node.category);
+
     res.json({ 
       node,
       drops,
       userTools,
+      skill: {
+        skill: node.category,
+        display_name: GATHERING_SKILLS[node.category]?.display_name,
+        level: skillLevel
+      },
       distance: Math.round(distance),
       canGather: distance <= 5 && !node.is_depleted && node.current_amount > 0,
       hasActiveJob: !!activeJob
@@ -169,29 +189,10 @@ router.get('/nodes/:nodeId', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user's tools
+// Get user's tools (with durability, equipped state and repair/salvage costs)
 router.get('/tools', authenticateToken, async (req, res) => {
   try {
-    const tools = await db.all(`
-      SELECT 
-        ut.*,
-        tt.name,
-        tt.display_name,
-        tt.description,
-        tt.category,
-        tt.tier,
-        tt.speed_bonus,
-        tt.rare_drop_bonus,
-        tt.efficiency_bonus,
-        tt.durability as max_durability,
-        tt.required_level,
-        tt.icon
-      FROM user_tools ut
-      JOIN tool_types tt ON ut.tool_type_id = tt.id
-      WHERE ut.user_id = ?
-      ORDER BY tt.category, tt.tier DESC
-    `, [req.user.id]);
-
+    const tools = await getUserTools(req.user.id);
     res.json({ tools });
   } catch (error) {
     console.error('Get user tools error:', error);
@@ -212,76 +213,182 @@ router.get('/tool-types', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's gathering skills (mining, woodcutting, herbalism)
+router.get('/skills', authenticateToken, async (req, res) => {
+  try {
+    const skills = await getGatheringSkills(req.user.id);
+    res.json({ skills });
+  } catch (error) {
+    console.error('Get gathering skills error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
 // ============== GATHERING ==============
 
-// WICHTIG: Spezifische Routen MÜSSEN vor der :nodeId Route kommen!
+registerJobHandler('gathering', {
+  label: 'Sammelauftrag',
+  table: 'gathering_jobs',
+  requiresHome: false,
+  // The player stands at the node while gathering
+  exclusive: true,
 
-// Get gathering status
-router.get('/gather/status', authenticateToken, async (req, res) => {
-  try {
-    const job = await db.get(`
+  async list(userId) {
+    return db.all(`
       SELECT 
         gj.*,
-        wrn.world_x, wrn.world_y,
-        rnt.display_name, rnt.icon, rnt.category
+        rnt.display_name as name,
+        wrn.world_x, wrn.world_y, wrn.node_type_id,
+        rnt.display_name, rnt.icon, rnt.category, rnt.experience_reward
       FROM gathering_jobs gj
       JOIN world_resource_nodes wrn ON gj.node_id = wrn.id
       JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
       WHERE gj.user_id = ? AND gj.is_completed = 0 AND gj.is_cancelled = 0
-    `, [req.user.id]);
+      ORDER BY gj.started_at
+    `, [userId]);
+  },
 
-    if (!job) {
-      return res.json({ job: null });
+  async listDue(now) {
+    return db.all(`
+      SELECT gj.id, gj.user_id, rnt.display_name as name
+      FROM gathering_jobs gj
+      JOIN world_resource_nodes wrn ON gj.node_id = wrn.id
+      JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
+      WHERE gj.is_completed = 0 AND gj.is_cancelled = 0 AND gj.finish_at <= ? AND gj.notified_at IS NULL
+    `, [now]);
+  },
+
+  async describe(userId, params) {
+    const node = await db.get(`
+      SELECT rnt.display_name
+      FROM world_resource_nodes wrn
+      JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
+      WHERE wrn.id = ?
+    `, [params.node_id]);
+    if (!node) {
+      throw new JobError('Ressource nicht gefunden', {}, 404);
     }
+    return node.display_name;
+  },
 
-    const now = new Date();
-    const finishAt = new Date(job.finish_at);
-    const remainingSeconds = Math.max(0, Math.floor((finishAt - now) / 1000));
-    const isReady = now >= finishAt;
+  async start(userId, params) {
+    const nodeId = params.node_id;
+    const toolId = params.tool_id;
 
-    res.json({
-      job: {
-        ...job,
-        remaining_seconds: remainingSeconds,
-        is_ready: isReady
+    // Get node
+    const node = await db.get(`
+      SELECT wrn.*, rnt.*
+      FROM world_resource_nodes wrn
+      JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
+      WHERE wrn.id = ?
+    `, [nodeId]);
+
+    if (!node) {
+      throw new JobError('Ressource nicht gefunden', {}, 404);
+    }
+
+    if (node.is_depleted || node.current_amount <= 0) {
+      throw new JobError('Diese Ressource ist erschöpft!');
+    }
+
+    // Check user position
+    const user = await db.get('SELECT world_x, world_y FROM users WHERE id = ?', [userId]);
+    const distance = Math.sqrt(
+      Math.pow(node.world_x - user.world_x, 2) + 
+      Math.pow(node.world_y - user.world_y, 2)
+    );
+
+    if (distance > 5) {
+      throw new JobError('Du bist zu weit weg!', { tooFar: true, distance: Math.round(distance) });
+    }
+
+    // Check the gathering skill of the node's category
+    const skill = GATHERING_SKILLS[node.category];
+    if (!skill) {
+      throw new JobError('Diese Ressource kann nicht gesammelt werden');
+    }
+    const skillLevel = await getSkillLevel(userId, node.category);
+    if (skillLevel < node.min_level) {
+      throw new JobError(`Du brauchst mindestens ${skill.display_name}-Level ${node.min_level}!`);
+    }
+
+    // Get tool if specified
+    let tool = null;
+    let speedBonus = 1.0;
+    
+    if (toolId) {
+      tool = await db.get(`
+        SELECT tt.*, ut.*
+        FROM user_tools ut
+        JOIN tool_types tt ON ut.tool_type_id = tt.id
+        WHERE ut.id = ? AND ut.user_id = ?
+      `, [toolId, userId]);
+
+      if (!tool) {
+        throw new JobError('Werkzeug nicht gefunden');
       }
-    });
-  } catch (error) {
-    console.error('Get gathering status error:', error);
-    res.status(500).json({ error: 'Serverfehler' });
-  }
-});
 
-// Collect gathered resources
-router.post('/gather/collect', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
+      if (tool.category !== node.required_tool_type) {
+        throw new JobError(`Du brauchst eine ${getToolTypeName(node.required_tool_type)}!`);
+      }
 
-    const job = await db.get(`
-      SELECT gj.*, wrn.node_type_id, rnt.display_name
-      FROM gathering_jobs gj
-      JOIN world_resource_nodes wrn ON gj.node_id = wrn.id
-      JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
-      WHERE gj.user_id = ? AND gj.is_completed = 0 AND gj.is_cancelled = 0
-    `, [userId]);
+      if (tool.current_durability <= 0) {
+        throw new JobError('Dieses Werkzeug ist kaputt!');
+      }
+
+      speedBonus = tool.speed_bonus || 1.0;
+    } else if (node.required_tool_type) {
+      // Use the equipped tool of the required type, otherwise the best one that is not broken
+      const anyTool = await db.get(`
+        SELECT tt.*, ut.*
+        FROM user_tools ut
+        JOIN tool_types tt ON ut.tool_type_id = tt.id
+        WHERE ut.user_id = ? AND tt.category = ? AND ut.current_durability > 0
+        ORDER BY ut.is_equipped DESC, tt.tier DESC
+        LIMIT 1
+      `, [userId, node.required_tool_type]);
+
+      if (!anyTool) {
+        throw new JobError(`Du brauchst eine ${getToolTypeName(node.required_tool_type)}!`, {
+          needsTool: true,
+          toolType: node.required_tool_type
+        });
+      }
 
-    if (!job) {
-      return res.status(400).json({ error: 'Kein aktiver Sammelauftrag' });
+      tool = anyTool;
+      speedBonus = tool.speed_bonus || 1.0;
     }
 
+    // Calculate gather time (tool and skill level both speed it up)
+    const baseTime = node.base_gather_time;
+    const gatherTime = Math.max(5, Math.floor(baseTime / (speedBonus * getSkillBonuses(skillLevel).speed_bonus)));
+    
     const now = new Date();
-    const finishAt = new Date(job.finish_at);
+    const finishAt = new Date(now.getTime() + gatherTime * 1000);
 
-    if (now < finishAt) {
-      const remaining = Math.ceil((finishAt - now) / 1000);
-      return res.status(400).json({ error: `Noch ${remaining} Sekunden!`, notReady: true });
-    }
+    // Create gathering job
+    const result = await db.run(`
+      INSERT INTO gathering_jobs (user_id, node_id, tool_id, started_at, finish_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, nodeId, tool?.id || null, now.toISOString(), finishAt.toISOString()]);
+
+    return {
+      job: { id: result.lastID, name: node.display_name, finish_at: finishAt },
+      result: {
+        message: `Du sammelst ${node.display_name}...`,
+        jobId: result.lastID,
+        gatherTime,
+        finishAt: finishAt.toISOString()
+      }
+    };
+  },
 
+  async complete(userId, job) {
     // Get tool for bonuses
     let tool = null;
     if (job.tool_id) {
       tool = await db.get(`
-        SELECT ut.*, tt.*
+        SELECT tt.*, ut.*
         FROM user_tools ut
         JOIN tool_types tt ON ut.tool_type_id = tt.id
         WHERE ut.id = ?
@@ -298,7 +405,8 @@ router.post('/gather/collect', authenticateToken, async (req, res) => {
 
     // Calculate drops
     const collectedItems = [];
-    const rareDropBonus = tool?.rare_drop_bonus || 0;
+    const skillLevel = await getSkillLevel(userId, job.category);
+    const rareDropBonus = (tool?.rare_drop_bonus || 0) + getSkillBonuses(skillLevel).rare_drop_bonus;
     const efficiencyBonus = tool?.efficiency_bonus || 0;
 
     for (const drop of drops) {
@@ -321,11 +429,7 @@ router.post('/gather/collect', authenticateToken, async (req, res) => {
         let totalQuantity = baseQuantity + bonusQuantity;
 
         // Add to inventory
-        await db.run(`
-          INSERT INTO user_inventory (user_id, item_id, quantity)
-          VALUES (?, ?, ?)
-          ON CONFLICT(user_id, item_id) DO UPDATE SET quantity = quantity + ?
-        `, [userId, drop.item_id, totalQuantity, totalQuantity]);
+        await addItems(userId, [{ item_id: drop.item_id, quantity: totalQuantity }]);
 
         collectedItems.push({
           item_id: drop.item_id,
@@ -342,25 +446,27 @@ router.post('/gather/collect', authenticateToken, async (req, res) => {
     // Mark job as completed
     await db.run('UPDATE gathering_jobs SET is_completed = 1 WHERE id = ?', [job.id]);
 
-    // Get current node state first
-    const currentNode = await db.get('SELECT current_amount, max_amount FROM world_resource_nodes WHERE id = ?', [job.node_id]);
+    // Reduce node amount and set depleted status (the node may have been removed meanwhile)
+    const currentNode = await db.get('SELECT current_amount, max_amount, world_x, world_y FROM world_resource_nodes WHERE id = ?', [job.node_id]);
     
-    if (!currentNode) {
-      return res.status(400).json({ error: 'Ressourcen-Node nicht gefunden' });
-    }
+    if (currentNode) {
+      const newAmount = currentNode.current_amount - 1;
+      const willBeDepleted = newAmount <= 0;
 
-    const newAmount = currentNode.current_amount - 1;
-    const willBeDepleted = newAmount <= 0;
+      await db.run(`
+        UPDATE world_resource_nodes 
+        SET current_amount = ?,
+            last_gathered_at = datetime('now'),
+            is_depleted = ?,
+            depleted_at = CASE WHEN ? THEN datetime('now') ELSE depleted_at END
+        WHERE id = ?
+      `, [newAmount, willBeDepleted ? 1 : 0, willBeDepleted, job.node_id]);
 
-    // Reduce node amount and set depleted status
-    await db.run(`
-      UPDATE world_resource_nodes 
-      SET current_amount = ?,
-          last_gathered_at = datetime('now'),
-          is_depleted = ?,
-          depleted_at = CASE WHEN ? THEN datetime('now') ELSE depleted_at END
-      WHERE id = ?
-    `, [newAmount, willBeDepleted ? 1 : 0, willBeDepleted, job.node_id]);
+      publishToArea([{ x: currentNode.world_x, y: currentNode.world_y }], willBeDepleted ? 'node_depleted' : 'node_updated', {
+        node_id: job.node_id,
+        current_amount: Math.max(0, newAmount)
+      });
+    }
 
     // Reduce tool durability
     if (tool) {
@@ -369,167 +475,37 @@ router.post('/gather/collect', authenticateToken, async (req, res) => {
       `, [tool.id]);
     }
 
-    res.json({
-      message: `${job.display_name} gesammelt!`,
-      items: collectedItems,
-      toolDurability: tool ? Math.max(0, tool.current_durability - 1) : null
-    });
-  } catch (error) {
-    console.error('Collect gathering error:', error);
-    res.status(500).json({ error: 'Serverfehler' });
-  }
-});
+    const skill = await addSkillExperience(userId, job.category, job.experience_reward || 0);
+    const skillMessage = skill.levels_gained > 0
+      ? ` ${skill.display_name} steigt auf Level ${skill.level}!`
+      : ` +${skill.experience_gained} ${skill.display_name}-EP`;
 
-// Cancel gathering
-router.post('/gather/cancel', authenticateToken, async (req, res) => {
-  try {
-    const result = await db.run(`
-      UPDATE gathering_jobs SET is_cancelled = 1 
-      WHERE user_id = ? AND is_completed = 0 AND is_cancelled = 0
-    `, [req.user.id]);
-
-    if (result.changes === 0) {
-      return res.status(400).json({ error: 'Kein aktiver Sammelauftrag' });
-    }
+    return {
+      message: `${job.display_name} gesammelt!${skillMessage}`,
+      items: collectedItems,
+      toolDurability: tool ? Math.max(0, tool.current_durability - 1) : null,
+      skill
+    };
+  },
 
-    res.json({ message: 'Sammeln abgebrochen' });
-  } catch (error) {
-    console.error('Cancel gathering error:', error);
-    res.status(500).json({ error: 'Serverfehler' });
+  async cancel(userId, job) {
+    await db.run('UPDATE gathering_jobs SET is_cancelled = 1 WHERE id = ?', [job.id]);
+    return { message: 'Sammeln abgebrochen' };
   }
 });
 
-// Start gathering from a node (MUSS nach den spezifischen Routen kommen!)
+// Start gathering from a node (status, collecting and cancelling go through /api/jobs)
 router.post('/gather/:nodeId', authenticateToken, async (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const { toolId } = req.body;
-    const userId = req.user.id;
-
-    // Check if user has active job
-    const activeJob = await db.get(`
-      SELECT * FROM gathering_jobs 
-      WHERE user_id = ? AND is_completed = 0 AND is_cancelled = 0
-    `, [userId]);
-
-    if (activeJob) {
-      return res.status(400).json({ error: 'Du sammelst bereits!', hasActiveJob: true });
-    }
-
-    // Check for other active jobs (collection, building, crafting)
-    const otherJobs = await db.get(`
-      SELECT 'collection' as type FROM collection_jobs WHERE user_id = ? AND completed_at > datetime('now')
-      UNION ALL
-      SELECT 'building' as type FROM building_jobs WHERE user_id = ? AND status = 'in_progress' AND completed_at > datetime('now')
-      UNION ALL
-      SELECT 'crafting' as type FROM crafting_jobs WHERE user_id = ? AND is_completed = 0
-    `, [userId, userId, userId]);
-
-    if (otherJobs) {
-      return res.status(400).json({ error: 'Du hast bereits einen aktiven Auftrag!', hasActiveJob: true });
-    }
-
-    // Get node
-    const node = await db.get(`
-      SELECT wrn.*, rnt.*
-      FROM world_resource_nodes wrn
-      JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
-      WHERE wrn.id = ?
-    `, [nodeId]);
-
-    if (!node) {
-      return res.status(404).json({ error: 'Ressource nicht gefunden' });
-    }
-
-    if (node.is_depleted || node.current_amount <= 0) {
-      return res.status(400).json({ error: 'Diese Ressource ist erschöpft!' });
-    }
-
-    // Check user position
-    const user = await db.get('SELECT world_x, world_y FROM users WHERE id = ?', [userId]);
-    const distance = Math.sqrt(
-      Math.pow(node.world_x - user.world_x, 2) + 
-      Math.pow(node.world_y - user.world_y, 2)
-    );
-
-    if (distance > 5) {
-      return res.status(400).json({ error: 'Du bist zu weit weg!', tooFar: true, distance: Math.round(distance) });
-    }
-
-    // Check player level
-    const playerStats = await db.get('SELECT level FROM player_stats WHERE user_id = ?', [userId]);
-    if ((playerStats?.level || 1) < node.min_level) {
-      return res.status(400).json({ error: `Du brauchst mindestens Level ${node.min_level}!` });
-    }
-
-    // Get tool if specified
-    let tool = null;
-    let speedBonus = 1.0;
-    
-    if (toolId) {
-      tool = await db.get(`
-        SELECT ut.*, tt.*
-        FROM user_tools ut
-        JOIN tool_types tt ON ut.tool_type_id = tt.id
-        WHERE ut.id = ? AND ut.user_id = ?
-      `, [toolId, userId]);
-
-      if (!tool) {
-        return res.status(400).json({ error: 'Werkzeug nicht gefunden' });
-      }
-
-      if (tool.category !== node.required_tool_type) {
-        return res.status(400).json({ error: `Du brauchst eine ${getToolTypeName(node.required_tool_type)}!` });
-      }
-
-      if (tool.current_durability <= 0) {
-        return res.status(400).json({ error: 'Dieses Werkzeug ist kaputt!' });
-      }
-
-      speedBonus = tool.speed_bonus || 1.0;
-    } else if (node.required_tool_type) {
-      // Check if user has any tool of required type
-      const anyTool = await db.get(`
-        SELECT ut.*, tt.*
-        FROM user_tools ut
-        JOIN tool_types tt ON ut.tool_type_id = tt.id
-        WHERE ut.user_id = ? AND tt.category = ? AND ut.current_durability > 0
-        ORDER BY tt.tier DESC
-        LIMIT 1
-      `, [userId, node.required_tool_type]);
-
-      if (!anyTool) {
-        return res.status(400).json({ 
-          error: `Du brauchst eine ${getToolTypeName(node.required_tool_type)}!`,
-          needsTool: true,
-          toolType: node.required_tool_type
-        });
-      }
-
-      tool = anyTool;
-      speedBonus = tool.speed_bonus || 1.0;
-    }
-
-    // Calculate gather time
-    const baseTime = node.base_gather_time;
-    const gatherTime = Math.max(5, Math.floor(baseTime / speedBonus));
-    
-    const now = new Date();
-    const finishAt = new Date(now.getTime() + gatherTime * 1000);
-
-    // Create gathering job
-    const result = await db.run(`
-      INSERT INTO gathering_jobs (user_id, node_id, tool_id, started_at, finish_at)
-      VALUES (?, ?, ?, ?, ?)
-    `, [userId, nodeId, tool?.id || null, now.toISOString(), finishAt.toISOString()]);
-
-    res.json({
-      message: `Du sammelst ${node.display_name}...`,
-      jobId: result.lastID,
-      gatherTime,
-      finishAt: finishAt.toISOString()
+    const result = await startJob(req.user.id, 'gathering', {
+      node_id: parseInt(req.params.nodeId),
+      tool_id: req.body.toolId
     });
+    res.json(result);
   } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Start gathering error:', error);
     res.status(500).json({ error: 'Serverfehler' });
   }
@@ -596,7 +572,7 @@ router.post('/tools/starter', authenticateToken, async (req, res) => {
     const { category } = req.body;
     const userId = req.user.id;
 
-    if (!['pickaxe', 'axe', 'sickle'].includes(category)) {
+    if (!TOOL_CATEGORIES.includes(category)) {
       return res.status(400).json({ error: 'Ungültige Werkzeugkategorie' });
     }
 
@@ -620,10 +596,10 @@ router.post('/tools/starter', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Werkzeugtyp nicht gefunden' });
     }
 
-    // Give tool to user
+    // Give tool to user (equipped, it is the only one of its category)
     await db.run(`
-      INSERT INTO user_tools (user_id, tool_type_id, current_durability)
-      VALUES (?, ?, ?)
+      INSERT INTO user_tools (user_id, tool_type_id, current_durability, is_equipped)
+      VALUES (?, ?, ?, 1)
     `, [userId, toolType.id, toolType.durability]);
 
     res.json({
@@ -636,6 +612,115 @@ router.post('/tools/starter', authenticateToken, async (req, res) => {
   }
 });
 
+// Get tool recipes with what the user still lacks
+router.get('/tools/recipes', authenticateToken, async (req, res) => {
+  try {
+    const recipes = await getToolRecipes(req.user.id);
+    res.json({ recipes });
+  } catch (error) {
+    console.error('Get tool recipes error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Craft a tool at the workbench or in the required building
+router.post('/tools/craft', authenticateToken, async (req, res) => {
+  try {
+    const recipeId = parseInt(req.body.recipe_id);
+    if (!recipeId) {
+      return res.status(400).json({ error: 'Rezept-ID ist erforderlich' });
+    }
+
+    const { tool, equipped } = await craftTool(req.user.id, recipeId);
+    res.json({
+      message: equipped ? `${tool.display_name} hergestellt und ausgerüstet!` : `${tool.display_name} hergestellt!`,
+      tool
+    });
+  } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Craft tool error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Herstellen' });
+  }
+});
+
+// Repair a tool: method 'gold' at a merchant, 'materials' at the tool's crafting station
+router.post('/tools/:toolId/repair', authenticateToken, async (req, res) => {
+  try {
+    const { tool, gold, materials } = await repairTool(req.user.id, parseInt(req.params.toolId), req.body.method);
+    const cost = gold > 0
+      ? `${gold} Gold`
+      : materials.map(material => `${material.quantity}x ${material.display_name}`).join(', ');
+
+    res.json({
+      message: `${tool.display_name} repariert${cost ? ` (${cost})` : ''}!`,
+      tool,
+      gold,
+      materials
+    });
+  } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Repair tool error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Reparieren' });
+  }
+});
+
+// Salvage a broken tool for part of its materials
+router.post('/tools/:toolId/salvage', authenticateToken, async (req, res) => {
+  try {
+    const { tool, items } = await salvageTool(req.user.id, parseInt(req.params.toolId));
+    res.json({
+      message: items.length > 0
+        ? `${tool.display_name} zerlegt: ${items.map(item => `${item.quantity}x ${item.display_name}`).join(', ')}`
+        : `${tool.display_name} zerlegt – nichts Brauchbares übrig`,
+      items
+    });
+  } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Salvage tool error:', error);
+    res.status(500).json({ error: 'Serverfehler beim Zerlegen' });
+  }
+});
+
+// Equip a tool (replaces the equipped tool of the same category)
+router.post('/tools/:toolId/equip', authenticateToken, async (req, res) => {
+  try {
+    const tool = await equipTool(req.user.id, parseInt(req.params.toolId));
+    res.json({ message: `${tool.display_name} ausgerüstet`, tool });
+  } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Equip tool error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
+// Put an equipped tool away
+router.post('/tools/:toolId/unequip', authenticateToken, async (req, res) => {
+  try {
+    const tool = await unequipTool(req.user.id, parseInt(req.params.toolId));
+    res.json({ message: `${tool.display_name} abgelegt`, tool });
+  } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Unequip tool error:', error);
+    res.status(500).json({ error: 'Serverfehler' });
+  }
+});
+
 // ============== ADMIN ROUTES ==============
 
 // Get all node types (admin)
@@ -668,7 +753,7 @@ router.get('/admin/node-types', authenticateToken, requirePermission('manage_ite
 router.put('/admin/node-types/:id', authenticateToken, requirePermission('manage_items'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { display_name, description, icon, image_path, category, required_tool_type, base_gather_time, respawn_minutes, min_level, is_active } = req.body;
+    const { display_name, description, icon, image_path, category, required_tool_type, base_gather_time, respawn_minutes, min_level, experience_reward, is_active } = req.body;
 
     const nodeType = await db.get('SELECT * FROM resource_node_types WHERE id = ?', [id]);
     if (!nodeType) {
@@ -696,6 +781,10 @@ router.put('/admin/node-types/:id', authenticateToken, requirePermission('manage
       values.push(image_path);
     }
     if (category !== undefined) {
+      // The category decides which gathering skill the node levels
+      if (!GATHERING_SKILLS[category]) {
+        return res.status(400).json({ error: `Ungültige Kategorie (erlaubt: ${Object.keys(GATHERING_SKILLS).join(', ')})` });
+      }
       updates.push('category = ?');
       values.push(category);
     }
@@ -715,6 +804,10 @@ router.put('/admin/node-types/:id', authenticateToken, requirePermission('manage
       updates.push('min_level = ?');
       values.push(min_level);
     }
+    if (experience_reward !== undefined) {
+      updates.push('experience_reward = ?');
+      values.push(experience_reward);
+    }
     if (is_active !== undefined) {
       updates.push('is_active = ?');
       values.push(is_active ? 1 : 0);
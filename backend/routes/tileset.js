@@ -8,8 +8,8 @@ const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Parse Wang-Tile XML to extract terrain mappings
-async function parseWangTiles() {
+// Parse Wang-Tile XML to extract terrain mappings (tile id -> terrain)
+export async function parseWangTiles() {
   try {
     // Get project root (go up from backend/routes to project root)
     const projectRoot = path.join(__dirname, '../../');
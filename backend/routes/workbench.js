@@ -1,6 +1,7 @@
 import express from 'express';
 import db from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { InventoryError, removeItems } from '../helpers/inventory.js';
 
 const router = express.Router();
 
@@ -83,24 +84,15 @@ router.post('/upgrade', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Nicht genug Upgrade-Items' });
     }
 
-    // Remove upgrade items
-    await db.run(`
-      UPDATE user_inventory 
-      SET quantity = quantity - ? 
-      WHERE user_id = ? AND item_id = ?
-    `, [upgrade_item_quantity, req.user.id, upgrade_item_id]);
-
-    await db.run(`
-      DELETE FROM user_inventory 
-      WHERE user_id = ? AND item_id = ? AND quantity <= 0
-    `, [req.user.id, upgrade_item_id]);
-
-    // Upgrade workbench
-    await db.run(`
-      UPDATE user_workbench 
-      SET level = level + 1 
-      WHERE user_id = ?
-    `, [req.user.id]);
+    // Remove upgrade items and upgrade workbench
+    await db.transaction(async () => {
+      await removeItems(req.user.id, [{ item_id: upgrade_item_id, quantity: upgrade_item_quantity }]);
+      await db.run(`
+        UPDATE user_workbench 
+        SET level = level + 1 
+        WHERE user_id = ?
+      `, [req.user.id]);
+    });
 
     const updated = await db.get(
       'SELECT * FROM user_workbench WHERE user_id = ?',
@@ -112,6 +104,9 @@ router.post('/upgrade', authenticateToken, async (req, res) => {
       workbench: updated
     });
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({ error: 'Nicht genug Upgrade-Items' });
+    }
     console.error('Upgrade workbench error:', error);
     res.status(500).json({ error: 'Serverfehler beim Upgraden' });
   }
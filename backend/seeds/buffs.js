@@ -0,0 +1,48 @@
+/**
+ * Default buff types
+ * @param {Object} db - Database connection
+ */
+export default async function seedBuffs(db) {
+  await insertDefaultBuffTypes(db);
+}
+
+async function insertDefaultBuffTypes(db) {
+  const existingBuffs = await db.get('SELECT COUNT(*) as count FROM buff_types');
+  if (existingBuffs.count > 0) return;
+
+  const buffTypes = [
+    // Combat buffs
+    { name: 'strength_boost', display_name: 'Stärkeboost', description: 'Erhöht den Angriff', icon: '💪', effect_type: 'attack_percent', effect_value: 20 },
+    { name: 'iron_skin', display_name: 'Eisenhaut', description: 'Erhöht die Verteidigung', icon: '🛡️', effect_type: 'defense_percent', effect_value: 20 },
+    { name: 'vitality', display_name: 'Vitalität', description: 'Erhöht maximale HP', icon: '❤️', effect_type: 'health_percent', effect_value: 25 },
+    { name: 'berserker', display_name: 'Berserker', description: 'Großer Angriffsboost', icon: '🔥', effect_type: 'attack_percent', effect_value: 50 },
+    { name: 'fortress', display_name: 'Festung', description: 'Großer Verteidigungsboost', icon: '🏰', effect_type: 'defense_percent', effect_value: 50 },
+    
+    // Movement buffs
+    { name: 'swift_feet', display_name: 'Schnelle Füße', description: 'Reisen geht schneller', icon: '👟', effect_type: 'speed_percent', effect_value: 25 },
+    { name: 'wind_walker', display_name: 'Windläufer', description: 'Reisen geht viel schneller', icon: '🌪️', effect_type: 'speed_percent', effect_value: 50 },
+    
+    // Economy buffs
+    { name: 'wisdom', display_name: 'Weisheit', description: 'Mehr Erfahrungspunkte', icon: '📚', effect_type: 'exp_percent', effect_value: 25 },
+    { name: 'fortune', display_name: 'Glückspilz', description: 'Mehr Gold bei Drops', icon: '💰', effect_type: 'gold_percent', effect_value: 25 },
+    { name: 'double_exp', display_name: 'Doppelte EP', description: 'Doppelte Erfahrungspunkte', icon: '⭐', effect_type: 'exp_percent', effect_value: 100 },
+    { name: 'gold_rush', display_name: 'Goldrausch', description: 'Doppeltes Gold', icon: '🤑', effect_type: 'gold_percent', effect_value: 100 },
+    
+    // Gathering/Crafting buffs
+    { name: 'efficient_gatherer', display_name: 'Effizienter Sammler', description: 'Schnelleres Sammeln', icon: '⛏️', effect_type: 'gather_speed', effect_value: 25 },
+    { name: 'master_crafter', display_name: 'Meisterhandwerker', description: 'Schnelleres Craften', icon: '🔨', effect_type: 'craft_speed', effect_value: 25 },
+    
+    // Special event buffs
+    { name: 'event_blessing', display_name: 'Segen des Events', description: 'Alle Stats +10%', icon: '🎉', effect_type: 'all_stats', effect_value: 10 },
+    { name: 'vip_bonus', display_name: 'VIP Bonus', description: 'Bonus für VIPs', icon: '👑', effect_type: 'all_stats', effect_value: 15 },
+  ];
+
+  for (const buff of buffTypes) {
+    await db.run(`
+      INSERT OR IGNORE INTO buff_types (name, display_name, description, icon, effect_type, effect_value)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [buff.name, buff.display_name, buff.description, buff.icon, buff.effect_type, buff.effect_value]);
+  }
+
+  console.log('[DB] Default buff types inserted');
+}
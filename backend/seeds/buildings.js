@@ -0,0 +1,320 @@
+/**
+ * Default buildings, the property hotspots, what the buildings produce, the tech tree and the starting buildings of every player
+ * @param {Object} db - Database connection
+ */
+export default async function seedBuildings(db) {
+  await insertDefaultBuildings(db);
+  await insertDefaultProperty(db);
+  await insertDefaultProduction(db);
+  await insertDefaultPrerequisites(db);
+}
+
+async function insertDefaultBuildings(db) {
+  const defaultBuildings = [
+    { 
+      name: 'hutte', 
+      display_name: 'Hütte', 
+      description: 'Deine erste bescheidene Hütte',
+      position_x: 50,
+      position_y: 50,
+      size_width: 150,
+      size_height: 150,
+      unlock_order: 0,
+      max_level: 3,
+      grid_width: 3,
+      grid_height: 3,
+      build_duration_minutes: 0,
+      upgrade_duration_minutes: 2
+    },
+    { 
+      name: 'schmiede', 
+      display_name: 'Schmiede', 
+      description: 'Hier kannst du Metalle verarbeiten',
+      position_x: 250,
+      position_y: 50,
+      size_width: 120,
+      size_height: 120,
+      unlock_order: 1,
+      max_level: 5,
+      grid_width: 2,
+      grid_height: 2
+    },
+    { 
+      name: 'saegewerk', 
+      display_name: 'Sägewerk', 
+      description: 'Verarbeite Holz zu Brettern',
+      position_x: 50,
+      position_y: 250,
+      size_width: 120,
+      size_height: 120,
+      unlock_order: 2,
+      max_level: 5,
+      grid_width: 3,
+      grid_height: 2
+    },
+    { 
+      name: 'brunnen', 
+      display_name: 'Brunnen', 
+      description: 'Versorgt dich mit Wasser',
+      position_x: 250,
+      position_y: 250,
+      size_width: 100,
+      size_height: 100,
+      unlock_order: 3,
+      max_level: 5,
+      grid_width: 1,
+      grid_height: 1
+    },
+    { 
+      name: 'lager', 
+      display_name: 'Lager', 
+      description: 'Erweitert dein Inventar',
+      position_x: 150,
+      position_y: 150,
+      size_width: 100,
+      size_height: 100,
+      unlock_order: 4,
+      max_level: 5,
+      grid_width: 2,
+      grid_height: 2
+    },
+    { 
+      name: 'steinbruch',
+      display_name: 'Steinbruch',
+      description: 'Bricht mit der Zeit Steine aus dem Fels',
+      position_x: 400,
+      position_y: 250,
+      size_width: 120,
+      size_height: 120,
+      unlock_order: 5,
+      max_level: 5,
+      grid_width: 3,
+      grid_height: 3
+    },
+    { 
+      name: 'werkbank', 
+      display_name: 'Werkbank', 
+      description: 'Hier kannst du Items craften und die Werkbank upgraden',
+      position_x: 400,
+      position_y: 50,
+      size_width: 120,
+      size_height: 120,
+      unlock_order: 0,
+      max_level: 10,
+      grid_width: 2,
+      grid_height: 1,
+      build_duration_minutes: 0,
+      upgrade_duration_minutes: 0
+    },
+  ];
+
+  for (const building of defaultBuildings) {
+    try {
+      const result = await db.run(`
+        INSERT OR IGNORE INTO buildings (name, display_name, description, position_x, position_y, size_width, size_height, unlock_order, max_level, build_duration_minutes, upgrade_duration_minutes, grid_width, grid_height)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        building.name, 
+        building.display_name, 
+        building.description, 
+        building.position_x, 
+        building.position_y, 
+        building.size_width, 
+        building.size_height, 
+        building.unlock_order, 
+        building.max_level || 3,
+        building.build_duration_minutes || 5,
+        building.upgrade_duration_minutes || 3,
+        building.grid_width,
+        building.grid_height
+      ]);
+      
+      // Set default requirements for each building
+      if (result.changes > 0) {
+        const buildingId = result.lastID;
+        const holz = await db.get('SELECT id FROM items WHERE name = ?', ['holz']);
+        const stein = await db.get('SELECT id FROM items WHERE name = ?', ['stein']);
+        const lehm = await db.get('SELECT id FROM items WHERE name = ?', ['lehm']);
+        
+        // Hütte: kostenlos (Startgebäude)
+        if (building.name === 'hutte') {
+          // Keine Anforderungen
+        }
+        // Schmiede: 20 Holz + 15 Stein
+        else if (building.name === 'schmiede' && holz && stein) {
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, holz.id, 20]);
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, stein.id, 15]);
+        }
+        // Sägewerk: 30 Holz + 10 Stein
+        else if (building.name === 'saegewerk' && holz && stein) {
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, holz.id, 30]);
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, stein.id, 10]);
+        }
+        // Brunnen: 15 Stein + 10 Lehm
+        else if (building.name === 'brunnen' && stein && lehm) {
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, stein.id, 15]);
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, lehm.id, 10]);
+        }
+        // Lager: 25 Holz + 15 Stein
+        else if (building.name === 'lager' && holz && stein) {
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, holz.id, 25]);
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, stein.id, 15]);
+        }
+        // Steinbruch: 25 Holz + 10 Lehm
+        else if (building.name === 'steinbruch' && holz && lehm) {
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, holz.id, 25]);
+          await db.run('INSERT INTO building_requirements (building_id, item_id, quantity) VALUES (?, ?, ?)', 
+            [buildingId, lehm.id, 10]);
+        }
+        // Werkbank: kostenlos (Startgebäude)
+        else if (building.name === 'werkbank') {
+          // Keine Anforderungen - Startgebäude
+        }
+      }
+    } catch (err) {
+      console.error(`Error inserting building ${building.name}:`, err);
+    }
+  }
+  
+  // Give every user the starting hut and workbench
+  const users = await db.all('SELECT id FROM users');
+  const hut = await db.get('SELECT id FROM buildings WHERE name = ?', ['hutte']);
+  const werkbank = await db.get('SELECT id FROM buildings WHERE name = ?', ['werkbank']);
+  
+  if (hut) {
+    for (const user of users) {
+      try {
+        await db.run(`
+          INSERT OR IGNORE INTO user_buildings (user_id, building_id, level)
+          VALUES (?, ?, 1)
+        `, [user.id, hut.id]);
+      } catch (err) {
+        // Already has hut
+      }
+    }
+  }
+  
+  if (werkbank) {
+    for (const user of users) {
+      try {
+        await db.run(`
+          INSERT OR IGNORE INTO user_buildings (user_id, building_id, level)
+          VALUES (?, ?, 1)
+        `, [user.id, werkbank.id]);
+      } catch (err) {
+        // Already has werkbank
+      }
+    }
+  }
+}
+
+// Property image and the clickable building hotspots
+async function insertDefaultProperty(db) {
+  // Insert default property settings if not exists
+  const existingSettings = await db.get('SELECT id FROM property_settings LIMIT 1');
+  if (!existingSettings) {
+    await db.run('INSERT INTO property_settings (image_path) VALUES (?)', ['/buildings/huette1.jpg']);
+  }
+
+  // Insert default hotspots if not exists
+  const existingHotspots = await db.get('SELECT id FROM property_hotspots LIMIT 1');
+  if (!existingHotspots) {
+    const defaultHotspots = [
+      { buildingName: 'schmiede', x: 65, y: 25, width: 12, height: 12, label: 'Schmiede', icon: '⚒️', description: 'Amboss - Hier schmiedest du Waffen und Rüstung', sortOrder: 1 },
+      { buildingName: 'saegewerk', x: 18, y: 55, width: 15, height: 15, label: 'Sägewerk', icon: '🪚', description: 'Tischkreissäge - Verarbeite Holz zu Brettern', sortOrder: 2 },
+      { buildingName: 'werkbank', x: 75, y: 20, width: 15, height: 15, label: 'Werkbank', icon: '🔨', description: 'Werkbank - Crafting und Upgrades', sortOrder: 3 },
+      { buildingName: 'brunnen', x: 60, y: 50, width: 10, height: 10, label: 'Brunnen', icon: '💧', description: 'Brunnen - Versorgt dich mit Wasser', sortOrder: 4 },
+      { buildingName: 'lager', x: 40, y: 40, width: 12, height: 12, label: 'Lager', icon: '📦', description: 'Lager - Erweitert dein Inventar', sortOrder: 5 }
+    ];
+
+    for (const hotspot of defaultHotspots) {
+      await db.run(`
+        INSERT INTO property_hotspots (building_name, x, y, width, height, label, icon, description, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        hotspot.buildingName,
+        hotspot.x,
+        hotspot.y,
+        hotspot.width,
+        hotspot.height,
+        hotspot.label,
+        hotspot.icon,
+        hotspot.description,
+        hotspot.sortOrder
+      ]);
+    }
+  }
+}
+
+// Passive production: output per hour and storage cap from a building level on
+async function insertDefaultProduction(db) {
+  const existing = await db.get('SELECT id FROM building_production LIMIT 1');
+  if (existing) return;
+
+  const defaultProduction = [
+    // Sägewerk: 2 Holz werden beim Abholen zu 1 Brett
+    { buildingName: 'saegewerk', level: 1, output: 'bretter', perHour: 4, cap: 20, input: 'holz', inputQuantity: 2 },
+    { buildingName: 'saegewerk', level: 3, output: 'bretter', perHour: 8, cap: 40, input: 'holz', inputQuantity: 2 },
+    { buildingName: 'saegewerk', level: 5, output: 'bretter', perHour: 12, cap: 60, input: 'holz', inputQuantity: 2 },
+    { buildingName: 'steinbruch', level: 1, output: 'stein', perHour: 6, cap: 30 },
+    { buildingName: 'steinbruch', level: 3, output: 'stein', perHour: 10, cap: 50 },
+    { buildingName: 'steinbruch', level: 5, output: 'stein', perHour: 15, cap: 75 },
+    { buildingName: 'brunnen', level: 1, output: 'wasser', perHour: 5, cap: 20 },
+    { buildingName: 'brunnen', level: 3, output: 'wasser', perHour: 8, cap: 40 },
+    { buildingName: 'brunnen', level: 5, output: 'wasser', perHour: 12, cap: 60 }
+  ];
+
+  for (const production of defaultProduction) {
+    const building = await db.get('SELECT id FROM buildings WHERE name = ?', [production.buildingName]);
+    const output = await db.get('SELECT id FROM items WHERE name = ?', [production.output]);
+    const input = production.input ? await db.get('SELECT id FROM items WHERE name = ?', [production.input]) : null;
+    if (!building || !output) continue;
+
+    await db.run(`
+      INSERT OR IGNORE INTO building_production (building_id, level, output_item_id, output_per_hour, storage_cap, input_item_id, input_quantity)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      building.id,
+      production.level,
+      output.id,
+      production.perHour,
+      production.cap,
+      input?.id || null,
+      input ? production.inputQuantity : 0
+    ]);
+  }
+}
+
+// Tech tree: buildings and building levels that need other buildings or a player level first
+async function insertDefaultPrerequisites(db) {
+  const existing = await db.get('SELECT id FROM building_prerequisites LIMIT 1');
+  if (existing) return;
+
+  const defaultPrerequisites = [
+    { buildingName: 'steinbruch', level: 1, type: 'building', requiredBuilding: 'saegewerk', requiredLevel: 1 },
+    { buildingName: 'schmiede', level: 3, type: 'building', requiredBuilding: 'steinbruch', requiredLevel: 2 },
+    { buildingName: 'lager', level: 1, type: 'player_level', requiredLevel: 3 }
+  ];
+
+  for (const prerequisite of defaultPrerequisites) {
+    const building = await db.get('SELECT id FROM buildings WHERE name = ?', [prerequisite.buildingName]);
+    const required = prerequisite.requiredBuilding
+      ? await db.get('SELECT id FROM buildings WHERE name = ?', [prerequisite.requiredBuilding])
+      : null;
+    if (!building || (prerequisite.requiredBuilding && !required)) continue;
+
+    await db.run(`
+      INSERT INTO building_prerequisites (building_id, level, prerequisite_type, required_building_id, required_level)
+      VALUES (?, ?, ?, ?, ?)
+    `, [building.id, prerequisite.level, prerequisite.type, required?.id || null, prerequisite.requiredLevel]);
+  }
+}
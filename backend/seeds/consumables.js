@@ -0,0 +1,63 @@
+/**
+ * Default consumables (potions, food) and their recipes
+ * @param {Object} db - Database connection
+ */
+export default async function seedConsumables(db) {
+  await insertDefaultConsumables(db);
+}
+
+async function insertDefaultConsumables(db) {
+  // Buff applied by the regeneration potion
+  await db.run(`
+    INSERT OR IGNORE INTO buff_types (name, display_name, description, icon, effect_type, effect_value)
+    VALUES ('regeneration', 'Regeneration', 'Schnellere HP-Regeneration', '💚', 'regen_percent', 100)
+  `);
+
+  const consumables = [
+    { name: 'brot', display_name: 'Brot', description: 'Einfaches Brot. Stellt etwas HP wieder her.', rarity: 'common', heal_amount: 15 },
+    { name: 'heiltrank', display_name: 'Heiltrank', description: 'Ein Trank, der Wunden schnell heilt.', rarity: 'uncommon', heal_amount: 50 },
+    { name: 'regenerationstrank', display_name: 'Regenerationstrank', description: 'Verdoppelt die HP-Regeneration für 30 Minuten.', rarity: 'uncommon', heal_amount: 0, buff: 'regeneration', buff_duration_minutes: 30 },
+    { name: 'staerketrank', display_name: 'Stärketrank', description: 'Erhöht den Angriff für 15 Minuten.', rarity: 'rare', heal_amount: 0, buff: 'strength_boost', buff_duration_minutes: 15 },
+  ];
+
+  for (const item of consumables) {
+    const buffType = item.buff ? await db.get('SELECT id FROM buff_types WHERE name = ?', [item.buff]) : null;
+    await db.run(`
+      INSERT OR IGNORE INTO items (name, display_name, type, description, rarity, heal_amount, buff_type_id, buff_duration_minutes)
+      VALUES (?, ?, 'consumable', ?, ?, ?, ?, ?)
+    `, [item.name, item.display_name, item.description, item.rarity, item.heal_amount, buffType?.id || null, item.buff_duration_minutes || 0]);
+  }
+
+  // Recipes: result item, quantity, workbench level, ingredients
+  const recipes = [
+    { result: 'brot', quantity: 2, workbench_level: 0, ingredients: { wasser: 1, ast: 1 } },
+    { result: 'heiltrank', quantity: 1, workbench_level: 1, ingredients: { wasser: 2, stoff: 1 } },
+    { result: 'regenerationstrank', quantity: 1, workbench_level: 2, ingredients: { wasser: 2, feuerstein: 1 } },
+    { result: 'staerketrank', quantity: 1, workbench_level: 3, ingredients: { wasser: 2, kohle: 2 } },
+  ];
+
+  for (const recipe of recipes) {
+    const resultItem = await db.get('SELECT id FROM items WHERE name = ?', [recipe.result]);
+    if (!resultItem) continue;
+
+    const existingRecipe = await db.get('SELECT id FROM crafting_recipes WHERE result_item_id = ?', [resultItem.id]);
+    if (existingRecipe) continue;
+
+    const ingredients = [];
+    for (const [name, quantity] of Object.entries(recipe.ingredients)) {
+      const ingredient = await db.get('SELECT id FROM items WHERE name = ?', [name]);
+      if (ingredient) ingredients.push({ item_id: ingredient.id, quantity });
+    }
+    if (ingredients.length !== Object.keys(recipe.ingredients).length) continue;
+
+    const created = await db.run(`
+      INSERT INTO crafting_recipes (result_item_id, result_quantity, required_workbench_level)
+      VALUES (?, ?, ?)
+    `, [resultItem.id, recipe.quantity, recipe.workbench_level]);
+
+    for (const ingredient of ingredients) {
+      await db.run('INSERT INTO recipe_ingredients (recipe_id, item_id, quantity) VALUES (?, ?, ?)',
+        [created.lastID, ingredient.item_id, ingredient.quantity]);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Default activation email template
+ * @param {Object} db - Database connection
+ */
+export default async function seedEmailTemplates(db) {
+  try {
+    const existingTemplate = await db.get('SELECT id FROM email_templates WHERE name = ?', ['activation']);
+    if (!existingTemplate) {
+      await db.run(`
+        INSERT INTO email_templates (name, subject, html_content, text_content)
+        VALUES (?, ?, ?, ?)
+      `, [
+        'activation',
+        'Aktiviere dein Soaria-Konto',
+        `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background: linear-gradient(135deg, rgba(20, 15, 30, 0.95) 0%, rgba(40, 25, 50, 0.95) 100%); }
+    .container { background: linear-gradient(145deg, rgba(30, 20, 40, 0.98), rgba(20, 15, 30, 0.98)); border: 3px solid #8b6914; border-radius: 12px; padding: 30px; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.6); }
+    h1 { color: #d4af37; text-align: center; text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8); }
+    p { color: #e8dcc0; margin: 15px 0; }
+    .button { display: inline-block; padding: 15px 30px; background: linear-gradient(135deg, #4a2c1a 0%, #6b4423 50%, #4a2c1a 100%); color: #d4af37; text-decoration: none; border-radius: 8px; font-weight: bold; text-align: center; margin: 20px 0; border: 2px solid #8b6914; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.4); }
+    .footer { margin-top: 30px; padding-top: 20px; border-top: 2px solid rgba(212, 175, 55, 0.3); text-align: center; color: #8b7a5a; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>🏰 Willkommen bei Soaria!</h1>
+    <p>Hallo {{username}},</p>
+    <p>vielen Dank für deine Registrierung bei Soaria! Um dein Konto zu aktivieren, klicke bitte auf den folgenden Button:</p>
+    <div style="text-align: center;">
+      <a href="{{activationUrl}}" class="button">Konto aktivieren</a>
+    </div>
+    <p>Oder kopiere diesen Link in deinen Browser:</p>
+    <p style="word-break: break-all; color: #d4af37;">{{activationUrl}}</p>
+    <p>Dieser Link ist 24 Stunden gültig.</p>
+    <p>Falls du dich nicht registriert hast, kannst du diese E-Mail ignorieren.</p>
+    <div class="footer">
+      <p>Soaria - Fantasy RPG</p>
+      <p>Dies ist eine automatische E-Mail. Bitte antworte nicht darauf.</p>
+    </div>
+  </div>
+</body>
+</html>`,
+        `Willkommen bei Soaria!
+
+Hallo {{username}},
+
+vielen Dank für deine Registrierung bei Soaria! Um dein Konto zu aktivieren, klicke bitte auf den folgenden Link:
+
+{{activationUrl}}
+
+Dieser Link ist 24 Stunden gültig.
+
+Falls du dich nicht registriert hast, kannst du diese E-Mail ignorieren.
+
+Soaria - Fantasy RPG`
+      ]);
+    }
+  } catch (error) {
+    console.error('Error inserting default email template:', error);
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Default travel encounter tables
+ * @param {Object} db - Database connection
+ */
+export default async function seedEncounters(db) {
+  await insertDefaultEncounters(db);
+}
+
+async function insertDefaultEncounters(db) {
+  const existing = await db.get('SELECT COUNT(*) as count FROM encounter_tables');
+  if (existing.count > 0) return;
+
+  // chance = percent per roll, min_home_distance in world units
+  const encounters = [
+    // Ambushes
+    { terrain: 'forest', type: 'ambush', chance: 4, monster: 'wolf' },
+    { terrain: 'forest', type: 'ambush', chance: 2, monster: 'spider' },
+    { terrain: 'forest', type: 'ambush', chance: 1, monster: 'werewolf', min_home_distance: 2500 },
+    { terrain: 'path', type: 'ambush', chance: 3, monster: 'bandit' },
+    { terrain: 'grass', type: 'ambush', chance: 1.5, monster: 'boar' },
+    { terrain: 'grass', type: 'ambush', chance: 1, monster: 'goblin', min_home_distance: 1000 },
+    { terrain: 'water', type: 'ambush', chance: 1, monster: 'harpy', min_home_distance: 1500 },
+    { terrain: 'any', type: 'ambush', chance: 0.5, monster: 'orc', min_home_distance: 3000 },
+
+    // Resource caches
+    { terrain: 'forest', type: 'cache', chance: 2, item: 'holz', min_quantity: 3, max_quantity: 8 },
+    { terrain: 'grass', type: 'cache', chance: 1.5, item: 'brot', min_quantity: 1, max_quantity: 3 },
+    { terrain: 'path', type: 'cache', chance: 1, gold_min: 10, gold_max: 40 },
+    { terrain: 'any', type: 'cache', chance: 0.5, item: 'heiltrank', min_quantity: 1, max_quantity: 2, min_home_distance: 1500 },
+
+    // Wandering merchants
+    { terrain: 'path', type: 'merchant', chance: 2, npc: 'general_merchant' },
+    { terrain: 'any', type: 'merchant', chance: 0.5, npc: 'blacksmith', min_home_distance: 1000 }
+  ];
+
+  for (const encounter of encounters) {
+    const monster = encounter.monster ? await db.get('SELECT id FROM monster_types WHERE name = ?', [encounter.monster]) : null;
+    const item = encounter.item ? await db.get('SELECT id FROM items WHERE name = ?', [encounter.item]) : null;
+    const npc = encounter.npc ? await db.get('SELECT id FROM npc_types WHERE name = ?', [encounter.npc]) : null;
+    if ((encounter.monster && !monster) || (encounter.item && !item) || (encounter.npc && !npc)) continue;
+
+    await db.run(`
+      INSERT INTO encounter_tables (terrain, encounter_type, chance, min_home_distance, monster_type_id,
+                                    item_id, min_quantity, max_quantity, gold_min, gold_max, npc_type_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      encounter.terrain,
+      encounter.type,
+      encounter.chance,
+      encounter.min_home_distance || 0,
+      monster?.id || null,
+      item?.id || null,
+      encounter.min_quantity || 1,
+      encounter.max_quantity || 1,
+      encounter.gold_min || 0,
+      encounter.gold_max || 0,
+      npc?.id || null
+    ]);
+  }
+
+  console.log('[DB] Default travel encounters inserted');
+}
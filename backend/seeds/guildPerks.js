@@ -0,0 +1,61 @@
+/**
+ * Default guild perks and their buff types
+ * @param {Object} db - Database connection
+ */
+export default async function seedGuildPerks(db) {
+  await insertDefaultGuildPerks(db);
+}
+
+async function insertDefaultGuildPerks(db) {
+  // Own buff types, so admin buffs of the same effect stay separate in the buff overview
+  const buffTypes = [
+    { name: 'guild_might', display_name: 'Gildenmacht', description: 'Gildenperk: mehr Angriff', icon: '⚔️', effect_type: 'attack_percent', effect_value: 10 },
+    { name: 'guild_bulwark', display_name: 'Gildenbollwerk', description: 'Gildenperk: mehr Verteidigung', icon: '🛡️', effect_type: 'defense_percent', effect_value: 10 },
+    { name: 'guild_gatherers', display_name: 'Fleißige Sammler', description: 'Gildenperk: schnelleres Sammeln', icon: '⛏️', effect_type: 'gather_speed', effect_value: 20 },
+    { name: 'guild_wisdom', display_name: 'Gildenweisheit', description: 'Gildenperk: mehr Erfahrung', icon: '📚', effect_type: 'exp_percent', effect_value: 15 },
+    { name: 'guild_caravan', display_name: 'Gildenkarawane', description: 'Gildenperk: schnelleres Reisen', icon: '🐎', effect_type: 'speed_percent', effect_value: 20 },
+    { name: 'guild_fortune', display_name: 'Gildenschatz', description: 'Gildenperk: mehr Gold', icon: '💰', effect_type: 'gold_percent', effect_value: 15 },
+  ];
+
+  for (const buff of buffTypes) {
+    await db.run(`
+      INSERT OR IGNORE INTO buff_types (name, display_name, description, icon, effect_type, effect_value)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [buff.name, buff.display_name, buff.description, buff.icon, buff.effect_type, buff.effect_value]);
+  }
+
+  const existing = await db.get('SELECT COUNT(*) as count FROM guild_perks');
+  if (existing.count > 0) return;
+
+  // Resources in the format of GUILD_CREATION_REQUIREMENTS.resources
+  const perks = [
+    { buff: 'guild_might', description: '+10 % Angriff für alle Mitglieder', required_level: 2, duration_hours: 24, cost_gold: 200, resources: [{ itemName: 'holz', quantity: 50 }] },
+    { buff: 'guild_bulwark', description: '+10 % Verteidigung für alle Mitglieder', required_level: 2, duration_hours: 24, cost_gold: 200, resources: [{ itemName: 'stein', quantity: 50 }] },
+    { buff: 'guild_gatherers', description: 'Alle Mitglieder sammeln 20 % schneller', required_level: 3, duration_hours: 24, cost_gold: 300, resources: [{ itemName: 'holz', quantity: 100 }] },
+    { buff: 'guild_wisdom', description: '+15 % Erfahrung für alle Mitglieder', required_level: 4, duration_hours: 12, cost_gold: 500, resources: [{ itemName: 'stein', quantity: 100 }] },
+    { buff: 'guild_caravan', description: 'Alle Mitglieder reisen 20 % schneller', required_level: 5, duration_hours: 24, cost_gold: 500, resources: [{ itemName: 'holz', quantity: 100 }, { itemName: 'stein', quantity: 50 }] },
+    { buff: 'guild_fortune', description: '+15 % Gold für alle Mitglieder', required_level: 7, duration_hours: 12, cost_gold: 1000, resources: [{ itemName: 'holz', quantity: 200 }, { itemName: 'stein', quantity: 200 }] },
+  ];
+
+  for (const perk of perks) {
+    const buffType = await db.get('SELECT id, display_name, icon FROM buff_types WHERE name = ?', [perk.buff]);
+    if (!buffType) continue;
+
+    await db.run(`
+      INSERT OR IGNORE INTO guild_perks (name, display_name, description, icon, buff_type_id, required_level, duration_hours, cost_gold, cost_resources)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      perk.buff,
+      buffType.display_name,
+      perk.description,
+      buffType.icon,
+      buffType.id,
+      perk.required_level,
+      perk.duration_hours,
+      perk.cost_gold,
+      JSON.stringify(perk.resources)
+    ]);
+  }
+
+  console.log('[DB] Default guild perks inserted');
+}
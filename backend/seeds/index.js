@@ -0,0 +1,64 @@
+import seedPermissions from './permissions.js';
+import seedItems from './items.js';
+import seedBuildings from './buildings.js';
+import seedPlayers from './players.js';
+import seedResources from './resources.js';
+import seedMonsters from './monsters.js';
+import seedNpcs from './npcs.js';
+import seedEquipment from './equipment.js';
+import seedQuests from './quests.js';
+import seedWorld from './world.js';
+import seedEmailTemplates from './emailTemplates.js';
+import seedBuffs from './buffs.js';
+import seedConsumables from './consumables.js';
+import seedEncounters from './encounters.js';
+import seedGuildPerks from './guildPerks.js';
+
+/**
+ * All seed scripts in the order they run. Every seed is idempotent
+ * (INSERT OR IGNORE or an existence check), so they can run on every start.
+ * Later seeds may depend on earlier ones (e.g. quests need the monsters).
+ */
+export const SEEDS = [
+  { name: 'permissions', run: seedPermissions },
+  { name: 'items', run: seedItems },
+  { name: 'buildings', run: seedBuildings },
+  { name: 'players', run: seedPlayers },
+  { name: 'resources', run: seedResources },
+  { name: 'monsters', run: seedMonsters },
+  { name: 'npcs', run: seedNpcs },
+  { name: 'equipment', run: seedEquipment },
+  { name: 'quests', run: seedQuests },
+  { name: 'world', run: seedWorld },
+  { name: 'emailTemplates', run: seedEmailTemplates },
+  { name: 'buffs', run: seedBuffs },
+  { name: 'consumables', run: seedConsumables },
+  { name: 'encounters', run: seedEncounters },
+  { name: 'guildPerks', run: seedGuildPerks }
+];
+
+/**
+ * Run the seed scripts, each in its own transaction
+ * @param {Object} db - Database connection
+ * @param {string[]} [names] - Only run these seeds (default: all)
+ * @returns {Promise<string[]>} Names of the seeds that ran
+ */
+export async function runSeeds(db, names = null) {
+  if (names) {
+    const unknown = names.filter(name => !SEEDS.some(seed => seed.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unbekannte Seeds: ${unknown.join(', ')}`);
+    }
+  }
+
+  const seeds = names ? SEEDS.filter(seed => names.includes(seed.name)) : SEEDS;
+  for (const seed of seeds) {
+    await db.transaction(() => seed.run(db));
+  }
+  return seeds.map(seed => seed.name);
+}
+
+export default {
+  SEEDS,
+  runSeeds
+};
@@ -0,0 +1,95 @@
+/**
+ * Default items and crafting recipes
+ * @param {Object} db - Database connection
+ */
+export default async function seedItems(db) {
+  await insertDefaultItems(db);
+  await insertDefaultRecipes(db);
+}
+
+async function insertDefaultItems(db) {
+  const defaultItems = [
+    // Resources
+    { name: 'holz', display_name: 'Holz', type: 'resource', rarity: 'common' },
+    { name: 'lehm', display_name: 'Lehm', type: 'resource', rarity: 'common' },
+    { name: 'stein', display_name: 'Stein', type: 'resource', rarity: 'common' },
+    { name: 'wasser', display_name: 'Wasser', type: 'resource', rarity: 'common' },
+    { name: 'feuerstein', display_name: 'Feuerstein', type: 'resource', rarity: 'uncommon' },
+    { name: 'ast', display_name: 'Ast', type: 'resource', rarity: 'common' },
+    // { name: 'eisenbarren', display_name: 'Eisenbarren', type: 'material', rarity: 'uncommon' }, // Removed - user doesn't want auto-creation
+    { name: 'seil', display_name: 'Seil', type: 'material', rarity: 'common', description: 'Ein robustes Seil aus Pflanzenfasern' },
+    { name: 'stoff', display_name: 'Stoff', type: 'material', rarity: 'common', description: 'Gewebter Stoff' },
+    { name: 'bretter', display_name: 'Bretter', type: 'material', rarity: 'common', description: 'Im Sägewerk zugeschnittenes Holz' },
+    { name: 'kohle', display_name: 'Kohle', type: 'material', rarity: 'uncommon', description: 'Brennbare Kohle zum Schmieden von Stahl' },
+    { name: 'kupfererz', display_name: 'Kupfererz', type: 'resource', rarity: 'common', description: 'Rohes Kupfererz' },
+    { name: 'silbererz', display_name: 'Silbererz', type: 'resource', rarity: 'uncommon', description: 'Glänzendes Silbererz' },
+    { name: 'golderz', display_name: 'Golderz', type: 'resource', rarity: 'rare', description: 'Kostbares Golderz' },
+    
+    // Tools
+    { name: 'spitzhacke_basic', display_name: 'Spitzhacke (Basis)', type: 'tool', rarity: 'common' },
+    { name: 'spitzhacke_iron', display_name: 'Spitzhacke (Eisen)', type: 'tool', rarity: 'uncommon' },
+    
+    // Vehicles
+    { name: 'boot', display_name: 'Boot', type: 'tool', rarity: 'uncommon', description: 'Ein einfaches Holzboot. Ermöglicht die Reise über Wasser.' },
+  ];
+
+  for (const item of defaultItems) {
+    try {
+      await db.run(`
+        INSERT OR IGNORE INTO items (name, display_name, type, rarity)
+        VALUES (?, ?, ?, ?)
+      `, [item.name, item.display_name, item.type, item.rarity]);
+    } catch (err) {
+      // Item already exists, skip
+    }
+  }
+}
+
+async function insertDefaultRecipes(db) {
+  // Get item IDs
+  const ast = await db.get('SELECT id FROM items WHERE name = ?', ['ast']);
+  const stein = await db.get('SELECT id FROM items WHERE name = ?', ['stein']);
+  const eisenbarren = await db.get('SELECT id FROM items WHERE name = ?', ['eisenbarren']);
+  const spitzhacke_basic = await db.get('SELECT id FROM items WHERE name = ?', ['spitzhacke_basic']);
+  const spitzhacke_iron = await db.get('SELECT id FROM items WHERE name = ?', ['spitzhacke_iron']);
+
+  // Basic Spitzhacke: 2 Äste + 3 Steine
+  if (ast && stein && spitzhacke_basic) {
+    let existingRecipe = await db.get('SELECT id FROM crafting_recipes WHERE result_item_id = ?', [spitzhacke_basic.id]);
+    
+    if (!existingRecipe) {
+      const recipe = await db.run(`
+        INSERT INTO crafting_recipes (result_item_id, result_quantity, required_workbench_level)
+        VALUES (?, 1, 0)
+      `, [spitzhacke_basic.id]);
+      existingRecipe = { id: recipe.lastID };
+    }
+    
+    // Delete existing ingredients for this recipe first to avoid duplicates
+    await db.run('DELETE FROM recipe_ingredients WHERE recipe_id = ?', [existingRecipe.id]);
+    await db.run('INSERT INTO recipe_ingredients (recipe_id, item_id, quantity) VALUES (?, ?, ?)', 
+      [existingRecipe.id, ast.id, 2]);
+    await db.run('INSERT INTO recipe_ingredients (recipe_id, item_id, quantity) VALUES (?, ?, ?)', 
+      [existingRecipe.id, stein.id, 3]);
+  }
+
+  // Iron Spitzhacke: 2 Äste + 3 Eisenbarren
+  if (ast && eisenbarren && spitzhacke_iron) {
+    let existingRecipe = await db.get('SELECT id FROM crafting_recipes WHERE result_item_id = ?', [spitzhacke_iron.id]);
+    
+    if (!existingRecipe) {
+      const recipe = await db.run(`
+        INSERT INTO crafting_recipes (result_item_id, result_quantity, required_workbench_level)
+        VALUES (?, 1, 1)
+      `, [spitzhacke_iron.id]);
+      existingRecipe = { id: recipe.lastID };
+    }
+    
+    // Delete existing ingredients for this recipe first to avoid duplicates
+    await db.run('DELETE FROM recipe_ingredients WHERE recipe_id = ?', [existingRecipe.id]);
+    await db.run('INSERT INTO recipe_ingredients (recipe_id, item_id, quantity) VALUES (?, ?, ?)', 
+      [existingRecipe.id, ast.id, 2]);
+    await db.run('INSERT INTO recipe_ingredients (recipe_id, item_id, quantity) VALUES (?, ?, ?)', 
+      [existingRecipe.id, eisenbarren.id, 3]);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Default merchants and their shop items
+ * @param {Object} db - Database connection
+ */
+export default async function seedNpcs(db) {
+  await insertDefaultNPCs(db);
+}
+
+async function insertDefaultNPCs(db) {
+  const npcs = [
+    { 
+      name: 'blacksmith', display_name: 'Schmied Thorin', 
+      description: 'Ein erfahrener Schmied, der Werkzeuge und Waffen verkauft',
+      npc_type: 'merchant'
+    },
+    { 
+      name: 'herbalist', display_name: 'Kräuterfrau Elara', 
+      description: 'Handelt mit seltenen Kräutern und Materialien',
+      npc_type: 'merchant'
+    },
+    { 
+      name: 'general_merchant', display_name: 'Händler Markus', 
+      description: 'Ein Allgemeinhändler mit verschiedenen Waren',
+      npc_type: 'merchant'
+    },
+  ];
+
+  for (const npc of npcs) {
+    try {
+      const result = await db.run(`
+        INSERT OR IGNORE INTO npc_types (name, display_name, description, npc_type)
+        VALUES (?, ?, ?, ?)
+      `, [npc.name, npc.display_name, npc.description, npc.npc_type]);
+      
+      // Add shop items
+      if (result.changes > 0) {
+        const npcId = result.lastID;
+        
+        const holz = await db.get('SELECT id FROM items WHERE name = ?', ['holz']);
+        const stein = await db.get('SELECT id FROM items WHERE name = ?', ['stein']);
+        const eisenbarren = await db.get('SELECT id FROM items WHERE name = ?', ['eisenbarren']);
+        const spitzhacke_basic = await db.get('SELECT id FROM items WHERE name = ?', ['spitzhacke_basic']);
+        const spitzhacke_iron = await db.get('SELECT id FROM items WHERE name = ?', ['spitzhacke_iron']);
+        
+        if (npc.name === 'blacksmith') {
+          // Sells tools, buys resources
+          if (spitzhacke_basic) {
+            await db.run(`INSERT OR IGNORE INTO npc_shop_items (npc_type_id, item_id, buy_price, sell_price, stock) 
+              VALUES (?, ?, 50, 15, -1)`, [npcId, spitzhacke_basic.id]);
+          }
+          if (spitzhacke_iron) {
+            await db.run(`INSERT OR IGNORE INTO npc_shop_items (npc_type_id, item_id, buy_price, sell_price, stock) 
+              VALUES (?, ?, 150, 45, -1)`, [npcId, spitzhacke_iron.id]);
+          }
+          if (eisenbarren) {
+            await db.run(`INSERT OR IGNORE INTO npc_shop_items (npc_type_id, item_id, buy_price, sell_price, stock) 
+              VALUES (?, ?, 30, 10, -1)`, [npcId, eisenbarren.id]);
+          }
+        } else if (npc.name === 'general_merchant') {
+          // Buys/sells basic resources
+          if (holz) {
+            await db.run(`INSERT OR IGNORE INTO npc_shop_items (npc_type_id, item_id, buy_price, sell_price, stock) 
+              VALUES (?, ?, 5, 2, -1)`, [npcId, holz.id]);
+          }
+          if (stein) {
+            await db.run(`INSERT OR IGNORE INTO npc_shop_items (npc_type_id, item_id, buy_price, sell_price, stock) 
+              VALUES (?, ?, 8, 3, -1)`, [npcId, stein.id]);
+          }
+        }
+      }
+    } catch (err) {
+      // NPC already exists
+    }
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Default permissions and the admin/mod/vip/user groups
+ * @param {Object} db - Database connection
+ */
+export default async function seedPermissions(db) {
+  await insertDefaultPermissions(db);
+  await insertDefaultGroups(db);
+}
+
+async function insertDefaultPermissions(db) {
+  const permissions = [
+    { name: 'manage_items', display_name: 'Items verwalten', description: 'Items erstellen, bearbeiten und löschen' },
+    { name: 'manage_recipes', display_name: 'Rezepte verwalten', description: 'Crafting-Rezepte erstellen, bearbeiten und löschen' },
+    { name: 'manage_users', display_name: 'User verwalten', description: 'User-Rollen ändern und User löschen' },
+    { name: 'manage_settings', display_name: 'Einstellungen verwalten', description: 'E-Mail-Templates und Discord-Webhooks verwalten' },
+    { name: 'manage_groups', display_name: 'Gruppen verwalten', description: 'Gruppen erstellen, bearbeiten und Berechtigungen verwalten' },
+    { name: 'view_admin', display_name: 'Admin-Panel ansehen', description: 'Zugriff auf das Admin-Panel' },
+  ];
+
+  for (const perm of permissions) {
+    try {
+      await db.run(`
+        INSERT OR IGNORE INTO permissions (name, display_name, description)
+        VALUES (?, ?, ?)
+      `, [perm.name, perm.display_name, perm.description]);
+    } catch (err) {
+      // Permission already exists
+    }
+  }
+}
+
+async function insertDefaultGroups(db) {
+  // Get permission IDs
+  const manageItems = await db.get('SELECT id FROM permissions WHERE name = ?', ['manage_items']);
+  const manageRecipes = await db.get('SELECT id FROM permissions WHERE name = ?', ['manage_recipes']);
+  const manageUsers = await db.get('SELECT id FROM permissions WHERE name = ?', ['manage_users']);
+  const manageGroups = await db.get('SELECT id FROM permissions WHERE name = ?', ['manage_groups']);
+  const viewAdmin = await db.get('SELECT id FROM permissions WHERE name = ?', ['view_admin']);
+  const manageSettings = await db.get('SELECT id FROM permissions WHERE name = ?', ['manage_settings']);
+
+  // Admin group - alle Berechtigungen
+  const adminGroup = await db.run(`
+    INSERT OR IGNORE INTO groups (name, display_name, description)
+    VALUES ('admin', 'Administrator', 'Vollzugriff auf alle Funktionen')
+  `);
+  let adminGroupId = adminGroup.lastID;
+  if (!adminGroupId) {
+    const existing = await db.get('SELECT id FROM groups WHERE name = ?', ['admin']);
+    adminGroupId = existing.id;
+  }
+  
+  if (adminGroupId && manageItems && manageRecipes && manageUsers && manageGroups && viewAdmin && manageSettings) {
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [adminGroupId, manageItems.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [adminGroupId, manageRecipes.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [adminGroupId, manageUsers.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [adminGroupId, manageGroups.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [adminGroupId, viewAdmin.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [adminGroupId, manageSettings.id]);
+  }
+
+  // Mod group - Items, Rezepte, User verwalten
+  const modGroup = await db.run(`
+    INSERT OR IGNORE INTO groups (name, display_name, description)
+    VALUES ('mod', 'Moderator', 'Kann Items, Rezepte und User verwalten')
+  `);
+  let modGroupId = modGroup.lastID;
+  if (!modGroupId) {
+    const existing = await db.get('SELECT id FROM groups WHERE name = ?', ['mod']);
+    modGroupId = existing.id;
+  }
+  
+  if (modGroupId && manageItems && manageRecipes && manageUsers && viewAdmin) {
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [modGroupId, manageItems.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [modGroupId, manageRecipes.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [modGroupId, manageUsers.id]);
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [modGroupId, viewAdmin.id]);
+  }
+
+  // VIP group - nur Admin-Panel ansehen (später mehr)
+  const vipGroup = await db.run(`
+    INSERT OR IGNORE INTO groups (name, display_name, description)
+    VALUES ('vip', 'VIP', 'Premium-Benutzer mit besonderen Vorteilen')
+  `);
+  let vipGroupId = vipGroup.lastID;
+  if (!vipGroupId) {
+    const existing = await db.get('SELECT id FROM groups WHERE name = ?', ['vip']);
+    vipGroupId = existing.id;
+  }
+  
+  if (vipGroupId && viewAdmin) {
+    await db.run('INSERT OR IGNORE INTO group_permissions (group_id, permission_id) VALUES (?, ?)', [vipGroupId, viewAdmin.id]);
+  }
+
+  // User group - keine speziellen Berechtigungen
+  const userGroup = await db.run(`
+    INSERT OR IGNORE INTO groups (name, display_name, description)
+    VALUES ('user', 'Benutzer', 'Standard-Benutzer ohne spezielle Berechtigungen')
+  `);
+}
@@ -0,0 +1,50 @@
+import { generateUniqueCoordinates } from './world.js';
+
+/**
+ * Backfill for players created before coordinates, stats or statistics existed
+ * @param {Object} db - Database connection
+ */
+export default async function seedPlayers(db) {
+  // Assign random coordinates to users without coordinates
+  const usersWithoutCoords = await db.all(`
+    SELECT id FROM users WHERE world_x = 0 AND world_y = 0
+  `);
+  
+  if (usersWithoutCoords.length > 0) {
+    const existingCoords = await db.all('SELECT world_x, world_y FROM users WHERE world_x != 0 OR world_y != 0');
+    
+    for (const user of usersWithoutCoords) {
+      const coords = generateUniqueCoordinates(existingCoords);
+      await db.run(
+        'UPDATE users SET world_x = ?, world_y = ? WHERE id = ?',
+        [coords.x, coords.y, user.id]
+      );
+      existingCoords.push({ world_x: coords.x, world_y: coords.y });
+    }
+  }
+
+  // Initialize player stats for existing users
+  const usersWithoutStats = await db.all(`
+    SELECT u.id FROM users u 
+    LEFT JOIN player_stats ps ON u.id = ps.user_id 
+    WHERE ps.id IS NULL
+  `);
+  
+  for (const user of usersWithoutStats) {
+    await db.run(`
+      INSERT INTO player_stats (user_id, level, experience, max_health, current_health, base_attack, base_defense)
+      VALUES (?, 1, 0, 100, 100, 10, 5)
+    `, [user.id]);
+  }
+
+  // Initialize statistics for existing users
+  const usersWithoutStatistics = await db.all(`
+    SELECT u.id FROM users u 
+    LEFT JOIN user_statistics us ON u.id = us.user_id 
+    WHERE us.id IS NULL
+  `);
+  
+  for (const user of usersWithoutStatistics) {
+    await db.run('INSERT INTO user_statistics (user_id) VALUES (?)', [user.id]);
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Resource nodes and monsters/merchants on the world map (only spawned into an empty world)
+ * @param {Object} db - Database connection
+ */
+export default async function seedWorld(db) {
+  await spawnResourceNodes(db);
+  await spawnWorldNPCs(db);
+}
+
+/**
+ * Pick random map coordinates that keep a minimum distance to existing ones
+ * @param {Object[]} existingCoords - Taken positions ({world_x, world_y})
+ * @param {number} minDistance - Minimum distance to every taken position
+ * @param {number} maxAttempts - Random tries before giving up on the distance
+ * @returns {{x: number, y: number}}
+ */
+export function generateUniqueCoordinates(existingCoords, minDistance = 50, maxAttempts = 100) {
+  const minX = -2000;
+  const maxX = 2000;
+  const minY = -2000;
+  const maxY = 2000;
+  
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const x = Math.floor(Math.random() * (maxX - minX + 1)) + minX;
+    const y = Math.floor(Math.random() * (maxY - minY + 1)) + minY;
+    
+    // Check if coordinates are far enough from existing ones
+    let tooClose = false;
+    for (const coord of existingCoords) {
+      const distance = Math.sqrt(
+        Math.pow(x - coord.world_x, 2) + Math.pow(y - coord.world_y, 2)
+      );
+      if (distance < minDistance) {
+        tooClose = true;
+        break;
+      }
+    }
+    
+    if (!tooClose) {
+      return { x, y };
+    }
+  }
+  
+  // If we couldn't find a unique spot, just return random coordinates
+  return {
+    x: Math.floor(Math.random() * (maxX - minX + 1)) + minX,
+    y: Math.floor(Math.random() * (maxY - minY + 1)) + minY
+  };
+}
+
+// Spawn resource nodes on the map
+async function spawnResourceNodes(db) {
+  const existingNodes = await db.get('SELECT COUNT(*) as count FROM world_resource_nodes');
+  if (existingNodes.count > 0) return;
+
+  console.log('[DB] Spawning resource nodes on map...');
+
+  const nodeTypes = await db.all('SELECT * FROM resource_node_types WHERE is_active = 1');
+  
+  // Define spawn counts per type
+  const spawnCounts = {
+    'stone_deposit': 50,
+    'iron_vein': 20,
+    'copper_vein': 25,
+    'gold_vein': 5,
+    'oak_tree': 60,
+    'pine_tree': 40,
+    'birch_tree': 50,
+    'magic_tree': 3,
+    'herb_patch': 40,
+    'rare_herbs': 10
+  };
+
+  for (const nodeType of nodeTypes) {
+    const count = spawnCounts[nodeType.name] || 20;
+    
+    for (let i = 0; i < count; i++) {
+      const x = Math.floor(Math.random() * 4000) - 2000;
+      const y = Math.floor(Math.random() * 4000) - 2000;
+      
+      // Don't spawn too close to origin (player starting area has home-based collection)
+      const distFromCenter = Math.sqrt(x * x + y * y);
+      if (distFromCenter < 100) continue;
+
+      try {
+        await db.run(`
+          INSERT INTO world_resource_nodes (node_type_id, world_x, world_y, current_amount, max_amount)
+          VALUES (?, ?, ?, 3, 3)
+        `, [nodeType.id, x, y]);
+      } catch (err) {
+        // Skip duplicates
+      }
+    }
+  }
+
+  console.log('[DB] Resource nodes spawned');
+}
+
+async function spawnWorldNPCs(db) {
+  // Check if we already have world NPCs
+  const existingNPCs = await db.get('SELECT COUNT(*) as count FROM world_npcs');
+  if (existingNPCs.count > 0) return;
+  
+  // Get all existing player coordinates to avoid spawning too close
+  const existingCoords = await db.all('SELECT world_x, world_y FROM users WHERE world_x != 0 OR world_y != 0');
+  
+  // Spawn merchants (3-5)
+  const merchants = await db.all('SELECT id FROM npc_types');
+  for (const merchant of merchants) {
+    const coords = generateUniqueCoordinates(existingCoords, 100);
+    await db.run(`
+      INSERT INTO world_npcs (npc_type_id, world_x, world_y, is_active)
+      VALUES (?, ?, ?, 1)
+    `, [merchant.id, coords.x, coords.y]);
+    existingCoords.push({ world_x: coords.x, world_y: coords.y });
+  }
+  
+  // Spawn normal monsters - MANY more now! (50-60 monsters)
+  const normalMonsters = await db.all('SELECT * FROM monster_types WHERE is_boss = 0');
+  const monsterCount = 50; // Much more monsters
+  
+  for (let i = 0; i < monsterCount; i++) {
+    // Pick a random monster type weighted by spawn_weight
+    const totalWeight = normalMonsters.reduce((sum, m) => sum + m.spawn_weight, 0);
+    let randomWeight = Math.random() * totalWeight;
+    let selectedMonster = normalMonsters[0];
+    
+    for (const monster of normalMonsters) {
+      randomWeight -= monster.spawn_weight;
+      if (randomWeight <= 0) {
+        selectedMonster = monster;
+        break;
+      }
+    }
+    
+    // Random level within monster's range
+    const level = Math.floor(Math.random() * (selectedMonster.max_level - selectedMonster.min_level + 1)) + selectedMonster.min_level;
+    const health = selectedMonster.base_health + (level - 1) * selectedMonster.health_per_level;
+    
+    // Spread monsters further apart
+    const coords = generateUniqueCoordinates(existingCoords, 50);
+    
+    // Use monster type's respawn_cooldown or default based on level
+    const respawnMinutes = selectedMonster.respawn_cooldown || (level <= 3 ? 5 : level <= 6 ? 10 : level <= 10 ? 15 : 20);
+    
+    await db.run(`
+      INSERT INTO world_npcs (monster_type_id, world_x, world_y, level, current_health, respawn_minutes, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, 1)
+    `, [selectedMonster.id, coords.x, coords.y, level, health, respawnMinutes]);
+    existingCoords.push({ world_x: coords.x, world_y: coords.y });
+  }
+  
+  // Spawn bosses (3-4)
+  const bossMonsters = await db.all('SELECT * FROM monster_types WHERE is_boss = 1');
+  for (let i = 0; i < Math.min(4, bossMonsters.length); i++) {
+    const boss = bossMonsters[i % bossMonsters.length];
+    const coords = generateUniqueCoordinates(existingCoords, 200); // Bosses need more space
+    
+    await db.run(`
+      INSERT INTO world_npcs (monster_type_id, world_x, world_y, level, current_health, respawn_minutes, is_active)
+      VALUES (?, ?, ?, ?, ?, 60, 1)
+    `, [boss.id, coords.x, coords.y, boss.min_level, boss.base_health]);
+    existingCoords.push({ world_x: coords.x, world_y: coords.y });
+  }
+  
+  console.log('[DB] World NPCs spawned successfully - ' + monsterCount + ' monsters + ' + Math.min(4, bossMonsters.length) + ' bosses');
+}
@@ -19,7 +19,7 @@ import guildsRoutes from './routes/guilds.js';
 import playersRoutes from './routes/players.js';
 import messagesRoutes from './routes/messages.js';
 import npcsRoutes from './routes/npcs.js';
-import combatRoutes from './routes/combat.js';
+import combatRoutes, { expireCombatSessions } from './routes/combat.js';
 import adminNpcsRoutes from './routes/adminNpcs.js';
 import equipmentRoutes from './routes/equipment.js';
 import questsRoutes from './routes/quests.js';
@@ -27,6 +27,16 @@ import resourcesRoutes from './routes/resources.js';
 import feedbackRoutes from './routes/feedback.js';
 import buffsRoutes, { expireBuffs, checkBuffEvents } from './routes/buffs.js';
 import tilesetRoutes from './routes/tileset.js';
+import eventsRoutes from './routes/events.js';
+import jobsRoutes from './routes/jobs.js';
+import auctionsRoutes, { expireAuctions } from './routes/auctions.js';
+import partiesRoutes from './routes/parties.js';
+import { processDueJobs } from './helpers/jobs.js';
+import { processGuildWars } from './helpers/guildWars.js';
+import { processPartyLoot } from './helpers/parties.js';
+import { processWorldBosses } from './helpers/worldBosses.js';
+import { loadWorldRegions } from './helpers/worldRegions.js';
+import { publishToArea } from './helpers/realtime.js';
 
 dotenv.config();
 
@@ -75,6 +85,10 @@ app.use('/api/resources', resourcesRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/buffs', buffsRoutes);
 app.use('/api/tileset', tilesetRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/auctions', auctionsRoutes);
+app.use('/api/parties', partiesRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -93,7 +107,9 @@ async function respawnMonsters() {
         wn.last_killed_at,
         mt.base_health,
         mt.health_per_level,
-        wn.level
+        wn.level,
+        wn.world_x,
+        wn.world_y
       FROM world_npcs wn
       JOIN monster_types mt ON wn.monster_type_id = mt.id
       WHERE wn.is_active = 0 
@@ -108,6 +124,11 @@ async function respawnMonsters() {
         SET is_active = 1, current_health = ?, last_killed_at = NULL 
         WHERE id = ?
       `, [maxHealth, monster.id]);
+
+      publishToArea([{ x: monster.world_x, y: monster.world_y }], 'monster_respawned', {
+        npc_id: monster.id,
+        current_health: maxHealth
+      });
     }
 
     if (deadMonsters.length > 0) {
@@ -127,7 +148,9 @@ async function respawnResourceNodes() {
         wrn.id,
         wrn.max_amount,
         wrn.depleted_at,
-        rnt.respawn_minutes
+        rnt.respawn_minutes,
+        wrn.world_x,
+        wrn.world_y
       FROM world_resource_nodes wrn
       JOIN resource_node_types rnt ON wrn.node_type_id = rnt.id
       WHERE wrn.is_depleted = 1 
@@ -144,6 +167,11 @@ async function respawnResourceNodes() {
             last_gathered_at = NULL
         WHERE id = ?
       `, [node.max_amount, node.id]);
+
+      publishToArea([{ x: node.world_x, y: node.world_y }], 'node_respawned', {
+        node_id: node.id,
+        current_amount: node.max_amount
+      });
     }
 
     if (depletedNodes.length > 0) {
@@ -158,7 +186,11 @@ async function respawnResourceNodes() {
 
 // Initialize database and start server
 initDatabase()
-  .then(() => {
+  .then(async () => {
+    // Imported regions override the procedural terrain, so they must be known before the first request
+    const regionCount = await loadWorldRegions();
+    console.log(`[Welt] ${regionCount} importierte Region(en) geladen`);
+
     app.listen(PORT, () => {
       console.log(`Server läuft auf Port ${PORT}`);
       
@@ -178,11 +210,41 @@ initDatabase()
       setInterval(respawnResourceNodes, 30000);
       console.log('[Respawn] Automatische Ressourcen-Respawn-Routine gestartet (alle 30 Sekunden)');
       
+      // Start combat session timeout routine - runs every minute
+      setInterval(expireCombatSessions, 60000);
+      console.log('[Combat] Automatische Kampf-Timeout-Prüfung gestartet (alle 60 Sekunden)');
+      
+      // Start job scheduler - notifies about (and auto-claims) finished jobs every 30 seconds
+      setInterval(processDueJobs, 30000);
+      console.log('[Jobs] Automatische Auftrags-Prüfung gestartet (alle 30 Sekunden)');
+      
+      // Start auction routine - ends expired auctions every minute
+      setInterval(expireAuctions, 60000);
+      console.log('[Auktionen] Automatische Auktions-Prüfung gestartet (alle 60 Sekunden)');
+      
+      // Start guild war routine - starts and ends wars every minute
+      setInterval(processGuildWars, 60000);
+      console.log('[Gildenkriege] Automatische Kriegs-Prüfung gestartet (alle 60 Sekunden)');
+      
+      // Start party loot routine - decides need/greed and leader loot whose time ran out every minute
+      setInterval(processPartyLoot, 60000);
+      console.log('[Gruppen] Automatische Beute-Prüfung gestartet (alle 60 Sekunden)');
+      
+      // Start world boss routine - spawns bosses when their window opens and lets them escape when it ends
+      setInterval(processWorldBosses, 60000);
+      console.log('[Weltbosse] Automatische Weltboss-Prüfung gestartet (alle 60 Sekunden)');
+      
       // Run once immediately
       respawnMonsters();
       respawnResourceNodes();
       expireBuffs();
       checkBuffEvents();
+      expireCombatSessions();
+      processDueJobs(); // Also catches jobs that finished while the server was down
+      expireAuctions();
+      processGuildWars();
+      processPartyLoot();
+      processWorldBosses();
     });
   })
   .catch((error) => {
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// database.js opens DB_PATH on import, so it is set before the modules are loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'soaria-encounters-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+const { default: db } = await import('../database.js');
+const { migrate } = await import('../helpers/migrations.js');
+const { resolveDueEncounters } = await import('../helpers/encounters.js');
+
+let cacheTableId;
+let nextUser = 1;
+
+async function createUser() {
+  const n = nextUser++;
+  const result = await db.run(
+    'INSERT INTO users (username, email, password_hash, gold) VALUES (?, ?, ?, 0)',
+    [`user${n}`, `user${n}@example.com`, 'x']
+  );
+  return result.lastID;
+}
+
+async function addDueEncounter(userId) {
+  const result = await db.run(`
+    INSERT INTO travel_encounters (user_id, encounter_table_id, encounter_type, world_x, world_y, trigger_at)
+    VALUES (?, ?, 'cache', 0, 0, ?)
+  `, [userId, cacheTableId, new Date(Date.now() - 60000).toISOString()]);
+  return result.lastID;
+}
+
+before(async () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await migrate(db);
+  } finally {
+    console.log = log;
+  }
+  const result = await db.run(`
+    INSERT INTO encounter_tables (encounter_type, chance, gold_min, gold_max) VALUES ('cache', 0, 100, 100)
+  `);
+  cacheTableId = result.lastID;
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('overlapping calls resolve an encounter only once', async () => {
+  const userId = await createUser();
+  const encounterId = await addDueEncounter(userId);
+
+  const results = await Promise.all([resolveDueEncounters(userId), resolveDueEncounters(userId)]);
+
+  assert.deepEqual(results.map(r => r.encounters.length).sort(), [0, 1]);
+  assert.equal((await db.get('SELECT gold FROM users WHERE id = ?', [userId])).gold, 100);
+  const encounter = await db.get('SELECT status, result FROM travel_encounters WHERE id = ?', [encounterId]);
+  assert.equal(encounter.status, 'resolved');
+  assert.equal(JSON.parse(encounter.result).gold, 100);
+});
+
+test('every due encounter pays out once across many calls', async () => {
+  const userId = await createUser();
+  for (let i = 0; i < 3; i++) {
+    await addDueEncounter(userId);
+  }
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => resolveDueEncounters(userId)));
+
+  assert.equal(results.reduce((sum, r) => sum + r.encounters.length, 0), 3);
+  assert.equal((await db.get('SELECT gold FROM users WHERE id = ?', [userId])).gold, 300);
+});
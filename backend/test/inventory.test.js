@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// database.js opens DB_PATH on import, so it is set before the modules are loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'soaria-inventory-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+const { default: db } = await import('../database.js');
+const { migrate } = await import('../helpers/migrations.js');
+const { InventoryError, normalizeItems, addItems, removeItems, transferItems, getItemQuantity, addGold } =
+  await import('../helpers/inventory.js');
+
+let itemId;
+let nextUser = 1;
+
+async function createUser(gold = 0) {
+  const id = nextUser++;
+  await db.run(
+    'INSERT INTO users (id, username, email, password_hash, gold) VALUES (?, ?, ?, ?, ?)',
+    [id, `user${id}`, `user${id}@example.com`, 'x', gold]
+  );
+  return id;
+}
+
+async function lowestQuantity() {
+  const row = await db.get('SELECT MIN(quantity) as quantity FROM user_inventory');
+  return row.quantity ?? 0;
+}
+
+before(async () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await migrate(db);
+  } finally {
+    console.log = log;
+  }
+  const result = await db.run("INSERT INTO items (name, display_name, type) VALUES ('holz', 'Holz', 'resource')");
+  itemId = result.lastID;
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('parallel removes never take more than the user owns', async () => {
+  const userId = await createUser();
+  await addItems(userId, [{ item_id: itemId, quantity: 10 }]);
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 25 }, () => removeItems(userId, [{ item_id: itemId, quantity: 1 }]))
+  );
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 10);
+  for (const failed of results.filter(r => r.status === 'rejected')) {
+    assert.ok(failed.reason instanceof InventoryError);
+  }
+  assert.equal(await getItemQuantity(userId, itemId), 0);
+  assert.ok(await lowestQuantity() >= 0);
+});
+
+test('parallel transfers keep the total and never go negative', async () => {
+  const from = await createUser();
+  const to = await createUser();
+  await addItems(from, [{ item_id: itemId, quantity: 10 }]);
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 10 }, () => transferItems(from, to, [{ item_id: itemId, quantity: 3 }]))
+  );
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 3);
+  assert.equal(await getItemQuantity(from, itemId), 1);
+  assert.equal(await getItemQuantity(to, itemId), 9);
+  assert.ok(await lowestQuantity() >= 0);
+});
+
+test('removes and transfers from the same user at once', async () => {
+  const from = await createUser();
+  const to = await createUser();
+  await addItems(from, [{ item_id: itemId, quantity: 20 }]);
+
+  const results = await Promise.allSettled(Array.from({ length: 30 }, (_, i) => i % 2 === 0
+    ? removeItems(from, [{ item_id: itemId, quantity: 2 }])
+    : transferItems(from, to, [{ item_id: itemId, quantity: 2 }])
+  ));
+
+  const moved = results.filter(r => r.status === 'fulfilled').length * 2;
+  assert.equal(moved, 20);
+  assert.equal(await getItemQuantity(from, itemId), 0);
+  assert.ok(await lowestQuantity() >= 0);
+});
+
+test('a failing transaction does not roll back writes of other requests', async () => {
+  const userId = await createUser();
+  const other = await createUser(0);
+
+  const failing = db.transaction(async () => {
+    await addItems(userId, [{ item_id: itemId, quantity: 5 }]);
+    // Give the concurrent write a chance to run while the transaction is open
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await removeItems(userId, [{ item_id: itemId, quantity: 6 }]);
+  });
+  const unrelated = addGold(other, 50);
+
+  await assert.rejects(failing, InventoryError);
+  await unrelated;
+
+  assert.equal(await getItemQuantity(userId, itemId), 0);
+  assert.equal((await db.get('SELECT gold FROM users WHERE id = ?', [other])).gold, 50);
+});
+
+test('normalizeItems merges duplicates and drops invalid entries from request bodies', () => {
+  assert.deepEqual(normalizeItems([
+    { item_id: '3', quantity: '2' },
+    { item_id: 3, quantity: 4 },
+    { item_id: 5, quantity: 0 },
+    { item_id: 6, quantity: -1 },
+    { item_id: 'x', quantity: 1 },
+    { item_id: 7, quantity: 1 }
+  ]), [{ item_id: 3, quantity: 6 }, { item_id: 7, quantity: 1 }]);
+  assert.deepEqual(normalizeItems(undefined), []);
+});
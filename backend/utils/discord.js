@@ -1,4 +1,5 @@
 import axios from 'axios';
+import db from '../database.js';
 
 export async function sendDiscordWebhook(webhookUrl, message, username = 'Soaria Bot', avatarUrl = null) {
   if (!webhookUrl || !message) {
@@ -40,3 +41,30 @@ export async function sendDiscordRegistrationNotification(username, email, webho
 
   return await sendDiscordWebhook(webhookUrl, message);
 }
+
+/**
+ * Post a game event to the Discord webhook configured for it (if any). Never throws,
+ * a failing webhook must not break the action that triggered it.
+ * @param {string} eventType - discord_webhooks.event_type
+ * @param {Object<string, string|number>} values - Replacements for the {{key}} placeholders
+ * @param {string} defaultTemplate - Used when the webhook has no own message template
+ * @returns {Promise<boolean>} Whether a message was sent
+ */
+export async function sendDiscordEventNotification(eventType, values, defaultTemplate) {
+  try {
+    const webhook = await db.get(
+      'SELECT webhook_url, message_template FROM discord_webhooks WHERE event_type = ? AND enabled = 1',
+      [eventType]
+    );
+    if (!webhook?.webhook_url) return false;
+
+    let message = webhook.message_template || defaultTemplate;
+    for (const [key, value] of Object.entries(values)) {
+      message = message.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), value);
+    }
+    return await sendDiscordWebhook(webhook.webhook_url, message);
+  } catch (error) {
+    console.error(`Error sending ${eventType} Discord webhook:`, error);
+    return false;
+  }
+}
@@ -21,6 +21,7 @@ import Guilds from './pages/Guilds';
 import GuildDetail from './pages/GuildDetail';
 import Messages from './pages/Messages';
 import Quests from './pages/Quests';
+import Marketplace from './pages/Marketplace';
 import Statistics from './pages/Statistics';
 import Navbar from './components/Navbar';
 import ErrorBoundary from './components/ErrorBoundary';
@@ -164,6 +165,14 @@ function AppRoutes() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/marketplace"
+          element={
+            <ProtectedRoute>
+              <Marketplace />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/statistics"
           element={
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import './GatheringSkills.css';
+
+// Mining, woodcutting and herbalism with level, progress to the next level and the bonuses they give
+function GatheringSkills() {
+  const [skills, setSkills] = useState([]);
+
+  useEffect(() => {
+    fetchSkills();
+  }, []);
+
+  const fetchSkills = async () => {
+    try {
+      const response = await api.get('/resources/skills');
+      setSkills(response.data.skills || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der Sammelfertigkeiten:', error);
+    }
+  };
+
+  if (skills.length === 0) return null;
+
+  return (
+    <div className="gathering-skills">
+      <h3>🌿 Sammelfertigkeiten</h3>
+      <div className="gathering-skills-list">
+        {skills.map(skill => (
+          <div key={skill.skill} className="gathering-skill">
+            <div className="gathering-skill-header">
+              <span className="gathering-skill-name">{skill.icon} {skill.display_name}</span>
+              <span className="gathering-skill-level">Level {skill.level}</span>
+            </div>
+            <div className="gathering-skill-bar">
+              <div className="gathering-skill-fill" style={{ width: `${skill.progress_percent}%` }} />
+              <span>
+                {skill.exp_for_next_level ? `${skill.experience}/${skill.exp_for_next_level} EP` : 'Maximales Level'}
+              </span>
+            </div>
+            <div className="gathering-skill-bonuses">
+              <span title="Schnelleres Sammeln">⏱️ +{Math.round((skill.speed_bonus - 1) * 100)}%</span>
+              <span title="Höhere Chance auf seltene Drops">⭐ +{(skill.rare_drop_bonus * 100).toFixed(1)}%</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default GatheringSkills;
@@ -0,0 +1,101 @@
+import api from '../services/api';
+import './JobQueue.css';
+
+const TYPE_ICONS = {
+  collection: '🪓',
+  building: '🏗️',
+  crafting: '⚒️',
+  gathering: '⛏️'
+};
+
+// Remaining time of a running job, e.g. "1 Std. 5 Min."
+function formatRemaining(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} Min.`;
+  return `${Math.floor(minutes / 60)} Std. ${minutes % 60} Min.`;
+}
+
+// Shows the used job slots, all open jobs (several of one type can run in parallel),
+// the follow-up jobs waiting to start and the auto-claim setting
+function JobQueue({ slots, jobs = [], queue, autoClaim, onChange }) {
+  if (!slots) return null;
+
+  const claimJob = async (job) => {
+    try {
+      await api.post(`/jobs/${job.type}/${job.id}/claim`);
+      onChange?.();
+    } catch (error) {
+      console.error('Fehler beim Abholen des Auftrags:', error);
+    }
+  };
+
+  const removeEntry = async (queueId) => {
+    try {
+      await api.delete(`/jobs/queue/${queueId}`);
+      onChange?.();
+    } catch (error) {
+      console.error('Fehler beim Entfernen aus der Warteschlange:', error);
+    }
+  };
+
+  const toggleAutoClaim = async (e) => {
+    try {
+      await api.put('/jobs/settings', { auto_claim: e.target.checked });
+      onChange?.();
+    } catch (error) {
+      console.error('Fehler beim Speichern der Einstellung:', error);
+    }
+  };
+
+  return (
+    <div className="job-queue">
+      <div className="job-queue-slots">
+        <span>📋 Auftragsplätze</span>
+        <strong>{slots.used} / {slots.total}</strong>
+      </div>
+
+      <label className="job-queue-auto-claim" title="Fertige Aufträge landen direkt im Inventar">
+        <input type="checkbox" checked={!!autoClaim} onChange={toggleAutoClaim} />
+        Automatisch abholen
+      </label>
+
+      {jobs.length > 0 && (
+        <ul className="job-queue-jobs">
+          {jobs.map(job => (
+            <li key={`${job.type}-${job.id}`}>
+              <span>{TYPE_ICONS[job.type] || '📦'} {job.name}</span>
+              {job.is_paused ? (
+                <span className="job-queue-state">⏸️ Pausiert</span>
+              ) : job.is_ready ? (
+                <button className="job-queue-claim" onClick={() => claimJob(job)}>
+                  ✅ Abholen
+                </button>
+              ) : (
+                <span className="job-queue-state">⏱️ {formatRemaining(job.remaining_seconds)}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {queue.length > 0 && (
+        <ol className="job-queue-list">
+          {queue.map(entry => (
+            <li key={entry.id}>
+              <span>{TYPE_ICONS[entry.type] || '📦'} {entry.name}</span>
+              <button
+                className="job-queue-remove"
+                onClick={() => removeEntry(entry.id)}
+                title="Aus der Warteschlange entfernen"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default JobQueue;
@@ -98,6 +98,7 @@ function Navbar() {
           </Link>
           <Link to="/players" onClick={closeMenu}>Spieler</Link>
           <Link to="/guilds" onClick={closeMenu}>Gilden</Link>
+          <Link to="/marketplace" onClick={closeMenu}>Auktionshaus</Link>
           <Link to="/messages" className="navbar-messages desktop-messages" onClick={closeMenu}>
             📬
             {unreadCount > 0 && (
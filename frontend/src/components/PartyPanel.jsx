@@ -0,0 +1,201 @@
+import api from '../services/api';
+import './PartyPanel.css';
+
+const LOOT_RULE_LABELS = {
+  round_robin: '🔄 Reihum',
+  need_greed: '🎲 Bedarf/Gier',
+  leader: '👑 Anführer verteilt'
+};
+
+const RARITY_COLORS = {
+  common: '#c9b896',
+  uncommon: '#2ecc71',
+  rare: '#3498db',
+  epic: '#9b59b6',
+  legendary: '#f39c12'
+};
+
+// The player's party on the map: members with health, invitations, loot rule and drops waiting for a decision
+function PartyPanel({ party, invites, userId, onChange, onMessage }) {
+  if (!party && invites.length === 0) return null;
+
+  const run = async (request, fallback) => {
+    try {
+      const response = await request();
+      onMessage?.(response.data.message);
+      onChange?.();
+    } catch (error) {
+      onMessage?.(error.response?.data?.error || fallback);
+    }
+  };
+
+  const formatExpiry = (expiresAt) =>
+    new Date(expiresAt.replace(' ', 'T') + 'Z').toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="party-panel">
+      {invites.length > 0 && (
+        <div className="party-invites">
+          <h3>📨 Gruppeneinladungen</h3>
+          {invites.map(invite => (
+            <div key={invite.id} className="party-invite">
+              <span>
+                <strong>{invite.inviter_name}</strong> lädt dich ein ({invite.member_count} Mitglieder)
+              </span>
+              <div className="party-actions">
+                <button
+                  className="btn btn-success btn-small"
+                  onClick={() => run(() => api.post(`/parties/invites/${invite.id}/accept`), 'Fehler beim Beitreten')}
+                >
+                  ✅ Annehmen
+                </button>
+                <button
+                  className="btn btn-danger btn-small"
+                  onClick={() => run(() => api.post(`/parties/invites/${invite.id}/decline`), 'Fehler beim Ablehnen')}
+                >
+                  ❌ Ablehnen
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {party && (
+        <>
+          <div className="party-header">
+            <h3>👥 Gruppe ({party.members.length}/{party.max_size})</h3>
+            {party.is_leader ? (
+              <select
+                value={party.loot_rule}
+                onChange={(e) => run(() => api.put('/parties/loot-rule', { rule: e.target.value }), 'Fehler beim Ändern der Beuteregel')}
+                title="Beuteregel"
+              >
+                {Object.entries(LOOT_RULE_LABELS).map(([rule, label]) => (
+                  <option key={rule} value={rule}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <span className="party-loot-rule">{LOOT_RULE_LABELS[party.loot_rule]}</span>
+            )}
+          </div>
+
+          <ul className="party-members">
+            {party.members.map(member => (
+              <li key={member.user_id} className={member.user_id === userId ? 'me' : ''}>
+                <span className="party-member-name">
+                  {member.is_leader && '👑 '}{member.username}
+                  <small> Lv.{member.level || 1}</small>
+                </span>
+                <div className="party-member-health">
+                  <div
+                    className="party-member-health-fill"
+                    style={{ width: `${Math.min(100, (member.current_health / (member.max_health || 1)) * 100)}%` }}
+                  />
+                  <span>❤️ {member.current_health}/{member.max_health}</span>
+                </div>
+                {party.is_leader && member.user_id !== userId && (
+                  <div className="party-actions">
+                    <button
+                      className="btn btn-secondary btn-small"
+                      onClick={() => run(() => api.post(`/parties/leader/${member.user_id}`), 'Fehler')}
+                      title="Zum Anführer machen"
+                    >
+                      👑
+                    </button>
+                    <button
+                      className="btn btn-danger btn-small"
+                      onClick={() => run(() => api.post(`/parties/kick/${member.user_id}`), 'Fehler beim Entfernen')}
+                      title="Aus der Gruppe entfernen"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {party.invites.length > 0 && (
+            <p className="party-pending">
+              ⏳ Eingeladen: {party.invites.map(invite => invite.username).join(', ')}
+            </p>
+          )}
+
+          {party.loot.length > 0 && (
+            <div className="party-loot">
+              <h4>🎁 Offene Beute</h4>
+              {party.loot.map(loot => (
+                <div key={loot.id} className="party-loot-entry">
+                  <div className="party-loot-item">
+                    <strong style={{ color: RARITY_COLORS[loot.rarity] || RARITY_COLORS.common }}>
+                      {loot.quantity}x {loot.item_name}
+                    </strong>
+                    {loot.source && <small> von {loot.source}</small>}
+                    <small className="party-loot-expiry"> · bis {formatExpiry(loot.expires_at)}</small>
+                  </div>
+
+                  {loot.loot_rule === 'need_greed' && (
+                    loot.eligible && !loot.my_choice ? (
+                      <div className="party-actions">
+                        <button
+                          className="btn btn-success btn-small"
+                          onClick={() => run(() => api.post(`/parties/loot/${loot.id}/roll`, { choice: 'need' }), 'Fehler beim Würfeln')}
+                        >
+                          🎯 Bedarf
+                        </button>
+                        <button
+                          className="btn btn-primary btn-small"
+                          onClick={() => run(() => api.post(`/parties/loot/${loot.id}/roll`, { choice: 'greed' }), 'Fehler beim Würfeln')}
+                        >
+                          💰 Gier
+                        </button>
+                        <button
+                          className="btn btn-secondary btn-small"
+                          onClick={() => run(() => api.post(`/parties/loot/${loot.id}/roll`, { choice: 'pass' }), 'Fehler')}
+                        >
+                          🚫 Passen
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="party-loot-status">
+                        {loot.participants.filter(p => p.decided).length}/{loot.participants.length} haben gewählt
+                      </p>
+                    )
+                  )}
+
+                  {loot.loot_rule === 'leader' && (
+                    party.is_leader ? (
+                      <div className="party-actions">
+                        {loot.participants.map(participant => (
+                          <button
+                            key={participant.user_id}
+                            className="btn btn-primary btn-small"
+                            onClick={() => run(() => api.post(`/parties/loot/${loot.id}/assign`, { userId: participant.user_id }), 'Fehler beim Verteilen')}
+                          >
+                            → {participant.username}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="party-loot-status">Der Anführer verteilt diese Beute</p>
+                    )
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => run(() => api.post('/parties/leave'), 'Fehler beim Verlassen')}
+          >
+            🚪 Gruppe verlassen
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PartyPanel;
@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import './PropertyGrid.css';
+
+// Cells a building covers with a rotation (90° and 270° swap the sides)
+const getFootprint = (building, rotation) => (
+  rotation === 90 || rotation === 270
+    ? { width: building.grid_height, height: building.grid_width }
+    : { width: building.grid_width, height: building.grid_height }
+);
+
+const overlaps = (a, b) => (
+  a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+);
+
+/**
+ * Grid plot of a player with the placed buildings.
+ * Editable: pick up a building, rotate it and click a free cell to put it down.
+ */
+function PropertyGrid({ layout, editable = false, selectedName = null, onSelect, onPlace, onStore }) {
+  const [moving, setMoving] = useState(null);
+  const [hoverCell, setHoverCell] = useState(null);
+
+  if (!layout) return null;
+
+  const { plot, background, buildings } = layout;
+  const placed = buildings.filter(b => b.is_placed);
+  const unplaced = buildings.filter(b => !b.is_placed);
+
+  const toPercent = (rect) => ({
+    left: `${rect.x / plot.width * 100}%`,
+    top: `${rect.y / plot.height * 100}%`,
+    width: `${rect.width / plot.width * 100}%`,
+    height: `${rect.height / plot.height * 100}%`
+  });
+
+  const ghost = moving && hoverCell
+    ? { x: hoverCell.x, y: hoverCell.y, ...getFootprint(moving, moving.rotation) }
+    : null;
+  const ghostValid = ghost
+    && ghost.x + ghost.width <= plot.width
+    && ghost.y + ghost.height <= plot.height
+    && !placed.some(b => b.building_id !== moving.building_id
+      && overlaps(ghost, { x: b.grid_x, y: b.grid_y, width: b.width, height: b.height }));
+
+  const pickUp = (building) => {
+    setMoving({ ...building, rotation: building.rotation || 0 });
+  };
+
+  const handleBuildingClick = (building) => {
+    if (editable) {
+      pickUp(building);
+    } else if (onSelect) {
+      onSelect(building);
+    }
+  };
+
+  const handleCellClick = async (x, y) => {
+    if (!moving) return;
+    const done = await onPlace(moving.building_id, x, y, moving.rotation);
+    if (done) {
+      setMoving(null);
+      setHoverCell(null);
+    }
+  };
+
+  const handleStore = async () => {
+    const done = await onStore(moving.building_id);
+    if (done) setMoving(null);
+  };
+
+  const cells = [];
+  for (let y = 0; y < plot.height; y++) {
+    for (let x = 0; x < plot.width; x++) {
+      cells.push(
+        <div
+          key={`${x}-${y}`}
+          className="property-grid-cell"
+          onClick={() => handleCellClick(x, y)}
+          onMouseEnter={() => setHoverCell({ x, y })}
+        />
+      );
+    }
+  }
+
+  return (
+    <div className={`property-grid-wrapper ${editable ? 'editable' : ''}`}>
+      <div
+        className={`property-grid ${moving ? 'is-moving' : ''}`}
+        style={{
+          aspectRatio: `${plot.width} / ${plot.height}`,
+          gridTemplateColumns: `repeat(${plot.width}, 1fr)`,
+          backgroundImage: background ? `url(${background})` : undefined
+        }}
+        onMouseLeave={() => setHoverCell(null)}
+      >
+        {cells}
+
+        {placed.map(building => (
+          <div
+            key={building.building_id}
+            className={`property-grid-building ${moving?.building_id === building.building_id ? 'moving' : ''} ${selectedName === building.name ? 'selected' : ''}`}
+            style={toPercent({ x: building.grid_x, y: building.grid_y, width: building.width, height: building.height })}
+            onClick={() => handleBuildingClick(building)}
+            title={`${building.display_name} (Lv. ${building.level})`}
+          >
+            <span className="property-grid-icon" style={{ transform: `rotate(${building.rotation}deg)` }}>
+              {building.icon}
+            </span>
+            <span className="property-grid-label">{building.display_name}</span>
+            <span className="property-grid-level">Lv. {building.level}</span>
+          </div>
+        ))}
+
+        {ghost && (
+          <div
+            className={`property-grid-ghost ${ghostValid ? 'valid' : 'invalid'}`}
+            style={toPercent(ghost)}
+          >
+            <span style={{ transform: `rotate(${moving.rotation}deg)` }}>{moving.icon}</span>
+          </div>
+        )}
+      </div>
+
+      {editable && (
+        <div className="property-grid-toolbar">
+          {moving ? (
+            <>
+              <span>
+                {moving.icon} <strong>{moving.display_name}</strong> ({getFootprint(moving, moving.rotation).width}×{getFootprint(moving, moving.rotation).height}) – klicke auf ein freies Feld
+              </span>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setMoving({ ...moving, rotation: (moving.rotation + 90) % 360 })}
+              >
+                ↻ Drehen
+              </button>
+              {moving.is_placed && (
+                <button className="btn btn-secondary" onClick={handleStore}>📦 Einlagern</button>
+              )}
+              <button className="btn btn-secondary" onClick={() => setMoving(null)}>Abbrechen</button>
+            </>
+          ) : (
+            <span>Klicke auf ein Gebäude, um es zu verschieben oder zu drehen.</span>
+          )}
+        </div>
+      )}
+
+      {editable && unplaced.length > 0 && (
+        <div className="property-grid-unplaced">
+          <span>Nicht platziert:</span>
+          {unplaced.map(building => (
+            <button
+              key={building.building_id}
+              className={`btn btn-secondary ${moving?.building_id === building.building_id ? 'active' : ''}`}
+              onClick={() => pickUp(building)}
+            >
+              {building.icon} {building.display_name} ({building.grid_width}×{building.grid_height})
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PropertyGrid;
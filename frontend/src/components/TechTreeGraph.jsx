@@ -0,0 +1,114 @@
+import './TechTreeGraph.css';
+
+const NODE_WIDTH = 160;
+const NODE_HEIGHT = 72;
+const GAP_X = 80;
+const GAP_Y = 20;
+
+// Column of every building: the longest chain of required buildings in front of it.
+// Buildings may depend on each other at different levels, so a chain stops where it loops.
+function computeColumns(nodes, edges) {
+  const columns = new Map();
+  const visit = (id, path) => {
+    if (columns.has(id)) return columns.get(id);
+    if (path.has(id)) return -1;
+    path.add(id);
+    const parents = edges.filter(edge => edge.to === id && edge.from !== id);
+    const column = Math.max(-1, ...parents.map(edge => visit(edge.from, path))) + 1;
+    path.delete(id);
+    columns.set(id, column);
+    return column;
+  };
+  nodes.forEach(node => visit(node.id, new Set()));
+  return columns;
+}
+
+/**
+ * Building dependency graph: one box per building, arrows from required buildings.
+ * nodes: { id, label, icon, status ('built' | 'available' | 'locked'), subtitle, title }
+ * edges: { from, to, level, required_level, met }
+ */
+function TechTreeGraph({ nodes, edges, selectedId = null, onSelect }) {
+  if (!nodes || nodes.length === 0) {
+    return <div className="tech-tree-empty">Keine Gebäude vorhanden</div>;
+  }
+
+  const columns = computeColumns(nodes, edges);
+  const rows = new Map();
+  const positions = new Map();
+  for (const node of nodes) {
+    const column = columns.get(node.id) || 0;
+    const row = rows.get(column) || 0;
+    rows.set(column, row + 1);
+    positions.set(node.id, { x: column * (NODE_WIDTH + GAP_X), y: row * (NODE_HEIGHT + GAP_Y) });
+  }
+
+  const width = (Math.max(...columns.values()) + 1) * (NODE_WIDTH + GAP_X) - GAP_X;
+  const height = Math.max(...rows.values()) * (NODE_HEIGHT + GAP_Y) - GAP_Y;
+
+  // One arrow per pair of buildings, labelled with every level it applies to
+  const links = new Map();
+  for (const edge of edges) {
+    if (!positions.has(edge.from) || !positions.has(edge.to)) continue;
+    const key = `${edge.from}-${edge.to}`;
+    const link = links.get(key) || { from: edge.from, to: edge.to, labels: [], met: true };
+    link.labels.push(edge.level > 1 ? `Lv. ${edge.required_level} → Lv. ${edge.level}` : `Lv. ${edge.required_level}`);
+    link.met = link.met && edge.met !== false;
+    link.hasState = link.hasState || edge.met !== undefined;
+    links.set(key, link);
+  }
+
+  return (
+    <div className="tech-tree">
+      <div className="tech-tree-canvas" style={{ width, height }}>
+        <svg className="tech-tree-links" width={width} height={height}>
+          <defs>
+            <marker id="tech-tree-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+              <path d="M0,0 L8,4 L0,8 z" fill="#8b6914" />
+            </marker>
+          </defs>
+          {[...links.values()].map(link => {
+            const from = positions.get(link.from);
+            const to = positions.get(link.to);
+            // Arrows run left to right; links inside a column or backwards bend around the boxes
+            const startX = from.x + NODE_WIDTH;
+            const startY = from.y + NODE_HEIGHT / 2;
+            const endX = to.x;
+            const endY = to.y + NODE_HEIGHT / 2;
+            const bend = Math.max(40, Math.abs(endX - startX) / 2);
+            const path = `M${startX},${startY} C${startX + bend},${startY} ${endX - bend},${endY} ${endX},${endY}`;
+            const className = `tech-tree-link ${link.hasState ? (link.met ? 'met' : 'missing') : ''}`;
+            return (
+              <g key={`${link.from}-${link.to}`} className={className}>
+                <path d={path} markerEnd="url(#tech-tree-arrow)" />
+                <text x={(startX + endX) / 2} y={(startY + endY) / 2 - 6} textAnchor="middle">
+                  {link.labels.join(', ')}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+
+        {nodes.map(node => {
+          const position = positions.get(node.id);
+          return (
+            <div
+              key={node.id}
+              className={`tech-tree-node ${node.status || ''} ${selectedId === node.id ? 'selected' : ''} ${onSelect ? 'clickable' : ''}`}
+              style={{ left: position.x, top: position.y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+              onClick={() => onSelect?.(node)}
+              title={node.title}
+            >
+              <div className="tech-tree-node-label">
+                <span className="tech-tree-node-icon">{node.icon}</span> {node.label}
+              </div>
+              {node.subtitle && <div className="tech-tree-node-subtitle">{node.subtitle}</div>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default TechTreeGraph;
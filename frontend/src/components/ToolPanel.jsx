@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import './ToolPanel.css';
+
+const CATEGORY_LABELS = {
+  pickaxe: '⛏️ Spitzhacken',
+  axe: '🪓 Äxte',
+  sickle: '🌾 Sicheln'
+};
+
+const formatMaterials = (materials) =>
+  materials.map(material => `${material.quantity}x ${material.display_name}`).join(', ');
+
+const formatStation = (recipe) => {
+  const stations = [];
+  if (recipe.required_workbench_level > 0) stations.push(`Werkbank Lv. ${recipe.required_workbench_level}`);
+  if (recipe.building_display_name) stations.push(`${recipe.building_display_name} Lv. ${recipe.required_building_level || 1}`);
+  return stations.join(' + ') || 'Überall';
+};
+
+// The player's gathering tools per category: durability, equipping, repair, salvage and crafting
+function ToolPanel({ tools, onChange, onMessage }) {
+  const [recipes, setRecipes] = useState([]);
+  const [showRecipes, setShowRecipes] = useState(false);
+
+  // Recipes show what the player owns, so reload them whenever the tools changed
+  useEffect(() => {
+    fetchRecipes();
+  }, [tools]);
+
+  const fetchRecipes = async () => {
+    try {
+      const response = await api.get('/resources/tools/recipes');
+      setRecipes(response.data.recipes || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der Werkzeugrezepte:', error);
+    }
+  };
+
+  const run = async (request, fallback) => {
+    try {
+      const response = await request();
+      onMessage?.(response.data.message);
+      onChange?.();
+    } catch (error) {
+      onMessage?.(error.response?.data?.error || fallback);
+    }
+  };
+
+  return (
+    <div className="tool-panel">
+      <div className="tool-panel-header">
+        <h3>🔧 Werkzeuge</h3>
+        <button className="btn btn-small" onClick={() => setShowRecipes(!showRecipes)}>
+          {showRecipes ? '✖ Schließen' : `⚒️ Herstellen (${recipes.length})`}
+        </button>
+      </div>
+
+      {Object.entries(CATEGORY_LABELS).map(([category, label]) => {
+        const categoryTools = tools.filter(tool => tool.category === category);
+        return (
+          <div key={category} className="tool-category">
+            <h4>{label}</h4>
+            {categoryTools.length === 0 ? (
+              <p className="tool-empty">Kein Werkzeug</p>
+            ) : categoryTools.map(tool => {
+              const percent = tool.max_durability > 0 ? (tool.current_durability / tool.max_durability) * 100 : 0;
+              return (
+                <div
+                  key={tool.id}
+                  className={`tool-card ${tool.is_equipped ? 'equipped' : ''} ${tool.is_broken ? 'broken' : ''}`}
+                >
+                  <div className="tool-card-info">
+                    <span className="tool-card-name">
+                      {tool.icon} {tool.display_name} <small>Stufe {tool.tier}</small>
+                      {tool.is_equipped ? <span className="tool-badge">Ausgerüstet</span> : null}
+                      {tool.is_broken && <span className="tool-badge broken">Kaputt</span>}
+                    </span>
+                    <div className="tool-durability-bar" title={`Haltbarkeit ${tool.current_durability}/${tool.max_durability}`}>
+                      <div
+                        className={`tool-durability-fill ${percent <= 20 ? 'low' : ''}`}
+                        style={{ width: `${Math.max(0, percent)}%` }}
+                      />
+                    </div>
+                    <span className="tool-durability-text">🔋 {Math.max(0, tool.current_durability)}/{tool.max_durability}</span>
+                  </div>
+
+                  <div className="tool-actions">
+                    {!tool.is_broken && (tool.is_equipped ? (
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => run(() => api.post(`/resources/tools/${tool.id}/unequip`), 'Fehler beim Ablegen')}
+                      >
+                        Ablegen
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-primary btn-small"
+                        onClick={() => run(() => api.post(`/resources/tools/${tool.id}/equip`), 'Fehler beim Ausrüsten')}
+                      >
+                        Ausrüsten
+                      </button>
+                    ))}
+                    {tool.repair && (
+                      <button
+                        className="btn btn-small"
+                        title="Bei einem Händler"
+                        onClick={() => run(() => api.post(`/resources/tools/${tool.id}/repair`, { method: 'gold' }), 'Fehler beim Reparieren')}
+                      >
+                        💰 Reparieren ({tool.repair.gold} Gold)
+                      </button>
+                    )}
+                    {tool.repair?.materials?.length > 0 && (
+                      <button
+                        className="btn btn-small"
+                        title="An der Werkbank oder in der Schmiede, wo das Werkzeug hergestellt wird"
+                        onClick={() => run(() => api.post(`/resources/tools/${tool.id}/repair`, { method: 'materials' }), 'Fehler beim Reparieren')}
+                      >
+                        🔨 Reparieren ({formatMaterials(tool.repair.materials)})
+                      </button>
+                    )}
+                    {tool.is_broken && (
+                      <button
+                        className="btn btn-danger btn-small"
+                        title={tool.salvage?.length ? `Ergibt ${formatMaterials(tool.salvage)}` : 'Ergibt nichts'}
+                        onClick={() => run(() => api.post(`/resources/tools/${tool.id}/salvage`), 'Fehler beim Zerlegen')}
+                      >
+                        ♻️ Zerlegen
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+
+      {showRecipes && (
+        <div className="tool-recipes">
+          <h4>⚒️ Werkzeuge herstellen</h4>
+          {recipes.length === 0 ? (
+            <p className="tool-empty">Keine Rezepte vorhanden</p>
+          ) : recipes.map(recipe => (
+            <div key={recipe.id} className={`tool-recipe ${recipe.can_craft ? 'craftable' : ''}`}>
+              <div className="tool-recipe-info">
+                <span className="tool-card-name">
+                  {recipe.icon} {recipe.display_name} <small>Stufe {recipe.tier} · 🔋 {recipe.durability}</small>
+                </span>
+                <span className={`tool-recipe-requirement ${recipe.station_met ? '' : 'missing'}`}>
+                  🏠 {formatStation(recipe)}
+                </span>
+                {recipe.required_level > 1 && (
+                  <span className={`tool-recipe-requirement ${recipe.level_met ? '' : 'missing'}`}>
+                    ⭐ Level {recipe.required_level}
+                  </span>
+                )}
+                <ul className="tool-recipe-ingredients">
+                  {recipe.gold_cost > 0 && <li>💰 {recipe.gold_cost} Gold</li>}
+                  {recipe.ingredients.map(ingredient => (
+                    <li key={ingredient.item_id} className={ingredient.owned >= ingredient.quantity ? '' : 'missing'}>
+                      {ingredient.display_name}: {ingredient.owned}/{ingredient.quantity}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                className="btn btn-success btn-small"
+                disabled={!recipe.can_craft}
+                onClick={() => run(() => api.post('/resources/tools/craft', { recipe_id: recipe.id }), 'Fehler beim Herstellen')}
+              >
+                ⚒️ Herstellen
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ToolPanel;
@@ -14,6 +14,7 @@ const EFFECT_TYPES = [
   { value: 'gold_percent', label: '💰 Gold %', description: 'Mehr Gold bei Drops' },
   { value: 'gather_speed', label: '⛏️ Sammelgeschwindigkeit %', description: 'Schnelleres Sammeln' },
   { value: 'craft_speed', label: '🔨 Craftgeschwindigkeit %', description: 'Schnelleres Craften' },
+  { value: 'regen_percent', label: '💚 Regeneration %', description: 'Schnellere HP-Regeneration' },
   { value: 'all_stats', label: '✨ Alle Stats %', description: 'Erhöht alle Stats gleichmäßig' },
 ];
 
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import api from '../../services/api';
+import TechTreeGraph from '../TechTreeGraph';
 import './BuildingsManagement.css';
 
 function BuildingsManagement() {
@@ -11,11 +12,14 @@ function BuildingsManagement() {
   const [message, setMessage] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [availableImages, setAvailableImages] = useState([]);
+  const [quests, setQuests] = useState([]);
+  const [showTechTree, setShowTechTree] = useState(false);
 
   useEffect(() => {
     fetchBuildings();
     fetchItems();
     fetchAvailableImages();
+    fetchQuests();
   }, []);
 
   const fetchBuildings = async () => {
@@ -39,6 +43,16 @@ function BuildingsManagement() {
     }
   };
 
+  // Only personal quests can be building prerequisites
+  const fetchQuests = async () => {
+    try {
+      const response = await api.get('/quests/admin/all');
+      setQuests((response.data.quests || []).filter(q => (q.scope || 'user') === 'user'));
+    } catch (error) {
+      console.error('Fehler beim Laden der Quests:', error);
+    }
+  };
+
   const fetchAvailableImages = async () => {
     try {
       const response = await api.get('/files/buildings');
@@ -129,6 +143,74 @@ function BuildingsManagement() {
     }
   };
 
+  const handleSaveProduction = async (buildingId, productionData) => {
+    try {
+      await api.post(`/admin/buildings/${buildingId}/production`, productionData);
+      setMessage('Produktion erfolgreich gespeichert');
+      setTimeout(() => setMessage(''), 3000);
+      fetchBuildings();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Speichern');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  const handleDeleteProduction = async (productionId) => {
+    if (!window.confirm('Produktionsstufe wirklich löschen?')) return;
+
+    try {
+      await api.delete(`/admin/buildings/production/${productionId}`);
+      setMessage('Produktion erfolgreich gelöscht');
+      setTimeout(() => setMessage(''), 3000);
+      fetchBuildings();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Löschen');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  const handleAddPrerequisite = async (buildingId, prerequisiteData) => {
+    try {
+      await api.post(`/admin/buildings/${buildingId}/prerequisites`, prerequisiteData);
+      setMessage('Voraussetzung erfolgreich hinzugefügt');
+      setTimeout(() => setMessage(''), 3000);
+      fetchBuildings();
+      return true;
+    } catch (error) {
+      setMessage(`Fehler: ${error.response?.data?.error || 'Hinzufügen fehlgeschlagen'}`);
+      setTimeout(() => setMessage(''), 5000);
+      return false;
+    }
+  };
+
+  const handleUpdatePrerequisite = async (prerequisiteId, prerequisiteData) => {
+    try {
+      await api.put(`/admin/buildings/prerequisites/${prerequisiteId}`, prerequisiteData);
+      setMessage('Voraussetzung erfolgreich aktualisiert');
+      setTimeout(() => setMessage(''), 3000);
+      fetchBuildings();
+      return true;
+    } catch (error) {
+      setMessage(`Fehler: ${error.response?.data?.error || 'Aktualisieren fehlgeschlagen'}`);
+      setTimeout(() => setMessage(''), 5000);
+      return false;
+    }
+  };
+
+  const handleDeletePrerequisite = async (prerequisiteId) => {
+    if (!window.confirm('Voraussetzung wirklich löschen?')) return;
+
+    try {
+      await api.delete(`/admin/buildings/prerequisites/${prerequisiteId}`);
+      setMessage('Voraussetzung erfolgreich gelöscht');
+      setTimeout(() => setMessage(''), 3000);
+      fetchBuildings();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Löschen');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
   const toggleSelect = (buildingId) => {
     setSelectedBuilding(selectedBuilding === buildingId ? null : buildingId);
   };
@@ -152,14 +234,46 @@ function BuildingsManagement() {
 
       <div className="buildings-header">
         <h2>🏠 Gebäude ({buildings.length})</h2>
-        <button
-          className="btn btn-primary"
-          onClick={() => setShowCreateForm(!showCreateForm)}
-        >
-          {showCreateForm ? 'Abbrechen' : '+ Neues Gebäude'}
-        </button>
+        <div className="buildings-header-actions">
+          <button
+            className={`btn ${showTechTree ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setShowTechTree(!showTechTree)}
+          >
+            🌳 Technologiebaum
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => setShowCreateForm(!showCreateForm)}
+          >
+            {showCreateForm ? 'Abbrechen' : '+ Neues Gebäude'}
+          </button>
+        </div>
       </div>
 
+      {showTechTree && (
+        <div className="tech-tree-section">
+          <TechTreeGraph
+            nodes={buildings.map(building => {
+              const others = (building.prerequisites || []).filter(p => p.prerequisite_type !== 'building');
+              return {
+                id: building.id,
+                label: building.display_name,
+                icon: '🏠',
+                subtitle: others.length > 0
+                  ? others.map(p => (p.level > 1 ? `Lv. ${p.level}: ${p.label}` : p.label)).join(', ')
+                  : `Max Lv. ${building.max_level}`,
+                title: (building.prerequisites || []).map(p => `Lv. ${p.level}: ${p.label}`).join('\n')
+              };
+            })}
+            edges={buildings.flatMap(building => (building.prerequisites || [])
+              .filter(p => p.prerequisite_type === 'building')
+              .map(p => ({ from: p.required_building_id, to: building.id, level: p.level, required_level: p.required_level })))}
+            selectedId={selectedBuilding}
+            onSelect={(node) => setSelectedBuilding(node.id)}
+          />
+        </div>
+      )}
+
       {/* Create Form Modal */}
       {showCreateForm && (
         <div className="modal-overlay" onClick={() => setShowCreateForm(false)}>
@@ -206,6 +320,7 @@ function BuildingsManagement() {
               <th>Bauzeit</th>
               <th>Upgrade</th>
               <th>Reihenf.</th>
+              <th>Fläche</th>
               <th style={{width: '120px'}}>Aktionen</th>
             </tr>
           </thead>
@@ -236,6 +351,7 @@ function BuildingsManagement() {
                   <td>{building.build_duration_minutes} Min</td>
                   <td>{building.upgrade_duration_minutes} Min</td>
                   <td>{building.unlock_order}</td>
+                  <td>{building.grid_width}×{building.grid_height}</td>
                   <td className="action-cell">
                     <button 
                       className="btn-icon btn-edit" 
@@ -255,7 +371,7 @@ function BuildingsManagement() {
                 </tr>
                 {selectedBuilding === building.id && (
                   <tr className="details-row">
-                    <td colSpan="7">
+                    <td colSpan="8">
                       <div className="building-details">
                         {building.description && (
                           <p className="building-description">
@@ -269,6 +385,20 @@ function BuildingsManagement() {
                           onUpdateRequirement={handleUpdateRequirement}
                           onDeleteRequirement={handleDeleteRequirement}
                         />
+                        <ProductionSection
+                          building={building}
+                          items={items}
+                          onSave={(data) => handleSaveProduction(building.id, data)}
+                          onDelete={handleDeleteProduction}
+                        />
+                        <PrerequisitesSection
+                          building={building}
+                          buildings={buildings}
+                          quests={quests}
+                          onAdd={(data) => handleAddPrerequisite(building.id, data)}
+                          onUpdate={handleUpdatePrerequisite}
+                          onDelete={handleDeletePrerequisite}
+                        />
                       </div>
                     </td>
                   </tr>
@@ -301,7 +431,9 @@ function BuildingForm({ building, availableImages, onSave, onCancel }) {
     max_level: building?.max_level || 3,
     build_duration_minutes: building?.build_duration_minutes || 5,
     upgrade_duration_minutes: building?.upgrade_duration_minutes || 3,
-    unlock_order: building?.unlock_order || 99
+    unlock_order: building?.unlock_order || 99,
+    grid_width: building?.grid_width || 2,
+    grid_height: building?.grid_height || 2
   });
   const [showImageSelector, setShowImageSelector] = useState(false);
 
@@ -376,6 +508,30 @@ function BuildingForm({ building, availableImages, onSave, onCancel }) {
         </div>
       </div>
 
+      <div className="form-row">
+        <div className="form-group">
+          <label>Breite (Felder)</label>
+          <input
+            type="number"
+            min="1"
+            max="8"
+            value={formData.grid_width}
+            onChange={(e) => setFormData({ ...formData, grid_width: parseInt(e.target.value) || 1 })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Tiefe (Felder)</label>
+          <input
+            type="number"
+            min="1"
+            max="8"
+            value={formData.grid_height}
+            onChange={(e) => setFormData({ ...formData, grid_height: parseInt(e.target.value) || 1 })}
+          />
+          <small>Fläche auf dem Grundstück der Spieler</small>
+        </div>
+      </div>
+
       <div className="form-group">
         <label>Beschreibung</label>
         <textarea
@@ -639,4 +795,302 @@ function RequirementsSection({ building, items, onAddRequirement, onUpdateRequir
   );
 }
 
+// Passive production per building level: a row applies from its level up to the next row
+function ProductionSection({ building, items, onSave, onDelete }) {
+  const emptyForm = { level: 1, output_item_id: '', output_per_hour: 1, storage_cap: 10, input_item_id: '', input_quantity: 1 };
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      level: parseInt(formData.level) || 1,
+      output_item_id: parseInt(formData.output_item_id),
+      output_per_hour: parseFloat(formData.output_per_hour),
+      storage_cap: parseInt(formData.storage_cap),
+      input_item_id: formData.input_item_id ? parseInt(formData.input_item_id) : null,
+      input_quantity: parseInt(formData.input_quantity) || 0
+    });
+    setShowForm(false);
+    setFormData(emptyForm);
+  };
+
+  const handleEdit = (production) => {
+    setFormData({
+      level: production.level,
+      output_item_id: production.output_item_id.toString(),
+      output_per_hour: production.output_per_hour,
+      storage_cap: production.storage_cap,
+      input_item_id: production.input_item_id ? production.input_item_id.toString() : '',
+      input_quantity: production.input_quantity || 1
+    });
+    setShowForm(true);
+  };
+
+  return (
+    <div className="requirements-section">
+      <div className="requirements-header">
+        <h4>🏭 Produktion</h4>
+        <button
+          className="btn btn-small btn-primary"
+          onClick={() => { setShowForm(!showForm); setFormData(emptyForm); }}
+        >
+          {showForm ? 'Abbrechen' : '+ Stufe'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="requirement-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Ab Level</label>
+              <input
+                type="number"
+                min="1"
+                max={building.max_level}
+                value={formData.level}
+                onChange={(e) => setFormData({ ...formData, level: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Produkt</label>
+              <select
+                value={formData.output_item_id}
+                onChange={(e) => setFormData({ ...formData, output_item_id: e.target.value })}
+                required
+              >
+                <option value="">-- Wählen --</option>
+                {items.map(item => (
+                  <option key={item.id} value={item.id}>{item.display_name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Pro Stunde</label>
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                value={formData.output_per_hour}
+                onChange={(e) => setFormData({ ...formData, output_per_hour: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Lagergrenze</label>
+              <input
+                type="number"
+                min="1"
+                value={formData.storage_cap}
+                onChange={(e) => setFormData({ ...formData, storage_cap: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Rohstoff (optional)</label>
+              <select
+                value={formData.input_item_id}
+                onChange={(e) => setFormData({ ...formData, input_item_id: e.target.value })}
+              >
+                <option value="">-- Keiner --</option>
+                {items.map(item => (
+                  <option key={item.id} value={item.id}>{item.display_name}</option>
+                ))}
+              </select>
+            </div>
+            {formData.input_item_id && (
+              <div className="form-group">
+                <label>Rohstoff je Stück</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.input_quantity}
+                  onChange={(e) => setFormData({ ...formData, input_quantity: e.target.value })}
+                />
+              </div>
+            )}
+            <div className="form-group form-buttons">
+              <button type="submit" className="btn btn-primary btn-small">✓</button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      <div className="requirements-lists">
+        <div className="requirements-group">
+          {building.production && building.production.length > 0 ? (
+            <ul>
+              {building.production.map(production => (
+                <li key={production.id}>
+                  <div className="req-item">
+                    <span>
+                      Lv.{production.level}+: {production.output_per_hour}/h {production.output_display_name} (max. {production.storage_cap})
+                      {production.input_item_id && ` aus ${production.input_quantity}x ${production.input_display_name}`}
+                    </span>
+                  </div>
+                  <div className="req-actions">
+                    <button className="btn-icon" onClick={() => handleEdit(production)}>✏️</button>
+                    <button className="btn-icon btn-danger" onClick={() => onDelete(production.id)}>🗑️</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="no-requirements">Produziert nichts</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Tech tree: other buildings, a player level or quests needed before a level can be reached
+function PrerequisitesSection({ building, buildings, quests, onAdd, onUpdate, onDelete }) {
+  const emptyForm = { level: 1, prerequisite_type: 'building', required_building_id: '', required_level: 1, required_quest_id: '' };
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      level: parseInt(formData.level) || 1,
+      prerequisite_type: formData.prerequisite_type,
+      required_building_id: formData.required_building_id ? parseInt(formData.required_building_id) : null,
+      required_level: parseInt(formData.required_level) || 1,
+      required_quest_id: formData.required_quest_id ? parseInt(formData.required_quest_id) : null
+    };
+    // Keep the form open when the server rejects it (e.g. a cycle)
+    const saved = editingId ? await onUpdate(editingId, data) : await onAdd(data);
+    if (saved) closeForm();
+  };
+
+  const handleEdit = (prerequisite) => {
+    setFormData({
+      level: prerequisite.level,
+      prerequisite_type: prerequisite.prerequisite_type,
+      required_building_id: prerequisite.required_building_id ? prerequisite.required_building_id.toString() : '',
+      required_level: prerequisite.required_level,
+      required_quest_id: prerequisite.required_quest_id ? prerequisite.required_quest_id.toString() : ''
+    });
+    setEditingId(prerequisite.id);
+    setShowForm(true);
+  };
+
+  return (
+    <div className="requirements-section">
+      <div className="requirements-header">
+        <h4>🌳 Voraussetzungen</h4>
+        <button
+          className="btn btn-small btn-primary"
+          onClick={() => (showForm ? closeForm() : setShowForm(true))}
+        >
+          {showForm ? 'Abbrechen' : '+ Hinzufügen'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="requirement-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Für Level</label>
+              <input
+                type="number"
+                min="1"
+                max={building.max_level}
+                value={formData.level}
+                onChange={(e) => setFormData({ ...formData, level: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Typ</label>
+              <select
+                value={formData.prerequisite_type}
+                onChange={(e) => setFormData({ ...formData, prerequisite_type: e.target.value })}
+              >
+                <option value="building">Gebäude</option>
+                <option value="player_level">Spielerlevel</option>
+                <option value="quest">Quest</option>
+              </select>
+            </div>
+            {formData.prerequisite_type === 'building' && (
+              <div className="form-group">
+                <label>Gebäude</label>
+                <select
+                  value={formData.required_building_id}
+                  onChange={(e) => setFormData({ ...formData, required_building_id: e.target.value })}
+                  required
+                >
+                  <option value="">-- Wählen --</option>
+                  {buildings.filter(b => b.id !== building.id).map(b => (
+                    <option key={b.id} value={b.id}>{b.display_name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {formData.prerequisite_type === 'quest' ? (
+              <div className="form-group">
+                <label>Quest</label>
+                <select
+                  value={formData.required_quest_id}
+                  onChange={(e) => setFormData({ ...formData, required_quest_id: e.target.value })}
+                  required
+                >
+                  <option value="">-- Wählen --</option>
+                  {quests.map(quest => (
+                    <option key={quest.id} value={quest.id}>{quest.display_name}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>{formData.prerequisite_type === 'building' ? 'Mindest-Level' : 'Spielerlevel'}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.required_level}
+                  onChange={(e) => setFormData({ ...formData, required_level: e.target.value })}
+                />
+              </div>
+            )}
+            <div className="form-group form-buttons">
+              <button type="submit" className="btn btn-primary btn-small">{editingId ? '✓' : '+'}</button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      <div className="requirements-lists">
+        <div className="requirements-group">
+          {building.prerequisites && building.prerequisites.length > 0 ? (
+            <ul>
+              {building.prerequisites.map(prerequisite => (
+                <li key={prerequisite.id}>
+                  <div className="req-item">
+                    <span>{prerequisite.level > 1 ? `Lv.${prerequisite.level}` : 'Bau'}: {prerequisite.label}</span>
+                  </div>
+                  <div className="req-actions">
+                    <button className="btn-icon" onClick={() => handleEdit(prerequisite)}>✏️</button>
+                    <button className="btn-icon btn-danger" onClick={() => onDelete(prerequisite.id)}>🗑️</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="no-requirements">Keine Voraussetzungen</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default BuildingsManagement;
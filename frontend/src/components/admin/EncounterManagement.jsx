@@ -0,0 +1,377 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './EncounterManagement.css';
+
+const TYPE_LABELS = {
+  ambush: '⚔️ Überfall',
+  cache: '📦 Versteck',
+  merchant: '🐴 Wandernder Händler'
+};
+
+const TERRAIN_LABELS = {
+  any: 'Überall',
+  path: 'Weg',
+  grass: 'Wiese',
+  dirt: 'Erde',
+  sand: 'Sand',
+  forest: 'Wald',
+  water: 'Wasser',
+  cliff: 'Klippe'
+};
+
+const EMPTY_FORM = {
+  terrain: 'any',
+  encounter_type: 'ambush',
+  chance: 2,
+  min_home_distance: 0,
+  monster_type_id: '',
+  min_level: '',
+  max_level: '',
+  item_id: '',
+  min_quantity: 1,
+  max_quantity: 1,
+  gold_min: 0,
+  gold_max: 0,
+  npc_type_id: '',
+  is_active: true
+};
+
+function EncounterManagement() {
+  const [encounters, setEncounters] = useState([]);
+  const [monsterTypes, setMonsterTypes] = useState([]);
+  const [npcTypes, setNpcTypes] = useState([]);
+  const [items, setItems] = useState([]);
+  const [terrains, setTerrains] = useState(['any']);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  useEffect(() => {
+    fetchEncounters();
+  }, []);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  useEffect(() => {
+    if (error) {
+      const timer = setTimeout(() => setError(''), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error]);
+
+  const fetchEncounters = async () => {
+    try {
+      const response = await api.get('/admin/encounters');
+      setEncounters(response.data.encounters || []);
+      setMonsterTypes(response.data.monsterTypes || []);
+      setNpcTypes(response.data.npcTypes || []);
+      setItems(response.data.items || []);
+      setTerrains(response.data.terrains || ['any']);
+    } catch (err) {
+      setError('Fehler beim Laden der Begegnungen');
+      console.error('Fetch encounters error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const openEdit = (encounter) => {
+    setForm({
+      ...EMPTY_FORM,
+      ...Object.fromEntries(Object.entries(encounter).map(([key, value]) => [key, value ?? ''])),
+      is_active: !!encounter.is_active
+    });
+    setEditingId(encounter.id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await api.put(`/admin/encounters/${editingId}`, form);
+        setMessage('Begegnung aktualisiert');
+      } else {
+        await api.post('/admin/encounters', form);
+        setMessage('Begegnung erstellt');
+      }
+      setShowForm(false);
+      fetchEncounters();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Speichern');
+    }
+  };
+
+  const handleToggle = async (encounter) => {
+    try {
+      await api.put(`/admin/encounters/${encounter.id}`, { ...encounter, is_active: !encounter.is_active });
+      fetchEncounters();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Speichern');
+    }
+  };
+
+  const handleDelete = async (encounter) => {
+    if (!window.confirm('Begegnung wirklich löschen?')) return;
+
+    try {
+      await api.delete(`/admin/encounters/${encounter.id}`);
+      setMessage('Begegnung gelöscht');
+      fetchEncounters();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Löschen');
+    }
+  };
+
+  const describe = (encounter) => {
+    if (encounter.encounter_type === 'ambush') {
+      const levels = encounter.min_level || encounter.max_level
+        ? ` (Lv. ${encounter.min_level || '?'}-${encounter.max_level || '?'})`
+        : '';
+      return `${encounter.monster_name || 'Unbekanntes Monster'}${levels}`;
+    }
+    if (encounter.encounter_type === 'cache') {
+      const parts = [];
+      if (encounter.item_id) parts.push(`${encounter.min_quantity}-${encounter.max_quantity}x ${encounter.item_name || 'Unbekanntes Item'}`);
+      if (encounter.gold_max > 0) parts.push(`${encounter.gold_min}-${encounter.gold_max} Gold`);
+      return parts.join(' + ');
+    }
+    return encounter.npc_name || 'Unbekannter Händler';
+  };
+
+  if (loading) {
+    return <div className="loading">Lade Begegnungen...</div>;
+  }
+
+  return (
+    <div className="encounter-management">
+      <div className="encounters-header">
+        <h2>🏹 Reise-Begegnungen</h2>
+        <button className="btn-primary" onClick={openCreate}>+ Neue Begegnung</button>
+      </div>
+
+      {message && <div className="success-message">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <p className="encounters-hint">
+        Beim Reisen wird etwa alle 400 Welteinheiten der Route gewürfelt. Die Chance gilt pro Wurf auf dem
+        jeweiligen Terrain und steigt mit der Entfernung vom Grundstück. Einträge mit Mindestentfernung
+        treten erst weit draußen auf.
+      </p>
+
+      {showForm && (
+        <form className="encounter-form" onSubmit={handleSubmit}>
+          <h3>{editingId ? 'Begegnung bearbeiten' : 'Neue Begegnung'}</h3>
+          <div className="form-row">
+            <label>
+              Typ
+              <select value={form.encounter_type} onChange={(e) => setForm({ ...form, encounter_type: e.target.value })}>
+                {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Terrain
+              <select value={form.terrain} onChange={(e) => setForm({ ...form, terrain: e.target.value })}>
+                {terrains.map(terrain => (
+                  <option key={terrain} value={terrain}>{TERRAIN_LABELS[terrain] || terrain}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Chance (%)
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                max="100"
+                value={form.chance}
+                onChange={(e) => setForm({ ...form, chance: e.target.value })}
+              />
+            </label>
+            <label>
+              Mindestentfernung vom Grundstück
+              <input
+                type="number"
+                min="0"
+                value={form.min_home_distance}
+                onChange={(e) => setForm({ ...form, min_home_distance: e.target.value })}
+              />
+            </label>
+          </div>
+
+          {form.encounter_type === 'ambush' && (
+            <div className="form-row">
+              <label>
+                Monster
+                <select value={form.monster_type_id} onChange={(e) => setForm({ ...form, monster_type_id: e.target.value })}>
+                  <option value="">-- auswählen --</option>
+                  {monsterTypes.map(monster => (
+                    <option key={monster.id} value={monster.id}>
+                      {monster.display_name} (Lv. {monster.min_level}-{monster.max_level})
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Min-Level
+                <input
+                  type="number"
+                  min="1"
+                  value={form.min_level}
+                  onChange={(e) => setForm({ ...form, min_level: e.target.value })}
+                  placeholder="Standard"
+                />
+              </label>
+              <label>
+                Max-Level
+                <input
+                  type="number"
+                  min="1"
+                  value={form.max_level}
+                  onChange={(e) => setForm({ ...form, max_level: e.target.value })}
+                  placeholder="Standard"
+                />
+              </label>
+            </div>
+          )}
+
+          {form.encounter_type === 'cache' && (
+            <div className="form-row">
+              <label>
+                Item
+                <select value={form.item_id} onChange={(e) => setForm({ ...form, item_id: e.target.value })}>
+                  <option value="">-- kein Item --</option>
+                  {items.map(item => (
+                    <option key={item.id} value={item.id}>{item.display_name}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Menge min
+                <input
+                  type="number"
+                  min="1"
+                  value={form.min_quantity}
+                  onChange={(e) => setForm({ ...form, min_quantity: e.target.value })}
+                />
+              </label>
+              <label>
+                Menge max
+                <input
+                  type="number"
+                  min="1"
+                  value={form.max_quantity}
+                  onChange={(e) => setForm({ ...form, max_quantity: e.target.value })}
+                />
+              </label>
+              <label>
+                Gold min
+                <input
+                  type="number"
+                  min="0"
+                  value={form.gold_min}
+                  onChange={(e) => setForm({ ...form, gold_min: e.target.value })}
+                />
+              </label>
+              <label>
+                Gold max
+                <input
+                  type="number"
+                  min="0"
+                  value={form.gold_max}
+                  onChange={(e) => setForm({ ...form, gold_max: e.target.value })}
+                />
+              </label>
+            </div>
+          )}
+
+          {form.encounter_type === 'merchant' && (
+            <div className="form-row">
+              <label>
+                Händlertyp (Sortiment)
+                <select value={form.npc_type_id} onChange={(e) => setForm({ ...form, npc_type_id: e.target.value })}>
+                  <option value="">-- auswählen --</option>
+                  {npcTypes.map(npc => (
+                    <option key={npc.id} value={npc.id}>{npc.display_name}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={form.is_active}
+              onChange={(e) => setForm({ ...form, is_active: e.target.checked })}
+            />
+            Aktiv
+          </label>
+
+          <div className="form-actions">
+            <button type="submit" className="btn-primary">{editingId ? 'Speichern' : 'Erstellen'}</button>
+            <button type="button" className="btn-secondary" onClick={() => setShowForm(false)}>Abbrechen</button>
+          </div>
+        </form>
+      )}
+
+      <div className="encounters-list">
+        {encounters.length === 0 ? (
+          <p className="no-encounters">Noch keine Begegnungen angelegt.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Typ</th>
+                <th>Terrain</th>
+                <th>Inhalt</th>
+                <th>Chance</th>
+                <th>Mind.-Entfernung</th>
+                <th>Aktiv</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {encounters.map(encounter => (
+                <tr key={encounter.id} className={encounter.is_active ? '' : 'inactive'}>
+                  <td>{TYPE_LABELS[encounter.encounter_type]}</td>
+                  <td>{TERRAIN_LABELS[encounter.terrain] || encounter.terrain}</td>
+                  <td>{describe(encounter)}</td>
+                  <td>{encounter.chance}%</td>
+                  <td>{encounter.min_home_distance || '-'}</td>
+                  <td>
+                    <button className="btn-toggle" onClick={() => handleToggle(encounter)}>
+                      {encounter.is_active ? '✅' : '⏸️'}
+                    </button>
+                  </td>
+                  <td className="encounter-actions">
+                    <button className="btn-edit" onClick={() => openEdit(encounter)}>✏️</button>
+                    <button className="btn-delete" onClick={() => handleDelete(encounter)}>🗑️</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EncounterManagement;
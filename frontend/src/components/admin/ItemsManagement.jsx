@@ -11,17 +11,31 @@ function ItemsManagement() {
     type: 'resource',
     description: '',
     rarity: 'common',
-    image_path: ''
+    image_path: '',
+    heal_amount: 0,
+    buff_type_id: '',
+    buff_duration_minutes: 0
   });
   const [editingItem, setEditingItem] = useState(null);
   const [availableImages, setAvailableImages] = useState([]);
   const [showImageSelector, setShowImageSelector] = useState(false);
+  const [buffTypes, setBuffTypes] = useState([]);
 
   useEffect(() => {
     fetchItems();
     fetchAvailableImages();
+    fetchBuffTypes();
   }, []);
 
+  const fetchBuffTypes = async () => {
+    try {
+      const response = await api.get('/buffs/types');
+      setBuffTypes(response.data.types || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der Buff-Typen:', error);
+    }
+  };
+
   const fetchAvailableImages = async () => {
     try {
       const response = await api.get('/files/items');
@@ -61,7 +75,10 @@ function ItemsManagement() {
         type: 'resource',
         description: '',
         rarity: 'common',
-        image_path: ''
+        image_path: '',
+        heal_amount: 0,
+        buff_type_id: '',
+        buff_duration_minutes: 0
       });
       setEditingItem(null);
       fetchItems();
@@ -78,7 +95,10 @@ function ItemsManagement() {
       type: item.type,
       description: item.description || '',
       rarity: item.rarity || 'common',
-      image_path: item.image_path || ''
+      image_path: item.image_path || '',
+      heal_amount: item.heal_amount || 0,
+      buff_type_id: item.buff_type_id || '',
+      buff_duration_minutes: item.buff_duration_minutes || 0
     });
     // Scroll to form
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -92,7 +112,10 @@ function ItemsManagement() {
       type: 'resource',
       description: '',
       rarity: 'common',
-      image_path: ''
+      image_path: '',
+      heal_amount: 0,
+      buff_type_id: '',
+      buff_duration_minutes: 0
     });
   };
 
@@ -162,6 +185,7 @@ function ItemsManagement() {
               <option value="tool">Werkzeug</option>
               <option value="material">Material</option>
               <option value="upgrade">Upgrade</option>
+              <option value="consumable">Verbrauchsgut</option>
               <option value="other">Sonstiges</option>
             </select>
           </div>
@@ -181,6 +205,42 @@ function ItemsManagement() {
           </div>
         </div>
 
+        {formData.type === 'consumable' && (
+          <div className="form-row">
+            <div className="form-group">
+              <label>Heilung (HP)</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.heal_amount}
+                onChange={(e) => setFormData({ ...formData, heal_amount: parseInt(e.target.value) || 0 })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Buff (optional)</label>
+              <select
+                value={formData.buff_type_id}
+                onChange={(e) => setFormData({ ...formData, buff_type_id: e.target.value })}
+              >
+                <option value="">Kein Buff</option>
+                {buffTypes.map((buff) => (
+                  <option key={buff.id} value={buff.id}>{buff.icon} {buff.display_name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Buff-Dauer (Minuten)</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.buff_duration_minutes}
+                onChange={(e) => setFormData({ ...formData, buff_duration_minutes: parseInt(e.target.value) || 0 })}
+                disabled={!formData.buff_type_id}
+              />
+            </div>
+          </div>
+        )}
+
         <div className="form-row full">
           <div className="form-group">
             <label>Beschreibung (optional)</label>
@@ -30,7 +30,8 @@ function MonsterManagement() {
     attack_per_level: 3,
     defense_per_level: 2,
     spawn_weight: 100,
-    respawn_cooldown: 5
+    respawn_cooldown: 5,
+    min_party_size: 1
   });
 
   // Image Picker State
@@ -165,7 +166,8 @@ function MonsterManagement() {
       attack_per_level: monster.attack_per_level,
       defense_per_level: monster.defense_per_level,
       spawn_weight: monster.spawn_weight,
-      respawn_cooldown: monster.respawn_cooldown || (monster.is_boss ? 60 : 5)
+      respawn_cooldown: monster.respawn_cooldown || (monster.is_boss ? 60 : 5),
+      min_party_size: monster.min_party_size || 1
     });
     setSelectedMonster(monster);
     setEditMode(true);
@@ -266,7 +268,8 @@ function MonsterManagement() {
       attack_per_level: 3,
       defense_per_level: 2,
       spawn_weight: 100,
-      respawn_cooldown: 5
+      respawn_cooldown: 5,
+      min_party_size: 1
     });
     setEditMode(false);
     setSelectedMonster(null);
@@ -393,7 +396,10 @@ function MonsterManagement() {
                   <td className="image-cell">
                     <MonsterImage imagePath={monster.image_path} size={32} />
                   </td>
-                  <td className="type-icon">{monster.is_boss ? '👑' : '👹'}</td>
+                  <td className="type-icon" title={monster.min_party_size > 1 ? `Nur als Gruppe ab ${monster.min_party_size} Spielern` : undefined}>
+                    {monster.is_boss ? '👑' : '👹'}
+                    {monster.min_party_size > 1 && <small>👥{monster.min_party_size}</small>}
+                  </td>
                   <td className="name-cell">
                     <span className="monster-name">{monster.display_name}</span>
                     <span className="monster-internal">{monster.name}</span>
@@ -667,7 +673,12 @@ function MonsterManagement() {
                         <input
                           type="checkbox"
                           checked={form.is_boss}
-                          onChange={(e) => setForm({...form, is_boss: e.target.checked})}
+                          onChange={(e) => setForm({
+                            ...form,
+                            is_boss: e.target.checked,
+                            // Bosses are fought as a party
+                            min_party_size: e.target.checked ? Math.max(2, form.min_party_size) : form.min_party_size
+                          })}
                         />
                         <span className="checkbox-text">👑 Boss-Monster</span>
                       </label>
@@ -690,6 +701,17 @@ function MonsterManagement() {
                         min="1"
                       />
                     </div>
+                    <div className="form-group">
+                      <label>Min. Gruppengröße</label>
+                      <input
+                        type="number"
+                        value={form.min_party_size}
+                        onChange={(e) => setForm({...form, min_party_size: parseInt(e.target.value)})}
+                        min="1"
+                        max="5"
+                        title="Spieler, die gemeinsam kämpfen müssen (1 = alleine möglich)"
+                      />
+                    </div>
                   </div>
                 </div>
 
@@ -35,6 +35,20 @@ const CATEGORIES = [
   { value: 'achievement', label: 'Erfolg' },
 ];
 
+const SCOPES = [
+  { value: 'user', label: 'Persönlich', icon: '👤' },
+  { value: 'guild', label: 'Gilde', icon: '🏰' },
+  { value: 'party', label: 'Gruppe', icon: '👥' },
+];
+
+const REWARD_SPLITS = [
+  { value: 'equal', label: 'Gleichmäßig unter allen Helfern' },
+  { value: 'proportional', label: 'Nach Beitrag' },
+];
+
+// Objectives that only make sense for a single player
+const PERSONAL_ONLY_OBJECTIVES = ['daily_login', 'reach_level', 'join_guild'];
+
 function QuestManagement() {
   const [quests, setQuests] = useState([]);
   const [items, setItems] = useState([]);
@@ -51,6 +65,8 @@ function QuestManagement() {
     display_name: '',
     description: '',
     category: 'side',
+    scope: 'user',
+    reward_split: 'equal',
     is_repeatable: false,
     cooldown_hours: 0,
     min_level: 1,
@@ -104,6 +120,8 @@ function QuestManagement() {
       display_name: quest.display_name,
       description: quest.description || '',
       category: quest.category,
+      scope: quest.scope || 'user',
+      reward_split: quest.reward_split || 'equal',
       is_repeatable: quest.is_repeatable,
       cooldown_hours: quest.cooldown_hours || 0,
       min_level: quest.min_level || 1,
@@ -236,6 +254,11 @@ function QuestManagement() {
                     <span className={`category-badge ${quest.category}`}>
                       {CATEGORIES.find(c => c.value === quest.category)?.label || quest.category}
                     </span>
+                    {quest.scope && quest.scope !== 'user' && (
+                      <span className="scope-badge" title={REWARD_SPLITS.find(r => r.value === quest.reward_split)?.label}>
+                        {SCOPES.find(sc => sc.value === quest.scope)?.icon} {SCOPES.find(sc => sc.value === quest.scope)?.label || quest.scope}
+                      </span>
+                    )}
                   </td>
                   <td>{quest.min_level}</td>
                   <td className="rewards-cell">
@@ -299,6 +322,12 @@ function QuestManagement() {
                       {CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
                     </select>
                   </div>
+                  <div className="form-group">
+                    <label>Quest-Typ</label>
+                    <select value={form.scope} onChange={e => setForm({...form, scope: e.target.value})}>
+                      {SCOPES.map(sc => <option key={sc.value} value={sc.value}>{sc.icon} {sc.label}</option>)}
+                    </select>
+                  </div>
                   <div className="form-group">
                     <label>Min. Level</label>
                     <input
@@ -377,7 +406,20 @@ function QuestManagement() {
                       />
                     </div>
                   )}
+                  {form.scope !== 'user' && (
+                    <div className="form-group">
+                      <label>Aufteilung</label>
+                      <select value={form.reward_split} onChange={e => setForm({...form, reward_split: e.target.value})}>
+                        {REWARD_SPLITS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                      </select>
+                    </div>
+                  )}
                 </div>
+                {form.scope !== 'user' && (
+                  <p className="form-hint">
+                    Die Belohnungen sind der Gesamtpool der Gruppe und werden beim Abholen unter allen Mitgliedern aufgeteilt, die zum Fortschritt beigetragen haben.
+                  </p>
+                )}
               </div>
 
               <div className="form-section">
@@ -394,9 +436,11 @@ function QuestManagement() {
                         onChange={e => updateObjective(idx, 'objective_type', e.target.value)}
                         className="obj-type-select"
                       >
-                        {OBJECTIVE_TYPES.map(t => (
-                          <option key={t.value} value={t.value}>{t.icon} {t.label}</option>
-                        ))}
+                        {OBJECTIVE_TYPES
+                          .filter(t => form.scope === 'user' || !PERSONAL_ONLY_OBJECTIVES.includes(t.value))
+                          .map(t => (
+                            <option key={t.value} value={t.value}>{t.icon} {t.label}</option>
+                          ))}
                       </select>
 
                       {needsTargetId(obj.objective_type) && (
@@ -32,6 +32,7 @@ function ResourceNodeManagement() {
     base_gather_time: 30,
     respawn_minutes: 30,
     min_level: 1,
+    experience_reward: 10,
     is_active: true
   });
   const [availableImages, setAvailableImages] = useState([]);
@@ -55,6 +56,7 @@ function ResourceNodeManagement() {
         base_gather_time: editingNodeType.base_gather_time || 30,
         respawn_minutes: editingNodeType.respawn_minutes || 30,
         min_level: editingNodeType.min_level || 1,
+        experience_reward: editingNodeType.experience_reward ?? 10,
         is_active: editingNodeType.is_active !== 0
       });
     }
@@ -134,6 +136,7 @@ function ResourceNodeManagement() {
       base_gather_time: 30,
       respawn_minutes: 30,
       min_level: 1,
+      experience_reward: 10,
       is_active: true
     });
   };
@@ -651,7 +654,7 @@ function ResourceNodeManagement() {
 
               <div className="form-row">
                 <div className="form-group">
-                  <label>Mindest-Level</label>
+                  <label>Mindest-Fertigkeitslevel</label>
                   <input
                     type="number"
                     value={editForm.min_level}
@@ -659,6 +662,15 @@ function ResourceNodeManagement() {
                     min="1"
                   />
                 </div>
+                <div className="form-group">
+                  <label>Fertigkeits-EP pro Sammeln</label>
+                  <input
+                    type="number"
+                    value={editForm.experience_reward}
+                    onChange={(e) => setEditForm({...editForm, experience_reward: parseInt(e.target.value) || 0})}
+                    min="0"
+                  />
+                </div>
                 <div className="form-group">
                   <label>
                     <input
@@ -8,6 +8,11 @@ const EVENT_TYPES = [
   { value: 'achievement', label: '🏆 Erfolge', description: 'Wenn ein Spieler einen Erfolg freischaltet', placeholders: ['{{username}}', '{{achievement}}', '{{description}}', '{{reward_gold}}', '{{reward_exp}}'] },
   { value: 'buff_activated', label: '✨ Buff aktiviert', description: 'Wenn ein Buff aktiviert wird', placeholders: ['{{buff_name}}', '{{buff_icon}}', '{{target}}', '{{duration}}', '{{stacks}}', '{{created_by}}'] },
   { value: 'buff_expired', label: '⏰ Buff abgelaufen', description: 'Wenn ein Buff abgelaufen ist', placeholders: ['{{buff_name}}', '{{buff_icon}}', '{{target}}', '{{stacks}}'] },
+  { value: 'guild_war_declared', label: '⚔️ Gildenkrieg erklärt', description: 'Wenn eine Gilde eine Kriegserklärung annimmt', placeholders: ['{{attacker}}', '{{defender}}', '{{starts_at}}', '{{ends_at}}'] },
+  { value: 'guild_war_ended', label: '🏳️ Gildenkrieg beendet', description: 'Wenn ein Gildenkrieg endet (Zeit, Kapitulation, Frieden)', placeholders: ['{{attacker}}', '{{defender}}', '{{attacker_score}}', '{{defender_score}}', '{{winner}}', '{{reason}}'] },
+  { value: 'guild_level_up', label: '🏰 Gildenaufstieg', description: 'Wenn eine Gilde eine neue Stufe erreicht', placeholders: ['{{guild}}', '{{tag}}', '{{level}}', '{{member_cap}}'] },
+  { value: 'world_boss_spawned', label: '🐉 Weltboss erschienen', description: 'Wenn ein Weltboss auf der Karte erscheint', placeholders: ['{{boss}}', '{{level}}', '{{x}}', '{{y}}', '{{ends_at}}'] },
+  { value: 'world_boss_killed', label: '🏆 Weltboss besiegt', description: 'Wenn ein Weltboss besiegt wurde', placeholders: ['{{boss}}', '{{level}}', '{{participants}}', '{{killer}}', '{{top}}'] },
 ];
 
 const DEFAULT_TEMPLATES = {
@@ -15,7 +20,12 @@ const DEFAULT_TEMPLATES = {
   feedback: '{{icon}} **Neues Feedback: {{type}}**\n\n**Von:** {{username}}\n**Titel:** {{title}}\n\n**Beschreibung:**\n{{description}}',
   achievement: '🎊🎉 **Erfolg freigeschaltet!** 🎉🎊\n\n**{{username}}** hat den Erfolg erhalten:\n🏆 **{{achievement}}**\n\n_{{description}}_',
   buff_activated: '✨ **{{buff_name}}** ist jetzt aktiv für **{{target}}**!\n\n⏱️ Dauer: {{duration}}\n📊 Stacks: {{stacks}}\n👤 Aktiviert von: {{created_by}}',
-  buff_expired: '⏰ **{{buff_name}}** ist vorbei für **{{target}}**!'
+  buff_expired: '⏰ **{{buff_name}}** ist vorbei für **{{target}}**!',
+  guild_war_declared: '⚔️ **Krieg erklärt!**\n\n**{{attacker}}** gegen **{{defender}}**\n\n🛡️ Vorbereitung bis {{starts_at}}\n⏱️ Kriegsende {{ends_at}}',
+  guild_war_ended: '🏳️ **Gildenkrieg beendet!**\n\n**{{attacker}}** {{attacker_score}} : {{defender_score}} **{{defender}}**\n\n🏆 {{winner}}\n_{{reason}}_',
+  guild_level_up: '🏰 **Gildenaufstieg!**\n\n**[{{tag}}] {{guild}}** hat Stufe {{level}} erreicht!\n👥 Bis zu {{member_cap}} Mitglieder',
+  world_boss_spawned: '🐉 **Weltboss erschienen!**\n\n**{{boss}}** (Lv.{{level}}) wütet bei ({{x}}, {{y}})!\n⏱️ Verschwindet um {{ends_at}}',
+  world_boss_killed: '🏆 **Weltboss besiegt!**\n\n**{{boss}}** (Lv.{{level}}) wurde von {{participants}} Spielern bezwungen.\n⚔️ Letzter Schlag: {{killer}}\n\n{{top}}'
 };
 
 function WebhooksManagement() {
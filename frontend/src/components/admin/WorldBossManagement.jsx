@@ -0,0 +1,364 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './WorldBossManagement.css';
+
+// Displayed Monday first, values are JavaScript weekdays (0 = Sunday)
+const WEEKDAYS = [
+  { value: 1, label: 'Mo' },
+  { value: 2, label: 'Di' },
+  { value: 3, label: 'Mi' },
+  { value: 4, label: 'Do' },
+  { value: 5, label: 'Fr' },
+  { value: 6, label: 'Sa' },
+  { value: 0, label: 'So' }
+];
+
+const STATUS_LABELS = {
+  active: '🐉 Auf der Karte',
+  killed: '🏆 Besiegt',
+  escaped: '💨 Entkommen'
+};
+
+const EMPTY_FORM = {
+  monster_type_id: '',
+  level: 10,
+  world_x: 0,
+  world_y: 0,
+  health_multiplier: 20,
+  weekdays: [],
+  start_time: '20:00',
+  duration_minutes: 60,
+  is_active: true
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('de-DE') : '-');
+
+function WorldBossManagement() {
+  const [schedules, setSchedules] = useState([]);
+  const [spawns, setSpawns] = useState([]);
+  const [monsterTypes, setMonsterTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  useEffect(() => {
+    fetchWorldBosses();
+  }, []);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  useEffect(() => {
+    if (error) {
+      const timer = setTimeout(() => setError(''), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error]);
+
+  const fetchWorldBosses = async () => {
+    try {
+      const response = await api.get('/admin/world-bosses');
+      setSchedules(response.data.schedules || []);
+      setSpawns(response.data.spawns || []);
+      setMonsterTypes(response.data.monsterTypes || []);
+    } catch (err) {
+      setError('Fehler beim Laden der Weltbosse');
+      console.error('Fetch world bosses error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const openEdit = (schedule) => {
+    setForm({
+      monster_type_id: schedule.monster_type_id,
+      level: schedule.level,
+      world_x: schedule.world_x,
+      world_y: schedule.world_y,
+      health_multiplier: schedule.health_multiplier,
+      weekdays: schedule.weekdays ? schedule.weekdays.split(',').map(Number) : [],
+      start_time: schedule.start_time,
+      duration_minutes: schedule.duration_minutes,
+      is_active: !!schedule.is_active
+    });
+    setEditingId(schedule.id);
+    setShowForm(true);
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = form.weekdays.includes(day)
+      ? form.weekdays.filter(d => d !== day)
+      : [...form.weekdays, day];
+    setForm({ ...form, weekdays });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await api.put(`/admin/world-bosses/${editingId}`, form);
+        setMessage('Zeitfenster aktualisiert');
+      } else {
+        await api.post('/admin/world-bosses', form);
+        setMessage('Zeitfenster erstellt');
+      }
+      setShowForm(false);
+      fetchWorldBosses();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Speichern');
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await api.put(`/admin/world-bosses/${schedule.id}`, { ...schedule, is_active: !schedule.is_active });
+      fetchWorldBosses();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Speichern');
+    }
+  };
+
+  const handleSpawn = async (schedule) => {
+    if (!window.confirm(`${schedule.monster_name} jetzt erscheinen lassen?`)) return;
+
+    try {
+      const response = await api.post(`/admin/world-bosses/${schedule.id}/spawn`);
+      setMessage(response.data.message);
+      fetchWorldBosses();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Erscheinen lassen');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm('Zeitfenster wirklich löschen?')) return;
+
+    try {
+      await api.delete(`/admin/world-bosses/${schedule.id}`);
+      setMessage('Zeitfenster gelöscht');
+      fetchWorldBosses();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Löschen');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Lade Weltbosse...</div>;
+  }
+
+  return (
+    <div className="world-boss-management">
+      <div className="world-bosses-header">
+        <h2>🐉 Weltbosse</h2>
+        <button className="btn-primary" onClick={openCreate}>+ Neues Zeitfenster</button>
+      </div>
+
+      {message && <div className="success-message">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <p className="world-bosses-hint">
+        Zu Beginn des Zeitfensters (Serverzeit) erscheint der Boss an der Position und bleibt, bis er besiegt ist
+        oder das Fenster endet. Seine HP bleiben zwischen den Angriffen erhalten; Erfahrung, Gold und Beute werden
+        nach dem verursachten Schaden verteilt. Ohne Wochentage erscheint er täglich.
+      </p>
+
+      {showForm && (
+        <form className="world-boss-form" onSubmit={handleSubmit}>
+          <h3>{editingId ? 'Zeitfenster bearbeiten' : 'Neues Zeitfenster'}</h3>
+          <div className="form-row">
+            <label>
+              Monster
+              <select value={form.monster_type_id} onChange={(e) => setForm({ ...form, monster_type_id: e.target.value })}>
+                <option value="">-- auswählen --</option>
+                {monsterTypes.map(monster => (
+                  <option key={monster.id} value={monster.id}>
+                    {monster.is_boss ? '👑 ' : ''}{monster.display_name} (Lv. {monster.min_level}-{monster.max_level})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Level
+              <input
+                type="number"
+                min="1"
+                value={form.level}
+                onChange={(e) => setForm({ ...form, level: e.target.value })}
+              />
+            </label>
+            <label>
+              HP-Multiplikator
+              <input
+                type="number"
+                step="0.5"
+                min="1"
+                value={form.health_multiplier}
+                onChange={(e) => setForm({ ...form, health_multiplier: e.target.value })}
+              />
+            </label>
+          </div>
+
+          <div className="form-row">
+            <label>
+              Welt-X
+              <input
+                type="number"
+                value={form.world_x}
+                onChange={(e) => setForm({ ...form, world_x: e.target.value })}
+              />
+            </label>
+            <label>
+              Welt-Y
+              <input
+                type="number"
+                value={form.world_y}
+                onChange={(e) => setForm({ ...form, world_y: e.target.value })}
+              />
+            </label>
+            <label>
+              Startzeit
+              <input
+                type="time"
+                value={form.start_time}
+                onChange={(e) => setForm({ ...form, start_time: e.target.value })}
+              />
+            </label>
+            <label>
+              Dauer (Minuten)
+              <input
+                type="number"
+                min="5"
+                max="1440"
+                value={form.duration_minutes}
+                onChange={(e) => setForm({ ...form, duration_minutes: e.target.value })}
+              />
+            </label>
+          </div>
+
+          <div className="weekday-picker">
+            <span>Wochentage</span>
+            {WEEKDAYS.map(day => (
+              <label key={day.value} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={form.weekdays.includes(day.value)}
+                  onChange={() => toggleWeekday(day.value)}
+                />
+                {day.label}
+              </label>
+            ))}
+          </div>
+
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={form.is_active}
+              onChange={(e) => setForm({ ...form, is_active: e.target.checked })}
+            />
+            Aktiv
+          </label>
+
+          <div className="form-actions">
+            <button type="submit" className="btn-primary">{editingId ? 'Speichern' : 'Erstellen'}</button>
+            <button type="button" className="btn-secondary" onClick={() => setShowForm(false)}>Abbrechen</button>
+          </div>
+        </form>
+      )}
+
+      <div className="world-bosses-list">
+        {schedules.length === 0 ? (
+          <p className="no-world-bosses">Noch keine Zeitfenster angelegt.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Boss</th>
+                <th>Position</th>
+                <th>Zeitfenster</th>
+                <th>Nächster Start</th>
+                <th>Zuletzt</th>
+                <th>Aktiv</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map(schedule => (
+                <tr key={schedule.id} className={schedule.is_active ? '' : 'inactive'}>
+                  <td>
+                    {schedule.monster_name} (Lv. {schedule.level})
+                    <small> ×{schedule.health_multiplier} HP</small>
+                  </td>
+                  <td>({schedule.world_x}, {schedule.world_y})</td>
+                  <td>
+                    {schedule.weekday_label} {schedule.start_time}
+                    <small> · {schedule.duration_minutes} Min.</small>
+                  </td>
+                  <td>{schedule.is_active ? formatDate(schedule.next_start) : '-'}</td>
+                  <td>{schedule.last_status ? STATUS_LABELS[schedule.last_status] : '-'}</td>
+                  <td>
+                    <button className="btn-toggle" onClick={() => handleToggle(schedule)}>
+                      {schedule.is_active ? '✅' : '⏸️'}
+                    </button>
+                  </td>
+                  <td className="world-boss-actions">
+                    <button className="btn-spawn" onClick={() => handleSpawn(schedule)} title="Jetzt erscheinen lassen">🐉</button>
+                    <button className="btn-edit" onClick={() => openEdit(schedule)}>✏️</button>
+                    <button className="btn-delete" onClick={() => handleDelete(schedule)}>🗑️</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <h3 className="world-boss-spawns-title">Letzte Auftritte</h3>
+      <div className="world-bosses-list">
+        {spawns.length === 0 ? (
+          <p className="no-world-bosses">Noch kein Weltboss erschienen.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Boss</th>
+                <th>Erschienen</th>
+                <th>Status</th>
+                <th>Teilnehmer</th>
+                <th>Letzter Schlag</th>
+              </tr>
+            </thead>
+            <tbody>
+              {spawns.map(spawn => (
+                <tr key={spawn.id}>
+                  <td>{spawn.monster_name} (Lv. {spawn.level}, {spawn.max_health} HP)</td>
+                  <td>{formatDate(spawn.spawned_at)}</td>
+                  <td>
+                    {STATUS_LABELS[spawn.status]}
+                    <small> {spawn.status === 'active' ? `bis ${formatDate(spawn.ends_at)}` : formatDate(spawn.killed_at || spawn.ends_at)}</small>
+                  </td>
+                  <td>{spawn.participants}</td>
+                  <td>{spawn.killed_by_name || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WorldBossManagement;
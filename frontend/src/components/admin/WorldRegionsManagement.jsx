@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react';
+import api from '../../services/api';
+import './WorldRegionsManagement.css';
+
+const TILE_SIZE = 16;
+
+function WorldRegionsManagement() {
+  const [regions, setRegions] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [warnings, setWarnings] = useState([]);
+
+  const [form, setForm] = useState({
+    file: '',
+    name: '',
+    world_x: 0,
+    world_y: 0
+  });
+  // Uploaded .tmj content (alternative to a file from world/Tiled)
+  const [uploadedMap, setUploadedMap] = useState(null);
+
+  useEffect(() => {
+    fetchRegions();
+  }, []);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(''), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  useEffect(() => {
+    if (error) {
+      const timer = setTimeout(() => setError(''), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error]);
+
+  const fetchRegions = async () => {
+    try {
+      const response = await api.get('/admin/world-regions');
+      setRegions(response.data.regions || []);
+      setFiles(response.data.files || []);
+    } catch (err) {
+      setError('Fehler beim Laden der Weltregionen');
+      console.error('Fetch world regions error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setUploadedMap(JSON.parse(reader.result));
+        setForm(prev => ({ ...prev, file: '', name: prev.name || file.name.replace(/\.tmj$/, '') }));
+      } catch (err) {
+        setError('Die Datei ist keine gültige .tmj-Karte');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!form.file && !uploadedMap) {
+      setError('Bitte eine Karte auswählen oder hochladen');
+      return;
+    }
+
+    setImporting(true);
+    setWarnings([]);
+    try {
+      const response = await api.post('/admin/world-regions', {
+        file: uploadedMap ? undefined : form.file,
+        map: uploadedMap || undefined,
+        name: form.name || undefined,
+        world_x: form.world_x,
+        world_y: form.world_y
+      });
+      const { spawns } = response.data;
+      setMessage(`${response.data.message} (${spawns.npc} Händler, ${spawns.monster} Monster, ${spawns.resource} Ressourcen, ${spawns.home} Grundstücke)`);
+      setWarnings(response.data.warnings || []);
+      setUploadedMap(null);
+      fetchRegions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Importieren');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (region) => {
+    if (!window.confirm(`Region "${region.name}" wirklich löschen? Ihre Händler, Monster und Ressourcen werden ebenfalls entfernt.`)) return;
+
+    try {
+      await api.delete(`/admin/world-regions/${region.id}`);
+      setMessage('Region gelöscht');
+      fetchRegions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Fehler beim Löschen');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Lade Weltregionen...</div>;
+  }
+
+  return (
+    <div className="world-regions-management">
+      <div className="regions-header">
+        <h2>🧭 Weltregionen</h2>
+      </div>
+
+      {message && <div className="success-message">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <form className="regions-import" onSubmit={handleImport}>
+        <h3>Tiled-Karte importieren</h3>
+        <div className="form-row">
+          <label>
+            Karte aus world/Tiled
+            <select
+              value={form.file}
+              onChange={(e) => {
+                setUploadedMap(null);
+                setForm({ ...form, file: e.target.value, name: form.name || e.target.value.replace(/\.tmj$/, '') });
+              }}
+            >
+              <option value="">-- auswählen --</option>
+              {files.map(file => (
+                <option key={file} value={file}>{file}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            oder hochladen
+            <input type="file" accept=".tmj,.json" onChange={handleUpload} />
+          </label>
+        </div>
+        <div className="form-row">
+          <label>
+            Name
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="z.B. startdorf"
+            />
+          </label>
+          <label>
+            Welt X
+            <input
+              type="number"
+              value={form.world_x}
+              onChange={(e) => setForm({ ...form, world_x: e.target.value })}
+            />
+          </label>
+          <label>
+            Welt Y
+            <input
+              type="number"
+              value={form.world_y}
+              onChange={(e) => setForm({ ...form, world_y: e.target.value })}
+            />
+          </label>
+        </div>
+        <p className="regions-hint">
+          Die Position wird auf das {TILE_SIZE}er-Kachelraster gerundet. Eine Region mit gleichem Namen wird ersetzt.
+          Objekt-Ebenen: Typ/Klasse <code>npc</code> (Eigenschaft <code>npc_type</code>), <code>monster</code>
+          (<code>monster_type</code>, <code>level</code>, <code>respawn_minutes</code>), <code>resource</code>
+          (<code>resource_type</code>, <code>amount</code>) und <code>home</code> (Grundstück für neue Spieler).
+          Ohne Eigenschaft wird der Objektname als Typ verwendet.
+        </p>
+        <button type="submit" className="btn-primary" disabled={importing}>
+          {importing ? 'Importiere...' : '📥 Importieren'}
+        </button>
+      </form>
+
+      {warnings.length > 0 && (
+        <div className="regions-warnings">
+          <strong>Hinweise zum Import:</strong>
+          <ul>
+            {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="regions-list">
+        {regions.length === 0 ? (
+          <p className="no-regions">Noch keine Regionen importiert.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Position</th>
+                <th>Größe</th>
+                <th>Spawns</th>
+                <th>Importiert</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {regions.map(region => (
+                <tr key={region.id}>
+                  <td>
+                    <strong>{region.name}</strong>
+                    {region.source_file && <div className="region-file">{region.source_file}</div>}
+                  </td>
+                  <td>{region.tile_x * TILE_SIZE}, {region.tile_y * TILE_SIZE}</td>
+                  <td>{region.width}×{region.height}</td>
+                  <td className="region-spawns">
+                    🏪 {region.npc_count} · 👹 {region.monster_count} · ⛏️ {region.resource_count} · 🏡 {region.homes_taken}/{region.home_count}
+                  </td>
+                  <td>
+                    {new Date(region.created_at).toLocaleDateString('de-DE')}
+                    {region.created_by_name && <div className="region-file">{region.created_by_name}</div>}
+                  </td>
+                  <td>
+                    <button className="btn-delete" onClick={() => handleDelete(region)}>🗑️</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WorldRegionsManagement;
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../services/api';
+
+// Events pushed by the server over /api/events/stream
+const EVENT_TYPES = [
+  'player_moved',
+  'monster_killed',
+  'monster_damaged',
+  'monster_respawned',
+  'node_depleted',
+  'node_updated',
+  'node_respawned',
+  'job_completed',
+  'message_new',
+  'world_regions_changed',
+];
+
+export function useRealtime(handlers) {
+  const [connectionId, setConnectionId] = useState(null);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token || !('EventSource' in window)) return;
+
+    const source = new EventSource(`/api/events/stream?token=${encodeURIComponent(token)}`);
+
+    // Sent again after every automatic reconnect
+    source.addEventListener('connected', (e) => {
+      setConnectionId(JSON.parse(e.data).connection_id);
+    });
+
+    source.onerror = () => {
+      setConnectionId(null);
+    };
+
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (e) => {
+        const handler = handlersRef.current[type];
+        if (handler) {
+          handler(JSON.parse(e.data));
+        }
+      });
+    });
+
+    return () => source.close();
+  }, []);
+
+  // Receive area events (movement, monsters, resources) only for this map region
+  const subscribeArea = useCallback(async (area) => {
+    if (!connectionId) return;
+    try {
+      await api.post('/events/subscribe', {
+        connection_id: connectionId,
+        min_x: Math.floor(area.minX),
+        min_y: Math.floor(area.minY),
+        max_x: Math.ceil(area.maxX),
+        max_y: Math.ceil(area.maxY)
+      });
+    } catch (error) {
+      console.error('Fehler beim Abonnieren des Kartenbereichs:', error);
+    }
+  }, [connectionId]);
+
+  return { connected: connectionId !== null, connectionId, subscribeArea };
+}
+
+export default useRealtime;
@@ -22,6 +22,9 @@ import PlayerInventoryManagement from '../components/admin/PlayerInventoryManage
 import ResourceNodeManagement from '../components/admin/ResourceNodeManagement';
 import PropertyManagement from '../components/admin/PropertyManagement';
 import TilesetManagement from '../components/admin/TilesetManagement';
+import WorldRegionsManagement from '../components/admin/WorldRegionsManagement';
+import EncounterManagement from '../components/admin/EncounterManagement';
+import WorldBossManagement from '../components/admin/WorldBossManagement';
 import './Admin.css';
 
 const menuItems = [
@@ -31,8 +34,11 @@ const menuItems = [
   { id: 'quests', icon: '🗺️', label: 'Quests', category: 'Spielinhalte' },
   { id: 'monsters', icon: '👹', label: 'Monster', category: 'NPCs' },
   { id: 'npcs', icon: '🏪', label: 'Händler', category: 'NPCs' },
+  { id: 'worldbosses', icon: '🐉', label: 'Weltbosse', category: 'NPCs' },
   { id: 'resources', icon: '⛏️', label: 'Ressourcen & Drops', category: 'Spielinhalte' },
   { id: 'tileset', icon: '🎨', label: 'Tileset', category: 'Spielinhalte' },
+  { id: 'regions', icon: '🧭', label: 'Weltregionen', category: 'Spielinhalte' },
+  { id: 'encounters', icon: '🏹', label: 'Reise-Begegnungen', category: 'Spielinhalte' },
   { id: 'users', icon: '👥', label: 'Benutzer', category: 'Verwaltung' },
   { id: 'playerinv', icon: '🎒', label: 'Spieler-Inventar', category: 'Verwaltung' },
   { id: 'groups', icon: '🛡️', label: 'Gruppen', category: 'Verwaltung' },
@@ -134,8 +140,11 @@ function Admin() {
           {activeTab === 'reports' && <ReportsManagement />}
           {activeTab === 'monsters' && <MonsterManagement />}
           {activeTab === 'npcs' && <NpcManagement />}
+          {activeTab === 'worldbosses' && <WorldBossManagement />}
           {activeTab === 'resources' && <ResourceNodeManagement />}
           {activeTab === 'tileset' && <TilesetManagement />}
+          {activeTab === 'regions' && <WorldRegionsManagement />}
+          {activeTab === 'encounters' && <EncounterManagement />}
           {activeTab === 'quests' && <QuestManagement />}
           {activeTab === 'api' && <ApiManagement />}
           {activeTab === 'feedback' && <FeedbackManagement />}
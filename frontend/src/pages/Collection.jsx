@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import api from '../services/api';
+import JobQueue from '../components/JobQueue';
 import './Collection.css';
 
 const getImageUrl = (imagePath) => {
@@ -14,6 +15,10 @@ const getImageUrl = (imagePath) => {
 
 function Collection() {
   const [status, setStatus] = useState(null);
+  const [jobSlots, setJobSlots] = useState(null);
+  const [jobQueue, setJobQueue] = useState([]);
+  const [openJobs, setOpenJobs] = useState([]);
+  const [autoClaim, setAutoClaim] = useState(false);
   const [duration, setDuration] = useState(60); // Default: 1 Stunde
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
@@ -29,9 +34,9 @@ function Collection() {
 
   // Countdown timer - updates every second
   useEffect(() => {
-    if (status?.active && !status?.is_completed && !status?.is_paused) {
+    if (status && !status.is_ready && !status.is_paused) {
       // Calculate remaining seconds from server data
-      const completedAt = new Date(status.completed_at);
+      const completedAt = new Date(status.finish_at);
       const now = new Date();
       const remainingMs = completedAt.getTime() - now.getTime();
       const remainingSecs = Math.max(0, Math.ceil(remainingMs / 1000));
@@ -52,12 +57,16 @@ function Collection() {
     } else if (status?.is_paused && status?.remaining_seconds) {
       setCountdown(status.remaining_seconds);
     }
-  }, [status?.active, status?.is_completed, status?.is_paused, status?.completed_at]);
+  }, [status?.id, status?.is_ready, status?.is_paused, status?.finish_at]);
 
   const fetchStatus = async () => {
     try {
-      const response = await api.get('/collection/status');
-      setStatus(response.data);
+      const response = await api.get('/jobs');
+      setStatus(response.data.jobs.find(j => j.type === 'collection') || null);
+      setOpenJobs(response.data.jobs);
+      setJobSlots(response.data.slots);
+      setJobQueue(response.data.queue);
+      setAutoClaim(response.data.auto_claim);
     } catch (error) {
       console.error('Fehler beim Laden des Status:', error);
     }
@@ -85,7 +94,7 @@ function Collection() {
     setLoading(true);
     setMessage('');
     try {
-      const response = await api.post('/collection/claim');
+      const response = await api.post(`/jobs/collection/${status.id}/claim`);
       setMessage(response.data.message);
       setItems(response.data.items || []);
       setTimeout(() => setMessage(''), 5000);
@@ -98,6 +107,23 @@ function Collection() {
     }
   };
 
+  // Run the same collection again once the current one is claimed
+  const queueCollection = async () => {
+    setMessage('');
+    try {
+      const response = await api.post('/jobs/queue', {
+        type: 'collection',
+        params: { duration_minutes: status.duration_minutes }
+      });
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      fetchStatus();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Einreihen');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
   const formatTime = (minutes) => {
     if (minutes < 60) {
       return `${minutes} Minuten`;
@@ -132,13 +158,15 @@ function Collection() {
           </div>
         )}
 
-        {status?.active ? (
+        <JobQueue slots={jobSlots} jobs={openJobs} queue={jobQueue} autoClaim={autoClaim} onChange={fetchStatus} />
+
+        {status ? (
           <div className="collection-active">
             <h2>Aktiver Sammel-Auftrag</h2>
             <div className="status-info">
               <p><strong>Dauer:</strong> {formatTime(status.duration_minutes)}</p>
               <p><strong>Gestartet:</strong> {new Date(status.started_at).toLocaleString('de-DE')}</p>
-              <p><strong>Fertig um:</strong> {new Date(status.completed_at).toLocaleString('de-DE')}</p>
+              <p><strong>Fertig um:</strong> {new Date(status.finish_at).toLocaleString('de-DE')}</p>
               
               {status.is_paused ? (
                 <div className="paused-banner">
@@ -149,7 +177,7 @@ function Collection() {
                     <span className="countdown-time">{formatCountdown(countdown)}</span>
                   </div>
                 </div>
-              ) : status.is_completed || countdown <= 0 ? (
+              ) : status.is_ready || countdown <= 0 ? (
                 <div className="completed-banner">
                   <p className="completed-text">✅ Sammel-Auftrag abgeschlossen!</p>
                   <button 
@@ -174,10 +202,13 @@ function Collection() {
                       }}
                     ></div>
                   </div>
-                  <p className="time-info">Fertig um {new Date(status.completed_at).toLocaleTimeString('de-DE')}</p>
+                  <p className="time-info">Fertig um {new Date(status.finish_at).toLocaleTimeString('de-DE')}</p>
                 </div>
               )}
             </div>
+            <button className="btn btn-secondary" onClick={queueCollection}>
+              🔁 Danach erneut sammeln ({formatTime(status.duration_minutes)})
+            </button>
           </div>
         ) : (
           <div className="collection-start">
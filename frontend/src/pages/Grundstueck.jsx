@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import JobQueue from '../components/JobQueue';
+import PropertyGrid from '../components/PropertyGrid';
+import TechTreeGraph from '../components/TechTreeGraph';
 import './Grundstueck.css';
 
 const getImageUrl = (imagePath) => {
@@ -26,6 +29,10 @@ function Grundstueck() {
   const [message, setMessage] = useState('');
   const [selectedBuilding, setSelectedBuilding] = useState(null);
   const [jobStatus, setJobStatus] = useState(null);
+  const [jobSlots, setJobSlots] = useState(null);
+  const [jobQueue, setJobQueue] = useState([]);
+  const [openJobs, setOpenJobs] = useState([]);
+  const [autoClaim, setAutoClaim] = useState(false);
   const [workbench, setWorkbench] = useState(null);
   const [inventory, setInventory] = useState([]);
   const [playerStats, setPlayerStats] = useState(null);
@@ -37,10 +44,11 @@ function Grundstueck() {
   const [craftingMessage, setCraftingMessage] = useState(null);
   const [craftingJob, setCraftingJob] = useState(null);
   const [craftingTimeLeft, setCraftingTimeLeft] = useState(0);
-  const [viewMode, setViewMode] = useState('graphic'); // 'graphic' or 'list'
-  const [hoveredHotspot, setHoveredHotspot] = useState(null);
-  const [propertySettings, setPropertySettings] = useState({ image_path: '/buildings/huette1.jpg' });
-  const [propertyHotspots, setPropertyHotspots] = useState([]);
+  const [viewMode, setViewMode] = useState('graphic'); // 'graphic', 'tree' or 'list'
+  const [propertyLayout, setPropertyLayout] = useState(null);
+  const [editLayout, setEditLayout] = useState(false);
+  const [production, setProduction] = useState([]);
+  const [techTree, setTechTree] = useState(null);
 
   // Check URL params for direct navigation
   useEffect(() => {
@@ -53,19 +61,17 @@ function Grundstueck() {
   useEffect(() => {
     fetchBuildings();
     fetchMyBuildings();
-    fetchJobStatus();
+    fetchJobs();
     fetchWorkbench();
     fetchInventory();
     fetchPlayerStats();
     fetchEquipmentRecipes();
     fetchProfessions();
-    fetchCraftingJob();
     fetchProperty();
+    fetchProduction();
+    fetchTechTree();
     // Poll job status every 5 seconds
-    const interval = setInterval(() => {
-      fetchJobStatus();
-      fetchCraftingJob();
-    }, 5000);
+    const interval = setInterval(fetchJobs, 5000);
     
     return () => {
       clearInterval(interval);
@@ -93,15 +99,41 @@ function Grundstueck() {
     }
   };
 
-  const fetchJobStatus = async () => {
+  // Building and crafting jobs both come from the shared job overview
+  const fetchJobs = async () => {
     try {
-      const response = await api.get('/buildings/job/status');
-      setJobStatus(response.data.job);
+      const response = await api.get('/jobs');
+      const { jobs, slots, queue, auto_claim } = response.data;
+      const crafting = jobs.find(j => j.type === 'crafting') || null;
+      setJobStatus(jobs.find(j => j.type === 'building') || null);
+      setCraftingJob(crafting);
+      if (crafting) {
+        setCraftingTimeLeft(crafting.remaining_seconds || 0);
+      }
+      setOpenJobs(jobs);
+      setJobSlots(slots);
+      setJobQueue(queue);
+      setAutoClaim(auto_claim);
     } catch (error) {
       console.error('Fehler beim Laden des Job-Status:', error);
     }
   };
 
+  const queueBuildingJob = async (buildingId, jobType) => {
+    try {
+      const response = await api.post('/jobs/queue', {
+        type: 'building',
+        params: { building_id: buildingId, job_type: jobType }
+      });
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      fetchJobs();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Einreihen');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
   const fetchWorkbench = async () => {
     try {
       const response = await api.get('/workbench');
@@ -138,35 +170,72 @@ function Grundstueck() {
     }
   };
 
-  const fetchCraftingJob = async () => {
+  const fetchProperty = async () => {
     try {
-      const response = await api.get('/equipment/crafting');
-      setCraftingJob(response.data.crafting);
-      if (response.data.crafting) {
-        setCraftingTimeLeft(response.data.crafting.remaining_seconds || 0);
-      }
+      const response = await api.get('/buildings/property');
+      setPropertyLayout(response.data);
     } catch (error) {
-      console.error('Fehler beim Laden des Crafting-Status:', error);
+      console.error('Fehler beim Laden des Grundstücks:', error);
     }
   };
 
-  const fetchProperty = async () => {
+  const fetchTechTree = async () => {
     try {
-      const response = await api.get('/buildings/property');
-      console.log('[GRUNDSTUECK] Property data loaded:', response.data);
-      setPropertySettings(response.data.settings || { image_path: '/buildings/huette1.jpg' });
-      setPropertyHotspots(response.data.hotspots || []);
-      console.log('[GRUNDSTUECK] Hotspots set:', response.data.hotspots?.length || 0);
+      const response = await api.get('/buildings/tech-tree');
+      setTechTree(response.data);
+    } catch (error) {
+      console.error('Fehler beim Laden des Technologiebaums:', error);
+    }
+  };
+
+  const fetchProduction = async () => {
+    try {
+      const response = await api.get('/buildings/production');
+      setProduction(response.data.production || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der Produktion:', error);
+    }
+  };
+
+  const collectProduction = async (buildingId) => {
+    try {
+      const response = await api.post(`/buildings/production/${buildingId}/collect`);
+      setProduction(response.data.production || []);
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      fetchInventory();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Abholen');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  // Returns true when the building was moved, so the grid can drop it
+  const placeOnProperty = async (buildingId, x, y, rotation) => {
+    try {
+      const response = await api.put(`/buildings/property/buildings/${buildingId}`, { x, y, rotation });
+      setPropertyLayout(response.data.layout);
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      return true;
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Platzieren');
+      setTimeout(() => setMessage(''), 5000);
+      return false;
+    }
+  };
+
+  const storeFromProperty = async (buildingId) => {
+    try {
+      const response = await api.delete(`/buildings/property/buildings/${buildingId}`);
+      setPropertyLayout(response.data.layout);
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      return true;
     } catch (error) {
-      console.error('[GRUNDSTUECK] Fehler beim Laden der Grundstück-Einstellungen:', error);
-      // Fallback to default hotspots
-      setPropertyHotspots([
-        { building_name: 'schmiede', x: 65, y: 25, width: 12, height: 12, label: 'Schmiede', icon: '⚒️', description: 'Amboss - Hier schmiedest du Waffen und Rüstung' },
-        { building_name: 'saegewerk', x: 18, y: 55, width: 15, height: 15, label: 'Sägewerk', icon: '🪚', description: 'Tischkreissäge - Verarbeite Holz zu Brettern' },
-        { building_name: 'werkbank', x: 75, y: 20, width: 15, height: 15, label: 'Werkbank', icon: '🔨', description: 'Werkbank - Crafting und Upgrades' },
-        { building_name: 'brunnen', x: 60, y: 50, width: 10, height: 10, label: 'Brunnen', icon: '💧', description: 'Brunnen - Versorgt dich mit Wasser' },
-        { building_name: 'lager', x: 40, y: 40, width: 12, height: 12, label: 'Lager', icon: '📦', description: 'Lager - Erweitert dein Inventar' }
-      ]);
+      setMessage(error.response?.data?.error || 'Fehler beim Einlagern');
+      setTimeout(() => setMessage(''), 5000);
+      return false;
     }
   };
 
@@ -187,7 +256,7 @@ function Grundstueck() {
         type: 'success',
         text: response.data.message
       });
-      fetchCraftingJob();
+      fetchJobs();
       fetchInventory();
       fetchEquipmentRecipes();
       setTimeout(() => setCraftingMessage(null), 3000);
@@ -200,9 +269,27 @@ function Grundstueck() {
     }
   };
 
+  const queueCrafting = async (recipeId) => {
+    try {
+      const response = await api.post('/jobs/queue', { type: 'crafting', params: { recipe_id: recipeId } });
+      setCraftingMessage({
+        type: 'success',
+        text: response.data.message
+      });
+      fetchJobs();
+      setTimeout(() => setCraftingMessage(null), 3000);
+    } catch (error) {
+      setCraftingMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Fehler beim Einreihen'
+      });
+      setTimeout(() => setCraftingMessage(null), 4000);
+    }
+  };
+
   const collectCrafting = async () => {
     try {
-      const response = await api.post('/equipment/craft/collect');
+      const response = await api.post(`/jobs/crafting/${craftingJob.id}/claim`);
       setCraftingMessage({
         type: 'success',
         text: response.data.message,
@@ -212,7 +299,7 @@ function Grundstueck() {
         new_level: response.data.profession_level
       });
       setCraftingJob(null);
-      fetchCraftingJob();
+      fetchJobs();
       fetchInventory();
       fetchEquipmentRecipes();
       fetchProfessions();
@@ -229,8 +316,9 @@ function Grundstueck() {
   const cancelCrafting = async () => {
     if (!window.confirm('Herstellung wirklich abbrechen? Die Materialien gehen verloren!')) return;
     try {
-      await api.delete('/equipment/craft/cancel');
+      await api.post(`/jobs/crafting/${craftingJob.id}/cancel`);
       setCraftingJob(null);
+      fetchJobs();
       setCraftingMessage({
         type: 'info',
         text: 'Herstellung abgebrochen'
@@ -319,12 +407,15 @@ function Grundstueck() {
 
   const claimJob = async () => {
     try {
-      const response = await api.post('/buildings/job/claim');
+      const response = await api.post(`/jobs/building/${jobStatus.id}/claim`);
       setMessage(response.data.message);
       setTimeout(() => setMessage(''), 3000);
       fetchBuildings();
       fetchMyBuildings();
-      fetchJobStatus();
+      fetchProperty();
+      fetchProduction();
+      fetchTechTree();
+      fetchJobs();
     } catch (error) {
       setMessage(error.response?.data?.error || 'Fehler beim Abholen');
       setTimeout(() => setMessage(''), 5000);
@@ -338,6 +429,8 @@ function Grundstueck() {
       setTimeout(() => setMessage(''), 3000);
       fetchBuildings();
       fetchMyBuildings();
+      fetchProperty();
+      fetchJobs();
     } catch (error) {
       setMessage(error.response?.data?.error || 'Fehler beim Bauen');
       setTimeout(() => setMessage(''), 5000);
@@ -350,6 +443,7 @@ function Grundstueck() {
       setMessage(response.data.message);
       setTimeout(() => setMessage(''), 3000);
       fetchMyBuildings();
+      fetchJobs();
     } catch (error) {
       setMessage(error.response?.data?.error || 'Fehler beim Aufwerten');
       setTimeout(() => setMessage(''), 5000);
@@ -362,6 +456,38 @@ function Grundstueck() {
     return building.requirements.every(req => req.user_quantity >= req.quantity);
   };
 
+  // Tech tree prerequisites for building (level 1) or the next upgrade of a building
+  const getNextPrerequisites = (building) => {
+    const node = techTree?.nodes.find(n => n.id === building.id);
+    if (!node) return [];
+    const level = node.current_level > 0 ? node.next_level : 1;
+    return node.levels.find(l => l.level === level)?.prerequisites || [];
+  };
+
+  const prerequisitesMet = (building) => getNextPrerequisites(building).every(p => p.met);
+
+  const getTechTreeNodes = () => (techTree?.nodes || []).map(node => {
+    const missing = node.levels
+      .find(l => l.level === (node.current_level > 0 ? node.next_level : 1))
+      ?.prerequisites.filter(p => !p.met) || [];
+    let subtitle = node.current_level > 0 ? `Lv. ${node.current_level} / ${node.max_level}` : 'Baubar';
+    if (missing.length > 0) {
+      subtitle = node.current_level > 0
+        ? `${subtitle} · 🔒 ${missing[0].label}`
+        : `🔒 ${missing.map(p => p.label).join(', ')}`;
+    }
+    return {
+      id: node.id,
+      label: node.display_name,
+      icon: getBuildingIcon(node.name),
+      status: node.current_level > 0 ? 'built' : node.unlocked ? 'available' : 'locked',
+      subtitle,
+      title: node.levels
+        .map(l => `Lv. ${l.level}: ${l.prerequisites.map(p => `${p.met ? '✅' : '❌'} ${p.label}`).join(', ')}`)
+        .join('\n')
+    };
+  });
+
   if (loading) {
     return <div className="container"><div className="loading">Lädt...</div></div>;
   }
@@ -536,13 +662,23 @@ function Grundstueck() {
                         {recipe.craft_time && (
                           <span className="craft-time">⏱️ {formatTime(recipe.craft_time || 60)}</span>
                         )}
-                        <button 
-                          className="btn btn-craft"
-                          onClick={() => startCrafting(recipe.id)}
-                          disabled={!canCraft || !isAtHome || !!craftingJob}
-                        >
-                          {craftingJob ? '⏳' : !isAtHome ? '🏠' : canCraft ? '⚒️ Herstellen' : '❌'}
-                        </button>
+                        {craftingJob ? (
+                          <button 
+                            className="btn btn-craft"
+                            onClick={() => queueCrafting(recipe.id)}
+                            title="Nach dem aktuellen Auftrag herstellen"
+                          >
+                            📋 Einreihen
+                          </button>
+                        ) : (
+                          <button 
+                            className="btn btn-craft"
+                            onClick={() => startCrafting(recipe.id)}
+                            disabled={!canCraft || !isAtHome}
+                          >
+                            {!isAtHome ? '🏠' : canCraft ? '⚒️ Herstellen' : '❌'}
+                          </button>
+                        )}
                       </div>
                     </div>
                   );
@@ -597,16 +733,14 @@ function Grundstueck() {
       'schmiede': '⚒️',
       'saegewerk': '🪚',
       'brunnen': '💧',
-      'lager': '📦'
+      'lager': '📦',
+      'steinbruch': '⛏️'
     };
     return icons[name] || '🏗️';
   };
 
-  // Use hotspots from database (propertyHotspots), fallback to empty array
-  const hotspots = propertyHotspots;
-
-  const handleHotspotClick = (hotspot) => {
-    const buildingName = hotspot.building_name || hotspot.buildingName;
+  const handlePropertyBuildingClick = (placed) => {
+    const buildingName = placed.name;
     const building = buildings.find(b => b.name === buildingName);
     if (building) {
       setSelectedBuilding(building);
@@ -623,10 +757,6 @@ function Grundstueck() {
     }
   };
 
-  const getHotspotBuilding = (buildingName) => {
-    return myBuildings.find(b => b.name === buildingName);
-  };
-
   return (
     <div className="grundstueck-page">
       {/* Header */}
@@ -645,6 +775,17 @@ function Grundstueck() {
             <div className="gs-stat-value">{getForgeLevel()}</div>
             <div className="gs-stat-label">Schmiede</div>
           </div>
+          {propertyLayout && (
+            <div
+              className="gs-stat"
+              title={propertyLayout.plot.next
+                ? `Ab Level ${propertyLayout.plot.next.level}: ${propertyLayout.plot.next.width}×${propertyLayout.plot.next.height} Felder`
+                : 'Maximale Grundstücksgröße'}
+            >
+              <div className="gs-stat-value">{propertyLayout.plot.width}×{propertyLayout.plot.height}</div>
+              <div className="gs-stat-label">Grundstück</div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -661,6 +802,15 @@ function Grundstueck() {
           <div className="buildings-section-header">
             <h3>🏗️ Gebäude</h3>
             <div className="view-mode-toggle">
+              {viewMode === 'graphic' && (
+                <button
+                  className={`view-btn ${editLayout ? 'active' : ''}`}
+                  onClick={() => setEditLayout(!editLayout)}
+                  title="Gebäude anordnen"
+                >
+                  ✏️
+                </button>
+              )}
               <button 
                 className={`view-btn ${viewMode === 'graphic' ? 'active' : ''}`}
                 onClick={() => setViewMode('graphic')}
@@ -668,6 +818,13 @@ function Grundstueck() {
               >
                 🖼️
               </button>
+              <button
+                className={`view-btn ${viewMode === 'tree' ? 'active' : ''}`}
+                onClick={() => setViewMode('tree')}
+                title="Technologiebaum"
+              >
+                🌳
+              </button>
               <button 
                 className={`view-btn ${viewMode === 'list' ? 'active' : ''}`}
                 onClick={() => setViewMode('list')}
@@ -679,54 +836,21 @@ function Grundstueck() {
           </div>
 
           {viewMode === 'graphic' ? (
-            <div className="property-image-container">
-              <img 
-                src={propertySettings.image_path || '/buildings/huette1.jpg'} 
-                alt="Grundstück" 
-                className="property-image"
-                onError={(e) => {
-                  // Fallback to second image if first doesn't exist
-                  if (e.target.src.includes('huette1.jpg')) {
-                    e.target.src = '/buildings/huette.jpeg';
-                  }
-                }}
-              />
-              {hotspots.map((hotspot, idx) => {
-                const buildingName = hotspot.building_name || hotspot.buildingName;
-                const hotspotBuilding = getHotspotBuilding(buildingName);
-                const isBuilt = hotspotBuilding;
-                const isHovered = hoveredHotspot === idx;
-                
-                return (
-                  <div
-                    key={hotspot.id || `hotspot-${idx}`}
-                    className={`property-hotspot ${isBuilt ? 'built' : 'unbuilt'} ${isHovered ? 'hovered' : ''}`}
-                    style={{
-                      left: `${hotspot.x}%`,
-                      top: `${hotspot.y}%`,
-                      width: `${hotspot.width}%`,
-                      height: `${hotspot.height}%`
-                    }}
-                    onClick={() => handleHotspotClick(hotspot)}
-                    onMouseEnter={() => setHoveredHotspot(idx)}
-                    onMouseLeave={() => setHoveredHotspot(null)}
-                    title={hotspot.description}
-                  >
-                    <div className="hotspot-icon">{hotspot.icon}</div>
-                    {isHovered && (
-                      <div className="hotspot-tooltip">
-                        <div className="tooltip-label">{hotspot.label}</div>
-                        {isBuilt ? (
-                          <div className="tooltip-level">Lv. {hotspotBuilding.level}</div>
-                        ) : (
-                          <div className="tooltip-status">Nicht gebaut</div>
-                        )}
-                      </div>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
+            <PropertyGrid
+              layout={propertyLayout}
+              editable={editLayout}
+              selectedName={selectedBuilding?.name}
+              onSelect={handlePropertyBuildingClick}
+              onPlace={placeOnProperty}
+              onStore={storeFromProperty}
+            />
+          ) : viewMode === 'tree' ? (
+            <TechTreeGraph
+              nodes={getTechTreeNodes()}
+              edges={techTree?.edges || []}
+              selectedId={selectedBuilding?.id}
+              onSelect={(node) => setSelectedBuilding(buildings.find(b => b.id === node.id) || null)}
+            />
           ) : (
             <div className="buildings-grid">
               {buildings.map((building) => {
@@ -762,11 +886,13 @@ function Grundstueck() {
 
         {/* Right Side - Info Panels */}
         <div className="info-section">
+          <JobQueue slots={jobSlots} jobs={openJobs} queue={jobQueue} autoClaim={autoClaim} onChange={fetchJobs} />
+
           {/* Job Status Panel */}
           {jobStatus && (
-            <div className={`info-panel job-panel ${jobStatus.is_paused ? 'paused' : ''} ${jobStatus.is_completed ? 'ready' : ''}`}>
+            <div className={`info-panel job-panel ${jobStatus.is_paused ? 'paused' : ''} ${jobStatus.is_ready ? 'ready' : ''}`}>
               <h4>
-                {jobStatus.is_paused ? '⏸️' : jobStatus.is_completed ? '✅' : '🏗️'} 
+                {jobStatus.is_paused ? '⏸️' : jobStatus.is_ready ? '✅' : '🏗️'} 
                 {' '}{jobStatus.job_type === 'build' ? 'Bau' : 'Upgrade'}
               </h4>
               <div className="job-info">
@@ -784,7 +910,7 @@ function Grundstueck() {
                   ⚠️ Pausiert - Geh nach Hause!
                   <div className="job-time">{formatTime(jobStatus.remaining_seconds || 0)}</div>
                 </div>
-              ) : jobStatus.is_completed ? (
+              ) : jobStatus.is_ready ? (
                 <button className="btn-claim" onClick={claimJob}>
                   ✨ Fertig! Abholen
                 </button>
@@ -794,16 +920,55 @@ function Grundstueck() {
                     <div 
                       className="progress-fill"
                       style={{ 
-                        width: `${Math.max(0, 100 - (jobStatus.time_remaining_seconds / (jobStatus.duration_minutes * 60)) * 100)}%` 
+                        width: `${Math.max(0, 100 - (jobStatus.remaining_seconds / (jobStatus.duration_minutes * 60)) * 100)}%` 
                       }}
                     />
                   </div>
-                  <div className="job-time">⏱️ {formatTime(jobStatus.time_remaining_seconds || 0)}</div>
+                  <div className="job-time">⏱️ {formatTime(jobStatus.remaining_seconds || 0)}</div>
                 </div>
               )}
             </div>
           )}
 
+          {/* Production Panel */}
+          {production.length > 0 && (
+            <div className="info-panel production-panel">
+              <h4>🏭 Produktion</h4>
+              {production.map(entry => (
+                <div key={entry.building_id} className="production-row">
+                  <div className="production-header">
+                    <span>{getBuildingIcon(entry.name)} {entry.display_name} <small>Lv. {entry.level}</small></span>
+                    <span className="production-rate">{entry.output_per_hour}/h {entry.output.display_name}</span>
+                  </div>
+                  <div className="progress-bar">
+                    <div
+                      className="progress-fill"
+                      style={{ width: `${Math.min(100, entry.stored / entry.storage_cap * 100)}%` }}
+                    />
+                  </div>
+                  <div className="production-footer">
+                    <span>
+                      {entry.stored} / {entry.storage_cap} gelagert
+                      {entry.input && (
+                        <small className={entry.collectable < entry.stored ? 'missing' : ''}>
+                          {' '}· {entry.input.quantity}x {entry.input.display_name} je Stück ({entry.input.owned} vorhanden)
+                        </small>
+                      )}
+                    </span>
+                    <button
+                      className="btn-collect"
+                      onClick={() => collectProduction(entry.building_id)}
+                      disabled={entry.collectable < 1 || !isAtHome}
+                      title={!isAtHome ? 'Nur zu Hause abholbar' : entry.full_at ? `Voll um ${new Date(entry.full_at).toLocaleTimeString('de-DE')}` : 'Lager voll'}
+                    >
+                      📥 {entry.collectable > 0 ? entry.collectable : ''} Abholen
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Building Details Panel */}
           {selectedBuilding && (
             <div className="info-panel details-panel">
@@ -838,18 +1003,45 @@ function Grundstueck() {
                 </div>
               )}
 
+              {/* Tech tree prerequisites for the next step */}
+              {getNextPrerequisites(selectedBuilding).length > 0 && (
+                <div className="requirements-list">
+                  <h5>🌳 Voraussetzungen{selectedBuilding.is_built ? ` für Lv. ${(builtMap.get(selectedBuilding.id)?.level || 1) + 1}` : ''}:</h5>
+                  {getNextPrerequisites(selectedBuilding).map(prerequisite => (
+                    <div
+                      key={prerequisite.id}
+                      className={`requirement-row ${prerequisite.met ? 'has' : 'missing'}`}
+                    >
+                      <span className="req-name">{prerequisite.label}</span>
+                      <span className={`req-amount ${prerequisite.met ? 'has' : 'missing'}`}>
+                        {prerequisite.met ? '✅' : '❌'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="details-actions">
                 {/* Build Button */}
                 {!selectedBuilding.is_built && (
-                  <button
-                    className="btn-build-main"
-                    onClick={() => buildBuilding(selectedBuilding.id)}
-                    disabled={!canBuild(selectedBuilding) || !isAtHome || jobStatus}
-                  >
-                    {!isAtHome ? '🏠 Nicht zu Hause' : 
-                     jobStatus ? '⏳ Anderer Job aktiv' :
-                     canBuild(selectedBuilding) ? '🔨 Bauen' : '❌ Ressourcen fehlen'}
-                  </button>
+                  jobStatus ? (
+                    <button
+                      className="btn-build-main"
+                      onClick={() => queueBuildingJob(selectedBuilding.id, 'build')}
+                    >
+                      📋 Danach bauen (Warteschlange)
+                    </button>
+                  ) : (
+                    <button
+                      className="btn-build-main"
+                      onClick={() => buildBuilding(selectedBuilding.id)}
+                      disabled={!canBuild(selectedBuilding) || !prerequisitesMet(selectedBuilding) || !isAtHome}
+                    >
+                      {!isAtHome ? '🏠 Nicht zu Hause' :
+                       !prerequisitesMet(selectedBuilding) ? '🔒 Voraussetzungen fehlen' :
+                       canBuild(selectedBuilding) ? '🔨 Bauen' : '❌ Ressourcen fehlen'}
+                    </button>
+                  )
                 )}
 
                 {/* Upgrade Button */}
@@ -857,15 +1049,24 @@ function Grundstueck() {
                   builtMap.get(selectedBuilding.id)?.level >= (selectedBuilding.max_level || 5) ? (
                     <div className="max-level-notice">🏆 Max Level erreicht!</div>
                   ) : (
-                    <button 
-                      className="btn-upgrade-main"
-                      onClick={() => upgradeBuilding(selectedBuilding.id)}
-                      disabled={!isAtHome || jobStatus}
-                    >
-                      {!isAtHome ? '🏠 Nicht zu Hause' :
-                       jobStatus ? '⏳ Anderer Job aktiv' :
-                       `⬆️ Auf Lv. ${(builtMap.get(selectedBuilding.id)?.level || 1) + 1} upgraden`}
-                    </button>
+                    jobStatus ? (
+                      <button 
+                        className="btn-upgrade-main"
+                        onClick={() => queueBuildingJob(selectedBuilding.id, 'upgrade')}
+                      >
+                        📋 Danach upgraden (Warteschlange)
+                      </button>
+                    ) : (
+                      <button 
+                        className="btn-upgrade-main"
+                        onClick={() => upgradeBuilding(selectedBuilding.id)}
+                        disabled={!isAtHome || !prerequisitesMet(selectedBuilding)}
+                      >
+                        {!isAtHome ? '🏠 Nicht zu Hause' :
+                         !prerequisitesMet(selectedBuilding) ? '🔒 Voraussetzungen fehlen' :
+                         `⬆️ Auf Lv. ${(builtMap.get(selectedBuilding.id)?.level || 1) + 1} upgraden`}
+                      </button>
+                    )
                   )
                 )}
 
@@ -13,6 +13,8 @@ function GuildDetail() {
   const [pacts, setPacts] = useState([]);
   const [applications, setApplications] = useState([]);
   const [incomingPacts, setIncomingPacts] = useState([]);
+  const [wars, setWars] = useState([]);
+  const [warSettings, setWarSettings] = useState(null);
   const [userRole, setUserRole] = useState(null);
   const [isMember, setIsMember] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -20,6 +22,18 @@ function GuildDetail() {
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState('members');
   const [allGuilds, setAllGuilds] = useState([]);
+  const [bank, setBank] = useState(null);
+  const [inventory, setInventory] = useState([]);
+  const [playerGold, setPlayerGold] = useState(0);
+  const [depositForm, setDepositForm] = useState({ item_id: '', quantity: 1, gold: '' });
+  const [withdrawForm, setWithdrawForm] = useState({ item_id: '', quantity: 1, gold: '' });
+  const [limitsForm, setLimitsForm] = useState(null);
+  const [levelInfo, setLevelInfo] = useState(null);
+  const [perks, setPerks] = useState([]);
+  const [xpSources, setXpSources] = useState({});
+  const [payPerksFromBank, setPayPerksFromBank] = useState(true);
+  const [upgrade, setUpgrade] = useState(null);
+  const [payUpgradeFromBank, setPayUpgradeFromBank] = useState(true);
 
   useEffect(() => {
     fetchGuildData();
@@ -31,9 +45,23 @@ function GuildDetail() {
       setGuild(response.data.guild);
       setMembers(response.data.members || []);
       setPacts(response.data.pacts || []);
+      setLevelInfo(response.data.levelInfo || null);
       setUserRole(response.data.userRole);
       setIsMember(response.data.isMember);
 
+      const warsResponse = await api.get(`/guilds/${guildId}/wars`);
+      setWars(warsResponse.data.wars || []);
+      setWarSettings(warsResponse.data.settings || null);
+
+      const perksResponse = await api.get(`/guilds/${guildId}/perks`);
+      setPerks(perksResponse.data.perks || []);
+      setUpgrade(perksResponse.data.upgrade || null);
+      setXpSources(perksResponse.data.xpSources || {});
+
+      if (response.data.isMember) {
+        await fetchBank();
+      }
+
       // If user is leader or officer, fetch applications
       if (response.data.userRole === 'leader' || response.data.userRole === 'officer') {
         const appsResponse = await api.get(`/guilds/${guildId}/applications`);
@@ -59,6 +87,99 @@ function GuildDetail() {
     }
   };
 
+  const fetchBank = async () => {
+    try {
+      const [bankRes, inventoryRes, statsRes] = await Promise.all([
+        api.get(`/guilds/${guildId}/bank`),
+        api.get('/inventory'),
+        api.get('/npcs/player/stats')
+      ]);
+      setBank(bankRes.data);
+      setLimitsForm(bankRes.data.limits);
+      setInventory(inventoryRes.data.inventory || []);
+      setPlayerGold(statsRes.data.stats.gold || 0);
+    } catch (error) {
+      console.error('Fehler beim Laden der Gildenbank:', error);
+    }
+  };
+
+  // Build the request body from a deposit/withdraw form
+  const bankMovement = (form) => ({
+    gold: parseInt(form.gold) || 0,
+    items: form.item_id ? [{ item_id: parseInt(form.item_id), quantity: parseInt(form.quantity) || 0 }] : []
+  });
+
+  const handleDeposit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post(`/guilds/${guildId}/bank/deposit`, bankMovement(depositForm));
+      setMessage(response.data.message);
+      setDepositForm({ item_id: '', quantity: 1, gold: '' });
+      fetchBank();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Einzahlen');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleWithdraw = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post(`/guilds/${guildId}/bank/withdraw`, bankMovement(withdrawForm));
+      setMessage(response.data.message);
+      setWithdrawForm({ item_id: '', quantity: 1, gold: '' });
+      fetchBank();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Abheben');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleSaveLimits = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.put(`/guilds/${guildId}/bank/limits`, { limits: limitsForm });
+      setMessage(response.data.message);
+      fetchBank();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Speichern der Limits');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleActivatePerk = async (perk) => {
+    const source = payPerksFromBank ? 'aus der Gildenbank' : 'aus deinem Inventar';
+    if (!confirm(`${perk.display_name} aktivieren? Die Kosten werden ${source} bezahlt.`)) return;
+
+    try {
+      const response = await api.post(`/guilds/${guildId}/perks/${perk.id}/activate`, { fromBank: payPerksFromBank });
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Aktivieren des Perks');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleUpgradeGuild = async () => {
+    const source = payUpgradeFromBank ? 'aus der Gildenbank' : 'aus deinem Inventar';
+    if (!confirm(`Gilde ausbauen? Die Kosten werden ${source} bezahlt.`)) return;
+
+    try {
+      const response = await api.post(`/guilds/${guildId}/upgrade`, { fromBank: payUpgradeFromBank });
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Ausbauen der Gilde');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
   const handleReviewApplication = async (applicationId, status) => {
     try {
       const response = await api.put(`/guilds/${guildId}/applications/${applicationId}`, { status });
@@ -176,6 +297,70 @@ function GuildDetail() {
     }
   };
 
+  const handleDeclareWar = async (targetGuild) => {
+    if (!confirm(`Möchtest du ${targetGuild.name} wirklich den Krieg erklären?`)) return;
+
+    try {
+      const response = await api.post(`/guilds/${guildId}/wars`, { targetGuildId: targetGuild.id });
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler bei der Kriegserklärung');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleRespondToWar = async (warId, status) => {
+    try {
+      const response = await api.put(`/guilds/${guildId}/wars/${warId}`, { status });
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 5000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler bei der Antwort');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleWithdrawWar = async (warId) => {
+    try {
+      const response = await api.delete(`/guilds/${guildId}/wars/${warId}`);
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Zurückziehen');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleSurrender = async (warId) => {
+    if (!confirm('Möchtest du wirklich kapitulieren? Die gegnerische Gilde gewinnt den Krieg.')) return;
+
+    try {
+      const response = await api.post(`/guilds/${guildId}/wars/${warId}/surrender`);
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler bei der Kapitulation');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleOfferPeace = async (warId) => {
+    try {
+      const response = await api.post(`/guilds/${guildId}/wars/${warId}/peace`);
+      setMessage(response.data.message);
+      fetchGuildData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Fehler beim Friedensangebot');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
   if (loading) {
     return (
       <div className="container">
@@ -198,6 +383,49 @@ function GuildDetail() {
   }
 
   const pendingApps = applications.filter(a => a.status === 'pending');
+
+  // Wars from this guild's point of view
+  const ownGuildId = parseInt(guildId);
+  const currentWar = wars.find(w => w.status === 'preparing' || w.status === 'active');
+  const incomingWars = wars.filter(w => w.status === 'pending' && w.defender_guild_id === ownGuildId);
+  const outgoingWars = wars.filter(w => w.status === 'pending' && w.attacker_guild_id === ownGuildId);
+  const pastWars = wars.filter(w => w.status === 'ended');
+  const warOpponent = (war) => war.attacker_guild_id === ownGuildId
+    ? { id: war.defender_guild_id, name: war.defender_name, tag: war.defender_tag, score: war.defender_score }
+    : { id: war.attacker_guild_id, name: war.attacker_name, tag: war.attacker_tag, score: war.attacker_score };
+  const ownScore = (war) => war.attacker_guild_id === ownGuildId ? war.attacker_score : war.defender_score;
+  const warTargets = allGuilds.filter(g =>
+    g.id !== ownGuildId &&
+    !pacts.some(p => p.guild_1_id === g.id || p.guild_2_id === g.id) &&
+    !outgoingWars.some(w => w.defender_guild_id === g.id) &&
+    !incomingWars.some(w => w.attacker_guild_id === g.id)
+  );
+  const endReasonLabels = {
+    time: 'Zeit abgelaufen',
+    surrender: 'Kapitulation',
+    peace: 'Frieden',
+    disbanded: 'Gilde aufgelöst'
+  };
+  const roleLabels = {
+    leader: 'Anführer',
+    officer: 'Offizier',
+    member: 'Mitglied'
+  };
+  const transactionLabels = {
+    deposit: '📥 Einzahlung',
+    withdraw: '📤 Abhebung',
+    spend: '🏗️ Ausgabe'
+  };
+  const xpSourceLabels = {
+    quests_completed: 'abgeschlossene Quest',
+    monsters_killed: 'besiegtes Monster',
+    bosses_killed: 'besiegter Boss (zusätzlich)',
+    resources_collected: 'gesammelte Ressource'
+  };
+  const levelProgress = levelInfo?.next_level_xp
+    ? Math.min(100, ((levelInfo.xp - levelInfo.level_xp) / (levelInfo.next_level_xp - levelInfo.level_xp)) * 100)
+    : 100;
+  const ownLimit = bank && bank.role !== 'leader' ? bank.limits[bank.role] : null;
   const otherGuilds = allGuilds.filter(g => 
     g.id !== parseInt(guildId) && 
     !pacts.some(p => p.guild_1_id === g.id || p.guild_2_id === g.id)
@@ -214,10 +442,23 @@ function GuildDetail() {
             </h1>
             {guild.description && <p className="guild-description">{guild.description}</p>}
             <div className="guild-stats">
-              <span>👥 {members.length} Mitglieder</span>
+              {levelInfo && <span>⭐ Stufe {levelInfo.level}</span>}
+              <span>👥 {members.length}{levelInfo && `/${levelInfo.member_cap}`} Mitglieder</span>
               <span>👑 {guild.leader_name}</span>
               <span>📅 {new Date(guild.created_at).toLocaleDateString('de-DE')}</span>
             </div>
+            {levelInfo && (
+              <div className="guild-xp">
+                <div className="guild-xp-bar">
+                  <div className="guild-xp-fill" style={{ width: `${levelProgress}%` }} />
+                </div>
+                <span className="guild-xp-text">
+                  {levelInfo.next_level_xp
+                    ? `${levelInfo.xp.toLocaleString('de-DE')} / ${levelInfo.next_level_xp.toLocaleString('de-DE')} EP`
+                    : `${levelInfo.xp.toLocaleString('de-DE')} EP · Höchststufe`}
+                </span>
+              </div>
+            )}
           </div>
           {isMember && (
             <div className="guild-actions">
@@ -253,6 +494,27 @@ function GuildDetail() {
           >
             Pakte ({pacts.length})
           </button>
+          <button 
+            className={`tab ${activeTab === 'wars' ? 'active' : ''}`}
+            onClick={() => setActiveTab('wars')}
+          >
+            Kriege {currentWar && '⚔️'}
+            {userRole === 'leader' && incomingWars.length > 0 && <span className="badge">{incomingWars.length}</span>}
+          </button>
+          <button 
+            className={`tab ${activeTab === 'perks' ? 'active' : ''}`}
+            onClick={() => setActiveTab('perks')}
+          >
+            Perks {perks.some(p => p.active_until) && '✨'}
+          </button>
+          {isMember && (
+            <button 
+              className={`tab ${activeTab === 'bank' ? 'active' : ''}`}
+              onClick={() => setActiveTab('bank')}
+            >
+              Bank
+            </button>
+          )}
           {(userRole === 'leader' || userRole === 'officer') && (
             <button 
               className={`tab ${activeTab === 'applications' ? 'active' : ''}`}
@@ -299,6 +561,7 @@ function GuildDetail() {
                       {member.role === 'officer' && '⚔️ Offizier'}
                       {member.role === 'member' && '🛡️ Mitglied'}
                     </span>
+                    <span className="member-xp">✨ {member.xp_contributed || 0} EP beigetragen</span>
                   </div>
                   {userRole === 'leader' && member.id !== user?.id && (
                     <div className="member-actions">
@@ -423,6 +686,383 @@ function GuildDetail() {
             </div>
           )}
 
+          {/* Wars Tab */}
+          {activeTab === 'wars' && (
+            <div className="wars-section">
+              {/* Incoming Declarations (Leader only) */}
+              {userRole === 'leader' && incomingWars.length > 0 && (
+                <div className="incoming-pacts incoming-wars">
+                  <h3>📨 Kriegserklärungen</h3>
+                  {incomingWars.map(war => (
+                    <div key={war.id} className="pact-request">
+                      <span>[{war.attacker_tag}] {war.attacker_name}</span>
+                      <span className="requested-by">von {war.declared_by_name}</span>
+                      <div className="pact-actions">
+                        <button 
+                          className="btn btn-small btn-danger"
+                          onClick={() => handleRespondToWar(war.id, 'accepted')}
+                        >
+                          Krieg annehmen
+                        </button>
+                        <button 
+                          className="btn btn-small"
+                          onClick={() => handleRespondToWar(war.id, 'rejected')}
+                        >
+                          Ablehnen
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Running War */}
+              <h3>⚔️ Aktueller Krieg</h3>
+              {!currentWar ? (
+                <p className="no-pacts">Deine Gilde befindet sich im Frieden</p>
+              ) : (
+                <div className={`war-card war-${currentWar.status}`}>
+                  <div className="war-score">
+                    <span className="war-guild">[{guild.tag}] {guild.name}</span>
+                    <span className="war-points">{ownScore(currentWar)} : {warOpponent(currentWar).score}</span>
+                    <span className="war-guild">[{warOpponent(currentWar).tag}] {warOpponent(currentWar).name}</span>
+                  </div>
+                  <p className="war-phase">
+                    {currentWar.status === 'preparing'
+                      ? `🛡️ Vorbereitung - der Krieg beginnt am ${new Date(currentWar.starts_at).toLocaleString('de-DE')}`
+                      : `🔥 Krieg läuft - Ende am ${new Date(currentWar.ends_at).toLocaleString('de-DE')}`}
+                  </p>
+                  {currentWar.peace_offered_by && (
+                    <p className="war-peace">
+                      🕊️ {currentWar.peace_offered_by === ownGuildId ? 'Ihr habt Frieden angeboten' : `[${warOpponent(currentWar).tag}] bietet Frieden an`}
+                    </p>
+                  )}
+                  {currentWar.fighters?.length > 0 && (
+                    <div className="war-fighters">
+                      {currentWar.fighters.map(fighter => (
+                        <div key={`${fighter.guild_id}-${fighter.username}`} className={`war-fighter ${fighter.guild_id === ownGuildId ? 'own' : 'enemy'}`}>
+                          <span>{fighter.username}</span>
+                          <span>🗡️ {fighter.pvp_kills} · 👹 {fighter.monster_kills} · {fighter.points} Pkt.</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {userRole === 'leader' && (
+                    <div className="pact-actions">
+                      {currentWar.peace_offered_by !== ownGuildId && (
+                        <button className="btn btn-small btn-success" onClick={() => handleOfferPeace(currentWar.id)}>
+                          {currentWar.peace_offered_by ? 'Frieden annehmen' : 'Frieden anbieten'}
+                        </button>
+                      )}
+                      <button className="btn btn-small btn-danger" onClick={() => handleSurrender(currentWar.id)}>
+                        Kapitulieren
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {warSettings && (
+                <p className="war-rules">
+                  Nach der Annahme folgen {warSettings.preparation_hours} Stunden Vorbereitung, danach {warSettings.duration_hours} Stunden
+                  Krieg. Punkte: {warSettings.points.pvp} pro besiegtem Gegner, {warSettings.points.monster} pro Monster
+                  ({warSettings.points.boss} pro Boss).
+                </p>
+              )}
+
+              {/* Outgoing Declarations (Leader only) */}
+              {userRole === 'leader' && outgoingWars.length > 0 && (
+                <>
+                  <h3>📤 Offene Kriegserklärungen</h3>
+                  <div className="pacts-list">
+                    {outgoingWars.map(war => (
+                      <div key={war.id} className="pact-card war-pending">
+                        <span className="pact-guild">[{war.defender_tag}] {war.defender_name}</span>
+                        <span className="requested-by">wartet auf Antwort</span>
+                        <button className="btn btn-small" onClick={() => handleWithdrawWar(war.id)}>
+                          Zurückziehen
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              {/* Declare War (Leader only) */}
+              {userRole === 'leader' && !currentWar && warTargets.length > 0 && (
+                <div className="request-pact">
+                  <h3>🏴 Krieg erklären</h3>
+                  <div className="guilds-for-pact">
+                    {warTargets.map(g => (
+                      <div key={g.id} className="pact-target">
+                        <span>[{g.tag}] {g.name}</span>
+                        <button 
+                          className="btn btn-small btn-danger"
+                          onClick={() => handleDeclareWar(g)}
+                        >
+                          Krieg erklären
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* War History */}
+              <h3>📜 Kriegsgeschichte</h3>
+              {pastWars.length === 0 ? (
+                <p className="no-pacts">Noch keine Kriege geführt</p>
+              ) : (
+                <div className="pacts-list">
+                  {pastWars.map(war => {
+                    const opponent = warOpponent(war);
+                    const result = war.winner_guild_id === null ? 'draw' : war.winner_guild_id === ownGuildId ? 'won' : 'lost';
+                    return (
+                      <div key={war.id} className={`pact-card war-history war-${result}`}>
+                        <span className="pact-guild">
+                          gegen [{opponent.tag}] {opponent.name}
+                          <span className="requested-by"> · {new Date(war.ended_at).toLocaleDateString('de-DE')} · {endReasonLabels[war.end_reason]}</span>
+                        </span>
+                        <span className="war-points">{ownScore(war)} : {opponent.score}</span>
+                        <span className="war-result">
+                          {result === 'won' && '🏆 Sieg'}
+                          {result === 'lost' && '💀 Niederlage'}
+                          {result === 'draw' && '🏳️ Unentschieden'}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Perks Tab */}
+          {activeTab === 'perks' && (
+            <div className="perks-section">
+              <h3>⭐ Gildenstufe {levelInfo?.level}</h3>
+              <p className="war-rules">
+                Die Gilde erhält EP durch ihre Mitglieder:{' '}
+                {Object.entries(xpSources).map(([stat, xp]) => `${xp} pro ${xpSourceLabels[stat] || stat}`).join(', ')}.
+                Jede Stufe schaltet Perks frei und bietet 5 weiteren Mitgliedern Platz.
+              </p>
+
+              {userRole === 'leader' && upgrade && (
+                <>
+                  <h3>🏗️ Gilde ausbauen</h3>
+                  <label className="perk-payment">
+                    <input
+                      type="checkbox"
+                      checked={payUpgradeFromBank}
+                      onChange={(e) => setPayUpgradeFromBank(e.target.checked)}
+                    />
+                    Kosten aus der Gildenbank bezahlen
+                  </label>
+                  <div className="perk-card">
+                    <span className="perk-icon">🏗️</span>
+                    <div className="perk-info">
+                      <span className="perk-name">+{upgrade.xp} Gilden-EP</span>
+                      <span className="perk-cost">
+                        {upgrade.cost_items.map(item => `${item.quantity}x ${item.display_name}`).join(' · ')}
+                      </span>
+                    </div>
+                    <div className="perk-state">
+                      <button className="btn btn-small btn-success" onClick={handleUpgradeGuild}>
+                        Ausbauen
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
+
+              <h3>✨ Perks</h3>
+              {userRole === 'leader' && (
+                <label className="perk-payment">
+                  <input
+                    type="checkbox"
+                    checked={payPerksFromBank}
+                    onChange={(e) => setPayPerksFromBank(e.target.checked)}
+                  />
+                  Kosten aus der Gildenbank bezahlen
+                </label>
+              )}
+              {perks.length === 0 ? (
+                <p className="no-pacts">Keine Perks verfügbar</p>
+              ) : (
+                <div className="perks-list">
+                  {perks.map(perk => (
+                    <div
+                      key={perk.id}
+                      className={`perk-card ${perk.active_until ? 'perk-active' : ''} ${perk.unlocked ? '' : 'perk-locked'}`}
+                    >
+                      <span className="perk-icon">{perk.icon}</span>
+                      <div className="perk-info">
+                        <span className="perk-name">{perk.display_name}</span>
+                        <span className="perk-description">{perk.description}</span>
+                        <span className="perk-cost">
+                          {perk.duration_hours} Std. · 💰 {perk.cost_gold} Gold
+                          {perk.cost_items.map(item => ` · ${item.quantity}x ${item.display_name}`).join('')}
+                        </span>
+                      </div>
+                      <div className="perk-state">
+                        {!perk.unlocked && <span>🔒 Ab Stufe {perk.required_level}</span>}
+                        {perk.active_until && (
+                          <span>✅ Aktiv bis {new Date(perk.active_until).toLocaleString('de-DE')}</span>
+                        )}
+                        {perk.unlocked && !perk.active_until && userRole === 'leader' && (
+                          <button className="btn btn-small btn-success" onClick={() => handleActivatePerk(perk)}>
+                            Aktivieren
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Bank Tab */}
+          {activeTab === 'bank' && isMember && bank && (
+            <div className="bank-section">
+              <h3>🏦 Gildenbank</h3>
+              <div className="bank-gold">💰 {bank.gold} Gold</div>
+              {bank.items.length === 0 ? (
+                <p className="no-pacts">Die Gildenbank enthält keine Items</p>
+              ) : (
+                <div className="bank-items">
+                  {bank.items.map(item => (
+                    <div key={item.item_id} className={`bank-item rarity-${item.rarity}`}>
+                      <span>{item.display_name}</span>
+                      <span className="bank-item-quantity">{item.quantity}x</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <p className="bank-limit">
+                {ownLimit
+                  ? `Dein Limit als ${roleLabels[bank.role]} (letzte 24 Stunden): ${bank.withdrawnToday.gold}/${ownLimit.daily_gold} Gold, ${bank.withdrawnToday.items}/${ownLimit.daily_items} Items`
+                  : 'Als Gildenleiter hebst du ohne Limit ab.'}
+              </p>
+
+              <div className="bank-forms">
+                <form className="bank-form" onSubmit={handleDeposit}>
+                  <h4>📥 Einzahlen</h4>
+                  <select
+                    value={depositForm.item_id}
+                    onChange={(e) => setDepositForm({ ...depositForm, item_id: e.target.value })}
+                  >
+                    <option value="">-- kein Item --</option>
+                    {inventory.map(item => (
+                      <option key={item.item_id} value={item.item_id}>
+                        {item.display_name} ({item.quantity}x)
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    value={depositForm.quantity}
+                    onChange={(e) => setDepositForm({ ...depositForm, quantity: e.target.value })}
+                    disabled={!depositForm.item_id}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max={playerGold}
+                    placeholder={`Gold (du hast ${playerGold})`}
+                    value={depositForm.gold}
+                    onChange={(e) => setDepositForm({ ...depositForm, gold: e.target.value })}
+                  />
+                  <button type="submit" className="btn btn-small btn-success">Einzahlen</button>
+                </form>
+
+                <form className="bank-form" onSubmit={handleWithdraw}>
+                  <h4>📤 Abheben</h4>
+                  <select
+                    value={withdrawForm.item_id}
+                    onChange={(e) => setWithdrawForm({ ...withdrawForm, item_id: e.target.value })}
+                  >
+                    <option value="">-- kein Item --</option>
+                    {bank.items.map(item => (
+                      <option key={item.item_id} value={item.item_id}>
+                        {item.display_name} ({item.quantity}x)
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    value={withdrawForm.quantity}
+                    onChange={(e) => setWithdrawForm({ ...withdrawForm, quantity: e.target.value })}
+                    disabled={!withdrawForm.item_id}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max={bank.gold}
+                    placeholder="Gold"
+                    value={withdrawForm.gold}
+                    onChange={(e) => setWithdrawForm({ ...withdrawForm, gold: e.target.value })}
+                  />
+                  <button type="submit" className="btn btn-small">Abheben</button>
+                </form>
+              </div>
+
+              {/* Withdrawal Limits (Leader only) */}
+              {userRole === 'leader' && limitsForm && (
+                <form className="bank-limits" onSubmit={handleSaveLimits}>
+                  <h3>⚖️ Tageslimits</h3>
+                  {Object.entries(limitsForm).map(([role, limit]) => (
+                    <div key={role} className="bank-limit-row">
+                      <span>{roleLabels[role]}</span>
+                      <label>
+                        Gold
+                        <input
+                          type="number"
+                          min="0"
+                          value={limit.daily_gold}
+                          onChange={(e) => setLimitsForm({ ...limitsForm, [role]: { ...limit, daily_gold: e.target.value } })}
+                        />
+                      </label>
+                      <label>
+                        Items
+                        <input
+                          type="number"
+                          min="0"
+                          value={limit.daily_items}
+                          onChange={(e) => setLimitsForm({ ...limitsForm, [role]: { ...limit, daily_items: e.target.value } })}
+                        />
+                      </label>
+                    </div>
+                  ))}
+                  <button type="submit" className="btn btn-small">Limits speichern</button>
+                </form>
+              )}
+
+              {/* Ledger */}
+              <h3>📒 Kontobuch</h3>
+              {bank.transactions.length === 0 ? (
+                <p className="no-pacts">Noch keine Buchungen</p>
+              ) : (
+                <div className="bank-ledger">
+                  {bank.transactions.map(entry => (
+                    <div key={entry.id} className={`bank-entry bank-${entry.type}`}>
+                      <span className="bank-entry-date">{new Date(entry.created_at.replace(' ', 'T') + 'Z').toLocaleString('de-DE')}</span>
+                      <span className="bank-entry-type">{transactionLabels[entry.type]}</span>
+                      <span className="bank-entry-user">{entry.username || 'Unbekannt'}</span>
+                      <span className="bank-entry-amount">
+                        {entry.item_id ? `${entry.quantity}x ${entry.item_name || 'Unbekanntes Item'}` : `${entry.gold} Gold`}
+                        {entry.reason && <span className="requested-by"> · {entry.reason}</span>}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Applications Tab */}
           {activeTab === 'applications' && (userRole === 'leader' || userRole === 'officer') && (
             <div className="applications-section">
@@ -15,6 +15,8 @@ function Guilds() {
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
   const [guildRequirements, setGuildRequirements] = useState(null);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
 
   useEffect(() => {
     fetchData();
@@ -22,16 +24,18 @@ function Guilds() {
 
   const fetchData = async () => {
     try {
-      const [guildsRes, myGuildRes, applicationsRes, requirementsRes] = await Promise.all([
+      const [guildsRes, myGuildRes, applicationsRes, requirementsRes, leaderboardRes] = await Promise.all([
         api.get('/guilds'),
         api.get('/guilds/my/guild'),
         api.get('/guilds/my/applications'),
-        api.get('/guilds/requirements/create')
+        api.get('/guilds/requirements/create'),
+        api.get('/guilds/leaderboard')
       ]);
       setGuilds(guildsRes.data.guilds || []);
       setMyGuild(myGuildRes.data.guild);
       setMyApplications(applicationsRes.data.applications || []);
       setGuildRequirements(requirementsRes.data);
+      setLeaderboard(leaderboardRes.data.guilds || []);
     } catch (error) {
       console.error('Fehler beim Laden:', error);
     } finally {
@@ -257,6 +261,43 @@ function Guilds() {
           </div>
         )}
 
+        {/* Leaderboard */}
+        <button className="btn btn-small leaderboard-toggle" onClick={() => setShowLeaderboard(!showLeaderboard)}>
+          🏆 {showLeaderboard ? 'Bestenliste ausblenden' : 'Bestenliste anzeigen'}
+        </button>
+        {showLeaderboard && (
+          <div className="guild-leaderboard">
+            {leaderboard.length === 0 ? (
+              <p className="no-results">Noch keine Gilden vorhanden</p>
+            ) : (
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Gilde</th>
+                    <th>Stufe</th>
+                    <th>Gilden-EP</th>
+                    <th>Mitglieder</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leaderboard.map(guild => (
+                    <tr key={guild.id} className={myGuild?.guild_id === guild.id ? 'own-guild' : ''}>
+                      <td>{guild.rank <= 3 ? ['🥇', '🥈', '🥉'][guild.rank - 1] : guild.rank}</td>
+                      <td>
+                        <Link to={`/guilds/${guild.id}`}>[{guild.tag}] {guild.name}</Link>
+                      </td>
+                      <td>⭐ {guild.level}</td>
+                      <td>{guild.xp.toLocaleString('de-DE')}</td>
+                      <td>{guild.member_count}/{guild.member_cap}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
         {/* Search */}
         <div className="search-bar">
           <input
@@ -276,14 +317,17 @@ function Guilds() {
                   <span className="guild-tag">[{guild.tag}]</span>
                   <span className="guild-name">{guild.name}</span>
                 </Link>
-                <span className="member-count">👥 {guild.member_count}</span>
+                <span className="member-count">⭐ {guild.level} · 👥 {guild.member_count}/{guild.member_cap}</span>
               </div>
               {guild.description && (
                 <p className="guild-description">{guild.description}</p>
               )}
               <div className="guild-footer">
                 <span className="guild-leader">👑 {guild.leader_name}</span>
-                {!myGuild && !hasAppliedTo(guild.id) && (
+                {!myGuild && !hasAppliedTo(guild.id) && guild.member_count >= guild.member_cap && (
+                  <span className="already-applied">🔒 Voll</span>
+                )}
+                {!myGuild && !hasAppliedTo(guild.id) && guild.member_count < guild.member_cap && (
                   <button 
                     className="btn btn-small"
                     onClick={() => handleApply(guild.id, guild.name)}
@@ -1,13 +1,17 @@
 import { useState, useEffect } from 'react';
 import api from '../services/api';
+import ToolPanel from '../components/ToolPanel';
 import './Inventory.css';
 
 function Inventory() {
   const [inventory, setInventory] = useState([]);
+  const [tools, setTools] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
 
   useEffect(() => {
     fetchInventory();
+    fetchTools();
   }, []);
 
   const fetchInventory = async () => {
@@ -21,6 +25,37 @@ function Inventory() {
     }
   };
 
+  const fetchTools = async () => {
+    try {
+      const response = await api.get('/resources/tools');
+      setTools(response.data.tools || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der Werkzeuge:', error);
+    }
+  };
+
+  // Crafting, repairing and salvaging tools also changes the materials in the inventory
+  const handleToolChange = () => {
+    fetchTools();
+    fetchInventory();
+  };
+
+  const showToolMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const handleUse = async (item) => {
+    try {
+      const response = await api.post(`/inventory/use/${item.item_id}`);
+      setMessage(response.data.message);
+      fetchInventory();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Benutzen des Items');
+    }
+    setTimeout(() => setMessage(''), 3000);
+  };
+
   const getImageUrl = (imagePath) => {
     if (!imagePath) {
       return '/placeholder-item.png'; // Fallback-Bild
@@ -41,6 +76,7 @@ function Inventory() {
     <div className="container">
       <div className="card">
         <h1>Inventar</h1>
+        {message && <div className="inventory-message">{message}</div>}
         {inventory.length === 0 ? (
           <div className="inventory-empty">
             <p>Dein Inventar ist leer. Sammle Ressourcen im Dashboard oder starte einen Sammel-Auftrag!</p>
@@ -64,11 +100,24 @@ function Inventory() {
                   <h3 className="item-name">{item.display_name}</h3>
                   <p className={`item-rarity rarity-${item.rarity}`}>{item.rarity}</p>
                   <p className="item-type">{item.type}</p>
+                  {item.type === 'consumable' && (
+                    <>
+                      <p className="item-effect">
+                        {item.heal_amount > 0 && `❤️ +${item.heal_amount} HP `}
+                        {item.buff_name && `${item.buff_icon || '✨'} ${item.buff_name} (${item.buff_duration_minutes} Min.)`}
+                      </p>
+                      <button className="btn btn-primary btn-use" onClick={() => handleUse(item)}>
+                        Benutzen
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             ))}
           </div>
         )}
+
+        <ToolPanel tools={tools} onChange={handleToolChange} onMessage={showToolMessage} />
       </div>
     </div>
   );
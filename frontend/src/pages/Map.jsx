@@ -3,11 +3,14 @@ import { useNavigate, useSearchParams } from 'react-router-dom';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { useNotificationContext } from '../context/NotificationContext';
+import useRealtime from '../hooks/useRealtime';
+import PartyPanel from '../components/PartyPanel';
+import ToolPanel from '../components/ToolPanel';
+import { TILE_SIZE, seededRandom, getTerrainAt, isWaterTerrain, isWalkableTerrain, worldToTile, setRegions, getRegionAt, getPositionOnPath } from '@soaria/world';
 import './Map.css';
 
 // Tileset configuration - Punyworld Overworld Tileset
 // 432x1040 pixels = 27 columns x ~38 rows of 16x16 tiles (1755 tiles total)
-const TILE_SIZE = 16;
 const TILESET_COLUMNS = 27;
 const TILESET_URL = '/world/punyworld-overworld-tileset.png';
 
@@ -181,58 +184,6 @@ function getTerrainCategory(terrain) {
   return 'grass';
 }
 
-// Seeded random number generator for consistent terrain
-function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
-  return x - Math.floor(x);
-}
-
-// Smooth interpolation (quintic for smoother results)
-function smoothstep(t) {
-  return t * t * t * (t * (t * 6 - 15) + 10);
-}
-
-// 2D gradient noise with smooth interpolation
-function gradientNoise(x, y, seed = 0) {
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const x1 = x0 + 1;
-  const y1 = y0 + 1;
-  
-  const fx = x - x0;
-  const fy = y - y0;
-  
-  const sx = smoothstep(fx);
-  const sy = smoothstep(fy);
-  
-  const n00 = seededRandom(x0 * 374761393 + y0 * 668265263 + seed);
-  const n10 = seededRandom(x1 * 374761393 + y0 * 668265263 + seed);
-  const n01 = seededRandom(x0 * 374761393 + y1 * 668265263 + seed);
-  const n11 = seededRandom(x1 * 374761393 + y1 * 668265263 + seed);
-  
-  const nx0 = n00 * (1 - sx) + n10 * sx;
-  const nx1 = n01 * (1 - sx) + n11 * sx;
-  
-  return nx0 * (1 - sy) + nx1 * sy;
-}
-
-// Multi-octave fractal noise
-function fractalNoise(x, y, octaves = 4, persistence = 0.5, scale = 0.01, seed = 0) {
-  let value = 0;
-  let amplitude = 1;
-  let frequency = scale;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    value += amplitude * gradientNoise(x * frequency, y * frequency, seed + i * 1000);
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= 2;
-  }
-  
-  return value / maxValue;
-}
-
 // Get tile ID for terrain with autotiling support
 function getTileForTerrainWithNeighbors(terrain, variation, neighbors) {
   const category = getTerrainCategory(terrain);
@@ -318,117 +269,6 @@ function getTerrainColor(terrain) {
   return colors[terrain] || colors.grass;
 }
 
-// Check if terrain is water
-function isWaterTerrain(terrain) {
-  return terrain === 'water' || terrain === 'deepWater';
-}
-
-// Path system - creates a network of dirt roads (1 tile wide!)
-function getPathInfo(worldX, worldY) {
-  const roadSpacing = 200;
-  
-  // Check if on vertical road (x is multiple of roadSpacing)
-  const onVertical = Math.abs(worldX % roadSpacing) === 0;
-  
-  // Check if on horizontal road (y is multiple of roadSpacing)  
-  const onHorizontal = Math.abs(worldY % roadSpacing) === 0;
-  
-  if (onVertical && onHorizontal) {
-    return 'cross';      // Intersection
-  } else if (onVertical) {
-    return 'vertical';   // Vertical road
-  } else if (onHorizontal) {
-    return 'horizontal'; // Horizontal road
-  }
-  return null;
-}
-
-function isOnPath(worldX, worldY) {
-  return getPathInfo(worldX, worldY) !== null;
-}
-
-// ============================================================
-// VERBESSERTE TERRAIN GENERATION
-// Neue, verbesserte Terrain-Generierung für natürlichere Landschaften
-// ============================================================
-function getTerrainAt(worldX, worldY) {
-  // Hauptkontinente - sehr große Landmassen (weniger Oktaven für glattere Formen)
-  const continentNoise = fractalNoise(worldX, worldY, 3, 0.5, 0.0008, 12345);
-  
-  // Regionale Variation - mittlere Details
-  const regionNoise = fractalNoise(worldX, worldY, 4, 0.5, 0.003, 54321);
-  
-  // Lokale Details - feine Strukturen
-  const detailNoise = fractalNoise(worldX, worldY, 3, 0.4, 0.01, 99999);
-  
-  // Kombiniere für finale Höhenkarte
-  const height = continentNoise * 0.6 + regionNoise * 0.25 + detailNoise * 0.15;
-  
-  // Forest-spezifisches Noise (unabhängig von Höhe)
-  const forestCluster = fractalNoise(worldX, worldY, 3, 0.5, 0.005, 77777);
-  const forestDetail = fractalNoise(worldX, worldY, 2, 0.3, 0.015, 88888);
-  const forestValue = forestCluster * 0.7 + forestDetail * 0.3;
-  
-  // See/Teich Noise (für Binnengewässer)
-  const lakeNoise = fractalNoise(worldX, worldY, 3, 0.5, 0.004, 66666);
-  
-  // ============================================================
-  // TERRAIN ENTSCHEIDUNGEN (von unten nach oben)
-  // ============================================================
-  
-  // 1. TIEFES WASSER / OZEAN (~20% der Karte)
-  if (height < 0.30) {
-    return 'water';
-  }
-  
-  // 2. FLACHES WASSER / KÜSTE (~5% der Karte)
-  if (height < 0.38) {
-    // Küstenbereich - teilweise Wasser, teilweise Sand
-    if (detailNoise > 0.5) {
-      return 'water';
-    }
-    return 'grass'; // Strandbereich
-  }
-  
-  // 3. SEEN UND TEICHE (~5% der Landmasse)
-  // Nur auf mittlerer Höhe, nicht zu hoch in den Bergen
-  if (height > 0.4 && height < 0.65 && lakeNoise > 0.72) {
-    return 'water';
-  }
-  
-  // 4. PFADE (Straßennetz auf Land)
-  // Prüfe ob wir auf einem Pfad sind (100 Einheiten Raster)
-  if (isOnPath(worldX, worldY) && height > 0.35) {
-    return 'path';
-  }
-  
-  // 5. WÄLDER (~25-30% der Landmasse)
-  // Wälder wachsen bevorzugt in mittleren Höhenlagen
-  if (height > 0.42 && height < 0.75) {
-    // Dichte Waldcluster
-    if (forestValue > 0.58) {
-      return 'forest';
-    }
-    // Einzelne Baumgruppen (für Variation)
-    if (forestValue > 0.54 && detailNoise > 0.6) {
-      return 'forest';
-    }
-  }
-  
-  // 6. GRASLAND (Standard - ~45% der Karte)
-  return 'grass';
-}
-
-// Legacy path check for backwards compatibility
-function legacyPathCheck(detail, height) {
-  if (detail > 0.48 && detail < 0.52 && height > 0.4 && height < 0.6) {
-    return 'path';
-  }
-  
-  // Default: Grassland
-  return 'grass';
-}
-
 function Map() {
   const { user, setUser } = useAuth();
   const { notify } = useNotificationContext();
@@ -450,10 +290,18 @@ function Map() {
   const [tradeData, setTradeData] = useState(null);
   const [myTradeItems, setMyTradeItems] = useState([]);
   const [targetTradeItems, setTargetTradeItems] = useState([]);
+  const [myTradeGold, setMyTradeGold] = useState(0);
+  const [targetTradeGold, setTargetTradeGold] = useState(0);
+  const [tradeOffers, setTradeOffers] = useState({ incoming: [], outgoing: [] });
+  const [party, setParty] = useState(null);
+  const [partyInvites, setPartyInvites] = useState([]);
+  const [counterOffer, setCounterOffer] = useState(null);
   const [playerImages, setPlayerImages] = useState({});
   const [playerStats, setPlayerStats] = useState(null);
   const [equipmentTotalStats, setEquipmentTotalStats] = useState({ attack: 0, defense: 0, health: 0 });
   const [combatResult, setCombatResult] = useState(null);
+  const [worldBoss, setWorldBoss] = useState(null);
+  const [combatSession, setCombatSession] = useState(null);
   const [travelStatus, setTravelStatus] = useState(null);
   const [animationFrame, setAnimationFrame] = useState(0);
   const [showTravelWarning, setShowTravelWarning] = useState(false);
@@ -470,13 +318,18 @@ function Map() {
   const [resourceNodes, setResourceNodes] = useState([]);
   const [selectedResource, setSelectedResource] = useState(null);
   const [gatheringJob, setGatheringJob] = useState(null);
+  // Wandering merchants met while traveling whose offers are still open
+  const [wanderingMerchants, setWanderingMerchants] = useState([]);
   const [userTools, setUserTools] = useState([]);
   const [tilesetImage, setTilesetImage] = useState(null);
   const [tilesetLoaded, setTilesetLoaded] = useState(false);
   const [monsterImages, setMonsterImages] = useState({});
   const [resourceImages, setResourceImages] = useState({});
   const [tileMappings, setTileMappings] = useState({});
+  // Bumped whenever the imported regions change, so the terrain is redrawn
+  const [regionsVersion, setRegionsVersion] = useState(0);
   const [speedMultiplier, setSpeedMultiplier] = useState(1.0);
+  const partyMemberIds = party ? party.members.map(member => member.user_id) : [];
 
   // Load monster images when NPCs change
   useEffect(() => {
@@ -614,7 +467,7 @@ function Map() {
     }
   };
 
-  // Calculate travel time in minutes
+  // Estimate travel time in minutes (straight line on grass - the server plans the actual route)
   const calculateTravelTime = (fromX, fromY, toX, toY) => {
     const distance = Math.sqrt(Math.pow(toX - fromX, 2) + Math.pow(toY - fromY, 2));
     const TRAVEL_SPEED_LAND = 50; // units per minute
@@ -637,29 +490,140 @@ function Map() {
 
   // Initial data load - only once on mount
   useEffect(() => {
+    fetchRegions();
     fetchPlayers();
     fetchNpcs();
     fetchHomes();
     fetchPlayerStats();
     fetchTravelStatus();
+    fetchWanderingMerchants();
     fetchResourceNodes();
     fetchGatheringStatus();
     fetchUserTools();
     fetchSpeedMultiplier();
+    fetchTradeOffers();
+    fetchParty();
+    fetchCombatSession();
     
     // Periodic refresh every 30 seconds (without clearing selection)
+    // Map entities and jobs are pushed over the event stream; poll them only as fallback
     const refreshInterval = setInterval(() => {
-      fetchPlayers();
-      fetchNpcs();
+      if (!realtimeConnectedRef.current) {
+        fetchPlayers();
+        fetchNpcs();
+        fetchResourceNodes();
+        fetchGatheringStatus();
+      }
       fetchPlayerStats();
-      fetchResourceNodes();
-      fetchGatheringStatus();
       fetchSpeedMultiplier();
+      fetchTradeOffers();
+      fetchParty();
     }, 30000);
     
     return () => clearInterval(refreshInterval);
   }, []);
 
+  // Realtime events from the server
+  const { connected: realtimeConnected, subscribeArea } = useRealtime({
+    player_moved: (data) => {
+      if (!players.some(p => p.id === data.user_id)) {
+        fetchPlayers();
+        return;
+      }
+      setPlayers(prev => prev.map(p => p.id === data.user_id ? { ...p, world_x: data.world_x, world_y: data.world_y, travel: data.travel } : p));
+    },
+    monster_killed: (data) => {
+      setNpcs(prev => prev.filter(n => n.id !== data.npc_id));
+      setSelectedNpc(prev => (prev?.id === data.npc_id ? null : prev));
+    },
+    monster_damaged: (data) => {
+      setNpcs(prev => prev.map(n => n.id === data.npc_id ? { ...n, current_health: data.current_health } : n));
+    },
+    monster_respawned: () => {
+      fetchNpcs();
+    },
+    node_depleted: (data) => {
+      setResourceNodes(prev => prev.map(n => n.id === data.node_id ? { ...n, current_amount: 0, is_depleted: 1 } : n));
+    },
+    node_updated: (data) => {
+      setResourceNodes(prev => prev.map(n => n.id === data.node_id ? { ...n, current_amount: data.current_amount } : n));
+    },
+    node_respawned: (data) => {
+      setResourceNodes(prev => prev.map(n => n.id === data.node_id ? { ...n, current_amount: data.current_amount, is_depleted: 0, depleted_at: null } : n));
+    },
+    job_completed: (job) => {
+      if (job.auto_claimed) {
+        if (job.type === 'gathering') fetchGatheringStatus();
+        notify.custom('✅ Automatisch abgeholt', job.message, ['building', 'crafting'].includes(job.type) ? job.type : 'gathering');
+      } else if (job.type === 'gathering') {
+        fetchGatheringStatus();
+        notify.gathering(job.name || 'Ressourcen', 1);
+      } else if (job.type === 'building') {
+        notify.building(job.name);
+      } else if (job.type === 'crafting') {
+        notify.crafting(job.name);
+      } else {
+        notify.custom('✅ Auftrag abgeschlossen!', `${job.name} ist fertig.`, 'gathering');
+      }
+    },
+    world_regions_changed: () => {
+      // An admin imported or removed a region - terrain, NPCs and resources may have changed
+      fetchRegions();
+      fetchNpcs();
+      fetchResourceNodes();
+    },
+    message_new: (data) => {
+      // Job messages are already announced by job_completed
+      if (data.message_type !== 'job') {
+        notify.message(data.sender_name || 'System', data.subject);
+      }
+      if (data.message_type === 'trade_offer') {
+        fetchTradeOffers();
+      }
+    }
+  });
+  const realtimeConnectedRef = useRef(false);
+  realtimeConnectedRef.current = realtimeConnected;
+
+  // Subscribe to events around the visible map area (debounced while panning/zooming)
+  useEffect(() => {
+    if (!realtimeConnected) return;
+    const timeout = setTimeout(() => {
+      const canvas = canvasRef.current;
+      const scale = Math.max(0.1, Math.min(3, zoom));
+      // Half the visible size plus the same again as margin, capped by the server limit
+      const halfWidth = Math.min(2000, (canvas?.width || 1000) / scale);
+      const halfHeight = Math.min(2000, (canvas?.height || 700) / scale);
+      subscribeArea({
+        minX: viewCenter.x - halfWidth,
+        minY: viewCenter.y - halfHeight,
+        maxX: viewCenter.x + halfWidth,
+        maxY: viewCenter.y + halfHeight
+      });
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [realtimeConnected, subscribeArea, viewCenter, zoom]);
+
+  // Count down the gathering timer locally; completion comes from the server
+  useEffect(() => {
+    if (!gatheringJob?.finish_at || gatheringJob.is_ready) return;
+    const tick = setInterval(() => {
+      setGatheringJob(prev => prev && !prev.is_ready && prev.finish_at
+        ? { ...prev, remaining_seconds: Math.max(0, Math.floor((new Date(prev.finish_at) - new Date()) / 1000)) }
+        : prev);
+    }, 1000);
+    return () => clearInterval(tick);
+  }, [gatheringJob?.finish_at, gatheringJob?.is_ready]);
+
+  // Damage ranking of the selected world boss
+  useEffect(() => {
+    if (!selectedNpc?.world_boss_spawn_id) {
+      setWorldBoss(null);
+      return;
+    }
+    fetchWorldBoss(selectedNpc.world_boss_spawn_id);
+  }, [selectedNpc?.world_boss_spawn_id]);
+
   // Center view when user coordinates are available (only if no URL target)
   useEffect(() => {
     // Skip if we have a target from URL parameters
@@ -701,10 +665,14 @@ function Map() {
         const elapsed = now - startTime;
         const progress = Math.min(1, Math.max(0, elapsed / totalDuration));
 
-        const currentX = travelStatus.from.x + (travelStatus.to.x - travelStatus.from.x) * progress;
-        const currentY = travelStatus.from.y + (travelStatus.to.y - travelStatus.from.y) * progress;
+        // Follow the route from the server (straight line if there is none)
+        const path = travelStatus.path || [
+          { x: travelStatus.from.x, y: travelStatus.from.y, t: 0 },
+          { x: travelStatus.to.x, y: travelStatus.to.y, t: 1 }
+        ];
+        const position = getPositionOnPath(path, progress);
 
-        setCurrentUserPosition({ x: currentX, y: currentY });
+        setCurrentUserPosition({ ...position, progress });
       };
 
       updatePosition();
@@ -734,7 +702,7 @@ function Map() {
     }, 100);
     return () => clearTimeout(timer);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [players, npcs, viewCenter, zoom, user, selectedPlayer, selectedNpc, selectedResource, targetCoords, actionMode, playerImages, animationFrame, currentUserPosition, travelStatus, resourceNodes, tilesetLoaded, monsterImages, resourceImages, tileMappings]);
+  }, [players, npcs, viewCenter, zoom, user, selectedPlayer, selectedNpc, selectedResource, targetCoords, actionMode, playerImages, animationFrame, currentUserPosition, travelStatus, resourceNodes, tilesetLoaded, monsterImages, resourceImages, tileMappings, regionsVersion, party]);
 
   const fetchPlayers = async () => {
     try {
@@ -785,6 +753,16 @@ function Map() {
     }
   };
 
+  const fetchRegions = async () => {
+    try {
+      const response = await api.get('/map/regions');
+      setRegions(response.data.regions || []);
+      setRegionsVersion(v => v + 1);
+    } catch (error) {
+      console.error('Fehler beim Laden der Weltregionen:', error);
+    }
+  };
+
   const fetchNpcs = async () => {
     try {
       const response = await api.get('/npcs/world');
@@ -815,26 +793,114 @@ function Map() {
     }
   };
 
+  const fetchCombatSession = async () => {
+    try {
+      const response = await api.get('/combat/session');
+      setCombatSession(response.data.session);
+    } catch (error) {
+      console.error('Fehler beim Laden des Kampfes:', error);
+    }
+  };
+
+  const fetchTradeOffers = async () => {
+    try {
+      const response = await api.get('/map/trade/offers');
+      setTradeOffers({
+        incoming: response.data.incoming || [],
+        outgoing: response.data.outgoing || []
+      });
+    } catch (error) {
+      console.error('Fehler beim Laden der Handelsangebote:', error);
+    }
+  };
+
+  const fetchParty = async () => {
+    try {
+      const response = await api.get('/parties/me');
+      setParty(response.data.party);
+      setPartyInvites(response.data.invites || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der Gruppe:', error);
+    }
+  };
+
+  const fetchWorldBoss = async (spawnId) => {
+    try {
+      const response = await api.get('/map/world-bosses');
+      setWorldBoss((response.data.active || []).find(spawn => spawn.id === spawnId) || null);
+    } catch (error) {
+      console.error('Fehler beim Laden des Weltbosses:', error);
+    }
+  };
+
+  const handleInviteToParty = async () => {
+    if (!selectedPlayer) return;
+    try {
+      const response = await api.post('/parties/invite', { userId: selectedPlayer.id });
+      setMessage(response.data.message);
+      fetchParty();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Einladen');
+    }
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const showPanelMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const refreshProfile = async () => {
+    try {
+      const profileResponse = await api.get('/auth/profile');
+      if (profileResponse.data.user) {
+        setUser(profileResponse.data.user);
+      }
+    } catch (e) {
+      console.error('Error refreshing profile:', e);
+    }
+  };
+
+  // Show what happened on the way (ambushes, caches, wandering merchants)
+  const handleTravelEncounters = (encounters) => {
+    if (!encounters || encounters.length === 0) return;
+
+    encounters.forEach(encounter => {
+      notify.custom('🧭 Reise-Begegnung', encounter.message, 'travel');
+    });
+    setMessage(encounters.map(encounter => encounter.message).join(' · '));
+    setTimeout(() => setMessage(''), 6000);
+
+    if (encounters.some(encounter => encounter.type === 'merchant')) {
+      fetchWanderingMerchants();
+    }
+    fetchPlayerStats();
+  };
+
   const fetchTravelStatus = async () => {
     try {
       const response = await api.get('/map/travel/status');
       setTravelStatus(response.data);
+      handleTravelEncounters(response.data.encounters);
+
+      if (response.data.ambushed) {
+        setMessage(`⚔️ ${response.data.message}`);
+        setTimeout(() => setMessage(''), 6000);
+        await refreshProfile();
+        fetchPlayers();
+        return;
+      }
       
       // If arrived, refresh user data
       if (response.data.arrived) {
-        setMessage('Du bist angekommen!');
-        setTimeout(() => setMessage(''), 3000);
+        if (!response.data.encounters?.length) {
+          setMessage('Du bist angekommen!');
+          setTimeout(() => setMessage(''), 3000);
+        }
         // Send notification
         notify.travel();
         // Refresh user profile to get updated coordinates
-        try {
-          const profileResponse = await api.get('/auth/profile');
-          if (profileResponse.data.user) {
-            setUser(profileResponse.data.user);
-          }
-        } catch (e) {
-          console.error('Error refreshing profile:', e);
-        }
+        await refreshProfile();
         fetchPlayers();
       }
     } catch (error) {
@@ -842,6 +908,29 @@ function Map() {
     }
   };
 
+  const fetchWanderingMerchants = async () => {
+    try {
+      const response = await api.get('/map/encounters');
+      setWanderingMerchants(response.data.merchants || []);
+    } catch (error) {
+      console.error('Fehler beim Laden der wandernden Händler:', error);
+    }
+  };
+
+  const buyFromWanderingMerchant = async (merchantId, itemId) => {
+    try {
+      const response = await api.post(`/map/encounters/${merchantId}/buy`, { item_id: itemId, quantity: 1 });
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      fetchWanderingMerchants();
+      fetchPlayerStats();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Kaufen');
+      setTimeout(() => setMessage(''), 4000);
+      fetchWanderingMerchants();
+    }
+  };
+
   const fetchResourceNodes = async () => {
     try {
       const response = await api.get('/resources/nodes');
@@ -851,10 +940,14 @@ function Map() {
     }
   };
 
+  const loadGatheringJob = async () => {
+    const response = await api.get('/jobs');
+    return response.data.jobs.find(j => j.type === 'gathering') || null;
+  };
+
   const fetchGatheringStatus = async () => {
     try {
-      const response = await api.get('/resources/gather/status');
-      setGatheringJob(response.data.job);
+      setGatheringJob(await loadGatheringJob());
     } catch (error) {
       console.error('Fehler beim Laden des Sammelstatus:', error);
     }
@@ -884,23 +977,29 @@ function Map() {
     try {
       const response = await api.post(`/resources/gather/${nodeId}`, { toolId });
       setMessage(response.data.message);
-      setGatheringJob({ ...response.data, node_id: nodeId });
+      setGatheringJob({ ...response.data, id: response.data.jobId, finish_at: response.data.finishAt, node_id: nodeId });
       setSelectedResource(null);
       setTimeout(() => setMessage(''), 3000);
+
+      // With the event stream the server announces completion (job_completed)
+      if (realtimeConnectedRef.current) {
+        fetchGatheringStatus();
+        return;
+      }
       
-      // Start polling for gathering completion
+      // Fallback: poll for gathering completion
       const pollInterval = setInterval(async () => {
-        const statusRes = await api.get('/resources/gather/status');
-        if (statusRes.data.job?.is_ready) {
+        const job = await loadGatheringJob();
+        if (job?.is_ready) {
           clearInterval(pollInterval);
-          setGatheringJob(statusRes.data.job);
+          setGatheringJob(job);
           // Send notification when gathering is complete
-          notify.gathering(statusRes.data.job.display_name || 'Ressourcen', 1);
-        } else if (!statusRes.data.job) {
+          notify.gathering(job.display_name || 'Ressourcen', 1);
+        } else if (!job) {
           clearInterval(pollInterval);
           setGatheringJob(null);
         } else {
-          setGatheringJob(statusRes.data.job);
+          setGatheringJob(job);
         }
       }, 1000);
     } catch (error) {
@@ -911,10 +1010,11 @@ function Map() {
 
   const collectGathering = async () => {
     try {
-      const response = await api.post('/resources/gather/collect');
+      const response = await api.post(`/jobs/gathering/${gatheringJob.id}/claim`);
       setMessage(response.data.message);
       setGatheringJob(null);
       fetchResourceNodes();
+      fetchUserTools();
       setTimeout(() => setMessage(''), 4000);
     } catch (error) {
       setMessage(error.response?.data?.error || 'Fehler beim Abholen');
@@ -924,7 +1024,7 @@ function Map() {
 
   const cancelGathering = async () => {
     try {
-      await api.post('/resources/gather/cancel');
+      await api.post(`/jobs/gathering/${gatheringJob.id}/cancel`);
       setGatheringJob(null);
       setMessage('Sammeln abgebrochen');
       setTimeout(() => setMessage(''), 3000);
@@ -1021,7 +1121,19 @@ function Map() {
             continue;
           }
 
-          if (tilesetImage && tilesetLoaded) {
+          // Imported regions are drawn exactly as authored, layer by layer
+          const regionTile = getRegionAt(tileX, tileY);
+          if (regionTile?.region.layers && tilesetImage && tilesetLoaded) {
+            for (const layer of regionTile.region.layers) {
+              const layerTileId = layer[regionTile.index];
+              if (layerTileId < 0) continue;
+              ctx.drawImage(
+                tilesetImage,
+                (layerTileId % TILESET_COLUMNS) * TILE_SIZE, Math.floor(layerTileId / TILESET_COLUMNS) * TILE_SIZE, TILE_SIZE, TILE_SIZE,
+                screenX, screenY, renderTileSize + 0.5, renderTileSize + 0.5
+              );
+            }
+          } else if (tilesetImage && tilesetLoaded) {
             // Get neighbor terrains for autotiling (including diagonals for inner corners)
             const neighbors = {
               north: getTerrainAt(tileX, tileY - 1),
@@ -1157,9 +1269,8 @@ function Map() {
             playerY = currentUserPosition.y;
             isWalking = true;
             
-            // Determine direction based on travel destination
-            const dx = travelStatus.to.x - travelStatus.from.x;
-            const dy = travelStatus.to.y - travelStatus.from.y;
+            // Determine direction based on the current route segment
+            const { dx, dy } = currentUserPosition;
             
             // Determine primary direction
             if (Math.abs(dx) > Math.abs(dy)) {
@@ -1260,6 +1371,18 @@ function Map() {
             ctx.stroke();
           }
 
+          // Party members get a green ring
+          if (!isCurrentUser && partyMemberIds.includes(player.id)) {
+            ctx.beginPath();
+            ctx.arc(x, y, markerSize + 4, 0, Math.PI * 2);
+            ctx.strokeStyle = '#2ecc71';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('👥', x + markerSize + 4, y + markerSize + 4);
+          }
+
           // Draw username
           ctx.fillStyle = '#fff';
           ctx.strokeStyle = '#000';
@@ -1543,10 +1666,18 @@ function Map() {
         const toY = centerY + (travelStatus.to.y - viewCenter.y) * scale;
         const currentX = centerX + (currentUserPosition.x - viewCenter.x) * scale;
         const currentY = centerY + (currentUserPosition.y - viewCenter.y) * scale;
+        const routePoints = (travelStatus.path || []).map(p => ({
+          x: centerX + (p.x - viewCenter.x) * scale,
+          y: centerY + (p.y - viewCenter.y) * scale,
+          t: p.t
+        }));
+        const passed = routePoints.filter(p => p.t < currentUserPosition.progress);
+        const ahead = routePoints.filter(p => p.t >= currentUserPosition.progress);
 
         // Draw route line (traveled portion)
         ctx.beginPath();
         ctx.moveTo(fromX, fromY);
+        passed.forEach(p => ctx.lineTo(p.x, p.y));
         ctx.lineTo(currentX, currentY);
         ctx.strokeStyle = 'rgba(46, 204, 113, 0.6)';
         ctx.lineWidth = 3;
@@ -1556,6 +1687,7 @@ function Map() {
         // Draw route line (remaining portion)
         ctx.beginPath();
         ctx.moveTo(currentX, currentY);
+        ahead.forEach(p => ctx.lineTo(p.x, p.y));
         ctx.lineTo(toX, toY);
         ctx.strokeStyle = 'rgba(46, 204, 113, 0.3)';
         ctx.lineWidth = 2;
@@ -1586,12 +1718,13 @@ function Map() {
 
         if (x >= -50 && x <= width + 50 && y >= -50 && y <= height + 50) {
           // Check if target is water
-          const targetTerrain = getTerrainAt(Math.floor(targetCoords.x / 16), Math.floor(targetCoords.y / 16));
+          const targetTerrain = getTerrainAt(worldToTile(targetCoords.x), worldToTile(targetCoords.y));
           const onWater = isWaterTerrain(targetTerrain);
+          const blocked = !isWalkableTerrain(targetTerrain);
           
-          // Target marker - blue for water, green for land
-          ctx.strokeStyle = onWater ? '#3498db' : '#27ae60';
-          ctx.fillStyle = onWater ? 'rgba(52, 152, 219, 0.3)' : 'rgba(39, 174, 96, 0.3)';
+          // Target marker - red for impassable terrain, blue for water, green for land
+          ctx.strokeStyle = blocked ? '#e74c3c' : onWater ? '#3498db' : '#27ae60';
+          ctx.fillStyle = blocked ? 'rgba(231, 76, 60, 0.3)' : onWater ? 'rgba(52, 152, 219, 0.3)' : 'rgba(39, 174, 96, 0.3)';
           ctx.lineWidth = 3;
           ctx.beginPath();
           ctx.arc(x, y, 15, 0, Math.PI * 2);
@@ -1753,16 +1886,17 @@ function Map() {
 
   // Check if target coordinates are on water
   const isTargetOnWater = (x, y) => {
-    const terrain = getTerrainAt(Math.floor(x / 16), Math.floor(y / 16));
+    const terrain = getTerrainAt(worldToTile(x), worldToTile(y));
     return isWaterTerrain(terrain);
   };
 
   // Check for active jobs before traveling
   const checkActiveJobsAndTravel = async (travelFn, travelData = null) => {
     try {
-      const response = await api.get('/map/active-jobs');
-      if (response.data.hasActiveJobs) {
-        setActiveJobs(response.data.activeJobs);
+      const response = await api.get('/jobs');
+      const runningJobs = response.data.jobs.filter(j => !j.is_ready && !j.is_paused);
+      if (runningJobs.length > 0) {
+        setActiveJobs(runningJobs);
         setPendingTravel({ fn: travelFn, data: travelData });
         setShowTravelWarning(true);
       } else {
@@ -1781,10 +1915,10 @@ function Map() {
     setShowTravelWarning(false);
     
     // Cancel gathering job if active
-    const hasGathering = activeJobs.some(j => j.type === 'gathering');
-    if (hasGathering) {
+    const gathering = activeJobs.find(j => j.type === 'gathering');
+    if (gathering) {
       try {
-        await api.post('/resources/gather/cancel');
+        await api.post(`/jobs/gathering/${gathering.id}/cancel`);
         setGatheringJob(null);
       } catch (err) {
         console.error('Error canceling gathering:', err);
@@ -1822,6 +1956,8 @@ function Map() {
         traveling: true,
         from: response.data.from,
         to: response.data.to,
+        path: response.data.path,
+        startTime: response.data.startTime,
         endTime: response.data.endTime,
         travelTime: response.data.travelTime
       });
@@ -1870,6 +2006,8 @@ function Map() {
         traveling: true,
         from: response.data.from,
         to: response.data.to,
+        path: response.data.path,
+        startTime: response.data.startTime,
         endTime: response.data.endTime,
         travelTime: response.data.travelTime
       });
@@ -1893,9 +2031,12 @@ function Map() {
   const handleCancelTravel = async () => {
     try {
       const response = await api.post('/map/travel/cancel');
-      setMessage(response.data.message);
-      setTimeout(() => setMessage(''), 3000);
       setTravelStatus({ traveling: false });
+      handleTravelEncounters(response.data.encounters);
+      setMessage(response.data.ambushed ? `⚔️ ${response.data.message}` : response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+      await refreshProfile();
+      fetchPlayers();
     } catch (error) {
       setMessage(error.response?.data?.error || 'Fehler beim Abbrechen der Reise');
       setTimeout(() => setMessage(''), 3000);
@@ -1918,7 +2059,8 @@ function Map() {
         traveling: true,
         from: response.data.from,
         to: response.data.to,
-        startTime: new Date().toISOString(),
+        path: response.data.path,
+        startTime: response.data.startTime,
         endTime: response.data.endTime,
         travelTime: response.data.travelTime
       });
@@ -1988,9 +2130,17 @@ function Map() {
       setCombatResult(response.data);
       fetchPlayerStats();
       fetchNpcs();
+      if (response.data.party) {
+        fetchParty();
+      }
+      if (response.data.worldBoss && !response.data.worldBoss.killed) {
+        fetchWorldBoss(response.data.worldBoss.spawnId);
+      }
       
       if (response.data.result === 'attacker') {
         setMessage(`Sieg! +${response.data.goldGained} Gold, +${response.data.expGained} EP`);
+      } else if (response.data.worldBoss && response.data.result === 'draw') {
+        setMessage(`${response.data.damageDealt} Schaden am Weltboss verursacht`);
       } else {
         setMessage(`Niederlage! Du wurdest besiegt.`);
       }
@@ -2004,6 +2154,76 @@ function Map() {
     }
   };
 
+  const handleStartCombat = async () => {
+    if (!selectedNpc || selectedNpc.entity_type === 'merchant') return;
+
+    try {
+      const response = await api.post(`/combat/monster/${selectedNpc.id}/session`);
+      setCombatSession(response.data.session);
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Kampffehler');
+      if (error.response?.data?.tooFar) {
+        setSelectedNpc(null);
+      }
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  const handleCombatAction = async (action, itemId = null) => {
+    try {
+      const response = await api.post('/combat/session/action', { action, item_id: itemId });
+      const { session } = response.data;
+
+      if (session.status === 'active') {
+        setCombatSession(session);
+        return;
+      }
+
+      setCombatSession(null);
+      fetchPlayerStats();
+      fetchNpcs();
+
+      if (session.status === 'won' || session.status === 'lost') {
+        setCombatResult({
+          result: session.status === 'won' ? 'attacker' : 'defender',
+          monsterName: session.monsterName,
+          monsterLevel: session.monsterLevel,
+          rounds: session.round,
+          damageDealt: session.monsterMaxHealth - session.monsterHealth,
+          damageTaken: session.log.filter(l => l.action === 'defender_hit').reduce((sum, l) => sum + l.damage, 0),
+          playerHealth: session.playerHealth,
+          playerMaxHealth: session.playerMaxHealth,
+          goldGained: response.data.goldGained,
+          expGained: response.data.expGained,
+          lootItems: response.data.lootItems,
+          levelUp: response.data.levelUp
+        });
+      } else if (session.status === 'fled') {
+        setMessage('🏃 Du bist erfolgreich geflohen!');
+        setTimeout(() => setMessage(''), 3000);
+      }
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Kampffehler');
+      setTimeout(() => setMessage(''), 5000);
+      if (error.response?.data?.ended || error.response?.status === 404) {
+        setCombatSession(null);
+        fetchNpcs();
+      }
+    }
+  };
+
+  const getCombatLogText = (entry) => {
+    switch (entry.action) {
+      case 'attacker_hit': return `⚔️ Du triffst für ${entry.damage} Schaden`;
+      case 'defender_hit': return `🩸 Das Monster trifft dich für ${entry.damage} Schaden`;
+      case 'defend': return '🛡️ Du gehst in Verteidigung';
+      case 'item': return `🧪 ${entry.item}: +${entry.heal} HP`;
+      case 'flee': return '🏃 Flucht gelungen';
+      case 'flee_failed': return '🏃 Flucht misslungen';
+      default: return '';
+    }
+  };
+
   const handleBuyItem = async (itemId, quantity = 1) => {
     if (!selectedNpc) return;
 
@@ -2075,10 +2295,22 @@ function Map() {
       const response = await api.post('/map/attack', {
         target_user_id: selectedPlayer.id
       });
-      
-      setMessage(response.data.message);
-      setTimeout(() => setMessage(''), 5000);
+
+      setCombatResult({
+        pvp: true,
+        result: response.data.result,
+        monsterName: response.data.targetName,
+        monsterLevel: response.data.targetLevel,
+        rounds: response.data.rounds,
+        damageDealt: response.data.damageDealt,
+        damageTaken: response.data.damageTaken,
+        playerHealth: response.data.playerHealth,
+        playerMaxHealth: response.data.playerMaxHealth,
+        lootItems: response.data.stolen_items,
+        warScore: response.data.war_score
+      });
       setSelectedPlayer(null);
+      fetchPlayerStats();
       fetchPlayers();
       fetchNearbyPlayers();
     } catch (error) {
@@ -2123,6 +2355,9 @@ function Map() {
       setTradeData(response.data);
       setMyTradeItems([]);
       setTargetTradeItems([]);
+      setMyTradeGold(0);
+      setTargetTradeGold(0);
+      setCounterOffer(null);
       setActionMode('trade');
     } catch (error) {
       setMessage(error.response?.data?.error || 'Fehler beim Initiieren des Handels');
@@ -2130,33 +2365,109 @@ function Map() {
     }
   };
 
-  const handleExecuteTrade = async () => {
-    if (!selectedPlayer || !tradeData) return;
+  const closeTrade = () => {
+    setTradeData(null);
+    setMyTradeItems([]);
+    setTargetTradeItems([]);
+    setMyTradeGold(0);
+    setTargetTradeGold(0);
+    setCounterOffer(null);
+    setActionMode(null);
+  };
+
+  const handleSendTradeOffer = async () => {
+    if (!tradeData) return;
 
-    if (myTradeItems.length === 0 && targetTradeItems.length === 0) {
-      setMessage('Bitte wähle Items zum Tauschen');
+    if (myTradeItems.length === 0 && targetTradeItems.length === 0 && !myTradeGold && !targetTradeGold) {
+      setMessage('Bitte wähle Items oder Gold zum Tauschen');
       setTimeout(() => setMessage(''), 3000);
       return;
     }
 
+    const payload = {
+      my_items: myTradeItems.map(i => ({ item_id: i.item_id, quantity: i.quantity })),
+      target_items: targetTradeItems.map(i => ({ item_id: i.item_id, quantity: i.quantity })),
+      my_gold: myTradeGold,
+      target_gold: targetTradeGold
+    };
+
     try {
-      const response = await api.post('/map/trade/execute', {
-        target_user_id: selectedPlayer.id,
-        my_items: myTradeItems,
-        target_items: targetTradeItems
-      });
+      const response = counterOffer
+        ? await api.post(`/map/trade/offers/${counterOffer.id}/counter`, payload)
+        : await api.post('/map/trade/offers', { target_user_id: tradeData.target_user_id, ...payload });
       
       setMessage(response.data.message);
       setTimeout(() => setMessage(''), 5000);
-      setTradeData(null);
-      setMyTradeItems([]);
-      setTargetTradeItems([]);
-      setActionMode(null);
+      closeTrade();
       setSelectedPlayer(null);
+      fetchTradeOffers();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Senden des Angebots');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  const handleAcceptOffer = async (offerId) => {
+    try {
+      const response = await api.post(`/map/trade/offers/${offerId}/accept`);
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 5000);
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Annehmen des Angebots');
+      setTimeout(() => setMessage(''), 5000);
+    }
+    fetchTradeOffers();
+  };
+
+  const handleDeclineOffer = async (offerId) => {
+    try {
+      const response = await api.post(`/map/trade/offers/${offerId}/decline`);
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Ablehnen des Angebots');
+      setTimeout(() => setMessage(''), 5000);
+    }
+    fetchTradeOffers();
+  };
+
+  const handleCancelOffer = async (offerId) => {
+    try {
+      const response = await api.post(`/map/trade/offers/${offerId}/cancel`);
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
     } catch (error) {
-      setMessage(error.response?.data?.error || 'Fehler beim Handeln');
+      setMessage(error.response?.data?.error || 'Fehler beim Zurückziehen des Angebots');
       setTimeout(() => setMessage(''), 5000);
     }
+    fetchTradeOffers();
+  };
+
+  // Open the trade dialog pre-filled with the offer, sides swapped
+  const handleCounterOffer = async (offer) => {
+    try {
+      const response = await api.post('/map/trade/initiate', {
+        target_user_id: offer.sender_id,
+        offer_id: offer.id
+      });
+
+      setTradeData(response.data);
+      setMyTradeItems(offer.request_items.map(i => ({ ...i })));
+      setTargetTradeItems(offer.offer_items.map(i => ({ ...i })));
+      setMyTradeGold(offer.request_gold || 0);
+      setTargetTradeGold(offer.offer_gold || 0);
+      setCounterOffer(offer);
+      setActionMode('trade');
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Öffnen des Gegenangebots');
+      setTimeout(() => setMessage(''), 5000);
+    }
+  };
+
+  const formatOfferLines = (items, gold) => {
+    const lines = items.map(i => `${i.quantity}x ${i.display_name}`);
+    if (gold > 0) lines.push(`💰 ${gold} Gold`);
+    return lines.length > 0 ? lines.join(', ') : 'Nichts';
   };
 
   const toggleTradeItem = (item, isMyItem) => {
@@ -2259,7 +2570,8 @@ function Map() {
                     {job.type === 'collection' && '🪓'}
                     {job.type === 'building' && '🏗️'}
                     {job.type === 'crafting' && '⚒️'}
-                    {' '}{job.name}
+                    {job.type === 'gathering' && '⛏️'}
+                    {' '}{job.label}: {job.name}
                   </li>
                 ))}
               </ul>
@@ -2385,6 +2697,37 @@ function Map() {
             </div>
           )}
 
+          {/* Wandering merchants met on the way */}
+          {wanderingMerchants.length > 0 && (
+            <div className="map-overlay left-center">
+              {wanderingMerchants.map(merchant => (
+                <div key={merchant.id} className="overlay-panel wandering-merchant-panel">
+                  <div className="panel-header">
+                    🧳 {merchant.merchant}
+                    <span className="merchant-expires">
+                      bis {new Date(merchant.expires_at).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </div>
+                  <ul className="merchant-offers">
+                    {merchant.offers.map(offer => (
+                      <li key={offer.item_id}>
+                        <span>{offer.name} <small>({offer.remaining}x)</small></span>
+                        <button
+                          className="overlay-btn"
+                          onClick={() => buyFromWanderingMerchant(merchant.id, offer.item_id)}
+                          disabled={offer.remaining <= 0}
+                          title="1 Stück kaufen"
+                        >
+                          💰 {offer.price}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Nearby Players - Collapsible Panel */}
           <div className="map-overlay right-center">
             <div className="overlay-panel players-panel">
@@ -2427,7 +2770,7 @@ function Map() {
               <span className="stat-label">❤️ HP:</span>
               <span className="stat-value">{playerStats.current_health}/{playerStats.max_health + equipmentTotalStats.health}</span>
               {playerStats.current_health < (playerStats.max_health + equipmentTotalStats.health) && (
-                <span className="heal-hint" title="Geh nach Hause um zu heilen">🏠</span>
+                <span className="heal-hint" title={`Regeneration: ${playerStats.regen_per_minute ?? 0} HP/Min. – zu Hause heilst du sofort`}>🏠</span>
               )}
             </div>
             <div className="stat-item">
@@ -2449,7 +2792,7 @@ function Map() {
         {selectedNpc && (
           <div className={`npc-panel ${selectedNpc.entity_type}`}>
             <h3>
-              {selectedNpc.entity_type === 'merchant' ? '🏪' : selectedNpc.entity_type === 'boss' ? '👑' : '👹'} 
+              {selectedNpc.entity_type === 'merchant' ? '🏪' : selectedNpc.world_boss_spawn_id ? '🐉' : selectedNpc.entity_type === 'boss' ? '👑' : '👹'} 
               {selectedNpc.display_name}
               {selectedNpc.entity_type !== 'merchant' && ` (Lv.${selectedNpc.level || 1})`}
             </h3>
@@ -2457,7 +2800,7 @@ function Map() {
             
             <p>Position: ({selectedNpc.world_x}, {selectedNpc.world_y})</p>
             {user?.world_x !== undefined && user?.world_y !== undefined && (
-              <p>Reisezeit: <strong>{formatTravelTime(calculateTravelTime(
+              <p>Reisezeit: ca. <strong>{formatTravelTime(calculateTravelTime(
                 user.world_x || 0,
                 user.world_y || 0,
                 selectedNpc.world_x || 0,
@@ -2475,6 +2818,32 @@ function Map() {
                   <span>⚔️ ATK: {selectedNpc.attack}</span>
                   <span>🛡️ DEF: {selectedNpc.defense}</span>
                 </div>
+                {selectedNpc.min_party_size > 1 && !selectedNpc.world_boss_spawn_id && (
+                  <div className="stat-row party-required">
+                    <span>👥 Nur als Gruppe ab {selectedNpc.min_party_size} Spielern (Gruppenmitglieder im Umkreis kämpfen mit)</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* World Boss Ranking */}
+            {selectedNpc.world_boss_spawn_id && (
+              <div className="world-boss-info">
+                <p>🐉 Weltboss – verschwindet um {new Date(selectedNpc.world_boss_ends_at).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}</p>
+                <p className="world-boss-hint">Jeder Angriff dauert wenige Runden, danach kurze Pause. Belohnungen nach verursachtem Schaden.</p>
+                {worldBoss?.top.length > 0 && (
+                  <ol className="world-boss-ranking">
+                    {worldBoss.top.map(entry => (
+                      <li key={entry.user_id} className={entry.user_id === user?.id ? 'me' : ''}>
+                        <span>{entry.username}</span>
+                        <span>{entry.damage} ({entry.share}%)</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+                {worldBoss?.own && (
+                  <p>Dein Platz: {worldBoss.own.rank} von {worldBoss.participants} · {worldBoss.own.damage} Schaden ({worldBoss.own.share}%)</p>
+                )}
               </div>
             )}
 
@@ -2525,6 +2894,15 @@ function Map() {
                   ⚔️ Angreifen
                 </button>
               )}
+              {selectedNpc.entity_type !== 'merchant' && (
+                <button 
+                  className="btn btn-primary" 
+                  onClick={handleStartCombat}
+                  disabled={!selectedNpc.is_active || !!combatSession || getDistanceTo(selectedNpc.world_x, selectedNpc.world_y) > 100}
+                >
+                  🎲 Rundenkampf
+                </button>
+              )}
               {getDistanceTo(selectedNpc.world_x, selectedNpc.world_y) > 50 && (
                 <button 
                   className="btn btn-primary" 
@@ -2565,7 +2943,7 @@ function Map() {
             <p className="resource-description">{selectedResource.node?.description}</p>
             
             <p>Position: ({selectedResource.node?.world_x}, {selectedResource.node?.world_y})</p>
-            <p>Reisezeit: <strong>{formatTravelTime(calculateTravelTime(
+            <p>Reisezeit: ca. <strong>{formatTravelTime(calculateTravelTime(
               user?.world_x || 0,
               user?.world_y || 0,
               selectedResource.node?.world_x || 0,
@@ -2574,7 +2952,9 @@ function Map() {
             <p>Verbleibend: <strong>{selectedResource.node?.current_amount}/{selectedResource.node?.max_amount}</strong></p>
             
             {selectedResource.node?.min_level > 1 && (
-              <p className="level-req">Benötigt Level: {selectedResource.node?.min_level}</p>
+              <p className={`level-req ${selectedResource.skill?.level >= selectedResource.node?.min_level ? 'met' : ''}`}>
+                Benötigt {selectedResource.skill?.display_name} Level: {selectedResource.node?.min_level} (du: {selectedResource.skill?.level})
+              </p>
             )}
 
             <div className="resource-drops">
@@ -2594,9 +2974,9 @@ function Map() {
                 <h4>🔧 Werkzeug: {selectedResource.node?.required_tool_type === 'pickaxe' ? 'Spitzhacke' : selectedResource.node?.required_tool_type === 'axe' ? 'Axt' : 'Sichel'}</h4>
                 {selectedResource.userTools?.length > 0 ? (
                   <div className="user-tools">
-                    {selectedResource.userTools.map(tool => (
-                      <div key={tool.id} className="tool-item">
-                        <span>{tool.icon} {tool.display_name}</span>
+                    {selectedResource.userTools.map((tool, index) => (
+                      <div key={tool.id} className={`tool-item ${index === 0 ? 'active' : ''}`}>
+                        <span>{index === 0 ? '✅ ' : ''}{tool.icon} {tool.display_name}</span>
                         <span className="tool-durability">🔋 {tool.current_durability}/{tool.durability}</span>
                       </div>
                     ))}
@@ -2680,22 +3060,88 @@ function Map() {
           </div>
         )}
 
+        {/* Interactive Combat Modal */}
+        {combatSession && (
+          <div className="combat-result-modal">
+            <div className="combat-result-content combat-session">
+              <h3>⚔️ {combatSession.monsterName} (Lv.{combatSession.monsterLevel})</h3>
+              <p>Runde {combatSession.round + 1}</p>
+
+              <div className="combat-health">
+                <span>👹 {combatSession.monsterHealth}/{combatSession.monsterMaxHealth}</span>
+                <div className="health-bar">
+                  <div className="health-fill monster" style={{ width: `${(combatSession.monsterHealth / combatSession.monsterMaxHealth) * 100}%` }} />
+                </div>
+                <span>❤️ {combatSession.playerHealth}/{combatSession.playerMaxHealth}</span>
+                <div className="health-bar">
+                  <div className="health-fill" style={{ width: `${(combatSession.playerHealth / combatSession.playerMaxHealth) * 100}%` }} />
+                </div>
+              </div>
+
+              {combatSession.log.length > 0 && (
+                <div className="combat-stats combat-log">
+                  {combatSession.log.slice(-6).map((entry, idx) => (
+                    <p key={idx}>{getCombatLogText(entry)}</p>
+                  ))}
+                </div>
+              )}
+
+              <div className="combat-actions">
+                <button className="btn btn-danger" onClick={() => handleCombatAction('attack')}>
+                  ⚔️ Angriff
+                </button>
+                <button className="btn btn-primary" onClick={() => handleCombatAction('defend')}>
+                  🛡️ Verteidigen
+                </button>
+                <button className="btn btn-secondary" onClick={() => handleCombatAction('flee')}>
+                  🏃 Fliehen
+                </button>
+              </div>
+
+              {combatSession.consumables.length > 0 && (
+                <div className="combat-consumables">
+                  {combatSession.consumables.map((item) => (
+                    <button
+                      key={item.item_id}
+                      className="btn btn-success btn-small"
+                      onClick={() => handleCombatAction('item', item.item_id)}
+                    >
+                      🧪 {item.display_name} (+{item.heal_amount} HP) x{item.quantity}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <p className="combat-timeout">
+                ⏱️ Ohne Aktion endet der Kampf um {new Date(combatSession.expiresAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Combat Result Modal */}
         {combatResult && (
           <div className="combat-result-modal">
             <div className="combat-result-content">
-              <h3>{combatResult.result === 'attacker' ? '🏆 Sieg!' : '💀 Niederlage'}</h3>
+              <h3>{combatResult.result === 'attacker' ? '🏆 Sieg!' : combatResult.result === 'draw' ? (combatResult.worldBoss ? '⚔️ Angriff beendet' : '⚔️ Unentschieden') : '💀 Niederlage'}</h3>
               <p>Kampf gegen <strong>{combatResult.monsterName}</strong> (Lv.{combatResult.monsterLevel})</p>
               <div className="combat-stats">
                 <p>Runden: {combatResult.rounds}</p>
                 <p>Schaden verursacht: {combatResult.damageDealt}</p>
                 <p>Schaden erhalten: {combatResult.damageTaken}</p>
                 <p>Deine HP: {combatResult.playerHealth}/{combatResult.playerMaxHealth}</p>
+                {combatResult.warScore && (
+                  <p>🏴 Gildenkrieg: +{combatResult.warScore.points} Punkte für {combatResult.warScore.guild}</p>
+                )}
               </div>
               {combatResult.result === 'attacker' && (
                 <div className="combat-loot">
-                  <p>💰 Gold: +{combatResult.goldGained}</p>
-                  <p>✨ EP: +{combatResult.expGained}</p>
+                  {!combatResult.pvp && (
+                    <>
+                      <p>💰 Gold: +{combatResult.goldGained}</p>
+                      <p>✨ EP: +{combatResult.expGained}</p>
+                    </>
+                  )}
                   {combatResult.lootItems?.length > 0 && (
                     <div className="loot-list">
                       <p>🎁 Beute:</p>
@@ -2711,6 +3157,37 @@ function Map() {
                   )}
                 </div>
               )}
+              {combatResult.worldBoss && (
+                <div className="combat-world-boss">
+                  <p>🐉 {combatResult.worldBoss.killed ? 'Weltboss besiegt!' : `Weltboss: ${combatResult.monsterHealth}/${combatResult.monsterMaxHealth} HP`}</p>
+                  <p>Dein Schaden gesamt: {combatResult.worldBoss.totalDamage} ({combatResult.worldBoss.share}%) · Platz {combatResult.worldBoss.rank} von {combatResult.worldBoss.participants}</p>
+                  {!combatResult.worldBoss.killed && (
+                    <p className="combat-world-boss-cooldown">Nächster Angriff in {combatResult.worldBoss.cooldownSeconds} Sekunden möglich</p>
+                  )}
+                </div>
+              )}
+              {combatResult.party && (
+                <div className="combat-party">
+                  <p>👥 Gruppenkampf</p>
+                  {combatResult.party.members.map(member => (
+                    <div key={member.userId} className="combat-party-member">
+                      <strong>{member.username}</strong>
+                      <span>⚔️ {member.damageDealt} · ❤️ {member.health}/{member.maxHealth}</span>
+                      {combatResult.result === 'attacker' && (
+                        <span>
+                          💰 +{member.goldGained} · ✨ +{member.expGained}
+                          {member.lootItems.length > 0 && ` · 🎁 ${member.lootItems.map(item => `${item.quantity}x ${item.name}`).join(', ')}`}
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                  {combatResult.party.pendingLoot.length > 0 && (
+                    <p className="combat-party-pending">
+                      🎲 {combatResult.party.pendingLoot.map(item => `${item.quantity}x ${item.name}`).join(', ')} – Verteilung im Gruppenfenster
+                    </p>
+                  )}
+                </div>
+              )}
               <button className="btn btn-primary" onClick={() => setCombatResult(null)}>
                 OK
               </button>
@@ -2726,7 +3203,7 @@ function Map() {
             {user?.world_x !== undefined && user?.world_y !== undefined && 
              selectedPlayer.world_x !== undefined && selectedPlayer.world_y !== undefined && (
               <p>
-                Reisezeit: <strong>{formatTravelTime(calculateTravelTime(
+                Reisezeit: ca. <strong>{formatTravelTime(calculateTravelTime(
                   user.world_x || 0,
                   user.world_y || 0,
                   selectedPlayer.world_x || 0,
@@ -2770,6 +3247,14 @@ function Map() {
               >
                 ✉️ Nachricht
               </button>
+              {(!party || party.is_leader) && !partyMemberIds.includes(selectedPlayer.id) && (
+                <button 
+                  className="btn btn-success" 
+                  onClick={handleInviteToParty}
+                >
+                  👥 In Gruppe einladen
+                </button>
+              )}
               <button 
                 className="btn btn-secondary" 
                 onClick={() => setSelectedPlayer(null)}
@@ -2815,7 +3300,7 @@ function Map() {
 
         {actionMode === 'trade' && tradeData && (
           <div className="trade-modal">
-            <h3>🤝 Handel mit {tradeData.target_username}</h3>
+            <h3>{counterOffer ? '🔄 Gegenangebot an' : '🤝 Handel mit'} {tradeData.target_username}</h3>
             
             <div className="trade-container">
               <div className="trade-column">
@@ -2854,6 +3339,17 @@ function Map() {
                     );
                   })}
                 </div>
+                <div className="trade-gold">
+                  <label>💰 Gold (max. {tradeData.my_gold})</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={tradeData.my_gold}
+                    value={myTradeGold}
+                    onChange={(e) => setMyTradeGold(Math.max(0, parseInt(e.target.value) || 0))}
+                    className="trade-quantity-input"
+                  />
+                </div>
               </div>
 
               <div className="trade-arrow">⇄</div>
@@ -2894,27 +3390,89 @@ function Map() {
                     );
                   })}
                 </div>
+                <div className="trade-gold">
+                  <label>💰 Gold (max. {tradeData.target_gold})</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={tradeData.target_gold}
+                    value={targetTradeGold}
+                    onChange={(e) => setTargetTradeGold(Math.max(0, parseInt(e.target.value) || 0))}
+                    className="trade-quantity-input"
+                  />
+                </div>
               </div>
             </div>
 
+            <p className="trade-hint">
+              {tradeData.target_username} muss das Angebot annehmen, bevor Items und Gold getauscht werden.
+            </p>
+
             <div className="trade-actions">
-              <button className="btn btn-success" onClick={handleExecuteTrade}>
-                ✅ Handel abschließen
+              <button className="btn btn-success" onClick={handleSendTradeOffer}>
+                {counterOffer ? '🔄 Gegenangebot senden' : '📨 Angebot senden'}
               </button>
-              <button 
-                className="btn btn-secondary" 
-                onClick={() => {
-                  setTradeData(null);
-                  setMyTradeItems([]);
-                  setTargetTradeItems([]);
-                  setActionMode(null);
-                }}
-              >
+              <button className="btn btn-secondary" onClick={closeTrade}>
                 ❌ Abbrechen
               </button>
             </div>
           </div>
         )}
+
+        <PartyPanel
+          party={party}
+          invites={partyInvites}
+          userId={user?.id}
+          onChange={fetchParty}
+          onMessage={showPanelMessage}
+        />
+
+        <ToolPanel
+          tools={userTools}
+          onChange={fetchUserTools}
+          onMessage={showPanelMessage}
+        />
+
+        {/* Trade Offers */}
+        {(tradeOffers.incoming.length > 0 || tradeOffers.outgoing.length > 0) && (
+          <div className="trade-offers-panel">
+            <h3>📨 Handelsangebote</h3>
+            {tradeOffers.incoming.map((offer) => (
+              <div key={offer.id} className="trade-offer incoming">
+                <div className="trade-offer-header">
+                  <strong>{offer.counter_of_id ? '🔄 Gegenangebot' : '📨 Angebot'} von {offer.sender_name}</strong>
+                </div>
+                <p>📦 Du erhältst: {formatOfferLines(offer.offer_items, offer.offer_gold)}</p>
+                <p>📤 Du gibst: {formatOfferLines(offer.request_items, offer.request_gold)}</p>
+                <div className="trade-actions">
+                  <button className="btn btn-success btn-small" onClick={() => handleAcceptOffer(offer.id)}>
+                    ✅ Annehmen
+                  </button>
+                  <button className="btn btn-primary btn-small" onClick={() => handleCounterOffer(offer)}>
+                    🔄 Gegenangebot
+                  </button>
+                  <button className="btn btn-danger btn-small" onClick={() => handleDeclineOffer(offer.id)}>
+                    ❌ Ablehnen
+                  </button>
+                </div>
+              </div>
+            ))}
+            {tradeOffers.outgoing.map((offer) => (
+              <div key={offer.id} className="trade-offer outgoing">
+                <div className="trade-offer-header">
+                  <strong>⏳ Angebot an {offer.recipient_name}</strong>
+                </div>
+                <p>📤 Du gibst: {formatOfferLines(offer.offer_items, offer.offer_gold)}</p>
+                <p>📦 Du erhältst: {formatOfferLines(offer.request_items, offer.request_gold)}</p>
+                <div className="trade-actions">
+                  <button className="btn btn-secondary btn-small" onClick={() => handleCancelOffer(offer.id)}>
+                    ↩️ Zurückziehen
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
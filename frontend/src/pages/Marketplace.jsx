@@ -0,0 +1,626 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import './Marketplace.css';
+
+function Marketplace() {
+  const [tab, setTab] = useState('browse'); // browse, sell, mine, history
+  const [settings, setSettings] = useState(null);
+  const [gold, setGold] = useState(0);
+  const [message, setMessage] = useState('');
+
+  // Browse
+  const [listings, setListings] = useState([]);
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [sort, setSort] = useState('ending');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [bidAmounts, setBidAmounts] = useState({});
+
+  // Price history of the selected item / equipment type
+  const [priceTarget, setPriceTarget] = useState(null);
+  const [prices, setPrices] = useState(null);
+
+  // Sell
+  const [inventory, setInventory] = useState([]);
+  const [equipment, setEquipment] = useState([]);
+  const [sellSelection, setSellSelection] = useState('');
+  const [sellQuantity, setSellQuantity] = useState(1);
+  const [startingPrice, setStartingPrice] = useState('');
+  const [buyoutPrice, setBuyoutPrice] = useState('');
+  const [duration, setDuration] = useState(24);
+
+  // Own auctions and history
+  const [mine, setMine] = useState({ listings: [], bids: [] });
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    fetchSettings();
+    fetchGold();
+  }, []);
+
+  useEffect(() => {
+    if (tab === 'browse') fetchListings();
+    if (tab === 'sell') fetchSellables();
+    if (tab === 'mine') fetchMine();
+    if (tab === 'history') fetchHistory();
+  }, [tab, page, typeFilter, sort]);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(''), 4000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  useEffect(() => {
+    if (!priceTarget) {
+      setPrices(null);
+      return;
+    }
+    const param = priceTarget.item_id ? `item_id=${priceTarget.item_id}` : `equipment_type_id=${priceTarget.equipment_type_id}`;
+    api.get(`/auctions/prices?${param}`)
+      .then(response => setPrices(response.data))
+      .catch(error => console.error('Error fetching prices:', error));
+  }, [priceTarget]);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await api.get('/auctions/settings');
+      setSettings(response.data);
+    } catch (error) {
+      console.error('Error fetching auction settings:', error);
+    }
+  };
+
+  const fetchGold = async () => {
+    try {
+      const response = await api.get('/npcs/player/stats');
+      setGold(response.data.stats.gold || 0);
+    } catch (error) {
+      console.error('Error fetching gold:', error);
+    }
+  };
+
+  const fetchListings = async () => {
+    try {
+      const params = new URLSearchParams({ page, sort });
+      if (search) params.set('search', search);
+      if (typeFilter) params.set('type', typeFilter);
+      const response = await api.get(`/auctions?${params}`);
+      setListings(response.data.listings);
+      setPages(response.data.pages);
+    } catch (error) {
+      console.error('Error fetching auctions:', error);
+    }
+  };
+
+  const fetchSellables = async () => {
+    try {
+      const [inventoryRes, equipmentRes] = await Promise.all([
+        api.get('/inventory'),
+        api.get('/equipment/inventory')
+      ]);
+      setInventory(inventoryRes.data.inventory || []);
+      setEquipment((equipmentRes.data.equipment || []).filter(eq => !eq.is_equipped));
+    } catch (error) {
+      console.error('Error fetching inventory:', error);
+    }
+  };
+
+  const fetchMine = async () => {
+    try {
+      const response = await api.get('/auctions/mine');
+      setMine(response.data);
+    } catch (error) {
+      console.error('Error fetching own auctions:', error);
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      const response = await api.get('/auctions/history');
+      setHistory(response.data.history);
+    } catch (error) {
+      console.error('Error fetching auction history:', error);
+    }
+  };
+
+  const refresh = () => {
+    fetchGold();
+    fetchSettings();
+    if (tab === 'browse') fetchListings();
+    if (tab === 'sell') fetchSellables();
+    if (tab === 'mine') fetchMine();
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page !== 1) {
+      setPage(1);
+    } else {
+      fetchListings();
+    }
+  };
+
+  const placeBid = async (listing) => {
+    const amount = parseInt(bidAmounts[listing.id] || listing.min_bid);
+    try {
+      const response = await api.post(`/auctions/${listing.id}/bid`, { amount });
+      setMessage(response.data.message);
+      setBidAmounts(prev => ({ ...prev, [listing.id]: '' }));
+      refresh();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Bieten');
+    }
+  };
+
+  const buyout = async (listing) => {
+    if (!confirm(`${listing.display_name} für ${listing.buyout_price} Gold sofort kaufen?`)) return;
+    try {
+      const response = await api.post(`/auctions/${listing.id}/buyout`);
+      setMessage(response.data.message);
+      refresh();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Sofortkauf');
+    }
+  };
+
+  const cancelListing = async (listing) => {
+    if (!confirm('Auktion wirklich abbrechen? Die Gebühr wird nicht erstattet.')) return;
+    try {
+      const response = await api.post(`/auctions/${listing.id}/cancel`);
+      setMessage(response.data.message);
+      refresh();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Abbrechen');
+    }
+  };
+
+  // sellSelection is "item:<item_id>" or "equipment:<user_equipment_id>"
+  const getSelectedGoods = () => {
+    const [kind, id] = sellSelection.split(':');
+    if (kind === 'item') {
+      const item = inventory.find(i => i.item_id === parseInt(id));
+      return item ? { kind, item } : null;
+    }
+    if (kind === 'equipment') {
+      const piece = equipment.find(eq => eq.id === parseInt(id));
+      return piece ? { kind, item: piece } : null;
+    }
+    return null;
+  };
+
+  const selectGoods = (value) => {
+    setSellSelection(value);
+    setSellQuantity(1);
+    const [kind, id] = value.split(':');
+    if (kind === 'item') {
+      setPriceTarget({ item_id: parseInt(id) });
+    } else if (kind === 'equipment') {
+      const piece = equipment.find(eq => eq.id === parseInt(id));
+      setPriceTarget(piece ? { equipment_type_id: piece.type_id } : null);
+    } else {
+      setPriceTarget(null);
+    }
+  };
+
+  const getListingFee = () => {
+    if (!settings) return 0;
+    const option = settings.durations.find(d => d.hours === parseInt(duration));
+    const price = Math.max(parseInt(startingPrice) || 0, parseInt(buyoutPrice) || 0);
+    if (!option || price === 0) return 0;
+    return Math.max(settings.min_fee, Math.ceil(price * option.fee_percent / 100));
+  };
+
+  const createListing = async (e) => {
+    e.preventDefault();
+    const selected = getSelectedGoods();
+    if (!selected) {
+      setMessage('Bitte wähle etwas zum Verkaufen aus');
+      return;
+    }
+
+    try {
+      const response = await api.post('/auctions', {
+        listing_type: selected.kind,
+        item_id: selected.kind === 'item' ? selected.item.item_id : undefined,
+        user_equipment_id: selected.kind === 'equipment' ? selected.item.id : undefined,
+        quantity: sellQuantity,
+        starting_price: startingPrice || null,
+        buyout_price: buyoutPrice || null,
+        duration_hours: duration
+      });
+      setMessage(response.data.message);
+      setSellSelection('');
+      setStartingPrice('');
+      setBuyoutPrice('');
+      setPriceTarget(null);
+      refresh();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Fehler beim Erstellen der Auktion');
+    }
+  };
+
+  const formatTimeLeft = (expiresAt) => {
+    const diff = new Date(expiresAt) - new Date();
+    if (diff <= 0) return 'Beendet';
+    const hours = Math.floor(diff / 3600000);
+    const minutes = Math.floor((diff % 3600000) / 60000);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+  };
+
+  const getImageUrl = (listing) => {
+    if (!listing.image_path) return '/placeholder-item.png';
+    if (listing.image_path.startsWith('http')) return listing.image_path;
+    return `/items/${listing.image_path}`;
+  };
+
+  const getStatusLabel = (status) => {
+    const labels = {
+      active: 'Aktiv',
+      sold: 'Verkauft',
+      expired: 'Abgelaufen',
+      cancelled: 'Abgebrochen'
+    };
+    return labels[status] || status;
+  };
+
+  const renderListingName = (listing) => (
+    <div className="auction-name">
+      <img
+        src={getImageUrl(listing)}
+        alt={listing.display_name}
+        onError={(e) => { e.target.src = '/placeholder-item.png'; }}
+      />
+      <div>
+        <span className={`rarity-${listing.rarity}`}>
+          {listing.listing_type === 'item' && listing.quantity > 1 && `${listing.quantity}x `}
+          {listing.display_name}
+        </span>
+        {listing.listing_type === 'equipment' && (
+          <small style={{ color: listing.quality_color }}>
+            {listing.quality_name} · ⚔️ {listing.actual_attack} 🛡️ {listing.actual_defense} ❤️ {listing.actual_health}
+          </small>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderBrowse = () => (
+    <>
+      <form className="auction-filters" onSubmit={handleSearch}>
+        <input
+          type="text"
+          placeholder="Suchen..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select value={typeFilter} onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}>
+          <option value="">Alle</option>
+          <option value="item">Items</option>
+          <option value="equipment">Ausrüstung</option>
+        </select>
+        <select value={sort} onChange={(e) => { setSort(e.target.value); setPage(1); }}>
+          <option value="ending">Endet bald</option>
+          <option value="newest">Neueste</option>
+          <option value="price_asc">Preis aufsteigend</option>
+          <option value="price_desc">Preis absteigend</option>
+        </select>
+        <button type="submit">🔍 Suchen</button>
+      </form>
+
+      {listings.length === 0 ? (
+        <div className="auction-empty">Keine Auktionen gefunden.</div>
+      ) : (
+        <div className="auction-list">
+          {listings.map(listing => (
+            <div key={listing.id} className="auction-row">
+              {renderListingName(listing)}
+              <div className="auction-seller">von {listing.seller_name}</div>
+              <div className="auction-time">⏳ {formatTimeLeft(listing.expires_at)}</div>
+              <div className="auction-bid">
+                {listing.starting_price !== null ? (
+                  <>
+                    <span>
+                      {listing.current_bid
+                        ? `Gebot: ${listing.current_bid} 💰 (${listing.bid_count})`
+                        : `Start: ${listing.starting_price} 💰`}
+                    </span>
+                    <div className="auction-bid-input">
+                      <input
+                        type="number"
+                        min={listing.min_bid}
+                        placeholder={listing.min_bid}
+                        value={bidAmounts[listing.id] || ''}
+                        onChange={(e) => setBidAmounts(prev => ({ ...prev, [listing.id]: e.target.value }))}
+                      />
+                      <button onClick={() => placeBid(listing)}>Bieten</button>
+                    </div>
+                  </>
+                ) : (
+                  <span className="auction-muted">Nur Sofortkauf</span>
+                )}
+              </div>
+              <div className="auction-buyout">
+                {listing.buyout_price !== null && (
+                  <button
+                    className="btn-buyout"
+                    onClick={() => buyout(listing)}
+                    disabled={gold < listing.buyout_price}
+                  >
+                    Sofortkauf {listing.buyout_price} 💰
+                  </button>
+                )}
+                <button
+                  className="btn-prices"
+                  title="Preisverlauf"
+                  onClick={() => setPriceTarget({ item_id: listing.item_id, equipment_type_id: listing.equipment_type_id })}
+                >
+                  📈
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="auction-pagination">
+          <button disabled={page <= 1} onClick={() => setPage(page - 1)}>◀</button>
+          <span>Seite {page} / {pages}</span>
+          <button disabled={page >= pages} onClick={() => setPage(page + 1)}>▶</button>
+        </div>
+      )}
+    </>
+  );
+
+  const renderSell = () => {
+    const selected = getSelectedGoods();
+    return (
+      <form className="auction-sell-form" onSubmit={createListing}>
+        <label>
+          Ware
+          <select value={sellSelection} onChange={(e) => selectGoods(e.target.value)}>
+            <option value="">-- Auswählen --</option>
+            <optgroup label="Items">
+              {inventory.map(item => (
+                <option key={`item-${item.item_id}`} value={`item:${item.item_id}`}>
+                  {item.display_name} ({item.quantity}x)
+                </option>
+              ))}
+            </optgroup>
+            <optgroup label="Ausrüstung">
+              {equipment.map(eq => (
+                <option key={`eq-${eq.id}`} value={`equipment:${eq.id}`}>
+                  {eq.display_name} ({eq.quality_name})
+                </option>
+              ))}
+            </optgroup>
+          </select>
+        </label>
+
+        {selected?.kind === 'item' && (
+          <label>
+            Menge (max. {selected.item.quantity})
+            <input
+              type="number"
+              min="1"
+              max={selected.item.quantity}
+              value={sellQuantity}
+              onChange={(e) => setSellQuantity(parseInt(e.target.value) || 1)}
+            />
+          </label>
+        )}
+
+        <label>
+          Startgebot (optional)
+          <input type="number" min="1" value={startingPrice} onChange={(e) => setStartingPrice(e.target.value)} />
+        </label>
+        <label>
+          Sofortkaufpreis (optional)
+          <input type="number" min="1" value={buyoutPrice} onChange={(e) => setBuyoutPrice(e.target.value)} />
+        </label>
+
+        <label>
+          Laufzeit
+          <select value={duration} onChange={(e) => setDuration(parseInt(e.target.value))}>
+            {settings?.durations.map(option => (
+              <option key={option.hours} value={option.hours}>
+                {option.hours} Stunden ({option.fee_percent}% Gebühr)
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="auction-fee">
+          Gebühr: <strong>{getListingFee()} 💰</strong>
+          {settings && (
+            <span className="auction-muted">
+              {' '}· Aktive Auktionen: {settings.active_listings} / {settings.max_active_listings}
+            </span>
+          )}
+        </div>
+
+        <button type="submit" className="btn-primary">🔨 Versteigern</button>
+      </form>
+    );
+  };
+
+  const renderMine = () => (
+    <>
+      <h3>Meine Gebote</h3>
+      {mine.bids.length === 0 ? (
+        <div className="auction-empty">Du bietest auf keine Auktion.</div>
+      ) : (
+        <div className="auction-list">
+          {mine.bids.map(listing => (
+            <div key={listing.id} className="auction-row">
+              {renderListingName(listing)}
+              <div className="auction-time">⏳ {formatTimeLeft(listing.expires_at)}</div>
+              <div className="auction-bid">Gebot: {listing.current_bid} 💰</div>
+              <div className={listing.is_highest_bidder ? 'auction-winning' : 'auction-outbid'}>
+                {listing.is_highest_bidder ? '✓ Höchstbietender' : '✗ Überboten'}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h3>Meine Auktionen</h3>
+      {mine.listings.length === 0 ? (
+        <div className="auction-empty">Du hast noch nichts versteigert.</div>
+      ) : (
+        <div className="auction-list">
+          {mine.listings.map(listing => (
+            <div key={listing.id} className={`auction-row status-${listing.status}`}>
+              {renderListingName(listing)}
+              <div className="auction-time">
+                {listing.status === 'active' ? `⏳ ${formatTimeLeft(listing.expires_at)}` : getStatusLabel(listing.status)}
+              </div>
+              <div className="auction-bid">
+                {listing.status === 'sold'
+                  ? `${listing.final_price} 💰`
+                  : listing.current_bid
+                    ? `Gebot: ${listing.current_bid} 💰 (${listing.bidder_name})`
+                    : 'Keine Gebote'}
+              </div>
+              <div className="auction-buyout">
+                {listing.status === 'active' && !listing.current_bidder_id && (
+                  <button className="btn-cancel" onClick={() => cancelListing(listing)}>Abbrechen</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  const renderHistory = () => (
+    history.length === 0 ? (
+      <div className="auction-empty">Noch keine Käufe oder Verkäufe.</div>
+    ) : (
+      <table className="auction-history">
+        <thead>
+          <tr>
+            <th>Datum</th>
+            <th>Ware</th>
+            <th></th>
+            <th>Handelspartner</th>
+            <th>Preis</th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.map(entry => (
+            <tr key={entry.id}>
+              <td>{formatDate(entry.ended_at)}</td>
+              <td>
+                {entry.listing_type === 'item' ? `${entry.quantity}x ${entry.display_name}` : `${entry.display_name} (${entry.quality_name})`}
+              </td>
+              <td className={entry.direction === 'sold' ? 'auction-sold' : 'auction-bought'}>
+                {entry.direction === 'sold' ? 'Verkauft' : 'Gekauft'}
+              </td>
+              <td>{entry.partner_name || '-'}</td>
+              <td>{entry.direction === 'sold' ? '+' : '-'}{entry.final_price} 💰</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )
+  );
+
+  const renderPrices = () => {
+    if (!priceTarget) {
+      return <div className="auction-muted">Wähle eine Ware (📈), um ihren Preisverlauf zu sehen.</div>;
+    }
+    if (!prices) {
+      return <div className="loading">Lädt Preise...</div>;
+    }
+
+    const maxPrice = Math.max(1, ...prices.daily.map(day => day.max_price));
+    return (
+      <>
+        <div className="price-summary">
+          <div>
+            <span>Ø Preis ({prices.days} Tage)</span>
+            <strong>{prices.average_price ?? '-'} 💰</strong>
+          </div>
+          <div>
+            <span>Günstigster Sofortkauf</span>
+            <strong>{prices.lowest_buyout ?? '-'} 💰</strong>
+          </div>
+          <div>
+            <span>Aktive Angebote</span>
+            <strong>{prices.active_listings}</strong>
+          </div>
+        </div>
+
+        {prices.daily.length === 0 ? (
+          <div className="auction-muted">Noch keine Verkäufe in den letzten {prices.days} Tagen.</div>
+        ) : (
+          <div className="price-chart">
+            {prices.daily.map(day => (
+              <div key={day.day} className="price-day" title={`${day.day}: Ø ${day.avg_price}, ${day.min_price}-${day.max_price} Gold, ${day.volume} Stück`}>
+                <div className="price-bar" style={{ height: `${(day.avg_price / maxPrice) * 100}%` }} />
+                <span>{day.day.slice(8, 10)}.{day.day.slice(5, 7)}.</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {prices.recent_sales.length > 0 && (
+          <div className="price-recent">
+            <h4>Letzte Verkäufe</h4>
+            {prices.recent_sales.map((sale, index) => (
+              <div key={index} className="price-sale">
+                <span>{formatDate(sale.ended_at)}</span>
+                <span>{sale.quantity}x</span>
+                <span>{Math.round(sale.final_price / sale.quantity * 100) / 100} 💰/Stück</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="marketplace-page">
+      <div className="marketplace-header">
+        <h1>🔨 Auktionshaus</h1>
+        <div className="marketplace-gold">💰 {gold} Gold</div>
+      </div>
+
+      <div className="marketplace-tabs">
+        <button className={tab === 'browse' ? 'active' : ''} onClick={() => setTab('browse')}>Durchsuchen</button>
+        <button className={tab === 'sell' ? 'active' : ''} onClick={() => setTab('sell')}>Verkaufen</button>
+        <button className={tab === 'mine' ? 'active' : ''} onClick={() => setTab('mine')}>Meine Auktionen</button>
+        <button className={tab === 'history' ? 'active' : ''} onClick={() => setTab('history')}>Verlauf</button>
+      </div>
+
+      {message && <div className="marketplace-message">{message}</div>}
+
+      <div className="marketplace-content">
+        <div className="marketplace-main">
+          {tab === 'browse' && renderBrowse()}
+          {tab === 'sell' && renderSell()}
+          {tab === 'mine' && renderMine()}
+          {tab === 'history' && renderHistory()}
+        </div>
+        <div className="marketplace-prices">
+          <h3>📈 Preisverlauf</h3>
+          {renderPrices()}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Marketplace;
@@ -75,10 +75,10 @@ function convertEmojis(text) {
 const categories = [
   { id: 'all', label: '📬 Alle', types: null },
   { id: 'personal', label: '✉️ Spieler', types: ['personal'] },
-  { id: 'trade', label: '🤝 Handel', types: ['trade_received', 'trade_sent'] },
-  { id: 'combat', label: '⚔️ Kampf', types: ['attack_received', 'attack_sent', 'combat'] },
-  { id: 'guild', label: '🏰 Gilde', types: ['guild_application', 'guild_accepted', 'guild_rejected'] },
-  { id: 'system', label: '📢 System', types: ['system'] },
+  { id: 'trade', label: '🤝 Handel', types: ['trade_offer', 'trade_received', 'trade_sent', 'auction'] },
+  { id: 'combat', label: '⚔️ Kampf', types: ['attack_received', 'attack_sent', 'combat', 'party'] },
+  { id: 'guild', label: '🏰 Gilde', types: ['guild_application', 'guild_accepted', 'guild_rejected', 'guild_war', 'guild_level'] },
+  { id: 'system', label: '📢 System', types: ['system', 'job', 'travel'] },
 ];
 
 function Messages() {
@@ -315,6 +315,29 @@ function Messages() {
     }
   };
 
+  const respondToTradeOffer = async (action) => {
+    if (!selectedMessage?.related_id) return;
+
+    try {
+      const response = await fetch(`/api/map/trade/offers/${selectedMessage.related_id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Fehler beim Bearbeiten des Angebots');
+      }
+
+      alert(data.message);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   const handleReply = () => {
     if (!selectedMessage) return;
     setReplyTo(selectedMessage);
@@ -382,11 +405,18 @@ function Messages() {
       case 'guild_application': return '📜';
       case 'guild_accepted': return '🎉';
       case 'guild_rejected': return '❌';
+      case 'guild_war': return '🏴';
+      case 'guild_level': return '🏰';
+      case 'trade_offer': return '📨';
       case 'trade_received': return '📦';
       case 'trade_sent': return '📤';
       case 'attack_received': return '⚔️';
       case 'attack_sent': return '🗡️';
       case 'combat': return '⚔️';
+      case 'party': return '👥';
+      case 'job': return '✅';
+      case 'auction': return '🔨';
+      case 'travel': return '🧭';
       case 'system': return '📢';
       default: return '✉️';
     }
@@ -397,11 +427,18 @@ function Messages() {
       case 'guild_application': return 'Gildenbewerbung';
       case 'guild_accepted': return 'Gilde';
       case 'guild_rejected': return 'Gilde';
+      case 'guild_war': return 'Gildenkrieg';
+      case 'guild_level': return 'Gildenstufe';
+      case 'trade_offer': return 'Handelsangebot';
       case 'trade_received': return 'Handel';
       case 'trade_sent': return 'Handel';
       case 'attack_received': return 'Kampf';
       case 'attack_sent': return 'Kampf';
       case 'combat': return 'Kampf';
+      case 'party': return 'Gruppe';
+      case 'job': return 'Auftrag';
+      case 'auction': return 'Auktionshaus';
+      case 'travel': return 'Reise';
       case 'system': return 'System';
       default: return 'Nachricht';
     }
@@ -545,6 +582,16 @@ function Messages() {
                   ))}
                 </div>
                 <div className="detail-actions">
+                  {activeTab === 'inbox' && selectedMessage.message_type === 'trade_offer' && selectedMessage.related_id && (
+                    <>
+                      <button className="btn-reply" onClick={() => respondToTradeOffer('accept')}>
+                        ✅ Annehmen
+                      </button>
+                      <button className="btn-report" onClick={() => respondToTradeOffer('decline')}>
+                        ❌ Ablehnen
+                      </button>
+                    </>
+                  )}
                   {activeTab === 'inbox' && selectedMessage.sender_name !== 'System' && (
                     <>
                       <button className="btn-reply" onClick={handleReply}>
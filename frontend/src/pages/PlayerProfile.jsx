@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import PropertyGrid from '../components/PropertyGrid';
 import './PlayerProfile.css';
 
 // API-Base URL für öffentliche Anfragen (ohne Auth)
@@ -14,9 +15,11 @@ function PlayerProfile() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [property, setProperty] = useState(null);
 
   useEffect(() => {
     fetchPlayer();
+    fetchProperty();
   }, [username]);
 
   const fetchPlayer = async () => {
@@ -37,6 +40,16 @@ function PlayerProfile() {
     }
   };
 
+  // Grundstück nur als Ansicht, ein Fehler blendet den Abschnitt einfach aus
+  const fetchProperty = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/players/profile/${encodeURIComponent(username)}/property`);
+      setProperty(response.ok ? await response.json() : null);
+    } catch (err) {
+      setProperty(null);
+    }
+  };
+
   const copyProfileLink = () => {
     const url = window.location.href;
     navigator.clipboard.writeText(url);
@@ -182,6 +195,14 @@ function PlayerProfile() {
           </div>
         )}
 
+        {/* Property */}
+        {property && property.buildings.length > 0 && (
+          <div className="profile-property">
+            <h4>🏡 Grundstück ({property.plot.width}×{property.plot.height} Felder)</h4>
+            <PropertyGrid layout={property} />
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="profile-actions">
           {user && player.id !== user.id && (
@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import NotificationSettings from '../components/NotificationSettings';
+import GatheringSkills from '../components/GatheringSkills';
 import './Profile.css';
 
 const getImageUrl = (imagePath) => {
@@ -202,6 +203,10 @@ function Profile() {
             </div>
           )}
 
+          {activeTab === 'info' && profile && (
+            <GatheringSkills />
+          )}
+
           {activeTab === 'avatar' && (
             <div className="profile-avatar-section">
               <div className="current-avatar">
@@ -22,8 +22,17 @@ function Quests() {
 
   const fetchQuests = async () => {
     try {
-      const response = await api.get('/quests');
-      setQuests(response.data.quests);
+      const [response, groupResponse] = await Promise.all([
+        api.get('/quests'),
+        api.get('/quests/group')
+      ]);
+      // Group quests share the list; their status is the one of the group's current run
+      const groupQuests = groupResponse.data.groups.flatMap(group => group.quests.map(quest => ({
+        ...quest,
+        user_status: quest.group_status,
+        group: { scope: group.scope, label: group.label, name: group.name, canManage: group.canManage }
+      })));
+      setQuests([...response.data.quests, ...groupQuests]);
     } catch (error) {
       console.error('Error fetching quests:', error);
     } finally {
@@ -186,6 +195,7 @@ function Quests() {
                   <div className="quest-card-header">
                     <span className="quest-category">{getCategoryIcon(quest.category)}</span>
                     <h3>{quest.display_name}</h3>
+                    {quest.group && <span className="quest-group-badge" title={quest.group.name}>🏰 {quest.group.label}</span>}
                     <span className={`quest-status-badge ${status}`}>
                       {status === 'available' && 'Verfügbar'}
                       {status === 'active' && 'Aktiv'}
@@ -239,6 +249,13 @@ function Quests() {
               <p className="quest-description">{selectedQuest.description}</p>
             )}
 
+            {selectedQuest.group && (
+              <p className="quest-group-info">
+                🏰 Gruppenquest von {selectedQuest.group.name} - der Fortschritt aller Mitglieder zählt.
+                Die Belohnung wird {selectedQuest.reward_split === 'proportional' ? 'nach Beitrag' : 'gleichmäßig'} unter allen Helfern aufgeteilt.
+              </p>
+            )}
+
             <div className="quest-objectives">
               <h3>📋 Aufgaben</h3>
               {selectedQuest.objectives?.map((obj, idx) => (
@@ -258,8 +275,21 @@ function Quests() {
               ))}
             </div>
 
+            {selectedQuest.group && selectedQuest.contributions?.length > 0 && (
+              <div className="quest-contributions">
+                <h3>🤝 Beiträge</h3>
+                {selectedQuest.contributions.map(entry => (
+                  <div key={entry.user_id} className="contribution-row">
+                    <span className="contribution-name">{entry.username}</span>
+                    <span className="contribution-amount">{entry.amount}</span>
+                    <span className="contribution-share">{entry.share} %</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="quest-rewards">
-              <h3>🎁 Belohnungen</h3>
+              <h3>🎁 {selectedQuest.group ? 'Belohnungen (gesamt)' : 'Belohnungen'}</h3>
               <div className="rewards-list">
                 {selectedQuest.reward_gold > 0 && (
                   <div className="reward-item">
@@ -290,16 +320,20 @@ function Quests() {
                   {!selectedQuest.prerequisite_completed && (
                     <p className="prereq-warning">⚠️ Voraussetzung: {selectedQuest.prerequisite_name}</p>
                   )}
+                  {selectedQuest.group && !selectedQuest.group.canManage && (
+                    <p className="prereq-warning">Nur Anführer und Offiziere können Gruppenquests starten.</p>
+                  )}
                   <button 
                     className="btn-accept"
                     onClick={() => acceptQuest(selectedQuest.id)}
-                    disabled={!selectedQuest.prerequisite_completed}
+                    disabled={!selectedQuest.prerequisite_completed || (selectedQuest.group && !selectedQuest.group.canManage)}
                   >
-                    Quest annehmen
+                    {selectedQuest.group ? 'Für alle starten' : 'Quest annehmen'}
                   </button>
                 </>
               )}
-              {getQuestStatus(selectedQuest) === 'active' && !selectedQuest.objectives?.some(o => o.objective_type === 'daily_login') && (
+              {getQuestStatus(selectedQuest) === 'active' && !selectedQuest.objectives?.some(o => o.objective_type === 'daily_login')
+                && (!selectedQuest.group || selectedQuest.group.canManage) && (
                 <button 
                   className="btn-abandon"
                   onClick={() => abandonQuest(selectedQuest.id)}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import GatheringSkills from '../components/GatheringSkills';
 import './Statistics.css';
 
 function Statistics() {
@@ -112,6 +113,8 @@ function Statistics() {
         <p className="subtitle">Deine Erfolge in Soaria</p>
       </div>
 
+      <GatheringSkills />
+
       <div className="stats-grid">
         {statCategories.map((category) => (
           <div key={category.title} className="stat-category">
@@ -1,10 +1,22 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'url';
+
+// Gemeinsame Weltgenerierung (liegt außerhalb von frontend/, wird auch vom Backend genutzt)
+const sharedWorldDir = fileURLToPath(new URL('../shared/world', import.meta.url));
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@soaria/world': `${sharedWorldDir}/index.js`,
+    },
+  },
   server: {
     port: 3000,
+    fs: {
+      allow: ['.', sharedWorldDir],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3001',
@@ -0,0 +1,30 @@
+// Weltgenerierung - wird von Frontend (Vite) und Backend (Node) gemeinsam genutzt,
+// damit Server und Client für jede Koordinate dasselbe Terrain berechnen.
+export { seededRandom, gradientNoise, fractalNoise } from './noise.js';
+export {
+  TILE_SIZE,
+  ROAD_SPACING,
+  TERRAIN_TYPES,
+  BIOMES,
+  worldToTile,
+  getPathInfo,
+  getElevation,
+  sampleTerrain,
+  getTerrainAt,
+  getBiomeAt,
+  isWaterTerrain,
+  isWalkableTerrain,
+  isWalkableAt,
+  isWaterAt,
+  isForestAt,
+  isPathAt
+} from './terrain.js';
+export { setRegions, getRegions, getRegionAt, findOverlappingRegion } from './regions.js';
+export {
+  TERRAIN_MOVE_COSTS,
+  MAX_SEARCH_NODES,
+  getMovementCost,
+  findPath,
+  getPositionOnPath,
+  getPathLength
+} from './pathfinding.js';
@@ -0,0 +1,70 @@
+// Deterministic noise functions. Frontend and backend must produce
+// bit-identical results, so only plain Math operations are used here.
+
+/**
+ * Pseudo random number for a seed
+ * @param {number} seed
+ * @returns {number} Value in [0, 1)
+ */
+export function seededRandom(seed) {
+  const x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+}
+
+// Smooth interpolation (quintic for smoother results)
+function smoothstep(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * 2D value noise with smooth interpolation
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [seed=0]
+ * @returns {number} Value in [0, 1)
+ */
+export function gradientNoise(x, y, seed = 0) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = x0 + 1;
+  const y1 = y0 + 1;
+
+  const sx = smoothstep(x - x0);
+  const sy = smoothstep(y - y0);
+
+  const n00 = seededRandom(x0 * 374761393 + y0 * 668265263 + seed);
+  const n10 = seededRandom(x1 * 374761393 + y0 * 668265263 + seed);
+  const n01 = seededRandom(x0 * 374761393 + y1 * 668265263 + seed);
+  const n11 = seededRandom(x1 * 374761393 + y1 * 668265263 + seed);
+
+  const nx0 = n00 * (1 - sx) + n10 * sx;
+  const nx1 = n01 * (1 - sx) + n11 * sx;
+
+  return nx0 * (1 - sy) + nx1 * sy;
+}
+
+/**
+ * Multi-octave fractal noise
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [octaves=4] - Number of noise layers
+ * @param {number} [persistence=0.5] - Amplitude factor per octave
+ * @param {number} [scale=0.01] - Frequency of the first octave
+ * @param {number} [seed=0]
+ * @returns {number} Value in [0, 1)
+ */
+export function fractalNoise(x, y, octaves = 4, persistence = 0.5, scale = 0.01, seed = 0) {
+  let value = 0;
+  let amplitude = 1;
+  let frequency = scale;
+  let maxValue = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    value += amplitude * gradientNoise(x * frequency, y * frequency, seed + i * 1000);
+    maxValue += amplitude;
+    amplitude *= persistence;
+    frequency *= 2;
+  }
+
+  return value / maxValue;
+}
@@ -0,0 +1,273 @@
+import { TILE_SIZE, getTerrainAt, worldToTile } from './terrain.js';
+
+// Movement cost per world unit relative to open grass (higher = slower).
+// Water is only passable with a boat, which is faster than walking (80 instead of 50 units per minute).
+export const TERRAIN_MOVE_COSTS = {
+  path: 0.6,
+  grass: 1,
+  dirt: 1,
+  sand: 1.2,
+  forest: 1.6,
+  water: 0.625,
+  cliff: Infinity
+};
+
+// Upper bound for expanded tiles per search. The search runs inside the request on the single
+// server thread, so this keeps even a far-off or unreachable target at about a quarter second.
+// Routes with longer detours have to be travelled in stages.
+export const MAX_SEARCH_NODES = 15000;
+
+// Before the search, the area around the target is flood-filled up to this many tiles. A target on
+// an island or in a walled-in region is rejected right away instead of exhausting the search.
+const ENCLOSURE_CHECK_TILES = 2000;
+
+// The heuristic assumes grass everywhere. That overestimates along roads, so the search stays
+// narrow and only takes roads that lie roughly on the way instead of exploring every detour.
+const HEURISTIC_COST = 1;
+
+const NEIGHBORS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+/**
+ * Movement cost of a terrain type
+ * @param {string} terrain
+ * @param {Object} [options]
+ * @param {boolean} [options.hasBoat=false] - Water is impassable without a boat
+ * @returns {number} Cost per world unit, Infinity if impassable
+ */
+export function getMovementCost(terrain, { hasBoat = false } = {}) {
+  if (terrain === 'water' && !hasBoat) return Infinity;
+  return TERRAIN_MOVE_COSTS[terrain] ?? 1;
+}
+
+// Tiles are addressed by a single number to keep the maps small
+function tileKey(tileX, tileY) {
+  return (tileX + 32768) * 65536 + (tileY + 32768);
+}
+
+function octileDistance(dx, dy) {
+  const ax = Math.abs(dx);
+  const ay = Math.abs(dy);
+  return Math.max(ax, ay) + (Math.SQRT2 - 1) * Math.min(ax, ay);
+}
+
+// Whether the passable area around the goal is closed off and small (and does not hold the start)
+function isEnclosed(goalX, goalY, startX, startY, costAt) {
+  const seen = new Set([tileKey(goalX, goalY)]);
+  const queue = [[goalX, goalY]];
+  for (let i = 0; i < queue.length; i++) {
+    const [x, y] = queue[i];
+    if (x === startX && y === startY) return false;
+    for (const [dx, dy] of NEIGHBORS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      const key = tileKey(nx, ny);
+      if (seen.has(key) || !Number.isFinite(costAt(nx, ny))) continue;
+      if (dx !== 0 && dy !== 0 && (!Number.isFinite(costAt(x + dx, y)) || !Number.isFinite(costAt(x, y + dy)))) {
+        continue;
+      }
+      if (seen.size >= ENCLOSURE_CHECK_TILES) return false;
+      seen.add(key);
+      queue.push([nx, ny]);
+    }
+  }
+  return true;
+}
+
+// Binary min-heap on node.f
+function heapPush(heap, node) {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= node.f) break;
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = node;
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let child = left;
+      if (right < heap.length && heap[right].f < heap[left].f) child = right;
+      if (child >= heap.length || heap[child].f >= last.f) break;
+      heap[i] = heap[child];
+      i = child;
+    }
+    heap[i] = last;
+  }
+  return top;
+}
+
+/**
+ * Find the cheapest route between two world positions (A* over the terrain tiles,
+ * 8 directions, no cutting past impassable corners)
+ * @param {number} fromX - World start position
+ * @param {number} fromY
+ * @param {number} toX - World target position
+ * @param {number} toY
+ * @param {Object} [options]
+ * @param {boolean} [options.hasBoat=false] - Allow crossing water
+ * @param {number} [options.maxNodes=MAX_SEARCH_NODES]
+ * @returns {{waypoints: Array<{x: number, y: number, t: number}>, distance: number, cost: number}|null}
+ *   Waypoints in world units, t is the share of the travel time at which the waypoint is reached.
+ *   cost is the distance weighted with the terrain costs. null if the target cannot be reached.
+ */
+export function findPath(fromX, fromY, toX, toY, { hasBoat = false, maxNodes = MAX_SEARCH_NODES } = {}) {
+  const startX = worldToTile(fromX);
+  const startY = worldToTile(fromY);
+  const goalX = worldToTile(toX);
+  const goalY = worldToTile(toY);
+
+  const costCache = new Map();
+  const costAt = (tileX, tileY) => {
+    const key = tileKey(tileX, tileY);
+    let cost = costCache.get(key);
+    if (cost === undefined) {
+      cost = getMovementCost(getTerrainAt(tileX, tileY), { hasBoat });
+      costCache.set(key, cost);
+    }
+    return cost;
+  };
+
+  if (!Number.isFinite(costAt(goalX, goalY))) return null;
+  if (isEnclosed(goalX, goalY, startX, startY, costAt)) return null;
+
+  const heuristic = (tileX, tileY) => octileDistance(goalX - tileX, goalY - tileY) * HEURISTIC_COST;
+
+  const open = [];
+  const best = new Map();
+  const closed = new Set();
+  const startNode = { x: startX, y: startY, g: 0, f: heuristic(startX, startY), parent: null };
+  heapPush(open, startNode);
+  best.set(tileKey(startX, startY), 0);
+
+  let goalNode = null;
+  let expanded = 0;
+
+  while (open.length > 0) {
+    const node = heapPop(open);
+    const key = tileKey(node.x, node.y);
+    if (closed.has(key)) continue;
+    closed.add(key);
+
+    if (node.x === goalX && node.y === goalY) {
+      goalNode = node;
+      break;
+    }
+    if (++expanded > maxNodes) return null;
+
+    for (const [dx, dy] of NEIGHBORS) {
+      const nx = node.x + dx;
+      const ny = node.y + dy;
+      const nextKey = tileKey(nx, ny);
+      if (closed.has(nextKey)) continue;
+
+      const cost = costAt(nx, ny);
+      if (!Number.isFinite(cost)) continue;
+      // Diagonal steps need both adjacent tiles passable
+      if (dx !== 0 && dy !== 0 && (!Number.isFinite(costAt(node.x + dx, node.y)) || !Number.isFinite(costAt(node.x, node.y + dy)))) {
+        continue;
+      }
+
+      const g = node.g + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) * cost;
+      if (g >= (best.get(nextKey) ?? Infinity)) continue;
+      best.set(nextKey, g);
+      heapPush(open, { x: nx, y: ny, g, f: g + heuristic(nx, ny), parent: node, cost });
+    }
+  }
+
+  if (!goalNode) return null;
+
+  const tiles = [];
+  for (let node = goalNode; node; node = node.parent) {
+    tiles.push(node);
+  }
+  tiles.reverse();
+
+  return buildWaypoints(tiles, fromX, fromY, toX, toY);
+}
+
+// Collapse the tile route into straight runs of equal direction and terrain cost,
+// then weigh each run with its cost to get the timing along the route
+function buildWaypoints(tiles, fromX, fromY, toX, toY) {
+  const center = (tile) => tile * TILE_SIZE + TILE_SIZE / 2;
+
+  const points = [{ x: fromX, y: fromY, cost: tiles.length > 1 ? tiles[1].cost : 1 }];
+  for (let i = 1; i < tiles.length - 1; i++) {
+    const prev = tiles[i - 1];
+    const tile = tiles[i];
+    const next = tiles[i + 1];
+    const turns = next.x - tile.x !== tile.x - prev.x || next.y - tile.y !== tile.y - prev.y;
+    if (turns || next.cost !== tile.cost) {
+      points.push({ x: center(tile.x), y: center(tile.y), cost: next.cost });
+    }
+  }
+  points.push({ x: toX, y: toY, cost: 0 });
+
+  let distance = 0;
+  let cost = 0;
+  const segments = [0];
+  for (let i = 1; i < points.length; i++) {
+    const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    distance += length;
+    cost += length * points[i - 1].cost;
+    segments.push(cost);
+  }
+
+  const waypoints = points.map((point, i) => ({
+    x: Math.round(point.x),
+    y: Math.round(point.y),
+    t: cost > 0 ? Math.round((segments[i] / cost) * 10000) / 10000 : i / Math.max(1, points.length - 1)
+  }));
+
+  return { waypoints, distance, cost };
+}
+
+/**
+ * Position on a route at a given share of the travel time
+ * @param {Array<{x: number, y: number, t: number}>} waypoints - As returned by findPath
+ * @param {number} progress - 0 (start) to 1 (arrived)
+ * @returns {{x: number, y: number, dx: number, dy: number}} Position and direction of the current segment
+ */
+export function getPositionOnPath(waypoints, progress) {
+  const p = Math.min(1, Math.max(0, progress));
+  for (let i = 1; i < waypoints.length; i++) {
+    const a = waypoints[i - 1];
+    const b = waypoints[i];
+    if (p <= b.t || i === waypoints.length - 1) {
+      const span = b.t - a.t;
+      const local = span > 0 ? Math.min(1, Math.max(0, (p - a.t) / span)) : 1;
+      return {
+        x: a.x + (b.x - a.x) * local,
+        y: a.y + (b.y - a.y) * local,
+        dx: b.x - a.x,
+        dy: b.y - a.y
+      };
+    }
+  }
+  const only = waypoints[0];
+  return { x: only.x, y: only.y, dx: 0, dy: 0 };
+}
+
+/**
+ * Length of a route in world units
+ * @param {Array<{x: number, y: number}>} waypoints
+ * @returns {number}
+ */
+export function getPathLength(waypoints) {
+  let length = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    length += Math.hypot(waypoints[i].x - waypoints[i - 1].x, waypoints[i].y - waypoints[i - 1].y);
+  }
+  return length;
+}
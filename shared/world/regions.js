@@ -0,0 +1,66 @@
+// Hand-authored map regions (imported Tiled maps) that replace the procedural
+// terrain inside their bounds. The server loads them from the database, the
+// client from /api/map/regions - both must register the same list.
+
+/**
+ * @typedef {Object} WorldRegion
+ * @property {number} id
+ * @property {number} tile_x - Tile position of the top left corner
+ * @property {number} tile_y
+ * @property {number} width - Size in tiles
+ * @property {number} height
+ * @property {string[]} terrain - Terrain type per tile (row by row)
+ * @property {number[][]} [layers] - Tileset tile ids per layer and tile (-1 = empty)
+ */
+
+let regions = [];
+
+/**
+ * Replace the registered regions
+ * @param {WorldRegion[]} list
+ */
+export function setRegions(list) {
+  regions = Array.isArray(list) ? list : [];
+}
+
+/**
+ * All registered regions
+ * @returns {WorldRegion[]}
+ */
+export function getRegions() {
+  return regions;
+}
+
+/**
+ * Find the region covering a tile
+ * @param {number} tileX
+ * @param {number} tileY
+ * @returns {{region: WorldRegion, index: number}|null} index into terrain/layers
+ */
+export function getRegionAt(tileX, tileY) {
+  for (const region of regions) {
+    const localX = tileX - region.tile_x;
+    const localY = tileY - region.tile_y;
+    if (localX >= 0 && localY >= 0 && localX < region.width && localY < region.height) {
+      return { region, index: localY * region.width + localX };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a tile rectangle overlaps a registered region
+ * @param {number} tileX
+ * @param {number} tileY
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [ignoreId] - Region to leave out (e.g. when re-importing it)
+ * @returns {WorldRegion|null} The first overlapping region
+ */
+export function findOverlappingRegion(tileX, tileY, width, height, ignoreId = null) {
+  return regions.find(region =>
+    region.id !== ignoreId &&
+    tileX < region.tile_x + region.width && tileX + width > region.tile_x &&
+    tileY < region.tile_y + region.height && tileY + height > region.tile_y
+  ) || null;
+}
@@ -0,0 +1,214 @@
+import { fractalNoise } from './noise.js';
+import { getRegionAt } from './regions.js';
+
+// Size of one terrain tile in world units (map pixels at zoom 1)
+export const TILE_SIZE = 16;
+
+// Distance between the roads of the path grid (in tiles)
+export const ROAD_SPACING = 200;
+
+// Procedural terrain only produces water, grass, forest and path -
+// imported regions can also contain the other tileset terrains
+export const TERRAIN_TYPES = ['water', 'grass', 'forest', 'path', 'dirt', 'sand', 'cliff'];
+export const BIOMES = ['ocean', 'coast', 'lake', 'plains', 'woodland', 'highlands', 'region'];
+
+// Terrain nobody can travel to (water needs a boat, see isWaterTerrain)
+const BLOCKED_TERRAIN = ['cliff'];
+
+/**
+ * Convert a world coordinate to the tile it lies in
+ * @param {number} worldCoord - World x or y
+ * @returns {number} Tile x or y
+ */
+export function worldToTile(worldCoord) {
+  return Math.floor(worldCoord / TILE_SIZE);
+}
+
+/**
+ * Road type of a tile in the path grid
+ * @param {number} tileX
+ * @param {number} tileY
+ * @returns {'cross'|'vertical'|'horizontal'|null}
+ */
+export function getPathInfo(tileX, tileY) {
+  const onVertical = Math.abs(tileX % ROAD_SPACING) === 0;
+  const onHorizontal = Math.abs(tileY % ROAD_SPACING) === 0;
+
+  if (onVertical && onHorizontal) return 'cross';
+  if (onVertical) return 'vertical';
+  if (onHorizontal) return 'horizontal';
+  return null;
+}
+
+/**
+ * Elevation of a tile (continents, regions and local detail combined)
+ * @param {number} tileX
+ * @param {number} tileY
+ * @returns {number} Value in [0, 1), below 0.30 is ocean
+ */
+export function getElevation(tileX, tileY) {
+  return sampleTerrain(tileX, tileY).elevation;
+}
+
+function describeTile(terrain, biome, elevation, regionId = null) {
+  return {
+    terrain,
+    biome,
+    elevation,
+    region: regionId,
+    isWater: isWaterTerrain(terrain),
+    isForest: terrain === 'forest',
+    isPath: terrain === 'path'
+  };
+}
+
+/**
+ * Generate everything known about a tile. Tiles inside an imported region
+ * take their terrain from the region (biome 'region').
+ * @param {number} tileX
+ * @param {number} tileY
+ * @returns {{terrain: string, biome: string, elevation: number, region: number|null, isWater: boolean, isForest: boolean, isPath: boolean}}
+ */
+export function sampleTerrain(tileX, tileY) {
+  const regionTile = getRegionAt(tileX, tileY);
+  if (regionTile) {
+    const { region, index } = regionTile;
+    return describeTile(region.terrain[index] || 'grass', 'region', getHeightNoise(tileX, tileY).elevation, region.id);
+  }
+  return sampleProceduralTerrain(tileX, tileY);
+}
+
+// Hauptkontinente, regionale Variation und lokale Details
+function getHeightNoise(tileX, tileY) {
+  const continentNoise = fractalNoise(tileX, tileY, 3, 0.5, 0.0008, 12345);
+  const regionNoise = fractalNoise(tileX, tileY, 4, 0.5, 0.003, 54321);
+  const detailNoise = fractalNoise(tileX, tileY, 3, 0.4, 0.01, 99999);
+  return {
+    elevation: continentNoise * 0.6 + regionNoise * 0.25 + detailNoise * 0.15,
+    detailNoise
+  };
+}
+
+function sampleProceduralTerrain(tileX, tileY) {
+  const { elevation, detailNoise } = getHeightNoise(tileX, tileY);
+
+  // Wald-Noise (unabhängig von der Höhe)
+  const forestCluster = fractalNoise(tileX, tileY, 3, 0.5, 0.005, 77777);
+  const forestDetail = fractalNoise(tileX, tileY, 2, 0.3, 0.015, 88888);
+  const forestValue = forestCluster * 0.7 + forestDetail * 0.3;
+
+  // Binnengewässer
+  const lakeNoise = fractalNoise(tileX, tileY, 3, 0.5, 0.004, 66666);
+
+  const inForestBand = elevation > 0.42 && elevation < 0.75;
+
+  let biome;
+  if (elevation < 0.30) {
+    biome = 'ocean';
+  } else if (elevation < 0.38) {
+    biome = 'coast';
+  } else if (elevation > 0.4 && elevation < 0.65 && lakeNoise > 0.72) {
+    biome = 'lake';
+  } else if (elevation >= 0.75) {
+    biome = 'highlands';
+  } else if (inForestBand && forestValue > 0.54) {
+    biome = 'woodland';
+  } else {
+    biome = 'plains';
+  }
+
+  let terrain;
+  if (biome === 'ocean' || biome === 'lake') {
+    terrain = 'water';
+  } else if (biome === 'coast') {
+    // Küste - teilweise Wasser, teilweise Strand
+    terrain = detailNoise > 0.5 ? 'water' : 'grass';
+  } else if (getPathInfo(tileX, tileY) !== null) {
+    terrain = 'path';
+  } else if (inForestBand && (forestValue > 0.58 || (forestValue > 0.54 && detailNoise > 0.6))) {
+    // Dichte Waldcluster und einzelne Baumgruppen
+    terrain = 'forest';
+  } else {
+    terrain = 'grass';
+  }
+
+  return describeTile(terrain, biome, elevation);
+}
+
+/**
+ * Terrain type of a tile
+ * @param {number} tileX
+ * @param {number} tileY
+ * @returns {string} One of TERRAIN_TYPES
+ */
+export function getTerrainAt(tileX, tileY) {
+  return sampleTerrain(tileX, tileY).terrain;
+}
+
+/**
+ * Biome of a tile
+ * @param {number} tileX
+ * @param {number} tileY
+ * @returns {string} One of BIOMES
+ */
+export function getBiomeAt(tileX, tileY) {
+  return sampleTerrain(tileX, tileY).biome;
+}
+
+/**
+ * Check if a terrain type is water
+ * @param {string} terrain
+ * @returns {boolean}
+ */
+export function isWaterTerrain(terrain) {
+  return terrain === 'water' || terrain === 'deepWater';
+}
+
+/**
+ * Check if a terrain type can be travelled to at all
+ * @param {string} terrain
+ * @returns {boolean}
+ */
+export function isWalkableTerrain(terrain) {
+  return !BLOCKED_TERRAIN.includes(terrain);
+}
+
+/**
+ * Check if a world position (not tile) can be travelled to (water only with a boat)
+ * @param {number} worldX
+ * @param {number} worldY
+ * @returns {boolean}
+ */
+export function isWalkableAt(worldX, worldY) {
+  return isWalkableTerrain(getTerrainAt(worldToTile(worldX), worldToTile(worldY)));
+}
+
+/**
+ * Check if a world position (not tile) is on water
+ * @param {number} worldX
+ * @param {number} worldY
+ * @returns {boolean}
+ */
+export function isWaterAt(worldX, worldY) {
+  return isWaterTerrain(getTerrainAt(worldToTile(worldX), worldToTile(worldY)));
+}
+
+/**
+ * Check if a world position (not tile) is in a forest
+ * @param {number} worldX
+ * @param {number} worldY
+ * @returns {boolean}
+ */
+export function isForestAt(worldX, worldY) {
+  return getTerrainAt(worldToTile(worldX), worldToTile(worldY)) === 'forest';
+}
+
+/**
+ * Check if a world position (not tile) is on a road
+ * @param {number} worldX
+ * @param {number} worldY
+ * @returns {boolean}
+ */
+export function isPathAt(worldX, worldY) {
+  return getTerrainAt(worldToTile(worldX), worldToTile(worldY)) === 'path';
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRegions, findPath, getPathLength } from '../index.js';
+
+// A small island (under 1100 passable tiles) in the procedural terrain
+const ISLAND = { x: -5410, y: -1788 };
+
+test('finds a route over land', () => {
+  setRegions([]);
+  const route = findPath(0, 0, 800, 300);
+  assert.ok(route);
+  assert.deepEqual(route.waypoints[0], { x: 0, y: 0, t: 0 });
+  assert.deepEqual({ ...route.waypoints.at(-1), t: undefined }, { x: 800, y: 300, t: undefined });
+  assert.ok(Math.abs(getPathLength(route.waypoints) - route.distance) < 1);
+});
+
+test('rejects an island without a boat before searching', () => {
+  setRegions([]);
+  // Searching the open mainland for 200000 tiles takes seconds, the enclosure check a few milliseconds
+  const started = performance.now();
+  assert.equal(findPath(0, 0, ISLAND.x, ISLAND.y, { maxNodes: 200000 }), null);
+  assert.ok(performance.now() - started < 1000);
+});
+
+test('reaches the island with a boat', () => {
+  setRegions([]);
+  assert.ok(findPath(0, 0, ISLAND.x, ISLAND.y, { hasBoat: true }));
+});
+
+test('gives up once the search budget is used', () => {
+  setRegions([]);
+  assert.equal(findPath(0, 0, 800, 300, { maxNodes: 10 }), null);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { setRegions, sampleTerrain } from '../index.js';
+
+// Golden values of the procedural terrain. Map client and server generate the world
+// independently from this module, so any change here moves rivers, forests and
+// coasts under existing players, buildings and resource nodes.
+// After an intended change, regenerate the fixture with `npm run test:update-golden`.
+const fixturePath = fileURLToPath(new URL('./fixtures/terrain-golden.json', import.meta.url));
+
+// Coarse grid over the continents (off the road grid, so it mostly samples the noise) plus a dense patch at spawn
+const GRIDS = [
+  { from: -3001, to: 3000, step: 139 },
+  { from: -20, to: 20, step: 5 }
+];
+// Elevation is compared with a tolerance, the noise uses Math.sin/Math.floor only
+const ELEVATION_TOLERANCE = 1e-9;
+
+function sampleGrid() {
+  setRegions([]);
+  const tiles = [];
+  for (const { from, to, step } of GRIDS) {
+    for (let tileY = from; tileY <= to; tileY += step) {
+      for (let tileX = from; tileX <= to; tileX += step) {
+        const { terrain, biome, elevation } = sampleTerrain(tileX, tileY);
+        tiles.push([tileX, tileY, terrain, biome, elevation]);
+      }
+    }
+  }
+  return tiles;
+}
+
+if (process.env.UPDATE_GOLDEN) {
+  fs.writeFileSync(fixturePath, JSON.stringify({ grids: GRIDS, tiles: sampleGrid() }) + '\n');
+}
+
+const golden = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+test('fixture covers the sampled grid', () => {
+  assert.deepEqual(golden.grids, GRIDS);
+  assert.equal(golden.tiles.length, sampleGrid().length);
+});
+
+test('terrain, biome and elevation match the golden values', () => {
+  const mismatches = [];
+  sampleGrid().forEach(([tileX, tileY, terrain, biome, elevation], i) => {
+    const [, , goldenTerrain, goldenBiome, goldenElevation] = golden.tiles[i];
+    if (terrain !== goldenTerrain || biome !== goldenBiome
+      || Math.abs(elevation - goldenElevation) > ELEVATION_TOLERANCE) {
+      mismatches.push(`${tileX},${tileY}: ${terrain}/${biome}/${elevation} statt ${goldenTerrain}/${goldenBiome}/${goldenElevation}`);
+    }
+  });
+  assert.deepEqual(mismatches.slice(0, 20), [], `${mismatches.length} Tiles weichen ab`);
+});
+
+test('regions replace the procedural terrain inside their bounds only', () => {
+  const region = { id: 1, tile_x: 0, tile_y: 0, width: 2, height: 1, terrain: ['sand', 'cliff'] };
+  const [, , outsideTerrain] = golden.tiles.find(([x, y]) => x === 5 && y === 0);
+  setRegions([region]);
+  try {
+    assert.equal(sampleTerrain(0, 0).terrain, 'sand');
+    assert.equal(sampleTerrain(1, 0).biome, 'region');
+    assert.equal(sampleTerrain(5, 0).terrain, outsideTerrain);
+  } finally {
+    setRegions([]);
+  }
+});